@@ -1,5 +1,11 @@
 const path = require('path');
 
+// implementation under test: ol (by default) or leaflet
+const IMPL = process.env.IMPL || 'ol';
+
+// the unit tests use OpenLayers, the conformance tests run against every implementation
+const testIndexes = IMPL === 'ol' ? ['index_test.js', 'index_conformance.js'] : ['index_conformance.js'];
+
 module.exports = (config) => {
   config.set({
 
@@ -27,18 +33,18 @@ module.exports = (config) => {
       watched: false,
       type: 'dom',
     }, {
-      pattern: path.resolve(__dirname, 'dist', 'js', 'apiign-1.0.0.ol.min.js,
+      pattern: path.resolve(__dirname, 'dist', 'js', `apiign.${IMPL}.min.js`),
       watched: false,
     }, {
-      pattern: path.resolve(__dirname, 'dist', 'assets', 'css', 'apiign-1.0.0.ol.min.css'),
+      pattern: path.resolve(__dirname, 'dist', 'assets', 'css', `apiign.${IMPL}.min.css`),
       watched: false,
     }, {
       pattern: path.resolve(__dirname, 'test', 'configuration_filtered.js'),
       watched: false,
-    }, {
-      pattern: path.resolve(__dirname, 'test', 'api', 'index_test.js'),
+    }].concat(testIndexes.map(testIndex => ({
+      pattern: path.resolve(__dirname, 'test', 'api', testIndex),
       watched: false,
-    }],
+    }))),
 
     // list of files / patterns to exclude
     exclude: [
@@ -88,6 +88,27 @@ params.forEach((param) => {
    */
   M.config('PROXY_POST_URL', `${(location.protocol !== 'file' && location.protocol !== 'file:') ? location.protocol : 'https:'}\${mapea.proxy_post.url}`);
 
+  /**
+   * Default timeout in milliseconds of the remote
+   * requests (M.remote), 0 means no timeout
+   * @const
+   * @type {Number}
+   * @public
+   * @api stable
+   */
+  M.config('REMOTE_TIMEOUT', 60000);
+
+  /**
+   * Global request interceptors, they receive each request
+   * { url, headers, type, layer } of the layers and M.remote
+   * and can modify it (M.remote.addInterceptor)
+   * @const
+   * @type {Array<Function>}
+   * @public
+   * @api stable
+   */
+  M.config('REQUEST_INTERCEPTORS', []);
+
   /**
    * The path to the Mapea templates
    * @const
@@ -18,7 +18,7 @@ import {
   isObject,
   getEnvolvedExtent,
 } from './util/Utils';
-import { getValue } from './i18n/language';
+import { getValue, on as onLanguage, un as unLanguage } from './i18n/language';
 import Exception from './exception/exception';
 import Label from './Label';
 import Popup from './Popup';
@@ -37,6 +37,7 @@ import ScaleLine from './control/ScaleLine';
 import Panzoom from './control/Panzoom';
 import Panzoombar from './control/Panzoombar';
 import BackgroundLayers from './control/BackgroundLayers';
+import Legend from './control/Legend';
 import Layer from './layer/Layer';
 import * as LayerType from './layer/Type';
 import Vector from './layer/Vector';
@@ -44,8 +45,16 @@ import KML from './layer/KML';
 import WFS from './layer/WFS';
 import WMS from './layer/WMS';
 import WMTS from './layer/WMTS';
+import WMC from './layer/WMC';
+import GeoPackage from './layer/GeoPackage';
+import GeoTIFF from './layer/GeoTIFF';
+import CSV from './layer/CSV';
+import GPX from './layer/GPX';
+import TopoJSON from './layer/TopoJSON';
 import MVT from './layer/MVT';
 import OGCAPIFeatures from './layer/OGCAPIFeatures';
+import OGCAPITiles from './layer/OGCAPITiles';
+import OGCAPIMaps from './layer/OGCAPIMaps';
 import Panel from './ui/Panel';
 import * as Position from './ui/position';
 import GeoJSON from './layer/GeoJSON';
@@ -55,6 +64,9 @@ import MBTilesVector from './layer/MBTilesVector';
 import XYZ from './layer/XYZ';
 import TMS from './layer/TMS';
 import OSM from './layer/OSM';
+import FormatWMC from './format/WMC';
+import OWSContext from './format/OWSContext';
+import { getMapContext, loadMapContext } from './format/context';
 
 /**
  * @classdesc
@@ -191,6 +203,8 @@ class Map extends Base {
       this._checkCompleted();
     });
 
+    onLanguage(EventType.CHANGE_LANG, this.translateView, this);
+
     // creates main panels
     this.createMainPanels_();
 
@@ -238,6 +252,11 @@ class Map extends Base {
       this.addLayers(params.layers);
     }
 
+    // wmc
+    if (!isNullOrEmpty(params.wmc)) {
+      this.addWMC(params.wmc);
+    }
+
     // wms
     if (!isNullOrEmpty(params.wms)) {
       this.addWMS(params.wms);
@@ -259,7 +278,7 @@ class Map extends Base {
     }
 
     // default WMTS
-    if (isNullOrEmpty(params.layers) && !isArray(params.layers)) {
+    if (isNullOrEmpty(params.layers) && !isArray(params.layers) && isNullOrEmpty(params.wmc)) {
       this.addTMS(M.config.tms.base);
     }
 
@@ -388,6 +407,51 @@ class Map extends Base {
     return this.featuresHandler_;
   }
 
+  /**
+   * Este método obtiene la información de las capas en una coordenada.
+   * Consulta los objetos geográficos dibujados de las capas vectoriales,
+   * la operación GetFeatureInfo de las capas WMS y WMTS y el servicio de
+   * las capas WFS y OGCAPIFeatures.
+   *
+   * @function
+   * @param {Array<number>} coordinate Coordenada en la proyección del mapa.
+   * @param {Object} options Opciones de la consulta.
+   * - layers: Capas o nombres de las capas a consultar, por defecto todas.
+   * Solo se consultan las visibles y, en WMS y WMTS, las consultables.
+   * - tolerance: Tolerancia en píxeles, por defecto 5.
+   * - maxFeatures: Número máximo de objetos geográficos por capa, por defecto 10.
+   * - formats: Formatos de GetFeatureInfo por orden de preferencia.
+   * @returns {Promise<Array<Object>>} Resultados por capa, de la capa superior a la
+   * inferior, con la capa (layer), su leyenda o nombre (layerName), el formato
+   * de la respuesta (format), los objetos geográficos (features) y el contenido
+   * HTML de las respuestas de texto (content).
+   * @public
+   * @api
+   */
+  identify(coordinate, options = {}) {
+    // checks if the implementation can identify
+    if (isUndefined(MapImpl.prototype.identify)) {
+      Exception(getValue('exception').identify_method);
+    }
+    if (isNullOrEmpty(coordinate)) {
+      Exception(getValue('exception').no_point);
+    }
+
+    const layers = this.getLayers(options.layers).filter((layer) => {
+      let queryable = layer.isVisible();
+      if (layer.type === LayerType.WMS || layer.type === LayerType.WMTS) {
+        queryable = queryable && layer.isQueryable();
+      }
+      return queryable;
+    }).reverse();
+
+    return this.getImpl().identify(coordinate, layers, {
+      tolerance: isNullOrEmpty(options.tolerance) ? 5 : options.tolerance,
+      maxFeatures: isNullOrEmpty(options.maxFeatures) ? 10 : options.maxFeatures,
+      formats: options.formats || Map.IDENTIFY_FORMATS,
+    });
+  }
+
   /**
    * Este método agrega capas especificadas por el usuario.
    *
@@ -452,6 +516,24 @@ class Map extends Base {
               case 'WMTS':
                 layer = new WMTS(layerParam);
                 break;
+              case 'WMC':
+                layer = new WMC(layerParam);
+                break;
+              case 'GeoPackage':
+                layer = new GeoPackage(layerParam);
+                break;
+              case 'GeoTIFF':
+                layer = new GeoTIFF(layerParam);
+                break;
+              case 'CSV':
+                layer = new CSV(layerParam);
+                break;
+              case 'GPX':
+                layer = new GPX(layerParam);
+                break;
+              case 'TopoJSON':
+                layer = new TopoJSON(layerParam);
+                break;
               case 'MVT':
                 layer = new MVT(layerParam);
                 break;
@@ -473,6 +555,12 @@ class Map extends Base {
               case 'OGCAPIFeatures':
                 layer = new OGCAPIFeatures(layerParam, { style: parameterVariable.style });
                 break;
+              case 'OGCAPITiles':
+                layer = new OGCAPITiles(layerParam);
+                break;
+              case 'OGCAPIMaps':
+                layer = new OGCAPIMaps(layerParam);
+                break;
               default:
                 Dialog.error(getValue('dialog').invalid_type_layer);
             }
@@ -675,46 +763,551 @@ class Map extends Base {
    * Este método elimina las capas KML del mapa.
    *
    * @function
-   * @param {Array<string>|Array<Mx.parameters.KML>} layersParam Matriz de capas de nombres que
+   * @param {Array<string>|Array<Mx.parameters.KML>} layersParam Matriz de capas de nombres que
+   * desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeKML(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeKML)) {
+        Exception(getValue('exception').removekml_method);
+      }
+
+      // gets the layers
+      const kmlLayers = this.getKML(layersParam);
+      if (kmlLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [kmlLayers]);
+        kmlLayers.forEach((layer) => {
+          this.featuresHandler_.removeLayer(layer);
+        });
+        // removes the layers
+        this.getImpl().removeKML(kmlLayers);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas GPX agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.Layer>} layersParam Opcional.
+   * - Matriz de capas de nombres, tipo GPX.
+   * @returns {Array<GPX>} Matriz de capas, tipo GPX.
+   * @api
+   */
+  getGPX(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getGPX)) {
+      Exception(getValue('exception').getgpx_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.GPX);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getGPX(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas GPX al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.GPX>} layersParam Colección u objeto de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addGPX(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addGPX)) {
+        Exception(getValue('exception').addgpx_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      // gets the parameters as GPX objects to add
+      const gpxLayers = [];
+      layersParam.forEach((layerParam) => {
+        let gpxLayer;
+        if (isObject(layerParam) && (layerParam instanceof GPX)) {
+          gpxLayer = layerParam;
+        } else if (!(layerParam instanceof Layer)) {
+          gpxLayer = new GPX(layerParam, layerParam.options);
+        }
+        if (gpxLayer.extract === true) {
+          this.featuresHandler_.addLayer(gpxLayer);
+        }
+        gpxLayers.push(gpxLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addGPX(gpxLayers);
+      this.fire(EventType.ADDED_LAYER, [gpxLayers]);
+      this.fire(EventType.ADDED_GPX, [gpxLayers]);
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas GPX del mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.GPX>} layersParam Matriz de capas de nombres que
+   * desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeGPX(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeGPX)) {
+        Exception(getValue('exception').removegpx_method);
+      }
+
+      // gets the layers
+      const gpxLayers = this.getGPX(layersParam);
+      if (gpxLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [gpxLayers]);
+        gpxLayers.forEach((layer) => {
+          this.featuresHandler_.removeLayer(layer);
+        });
+        // removes the layers
+        this.getImpl().removeGPX(gpxLayers);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas TopoJSON agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.Layer>} layersParam Opcional.
+   * - Matriz de capas de nombres, tipo TopoJSON.
+   * @returns {Array<TopoJSON>} Matriz de capas, tipo TopoJSON.
+   * @api
+   */
+  getTopoJSON(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getTopoJSON)) {
+      Exception(getValue('exception').gettopojson_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.TopoJSON);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getTopoJSON(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas TopoJSON al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.TopoJSON>} layersParam Colección u objeto de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addTopoJSON(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addTopoJSON)) {
+        Exception(getValue('exception').addtopojson_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      // gets the parameters as TopoJSON objects to add
+      const topojsonLayers = [];
+      layersParam.forEach((layerParam) => {
+        let topojsonLayer;
+        if (isObject(layerParam) && (layerParam instanceof TopoJSON)) {
+          topojsonLayer = layerParam;
+        } else if (!(layerParam instanceof Layer)) {
+          topojsonLayer = new TopoJSON(layerParam, layerParam.options);
+        }
+        if (topojsonLayer.extract === true) {
+          this.featuresHandler_.addLayer(topojsonLayer);
+        }
+        topojsonLayers.push(topojsonLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addTopoJSON(topojsonLayers);
+      this.fire(EventType.ADDED_LAYER, [topojsonLayers]);
+      this.fire(EventType.ADDED_TOPOJSON, [topojsonLayers]);
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas TopoJSON del mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.TopoJSON>} layersParam Matriz de capas de nombres que
+   * desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeTopoJSON(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeTopoJSON)) {
+        Exception(getValue('exception').removetopojson_method);
+      }
+
+      // gets the layers
+      const topojsonLayers = this.getTopoJSON(layersParam);
+      if (topojsonLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [topojsonLayers]);
+        topojsonLayers.forEach((layer) => {
+          this.featuresHandler_.removeLayer(layer);
+        });
+        // removes the layers
+        this.getImpl().removeTopoJSON(topojsonLayers);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas WMS agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMC>} layersParam Opcional.
+   * - Matriz de capas de nombres, tipo WMS.
+   * @returns {Array<WMS>} Matriz de capas, tipo WMS.
+   * @api
+   */
+  getWMS(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getWMS)) {
+      Exception(getValue('exception').getwms_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.WMS);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getWMS(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas WMS al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMS>} layersParam Colección u objeto de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addWMS(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addWMS)) {
+        Exception(getValue('exception').addwms_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      this.collectorCapabilities_(layersParam);
+
+      // gets the parameters as WMS objects to add
+      const wmsLayers = [];
+      layersParam.forEach((layerParam) => {
+        let wmsLayer = layerParam;
+        if (!(layerParam instanceof WMS)) {
+          wmsLayer = new WMS(layerParam, layerParam.options);
+        }
+        wmsLayer.setMap(this);
+        wmsLayers.push(wmsLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addWMS(wmsLayers);
+      this.fire(EventType.ADDED_LAYER, [wmsLayers]);
+      this.fire(EventType.ADDED_WMS, [wmsLayers]);
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas WMS del mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMS>} layersParam Matriz de capas de nombres que
+   * desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeWMS(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeWMS)) {
+        Exception(getValue('exception').removewms_method);
+      }
+
+      // gets the layers
+      const wmsLayers = this.getWMS(layersParam);
+      if (wmsLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [wmsLayers]);
+        // removes the layers
+        this.getImpl().removeWMS(wmsLayers);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas WMC agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMC>} layersParamVar Opcional.
+   * - Matriz de capas de nombres, tipo WMC.
+   * @returns {Array<WMC>} Capas del mapa.
+   * @api
+   */
+  getWMC(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getWMC)) {
+      Exception(getValue('exception').getwmc_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.WMC);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getWMC(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas WMC al mapa. Si no hay ningún
+   * contexto seleccionado se selecciona el primero de ellos.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMC>} layersParamVar Colección u objeto de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addWMC(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addWMC)) {
+        Exception(getValue('exception').addwmc_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      // gets the parameters as WMC objects to add
+      const wmcLayers = [];
+      layersParam.forEach((layerParam) => {
+        let wmcLayer = layerParam;
+        if (!(layerParam instanceof WMC)) {
+          wmcLayer = new WMC(layerParam, layerParam.options);
+        }
+        wmcLayer.setMap(this);
+        wmcLayers.push(wmcLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addWMC(wmcLayers);
+      this.fire(EventType.ADDED_LAYER, [wmcLayers]);
+      this.fire(EventType.ADDED_WMC, [wmcLayers]);
+
+      // selects the first context if there is not any selected
+      const selected = this.getWMC().find(wmcLayer => wmcLayer.selected === true);
+      if (isUndefined(selected) && (wmcLayers.length > 0)) {
+        wmcLayers[0].select();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas WMC del mapa, junto con
+   * las capas WMS que hayan cargado.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.WMC>} layersParam Matriz de capas de nombres que
    * desea eliminar.
    * @returns {Map} Devuelve el estado del mapa.
    * @api
    */
-  removeKML(layersParam) {
+  removeWMC(layersParam) {
     if (!isNullOrEmpty(layersParam)) {
       // checks if the implementation can manage layers
-      if (isUndefined(MapImpl.prototype.removeKML)) {
-        Exception(getValue('exception').removekml_method);
+      if (isUndefined(MapImpl.prototype.removeWMC)) {
+        Exception(getValue('exception').removewmc_method);
       }
 
       // gets the layers
-      const kmlLayers = this.getKML(layersParam);
-      if (kmlLayers.length > 0) {
-        this.fire(EventType.REMOVED_LAYER, [kmlLayers]);
-        kmlLayers.forEach((layer) => {
-          this.featuresHandler_.removeLayer(layer);
-        });
+      const wmcLayers = this.getWMC(layersParam);
+      if (wmcLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [wmcLayers]);
         // removes the layers
-        this.getImpl().removeKML(kmlLayers);
+        this.getImpl().removeWMC(wmcLayers);
       }
     }
     return this;
   }
 
   /**
-   * Este método obtiene las capas WMS agregadas al mapa.
+   * Este método escribe el estado actual del mapa (proyección, encuadre,
+   * controles y capas WMS, WMTS, WFS, KML, GeoJSON, OGCAPIFeatures y XYZ)
+   * como documento WMC.
    *
    * @function
-   * @param {Array<string>|Array<Mx.parameters.WMC>} layersParam Opcional.
-   * - Matriz de capas de nombres, tipo WMS.
-   * @returns {Array<WMS>} Matriz de capas, tipo WMS.
+   * @param {Object} options Opciones del documento.
+   * - version: Versión del documento WMC, por defecto 1.1.0.
+   * - id: Identificador del contexto.
+   * - title: Título del contexto.
+   * - abstract: Descripción del contexto.
+   * @returns {String} Documento WMC.
    * @api
    */
-  getWMS(layersParamVar) {
+  toWMC(options = {}) {
+    const context = getMapContext(this, options);
+    return new FormatWMC().write(context, options.version);
+  }
+
+  /**
+   * Este método escribe el estado actual del mapa (proyección, encuadre,
+   * controles y capas WMS, WMTS, WFS, KML, GeoJSON, OGCAPIFeatures y XYZ)
+   * como documento OWS Context en formato GeoJSON.
+   *
+   * @function
+   * @param {Object} options Opciones del documento.
+   * - id: Identificador del contexto.
+   * - title: Título del contexto.
+   * - abstract: Descripción del contexto.
+   * @returns {Object} Documento OWS Context.
+   * @api
+   */
+  toOWSContext(options = {}) {
+    const context = getMapContext(this, options);
+    return new OWSContext().write(context);
+  }
+
+  /**
+   * Este método restaura en el mapa un documento WMC u OWS Context,
+   * como los generados por "toWMC" y "toOWSContext". Las capas del
+   * mapa se sustituyen por las del documento.
+   *
+   * @function
+   * @param {String|Document|Object} contextDocument Documento WMC (XML)
+   * u OWS Context (GeoJSON).
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  loadContext(contextDocument) {
+    if (isNullOrEmpty(contextDocument)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    let context;
+    const isXML = (isString(contextDocument) && /^\s*</.test(contextDocument)) ||
+      (contextDocument.nodeType === 9);
+    if (isXML) {
+      context = new FormatWMC().read(contextDocument);
+    } else {
+      context = new OWSContext().read(contextDocument);
+    }
+    loadMapContext(this, context);
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas GeoPackage agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.GeoPackage>} layersParamVar Opcional.
+   * - Matriz de capas de nombres, tipo GeoPackage.
+   * @returns {Array<GeoPackage>} Capas del mapa.
+   * @api
+   */
+  getGeoPackage(layersParamVar) {
     let layersParam = layersParamVar;
     // checks if the implementation can manage layers
-    if (isUndefined(MapImpl.prototype.getWMS)) {
-      Exception(getValue('exception').getwms_method);
+    if (isUndefined(MapImpl.prototype.getGeoPackage)) {
+      Exception(getValue('exception').getgeopackage_method);
     }
 
     // parses parameters to Array
@@ -728,30 +1321,32 @@ class Map extends Base {
     let filters = [];
     if (layersParam.length > 0) {
       filters = layersParam.map((layerParam) => {
-        return parameter.layer(layerParam, LayerType.WMS);
+        return parameter.layer(layerParam, LayerType.GeoPackage);
       });
     }
 
     // gets the layers
-    const layers = this.getImpl().getWMS(filters).sort(Map.LAYER_SORT);
+    const layers = this.getImpl().getGeoPackage(filters).sort(Map.LAYER_SORT);
 
     return layers;
   }
 
   /**
-   * Este método agrega las capas WMS al mapa.
+   * Este método agrega las capas GeoPackage al mapa. Cada GeoPackage
+   * añade las capas de sus tablas.
    *
    * @function
-   * @param {Array<string>|Array<Mx.parameters.WMS>} layersParam Colección u objeto de capa.
+   * @param {Array<string>|Array<Mx.parameters.GeoPackage>} layersParamVar Colección u objeto
+   * de capa.
    * @returns {Map} Devuelve el estado del mapa.
    * @api
    */
-  addWMS(layersParamVar) {
+  addGeoPackage(layersParamVar) {
     let layersParam = layersParamVar;
     if (!isNullOrEmpty(layersParam)) {
       // checks if the implementation can manage layers
-      if (isUndefined(MapImpl.prototype.addWMS)) {
-        Exception(getValue('exception').addwms_method);
+      if (isUndefined(MapImpl.prototype.addGeoPackage)) {
+        Exception(getValue('exception').addgeopackage_method);
       }
 
       // parses parameters to Array
@@ -759,49 +1354,48 @@ class Map extends Base {
         layersParam = [layersParam];
       }
 
-      this.collectorCapabilities_(layersParam);
-
-      // gets the parameters as WMS objects to add
-      const wmsLayers = [];
+      // gets the parameters as GeoPackage objects to add
+      const geopackageLayers = [];
       layersParam.forEach((layerParam) => {
-        let wmsLayer = layerParam;
-        if (!(layerParam instanceof WMS)) {
-          wmsLayer = new WMS(layerParam, layerParam.options);
+        let geopackageLayer = layerParam;
+        if (!(layerParam instanceof GeoPackage)) {
+          geopackageLayer = new GeoPackage(layerParam, layerParam.options);
         }
-        wmsLayer.setMap(this);
-        wmsLayers.push(wmsLayer);
+        geopackageLayer.setMap(this);
+        geopackageLayers.push(geopackageLayer);
       });
 
       // adds the layers
-      this.getImpl().addWMS(wmsLayers);
-      this.fire(EventType.ADDED_LAYER, [wmsLayers]);
-      this.fire(EventType.ADDED_WMS, [wmsLayers]);
+      this.getImpl().addGeoPackage(geopackageLayers);
+      this.fire(EventType.ADDED_LAYER, [geopackageLayers]);
+      this.fire(EventType.ADDED_GEOPACKAGE, [geopackageLayers]);
     }
     return this;
   }
 
   /**
-   * Este método elimina las capas WMS del mapa.
+   * Este método elimina las capas GeoPackage del mapa, junto con
+   * las capas de sus tablas.
    *
    * @function
-   * @param {Array<string>|Array<Mx.parameters.WMS>} layersParam Matriz de capas de nombres que
-   * desea eliminar.
+   * @param {Array<string>|Array<Mx.parameters.GeoPackage>} layersParam Matriz de capas
+   * de nombres que desea eliminar.
    * @returns {Map} Devuelve el estado del mapa.
    * @api
    */
-  removeWMS(layersParam) {
+  removeGeoPackage(layersParam) {
     if (!isNullOrEmpty(layersParam)) {
       // checks if the implementation can manage layers
-      if (isUndefined(MapImpl.prototype.removeWMS)) {
-        Exception(getValue('exception').removewms_method);
+      if (isUndefined(MapImpl.prototype.removeGeoPackage)) {
+        Exception(getValue('exception').removegeopackage_method);
       }
 
       // gets the layers
-      const wmsLayers = this.getWMS(layersParam);
-      if (wmsLayers.length > 0) {
-        this.fire(EventType.REMOVED_LAYER, [wmsLayers]);
+      const geopackageLayers = this.getGeoPackage(layersParam);
+      if (geopackageLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [geopackageLayers]);
         // removes the layers
-        this.getImpl().removeWMS(wmsLayers);
+        this.getImpl().removeGeoPackage(geopackageLayers);
       }
     }
     return this;
@@ -1065,6 +1659,230 @@ class Map extends Base {
     return this;
   }
 
+  /**
+   * Este método obtiene las capas OGCAPITiles agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPITiles>} layersParam Opcional.
+   * - Matriz de capas de nombres, tipo OGCAPITiles.
+   * @returns {Array<M.layer.OGCAPITiles>} Capas del mapa.
+   * @api
+   */
+  getOGCAPITiles(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getOGCAPITiles)) {
+      Exception(getValue('exception').getogcapitiles_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.OGCAPITiles);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getOGCAPITiles(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas OGCAPITiles al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPITiles>} layersParam Colección u objeto
+   * de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addOGCAPITiles(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addOGCAPITiles)) {
+        Exception(getValue('exception').addogcapitiles_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      // gets the parameters as OGCAPITiles objects to add
+      const ogcapitLayers = [];
+      layersParam.forEach((layerParam) => {
+        let ogcapitLayer;
+        if (isObject(layerParam) && (layerParam instanceof OGCAPITiles)) {
+          ogcapitLayer = layerParam;
+        } else if (!(layerParam instanceof Layer)) {
+          try {
+            ogcapitLayer = new OGCAPITiles(layerParam, layerParam.options);
+          } catch (err) {
+            Dialog.error(err.toString());
+            throw err;
+          }
+        }
+        ogcapitLayer.setMap(this);
+        ogcapitLayers.push(ogcapitLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addOGCAPITiles(ogcapitLayers);
+      this.fire(EventType.ADDED_LAYER, [ogcapitLayers]);
+      this.fire(EventType.ADDED_OGCAPITILES, [ogcapitLayers]);
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas OGCAPITiles del mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPITiles>} layersParam Matriz de capas de
+   * nombres que desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeOGCAPITiles(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeOGCAPITiles)) {
+        Exception(getValue('exception').removeogcapitiles_method);
+      }
+
+      // gets the layers
+      const ogcapitLayers = this.getOGCAPITiles(layersParam);
+      if (ogcapitLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [ogcapitLayers]);
+        // removes the layers
+        this.getImpl().removeOGCAPITiles(ogcapitLayers);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas OGCAPIMaps agregadas al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPIMaps>} layersParam Opcional.
+   * - Matriz de capas de nombres, tipo OGCAPIMaps.
+   * @returns {Array<M.layer.OGCAPIMaps>} Capas del mapa.
+   * @api
+   */
+  getOGCAPIMaps(layersParamVar) {
+    let layersParam = layersParamVar;
+    // checks if the implementation can manage layers
+    if (isUndefined(MapImpl.prototype.getOGCAPIMaps)) {
+      Exception(getValue('exception').getogcapimaps_method);
+    }
+
+    // parses parameters to Array
+    if (isNull(layersParam)) {
+      layersParam = [];
+    } else if (!isArray(layersParam)) {
+      layersParam = [layersParam];
+    }
+
+    // gets the parameters as Layer objects to filter
+    let filters = [];
+    if (layersParam.length > 0) {
+      filters = layersParam.map((layerParam) => {
+        return parameter.layer(layerParam, LayerType.OGCAPIMaps);
+      });
+    }
+
+    // gets the layers
+    const layers = this.getImpl().getOGCAPIMaps(filters).sort(Map.LAYER_SORT);
+
+    return layers;
+  }
+
+  /**
+   * Este método agrega las capas OGCAPIMaps al mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPIMaps>} layersParam Colección u objeto
+   * de capa.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  addOGCAPIMaps(layersParamVar) {
+    let layersParam = layersParamVar;
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.addOGCAPIMaps)) {
+        Exception(getValue('exception').addogcapimaps_method);
+      }
+
+      // parses parameters to Array
+      if (!isArray(layersParam)) {
+        layersParam = [layersParam];
+      }
+
+      // gets the parameters as OGCAPIMaps objects to add
+      const ogcapimLayers = [];
+      layersParam.forEach((layerParam) => {
+        let ogcapimLayer;
+        if (isObject(layerParam) && (layerParam instanceof OGCAPIMaps)) {
+          ogcapimLayer = layerParam;
+        } else if (!(layerParam instanceof Layer)) {
+          try {
+            ogcapimLayer = new OGCAPIMaps(layerParam, layerParam.options);
+          } catch (err) {
+            Dialog.error(err.toString());
+            throw err;
+          }
+        }
+        ogcapimLayer.setMap(this);
+        ogcapimLayers.push(ogcapimLayer);
+      });
+
+      // adds the layers
+      this.getImpl().addOGCAPIMaps(ogcapimLayers);
+      this.fire(EventType.ADDED_LAYER, [ogcapimLayers]);
+      this.fire(EventType.ADDED_OGCAPIMAPS, [ogcapimLayers]);
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas OGCAPIMaps del mapa.
+   *
+   * @function
+   * @param {Array<string>|Array<Mx.parameters.OGCAPIMaps>} layersParam Matriz de capas de
+   * nombres que desea eliminar.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  removeOGCAPIMaps(layersParam) {
+    if (!isNullOrEmpty(layersParam)) {
+      // checks if the implementation can manage layers
+      if (isUndefined(MapImpl.prototype.removeOGCAPIMaps)) {
+        Exception(getValue('exception').removeogcapimaps_method);
+      }
+
+      // gets the layers
+      const ogcapimLayers = this.getOGCAPIMaps(layersParam);
+      if (ogcapimLayers.length > 0) {
+        this.fire(EventType.REMOVED_LAYER, [ogcapimLayers]);
+        // removes the layers
+        this.getImpl().removeOGCAPIMaps(ogcapimLayers);
+      }
+    }
+    return this;
+  }
+
   /**
    * Este método obtiene las capas WMTS agregadas al mapa.
    *
@@ -1803,6 +2621,14 @@ class Map extends Base {
             case GetFeatureInfo.NAME:
               control = new GetFeatureInfo(true);
               break;
+            case Legend.NAME:
+              control = new Legend();
+              panel = new Panel(Legend.NAME, {
+                collapsible: false,
+                className: 'm-legend',
+                position: Position.BL,
+              });
+              break;
             case Rotate.NAME:
               control = new Rotate();
               panel = new Panel(Rotate.name, {
@@ -2653,11 +3479,36 @@ class Map extends Base {
       Exception(getValue('exception').destroy_method);
     }
 
+    unLanguage(EventType.CHANGE_LANG, this.translateView, this);
     this.getImpl().destroy();
 
     return this;
   }
 
+  /**
+   * Este método actualiza los textos del mapa cuando cambia el idioma
+   * ("M.evt.CHANGE_LANG"). Lanza el evento en sus controles, paneles,
+   * plugins y "popup" para que actualicen sus vistas sin volver a crearlas,
+   * manteniendo su estado, y después en el propio mapa.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @returns {Map} Devuelve el estado del mapa.
+   * @api
+   */
+  translateView(lang) {
+    this.getControls().forEach(control => control.fire(EventType.CHANGE_LANG, [lang]));
+    this._panels.forEach(panel => panel.fire(EventType.CHANGE_LANG, [lang]));
+    this._plugins.filter(plugin => isFunction(plugin.fire))
+      .forEach(plugin => plugin.fire(EventType.CHANGE_LANG, [lang]));
+    if (!isNullOrEmpty(this.popup_)) {
+      this.popup_.fire(EventType.CHANGE_LANG, [lang]);
+    }
+    this.fire(EventType.CHANGE_LANG, [lang]);
+    return this;
+  }
+
   /**
    * Añade la etiqueta.
    *
@@ -3117,4 +3968,20 @@ Map.DRAWLAYER_STYLE = {
   radius: 7,
 };
 
+/**
+ * Formatos de GetFeatureInfo de la consulta "identify", por orden
+ * de preferencia. Los formatos estructurados devuelven objetos geográficos.
+ *
+ * @const
+ * @type {Array<string>}
+ * @public
+ * @api
+ */
+Map.IDENTIFY_FORMATS = [
+  'application/json',
+  'application/vnd.ogc.gml',
+  'text/html',
+  'text/plain',
+];
+
 export default Map;
@@ -14,6 +14,18 @@ import { getValue } from './i18n/language';
  * @api
  */
 class Plugin extends Base {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} impl Implementación del plugin.
+   * @api
+   */
+  constructor(impl) {
+    super(impl);
+    this.on(EventType.CHANGE_LANG, this.translateView, this);
+  }
+
   /**
    * Este método añade el plugin al mapa.
    *
@@ -58,6 +70,19 @@ class Plugin extends Base {
    */
   createView(map) {}
 
+  /**
+   * Este método actualiza los textos del plugin cuando el mapa cambia de
+   * idioma ("M.evt.CHANGE_LANG"), por ejemplo, la información sobre la
+   * herramienta de su panel. Sus controles y paneles reciben también el
+   * evento. Por defecto no hace nada.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   */
+  translateView(lang) {}
+
   /**
    * Devuelve los plugins.
    * @public
@@ -5,11 +5,22 @@ import PopupImpl from 'impl/Popup';
 
 import 'assets/css/popup';
 import popupTemplate from 'templates/popup';
-import { isNullOrEmpty, returnPositionHtmlElement } from './util/Utils';
+import { isNullOrEmpty, isFunction } from './util/Utils';
 import Base from './Base';
-import { compileSync as compileTemplate } from './util/Template';
+import { compileSync as compileTemplate, updateSync as updateTemplate } from './util/Template';
 import * as EventType from './event/eventtype';
 import MWindow from './util/Window';
+import { getValue } from './i18n/language';
+
+/**
+ * Esta función devuelve un texto de la ventana, que puede indicarse
+ * como una función que lo devuelve en el idioma actual.
+ * @private
+ * @function
+ * @param {String|Function} text Texto o función.
+ * @returns {String} Texto.
+ */
+const resolveText = text => (isFunction(text) ? text() : text);
 
 /**
  * @classdesc
@@ -30,16 +41,18 @@ class Tab {
     this.icon = options.icon;
 
     /**
-     * Títulos.
+     * Títulos. Puede ser una función que devuelva el texto
+     * en el idioma actual.
      * @public
-     * @type {String}
+     * @type {String|Function}
      */
     this.title = options.title;
 
     /**
-     * Contenedor.
+     * Contenedor. Puede ser una función que devuelva el texto
+     * en el idioma actual.
      * @public
-     * @type {String}
+     * @type {String|Function}
      */
     this.content = options.content;
 
@@ -99,6 +112,8 @@ class Popup extends Base {
      * @type {string}
      */
     this.status_ = Popup.status.COLLAPSED;
+
+    this.on(EventType.CHANGE_LANG, this.translateView, this);
   }
 
   /**
@@ -146,12 +161,7 @@ class Popup extends Base {
   addTo(map, coordinate) {
     this.map_ = map;
     if (isNullOrEmpty(this.element_)) {
-      const html = compileTemplate(popupTemplate, {
-        jsonp: true,
-        vars: {
-          tabs: this.tabs_,
-        },
-      });
+      const html = this.compileTemplate_();
       if (this.tabs_.length > 0) {
         this.element_ = html;
         this.addEvents(html);
@@ -168,9 +178,7 @@ class Popup extends Base {
     }
 
     if (M.config.MOVE_MAP_EXTRACT) {
-      this.map_.getMapImpl()
-        .getView()
-        .animate({ zoom: this.map_.getZoom(), center: returnPositionHtmlElement('m-popup', this.map_), duration: 1000 });
+      this.getImpl().moveMapToPopup();
     }
   }
 
@@ -182,12 +190,7 @@ class Popup extends Base {
    */
   update() {
     if (!isNullOrEmpty(this.map_)) {
-      const html = compileTemplate(popupTemplate, {
-        jsonp: true,
-        vars: {
-          tabs: this.tabs_,
-        },
-      });
+      const html = this.compileTemplate_();
       if (this.tabs_.length > 0) {
         this.element_ = html;
         this.addEventTabs(this.tabs_[0], html);
@@ -198,6 +201,51 @@ class Popup extends Base {
     }
   }
 
+  /**
+   * Este método actualiza los textos del "popup" abierto cuando el mapa
+   * cambia de idioma ("M.evt.CHANGE_LANG"). Se actualizan la cabecera y el
+   * contenido de la ventana activa si se indicaron como funciones, sin
+   * modificar su estado.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   */
+  translateView(lang) {
+    if (!isNullOrEmpty(this.element_) && this.tabs_.length > 0) {
+      const html = this.compileTemplate_();
+      updateTemplate(this.element_.querySelector('div.m-header'), html.querySelector('div.m-header'));
+      const activeTab = this.element_.querySelector('div.m-tab.m-activated');
+      const tab = this.tabs_[isNullOrEmpty(activeTab) ? 0 : activeTab.getAttribute('data-index')];
+      if (!isNullOrEmpty(tab) && isFunction(tab.content)) {
+        this.setContent_(tab.content());
+        this.addEventTabs(tab, this.getContent());
+      }
+    }
+  }
+
+  /**
+   * Este método compila la plantilla del "popup" con los textos
+   * en el idioma actual.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @private
+   * @function
+   * @returns {HTMLElement} Plantilla del "popup".
+   */
+  compileTemplate_() {
+    return compileTemplate(popupTemplate, {
+      jsonp: true,
+      vars: {
+        tabs: this.tabs_.map(tab => Object.assign({}, tab, {
+          title: resolveText(tab.title),
+          content: resolveText(tab.content),
+        })),
+        close: getValue('popup').close,
+      },
+    });
+  }
+
   /**
    * Muestra la ventana.
    * @public
@@ -233,7 +281,7 @@ class Popup extends Base {
   switchTab(index) {
     if (this.tabs_.length > index) {
       const tab = this.tabs_[index];
-      this.setContent_(tab.content);
+      this.setContent_(resolveText(tab.content));
       this.addEventTabs(tab, this.getContent());
       this.show(this.coord_);
     }
@@ -80,6 +80,8 @@ class Control extends Base {
      * Declaración de variable.
      */
     this.controls_ = null;
+
+    this.on(EventType.CHANGE_LANG, this.translateView, this);
   }
 
   /**
@@ -141,6 +143,20 @@ class Control extends Base {
    */
   createView(map) {}
 
+  /**
+   * Este método actualiza los textos de la vista del control cuando
+   * el mapa cambia de idioma ("M.evt.CHANGE_LANG"). La vista no se vuelve
+   * a crear, por lo que el control mantiene su estado. Por defecto no hace
+   * nada, los controles con textos traducidos lo sobrescriben.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   * @export
+   */
+  translateView(lang) {}
+
   /**
    * Este método maneja la activación del control.
    *
@@ -25,6 +25,14 @@ class GetFeatureInfo extends ControlBase {
    * @param {object} options Opciones del control.
    * - featureCount. Número de objetos geográficos, por defecto 10.
    * - buffer. Configuración del "buffer", por defecto 5.
+   * - formats. Formatos de respuesta por orden de preferencia, por defecto
+   * ['text/html', 'text/plain', 'application/vnd.ogc.gml', 'application/json'].
+   * Con 'application/json' y 'application/vnd.ogc.gml' se obtienen objetos geográficos.
+   * - presenter. Nombre del presentador registrado en M.getfeatureinfo.presenter,
+   * el propio presentador o nulo para no mostrar los resultados. Por defecto, 'html'.
+   *
+   * Tras cada consulta se lanza el evento M.evt.QUERY_FEATURES con los resultados
+   * por capa (layer, layerName, format, features, content) y la coordenada consultada.
    * @api
    */
   constructor(activated, options = {}) {
@@ -32,6 +40,7 @@ class GetFeatureInfo extends ControlBase {
     const impl = new GetFeatureInfoImpl(activated, options);
     // calls the super constructor
     super(impl, GetFeatureInfo.NAME);
+    impl.facadeControl = this;
 
     if (isUndefined(GetFeatureInfoImpl)) {
       Exception(getValue('exception').getfeatureinfo_method);
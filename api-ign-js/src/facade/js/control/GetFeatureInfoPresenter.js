@@ -0,0 +1,248 @@
+/**
+ * Este módulo contiene los presentadores de los resultados de la
+ * herramienta de consulta GetFeatureInfo.
+ *
+ * Un presentador es un objeto con las funciones:
+ * - loading (opcional): Se llama al hacer la consulta, antes de tener los resultados.
+ * Recibe la coordenada consultada y el mapa.
+ * - show: Muestra los resultados. Recibe los resultados por capa, la coordenada
+ * consultada y el mapa.
+ *
+ * Cada resultado contiene la capa consultada (layer), su leyenda o nombre (layerName),
+ * el formato de la respuesta (format), los objetos geográficos obtenidos (features) y
+ * el contenido HTML de la respuesta en los formatos de texto (content).
+ * @module M/getfeatureinfo/presenter
+ * @example import { add } from 'M/getfeatureinfo/presenter';
+ */
+import getfeatureinfoPopupTemplate from 'templates/getfeatureinfo_popup';
+import getfeatureinfoLayers from 'templates/getfeatureinfo_layers';
+import Popup from '../Popup';
+import Exception from '../exception/exception';
+import { compileSync as compileTemplate } from '../util/Template';
+import { isNullOrEmpty, isFunction, beautifyAttribute } from '../util/Utils';
+import { getValue } from '../i18n/language';
+
+/**
+ * Nombre del presentador HTML, el presentador por defecto.
+ * @public
+ * @const
+ * @type {string}
+ * @api
+ */
+export const HTML = 'html';
+
+/**
+ * Esta función devuelve el contenido de la pestaña de carga.
+ *
+ * @function
+ * @returns {string} Contenido HTML.
+ */
+const getLoadingContent = () => {
+  return compileTemplate(getfeatureinfoPopupTemplate, {
+    vars: {
+      info: getValue('getfeatureinfo').loading,
+    },
+    parseToHtml: false,
+  });
+};
+
+/**
+ * Esta función devuelve una tabla HTML con los atributos de los objetos
+ * geográficos.
+ *
+ * @function
+ * @param {Array<M.Feature>} features Objetos geográficos.
+ * @param {string} layerName Nombre de la capa.
+ * @returns {string} Tabla HTML.
+ * @api
+ */
+export const featuresToHtml = (features, layerName) => {
+  let html = '';
+  features.forEach((feature) => {
+    const attributes = feature.getAttributes();
+    html += '<div class=\'divinfo\'>';
+    html += `<table class='mapea-table'><tbody><tr><td class='header' colspan='3'>${beautifyAttribute(layerName)}</td></tr>`;
+    Object.keys(attributes).forEach((attrName) => {
+      let attrValue = attributes[attrName];
+      if (isNullOrEmpty(attrValue)) {
+        attrValue = '-';
+      }
+      html += '<tr><td class="key"><b>';
+      html += beautifyAttribute(attrName);
+      html += '</b></td><td class="value">';
+      html += attrValue;
+      html += '</td></tr>';
+    });
+    html += '</tbody></table></div>';
+  });
+  return html;
+};
+
+/**
+ * Este método maneja el comportamiento de cierre/apertura de las secciones.
+ *
+ * @function
+ * @param {Event} e Evento.
+ * @param {M.Map} map Mapa.
+ */
+const toogleSection = (e, map) => {
+  const { target } = e;
+  const { parentElement } = target.parentElement;
+  const content = parentElement.querySelector('.m-getfeatureinfo-content-info-body');
+  if (content.classList.contains('m-content-collapsed')) {
+    content.classList.remove('m-content-collapsed');
+    target.classList.remove('m-arrow-right');
+    target.classList.add('m-arrow-down');
+    const popup = map.getPopup();
+    if (!isNullOrEmpty(popup) && !isNullOrEmpty(popup.getImpl().panIntoView)) {
+      popup.getImpl().panIntoView(popup.getCoordinate());
+    }
+  } else {
+    content.classList.add('m-content-collapsed');
+    target.classList.add('m-arrow-right');
+    target.classList.remove('m-arrow-down');
+  }
+};
+
+/**
+ * Esta función devuelve el título de la ventana emergente en el idioma
+ * actual. Las pestañas la reciben como título para traducirlo al
+ * cambiar de idioma.
+ *
+ * @function
+ * @returns {string} Título.
+ */
+const getPopupTitle = () => getValue('getfeatureinfo').info;
+
+/**
+ * Presentador HTML. Muestra los resultados en una ventana emergente
+ * con una sección por capa.
+ * @public
+ * @const
+ * @type {object}
+ * @api
+ */
+export const htmlPresenter = {
+  loading: (coordinate, map) => {
+    const loadingTab = {
+      icon: 'g-cartografia-info',
+      title: getPopupTitle,
+      content: getLoadingContent(),
+    };
+    let popup = map.getPopup();
+    if (isNullOrEmpty(popup)) {
+      popup = new Popup();
+      popup.addTab(loadingTab);
+      map.addPopup(popup, coordinate);
+    } else {
+      const hasExternalContent = popup.getTabs().some(tab => tab.title !== getPopupTitle);
+      if (!hasExternalContent) {
+        map.removePopup();
+        popup = new Popup();
+        popup.addTab(loadingTab);
+        map.addPopup(popup, coordinate);
+      } else {
+        popup.addTab(loadingTab);
+      }
+    }
+  },
+  show: (results, coordinate, map) => {
+    const popup = map.getPopup();
+    if (!isNullOrEmpty(popup)) {
+      popup.removeTab({ content: getLoadingContent() });
+      const infos = results.filter(result => result.features.length > 0 ||
+        !isNullOrEmpty(result.content)).map((result) => {
+        let formatedInfo = result.content;
+        if (result.features.length > 0) {
+          formatedInfo = featuresToHtml(result.features, result.layerName);
+        }
+        return { formatedInfo, layerName: result.layerName };
+      });
+      if (infos.length === 0) {
+        popup.addTab({
+          icon: 'g-cartografia-info',
+          title: getPopupTitle,
+          content: () => getValue('getfeatureinfo').no_info,
+        });
+      } else {
+        const getContent = () => {
+          const popupContent = compileTemplate(getfeatureinfoLayers, {
+            vars: {
+              layers: infos,
+              info_of: getValue('getfeatureinfo').info_of,
+            },
+            parseToHtml: false,
+          });
+          return popupContent.replace(/(.*)(<a href=.*)(>.*<\/a.*)/g, '$1$2 target="_blank"$3');
+        };
+        popup.addTab({
+          icon: 'g-cartografia-info',
+          title: getPopupTitle,
+          content: getContent,
+          listeners: [{
+            selector: '.m-getfeatureinfo-content-info div.m-arrow-right',
+            all: true,
+            type: 'click',
+            callback: e => toogleSection(e, map),
+          }],
+        });
+      }
+    }
+  },
+};
+
+/**
+ * Presentadores registrados por nombre. El presentador HTML se registra
+ * sin llamar a las funciones importadas, que pueden no estar disponibles
+ * mientras se carga el módulo.
+ * @private
+ * @type {object}
+ */
+const presenters = {
+  [HTML]: htmlPresenter,
+};
+
+/**
+ * Esta función registra un presentador. Si se indica una función,
+ * se usa como la función "show" del presentador.
+ *
+ * @function
+ * @param {string} name Nombre del presentador.
+ * @param {object|function} presenter Presentador.
+ * @api
+ */
+export const add = (name, presenter) => {
+  presenters[name] = isFunction(presenter) ? { show: presenter } : presenter;
+};
+
+/**
+ * Esta función devuelve un presentador. Si se indica un objeto o una
+ * función, se devuelve como presentador.
+ *
+ * @function
+ * @param {string|object|function} presenter Nombre del presentador o presentador.
+ * @returns {object} Presentador.
+ * @api
+ */
+export const get = (presenter) => {
+  let result = presenter;
+  if (typeof presenter === 'string') {
+    result = presenters[presenter];
+    if (isNullOrEmpty(result)) {
+      Exception(`${getValue('exception').no_presenter}: ${presenter}`);
+    }
+  } else if (isFunction(presenter)) {
+    result = { show: presenter };
+  }
+  return result;
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
@@ -0,0 +1,461 @@
+/**
+ * @module M/control/Legend
+ */
+import LegendImpl from 'impl/control/Legend';
+import legendTemplate from 'templates/legend';
+import legendLayersTemplate from 'templates/legend_layers';
+import 'assets/css/controls/legend';
+import { getValue } from '../i18n/language';
+import ControlBase from './Control';
+import { isUndefined, isNullOrEmpty, escapeXSS } from '../util/Utils';
+import Exception from '../exception/exception';
+import { compileSync as compileTemplate, updateSync as updateTemplate } from '../util/Template';
+
+/**
+ * Margen (px) de la leyenda exportada.
+ * @const
+ * @type {Number}
+ * @private
+ */
+const PADDING = 10;
+
+/**
+ * Separación (px) entre los elementos de la leyenda exportada.
+ * @const
+ * @type {Number}
+ * @private
+ */
+const SPACING = 5;
+
+/**
+ * Alto (px) de una línea de texto de la leyenda exportada.
+ * @const
+ * @type {Number}
+ * @private
+ */
+const LINE_HEIGHT = 16;
+
+/**
+ * Tipo de letra de la leyenda exportada.
+ * @const
+ * @type {String}
+ * @private
+ */
+const FONT_FAMILY = 'sans-serif';
+
+/**
+ * Esta función comprueba si un elemento de la leyenda se dibuja en la escala
+ * y el zoom indicados, con la misma semántica que M.style.RuleBased. Sin
+ * escala ni zoom se dibujan todos los elementos.
+ *
+ * @function
+ * @private
+ * @param {Object} item Elemento de la leyenda.
+ * @param {Number} scale Denominador de escala.
+ * @param {Number} zoom Nivel de zoom.
+ * @returns {Boolean} Verdadero si el elemento se dibuja.
+ */
+const isItemInRange = (item, scale, zoom) => {
+  let inRange = true;
+  if (!isNullOrEmpty(scale)) {
+    inRange = (isNullOrEmpty(item.minScale) || scale >= item.minScale) &&
+      (isNullOrEmpty(item.maxScale) || scale < item.maxScale);
+  }
+  if (inRange && !isNullOrEmpty(zoom)) {
+    inRange = (isNullOrEmpty(item.minZoom) || zoom > item.minZoom) &&
+      (isNullOrEmpty(item.maxZoom) || zoom <= item.maxZoom);
+  }
+  return inRange;
+};
+
+/**
+ * Esta función carga una imagen. Si no se puede cargar
+ * se resuelve con null.
+ *
+ * @function
+ * @private
+ * @param {String} src URL o base64 de la imagen.
+ * @returns {Promise<HTMLImageElement>} Imagen.
+ */
+const loadImage = (src) => {
+  return new Promise((resolve) => {
+    if (isNullOrEmpty(src)) {
+      resolve(null);
+    } else {
+      const image = new Image();
+      image.crossOrigin = 'Anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = src;
+    }
+  });
+};
+
+/**
+ * Esta función calcula la disposición de la leyenda exportada: el título,
+ * las capas con sus elementos (imagen y etiqueta) y la atribución.
+ *
+ * @function
+ * @private
+ * @param {String} title Título de la leyenda.
+ * @param {Array<Object>} layers Leyendas de las capas (ver M.control.Legend#getLegends).
+ * @param {String} attribution Atribución.
+ * @returns {Promise<Object>} Ancho (width), alto (height), textos (texts)
+ * e imágenes (images) de la leyenda.
+ */
+const buildLayout = (title, layers, attribution) => {
+  const items = [].concat(...layers.map(layer => layer.items));
+  return Promise.all(items.map(item => loadImage(item.image))).then((images) => {
+    const context = document.createElement('canvas').getContext('2d');
+    const layout = {
+      width: 0,
+      height: 0,
+      texts: [],
+      images: [],
+    };
+    let y = PADDING;
+    const addText = (text, x, centerY, size = 12, bold = false) => {
+      context.font = `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+      layout.texts.push({
+        text,
+        x,
+        y: centerY,
+        size,
+        bold,
+      });
+      layout.width = Math.max(layout.width, x + context.measureText(text).width);
+    };
+    const addLine = (text, size, bold) => {
+      if (!isNullOrEmpty(text)) {
+        addText(text, PADDING, y + (LINE_HEIGHT / 2), size, bold);
+        y += LINE_HEIGHT + SPACING;
+      }
+    };
+
+    addLine(title, 14, true);
+    let imageIndex = 0;
+    layers.forEach((layer) => {
+      addLine(layer.title, 12, true);
+      layer.items.forEach((item) => {
+        const image = images[imageIndex];
+        imageIndex += 1;
+        let textX = PADDING;
+        let height = LINE_HEIGHT;
+        if (!isNullOrEmpty(image)) {
+          layout.images.push({
+            src: item.image,
+            image,
+            x: PADDING,
+            y,
+            width: image.width,
+            height: image.height,
+          });
+          layout.width = Math.max(layout.width, PADDING + image.width);
+          textX += image.width + SPACING;
+          height = Math.max(height, image.height);
+        }
+        if (!isNullOrEmpty(item.label)) {
+          addText(item.label, textX, y + (height / 2));
+        }
+        y += height + SPACING;
+      });
+    });
+    addLine(attribution, 10, false);
+
+    layout.width = Math.ceil(layout.width + PADDING);
+    layout.height = Math.ceil((y - SPACING) + PADDING);
+    return layout;
+  });
+};
+
+/**
+ * @classdesc
+ * Muestra la leyenda de las capas visibles del mapa: el símbolo y la
+ * etiqueta de cada clase de su estilo (ver M.layer.Vector#getLegendItems).
+ * La leyenda se actualiza al añadir o eliminar capas, al cambiar su
+ * visibilidad o su estilo y al cambiar la escala, ocultando los elementos
+ * fuera de su rango de escalas. Se puede exportar como PNG o SVG.
+ *
+ * @api
+ * @extends {M.Control}
+ */
+class Legend extends ControlBase {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} options Opciones del control.
+   * - title: Título de la leyenda, por defecto el traducido.
+   * - attribution: Atribución que se muestra al pie de la leyenda.
+   * @api
+   */
+  constructor(options = {}) {
+    if (isUndefined(LegendImpl)) {
+      Exception(getValue('exception').legend_method);
+    }
+
+    // implementation of this control
+    const impl = new LegendImpl();
+
+    // calls the super constructor
+    super(impl, Legend.NAME);
+    impl.facadeControl = this;
+
+    /**
+     * Opciones del control.
+     * @private
+     * @type {Object}
+     */
+    this.options_ = options;
+
+    /**
+     * Identificador de la última actualización, para descartar
+     * las actualizaciones anteriores que terminen después.
+     * @private
+     * @type {Number}
+     */
+    this.updateId_ = 0;
+  }
+
+  /**
+   * Esta función crea la vista del control.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @returns {HTMLElement} Plantilla HTML.
+   * @api
+   */
+  createView(map) {
+    const html = compileTemplate(legendTemplate, {
+      vars: {
+        title: this.getTitle(),
+        attribution: this.options_.attribution,
+        exportPNG: getValue('legend').export_png,
+        exportSVG: getValue('legend').export_svg,
+      },
+    });
+    html.querySelectorAll('[data-legend-export]').forEach((button) => {
+      button.addEventListener('click', () => this.download_(button.dataset.legendExport));
+    });
+    return html;
+  }
+
+  /**
+   * Este método añade el control al mapa y dibuja la leyenda.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api
+   */
+  addTo(map) {
+    super.addTo(map);
+    this.update();
+  }
+
+  /**
+   * Este método actualiza los textos del control al cambiar el idioma.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   * @export
+   */
+  translateView(lang) {
+    updateTemplate(this.element_, this.createView(this.map_));
+    this.update();
+  }
+
+  /**
+   * Este método devuelve el título de la leyenda.
+   *
+   * @public
+   * @function
+   * @returns {String} Título.
+   * @api
+   */
+  getTitle() {
+    return isNullOrEmpty(this.options_.title) ? getValue('legend').title : this.options_.title;
+  }
+
+  /**
+   * Este método devuelve las leyendas de las capas visibles del mapa, en el
+   * orden en que se dibujan (la capa superior primero) y sin las capas base.
+   * Cada leyenda tiene la capa (layer), su título (title) y los elementos de
+   * la leyenda que se dibujan en la escala actual (items).
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Leyendas de las capas.
+   * @api
+   */
+  getLegends() {
+    let legends = Promise.resolve([]);
+    if (!isNullOrEmpty(this.map_)) {
+      const scale = this.map_.getScale();
+      const zoom = this.map_.getZoom();
+      const baseLayers = this.map_.getBaseLayers();
+      const layers = this.map_.getLayers().filter((layer) => {
+        return !baseLayers.includes(layer) && layer.displayInLayerSwitcher !== false &&
+          layer.isVisible() && layer.inRange();
+      }).reverse();
+      legends = Promise.all(layers.map((layer) => {
+        return layer.getLegendItems().catch(() => []).then(items => ({
+          layer,
+          title: layer.legend || layer.name,
+          items: items.filter(item => isItemInRange(item, scale, zoom)),
+        }));
+      })).then(layerLegends => layerLegends.filter(legend => legend.items.length > 0));
+    }
+    return legends;
+  }
+
+  /**
+   * Este método vuelve a dibujar la leyenda.
+   *
+   * @public
+   * @function
+   * @returns {Promise} Promesa que se resuelve al dibujar la leyenda.
+   * @api
+   */
+  update() {
+    this.updateId_ += 1;
+    const updateId = this.updateId_;
+    return this.getLegends().then((legends) => {
+      if (updateId === this.updateId_ && !isNullOrEmpty(this.element_)) {
+        const container = this.element_.querySelector('.m-legend-layers');
+        container.innerHTML = compileTemplate(legendLayersTemplate, {
+          parseToHtml: false,
+          vars: {
+            layers: legends,
+            empty: getValue('legend').empty,
+          },
+        });
+      }
+    });
+  }
+
+  /**
+   * Este método exporta la leyenda como imagen PNG.
+   *
+   * @public
+   * @function
+   * @returns {Promise<String>} Imagen PNG en base64.
+   * @api
+   */
+  exportPNG() {
+    return this.getLegends().then((legends) => {
+      return buildLayout(this.getTitle(), legends, this.options_.attribution);
+    }).then((layout) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = layout.width;
+      canvas.height = layout.height;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      layout.images.forEach((image) => {
+        context.drawImage(image.image, image.x, image.y, image.width, image.height);
+      });
+      context.fillStyle = '#000';
+      context.textBaseline = 'middle';
+      layout.texts.forEach((text) => {
+        context.font = `${text.bold ? 'bold ' : ''}${text.size}px ${FONT_FAMILY}`;
+        context.fillText(text.text, text.x, text.y);
+      });
+      return canvas.toDataURL('image/png');
+    });
+  }
+
+  /**
+   * Este método exporta la leyenda como documento SVG.
+   *
+   * @public
+   * @function
+   * @returns {Promise<String>} Documento SVG.
+   * @api
+   */
+  exportSVG() {
+    return this.getLegends().then((legends) => {
+      return buildLayout(this.getTitle(), legends, this.options_.attribution);
+    }).then((layout) => {
+      const images = layout.images.map((image) => {
+        return `<image x="${image.x}" y="${image.y}" width="${image.width}" ` +
+          `height="${image.height}" xlink:href="${escapeXSS(image.src)}"/>`;
+      });
+      const texts = layout.texts.map((text) => {
+        return `<text x="${text.x}" y="${text.y}" font-family="${FONT_FAMILY}" ` +
+          `font-size="${text.size}"${text.bold ? ' font-weight="bold"' : ''} ` +
+          `dominant-baseline="middle">${escapeXSS(text.text)}</text>`;
+      });
+      return '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+        `width="${layout.width}" height="${layout.height}">` +
+        '<rect width="100%" height="100%" fill="#fff"/>' +
+        `${images.join('')}${texts.join('')}</svg>`;
+    });
+  }
+
+  /**
+   * Este método exporta la leyenda y la descarga.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} format Formato: "png" o "svg".
+   * @api
+   */
+  download_(format) {
+    const exported = format === 'svg' ?
+      this.exportSVG().then(svg => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`) :
+      this.exportPNG();
+    exported.then((url) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${Legend.NAME}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    });
+  }
+
+  /**
+   * Esta función comprueba si un objeto es igual
+   * a este control.
+   *
+   * @public
+   * @function
+   * @param {*} obj Objeto a comparar.
+   * @returns {boolean} Iguales devuelve verdadero, falso si no son iguales.
+   * @api
+   */
+  equals(obj) {
+    return obj instanceof Legend;
+  }
+
+  /**
+   * Este método destruye el control y anula el registro de sus eventos.
+   *
+   * @public
+   * @function
+   * @api
+   * @export
+   */
+  destroy() {
+    this.getImpl().destroy();
+    this.updateId_ += 1;
+    this.element_ = null;
+    this.map_ = null;
+  }
+}
+
+/**
+ * Nombre para identificar este control.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+Legend.NAME = 'legend';
+
+export default Legend;
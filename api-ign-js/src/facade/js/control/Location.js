@@ -8,7 +8,7 @@ import { getValue } from '../i18n/language';
 import ControlBase from './Control';
 import { isUndefined } from '../util/Utils';
 import Exception from '../exception/exception';
-import { compileSync as compileTemplate } from '../util/Template';
+import { compileSync as compileTemplate, updateSync as updateTemplate } from '../util/Template';
 
 /**
  * @classdesc
@@ -59,6 +59,19 @@ class Location extends ControlBase {
     });
   }
 
+  /**
+   * Este método actualiza los textos del control al cambiar el idioma.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   * @export
+   */
+  translateView(lang) {
+    updateTemplate(this.element_, this.createView(this.map_));
+  }
+
   /**
    * Este método devuelve si el botón de activación
    * del control esta activado.
@@ -5,7 +5,7 @@ import 'assets/css/controls/rotate';
 import RotateImpl from 'impl/control/Rotate';
 import template from 'templates/rotate';
 import ControlBase from './Control';
-import { compileSync as compileTemplate } from '../util/Template';
+import { compileSync as compileTemplate, updateSync as updateTemplate } from '../util/Template';
 import { isUndefined } from '../util/Utils';
 import Exception from '../exception/exception';
 import { getValue } from '../i18n/language';
@@ -54,6 +54,19 @@ class Rotate extends ControlBase {
     });
   }
 
+  /**
+   * Este método actualiza los textos del control al cambiar el idioma.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   * @export
+   */
+  translateView(lang) {
+    updateTemplate(this.element_, this.createView(this.map_));
+  }
+
   /**
    * Este método comprueba si un objeto es igual
    * a este control.
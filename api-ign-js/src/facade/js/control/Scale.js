@@ -7,7 +7,7 @@ import ScaleImpl from 'impl/control/Scale';
 import ControlBase from './Control';
 import { isUndefined } from '../util/Utils';
 import Exception from '../exception/exception';
-import { compileSync as compileTemplate } from '../util/Template';
+import { compileSync as compileTemplate, updateSync as updateTemplate } from '../util/Template';
 import { getValue } from '../i18n/language';
 
 /**
@@ -68,6 +68,19 @@ class Scale extends ControlBase {
     });
   }
 
+  /**
+   * Este método actualiza los textos del control al cambiar el idioma.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   * @export
+   */
+  translateView(lang) {
+    updateTemplate(this.element_, this.createView(this.map_));
+  }
+
   /**
    * Esta función comprueba si un objeto es igual
    * a este control.
@@ -33,6 +33,22 @@ export const ADDED_LAYER = 'added:layer';
  */
 export const ADDED_KML = 'added:kml';
 
+/**
+ * Evento que se produce al añadir GPX.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_GPX = 'added:gpx';
+
+/**
+ * Evento que se produce al añadir TopoJSON.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_TOPOJSON = 'added:topojson';
+
 /**
  * Evento que se produce al añadir WMS.
  * @public
@@ -41,6 +57,22 @@ export const ADDED_KML = 'added:kml';
  */
 export const ADDED_WMS = 'added:wms';
 
+/**
+ * Evento que se produce al añadir WMC.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_WMC = 'added:wmc';
+
+/**
+ * Evento que se produce al añadir GeoPackage.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_GEOPACKAGE = 'added:geopackage';
+
 /**
  * Evento que se produce al añadir WFS.
  * @public
@@ -106,6 +138,22 @@ export const ADDED_QUICK_LAYERS = 'added:quicklayers';
  */
 export const ADDED_OGCAPIFEATURES = 'added:ogcapifeatures';
 
+/**
+ * Evento que se produce al añadir OGCAPITiles.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_OGCAPITILES = 'added:ogcapitiles';
+
+/**
+ * Evento que se produce al añadir OGCAPIMaps.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ADDED_OGCAPIMAPS = 'added:ogcapimaps';
+
 /**
  * Evento que se produce al eliminar layer.
  * @public
@@ -202,6 +250,24 @@ export const HOVER_FEATURES = 'hover:features';
  */
 export const LEAVE_FEATURES = 'leave:features';
 
+/**
+ * Evento que se produce cuando se obtienen los resultados
+ * de una consulta GetFeatureInfo.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const QUERY_FEATURES = 'query:features';
+
+/**
+ * Evento que se produce cuando el servicio rechaza cambios de objetos
+ * geográficos porque han sido modificados por otro usuario.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const EDIT_CONFLICT = 'edit:conflict';
+
 /**
  * Evento que se produce al ser cargado.
  * @public
@@ -210,6 +276,14 @@ export const LEAVE_FEATURES = 'leave:features';
  */
 export const LOAD = 'load';
 
+/**
+ * Evento que se produce cuando falla la carga.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const ERROR = 'error';
+
 /**
  * Evento que se produce al pasar un estado completado.
  * @public
@@ -250,6 +324,14 @@ export const CHANGE_STYLE = 'change:style';
  */
 export const CHANGE_ZOOM = 'change:zoom';
 
+/**
+ * Evento que se produce cuando se ha cambiado el idioma.
+ * @public
+ * @type {string}
+ * @api
+ */
+export const CHANGE_LANG = 'change:lang';
+
 /**
  * Evento que se produce cuando se hace clic.
  * @public
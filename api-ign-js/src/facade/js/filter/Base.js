@@ -32,6 +32,14 @@ class Base {
    * @function
    */
   toCQL() {}
+
+  /**
+   * Este método devuelve el filtro en OGC Filter Encoding.
+   *
+   * @protected
+   * @function
+   */
+  toXML() {}
 }
 
 export default Base;
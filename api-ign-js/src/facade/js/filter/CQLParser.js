@@ -0,0 +1,368 @@
+/**
+ * @module M/filter/CQLParser
+ */
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+
+/**
+ * Expresión regular de los elementos léxicos de CQL: cadenas, números,
+ * identificadores (con o sin comillas dobles), el marcador
+ * {{geometryName}} y los símbolos.
+ * @private
+ * @const
+ * @type {RegExp}
+ */
+const TOKEN_REGEXP = /\s*(?:('(?:[^']|'')*')|(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|("[^"]+"|\{\{\w+\}\}|[A-Za-z_][\w.:]*)|(<>|!=|<=|>=|[=<>(),]))/y;
+
+/**
+ * Operadores espaciales con geometría WKT.
+ * @private
+ * @const
+ * @type {Array<String>}
+ */
+const SPATIAL_OPERATORS = ['INTERSECTS', 'CONTAINS', 'DISJOINT', 'WITHIN', 'DWITHIN'];
+
+/**
+ * @classdesc
+ * Lee sentencias CQL (ECQL) y las transforma en un árbol de nodos
+ * con los predicados de comparación, lógicos y espaciales.
+ * Los nodos tienen el atributo "type" con uno de los valores:
+ * "and", "or", "not", "comparison", "like", "between", "in", "isnull",
+ * "spatial" o "bbox".
+ * @api
+ */
+class CQLParser {
+  /**
+   * Lee una sentencia CQL.
+   *
+   * @public
+   * @function
+   * @param {String} cql Sentencia CQL.
+   * @return {Object} Nodo raíz de la sentencia.
+   * @api
+   */
+  read(cql) {
+    this.cql_ = cql;
+    this.tokens_ = CQLParser.tokenize(cql);
+    this.position_ = 0;
+    const node = this.readOr_();
+    if (this.position_ < this.tokens_.length) {
+      this.fail_(this.peek_());
+    }
+    return node;
+  }
+
+  /**
+   * Divide una sentencia CQL en elementos léxicos.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} cql Sentencia CQL.
+   * @return {Array<Object>} Elementos léxicos { type, value, start, end }.
+   * @api
+   */
+  static tokenize(cql) {
+    const tokens = [];
+    const regexp = new RegExp(TOKEN_REGEXP.source, 'y');
+    let index = 0;
+    let match = regexp.exec(cql);
+    while (match !== null) {
+      const [, string, number, identifier, symbol] = match;
+      const text = string || number || identifier || symbol;
+      const token = { start: regexp.lastIndex - text.length, end: regexp.lastIndex };
+      if (string !== undefined) {
+        tokens.push({ ...token, type: 'string', value: string.slice(1, -1).replace(/''/g, '\'') });
+      } else if (number !== undefined) {
+        tokens.push({ ...token, type: 'number', value: Number(number) });
+      } else if (identifier !== undefined) {
+        tokens.push({ ...token, type: 'identifier', value: identifier.replace(/^"(.*)"$/, '$1') });
+      } else {
+        tokens.push({ ...token, type: 'symbol', value: symbol });
+      }
+      index = regexp.lastIndex;
+      match = regexp.exec(cql);
+    }
+    if (cql.substring(index).trim().length > 0) {
+      Exception(`${getValue('exception').invalid_cql}: ${cql.substring(index).trim()}`);
+    }
+    return tokens;
+  }
+
+  /**
+   * Lanza el error de sentencia no válida.
+   *
+   * @private
+   * @function
+   * @param {Object} token Elemento léxico no esperado.
+   */
+  fail_(token) {
+    const detail = token ? this.cql_.substring(token.start) : this.cql_;
+    Exception(`${getValue('exception').invalid_cql}: ${detail}`);
+  }
+
+  /**
+   * Devuelve el elemento léxico actual sin avanzar.
+   *
+   * @private
+   * @function
+   * @return {Object} Elemento léxico.
+   */
+  peek_() {
+    return this.tokens_[this.position_];
+  }
+
+  /**
+   * Avanza si el elemento léxico actual es la palabra clave o el
+   * símbolo indicado.
+   *
+   * @private
+   * @function
+   * @param {String} value Palabra clave o símbolo.
+   * @return {Boolean} Verdadero si se ha avanzado.
+   */
+  accept_(value) {
+    const token = this.peek_();
+    const accepted = token !== undefined && token.type !== 'string' &&
+      String(token.value).toUpperCase() === value;
+    if (accepted) {
+      this.position_ += 1;
+    }
+    return accepted;
+  }
+
+  /**
+   * Avanza sobre la palabra clave o el símbolo indicado
+   * o lanza un error si no está.
+   *
+   * @private
+   * @function
+   * @param {String} value Palabra clave o símbolo.
+   */
+  expect_(value) {
+    if (!this.accept_(value)) {
+      this.fail_(this.peek_());
+    }
+  }
+
+  /**
+   * Lee un elemento léxico del tipo indicado.
+   *
+   * @private
+   * @function
+   * @param {Array<String>} types Tipos aceptados.
+   * @return {*} Valor del elemento léxico.
+   */
+  readToken_(types) {
+    const token = this.peek_();
+    if (token === undefined || !types.includes(token.type)) {
+      this.fail_(token);
+    }
+    this.position_ += 1;
+    return token.value;
+  }
+
+  /**
+   * Lee una disyunción (OR).
+   *
+   * @private
+   * @function
+   * @return {Object} Nodo.
+   */
+  readOr_() {
+    const filters = [this.readAnd_()];
+    while (this.accept_('OR')) {
+      filters.push(this.readAnd_());
+    }
+    return (filters.length === 1) ? filters[0] : { type: 'or', filters };
+  }
+
+  /**
+   * Lee una conjunción (AND).
+   *
+   * @private
+   * @function
+   * @return {Object} Nodo.
+   */
+  readAnd_() {
+    const filters = [this.readNot_()];
+    while (this.accept_('AND')) {
+      filters.push(this.readNot_());
+    }
+    return (filters.length === 1) ? filters[0] : { type: 'and', filters };
+  }
+
+  /**
+   * Lee una negación (NOT) o un predicado.
+   *
+   * @private
+   * @function
+   * @return {Object} Nodo.
+   */
+  readNot_() {
+    let node;
+    if (this.accept_('NOT')) {
+      node = { type: 'not', filter: this.readNot_() };
+    } else if (this.accept_('(')) {
+      node = this.readOr_();
+      this.expect_(')');
+    } else {
+      node = this.readPredicate_();
+    }
+    return node;
+  }
+
+  /**
+   * Lee un predicado de comparación o espacial.
+   *
+   * @private
+   * @function
+   * @return {Object} Nodo.
+   */
+  readPredicate_() {
+    const token = this.peek_();
+    let node;
+    if (token !== undefined && token.type === 'identifier' &&
+      this.tokens_[this.position_ + 1] !== undefined &&
+      this.tokens_[this.position_ + 1].value === '(') {
+      node = this.readSpatial_();
+    } else {
+      const property = this.readToken_(['identifier']);
+      const negated = this.accept_('NOT');
+      if (this.accept_('LIKE')) {
+        node = { type: 'like', property, pattern: this.readToken_(['string']) };
+      } else if (this.accept_('ILIKE')) {
+        node = {
+          type: 'like',
+          property,
+          pattern: this.readToken_(['string']),
+          caseInsensitive: true,
+        };
+      } else if (this.accept_('BETWEEN')) {
+        const lower = this.readToken_(['string', 'number']);
+        this.expect_('AND');
+        node = {
+          type: 'between', property, lower, upper: this.readToken_(['string', 'number']),
+        };
+      } else if (this.accept_('IN')) {
+        node = { type: 'in', property, values: this.readList_(['string', 'number']) };
+      } else if (!negated && this.accept_('IS')) {
+        const notNull = this.accept_('NOT');
+        this.expect_('NULL');
+        node = { type: 'isnull', property };
+        if (notNull) {
+          node = { type: 'not', filter: node };
+        }
+      } else if (!negated) {
+        const operator = this.readToken_(['symbol']);
+        if (!['=', '<>', '!=', '<', '>', '<=', '>='].includes(operator)) {
+          this.fail_(this.tokens_[this.position_ - 1]);
+        }
+        node = {
+          type: 'comparison',
+          operator: (operator === '!=') ? '<>' : operator,
+          property,
+          value: this.readToken_(['string', 'number']),
+        };
+      } else {
+        this.fail_(this.peek_());
+      }
+      if (negated) {
+        node = { type: 'not', filter: node };
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Lee una lista de valores entre paréntesis.
+   *
+   * @private
+   * @function
+   * @param {Array<String>} types Tipos aceptados.
+   * @return {Array} Valores.
+   */
+  readList_(types) {
+    const values = [];
+    this.expect_('(');
+    do {
+      values.push(this.readToken_(types));
+    } while (this.accept_(','));
+    this.expect_(')');
+    return values;
+  }
+
+  /**
+   * Lee un predicado espacial.
+   *
+   * @private
+   * @function
+   * @return {Object} Nodo.
+   */
+  readSpatial_() {
+    const operator = this.readToken_(['identifier']).toUpperCase();
+    let node;
+    this.expect_('(');
+    const property = this.readToken_(['identifier']);
+    this.expect_(',');
+    if (operator === 'BBOX') {
+      const extent = [];
+      do {
+        extent.push(this.readToken_(['number']));
+      } while (extent.length < 4 && this.accept_(','));
+      node = { type: 'bbox', property, extent };
+      if (this.accept_(',')) {
+        node.srsName = this.readToken_(['string']);
+      }
+    } else if (SPATIAL_OPERATORS.includes(operator)) {
+      node = {
+        type: 'spatial', operator, property, geometry: this.readGeometry_(),
+      };
+      if (operator === 'DWITHIN') {
+        this.expect_(',');
+        node.distance = this.readToken_(['number']);
+        this.expect_(',');
+        node.units = this.readToken_(['identifier', 'string']);
+      }
+    } else {
+      this.fail_(this.tokens_[this.position_ - 3]);
+    }
+    this.expect_(')');
+    return node;
+  }
+
+  /**
+   * Lee una geometría WKT y devuelve su texto.
+   *
+   * @private
+   * @function
+   * @return {String} Geometría WKT.
+   */
+  readGeometry_() {
+    const first = this.peek_();
+    this.readToken_(['identifier']);
+    // optional dimension (Z, M, ZM) or EMPTY
+    while (this.peek_() !== undefined && this.peek_().type === 'identifier') {
+      this.position_ += 1;
+    }
+    let depth = 0;
+    let last = this.tokens_[this.position_ - 1];
+    if (this.peek_() !== undefined && this.peek_().value === '(') {
+      do {
+        last = this.peek_();
+        if (last === undefined) {
+          this.fail_(first);
+        }
+        if (last.value === '(') {
+          depth += 1;
+        } else if (last.value === ')') {
+          depth -= 1;
+        }
+        this.position_ += 1;
+      } while (depth > 0);
+    }
+    return this.cql_.substring(first.start, last.end);
+  }
+}
+
+export default CQLParser;
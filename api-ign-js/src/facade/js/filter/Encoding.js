@@ -0,0 +1,335 @@
+/**
+ * Este módulo contiene las funciones para escribir los filtros en CQL
+ * y en OGC Filter Encoding (XML), versiones 1.1.0 y 2.0.0.
+ * @module M/filter/Encoding
+ */
+import { isArray, isNullOrEmpty, isObject, isUndefined } from '../util/Utils';
+
+/**
+ * Versiones soportadas de OGC Filter Encoding.
+ * @const
+ * @type {object}
+ * @public
+ * @api
+ */
+export const VERSION = {
+  V1_1_0: '1.1.0',
+  V2_0_0: '2.0.0',
+};
+
+/**
+ * Marcador del nombre de la geometría, se sustituye por el nombre
+ * real de la geometría de la capa WFS.
+ * @const
+ * @type {String}
+ * @public
+ * @api
+ */
+export const GEOMETRY_NAME = '{{geometryName}}';
+
+/**
+ * Espacios de nombres de cada versión.
+ * @private
+ * @const
+ * @type {object}
+ */
+const NAMESPACES = {
+  [VERSION.V1_1_0]: {
+    prefix: 'ogc',
+    uri: 'http://www.opengis.net/ogc',
+    gml: 'http://www.opengis.net/gml',
+    property: 'PropertyName',
+    units: 'units',
+  },
+  [VERSION.V2_0_0]: {
+    prefix: 'fes',
+    uri: 'http://www.opengis.net/fes/2.0',
+    gml: 'http://www.opengis.net/gml/3.2',
+    property: 'ValueReference',
+    units: 'uom',
+  },
+};
+
+/**
+ * Obtiene los espacios de nombres de la versión indicada en las opciones.
+ *
+ * @private
+ * @function
+ * @param {Object} options Opciones de escritura.
+ * @return {Object} Espacios de nombres.
+ */
+const getNamespaces = (options = {}) => {
+  return NAMESPACES[options.version] || NAMESPACES[VERSION.V1_1_0];
+};
+
+/**
+ * Escapa los caracteres especiales de XML.
+ *
+ * @function
+ * @param {*} value Valor.
+ * @return {String} Valor escapado.
+ * @api
+ */
+export const escapeXML = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Escribe un valor literal en CQL. Los números se escriben sin comillas.
+ *
+ * @function
+ * @param {string|number} value Valor.
+ * @return {String} Valor CQL.
+ * @api
+ */
+export const toCQLValue = (value) => {
+  let cqlValue;
+  if (typeof value === 'number') {
+    cqlValue = String(value);
+  } else {
+    cqlValue = `'${String(value).replace(/'/g, '\'\'')}'`;
+  }
+  return cqlValue;
+};
+
+/**
+ * Escribe el nombre de un atributo en CQL. Los nombres que no son
+ * identificadores simples (con espacios, guiones...) se escriben entre
+ * comillas dobles.
+ *
+ * @function
+ * @param {string} name Nombre del atributo.
+ * @return {String} Nombre CQL.
+ * @api
+ */
+export const toCQLName = (name) => {
+  return /^[A-Za-z_][\w.]*$/.test(name) ? name : `"${name}"`;
+};
+
+/**
+ * Escribe un elemento del filtro.
+ *
+ * @function
+ * @param {String} name Nombre del operador.
+ * @param {String} content Contenido.
+ * @param {Object} options Opciones de escritura.
+ * - version: Versión de Filter Encoding, por defecto 1.1.0.
+ * @param {Object} attributes Atributos del elemento.
+ * @return {String} Elemento XML.
+ * @api
+ */
+export const element = (name, content, options, attributes = {}) => {
+  const { prefix } = getNamespaces(options);
+  const attrs = Object.keys(attributes)
+    .map(attr => ` ${attr}="${escapeXML(attributes[attr])}"`).join('');
+  return `<${prefix}:${name}${attrs}>${content}</${prefix}:${name}>`;
+};
+
+/**
+ * Escribe la referencia a un atributo (PropertyName o ValueReference).
+ *
+ * @function
+ * @param {String} name Nombre del atributo.
+ * @param {Object} options Opciones de escritura.
+ * @return {String} Elemento XML.
+ * @api
+ */
+export const property = (name, options) => {
+  return element(getNamespaces(options).property, escapeXML(name), options);
+};
+
+/**
+ * Escribe un valor literal.
+ *
+ * @function
+ * @param {string|number} value Valor.
+ * @param {Object} options Opciones de escritura.
+ * @return {String} Elemento XML.
+ * @api
+ */
+export const literal = (value, options) => {
+  return element('Literal', escapeXML(value), options);
+};
+
+/**
+ * Escribe la referencia a la geometría.
+ *
+ * @function
+ * @param {Object} options Opciones de escritura.
+ * - geometryName: Nombre de la geometría, por defecto "{{geometryName}}".
+ * @return {String} Elemento XML.
+ * @api
+ */
+export const geometryProperty = (options = {}) => {
+  return property(options.geometryName || GEOMETRY_NAME, options);
+};
+
+/**
+ * Combina varios operadores en uno (And, Or). Con un solo operador
+ * se devuelve el propio operador.
+ *
+ * @function
+ * @param {String} name Nombre del operador lógico.
+ * @param {Array<String>} operators Operadores XML.
+ * @param {Object} options Opciones de escritura.
+ * @return {String} Elemento XML.
+ * @api
+ */
+export const combine = (name, operators, options) => {
+  const filtered = operators.filter(op => !isNullOrEmpty(op));
+  let xml = filtered.join('');
+  if (filtered.length > 1) {
+    xml = element(name, xml, options);
+  }
+  return xml;
+};
+
+/**
+ * Escribe un elemento GML.
+ *
+ * @private
+ * @function
+ * @param {String} name Nombre del elemento.
+ * @param {String} content Contenido.
+ * @param {String} attributes Atributos ya escritos.
+ * @return {String} Elemento GML.
+ */
+const gmlElement = (name, content, attributes = '') => {
+  return `<gml:${name}${attributes}>${content}</gml:${name}>`;
+};
+
+/**
+ * Escribe una lista de coordenadas GML.
+ *
+ * @private
+ * @function
+ * @param {Array<Array<Number>>} coordinates Coordenadas.
+ * @return {String} Coordenadas separadas por espacios.
+ */
+const writePosList = (coordinates) => {
+  return coordinates.map(coord => `${coord[0]} ${coord[1]}`).join(' ');
+};
+
+/**
+ * Escribe las geometrías GML simples.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const SIMPLE_WRITERS = {
+  Point: coords => gmlElement('pos', writePosList([coords])),
+  LineString: coords => gmlElement('posList', writePosList(coords)),
+  Polygon: rings => rings.map((ring, i) => {
+    const linearRing = gmlElement('LinearRing', gmlElement('posList', writePosList(ring)));
+    return gmlElement((i === 0) ? 'exterior' : 'interior', linearRing);
+  }).join(''),
+};
+
+/**
+ * Escribe una geometría GeoJSON como geometría GML 3.
+ *
+ * @function
+ * @param {Object} geometry Geometría GeoJSON.
+ * @param {Object} options Opciones de escritura.
+ * - srsName: Sistema de referencia de la geometría.
+ * - version: Versión de Filter Encoding, la 2.0.0 usa GML 3.2.
+ * @return {String} Geometría GML.
+ * @api
+ */
+export const writeGeometry = (geometry, options = {}) => {
+  const isGML32 = getNamespaces(options).gml === NAMESPACES[VERSION.V2_0_0].gml;
+  const srsName = isNullOrEmpty(options.srsName) ? '' : ` srsName="${escapeXML(options.srsName)}"`;
+  const multiNames = {
+    MultiPoint: ['MultiPoint', 'pointMember', 'Point'],
+    MultiLineString: isGML32 ? ['MultiCurve', 'curveMember', 'LineString'] :
+      ['MultiLineString', 'lineStringMember', 'LineString'],
+    MultiPolygon: isGML32 ? ['MultiSurface', 'surfaceMember', 'Polygon'] :
+      ['MultiPolygon', 'polygonMember', 'Polygon'],
+  };
+  let gml = '';
+  if (!isUndefined(SIMPLE_WRITERS[geometry.type])) {
+    gml = gmlElement(geometry.type, SIMPLE_WRITERS[geometry.type](geometry.coordinates), srsName);
+  } else if (!isUndefined(multiNames[geometry.type])) {
+    const [multi, member, single] = multiNames[geometry.type];
+    const members = geometry.coordinates.map((coords) => {
+      return gmlElement(member, gmlElement(single, SIMPLE_WRITERS[single](coords)));
+    }).join('');
+    gml = gmlElement(multi, members, srsName);
+  }
+  return gml;
+};
+
+/**
+ * Escribe una extensión como envolvente GML.
+ *
+ * @function
+ * @param {Array<Number>} extent Extensión [minX, minY, maxX, maxY].
+ * @param {Object} options Opciones de escritura.
+ * - srsName: Sistema de referencia de la extensión.
+ * @return {String} Envolvente GML.
+ * @api
+ */
+export const writeEnvelope = (extent, options = {}) => {
+  const srsName = isNullOrEmpty(options.srsName) ? '' : ` srsName="${escapeXML(options.srsName)}"`;
+  const lowerCorner = gmlElement('lowerCorner', `${extent[0]} ${extent[1]}`);
+  const upperCorner = gmlElement('upperCorner', `${extent[2]} ${extent[3]}`);
+  return gmlElement('Envelope', lowerCorner.concat(upperCorner), srsName);
+};
+
+/**
+ * Normaliza una extensión como array [minX, minY, maxX, maxY].
+ *
+ * @function
+ * @param {Array<Number>|Mx.Extent} extent Extensión.
+ * @return {Array<Number>} Extensión.
+ * @api
+ */
+export const toExtentArray = (extent) => {
+  let extentArray = extent;
+  if (!isArray(extent) && isObject(extent)) {
+    extentArray = [extent.x.min, extent.y.min, extent.x.max, extent.y.max];
+  }
+  return extentArray;
+};
+
+/**
+ * Escribe el elemento raíz Filter con sus espacios de nombres.
+ *
+ * @function
+ * @param {String} operator Operador XML.
+ * @param {Object} options Opciones de escritura.
+ * @return {String} Filtro XML.
+ * @api
+ */
+export const writeFilter = (operator, options) => {
+  const namespaces = getNamespaces(options);
+  return `<${namespaces.prefix}:Filter xmlns:${namespaces.prefix}="${namespaces.uri}" xmlns:gml="${namespaces.gml}">${operator}</${namespaces.prefix}:Filter>`;
+};
+
+/**
+ * Obtiene el nombre del atributo de unidades de distancia de la versión.
+ *
+ * @function
+ * @param {Object} options Opciones de escritura.
+ * @return {String} Nombre del atributo.
+ * @api
+ */
+export const getUnitsAttribute = (options) => {
+  return getNamespaces(options).units;
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
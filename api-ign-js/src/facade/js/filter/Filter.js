@@ -2,6 +2,24 @@
  * @module M/filter
  */
 import FilterFunction from './Function';
+import CQLParser from './CQLParser';
+import {
+  combine,
+  element,
+  literal,
+  property,
+  toCQLName,
+  toCQLValue,
+} from './Encoding';
+import {
+  BBOX,
+  CONTAIN,
+  DISJOINT,
+  DWITHIN,
+  INTERSECT,
+  WITHIN,
+} from './Module';
+import WKT from '../format/WKT';
 /**
   * Esta función une los filtros para que se cumplan todos.
   *
@@ -25,6 +43,7 @@ export const AND = (filters) => {
     });
   }, {
     cqlFilter,
+    xmlFilter: options => combine('And', filters.map(filter => filter.getXMLFilter(options)), options),
   });
 };
 
@@ -51,6 +70,7 @@ export const OR = (filters) => {
     });
   }, {
     cqlFilter,
+    xmlFilter: options => combine('Or', filters.map(filter => filter.getXMLFilter(options)), options),
   });
 };
 
@@ -66,10 +86,37 @@ export const NOT = (filter) => {
   return new FilterFunction((feature) => {
     return !filter.getFunctionFilter()(feature);
   }, {
-    cqlFilter: `NOT ${filter.toCQL()}`,
+    cqlFilter: `NOT (${filter.toCQL()})`,
+    xmlFilter: options => element('Not', filter.getXMLFilter(options), options),
   });
 };
 
+/**
+ * Caracteres comodín del operador PropertyIsLike, los mismos que en CQL.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const LIKE_ATTRIBUTES = {
+  wildCard: '%',
+  singleChar: '_',
+  escapeChar: '\\',
+};
+
+/**
+ * Crea la función que escribe un operador de comparación
+ * entre un atributo y un valor en OGC Filter Encoding.
+ * @private
+ * @function
+ * @param {string} operator Nombre del operador.
+ * @param {string} nameAtt Nombre del atributo.
+ * @param {string|number} value Valor.
+ * @return {function} Función de escritura.
+ */
+const comparison = (operator, nameAtt, value) => (options) => {
+  return element(operator, property(nameAtt, options).concat(literal(value, options)), options);
+};
+
 /**
   * Esta función compara el valor del atributo indicado con el valor indicado.
   *
@@ -83,7 +130,8 @@ export const EQUAL = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return Object.is(feature.getAttribute(nameAtt), value);
   }, {
-    cqlFilter: `${nameAtt}='${value}'`,
+    cqlFilter: `${toCQLName(nameAtt)}=${toCQLValue(value)}`,
+    xmlFilter: comparison('PropertyIsEqualTo', nameAtt, value),
   });
 };
 
@@ -101,7 +149,11 @@ export const LIKE = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return (feature.getAttribute(nameAtt)).toString().match(new RegExp(value));
   }, {
-    cqlFilter: `${nameAtt} LIKE '%${value}%'`,
+    cqlFilter: `${toCQLName(nameAtt)} LIKE ${toCQLValue(`%${value}%`)}`,
+    xmlFilter: (options) => {
+      const content = property(nameAtt, options).concat(literal(`%${value}%`, options));
+      return element('PropertyIsLike', content, options, LIKE_ATTRIBUTES);
+    },
   });
 };
 
@@ -118,7 +170,8 @@ export const LT = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return feature.getAttribute(nameAtt) != null && feature.getAttribute(nameAtt) < value;
   }, {
-    cqlFilter: `${nameAtt} < '${value}'`,
+    cqlFilter: `${toCQLName(nameAtt)} < ${toCQLValue(value)}`,
+    xmlFilter: comparison('PropertyIsLessThan', nameAtt, value),
   });
 };
 
@@ -135,7 +188,8 @@ export const GT = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return feature.getAttribute(nameAtt) != null && feature.getAttribute(nameAtt) > value;
   }, {
-    cqlFilter: `${nameAtt} > '${value}'`,
+    cqlFilter: `${toCQLName(nameAtt)} > ${toCQLValue(value)}`,
+    xmlFilter: comparison('PropertyIsGreaterThan', nameAtt, value),
   });
 };
 
@@ -152,7 +206,8 @@ export const LTE = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return feature.getAttribute(nameAtt) != null && feature.getAttribute(nameAtt) <= value;
   }, {
-    cqlFilter: `${nameAtt} <= '${value}'`,
+    cqlFilter: `${toCQLName(nameAtt)} <= ${toCQLValue(value)}`,
+    xmlFilter: comparison('PropertyIsLessThanOrEqualTo', nameAtt, value),
   });
 };
 
@@ -169,10 +224,193 @@ export const GTE = (nameAtt, value) => {
   return new FilterFunction((feature) => {
     return feature.getAttribute(nameAtt) != null && feature.getAttribute(nameAtt) >= value;
   }, {
-    cqlFilter: `${nameAtt} >= '${value}'`,
+    cqlFilter: `${toCQLName(nameAtt)} >= ${toCQLValue(value)}`,
+    xmlFilter: comparison('PropertyIsGreaterThanOrEqualTo', nameAtt, value),
+  });
+};
+
+/**
+  * Esta función devuelve si el valor del atributo indicado de
+  * la característica está entre los valores indicados, ambos incluidos.
+  * @function
+  * @param {string} nameAtt Nombre del atributo.
+  * @param {string|number} lowerValue Valor mínimo.
+  * @param {string|number} upperValue Valor máximo.
+  * @return {M.Filter} Filtro.
+  * @api
+  */
+export const BETWEEN = (nameAtt, lowerValue, upperValue) => {
+  return new FilterFunction((feature) => {
+    const value = feature.getAttribute(nameAtt);
+    return value != null && value >= lowerValue && value <= upperValue;
+  }, {
+    cqlFilter: `${toCQLName(nameAtt)} BETWEEN ${toCQLValue(lowerValue)} AND ${toCQLValue(upperValue)}`,
+    xmlFilter: (options) => {
+      const lower = element('LowerBoundary', literal(lowerValue, options), options);
+      const upper = element('UpperBoundary', literal(upperValue, options), options);
+      return element('PropertyIsBetween', property(nameAtt, options).concat(lower, upper), options);
+    },
+  });
+};
+
+/**
+  * Esta función devuelve si el valor del atributo indicado de
+  * la característica es uno de los valores indicados.
+  * @function
+  * @param {string} nameAtt Nombre del atributo.
+  * @param {Array<string|number>} values Valores.
+  * @return {M.Filter} Filtro.
+  * @api
+  */
+export const IN = (nameAtt, values) => {
+  return new FilterFunction((feature) => {
+    const value = feature.getAttribute(nameAtt);
+    return values.some(v => Object.is(value, v));
+  }, {
+    cqlFilter: `${toCQLName(nameAtt)} IN (${values.map(toCQLValue).join(', ')})`,
+    // Filter Encoding has no IN operator
+    xmlFilter: (options) => {
+      const equals = values.map(value => comparison('PropertyIsEqualTo', nameAtt, value)(options));
+      return combine('Or', equals, options);
+    },
+  });
+};
+
+/**
+  * Esta función devuelve si el atributo indicado de la característica
+  * es nulo o no está definido.
+  * @function
+  * @param {string} nameAtt Nombre del atributo.
+  * @return {M.Filter} Filtro.
+  * @api
+  */
+export const ISNULL = (nameAtt) => {
+  return new FilterFunction((feature) => {
+    return feature.getAttribute(nameAtt) == null;
+  }, {
+    cqlFilter: `${toCQLName(nameAtt)} IS NULL`,
+    xmlFilter: options => element('PropertyIsNull', property(nameAtt, options), options),
+  });
+};
+
+/**
+ * Filtros espaciales de cada operador CQL.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const SPATIAL_FILTERS = {
+  INTERSECTS: INTERSECT,
+  CONTAINS: CONTAIN,
+  DISJOINT,
+  WITHIN,
+};
+
+/**
+ * Crea un filtro con un patrón LIKE de CQL. Los comodines son
+ * "%" (cualquier texto) y "_" (un carácter), escapados con "\\".
+ * @private
+ * @function
+ * @param {string} nameAtt Nombre del atributo.
+ * @param {string} pattern Patrón.
+ * @param {boolean} caseInsensitive No distingue mayúsculas (ILIKE).
+ * @return {M.Filter} Filtro.
+ */
+const likePattern = (nameAtt, pattern, caseInsensitive) => {
+  const source = pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/g, (match, escaped, wildcard, special) => {
+    let regexp;
+    if (escaped !== undefined) {
+      regexp = escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (wildcard !== undefined) {
+      regexp = (wildcard === '%') ? '.*' : '.';
+    } else {
+      regexp = `\\${special}`;
+    }
+    return regexp;
+  });
+  const regexp = new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+  return new FilterFunction((feature) => {
+    const value = feature.getAttribute(nameAtt);
+    return value != null && regexp.test(value.toString());
+  }, {
+    cqlFilter: `${toCQLName(nameAtt)} ${caseInsensitive ? 'ILIKE' : 'LIKE'} ${toCQLValue(pattern)}`,
+    xmlFilter: (options) => {
+      const content = property(nameAtt, options).concat(literal(pattern, options));
+      const attributes = caseInsensitive ? { ...LIKE_ATTRIBUTES, matchCase: 'false' } : LIKE_ATTRIBUTES;
+      return element('PropertyIsLike', content, options, attributes);
+    },
   });
 };
 
+/**
+ * Transforma un nodo de la sentencia CQL leída en filtro.
+ * @private
+ * @function
+ * @param {Object} node Nodo (M.filter.CQLParser).
+ * @return {M.Filter} Filtro.
+ */
+const toFilter = (node) => {
+  let filter;
+  if (node.type === 'and') {
+    filter = AND(node.filters.map(toFilter));
+  } else if (node.type === 'or') {
+    // the spatial filters with several geometries are written as OR
+    const [first] = node.filters;
+    const sameSpatial = node.filters.every(f => f.type === 'spatial' &&
+      f.operator === first.operator && f.distance === first.distance && f.units === first.units);
+    filter = sameSpatial ? toFilter({ ...first, geometry: node.filters.map(f => f.geometry) })
+      : OR(node.filters.map(toFilter));
+  } else if (node.type === 'not') {
+    filter = NOT(toFilter(node.filter));
+  } else if (node.type === 'comparison') {
+    const comparisons = {
+      '=': EQUAL,
+      '<>': (nameAtt, value) => NOT(EQUAL(nameAtt, value)),
+      '<': LT,
+      '>': GT,
+      '<=': LTE,
+      '>=': GTE,
+    };
+    filter = comparisons[node.operator](node.property, node.value);
+  } else if (node.type === 'like') {
+    const { pattern } = node;
+    const value = pattern.slice(1, -1);
+    filter = (!node.caseInsensitive && /^%.*%$/.test(pattern) && !/[%\\]/.test(value)) ?
+      LIKE(node.property, value) : likePattern(node.property, pattern, node.caseInsensitive);
+  } else if (node.type === 'between') {
+    filter = BETWEEN(node.property, node.lower, node.upper);
+  } else if (node.type === 'in') {
+    filter = IN(node.property, node.values);
+  } else if (node.type === 'isnull') {
+    filter = ISNULL(node.property);
+  } else if (node.type === 'bbox') {
+    filter = BBOX(node.extent, node.srsName);
+  } else if (node.type === 'spatial') {
+    const wktFormat = new WKT();
+    const wkts = [].concat(node.geometry);
+    const geometries = wkts.map(wkt => wktFormat.read(wkt).getGeometry());
+    filter = (node.operator === 'DWITHIN') ? DWITHIN(geometries, node.distance, node.units)
+      : SPATIAL_FILTERS[node.operator](geometries);
+  }
+  return filter;
+};
+
+/**
+  * Esta función crea el filtro equivalente a una sentencia CQL, con
+  * predicados de comparación (=, <>, <, >, <=, >=, LIKE, ILIKE, BETWEEN,
+  * IN, IS NULL), lógicos (AND, OR, NOT) y espaciales con geometrías WKT
+  * (INTERSECTS, CONTAINS, DISJOINT, WITHIN, DWITHIN, BBOX). El filtro
+  * devuelto escribe la misma sentencia con "toCQL".
+  *
+  * @function
+  * @param {string} cql Sentencia CQL.
+  * @return {M.Filter} Filtro.
+  * @api
+  */
+export const parse = (cql) => {
+  return toFilter(new CQLParser().read(cql));
+};
+
 /**
  * Este comentario no se verá, es necesario incluir
  * una exportación por defecto para que el compilador
@@ -2,7 +2,8 @@
  * @module M/filter/Function
  */
 import BaseFilter from './Base';
-import { isNullOrEmpty } from '../util/Utils';
+import { isNullOrEmpty, isFunction } from '../util/Utils';
+import { writeFilter } from './Encoding';
 
 /**
   * @classdesc
@@ -16,7 +17,9 @@ class Function extends BaseFilter {
     * @constructor
     * @param {function} filterFunction Función a ejecutar.
     * @param {Object} options Opciones:
-    * - cqlFilter
+    * - cqlFilter: Sentencia CQL.
+    * - xmlFilter: Función que escribe el operador en OGC Filter Encoding,
+    * recibe las opciones de escritura.
     * @api
     */
   constructor(filterFunction, options = {}) {
@@ -37,6 +40,16 @@ class Function extends BaseFilter {
     if (!isNullOrEmpty(options.cqlFilter)) {
       this.cqlFilter_ = options.cqlFilter;
     }
+
+    /**
+      * Función que escribe el operador en OGC Filter Encoding.
+      * @private
+      * @type {function}
+      */
+    this.xmlFilter_ = null;
+    if (isFunction(options.xmlFilter)) {
+      this.xmlFilter_ = options.xmlFilter;
+    }
   }
 
   /**
@@ -87,6 +100,45 @@ class Function extends BaseFilter {
   toCQL() {
     return this.cqlFilter_;
   }
+
+  /**
+    * Este método devuelve el operador del filtro en OGC Filter Encoding,
+    * sin el elemento raíz "Filter". Es vacío si el filtro no se
+    * puede escribir en XML.
+    *
+    * @public
+    * @function
+    * @param {Object} options Opciones de escritura.
+    * - version: Versión de Filter Encoding, 1.1.0 (por defecto) o 2.0.0.
+    * - geometryName: Nombre de la geometría, por defecto "{{geometryName}}".
+    * - srsName: Sistema de referencia de las geometrías.
+    * @return {string} Operador XML.
+    * @api
+    */
+  getXMLFilter(options = {}) {
+    let xmlFilter = '';
+    if (!isNullOrEmpty(this.xmlFilter_)) {
+      xmlFilter = this.xmlFilter_(options);
+    }
+    return xmlFilter;
+  }
+
+  /**
+    * Este método devuelve el filtro en OGC Filter Encoding para
+    * las peticiones GetFeature POST de WFS.
+    *
+    * @public
+    * @function
+    * @param {Object} options Opciones de escritura.
+    * - version: Versión de Filter Encoding, 1.1.0 (por defecto) o 2.0.0.
+    * - geometryName: Nombre de la geometría, por defecto "{{geometryName}}".
+    * - srsName: Sistema de referencia de las geometrías.
+    * @return {string} Filtro XML.
+    * @api
+    */
+  toXML(options = {}) {
+    return writeFilter(this.getXMLFilter(options), options);
+  }
 }
 
 export default Function;
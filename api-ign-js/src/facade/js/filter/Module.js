@@ -3,9 +3,20 @@
  */
 import { GeoJSONReader } from 'jsts/org/locationtech/jts/io';
 import RelateOp from 'jsts/org/locationtech/jts/operation/relate/RelateOp';
+import DistanceOp from 'jsts/org/locationtech/jts/operation/distance/DistanceOp';
+import Envelope from 'jsts/org/locationtech/jts/geom/Envelope';
 import Spatial from './Spatial';
+import {
+  combine,
+  element,
+  geometryProperty,
+  getUnitsAttribute,
+  toExtentArray,
+  writeEnvelope,
+  writeGeometry,
+} from './Encoding';
 import WKT from '../format/WKT';
-import { isArray, isObject } from '../util/Utils';
+import { isArray, isObject, isNullOrEmpty } from '../util/Utils';
 import Vector from '../layer/Vector';
 import Feature from '../feature/Feature';
 
@@ -48,9 +59,10 @@ export const parseParamToGeometries = (paramParameter) => {
   * @function
   * @param {Array} geometries Geometría.
   * @param {String} operation Operación.
+  * @param {String} extraParams Parámetros adicionales de la operación.
   * @return {String} Filtro.
   */
-const toCQLFilter = (operation, geometries) => {
+const toCQLFilter = (operation, geometries, extraParams = '') => {
   let cqlFilter = '';
   const wktFormat = new WKT();
   geometries.forEach((value, index) => {
@@ -64,11 +76,31 @@ const toCQLFilter = (operation, geometries) => {
       geometry.coordinates.length = 2;
     }
     const formatedGeometry = wktFormat.writeFeature(geometry);
-    cqlFilter += `${operation}({{geometryName}}, ${formatedGeometry})`;
+    cqlFilter += `${operation}({{geometryName}}, ${formatedGeometry}${extraParams})`;
   });
   return cqlFilter;
 };
 
+/**
+  * Transforma operación y geometrías a función de escritura en OGC
+  * Filter Encoding.
+  *
+  * @private
+  * @function
+  * @param {String} operation Operación.
+  * @param {Array} geometries Geometría.
+  * @param {Function} extraContent Escritura del contenido adicional del operador.
+  * @return {Function} Función de escritura.
+  */
+const toXMLFilter = (operation, geometries, extraContent = () => '') => (options) => {
+  // as in CQL, a feature matches if it matches any geometry
+  return combine('Or', geometries.map((geometry) => {
+    const content = geometryProperty(options)
+      .concat(writeGeometry(geometry, options), extraContent(options));
+    return element(operation, content, options);
+  }), options);
+};
+
 /**
   * Esta función crea un filtro espacial para saber qué entidades contienen otra entidad o capa.
   *
@@ -88,6 +120,7 @@ export const CONTAIN = (param) => {
     });
   }, {
     cqlFilter: toCQLFilter('CONTAINS', geometries),
+    xmlFilter: toXMLFilter('Contains', geometries),
   });
 };
 
@@ -111,6 +144,7 @@ export const DISJOINT = (param) => {
     });
   }, {
     cqlFilter: toCQLFilter('DISJOINT', geometries),
+    xmlFilter: toXMLFilter('Disjoint', geometries),
   });
 };
 
@@ -134,6 +168,7 @@ export const WITHIN = (param) => {
     });
   }, {
     cqlFilter: toCQLFilter('WITHIN', geometries),
+    xmlFilter: toXMLFilter('Within', geometries),
   });
 };
 
@@ -158,6 +193,70 @@ export const INTERSECT = (param) => {
     });
   }, {
     cqlFilter: toCQLFilter('INTERSECTS', geometries),
+    xmlFilter: toXMLFilter('Intersects', geometries),
+  });
+};
+
+/**
+  * Esta función crea un filtro espacial para saber qué objetos geográficos
+  * están a una distancia menor o igual a la indicada de otros objetos
+  * geográficos o capa. En el cliente la distancia se mide en unidades del mapa.
+  *
+  * @function
+  * @param {M.layer.Vector|M.Feature|object|Array<M.Feature|object>} param
+  * Capa o geometría sobre la que se realiza la consulta.
+  * @param {Number} distance Distancia.
+  * @param {String} units Unidades de la distancia en el servidor, por defecto "meters".
+  * @return {Spatial} Filtro.
+  * @api
+  */
+export const DWITHIN = (param, distance, units = 'meters') => {
+  const geometries = parseParamToGeometries(param);
+  return new Spatial((geometryToFilter, index) => {
+    if (isNullOrEmpty(geometryToFilter)) {
+      return false;
+    }
+    const geojsonParser = new GeoJSONReader();
+    const jtsGeomToFilter = geojsonParser.read(geometryToFilter);
+    return geometries.some((geom) => {
+      const jtsGeom = geojsonParser.read(geom);
+      return DistanceOp.isWithinDistance(jtsGeomToFilter, jtsGeom, distance);
+    });
+  }, {
+    cqlFilter: toCQLFilter('DWITHIN', geometries, `, ${distance}, ${units}`),
+    xmlFilter: toXMLFilter('DWithin', geometries, (options) => {
+      return element('Distance', distance, options, { [getUnitsAttribute(options)]: units });
+    }),
+  });
+};
+
+/**
+  * Esta función crea un filtro espacial para saber qué objetos geográficos
+  * intersecan con la extensión indicada.
+  *
+  * @function
+  * @param {Array<Number>|Mx.Extent} extent Extensión [minX, minY, maxX, maxY].
+  * @param {String} srsName Sistema de referencia de la extensión, opcional.
+  * @return {Spatial} Filtro.
+  * @api
+  */
+export const BBOX = (extent, srsName) => {
+  const bbox = toExtentArray(extent);
+  const envelope = new Envelope(bbox[0], bbox[2], bbox[1], bbox[3]);
+  const srsParam = isNullOrEmpty(srsName) ? '' : `, '${srsName}'`;
+  return new Spatial((geometryToFilter, index) => {
+    if (isNullOrEmpty(geometryToFilter)) {
+      return false;
+    }
+    const geojsonParser = new GeoJSONReader();
+    return geojsonParser.read(geometryToFilter).getEnvelopeInternal().intersects(envelope);
+  }, {
+    cqlFilter: `BBOX({{geometryName}}, ${bbox.join(', ')}${srsParam})`,
+    xmlFilter: (options) => {
+      const envelopeOptions = { ...options, srsName: srsName || options.srsName };
+      const content = geometryProperty(options).concat(writeEnvelope(bbox, envelopeOptions));
+      return element('BBOX', content, options);
+    },
   });
 };
 
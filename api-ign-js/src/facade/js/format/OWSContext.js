@@ -0,0 +1,274 @@
+/**
+ * @module M/format/OWSContext
+ */
+import { isNullOrEmpty, isUndefined, isString, isObject } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as LayerType from '../layer/Type';
+import { SERVICES } from './context';
+
+/**
+ * @classdesc
+ * Lee y escribe documentos OWS Context en su codificación GeoJSON
+ * (OGC 14-055r2). El contexto leído o escrito describe la proyección,
+ * el encuadre y las capas del mapa. El encuadre se escribe en la
+ * proyección del mapa, indicada en las propiedades "api-cnig" del documento.
+ * @api
+ */
+class OWSContext {
+  /**
+   * Lee un documento OWS Context.
+   *
+   * @public
+   * @function
+   * @param {String|Object} owsContext Documento OWS Context.
+   * @return {Object} Contexto con el título, la proyección, el encuadre y las capas.
+   * @api
+   */
+  read(owsContext) {
+    let owsContextVar = owsContext;
+    if (isString(owsContextVar)) {
+      owsContextVar = JSON.parse(owsContextVar);
+    }
+    if (!isObject(owsContextVar) || owsContextVar.type !== 'FeatureCollection') {
+      Exception(getValue('exception').invalid_context);
+    }
+
+    const properties = owsContextVar.properties || {};
+    const extension = properties[OWSContext.EXTENSION] || {};
+    const context = {
+      id: owsContextVar.id,
+      title: properties.title,
+      abstract: properties.subtitle,
+      bbox: owsContextVar.bbox,
+      projection: extension.projection,
+      units: extension.units,
+      maxExtent: extension.maxExtent,
+      controls: extension.controls,
+      layers: (owsContextVar.features || []).map(feature => this.readResource(feature))
+        .filter(layerContext => !isNullOrEmpty(layerContext.type)),
+    };
+    if (!isUndefined(properties.display)) {
+      context.size = [properties.display.pixelWidth, properties.display.pixelHeight];
+    }
+    return context;
+  }
+
+  /**
+   * Lee un recurso del documento como descripción de capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} feature Recurso del documento.
+   * @return {Object} Descripción de la capa.
+   * @api
+   */
+  readResource(feature) {
+    const properties = feature.properties || {};
+    let layerContext = properties[OWSContext.EXTENSION];
+    if (isUndefined(layerContext)) {
+      // resources written by other clients
+      layerContext = { formats: [], styles: [] };
+      const offering = (properties.offerings || [])
+        .find(off => !isUndefined(OWSContext.getType(off.code)));
+      if (!isUndefined(offering)) {
+        layerContext.type = OWSContext.getType(offering.code);
+        layerContext.service = SERVICES[layerContext.type];
+        const operation = (offering.operations || [])[0];
+        if (!isUndefined(operation)) {
+          const url = new URL(operation.href, window.location.href);
+          layerContext.name = url.searchParams.get('LAYERS') || url.searchParams.get('LAYER') ||
+            url.searchParams.get('TYPENAME') || url.searchParams.get('TYPENAMES') || undefined;
+          layerContext.url = (isUndefined(layerContext.name)) ? operation.href : operation.href.split('?')[0];
+          if (!isNullOrEmpty(operation.type)) {
+            layerContext.formats.push({ value: operation.type, current: true });
+          }
+        }
+        (offering.styles || []).forEach((style) => {
+          layerContext.styles.push({
+            name: style.name,
+            title: style.title,
+            current: style.default === true,
+            legend: style.legendURL,
+          });
+        });
+      }
+      layerContext.minScale = properties.minscaledenominator;
+      layerContext.maxScale = properties.maxscaledenominator;
+    }
+    return {
+      ...layerContext,
+      title: properties.title,
+      hidden: properties.active === false,
+    };
+  }
+
+  /**
+   * Escribe un contexto como documento OWS Context.
+   *
+   * @public
+   * @function
+   * @param {Object} context Contexto con el título, la proyección, el encuadre y las capas.
+   * @return {Object} Documento OWS Context.
+   * @api
+   */
+  write(context) {
+    const updated = new Date().toISOString();
+    const owsContext = {
+      type: 'FeatureCollection',
+      id: context.id || window.location.href,
+      bbox: context.bbox,
+      properties: {
+        links: {
+          profiles: [{ href: OWSContext.PROFILE }],
+        },
+        lang: 'es',
+        title: context.title || '',
+        updated,
+        [OWSContext.EXTENSION]: {
+          projection: context.projection,
+          units: context.units,
+          maxExtent: context.maxExtent,
+          controls: context.controls,
+        },
+      },
+      features: (context.layers || [])
+        .map(layerContext => this.writeResource(layerContext, updated)),
+    };
+    if (!isNullOrEmpty(context.abstract)) {
+      owsContext.properties.subtitle = context.abstract;
+    }
+    if (!isNullOrEmpty(context.size)) {
+      owsContext.properties.display = {
+        pixelWidth: context.size[0],
+        pixelHeight: context.size[1],
+      };
+    }
+    return owsContext;
+  }
+
+  /**
+   * Escribe la descripción de una capa como recurso del documento.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} layerContext Descripción de la capa.
+   * @param {String} updated Fecha de actualización.
+   * @return {Object} Recurso del documento.
+   * @api
+   */
+  writeResource(layerContext, updated) {
+    const { title, hidden, ...extension } = layerContext;
+    const formats = layerContext.formats || [];
+    const format = (formats.find(f => f.current) || formats[0]);
+    const operation = {
+      code: OWSContext.OPERATIONS[layerContext.type],
+      method: 'GET',
+      href: layerContext.url,
+    };
+    if (!isUndefined(format)) {
+      operation.type = format.value;
+    }
+    const offering = {
+      code: OWSContext.OFFERINGS[layerContext.type],
+      operations: [operation],
+    };
+    const styles = (layerContext.styles || []).filter(style => !isNullOrEmpty(style.name));
+    if (styles.length > 0) {
+      offering.styles = styles.map(style => ({
+        name: style.name,
+        title: style.title || style.name,
+        default: style.current === true,
+      }));
+    }
+
+    return {
+      type: 'Feature',
+      id: `${layerContext.url || ''}#${layerContext.name || ''}`,
+      geometry: null,
+      properties: {
+        title: title || layerContext.name || '',
+        updated,
+        active: hidden !== true,
+        offerings: [offering],
+        [OWSContext.EXTENSION]: extension,
+      },
+    };
+  }
+
+  /**
+   * Obtiene el tipo de capa de un código de oferta.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} code Código de la oferta.
+   * @return {String} Tipo de capa o indefinido si no está soportado.
+   * @api
+   */
+  static getType(code) {
+    return Object.keys(OWSContext.OFFERINGS)
+      .find(type => OWSContext.OFFERINGS[type] === code);
+  }
+}
+
+/**
+ * Perfil de los documentos OWS Context GeoJSON.
+ * @const
+ * @type {String}
+ * @public
+ * @api
+ */
+OWSContext.PROFILE = 'http://www.opengis.net/spec/owc-geojson/1.0/req/core';
+
+/**
+ * Nombre de las propiedades propias de API-CNIG en el documento.
+ * @const
+ * @type {String}
+ * @public
+ * @api
+ */
+OWSContext.EXTENSION = 'api-cnig';
+
+/**
+ * Código de la oferta de cada tipo de capa. Los tipos que no
+ * están definidos por el estándar usan códigos propios.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+OWSContext.OFFERINGS = {
+  [LayerType.WMS]: 'http://www.opengis.net/spec/owc-geojson/1.0/req/wms',
+  [LayerType.WMTS]: 'http://www.opengis.net/spec/owc-geojson/1.0/req/wmts',
+  [LayerType.WFS]: 'http://www.opengis.net/spec/owc-geojson/1.0/req/wfs',
+  [LayerType.KML]: 'http://www.opengis.net/spec/owc-geojson/1.0/req/kml',
+  [LayerType.GeoJSON]: 'http://www.opengis.net/spec/owc-geojson/1.0/req/geojson',
+  [LayerType.OGCAPIFeatures]: 'https://componentes.cnig.es/api-core/context/ogcapifeatures',
+  [LayerType.OGCAPITiles]: 'https://componentes.cnig.es/api-core/context/ogcapitiles',
+  [LayerType.OGCAPIMaps]: 'https://componentes.cnig.es/api-core/context/ogcapimaps',
+  [LayerType.XYZ]: 'https://componentes.cnig.es/api-core/context/xyz',
+};
+
+/**
+ * Código de la operación de cada tipo de capa.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+OWSContext.OPERATIONS = {
+  [LayerType.WMS]: 'GetMap',
+  [LayerType.WMTS]: 'GetTile',
+  [LayerType.WFS]: 'GetFeature',
+  [LayerType.KML]: 'GetKML',
+  [LayerType.GeoJSON]: 'GetGeoJSON',
+  [LayerType.OGCAPIFeatures]: 'GetFeatures',
+  [LayerType.OGCAPITiles]: 'GetTile',
+  [LayerType.OGCAPIMaps]: 'GetMap',
+  [LayerType.XYZ]: 'GetTile',
+};
+
+export default OWSContext;
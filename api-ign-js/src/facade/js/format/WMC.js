@@ -0,0 +1,71 @@
+/**
+ * @module M/format/WMC
+ */
+import WMCImpl from 'impl/format/wmc/WMC';
+import Base from '../Base';
+import { isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+
+/**
+ * @classdesc
+ * Lee y escribe documentos WMC (Web Map Context) 1.0.0 y 1.1.0.
+ * El contexto leído o escrito describe la proyección, el encuadre
+ * y las capas del mapa.
+ * @extends {M.facade.Base}
+ * @api
+ */
+class WMC extends Base {
+  /**
+   * Constructor principal de la clase. Crea un formateador WMC.
+   *
+   * @constructor
+   * @param {Object} options Parámetros opcionales.
+   * @api
+   */
+  constructor(options = {}) {
+    // checks if the implementation can create WMC formats
+    if (isUndefined(WMCImpl)) {
+      Exception(getValue('exception').wmc_method);
+    }
+
+    /**
+     * Implementación del formateador.
+     * @public
+     * @type {M.impl.format.WMC}
+     */
+    const impl = new WMCImpl(options);
+
+    // calls the super constructor
+    super(impl);
+  }
+
+  /**
+   * Lee un documento WMC.
+   *
+   * @public
+   * @function
+   * @param {String|Document} wmcDocument Documento WMC.
+   * @return {Object} Contexto con el título, la proyección, el encuadre y las capas.
+   * @api
+   */
+  read(wmcDocument) {
+    return this.getImpl().read(wmcDocument);
+  }
+
+  /**
+   * Escribe un contexto como documento WMC.
+   *
+   * @public
+   * @function
+   * @param {Object} context Contexto con el título, la proyección, el encuadre y las capas.
+   * @param {String} version Versión del documento, por defecto 1.1.0.
+   * @return {String} Documento WMC.
+   * @api
+   */
+  write(context, version) {
+    return this.getImpl().write(context, version);
+  }
+}
+
+export default WMC;
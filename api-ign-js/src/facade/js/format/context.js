@@ -0,0 +1,581 @@
+/**
+ * @module M/format/context
+ * @example import { getMapContext, loadMapContext } from 'M/format/context';
+ */
+import {
+  isNull,
+  isNullOrEmpty,
+  isUndefined,
+  isArray,
+  isObject,
+  isString,
+  isFunction,
+} from '../util/Utils';
+import * as LayerType from '../layer/Type';
+import * as Dialog from '../dialog';
+import { getValue } from '../i18n/language';
+import Style from '../style/Style';
+import WMS from '../layer/WMS';
+import WMTS from '../layer/WMTS';
+import WFS from '../layer/WFS';
+import KML from '../layer/KML';
+import GeoJSON from '../layer/GeoJSON';
+import OGCAPIFeatures from '../layer/OGCAPIFeatures';
+import OGCAPITiles from '../layer/OGCAPITiles';
+import OGCAPIMaps from '../layer/OGCAPIMaps';
+import XYZ from '../layer/XYZ';
+import Scale from '../control/Scale';
+import ScaleLine from '../control/ScaleLine';
+import Panzoombar from '../control/Panzoombar';
+import Panzoom from '../control/Panzoom';
+import Location from '../control/Location';
+import GetFeatureInfo from '../control/GetFeatureInfo';
+import Rotate from '../control/Rotate';
+import BackgroundLayers from '../control/BackgroundLayers';
+
+/**
+ * Identificador del servicio de cada tipo de capa soportado
+ * por los documentos de contexto (WMC y OWS Context).
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+export const SERVICES = {
+  [LayerType.WMS]: 'OGC:WMS',
+  [LayerType.WMTS]: 'OGC:WMTS',
+  [LayerType.WFS]: 'OGC:WFS',
+  [LayerType.KML]: 'KML',
+  [LayerType.GeoJSON]: 'GeoJSON',
+  [LayerType.OGCAPIFeatures]: 'OGC:API-Features',
+  [LayerType.OGCAPITiles]: 'OGC:API-Tiles',
+  [LayerType.OGCAPIMaps]: 'OGC:API-Maps',
+  [LayerType.XYZ]: 'XYZ',
+};
+
+/**
+ * Nombres de los controles que se pueden restaurar desde un contexto.
+ * @const
+ * @type {Array<String>}
+ * @public
+ */
+const CONTROLS = [
+  Scale.NAME,
+  ScaleLine.NAME,
+  Panzoombar.NAME,
+  Panzoom.NAME,
+  Location.NAME,
+  GetFeatureInfo.NAME,
+  Rotate.NAME,
+  BackgroundLayers.NAME,
+];
+
+/**
+ * Nombre de la capa de dibujo del mapa, no forma parte del contexto.
+ * @const
+ * @type {String}
+ * @public
+ */
+const DRAW_LAYER_NAME = '__draw__';
+
+/**
+ * Esta función obtiene el tipo de capa a partir del identificador
+ * del servicio. Si no se indica el servicio se considera WMS.
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {String} service Identificador del servicio.
+ * @returns {String} Tipo de capa o indefinido si el servicio no está soportado.
+ * @public
+ * @api
+ */
+export const getTypeFromService = (service) => {
+  let type;
+  if (isNullOrEmpty(service)) {
+    type = LayerType.WMS;
+  } else {
+    type = Object.keys(SERVICES).find((layerType) => {
+      return SERVICES[layerType].toLowerCase() === String(service).toLowerCase();
+    });
+  }
+  return type;
+};
+
+/**
+ * Esta función transforma una extensión a un array [minx, miny, maxx, maxy].
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {Mx.Extent|Array<Number>} extent Extensión.
+ * @returns {Array<Number>} Extensión como array.
+ * @public
+ * @api
+ */
+export const getExtentArray = (extent) => {
+  let extentArray = null;
+  if (isArray(extent)) {
+    extentArray = extent.map(Number);
+  } else if (isObject(extent) && !isNullOrEmpty(extent.x) && !isNullOrEmpty(extent.y)) {
+    extentArray = [extent.x.min, extent.y.min, extent.x.max, extent.y.max];
+  }
+  return extentArray;
+};
+
+/**
+ * Esta función copia las opciones de la capa que se pueden
+ * escribir en el documento (cadenas, números, booleanos y arrays de ellos).
+ *
+ * @function
+ * @param {Object} options Opciones de la capa.
+ * @returns {Object} Opciones serializables.
+ * @public
+ */
+const getSerializableOptions = (options) => {
+  const serializable = {};
+  if (isObject(options)) {
+    const isPrimitive = value => ['string', 'number', 'boolean'].includes(typeof value);
+    Object.keys(options).forEach((key) => {
+      const value = options[key];
+      if (isPrimitive(value) || (isArray(value) && value.every(isPrimitive))) {
+        serializable[key] = value;
+      }
+    });
+  }
+  return serializable;
+};
+
+/**
+ * Esta función obtiene el estilo serializado de una capa vectorial.
+ *
+ * @function
+ * @param {M.layer.Vector} layer Capa vectorial.
+ * @returns {String} Estilo serializado o indefinido si la capa no tiene estilo
+ * o su estilo no puede serializarse.
+ * @public
+ */
+const getSerializedStyle = (layer) => {
+  let serializedStyle;
+  if (isFunction(layer.getStyle)) {
+    const style = layer.getStyle();
+    if (!isNullOrEmpty(style) && isFunction(style.serialize)) {
+      try {
+        serializedStyle = style.serialize();
+      } catch (err) {
+        serializedStyle = undefined;
+      }
+    }
+  }
+  return serializedStyle;
+};
+
+/**
+ * Esta función obtiene el estilo a partir de su serialización.
+ *
+ * @function
+ * @param {String} serializedStyle Estilo serializado.
+ * @returns {M.Style} Estilo o indefinido si no se indica o no es válido.
+ * @private
+ */
+const getDeserializedStyle = (serializedStyle) => {
+  let style;
+  if (isString(serializedStyle) && !isNullOrEmpty(serializedStyle)) {
+    try {
+      style = Style.deserialize(serializedStyle);
+    } catch (err) {
+      style = undefined;
+    }
+  }
+  return style;
+};
+
+/**
+ * Esta función obtiene la descripción de una capa para los documentos
+ * de contexto. La descripción sigue la estructura de las capas de un
+ * documento WMC, las propiedades propias de cada tipo de capa
+ * se guardan en "options".
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {M.Layer} layer Capa.
+ * @returns {Object} Descripción de la capa.
+ * @public
+ * @api
+ */
+export const getLayerContext = (layer) => {
+  const layerContext = {
+    type: layer.type,
+    service: SERVICES[layer.type],
+    url: layer.url,
+    name: layer.name,
+    title: layer.legend,
+    hidden: !layer.isVisible(),
+    queryable: layer.isQueryable(),
+    transparent: layer.transparent !== false,
+    isBaseLayer: layer.transparent === false,
+    displayInLayerSwitcher: layer.displayInLayerSwitcher,
+    opacity: layer.getOpacity(),
+    zIndex: layer.getZIndex(),
+    maxExtent: getExtentArray(layer.userMaxExtent),
+    formats: [],
+    styles: [],
+    options: {},
+  };
+
+  if (layer.type === LayerType.WMS) {
+    const options = getSerializableOptions(layer.options);
+    delete options.visibility;
+    delete options.queryable;
+    delete options.displayInLayerSwitcher;
+    layerContext.version = layer.version;
+    layerContext.singleTile = layer.tiled === false;
+    layerContext.formats.push({ value: options.format || 'image/png', current: true });
+    layerContext.styles.push({ name: options.styles || '', current: true });
+    delete options.format;
+    delete options.styles;
+    layerContext.options = options;
+  } else if (layer.type === LayerType.WMTS) {
+    layerContext.options = {
+      ...getSerializableOptions(layer.options),
+      matrixSet: layer.matrixSet,
+    };
+  } else if (layer.type === LayerType.WFS) {
+    layerContext.version = layer.version;
+    layerContext.options = {
+      namespace: layer.namespace,
+      cql: layer.cql,
+      ids: layer.ids,
+      geometry: layer.geometry,
+      extract: layer.extract,
+    };
+  } else if (layer.type === LayerType.KML) {
+    layerContext.options = {
+      extract: layer.extract,
+      label: layer.label,
+    };
+  } else if (layer.type === LayerType.GeoJSON) {
+    layerContext.options = {
+      extract: layer.extract,
+    };
+    // the features of a GeoJSON without URL are written in the document
+    if (isNullOrEmpty(layer.url)) {
+      layerContext.options.source = {
+        ...layer.toGeoJSON(),
+        crs: {
+          type: 'EPSG',
+          properties: {
+            code: '4326',
+          },
+        },
+      };
+    }
+  } else if (layer.type === LayerType.OGCAPIFeatures) {
+    layerContext.options = {
+      limit: layer.limit,
+      bbox: layer.bbox,
+      format: layer.format,
+      offset: layer.offset,
+      id: layer.id,
+      conditional: layer.conditional,
+      extract: layer.extract,
+    };
+  } else if (layer.type === LayerType.OGCAPITiles) {
+    layerContext.options = {
+      tileMatrixSet: layer.tileMatrixSet,
+      dataType: layer.dataType,
+    };
+  } else if (layer.type === LayerType.OGCAPIMaps) {
+    layerContext.formats.push({ value: layer.format, current: true });
+    layerContext.options = {
+      styleId: layer.styleId,
+    };
+  } else if (layer.type === LayerType.XYZ) {
+    layerContext.options = {
+      minZoom: layer.minZoom,
+      maxZoom: layer.maxZoom,
+      tileGridMaxZoom: layer.tileGridMaxZoom,
+    };
+  }
+
+  const style = getSerializedStyle(layer);
+  if (!isUndefined(style)) {
+    layerContext.options.style = style;
+  }
+
+  // removes the undefined and infinite values
+  Object.keys(layerContext.options).forEach((key) => {
+    const value = layerContext.options[key];
+    if (isUndefined(value) || value === null ||
+      value === Number.POSITIVE_INFINITY || value === Number.NEGATIVE_INFINITY) {
+      delete layerContext.options[key];
+    }
+  });
+
+  return layerContext;
+};
+
+/**
+ * Esta función crea una capa a partir de su descripción en el contexto.
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {Object} layerContext Descripción de la capa.
+ * @param {Array<Number>} contextMaxExtent Extensión máxima del contexto, opcional.
+ * @returns {M.Layer} Capa o nulo si el tipo de capa no está soportado.
+ * @public
+ * @api
+ */
+export const getLayer = (layerContext, contextMaxExtent) => {
+  let layer = null;
+  const type = layerContext.type || getTypeFromService(layerContext.service);
+  const options = layerContext.options || {};
+  const formats = layerContext.formats || [];
+  const styles = layerContext.styles || [];
+  const visibility = layerContext.hidden !== true;
+
+  let transparent = layerContext.isBaseLayer !== true;
+  if (!isUndefined(layerContext.transparent) && isUndefined(layerContext.isBaseLayer)) {
+    transparent = layerContext.transparent;
+  }
+
+  const parameters = {
+    url: layerContext.url,
+    name: layerContext.name,
+    legend: layerContext.title,
+    transparent,
+    visibility,
+  };
+  if (!isUndefined(layerContext.displayInLayerSwitcher)) {
+    parameters.displayInLayerSwitcher = layerContext.displayInLayerSwitcher;
+  }
+
+  if (type === LayerType.WMS) {
+    const currentFormat = formats.find(format => format.current) || formats[0];
+    const currentStyle = styles.find(style => style.current) || styles[0];
+    const wmsOptions = { ...options };
+    const maxExtent = layerContext.maxExtent || contextMaxExtent;
+    if (!isNullOrEmpty(maxExtent)) {
+      wmsOptions.wmcMaxExtent = maxExtent;
+    }
+    if (!isUndefined(currentFormat)) {
+      wmsOptions.format = currentFormat.value;
+    }
+    if (!isUndefined(currentStyle) && !isNullOrEmpty(currentStyle.name)) {
+      wmsOptions.styles = currentStyle.name;
+    }
+    ['minScale', 'maxScale', 'numZoomLevels'].forEach((option) => {
+      if (!isUndefined(layerContext[option])) {
+        wmsOptions[option] = layerContext[option];
+      }
+    });
+    layer = new WMS({
+      ...parameters,
+      version: layerContext.version,
+      tiled: layerContext.singleTile !== true,
+      queryable: layerContext.queryable,
+    }, wmsOptions);
+    if (!isUndefined(currentStyle) && !isNullOrEmpty(currentStyle.legend)) {
+      layer.setLegendURL(currentStyle.legend);
+    }
+  } else if (type === LayerType.WMTS) {
+    const { matrixSet, ...wmtsOptions } = options;
+    layer = new WMTS({
+      ...parameters,
+      matrixSet,
+      format: wmtsOptions.format,
+      queryable: layerContext.queryable,
+    }, wmtsOptions);
+  } else if (type === LayerType.WFS) {
+    layer = new WFS({
+      ...parameters,
+      version: layerContext.version,
+      namespace: options.namespace,
+      cql: options.cql,
+      ids: options.ids,
+      geometry: options.geometry,
+      extract: options.extract,
+    }, { style: getDeserializedStyle(options.style) });
+  } else if (type === LayerType.KML) {
+    layer = new KML({
+      ...parameters,
+      extract: options.extract,
+      label: options.label,
+    });
+  } else if (type === LayerType.GeoJSON) {
+    layer = new GeoJSON({
+      ...parameters,
+      source: options.source,
+      extract: options.extract,
+    }, { style: getDeserializedStyle(options.style) });
+  } else if (type === LayerType.OGCAPIFeatures) {
+    layer = new OGCAPIFeatures({
+      ...parameters,
+      limit: options.limit,
+      bbox: options.bbox,
+      format: options.format,
+      offset: options.offset,
+      id: options.id,
+      conditional: options.conditional,
+      extract: options.extract,
+    }, { style: getDeserializedStyle(options.style) });
+  } else if (type === LayerType.OGCAPITiles) {
+    layer = new OGCAPITiles({
+      ...parameters,
+      tileMatrixSet: options.tileMatrixSet,
+      dataType: options.dataType,
+    });
+  } else if (type === LayerType.OGCAPIMaps) {
+    const currentFormat = formats.find(format => format.current) || formats[0];
+    layer = new OGCAPIMaps({
+      ...parameters,
+      format: isUndefined(currentFormat) ? undefined : currentFormat.value,
+      styleId: options.styleId,
+    });
+  } else if (type === LayerType.XYZ) {
+    layer = new XYZ({
+      ...parameters,
+      minZoom: options.minZoom,
+      maxZoom: options.maxZoom,
+      tileGridMaxZoom: options.tileGridMaxZoom,
+    });
+  }
+
+  if (!isNull(layer)) {
+    if (!isNullOrEmpty(layerContext.opacity)) {
+      layer.setOpacity(layerContext.opacity);
+    }
+    if (!isNullOrEmpty(layerContext.zIndex) && transparent) {
+      layer.setZIndex(layerContext.zIndex);
+    }
+  }
+  return layer;
+};
+
+/**
+ * Esta función crea las capas a partir de sus descripciones en el contexto.
+ * Las capas con un servicio no soportado no se crean y se informa de ellas
+ * al usuario.
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {Array<Object>} layerContexts Descripciones de las capas.
+ * @param {Array<Number>} contextMaxExtent Extensión máxima del contexto, opcional.
+ * @returns {Array<M.Layer>} Capas en el mismo orden que sus descripciones,
+ * nulo en las que no están soportadas.
+ * @public
+ * @api
+ */
+export const getLayers = (layerContexts, contextMaxExtent) => {
+  const unsupported = [];
+  const layers = layerContexts.map((layerContext) => {
+    const layer = getLayer(layerContext, contextMaxExtent);
+    if (isNull(layer)) {
+      unsupported.push(layerContext.title || layerContext.name || layerContext.url);
+    }
+    return layer;
+  });
+  if (unsupported.length > 0) {
+    Dialog.info(`${getValue('dialog').unsupported_context_layers}: ${unsupported.join(', ')}`);
+  }
+  return layers;
+};
+
+/**
+ * Esta función obtiene el contexto del mapa: proyección, encuadre,
+ * extensión máxima, controles y capas.
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {M.Map} map Mapa.
+ * @param {Object} options Opciones del contexto.
+ * - id: Identificador del contexto.
+ * - title: Título del contexto.
+ * - abstract: Descripción del contexto.
+ * @returns {Object} Contexto del mapa.
+ * @public
+ * @api
+ */
+export const getMapContext = (map, options = {}) => {
+  const projection = map.getProjection();
+  const container = map.getContainer();
+  const context = {
+    id: options.id,
+    title: options.title || document.title,
+    abstract: options.abstract,
+    projection: projection.code,
+    units: projection.units,
+    bbox: getExtentArray(map.getBbox()),
+    maxExtent: getExtentArray(map.userMaxExtent),
+    size: [container.offsetWidth, container.offsetHeight],
+    controls: map.getControls().map(control => control.name)
+      .filter(name => CONTROLS.includes(name)),
+    layers: map.getLayers()
+      .filter(layer => layer.name !== DRAW_LAYER_NAME)
+      .filter(layer => !isUndefined(SERVICES[layer.type]))
+      .map(getLayerContext),
+  };
+  return context;
+};
+
+/**
+ * Esta función restaura un contexto en el mapa: establece la proyección,
+ * sustituye las capas del mapa por las del contexto, añade los controles
+ * que falten y encuadra el mapa.
+ * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @function
+ * @param {M.Map} map Mapa.
+ * @param {Object} context Contexto leído de un documento WMC u OWS Context.
+ * @public
+ * @api
+ */
+export const loadMapContext = (map, context) => {
+  if (!isNullOrEmpty(context.projection)) {
+    const projection = map.getProjection();
+    if (projection.code !== context.projection) {
+      map.setProjection({
+        code: context.projection,
+        units: context.units || projection.units,
+      });
+    }
+  }
+
+  const currentLayers = map.getLayers().filter(layer => layer.name !== DRAW_LAYER_NAME);
+  if (currentLayers.length > 0) {
+    map.removeLayers(currentLayers);
+  }
+
+  if (!isNullOrEmpty(context.maxExtent)) {
+    map.setMaxExtent(context.maxExtent, false);
+  }
+
+  const layerContexts = (context.layers || []);
+  const layers = getLayers(layerContexts, context.maxExtent);
+  map.addLayers(layers.filter(layer => !isNull(layer)));
+  // the base layers visibility is changed by the map when they are added
+  layers.forEach((layer, i) => {
+    if (!isNull(layer)) {
+      layer.setVisible(layerContexts[i].hidden !== true);
+    }
+  });
+
+  if (isArray(context.controls)) {
+    const controls = context.controls
+      .filter(name => isString(name) && CONTROLS.includes(name))
+      .filter(name => map.getControls(name).length === 0);
+    map.addControls(controls);
+  }
+
+  if (!isNullOrEmpty(context.bbox)) {
+    map.setBbox(context.bbox);
+  }
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
@@ -3,12 +3,32 @@
  */
 import en from './en';
 import es from './es';
+import ca from './ca';
+import gl from './gl';
+import eu from './eu';
+import va from './va';
 import Exception from '../exception/exception';
+import EventsManager from '../event/Manager';
+import * as EventType from '../event/eventtype';
 
-import pluginsLanguage from './plugins';
+/**
+ * Idioma por defecto. Las claves que no estén traducidas en
+ * un idioma se toman de este.
+ * @public
+ * @const
+ * @type {string}
+ * @api
+ */
+export const DEFAULT_LANG = 'es';
 
 /**
- * Opciones de idiomas por defecto, (español, "es.json" o inglés, "en.json").
+ * Opciones de idiomas por defecto: español ("es.json"), inglés ("en.json"),
+ * catalán ("ca.json"), gallego ("gl.json"), euskera ("eu.json") y
+ * valenciano ("va.json").
+ * - translations: Traducciones de la API-CORE por idioma.
+ * - fallbacks: Idioma del que se toman las claves que faltan en cada idioma,
+ * antes de recurrir al idioma por defecto.
+ * - lang: Idioma actual.
  * @public
  * @const
  * @type {object}
@@ -18,12 +38,108 @@ export const configuration = {
   translations: {
     en,
     es,
+    ca,
+    gl,
+    eu,
+    va,
+  },
+  fallbacks: {
+    va: 'ca',
   },
-  lang: 'es',
+  lang: DEFAULT_LANG,
 };
 
 /**
- * Esta función añade un nuevo idioma.
+ * Traducciones de los plugins, por plugin y por idioma.
+ * @private
+ * @type {object}
+ */
+const pluginTranslations = {};
+
+/**
+ * Traducciones ya combinadas con sus idiomas alternativos, por idioma.
+ * @private
+ * @type {object}
+ */
+let cache = {};
+
+/**
+ * Gestor de los eventos del idioma.
+ * @private
+ * @type {M.evt.EventsManager}
+ */
+const eventsManager = new EventsManager();
+
+/**
+ * Esta función indica si un valor es un diccionario de traducciones.
+ * @private
+ * @function
+ * @param {*} value Valor.
+ * @return {boolean} Verdadero si es un objeto.
+ */
+const isDictionary = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Esta función completa un diccionario con las claves que le faltan de otro,
+ * sin modificar el diccionario de origen.
+ * @private
+ * @function
+ * @param {object} targetParam Diccionario a completar.
+ * @param {object} source Diccionario del que se copian las claves.
+ * @return {object} Diccionario completado.
+ */
+const fillTranslation = (targetParam, source) => {
+  const target = targetParam;
+  Object.keys(source).forEach((key) => {
+    const value = source[key];
+    if (target[key] === undefined) {
+      target[key] = isDictionary(value) ? fillTranslation({}, value) : value;
+    } else if (isDictionary(target[key]) && isDictionary(value)) {
+      fillTranslation(target[key], value);
+    }
+  });
+  return target;
+};
+
+/**
+ * Esta función devuelve los idiomas que se consultan, por orden, para
+ * traducir al idioma indicado: el propio idioma, sus idiomas alternativos
+ * y el idioma por defecto.
+ * @private
+ * @function
+ * @param {string} lang Idioma.
+ * @return {Array<string>} Idiomas.
+ */
+const getLanguageChain = (lang) => {
+  const chain = [];
+  let current = lang;
+  while (current !== undefined && !chain.includes(current)) {
+    chain.push(current);
+    current = configuration.fallbacks[current];
+  }
+  if (!chain.includes(DEFAULT_LANG)) {
+    chain.push(DEFAULT_LANG);
+  }
+  return chain;
+};
+
+/**
+ * Esta función combina las traducciones de un idioma con las de sus
+ * idiomas alternativos.
+ * @private
+ * @function
+ * @param {object} translations Traducciones por idioma.
+ * @param {Array<string>} chain Idiomas por orden de preferencia.
+ * @return {object} Traducción combinada.
+ */
+const mergeTranslations = (translations, chain) => {
+  return chain.filter(lang => isDictionary(translations[lang]))
+    .reduce((merged, lang) => fillTranslation(merged, translations[lang]), {});
+};
+
+/**
+ * Esta función añade un nuevo idioma. Las claves que no se indiquen
+ * se toman del idioma por defecto (español).
  * @public
  * @function
  * @param {string} lang Idioma.
@@ -32,11 +148,33 @@ export const configuration = {
  */
 export const addTranslation = (lang, json) => {
   configuration.translations[lang] = json;
+  cache = {};
+};
+
+/**
+ * Esta función registra las traducciones de un plugin para un idioma.
+ * Se devuelven en la clave del plugin de "getTranslation" y las claves
+ * que no se indiquen se toman del idioma por defecto (español).
+ * @public
+ * @function
+ * @param {string} plugin Nombre del plugin, por ejemplo, "timeline".
+ * @param {string} lang Idioma.
+ * @param {JSON} json Valores, traducción.
+ * @api
+ */
+export const addPluginTranslation = (plugin, lang, json) => {
+  if (!isDictionary(pluginTranslations[plugin])) {
+    pluginTranslations[plugin] = {};
+  }
+  pluginTranslations[plugin][lang] = json;
+  cache = {};
 };
 
 /**
  * Esta función te devuelve todas las traducciones disponibles
- * en la API-CORE.
+ * en la API-CORE, incluidas las de los plugins (en la clave de
+ * cada plugin). Las claves que falten en el idioma se toman de
+ * sus idiomas alternativos y del español.
  *
  * @public
  * @function
@@ -47,114 +185,15 @@ export const addTranslation = (lang, json) => {
  * @api
  */
 export const getTranslation = (lang) => {
-  if (lang === 'es') {
-    configuration.translations[lang].attributions = pluginsLanguage.attributions.esAttributions;
-    configuration.translations[lang].backimglayer = pluginsLanguage.backimglayer.esBackimglayer;
-    configuration.translations[lang].beautytoc = pluginsLanguage.beautytoc.esBeautytoc;
-    configuration.translations[lang].buffer = pluginsLanguage.buffer.esBuffer;
-    configuration.translations[lang].calendar = pluginsLanguage.calendar.esCalendar;
-    configuration.translations[lang].comparepanel = pluginsLanguage.comparepanel.esComparepanel;
-    configuration.translations[lang].contactlink = pluginsLanguage.contactlink.esContactlink;
-    configuration.translations[lang].fulltoc = pluginsLanguage.fulltoc.esFulltoc;
-    configuration.translations[lang].geometrydraw = pluginsLanguage.geometrydraw.esGeometrydraw;
-    configuration.translations[lang].georefimage = pluginsLanguage.georefimage.esGeorefimage;
-    configuration.translations[lang].georefimage2 = pluginsLanguage.georefimage2.esGeorefimage2;
-    configuration.translations[lang].iberpixcompare = pluginsLanguage.iberpixcompare
-      .esIberpixcompare;
-    configuration.translations[lang].ignsearch = pluginsLanguage.ignsearch.esIgnsearch;
-    configuration.translations[lang].ignsearchlocator = pluginsLanguage.ignsearchlocator
-      .esIgnsearchlocator;
-    configuration.translations[lang].incicarto = pluginsLanguage.incicarto.esIncicarto;
-    configuration.translations[lang].infocatastro = pluginsLanguage.infocatastro.esInfocatastro;
-    configuration.translations[lang].infocoordinates = pluginsLanguage.infocoordinates
-      .esInfocoordinates;
-    configuration.translations[lang].information = pluginsLanguage.information.esInformation;
-    configuration.translations[lang].lyrcompare = pluginsLanguage.lyrcompare.esLyrcompare;
-    configuration.translations[lang].measurebar = pluginsLanguage.measurebar.esMeasurebar;
-    configuration.translations[lang].mirrorpanel = pluginsLanguage.mirrorpanel.esMirrorpanel;
-    configuration.translations[lang].mousesrs = pluginsLanguage.mousesrs.esMousesrs;
-    configuration.translations[lang].popup = pluginsLanguage.popup.esPopup;
-    configuration.translations[lang].predefinedzoom = pluginsLanguage.predefinedzoom
-      .esPredefinedzoom;
-    configuration.translations[lang].printermap = pluginsLanguage.printermap.esPrintermap;
-    configuration.translations[lang].queryattributes = pluginsLanguage.queryattributes
-      .esQueryattributes;
-    // configuration.translations[lang].querydatabase = pluginsLanguage
-    // .querydatabase.esQuerydatabase;
-    configuration.translations[lang].rescale = pluginsLanguage.rescale.esRescale;
-    configuration.translations[lang].selectiondraw = pluginsLanguage.selectiondraw.esSelectiondraw;
-    configuration.translations[lang].selectionzoom = pluginsLanguage.selectionzoom.esSelectionzoom;
-    configuration.translations[lang].sharemap = pluginsLanguage.sharemap.esSharemap;
-    configuration.translations[lang].stylemanager = pluginsLanguage.stylemanager.esStylemanager;
-    configuration.translations[lang].timeline = pluginsLanguage.timeline.esTimeline;
-    configuration.translations[lang].toc = pluginsLanguage.toc.esToc;
-    configuration.translations[lang].topographicprofile = pluginsLanguage.topographicprofile
-      .esTopographicprofile;
-    configuration.translations[lang].transparency = pluginsLanguage.transparency.esTransparency;
-    configuration.translations[lang].vectors = pluginsLanguage.vectors.esVectors;
-    configuration.translations[lang].viewhistory = pluginsLanguage.viewhistory.esViewhistory;
-    configuration.translations[lang].xylocator = pluginsLanguage.xylocator.esXylocator;
-    configuration.translations[lang].zoomextent = pluginsLanguage.zoomextent.esZoomextent;
-    configuration.translations[lang].zoompanel = pluginsLanguage.zoompanel.esZoompanel;
-    configuration.translations[lang].viewshed = pluginsLanguage.viewshed.esViewshed;
-    configuration.translations[lang].viewmanagement =
-      pluginsLanguage.viewmanagement.esViewmanagement;
-    configuration.translations[lang].locator = pluginsLanguage.locator.esLocator;
-  } else if (lang === 'en') {
-    configuration.translations[lang].attributions = pluginsLanguage.attributions.enAttributions;
-    configuration.translations[lang].backimglayer = pluginsLanguage.backimglayer.enBackimglayer;
-    configuration.translations[lang].beautytoc = pluginsLanguage.beautytoc.enBeautytoc;
-    configuration.translations[lang].buffer = pluginsLanguage.buffer.enBuffer;
-    configuration.translations[lang].calendar = pluginsLanguage.calendar.enCalendar;
-    configuration.translations[lang].comparepanel = pluginsLanguage.comparepanel.enComparepanel;
-    configuration.translations[lang].contactlink = pluginsLanguage.contactlink.enContactlink;
-    configuration.translations[lang].fulltoc = pluginsLanguage.fulltoc.enFulltoc;
-    configuration.translations[lang].geometrydraw = pluginsLanguage.geometrydraw.enGeometrydraw;
-    configuration.translations[lang].georefimage = pluginsLanguage.georefimage.enGeorefimage;
-    configuration.translations[lang].georefimage2 = pluginsLanguage.georefimage2.enGeorefimage2;
-    configuration.translations[lang].iberpixcompare = pluginsLanguage.iberpixcompare
-      .enIberpixcompare;
-    configuration.translations[lang].ignsearch = pluginsLanguage.ignsearch.enIgnsearch;
-    configuration.translations[lang].ignsearchlocator = pluginsLanguage.ignsearchlocator
-      .enIgnsearchlocator;
-    configuration.translations[lang].incicarto = pluginsLanguage.incicarto.enIncicarto;
-    configuration.translations[lang].infocatastro = pluginsLanguage.infocatastro.enInfocatastro;
-    configuration.translations[lang].infocoordinates = pluginsLanguage.infocoordinates
-      .enInfocoordinates;
-    configuration.translations[lang].information = pluginsLanguage.information.enInformation;
-    configuration.translations[lang].lyrcompare = pluginsLanguage.lyrcompare.enLyrcompare;
-    configuration.translations[lang].measurebar = pluginsLanguage.measurebar.enMeasurebar;
-    configuration.translations[lang].mirrorpanel = pluginsLanguage.mirrorpanel.enMirrorpanel;
-    configuration.translations[lang].mousesrs = pluginsLanguage.mousesrs.enMousesrs;
-    configuration.translations[lang].popup = pluginsLanguage.popup.enPopup;
-    configuration.translations[lang].predefinedzoom = pluginsLanguage.predefinedzoom
-      .enPredefinedzoom;
-    configuration.translations[lang].printermap = pluginsLanguage.printermap.enPrintermap;
-    configuration.translations[lang].queryattributes = pluginsLanguage.queryattributes
-      .enQueryattributes;
-    // configuration.translations[lang].querydatabase = pluginsLanguage
-    // .querydatabase.enQuerydatabase;
-    configuration.translations[lang].rescale = pluginsLanguage.rescale.enRescale;
-    configuration.translations[lang].selectiondraw = pluginsLanguage.selectiondraw.enSelectiondraw;
-    configuration.translations[lang].selectionzoom = pluginsLanguage.selectionzoom.enSelectionzoom;
-    configuration.translations[lang].sharemap = pluginsLanguage.sharemap.enSharemap;
-    configuration.translations[lang].stylemanager = pluginsLanguage.stylemanager.enStylemanager;
-    configuration.translations[lang].timeline = pluginsLanguage.timeline.enTimeline;
-    configuration.translations[lang].toc = pluginsLanguage.toc.enToc;
-    configuration.translations[lang].topographicprofile = pluginsLanguage.topographicprofile
-      .enTopographicprofile;
-    configuration.translations[lang].transparency = pluginsLanguage.transparency.enTransparency;
-    configuration.translations[lang].vectors = pluginsLanguage.vectors.enVectors;
-    configuration.translations[lang].viewhistory = pluginsLanguage.viewhistory.enViewhistory;
-    configuration.translations[lang].xylocator = pluginsLanguage.xylocator.enXylocator;
-    configuration.translations[lang].zoomextent = pluginsLanguage.zoomextent.enZoomextent;
-    configuration.translations[lang].zoompanel = pluginsLanguage.zoompanel.enZoompanel;
-    configuration.translations[lang].viewshed = pluginsLanguage.viewshed.enViewshed;
-    configuration.translations[lang].viewmanagement =
-      pluginsLanguage.viewmanagement.enViewmanagement;
-    configuration.translations[lang].locator = pluginsLanguage.locator.enLocator;
+  if (!isDictionary(cache[lang])) {
+    const chain = getLanguageChain(lang);
+    const translation = mergeTranslations(configuration.translations, chain);
+    Object.keys(pluginTranslations).forEach((plugin) => {
+      translation[plugin] = mergeTranslations(pluginTranslations[plugin], chain);
+    });
+    cache[lang] = translation;
   }
-  return configuration.translations[lang];
+  return cache[lang];
 };
 
 /**
@@ -174,7 +213,94 @@ export const getValue = (key, lang = configuration.lang) => {
 };
 
 /**
- * Esta función modifica el idioma del API-CORE.
+ * Esta función devuelve la forma plural de una traducción que corresponde
+ * a una cantidad, según las reglas de plurales del idioma ("zero", "one",
+ * "two", "few", "many" u "other").
+ * @private
+ * @function
+ * @param {object} forms Formas plurales de la traducción.
+ * @param {number} count Cantidad.
+ * @param {string} lang Idioma.
+ * @return {string} Traducción.
+ */
+const selectPlural = (forms, count, lang) => {
+  let rule = count === 1 ? 'one' : 'other';
+  if (count === 0 && forms.zero !== undefined) {
+    rule = 'zero';
+  } else if (typeof Intl !== 'undefined' && typeof Intl.PluralRules === 'function') {
+    try {
+      rule = new Intl.PluralRules(lang).select(count);
+    } catch (err) {
+      // se mantiene la regla básica si el navegador no admite el idioma
+    }
+  }
+  return forms[rule] !== undefined ? forms[rule] : forms.other;
+};
+
+/**
+ * Esta función traduce una clave, por ejemplo, "exception.no_map" o
+ * "timeline.tooltip". Los valores se pueden interpolar en el texto con
+ * "{{nombre}}" y, si se indica "count", las traducciones definidas como
+ * objeto ({ "one": "...", "other": "..." }) devuelven su forma plural.
+ *
+ * @public
+ * @function
+ * @param {string} keyPath Ruta de la clave separada por puntos.
+ * @param {object} params Valores a interpolar, opcional.
+ * @param {string} lang Idioma, por defecto el actual.
+ * @return {string} Traducción, o la propia clave si no existe.
+ * @api
+ */
+export const translate = (keyPath, params = {}, lang = configuration.lang) => {
+  let value = keyPath.split('.').reduce((prev, key) => {
+    return isDictionary(prev) ? prev[key] : undefined;
+  }, getTranslation(lang));
+  if (isDictionary(value) && typeof params.count === 'number') {
+    value = selectPlural(value, params.count, lang);
+  }
+  if (typeof value === 'string') {
+    value = value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      return params[name] !== undefined ? String(params[name]) : match;
+    });
+  } else if (value === undefined) {
+    value = keyPath;
+  }
+  return value;
+};
+
+/**
+ * Esta función añade un evento al idioma, por ejemplo, "M.evt.CHANGE_LANG",
+ * que se produce al modificar el idioma con "setLang" y recibe el nuevo
+ * idioma y el anterior.
+ * @public
+ * @function
+ * @param {String} eventType Tipo de evento.
+ * @param {Function} listener Función "Callback".
+ * @param {Object} optThis "Scope" de la función.
+ * @return {M.eventKey} Identificador del evento.
+ * @api
+ */
+export const on = (eventType, listener, optThis) => {
+  return eventsManager.add(eventType, listener, optThis);
+};
+
+/**
+ * Esta función elimina un evento del idioma.
+ * @public
+ * @function
+ * @param {String} eventType Tipo de evento.
+ * @param {Function} listener Función "Callback".
+ * @param {Object} optThis "Scope" de la función.
+ * @api
+ */
+export const un = (eventType, listener, optThis) => {
+  eventsManager.remove(eventType, listener, optThis);
+};
+
+/**
+ * Esta función modifica el idioma del API-CORE. Si el idioma cambia,
+ * se lanza el evento "M.evt.CHANGE_LANG" para que los mapas actualicen
+ * sus controles, paneles y plugins.
  * @public
  * @function
  * @param {string} lang Idioma.
@@ -184,7 +310,11 @@ export const setLang = (lang) => {
   if (!Object.keys(configuration.translations).includes(lang)) {
     Exception(getValue('exception').unsupported_lang);
   }
+  const oldLang = configuration.lang;
   configuration.lang = lang;
+  if (lang !== oldLang) {
+    eventsManager.fire(EventType.CHANGE_LANG, [lang, oldLang]);
+  }
 };
 
 /**
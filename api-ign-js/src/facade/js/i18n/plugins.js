@@ -1,389 +0,0 @@
-/**
- * @module M/i18n/plugins
- * @example import pluginsLanguage from 'M/i18n/plugins';
- */
-
-// Attributions
-import esAttributions from '../../../plugins/attributions/src/facade/js/i18n/es';
-import enAttributions from '../../../plugins/attributions/src/facade/js/i18n/en';
-
-// Backimglayer
-import esBackimglayer from '../../../plugins/backimglayer/src/facade/js/i18n/es';
-import enBackimglayer from '../../../plugins/backimglayer/src/facade/js/i18n/en';
-
-// Beautytoc
-import esBeautytoc from '../../../plugins/beautytoc/src/facade/js/i18n/es';
-import enBeautytoc from '../../../plugins/beautytoc/src/facade/js/i18n/en';
-
-// Buffer
-import esBuffer from '../../../plugins/buffer/src/facade/js/i18n/es';
-import enBuffer from '../../../plugins/buffer/src/facade/js/i18n/en';
-
-
-// Calendar
-import esCalendar from '../../../plugins/calendar/src/facade/js/i18n/es';
-import enCalendar from '../../../plugins/calendar/src/facade/js/i18n/en';
-
-
-// Comparepanel
-import esComparepanel from '../../../plugins/comparepanel/src/facade/js/i18n/es';
-import enComparepanel from '../../../plugins/comparepanel/src/facade/js/i18n/en';
-
-
-// Contactlink
-import esContactlink from '../../../plugins/contactlink/src/facade/js/i18n/es';
-import enContactlink from '../../../plugins/contactlink/src/facade/js/i18n/en';
-
-
-// Fulltoc
-import esFulltoc from '../../../plugins/fulltoc/src/facade/js/i18n/es';
-import enFulltoc from '../../../plugins/fulltoc/src/facade/js/i18n/en';
-
-
-// Geometrydraw
-import esGeometrydraw from '../../../plugins/geometrydraw/src/facade/js/i18n/es';
-import enGeometrydraw from '../../../plugins/geometrydraw/src/facade/js/i18n/en';
-
-
-// Georefimage
-import esGeorefimage from '../../../plugins/georefimage/src/facade/js/i18n/es';
-import enGeorefimage from '../../../plugins/georefimage/src/facade/js/i18n/en';
-
-
-// Georefimage2
-import esGeorefimage2 from '../../../plugins/georefimage2/src/facade/js/i18n/es';
-import enGeorefimage2 from '../../../plugins/georefimage2/src/facade/js/i18n/en';
-
-
-// Iberpixcompare
-import esIberpixcompare from '../../../plugins/iberpixcompare/src/facade/js/i18n/es';
-import enIberpixcompare from '../../../plugins/iberpixcompare/src/facade/js/i18n/en';
-
-
-// Ignsearch
-import esIgnsearch from '../../../plugins/ignsearch/src/facade/js/i18n/es';
-import enIgnsearch from '../../../plugins/ignsearch/src/facade/js/i18n/en';
-
-
-// Ignsearchlocator
-import esIgnsearchlocator from '../../../plugins/ignsearchlocator/src/facade/js/i18n/es';
-import enIgnsearchlocator from '../../../plugins/ignsearchlocator/src/facade/js/i18n/en';
-
-// Incicarto
-import esIncicarto from '../../../plugins/incicarto/src/facade/js/i18n/es';
-import enIncicarto from '../../../plugins/incicarto/src/facade/js/i18n/en';
-
-// Infocatastro
-import esInfocatastro from '../../../plugins/infocatastro/src/facade/js/i18n/es';
-import enInfocatastro from '../../../plugins/infocatastro/src/facade/js/i18n/en';
-
-// Infocoordinates
-import esInfocoordinates from '../../../plugins/infocoordinates/src/facade/js/i18n/es';
-import enInfocoordinates from '../../../plugins/infocoordinates/src/facade/js/i18n/en';
-
-// Information
-import esInformation from '../../../plugins/information/src/facade/js/i18n/es';
-import enInformation from '../../../plugins/information/src/facade/js/i18n/en';
-
-// Lyrcompare
-import esLyrcompare from '../../../plugins/lyrcompare/src/facade/js/i18n/es';
-import enLyrcompare from '../../../plugins/lyrcompare/src/facade/js/i18n/en';
-
-// Measurebar
-import esMeasurebar from '../../../plugins/measurebar/src/facade/js/i18n/es';
-import enMeasurebar from '../../../plugins/measurebar/src/facade/js/i18n/en';
-
-// Mirrorpanel
-import esMirrorpanel from '../../../plugins/mirrorpanel/src/facade/js/i18n/es';
-import enMirrorpanel from '../../../plugins/mirrorpanel/src/facade/js/i18n/en';
-
-// Mousesrs
-import esMousesrs from '../../../plugins/mousesrs/src/facade/js/i18n/es';
-import enMousesrs from '../../../plugins/mousesrs/src/facade/js/i18n/en';
-
-// Overviewmap
-import esOverviewmap from '../../../plugins/overviewmap/src/facade/js/i18n/es';
-import enOverviewmap from '../../../plugins/overviewmap/src/facade/js/i18n/en';
-
-// Popup
-import esPopup from '../../../plugins/popup/src/facade/js/i18n/es';
-import enPopup from '../../../plugins/popup/src/facade/js/i18n/en';
-
-// Predefinedzoom
-import esPredefinedzoom from '../../../plugins/predefinedzoom/src/facade/js/i18n/es';
-import enPredefinedzoom from '../../../plugins/predefinedzoom/src/facade/js/i18n/en';
-
-// Printermap
-import esPrintermap from '../../../plugins/printermap/src/facade/js/i18n/es';
-import enPrintermap from '../../../plugins/printermap/src/facade/js/i18n/en';
-
-// Queryattributes
-import esQueryattributes from '../../../plugins/queryattributes/src/facade/js/i18n/es';
-import enQueryattributes from '../../../plugins/queryattributes/src/facade/js/i18n/en';
-
-// Querydatabase
-// import esQuerydatabase from '../../../plugins/querydatabase/src/facade/js/i18n/es';
-// import enQuerydatabase from '../../../plugins/querydatabase/src/facade/js/i18n/en';
-
-// Rescale
-import esRescale from '../../../plugins/rescale/src/facade/js/i18n/es';
-import enRescale from '../../../plugins/rescale/src/facade/js/i18n/en';
-
-// Selectiondraw
-import esSelectiondraw from '../../../plugins/selectiondraw/src/facade/js/i18n/es';
-import enSelectiondraw from '../../../plugins/selectiondraw/src/facade/js/i18n/en';
-
-// Selectionzoom
-import esSelectionzoom from '../../../plugins/selectionzoom/src/facade/js/i18n/es';
-import enSelectionzoom from '../../../plugins/selectionzoom/src/facade/js/i18n/en';
-
-// Sharemap
-import esSharemap from '../../../plugins/sharemap/src/facade/js/i18n/es';
-import enSharemap from '../../../plugins/sharemap/src/facade/js/i18n/en';
-
-// Sharemap
-import esStylemanager from '../../../plugins/stylemanager/src/facade/js/i18n/es';
-import enStylemanager from '../../../plugins/stylemanager/src/facade/js/i18n/en';
-
-// Timeline
-import esTimeline from '../../../plugins/timeline/src/facade/js/i18n/es';
-import enTimeline from '../../../plugins/timeline/src/facade/js/i18n/en';
-
-// Toc
-import esToc from '../../../plugins/toc/src/facade/js/i18n/es';
-import enToc from '../../../plugins/toc/src/facade/js/i18n/en';
-
-// topographicprofile
-import esTopographicprofile from '../../../plugins/topographicprofile/src/facade/js/i18n/es';
-import enTopographicprofile from '../../../plugins/topographicprofile/src/facade/js/i18n/en';
-
-// Transparency
-import esTransparency from '../../../plugins/transparency/src/facade/js/i18n/es';
-import enTransparency from '../../../plugins/transparency/src/facade/js/i18n/en';
-
-// Vectors
-import esVectors from '../../../plugins/vectors/src/facade/js/i18n/es';
-import enVectors from '../../../plugins/vectors/src/facade/js/i18n/en';
-
-// Viewhistory
-import esViewhistory from '../../../plugins/viewhistory/src/facade/js/i18n/es';
-import enViewhistory from '../../../plugins/viewhistory/src/facade/js/i18n/en';
-
-// Xylocator
-import esXylocator from '../../../plugins/xylocator/src/facade/js/i18n/es';
-import enXylocator from '../../../plugins/xylocator/src/facade/js/i18n/en';
-
-// Zoomextent
-import esZoomextent from '../../../plugins/zoomextent/src/facade/js/i18n/es';
-import enZoomextent from '../../../plugins/zoomextent/src/facade/js/i18n/en';
-
-// Zoompanel
-import esZoompanel from '../../../plugins/zoompanel/src/facade/js/i18n/es';
-import enZoompanel from '../../../plugins/zoompanel/src/facade/js/i18n/en';
-
-// Viewshed
-import esViewshed from '../../../plugins/viewshed/src/facade/js/i18n/es';
-import enViewshed from '../../../plugins/viewshed/src/facade/js/i18n/en';
-
-// Viewmanagement
-import esViewmanagement from '../../../plugins/viewmanagement/src/facade/js/i18n/es';
-import enViewmanagement from '../../../plugins/viewmanagement/src/facade/js/i18n/en';
-
-// Locator
-import esLocator from '../../../plugins/locator/src/facade/js/i18n/es';
-import enLocator from '../../../plugins/locator/src/facade/js/i18n/en';
-
-/**
- * Este objeto devuelve un objeto JSON dinámico que contiene
- * los plugins disponibles que soportan traducciones.
- * @public
- * @const
- * @type {object}
- * @api
- */
-const pluginsLanguage = {
-  attributions: {
-    esAttributions,
-    enAttributions,
-  },
-  backimglayer: {
-    esBackimglayer,
-    enBackimglayer,
-  },
-  beautytoc: {
-    esBeautytoc,
-    enBeautytoc,
-  },
-  buffer: {
-    esBuffer,
-    enBuffer,
-  },
-  calendar: {
-    esCalendar,
-    enCalendar,
-  },
-  comparepanel: {
-    esComparepanel,
-    enComparepanel,
-  },
-  contactlink: {
-    esContactlink,
-    enContactlink,
-  },
-  fulltoc: {
-    esFulltoc,
-    enFulltoc,
-  },
-  geometrydraw: {
-    esGeometrydraw,
-    enGeometrydraw,
-  },
-  georefimage: {
-    esGeorefimage,
-    enGeorefimage,
-  },
-  georefimage2: {
-    esGeorefimage2,
-    enGeorefimage2,
-  },
-  iberpixcompare: {
-    esIberpixcompare,
-    enIberpixcompare,
-  },
-  ignsearch: {
-    esIgnsearch,
-    enIgnsearch,
-  },
-  ignsearchlocator: {
-    esIgnsearchlocator,
-    enIgnsearchlocator,
-  },
-  incicarto: {
-    esIncicarto,
-    enIncicarto,
-  },
-  infocatastro: {
-    esInfocatastro,
-    enInfocatastro,
-  },
-  infocoordinates: {
-    esInfocoordinates,
-    enInfocoordinates,
-  },
-  information: {
-    esInformation,
-    enInformation,
-  },
-  lyrcompare: {
-    esLyrcompare,
-    enLyrcompare,
-  },
-  measurebar: {
-    esMeasurebar,
-    enMeasurebar,
-  },
-  mirrorpanel: {
-    esMirrorpanel,
-    enMirrorpanel,
-  },
-  mousesrs: {
-    esMousesrs,
-    enMousesrs,
-  },
-  overviewmap: {
-    esOverviewmap,
-    enOverviewmap,
-  },
-  popup: {
-    esPopup,
-    enPopup,
-  },
-  predefinedzoom: {
-    esPredefinedzoom,
-    enPredefinedzoom,
-  },
-  printermap: {
-    esPrintermap,
-    enPrintermap,
-  },
-  queryattributes: {
-    esQueryattributes,
-    enQueryattributes,
-  },
-  /*
-  querydatabase: {
-    esQuerydatabase,
-    enQuerydatabase,
-  },
-  */
-  rescale: {
-    esRescale,
-    enRescale,
-  },
-  selectiondraw: {
-    esSelectiondraw,
-    enSelectiondraw,
-  },
-  selectionzoom: {
-    esSelectionzoom,
-    enSelectionzoom,
-  },
-  sharemap: {
-    esSharemap,
-    enSharemap,
-  },
-  stylemanager: {
-    esStylemanager,
-    enStylemanager,
-  },
-  timeline: {
-    esTimeline,
-    enTimeline,
-  },
-  toc: {
-    esToc,
-    enToc,
-  },
-  topographicprofile: {
-    esTopographicprofile,
-    enTopographicprofile,
-  },
-  transparency: {
-    esTransparency,
-    enTransparency,
-  },
-  vectors: {
-    esVectors,
-    enVectors,
-  },
-  viewhistory: {
-    esViewhistory,
-    enViewhistory,
-  },
-  xylocator: {
-    esXylocator,
-    enXylocator,
-  },
-  zoomextent: {
-    esZoomextent,
-    enZoomextent,
-  },
-  zoompanel: {
-    esZoompanel,
-    enZoompanel,
-  },
-  viewshed: {
-    esViewshed,
-    enViewshed,
-  },
-  viewmanagement: {
-    esViewmanagement,
-    enViewmanagement,
-  },
-  locator: {
-    esLocator,
-    enLocator,
-  },
-};
-
-export default pluginsLanguage;
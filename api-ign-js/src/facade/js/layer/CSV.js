@@ -0,0 +1,223 @@
+/**
+ * @module M/layer/CSV
+ */
+import CSVImpl from 'impl/layer/CSV';
+import LayerVector from './Vector';
+import * as LayerType from './Type';
+import { isString, isNullOrEmpty, isUndefined, normalize } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa de texto delimitado (CSV). Cada fila se carga como un objeto geográfico
+ * a partir de sus columnas de coordenadas (X/Y, lon/lat...) o de geometrías WKT,
+ * que se detectan junto con el separador y el sistema de referencia. El resto
+ * de columnas son atributos con tipo (número, booleano o texto), de modo que
+ * se pueden usar en los estilos y filtros.
+ *
+ * @property {String} url URL del CSV.
+ * @property {String|File} source Texto o fichero del CSV.
+ * @property {String} name Nombre de la capa, identificador.
+ * @property {Boolean} extract Activa la consulta al hacer clic sobre un objeto geográfico,
+ * por defecto falso.
+ * @property {Object} options Opciones CSV.
+ *
+ * @api
+ * @extends {M.layer.Vector}
+ */
+class CSV extends LayerVector {
+  /**
+   * Constructor principal de la clase. Crea una capa CSV
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {String|Mx.parameters.CSV} userParameters Parámetros para la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - name: Nombre de la capa, identificador.
+   * - url: URL del CSV.
+   * - source: Texto o fichero (File) del CSV, si no se indica la URL.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - extract: Opcional, activa la consulta por clic en el objeto geográfico, por defecto falso.
+   * - delimiter: Separador de las columnas. Por defecto se detecta (",", ";", tabulador o "|").
+   * - x: Columna de la coordenada X. Por defecto se detecta por el nombre.
+   * - y: Columna de la coordenada Y. Por defecto se detecta por el nombre.
+   * - wkt: Columna de las geometrías WKT. Por defecto se detecta por el nombre
+   * o el contenido.
+   * - projection: Sistema de referencia de los datos, por ejemplo "EPSG:25830". Por defecto
+   * se detecta (SRID de EWKT, columna "srs" o "epsg", código en el nombre de las columnas
+   * o rango de las coordenadas) y si no se usa EPSG:4326.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * - hide: Atributos ocultos.
+   * - show: Mostrar atributos.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - style: Define el estilo de la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create CSV layers
+    if (isUndefined(CSVImpl)) {
+      Exception(getValue('exception').csv_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.CSV);
+
+    /**
+     * Implementación de la capa.
+     * @public
+     * @implements {M.impl.layer.CSV}
+     * @type {M.impl.layer.CSV}
+     */
+    const impl = new CSVImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, options, undefined, impl);
+
+    /**
+     * CSV source: Texto o fichero del CSV.
+     */
+    this.source = parameters.source;
+
+    /**
+     * CSV extract: Activa la consulta al hacer clic sobre un objeto geográfico,
+     * por defecto falso.
+     */
+    this.extract = parameters.extract;
+
+    /**
+     * CSV options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso CSV.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, CSV.
+   * @api
+   */
+  get type() {
+    return LayerType.CSV;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.CSV)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.CSV).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve el texto o fichero del CSV.
+   *
+   * @function
+   * @getter
+   * @return {String|File} Texto o fichero del CSV.
+   * @api
+   */
+  get source() {
+    return this.getImpl().source;
+  }
+
+  /**
+   * Sobrescribe el texto o fichero del CSV.
+   *
+   * @function
+   * @setter
+   * @param {String|File} newSource Texto o fichero del CSV.
+   * @api
+   */
+  set source(newSource) {
+    this.getImpl().source = newSource;
+  }
+
+  /**
+   * Devuelve el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @getter
+   * @return {Boolean} Valor de la propiedad "extract".
+   * @api
+   */
+  get extract() {
+    return this.getImpl().extract;
+  }
+
+  /**
+   * Sobrescribe el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @setter
+   * @param {Boolean|String} newExtract Nuevo valor para sobreescribir la propiedad "extract".
+   * @api
+   */
+  set extract(newExtract) {
+    if (!isNullOrEmpty(newExtract)) {
+      if (isString(newExtract)) {
+        this.getImpl().extract = (normalize(newExtract) === 'true');
+      } else {
+        this.getImpl().extract = newExtract;
+      }
+    } else {
+      this.getImpl().extract = false;
+    }
+  }
+
+  /**
+   * Este método sustituye el CSV de la capa por un texto o fichero
+   * y vuelve a cargar los objetos geográficos.
+   *
+   * @function
+   * @param {String|File} source Texto o fichero del CSV.
+   * @api
+   */
+  setSource(source) {
+    this.getImpl().setSource(source);
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof CSV) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.extract === obj.extract);
+    }
+    return equals;
+  }
+}
+
+export default CSV;
@@ -0,0 +1,215 @@
+/**
+ * @module M/layer/GPX
+ */
+import GPXImpl from 'impl/layer/GPX';
+import LayerVector from './Vector';
+import * as LayerType from './Type';
+import { isString, isNullOrEmpty, isUndefined, normalize } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa GPX (GPS Exchange Format). Carga los puntos de paso, las rutas y los
+ * tracks de un fichero GPX. Los tracks conservan sus segmentos y las geometrías
+ * la elevación y el tiempo de cada punto. Además, los objetos geográficos tienen
+ * los atributos "gpx_type" ("wpt", "rte" o "trk"), "ele" y "time" (puntos de paso),
+ * "segments" (tracks) y "ele_min", "ele_max", "time_start" y "time_end" (rutas y tracks).
+ *
+ * @property {String} url URL del GPX.
+ * @property {String|File} source Texto o fichero del GPX.
+ * @property {String} name Nombre de la capa, identificador.
+ * @property {Boolean} extract Activa la consulta al hacer clic sobre un objeto geográfico,
+ * por defecto falso.
+ * @property {Object} options Opciones GPX.
+ *
+ * @api
+ * @extends {M.layer.Vector}
+ */
+class GPX extends LayerVector {
+  /**
+   * Constructor principal de la clase. Crea una capa GPX
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {String|Mx.parameters.GPX} userParameters Parámetros para la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - name: Nombre de la capa, identificador.
+   * - url: URL del GPX.
+   * - source: Texto o fichero (File) del GPX, si no se indica la URL.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - extract: Opcional, activa la consulta por clic en el objeto geográfico, por defecto falso.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * - hide: Atributos ocultos.
+   * - show: Mostrar atributos.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - style: Define el estilo de la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create GPX layers
+    if (isUndefined(GPXImpl)) {
+      Exception(getValue('exception').gpxlayer_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.GPX);
+
+    /**
+     * Implementación de la capa.
+     * @public
+     * @implements {M.impl.layer.GPX}
+     * @type {M.impl.layer.GPX}
+     */
+    const impl = new GPXImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, options, undefined, impl);
+
+    /**
+     * GPX source: Texto o fichero del GPX.
+     */
+    this.source = parameters.source;
+
+    /**
+     * GPX extract: Activa la consulta al hacer clic sobre un objeto geográfico,
+     * por defecto falso.
+     */
+    this.extract = parameters.extract;
+
+    /**
+     * GPX options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso GPX.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, GPX.
+   * @api
+   */
+  get type() {
+    return LayerType.GPX;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.GPX)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.GPX).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve el texto o fichero del GPX.
+   *
+   * @function
+   * @getter
+   * @return {String|File} Texto o fichero del GPX.
+   * @api
+   */
+  get source() {
+    return this.getImpl().source;
+  }
+
+  /**
+   * Sobrescribe el texto o fichero del GPX.
+   *
+   * @function
+   * @setter
+   * @param {String|File} newSource Texto o fichero del GPX.
+   * @api
+   */
+  set source(newSource) {
+    this.getImpl().source = newSource;
+  }
+
+  /**
+   * Devuelve el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @getter
+   * @return {Boolean} Valor de la propiedad "extract".
+   * @api
+   */
+  get extract() {
+    return this.getImpl().extract;
+  }
+
+  /**
+   * Sobrescribe el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @setter
+   * @param {Boolean|String} newExtract Nuevo valor para sobreescribir la propiedad "extract".
+   * @api
+   */
+  set extract(newExtract) {
+    if (!isNullOrEmpty(newExtract)) {
+      if (isString(newExtract)) {
+        this.getImpl().extract = (normalize(newExtract) === 'true');
+      } else {
+        this.getImpl().extract = newExtract;
+      }
+    } else {
+      this.getImpl().extract = false;
+    }
+  }
+
+  /**
+   * Este método sustituye el GPX de la capa por un texto o fichero
+   * y vuelve a cargar los objetos geográficos.
+   *
+   * @function
+   * @param {String|File} source Texto o fichero del GPX.
+   * @api
+   */
+  setSource(source) {
+    this.getImpl().setSource(source);
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GPX) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.extract === obj.extract);
+    }
+    return equals;
+  }
+}
+
+export default GPX;
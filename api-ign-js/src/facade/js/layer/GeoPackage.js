@@ -0,0 +1,172 @@
+/**
+ * @module M/layer/GeoPackage
+ */
+import GeoPackageImpl from 'impl/layer/GeoPackage';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * GeoPackage es un estándar OGC que agrupa tablas de objetos geográficos
+ * y de teselas en un contenedor SQLite. Al añadirlo al mapa se carga una
+ * capa por cada tabla: las tablas de objetos geográficos como capas GeoJSON,
+ * con sus atributos, y las de teselas como capas ráster (M.layer.GeoPackageTile).
+ * Las geometrías y teselas se transforman desde su sistema de referencia.
+ *
+ * @property {string} url Url del fichero GeoPackage.
+ * @property {ArrayBuffer|Uint8Array|Response|File} source Fichero GeoPackage.
+ * @property {string} name Nombre de la capa, identificador.
+ * @property {object} options Opciones GeoPackage.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class GeoPackage extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa GeoPackage
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.GeoPackage} userParameters Parámetros para
+   * la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - name: Nombre de la capa.
+   * - url: Url del fichero GeoPackage.
+   * - source: Fichero GeoPackage (ArrayBuffer, Uint8Array, Response o File).
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - tables: Nombres de las tablas que se cargan, por defecto todas.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * Están proporcionados por el usuario.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create GeoPackage layers
+    if (isUndefined(GeoPackageImpl)) {
+      Exception(getValue('exception').geopackage_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.GeoPackage);
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.GeoPackage}
+     * @type {M.impl.layer.GeoPackage}
+     */
+    const impl = new GeoPackageImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, impl);
+
+    /**
+     * GeoPackage source: Fichero GeoPackage.
+     */
+    this.source = parameters.source;
+
+    /**
+     * GeoPackage tables: Nombres de las tablas que se cargan.
+     */
+    this.tables = parameters.tables;
+
+    /**
+     * GeoPackage options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso GeoPackage.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, GeoPackage.
+   * @api
+   */
+  get type() {
+    return LayerType.GeoPackage;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.GeoPackage)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.GeoPackage).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve las tablas del GeoPackage que se cargan, asíncrono.
+   *
+   * @function
+   * @returns {Promise<Array<Object>>} Tablas { name, type ("features" o
+   * "tiles"), title, description, srsId, extent }.
+   * @api
+   */
+  getTables() {
+    return this.getImpl().getTables();
+  }
+
+  /**
+   * Devuelve las capas de las tablas cargadas en el mapa. Cuando
+   * las capas se han añadido se lanza el evento "load".
+   *
+   * @function
+   * @returns {Array<M.Layer>} Capas de las tablas.
+   * @api
+   */
+  getLayers() {
+    return this.getImpl().getLayers();
+  }
+
+  /**
+   * Calcula la extensión máxima del GeoPackage, asíncrono. El
+   * GeoPackage no interviene en la extensión del mapa, sí sus capas.
+   *
+   * @function
+   * @returns {Promise} Extensión máxima.
+   * @api
+   */
+  calculateMaxExtent() {
+    return new Promise(resolve => resolve(null));
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoPackage) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoPackage;
@@ -0,0 +1,127 @@
+/**
+ * @module M/layer/GeoPackageTile
+ */
+import GeoPackageTileImpl from 'impl/layer/GeoPackageTile';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+
+/**
+ * @classdesc
+ * Capa ráster de una tabla de teselas de un GeoPackage. La crea la
+ * capa GeoPackage (M.layer.GeoPackage) por cada tabla de teselas.
+ *
+ * @property {string} name Nombre de la tabla, identificador.
+ * @property {string} legend Leyenda de la capa.
+ * @property {M.provider.GeoPackage} provider Lector del GeoPackage.
+ * @property {object} options Opciones de la capa.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class GeoPackageTile extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa de teselas
+   * de un GeoPackage.
+   *
+   * @constructor
+   * @param {Mx.parameters.GeoPackageTile} userParameters Parámetros para
+   * la construcción de la capa.
+   * - name: Nombre de la tabla de teselas.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - provider: Lector del GeoPackage (M.provider.GeoPackage).
+   * - transparent: Falso si es una capa base, verdadero por defecto.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create GeoPackageTile layers
+    if (isUndefined(GeoPackageTileImpl)) {
+      Exception(getValue('exception').geopackagetile_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.GeoPackageTile}
+     * @type {M.impl.layer.GeoPackageTile}
+     */
+    const impl = new GeoPackageTileImpl(userParameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(userParameters, impl);
+
+    /**
+     * GeoPackageTile provider: Lector del GeoPackage.
+     */
+    this.provider = userParameters.provider;
+
+    /**
+     * GeoPackageTile transparent: Falso si es una capa base.
+     */
+    this.transparent = userParameters.transparent !== false;
+
+    /**
+     * GeoPackageTile options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso GeoPackageTile.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, GeoPackageTile.
+   * @api
+   */
+  get type() {
+    return LayerType.GeoPackageTile;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.GeoPackageTile)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.GeoPackageTile).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoPackageTile) {
+      equals = (this.provider === obj.provider);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoPackageTile;
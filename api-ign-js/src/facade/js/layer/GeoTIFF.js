@@ -0,0 +1,236 @@
+/**
+ * @module M/layer/GeoTIFF
+ */
+import GeoTIFFImpl from 'impl/layer/GeoTIFF';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa ráster de una imagen GeoTIFF. Los Cloud Optimized GeoTIFF se leen
+ * con peticiones HTTP por rangos, descargando sólo la parte visible en la
+ * resolución adecuada. También se pueden cargar ficheros locales.
+ * Al hacer clic en el mapa, la capa lanza el evento "click" con los
+ * valores de las bandas del píxel.
+ *
+ * @property {string} url URL del GeoTIFF.
+ * @property {File|Blob|ArrayBuffer} source Fichero GeoTIFF.
+ * @property {string} name Nombre de la capa, identificador.
+ * @property {string} legend Leyenda de la capa.
+ * @property {Array<number>} bands Bandas que se representan, empezando en 1.
+ * @property {number} nodata Valor sin datos.
+ * @property {Object} colorRamp Rampa de color de las imágenes de una banda.
+ * @property {object} options Opciones GeoTIFF.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class GeoTIFF extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa GeoTIFF
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.GeoTIFF} userParameters Parámetros para
+   * la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - name: Nombre de la capa, identificador.
+   * - url: URL del GeoTIFF.
+   * - source: Fichero GeoTIFF (File, Blob o ArrayBuffer).
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - transparent: Falso si es una capa base, verdadero en caso contrario.
+   * - bands: Bandas que se representan, empezando en 1. Por defecto [1, 2, 3]
+   * si la imagen tiene tres o más bandas y [1] si no. Con tres bandas se
+   * representa en RGB (valores de 0 a 255) y con una con la rampa de color.
+   * - nodata: Valor sin datos, por defecto el del fichero. Estos píxeles son transparentes.
+   * - colorRamp: Rampa de color de las imágenes de una banda:
+   * { colors: ['#000000', '#ffffff'], min, max }. Si no se indica el rango (min, max)
+   * se usan las estadísticas del fichero o se calculan.
+   * - projection: Código de la proyección, por defecto la del fichero.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * Están proporcionados por el usuario.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create GeoTIFF layers
+    if (isUndefined(GeoTIFFImpl)) {
+      Exception(getValue('exception').geotiff_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.GeoTIFF);
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.GeoTIFF}
+     * @type {M.impl.layer.GeoTIFF}
+     */
+    const impl = new GeoTIFFImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, impl);
+
+    /**
+     * GeoTIFF source: Fichero GeoTIFF.
+     */
+    this.source = parameters.source;
+
+    /**
+     * GeoTIFF options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso GeoTIFF.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, GeoTIFF.
+   * @api
+   */
+  get type() {
+    return LayerType.GeoTIFF;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.GeoTIFF)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.GeoTIFF).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve las bandas que se representan.
+   *
+   * @function
+   * @getter
+   * @return {Array<number>} Bandas, empezando en 1.
+   * @api
+   */
+  get bands() {
+    return this.getImpl().bands;
+  }
+
+  /**
+   * Sobrescribe las bandas que se representan, volviendo
+   * a dibujar la capa.
+   *
+   * @function
+   * @setter
+   * @param {Array<number>} newBands Bandas, empezando en 1.
+   * @api
+   */
+  set bands(newBands) {
+    this.getImpl().setBands(newBands);
+  }
+
+  /**
+   * Devuelve el valor sin datos indicado por el usuario.
+   *
+   * @function
+   * @getter
+   * @return {number} Valor sin datos.
+   * @api
+   */
+  get nodata() {
+    return this.getImpl().nodata;
+  }
+
+  /**
+   * Devuelve la rampa de color de las imágenes de una banda.
+   *
+   * @function
+   * @getter
+   * @return {Object} Rampa de color { colors, min, max }.
+   * @api
+   */
+  get colorRamp() {
+    return this.getImpl().colorRamp;
+  }
+
+  /**
+   * Sobrescribe la rampa de color de las imágenes de una banda,
+   * volviendo a dibujar la capa.
+   *
+   * @function
+   * @setter
+   * @param {Object} newColorRamp Rampa de color { colors, min, max }.
+   * @api
+   */
+  set colorRamp(newColorRamp) {
+    this.getImpl().setColorRamp(newColorRamp);
+  }
+
+  /**
+   * Devuelve los valores de las bandas del píxel de una coordenada.
+   *
+   * @function
+   * @param {Array<number>} coordinate Coordenada en la proyección del mapa.
+   * @returns {Promise<Array<number>>} Valores de las bandas, nulo si está
+   * fuera de la imagen o no tiene datos.
+   * @api
+   */
+  getPixelValue(coordinate) {
+    return this.getImpl().getPixelValue(coordinate);
+  }
+
+  /**
+   * Este método calcula la extensión máxima de esta capa: la indicada
+   * por el usuario o la de la imagen.
+   *
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión máxima de esta capa.
+   * @api
+   */
+  calculateMaxExtent() {
+    let maxExtent = Promise.resolve(this.userMaxExtent);
+    if (isNullOrEmpty(this.userMaxExtent)) {
+      maxExtent = this.getImpl().getExtentFromProvider();
+    }
+    return maxExtent;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoTIFF) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoTIFF;
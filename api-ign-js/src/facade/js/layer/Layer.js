@@ -442,6 +442,21 @@ class LayerBase extends Base {
     return this.getImpl().getLegendURL();
   }
 
+  /**
+   * Devuelve los elementos de la leyenda de la capa. Cada elemento tiene
+   * la imagen del símbolo (image) y su etiqueta (label). Por defecto la
+   * leyenda tiene un único elemento, sin etiqueta, con la imagen de la URL
+   * de la leyenda (ver "getLegendURL"). A diferencia de "getLegend", que
+   * devuelve el nombre de la capa en el árbol de contenidos.
+   *
+   * @function
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    return Promise.resolve(this.getLegendURL()).then(image => [{ label: '', image }]);
+  }
+
   /**
    * Sobrescribe la url de la leyenda.
    *
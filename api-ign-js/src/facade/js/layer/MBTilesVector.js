@@ -2,10 +2,9 @@
  * @module M/layer/MBTilesVector
  */
 import MBTilesVectorImpl from 'impl/layer/MBTilesVector';
-import RenderFeatureImpl from 'impl/feature/RenderFeature';
-import Vector from './Vector';
+import MVT from './MVT';
 import * as LayerType from './Type';
-import { isUndefined, isNullOrEmpty, isString, normalize } from '../util/Utils';
+import { isUndefined, isNullOrEmpty } from '../util/Utils';
 import Exception from '../exception/exception';
 import { getValue } from '../i18n/language';
 import * as parameter from '../parameter/parameter';
@@ -25,15 +24,16 @@ export const mode = {
 /**
  * @classdesc
  * MBTilesVector es un formato que permite agrupar múltiples capas
- * vectoriales en un contenedor SQLite.
+ * vectoriales en un contenedor SQLite. Las consultas, el filtro y los
+ * estilos GL son los de las capas MVT.
  *
  * @property {Boolean} extract Opcional. Activa la consulta haciendo
  * clic en el objeto geográfico,
  *
  * @api
- * @extends {M.layer.Vector}
+ * @extends {M.layer.MVT}
  */
-class MBTilesVector extends Vector {
+class MBTilesVector extends MVT {
   /**
    * Constructor principal de la clase. Crea una capa MBTilesVector
    * con parámetros especificados por el usuario.
@@ -56,6 +56,12 @@ class MBTilesVector extends Vector {
    * - opacity: Opacidad de capa, por defecto 1.
    * - style: Define el estilo de la capa.
    * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - glStyle: Estilo Mapbox/MapLibre GL: URL o documento del estilo, o nombre de
+   *   uno de los estilos de "glStyles". Sustituye al estilo de la capa (style).
+   * - glStyles: Estilos GL que ofrece el servicio, por nombre
+   *   (por ejemplo { claro: 'https://.../claro.json', oscuro: 'https://.../oscuro.json' }).
+   * - glSource: Fuente (source) del estilo GL que se dibuja en la capa, por defecto
+   *   la primera de tipo "vector".
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
    * <pre><code>
    * import OLSourceVectorTile from 'ol/source/VectorTile';
@@ -83,12 +89,6 @@ class MBTilesVector extends Vector {
     if (isUndefined(MBTilesVectorImpl)) {
       Exception(getValue('exception').mbtilesvector_method);
     }
-
-    /**
-     * MBTilesVector extract: Activa la consulta al hacer clic sobre un objeto geográfico,
-     * por defecto falso.
-     */
-    this.extract = parameters.extract;
   }
 
   /**
@@ -118,44 +118,6 @@ class MBTilesVector extends Vector {
     }
   }
 
-  /**
-   * Este método obtiene la extensión máxima de esta capa:
-   * 1. Comprueba si el usuario especificó el parámetro "maxExtent".
-   * 2. Obtiene el valor del parámetro "userMaxExtent" del mapa.
-   * 3. Obtiene la extensión máxima de la proyección del mapa.
-   *
-   * @function
-   * @returns {Mx.Extent} Extensión máxima de la capa
-   * @public
-   * @api
-   */
-  getMaxExtent() {
-    let maxExtent = this.userMaxExtent; // 1
-    if (isNullOrEmpty(maxExtent)) {
-      maxExtent = this.map_.userMaxExtent; // 2
-      if (isNullOrEmpty(maxExtent)) {
-        maxExtent = this.map_.getProjection().getExtent(); // 3
-      }
-    }
-    return maxExtent;
-  }
-
-  /**
-   * Este método es la versión asíncrona de "getMaxExtent" que obtiene
-   * la extensión máxima de esta capa:
-   * 1. Comprueba si el usuario especificó el parámetro "maxExtent".
-   * 2. Obtiene el valor del parámetro "userMaxExtent" del mapa.
-   * 3. Obtiene la extensión máxima de la proyección del mapa.
-   *
-   * @function
-   * @returns {Object} Extensión máxima de la capa.
-   * @public
-   * @api
-   */
-  calculateMaxExtent() {
-    return new Promise(resolve => resolve(this.getMaxExtent()));
-  }
-
   /**
    * Este método establece el estilo de la capa.
    *
@@ -171,85 +133,6 @@ class MBTilesVector extends Vector {
     super.setStyle(styleParam, applyToFeature, defaultStyle);
   }
 
-  /**
-   * Este método obtiene la proyección del mapa.
-   *
-   * @function
-   * @returns {Mx.Projection} Proyección del mapa.
-   * @public
-   * @api
-   */
-  getProjection() {
-    return this.getImpl().getProjection();
-  }
-
-  /**
-   * Obtiene el tipo de geometría de la capa.
-   *
-   * @function
-   * @public
-   * @returns {string} Tipo de geometría de la capa.
-   * @api
-   */
-  getGeometryType() {
-    let geometry = null;
-    const features = this.getFeatures();
-    if (!isNullOrEmpty(features)) {
-      const firstFeature = features[0];
-      if (!isNullOrEmpty(firstFeature)) {
-        geometry = firstFeature.getType();
-      }
-    }
-    return geometry;
-  }
-
-  /**
-   * Obtiene todos los objetos geográficos.
-   *
-   * @function
-   * @public
-   * @returns {Array<M.RenderFeature>} Objetos geográficos.
-   * @api
-   */
-  getFeatures() {
-    const features = this.getImpl().getFeatures();
-    return features.map(olFeature => RenderFeatureImpl.olFeature2Facade(olFeature));
-  }
-
-  /**
-   * Devuelve el valor de la propiedad "extract". La propiedad "extract" tiene la
-   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
-   *
-   * @function
-   * @getter
-   * @returns {Boolean} Valor de la propiedad "extract".
-   * @api
-   */
-  get extract() {
-    return this.getImpl().extract;
-  }
-
-  /**
-   * Sobrescribe el valor de la propiedad "extract". La propiedad "extract" tiene la
-   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
-   *
-   * @function
-   * @setter
-   * @param {Boolean} newExtract Nuevo valor para sobreescribir la propiedad "extract".
-   * @api
-   */
-  set extract(newExtract) {
-    if (!isNullOrEmpty(newExtract)) {
-      if (isString(newExtract)) {
-        this.getImpl().extract = (normalize(newExtract) === 'true');
-      } else {
-        this.getImpl().extract = newExtract;
-      }
-    } else {
-      this.getImpl().extract = false;
-    }
-  }
-
   /**
    * Este método comprueba si un objeto es igual
    * a esta capa.
@@ -272,61 +155,6 @@ class MBTilesVector extends Vector {
     }
     return equals;
   }
-
-  /**
-   * Este método establece los filtros para la capa.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  setFilter() {}
-
-  /**
-   * Este método añade objetos geográficos a la capa.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  addFeatures() {}
-
-  /**
-   * Este método elimina objetos geográficos de la capa.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  removeFeatures() {}
-
-  /**
-   * Este método refresca la capa.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  refresh() {}
-
-  /**
-   * Este método vuelve a dibujar la capa.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  redraw() {}
-
-  /**
-   * Este método convierte la capa a formato
-   * GeoJSON.
-   *
-   * @function
-   * @public
-   * @api
-   */
-  toGeoJSON() {}
 }
 
 /**
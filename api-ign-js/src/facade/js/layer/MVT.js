@@ -6,6 +6,10 @@ import RenderFeatureImpl from 'impl/feature/RenderFeature';
 import Vector from './Vector';
 import { isUndefined, isNullOrEmpty, normalize, isString } from '../util/Utils';
 import Exception from '../exception/exception';
+import FilterBase from '../filter/Base';
+import * as dialog from '../dialog';
+import * as EventType from '../event/eventtype';
+import { getValue } from '../i18n/language';
 import { MVT as MVTType } from './Type';
 
 /**
@@ -57,6 +61,12 @@ class MVT extends Vector {
    * - visibility. Define si la capa es visible o no. Verdadero por defecto.
    * - displayInLayerSwitcher. Indica si la capa se muestra en el selector de capas.
    * - opacity. Opacidad de capa, por defecto 1.
+   * - glStyle. Estilo Mapbox/MapLibre GL: URL o documento del estilo, o nombre de
+   *   uno de los estilos de "glStyles". Sustituye al estilo de la capa (style).
+   * - glStyles. Estilos GL que ofrece el servicio, por nombre
+   *   (por ejemplo { claro: 'https://.../claro.json', oscuro: 'https://.../oscuro.json' }).
+   * - glSource. Fuente (source) del estilo GL que se dibuja en la capa, por defecto
+   *   la primera de tipo "vector".
    * @param {Object} implParam Valores de la implementación por defecto,
    * se pasa un objeto implementación MVT.
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
@@ -186,7 +196,61 @@ class MVT extends Vector {
    * @api
    */
   setStyle(styleParam, applyToFeature = false, defaultStyle = MVT.DEFAULT_OPTIONS_STYLE) {
-    super.setStyle(styleParam, applyToFeature, defaultStyle);
+    const hasGLStyle = !isNullOrEmpty(this.getGLStyle());
+    if (hasGLStyle && !isNullOrEmpty(styleParam)) {
+      this.getImpl().removeGLStyle();
+    }
+    if (!hasGLStyle || !isNullOrEmpty(styleParam)) {
+      super.setStyle(styleParam, applyToFeature, defaultStyle);
+    }
+  }
+
+  /**
+   * Este método aplica un estilo Mapbox/MapLibre GL a la capa, con sus
+   * reglas por capa de origen (source-layer) y nivel de zoom, los iconos
+   * de su sprite y sus fuentes. Sustituye al estilo de la API (M.Style)
+   * que tuviera la capa; para volver a él se usa "setStyle".
+   *
+   * @function
+   * @public
+   * @param {String|Object} glStyle URL o documento del estilo GL, o nombre
+   * de uno de los estilos que ofrece el servicio (ver "getGLStyles").
+   * @returns {Promise} Promesa que se resuelve al aplicar el estilo.
+   * @api
+   */
+  setGLStyle(glStyle) {
+    if (!isNullOrEmpty(this.style_)) {
+      this.style_.unapply(this);
+      this.style_ = null;
+    }
+    return this.getImpl().setGLStyle(glStyle).then(() => {
+      this.fire(EventType.CHANGE_STYLE, [glStyle, this]);
+    });
+  }
+
+  /**
+   * Este método devuelve el estilo Mapbox/MapLibre GL de la capa.
+   *
+   * @function
+   * @public
+   * @returns {String|Object} Estilo GL (URL, documento o nombre), nulo si no tiene.
+   * @api
+   */
+  getGLStyle() {
+    return this.getImpl().getGLStyle();
+  }
+
+  /**
+   * Este método devuelve los estilos Mapbox/MapLibre GL que ofrece el
+   * servicio (opción "glStyles"), por nombre.
+   *
+   * @function
+   * @public
+   * @returns {Object} Estilos GL por nombre.
+   * @api
+   */
+  getGLStyles() {
+    return this.getImpl().getGLStyles();
   }
 
   /**
@@ -223,30 +287,95 @@ class MVT extends Vector {
   }
 
   /**
-   * Devuelve todos los objetos geográficos de la capa.
+   * Obtiene los objetos geográficos cargados, o los que cumplen el filtro
+   * de la capa.
    *
    * @function
    * @public
-   * @return {Array<M.RenderFeature>} Devuelve un array con los objetos geográficos.
+   * @param {Boolean} skipFilter Verdadero para no aplicar el filtro de la capa.
+   * @return {Array<M.RenderFeature>} Objetos geográficos.
    * @api
    */
-  getFeatures() {
-    const features = this.getImpl().getFeatures();
+  getFeatures(skipFilter) {
+    const features = this.getImpl().getFeatures()
+      .map(olFeature => RenderFeatureImpl.olFeature2Facade(olFeature));
+    return this.applyFilter_(features, skipFilter);
+  }
 
-    return features.map(olFeature => RenderFeatureImpl.olFeature2Facade(olFeature));
+  /**
+   * Obtiene los objetos geográficos dibujados en un píxel del mapa,
+   * con sus atributos.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} pixel Píxel del mapa.
+   * @return {Promise<Array<M.RenderFeature>>} Objetos geográficos.
+   * @api
+   */
+  getFeaturesAtPixel(pixel) {
+    return this.getImpl().getFeaturesAtPixel(pixel).then((olFeatures) => {
+      return olFeatures.map(olFeature => RenderFeatureImpl.olFeature2Facade(olFeature));
+    });
+  }
+
+  /**
+   * Obtiene los objetos geográficos cargados que intersecan con una extensión
+   * y cumplen el filtro de la capa.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} extent Extensión [minX, minY, maxX, maxY] en la proyección
+   * del mapa, por defecto la extensión visible del mapa.
+   * @param {Boolean} skipFilter Verdadero para no aplicar el filtro de la capa.
+   * @return {Array<M.RenderFeature>} Objetos geográficos.
+   * @api
+   */
+  getFeaturesInExtent(extent, skipFilter) {
+    const features = this.getImpl().getFeaturesInExtent(extent)
+      .map(olFeature => RenderFeatureImpl.olFeature2Facade(olFeature));
+    return this.applyFilter_(features, skipFilter);
+  }
+
+  /**
+   * Este método aplica el filtro de la capa a los objetos geográficos.
+   *
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {Array<M.RenderFeature>} features Objetos geográficos.
+   * @param {Boolean} skipFilter Verdadero para no aplicar el filtro.
+   * @return {Array<M.RenderFeature>} Objetos geográficos filtrados.
+   * @api
+   */
+  applyFilter_(features, skipFilter) {
+    const filter = this.getFilter();
+    return (skipFilter === true || isNullOrEmpty(filter)) ? features : filter.execute(features);
   }
 
   /**
-   * Modifica el filtro.
+   * Este método establece el filtro de la capa. Los objetos geográficos de las
+   * teselas que no lo cumplen no se dibujan ni se pueden consultar. El filtro
+   * se evalúa sobre los atributos (M.RenderFeature), por lo que no admite
+   * filtros espaciales.
    *
    * @function
    * @public
+   * @param {M.Filter} filter Filtro, nulo para eliminarlo.
    * @api
    */
-  setFilter() {}
+  setFilter(filter) {
+    if (isNullOrEmpty(filter) || (filter instanceof FilterBase)) {
+      this.filter_ = filter;
+      this.redraw();
+    } else {
+      dialog.error(getValue('dialog').vector_filter);
+    }
+  }
 
   /**
-   * Añade objeto geográficos.
+   * Este método no añade objetos geográficos, las teselas vectoriales
+   * son de solo lectura.
    *
    * @function
    * @public
@@ -255,7 +384,8 @@ class MVT extends Vector {
   addFeatures() {}
 
   /**
-   * Elimina objeto geográficos.
+   * Este método no elimina objetos geográficos, las teselas vectoriales
+   * son de solo lectura. Para ocultarlos se puede usar un filtro.
    *
    * @function
    * @public
@@ -264,31 +394,39 @@ class MVT extends Vector {
   removeFeatures() {}
 
   /**
-   * Recarga la capa.
+   * Este método vuelve a cargar las teselas de la capa.
    *
    * @function
    * @public
    * @api
    */
-  refresh() {}
+  refresh() {
+    this.getImpl().refresh();
+  }
 
   /**
-   * Este método redibuja la capa.
+   * Este método vuelve a dibujar las teselas cargadas.
    *
    * @function
    * @public
    * @api
    */
-  redraw() {}
+  redraw() {
+    this.getImpl().redraw();
+  }
 
   /**
-   * Transforma la capa en un GeoJSON.
+   * Este método obtiene la representación GeoJSON (EPSG:4326) de los objetos
+   * geográficos dibujados en la extensión visible del mapa que cumplen el filtro.
    *
    * @function
    * @public
+   * @return {Object} GeoJSON, tipo 'FeatureCollection'.
    * @api
    */
-  toGeoJSON() {}
+  toGeoJSON() {
+    return this.getImpl().toGeoJSON();
+  }
 }
 
 /**
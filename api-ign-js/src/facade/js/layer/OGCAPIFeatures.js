@@ -3,13 +3,28 @@
  */
 import OGCAPIFeaturesImpl from 'impl/layer/OGCAPIFeatures';
 
-import { isUndefined, isNullOrEmpty, isString, normalize } from '../util/Utils';
+import { isUndefined, isNullOrEmpty, isString, normalize, isArray } from '../util/Utils';
 import Exception from '../exception/exception';
 import Vector from './Vector';
 import * as LayerType from './Type';
 import * as parameter from '../parameter/parameter';
 import { getValue } from '../i18n/language';
 import Generic from '../style/Generic';
+import * as EventType from '../event/eventtype';
+
+/**
+ * Este método convierte los objetos geográficos en una lista.
+ *
+ * @function
+ * @param {Array<M.Feature>|M.Feature} features Objetos geográficos.
+ * @returns {Array<M.Feature>} Lista de objetos geográficos.
+ */
+const toArray = (features) => {
+  if (isNullOrEmpty(features)) {
+    return [];
+  }
+  return isArray(features) ? features : [features];
+};
 
 /**
  * @classdesc
@@ -42,6 +57,12 @@ import Generic from '../style/Generic';
  * @property {Boolean} extract Opcional. Activa la consulta haciendo
  * clic en el objeto geográfico.
  *
+ * La capa permite editar los objetos geográficos (OGC API - Features - Part 4):
+ * las inserciones, actualizaciones y borrados (insertFeatures, updateFeatures y
+ * deleteFeatures) quedan pendientes hasta confirmarlos en el servicio con commit()
+ * o descartarlos con rollback(). Los cambios sobre objetos geográficos modificados
+ * por otro usuario se rechazan y se notifican con el evento M.evt.EDIT_CONFLICT.
+ *
  * @api
  * @extends {M.layer.Vector}
  */
@@ -74,6 +95,10 @@ class OGCAPIFeatures extends Vector {
    * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
    * - minZoom: Zoom mínimo aplicable a la capa.
    * - maxZoom: Zoom máximo aplicable a la capa.
+   * - interceptors: Interceptor o lista de interceptores de las peticiones de la capa,
+   * se ejecutan después de los globales (M.remote.addInterceptor).
+   * - updateMethod: Método con el que se confirman las actualizaciones, 'PUT' (reemplaza
+   * el objeto geográfico, por defecto) o 'PATCH' (JSON Merge Patch).
    * @param {Object} vendorOpts Opciones para la biblioteca base.
    * -cql: Declaración CQL para filtrar las características
    * (Sólo disponible para servicios en PostgreSQL).
@@ -463,6 +488,114 @@ class OGCAPIFeatures extends Vector {
     }
   }
 
+  /**
+   * Este método añade objetos geográficos nuevos a la capa y los deja
+   * pendientes de crear en el servicio.
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos nuevos.
+   * @api
+   */
+  insertFeatures(featuresParam) {
+    const features = toArray(featuresParam);
+    this.addFeatures(features);
+    this.getImpl().insertFeatures(features);
+  }
+
+  /**
+   * Este método deja pendientes de actualizar en el servicio
+   * los objetos geográficos modificados de la capa.
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos modificados.
+   * @api
+   */
+  updateFeatures(featuresParam) {
+    this.getImpl().updateFeatures(toArray(featuresParam));
+  }
+
+  /**
+   * Este método elimina objetos geográficos de la capa y los deja
+   * pendientes de borrar en el servicio.
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos a borrar.
+   * @api
+   */
+  deleteFeatures(featuresParam) {
+    const features = toArray(featuresParam);
+    this.removeFeatures(features);
+    this.getImpl().deleteFeatures(features);
+  }
+
+  /**
+   * Este método devuelve los cambios pendientes de confirmar en el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Object} Objetos geográficos pendientes de crear (insert),
+   * actualizar (update) y borrar (delete).
+   * @api
+   */
+  getPendingChanges() {
+    return this.getImpl().getPendingChanges();
+  }
+
+  /**
+   * Este método indica si hay cambios pendientes de confirmar en el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Boolean} Verdadero si hay cambios pendientes, falso si no.
+   * @api
+   */
+  hasPendingChanges() {
+    const changes = this.getPendingChanges();
+    return (changes.insert.length + changes.update.length + changes.delete.length) > 0;
+  }
+
+  /**
+   * Este método confirma los cambios pendientes en el servicio. Los objetos
+   * geográficos creados reciben los identificadores asignados por el servidor.
+   * Los cambios que el servicio rechaza quedan pendientes; si es porque otro
+   * usuario ha modificado el objeto geográfico se lanza el evento
+   * M.evt.EDIT_CONFLICT con la lista de conflictos.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Object>} Resumen de los cambios:
+   * - totalInserted: Número de objetos geográficos creados.
+   * - totalUpdated: Número de objetos geográficos actualizados.
+   * - totalDeleted: Número de objetos geográficos borrados.
+   * - insertIds: Identificadores de los objetos geográficos creados.
+   * - conflicts: Cambios rechazados por modificación concurrente
+   * ({ feature, operation, response }).
+   * - failed: Cambios rechazados por otros errores ({ feature, operation, response }).
+   * @api
+   */
+  commit() {
+    return this.getImpl().commit().then((summary) => {
+      if (summary.conflicts.length > 0) {
+        this.fire(EventType.EDIT_CONFLICT, [summary.conflicts]);
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * Este método descarta los cambios pendientes y recupera los objetos
+   * geográficos del servicio.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  rollback() {
+    this.getImpl().rollback();
+  }
 
   /**
    * Este método comprueba si un objeto es igual
@@ -0,0 +1,170 @@
+/**
+ * @module M/layer/OGCAPIMaps
+ */
+import OGCAPIMapsImpl from 'impl/layer/OGCAPIMaps';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa de OGC API - Maps. A partir de la página de inicio del servicio se
+ * descubre el recurso "map" de la colección, al que se pide la imagen de
+ * la extensión visible de forma similar a una capa WMS.
+ *
+ * @property {string} url URL de la página de inicio del servicio.
+ * @property {string} name Identificador de la colección.
+ * @property {string} legend Leyenda de la capa.
+ * @property {string} format Formato de la imagen.
+ * @property {string} styleId Identificador del estilo.
+ * @property {object} options Opciones OGCAPIMaps.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class OGCAPIMaps extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa OGCAPIMaps
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.OGCAPIMaps} userParameters Parámetros para
+   * la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - url: URL de la página de inicio del servicio o de su recurso "collections".
+   * - name: Identificador de la colección. Si no se indica se pide el mapa
+   * del conjunto de datos.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - transparent: Falso si es una capa base, verdadero en caso contrario.
+   * - format: Formato de la imagen (parámetro "f"), por defecto 'png'.
+   * - styleId: Identificador del estilo del mapa.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * Están proporcionados por el usuario.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create OGCAPIMaps layers
+    if (isUndefined(OGCAPIMapsImpl)) {
+      Exception(getValue('exception').ogcapimapslayer_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.OGCAPIMaps);
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.OGCAPIMaps}
+     * @type {M.impl.layer.OGCAPIMaps}
+     */
+    const impl = new OGCAPIMapsImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, impl);
+
+    /**
+     * OGCAPIMaps options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso OGCAPIMaps.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, OGCAPIMaps.
+   * @api
+   */
+  get type() {
+    return LayerType.OGCAPIMaps;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.OGCAPIMaps)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.OGCAPIMaps).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve el formato de la imagen.
+   *
+   * @function
+   * @getter
+   * @return {String} Formato de la imagen.
+   * @api
+   */
+  get format() {
+    return this.getImpl().format;
+  }
+
+  /**
+   * Devuelve el identificador del estilo del mapa.
+   *
+   * @function
+   * @getter
+   * @return {String} Identificador del estilo.
+   * @api
+   */
+  get styleId() {
+    return this.getImpl().styleId;
+  }
+
+  /**
+   * Este método calcula la extensión máxima de esta capa: la indicada
+   * por el usuario o la de la colección.
+   *
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión máxima de esta capa.
+   * @api
+   */
+  calculateMaxExtent() {
+    let maxExtent = Promise.resolve(this.userMaxExtent);
+    if (isNullOrEmpty(this.userMaxExtent)) {
+      maxExtent = this.getImpl().getExtentFromProvider();
+    }
+    return maxExtent;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof OGCAPIMaps) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.styleId === obj.styleId);
+    }
+    return equals;
+  }
+}
+
+export default OGCAPIMaps;
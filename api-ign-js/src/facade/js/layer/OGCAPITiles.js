@@ -0,0 +1,182 @@
+/**
+ * @module M/layer/OGCAPITiles
+ */
+import OGCAPITilesImpl from 'impl/layer/OGCAPITiles';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa de OGC API - Tiles. A partir de la página de inicio del servicio
+ * se descubren los conjuntos de teselas de la colección, su plantilla de
+ * URL y su conjunto de matrices de teselas. Las teselas pueden ser
+ * vectoriales (Mapbox Vector Tiles) o ráster.
+ *
+ * @property {string} url URL de la página de inicio del servicio.
+ * @property {string} name Identificador de la colección.
+ * @property {string} legend Leyenda de la capa.
+ * @property {string} tileMatrixSet Identificador del conjunto de matrices de teselas.
+ * @property {string} dataType Tipo de teselas, 'vector' o 'map'.
+ * @property {object} options Opciones OGCAPITiles.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class OGCAPITiles extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa OGCAPITiles
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.OGCAPITiles} userParameters Parámetros para
+   * la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - url: URL de la página de inicio del servicio o de su recurso "collections".
+   * - name: Identificador de la colección. Si no se indica se usan las
+   * teselas del conjunto de datos.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - transparent: Falso si es una capa base, verdadero en caso contrario.
+   * - tileMatrixSet: Identificador del conjunto de matrices de teselas. Por
+   * defecto el de la proyección del mapa o, si no lo hay, WebMercatorQuad.
+   * - dataType: Tipo de teselas, 'vector' o 'map'. Por defecto las
+   * vectoriales y, si la colección no las tiene, las ráster.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * Están proporcionados por el usuario.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
+   * <pre><code>
+   * import { Style, Stroke } from 'ol/style';
+   * {
+   *  style: new Style({
+   *    stroke: new Stroke({ color: 'red' }),
+   *  }),
+   * }
+   * </code></pre>
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create OGCAPITiles layers
+    if (isUndefined(OGCAPITilesImpl)) {
+      Exception(getValue('exception').ogcapitileslayer_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.OGCAPITiles);
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.OGCAPITiles}
+     * @type {M.impl.layer.OGCAPITiles}
+     */
+    const impl = new OGCAPITilesImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, impl);
+
+    /**
+     * OGCAPITiles options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso OGCAPITiles.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, OGCAPITiles.
+   * @api
+   */
+  get type() {
+    return LayerType.OGCAPITiles;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.OGCAPITiles)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.OGCAPITiles).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve el identificador del conjunto de matrices de teselas.
+   *
+   * @function
+   * @getter
+   * @return {String} Conjunto de matrices de teselas.
+   * @api
+   */
+  get tileMatrixSet() {
+    return this.getImpl().tileMatrixSet;
+  }
+
+  /**
+   * Devuelve el tipo de teselas, 'vector' o 'map'. Si no lo ha indicado
+   * el usuario, se conoce cuando se ha cargado la capa.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de teselas.
+   * @api
+   */
+  get dataType() {
+    return this.getImpl().dataType;
+  }
+
+  /**
+   * Este método calcula la extensión máxima de esta capa: la indicada
+   * por el usuario o la de la colección.
+   *
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión máxima de esta capa.
+   * @api
+   */
+  calculateMaxExtent() {
+    let maxExtent = Promise.resolve(this.userMaxExtent);
+    if (isNullOrEmpty(this.userMaxExtent)) {
+      maxExtent = this.getImpl().getExtentFromProvider();
+    }
+    return maxExtent;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof OGCAPITiles) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.tileMatrixSet === obj.tileMatrixSet);
+    }
+    return equals;
+  }
+}
+
+export default OGCAPITiles;
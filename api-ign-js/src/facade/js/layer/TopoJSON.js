@@ -0,0 +1,216 @@
+/**
+ * @module M/layer/TopoJSON
+ */
+import TopoJSONImpl from 'impl/layer/TopoJSON';
+import LayerVector from './Vector';
+import * as LayerType from './Type';
+import { isString, isNullOrEmpty, isUndefined, normalize } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * Capa TopoJSON. TopoJSON es una extensión de GeoJSON que codifica la topología:
+ * las geometrías comparten los arcos, lo que reduce el tamaño de los ficheros.
+ * Cada objeto de la topología se carga como objetos geográficos de la capa.
+ *
+ * @property {String} url URL del TopoJSON.
+ * @property {Object|String|File} source Topología, texto o fichero del TopoJSON.
+ * @property {String} name Nombre de la capa, identificador.
+ * @property {Boolean} extract Activa la consulta al hacer clic sobre un objeto geográfico,
+ * por defecto falso.
+ * @property {Object} options Opciones TopoJSON.
+ *
+ * @api
+ * @extends {M.layer.Vector}
+ */
+class TopoJSON extends LayerVector {
+  /**
+   * Constructor principal de la clase. Crea una capa TopoJSON
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {String|Mx.parameters.TopoJSON} userParameters Parámetros para la construcción
+   * de la capa, estos parámetros los proporciona el usuario.
+   * - name: Nombre de la capa, identificador.
+   * - url: URL del TopoJSON.
+   * - source: Topología, texto o fichero (File) del TopoJSON, si no se indica la URL.
+   * - legend: Indica el nombre que aparece en el árbol de contenidos, si lo hay.
+   * - extract: Opcional, activa la consulta por clic en el objeto geográfico, por defecto falso.
+   * - layers: Nombres de los objetos de la topología que se cargan, por defecto todos.
+   * - layerName: Atributo en el que se guarda el nombre del objeto de la topología
+   * del que procede cada objeto geográfico.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * - hide: Atributos ocultos.
+   * - show: Mostrar atributos.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - style: Define el estilo de la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create TopoJSON layers
+    if (isUndefined(TopoJSONImpl)) {
+      Exception(getValue('exception').topojsonlayer_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.TopoJSON);
+
+    /**
+     * Implementación de la capa.
+     * @public
+     * @implements {M.impl.layer.TopoJSON}
+     * @type {M.impl.layer.TopoJSON}
+     */
+    const impl = new TopoJSONImpl(parameters, options, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, options, undefined, impl);
+
+    /**
+     * TopoJSON source: Topología, texto o fichero del TopoJSON.
+     */
+    this.source = parameters.source;
+
+    /**
+     * TopoJSON extract: Activa la consulta al hacer clic sobre un objeto geográfico,
+     * por defecto falso.
+     */
+    this.extract = parameters.extract;
+
+    /**
+     * TopoJSON options: Opciones que se mandan a la implementación.
+     */
+    this.options = options;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso TopoJSON.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, TopoJSON.
+   * @api
+   */
+  get type() {
+    return LayerType.TopoJSON;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.TopoJSON)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.TopoJSON).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve la topología, texto o fichero del TopoJSON.
+   *
+   * @function
+   * @getter
+   * @return {Object|String|File} Topología, texto o fichero del TopoJSON.
+   * @api
+   */
+  get source() {
+    return this.getImpl().source;
+  }
+
+  /**
+   * Sobrescribe la topología, texto o fichero del TopoJSON.
+   *
+   * @function
+   * @setter
+   * @param {Object|String|File} newSource Topología, texto o fichero del TopoJSON.
+   * @api
+   */
+  set source(newSource) {
+    this.getImpl().source = newSource;
+  }
+
+  /**
+   * Devuelve el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @getter
+   * @return {Boolean} Valor de la propiedad "extract".
+   * @api
+   */
+  get extract() {
+    return this.getImpl().extract;
+  }
+
+  /**
+   * Sobrescribe el valor de la propiedad "extract". La propiedad "extract" tiene la
+   * siguiente función: Activa la consulta al hacer clic en la característica, por defecto falso.
+   *
+   * @function
+   * @setter
+   * @param {Boolean|String} newExtract Nuevo valor para sobreescribir la propiedad "extract".
+   * @api
+   */
+  set extract(newExtract) {
+    if (!isNullOrEmpty(newExtract)) {
+      if (isString(newExtract)) {
+        this.getImpl().extract = (normalize(newExtract) === 'true');
+      } else {
+        this.getImpl().extract = newExtract;
+      }
+    } else {
+      this.getImpl().extract = false;
+    }
+  }
+
+  /**
+   * Este método sustituye el TopoJSON de la capa por una topología, texto o fichero
+   * y vuelve a cargar los objetos geográficos.
+   *
+   * @function
+   * @param {Object|String|File} source Topología, texto o fichero del TopoJSON.
+   * @api
+   */
+  setSource(source) {
+    this.getImpl().setSource(source);
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof TopoJSON) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.extract === obj.extract);
+    }
+    return equals;
+  }
+}
+
+export default TopoJSON;
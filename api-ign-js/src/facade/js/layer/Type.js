@@ -47,6 +47,27 @@ export const WFS = 'WFS';
  */
 export const OGCAPIFeatures = 'OGCAPIFeatures';
 
+/**
+ * Tipo OGCAPITiles (OGC API - Tiles). Colecciones servidas en forma
+ * de teselas ráster o vectoriales según los conjuntos de matrices de
+ * teselas (TileMatrixSet) que publica el servicio.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const OGCAPITiles = 'OGCAPITiles';
+
+/**
+ * Tipo OGCAPIMaps (OGC API - Maps). Colecciones servidas como imágenes
+ * del mapa de la extensión solicitada, de forma similar a WMS.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const OGCAPIMaps = 'OGCAPIMaps';
+
 /**
  * Tipo WMTS (Web Map Tile Service). Es un estándar OGC para servir
  * información geográfica en forma de mosaicos pregenerados en
@@ -141,6 +162,72 @@ export const MBTiles = 'MBTiles';
  */
 export const MBTilesVector = 'MBTilesVector';
 
+/**
+ * Tipo WMC (Web Map Context). Documento XML que describe un
+ * conjunto de capas WMS junto con el encuadre y la proyección
+ * en la que se deben visualizar.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const WMC = 'WMC';
+
+/**
+ * Tipo GeoPackage. Contenedor SQLite de tablas de objetos geográficos
+ * y de teselas (OGC GeoPackage).
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const GeoPackage = 'GeoPackage';
+
+/**
+ * Tipo GeoPackageTile. Tabla de teselas de un GeoPackage.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const GeoPackageTile = 'GeoPackageTile';
+
+/**
+ * Tipo GeoTIFF. Imagen GeoTIFF o Cloud Optimized GeoTIFF.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const GeoTIFF = 'GeoTIFF';
+
+/**
+ * Tipo CSV. Texto delimitado con columnas de coordenadas o geometrías WKT.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const CSV = 'CSV';
+
+/**
+ * Tipo GPX. Fichero GPS Exchange Format con puntos de paso, rutas y tracks.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const GPX = 'GPX';
+
+/**
+ * Tipo TopoJSON. Extensión de GeoJSON que codifica la topología.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+export const TopoJSON = 'TopoJSON';
+
 /**
  * Todos los tipos de capas
  * @const
@@ -161,6 +248,15 @@ const layertypes = {
   MBTiles,
   MBTilesVector,
   OGCAPIFeatures,
+  OGCAPITiles,
+  OGCAPIMaps,
+  WMC,
+  GeoPackage,
+  GeoPackageTile,
+  GeoTIFF,
+  CSV,
+  GPX,
+  TopoJSON,
 };
 
 /**
@@ -206,6 +302,12 @@ export const know = (type) => {
     MBTiles,
     MBTilesVector,
     OGCAPIFeatures,
+    OGCAPITiles,
+    OGCAPIMaps,
+    WMC,
+    GeoPackage,
+    GPX,
+    TopoJSON,
   ];
   return (knowTypes.indexOf(parse(type)) !== -1);
 };
@@ -3,7 +3,7 @@
  */
 import VectorImpl from 'impl/layer/Vector';
 import { geojsonTo4326 } from 'impl/util/Utils';
-import { isUndefined, isArray, isNullOrEmpty, isString, modifySVG } from '../util/Utils';
+import { isUndefined, isArray, isNullOrEmpty, isString, isObject, modifySVG } from '../util/Utils';
 import Exception from '../exception/exception';
 import LayerBase from './Layer';
 import * as LayerType from './Type';
@@ -100,6 +100,7 @@ class Vector extends LayerBase {
     this.setStyle(options.style);
 
     impl.on(EventType.LOAD, features => this.fire(EventType.LOAD, [features]));
+    impl.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
   }
 
 
@@ -298,7 +299,8 @@ class Vector extends LayerBase {
    *
    * @function
    * @public
-   * @param {M.Style} style Estilo que se aplicará a la capa.
+   * @param {M.Style|Object|string} style Estilo que se aplicará a la capa. También
+   * acepta el JSON del estilo (ver M.Style.fromJSON) o el estilo serializado.
    * @param {Boolean} applyToFeature Si el valor es verdadero se aplicará a los
    * objetos geográficos, falso no.
    * Por defecto, falso.
@@ -339,6 +341,8 @@ class Vector extends LayerBase {
     let style = styleParam;
     if (isString(style)) {
       style = Style.deserialize(style);
+    } else if (isObject(style) && !(style instanceof Style) && !isUndefined(style.version)) {
+      style = Style.fromJSON(style);
     } else if (!(style instanceof Style)) {
       style = new Generic(style);
     }
@@ -405,6 +409,28 @@ class Vector extends LayerBase {
     return legendUrl;
   }
 
+  /**
+   * Devuelve los elementos de la leyenda de la capa. Si la capa no tiene
+   * una URL de leyenda propia, los elementos son los de su estilo
+   * (ver M.Style#getLegendItems), con una etiqueta por clase.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    let items;
+    const legendUrl = this.getImpl().getLegendURL();
+    if (legendUrl.indexOf(LayerBase.LEGEND_DEFAULT) !== -1 &&
+      legendUrl.indexOf(LayerBase.LEGEND_ERROR) === -1 && this.style_ instanceof Style) {
+      items = this.style_.getLegendItems();
+    } else {
+      items = super.getLegendItems();
+    }
+    return items;
+  }
+
   /**
    * Obtiene el tipo de geometría de la capa.
    * Tipo de geometría: POINT (Punto), MPOINT (Multiples puntos), LINE (línea),
@@ -2,7 +2,7 @@
  * @module M/layer/WFS
  */
 import WFSImpl from 'impl/layer/WFS';
-import { isUndefined, isNullOrEmpty, normalize, isString } from '../util/Utils';
+import { isUndefined, isNullOrEmpty, normalize, isString, isArray } from '../util/Utils';
 import Exception from '../exception/exception';
 import Vector from './Vector';
 import * as LayerType from './Type';
@@ -10,6 +10,20 @@ import * as parameter from '../parameter/parameter';
 import { parse } from '../geom/Geom';
 import { getValue } from '../i18n/language';
 
+/**
+ * Este método convierte los objetos geográficos en una lista.
+ *
+ * @function
+ * @param {Array<M.Feature>|M.Feature} features Objetos geográficos.
+ * @returns {Array<M.Feature>} Lista de objetos geográficos.
+ */
+const toArray = (features) => {
+  if (isNullOrEmpty(features)) {
+    return [];
+  }
+  return isArray(features) ? features : [features];
+};
+
 /**
  * @classdesc
  * WFS (Web Feature Service) es un estándar OGC para la transferencia de información geográfica,
@@ -29,6 +43,10 @@ import { getValue } from '../i18n/language';
  * por defecto falso.
  * @property {Object} options Opciones de WFS.
  *
+ * La capa permite editar los objetos geográficos (WFS-T): las inserciones, actualizaciones
+ * y borrados (insertFeatures, updateFeatures y deleteFeatures) quedan pendientes hasta
+ * confirmarlos en el servicio con commit() o descartarlos con rollback().
+ *
  * @api
  * @extends {M.layer.Vector}
  */
@@ -64,6 +82,8 @@ class WFS extends Vector {
    * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
    * - opacity: Opacidad de capa, por defecto 1.
    * @param {M.WFSImpl} impl Implementación por defecto.
+   * - interceptors: Interceptor o lista de interceptores de las peticiones de la capa,
+   * se ejecutan después de los globales (M.remote.addInterceptor).
    * @param {Object} vendorOpts Opciones para la biblioteca base. Ejemplo vendorOptions:
    * <pre><code>
    * import OLSourceVector from 'ol/source/Vector';
@@ -355,6 +375,130 @@ class WFS extends Vector {
     });
   }
 
+  /**
+   * Este método devuelve el filtro OGC de la capa.
+   * @function
+   * @returns {M.filter.Base} Filtro OGC.
+   * @api
+   */
+  getOGCFilter() {
+    return this.getImpl().ogcFilter;
+  }
+
+  /**
+   * Este método establece un filtro (M.filter) que se envía al servicio
+   * en OGC Filter Encoding (XML) con peticiones GetFeature POST, en lugar
+   * del filtro CQL. Las geometrías de los filtros espaciales se usan con el
+   * nombre de la geometría de la capa. Con un valor nulo se elimina el filtro.
+   * @function
+   * @param {M.filter.Base} filter Filtro.
+   * @api
+   */
+  setOGCFilter(filter) {
+    if (this.getImpl().ogcFilter !== filter) {
+      this.getImpl().setOGCFilter(filter);
+    }
+  }
+
+  /**
+   * Este método añade objetos geográficos nuevos a la capa y los deja
+   * pendientes de insertar en el servicio (WFS-T).
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos nuevos.
+   * @api
+   */
+  insertFeatures(featuresParam) {
+    const features = toArray(featuresParam);
+    this.addFeatures(features);
+    this.getImpl().insertFeatures(features);
+  }
+
+  /**
+   * Este método deja pendientes de actualizar en el servicio (WFS-T)
+   * los objetos geográficos modificados de la capa.
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos modificados.
+   * @api
+   */
+  updateFeatures(featuresParam) {
+    this.getImpl().updateFeatures(toArray(featuresParam));
+  }
+
+  /**
+   * Este método elimina objetos geográficos de la capa y los deja
+   * pendientes de borrar en el servicio (WFS-T).
+   *
+   * @function
+   * @public
+   * @param {Array<M.Feature>|M.Feature} featuresParam Objetos geográficos a borrar.
+   * @api
+   */
+  deleteFeatures(featuresParam) {
+    const features = toArray(featuresParam);
+    this.removeFeatures(features);
+    this.getImpl().deleteFeatures(features);
+  }
+
+  /**
+   * Este método devuelve los cambios pendientes de confirmar en el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Object} Objetos geográficos pendientes de insertar (insert),
+   * actualizar (update) y borrar (delete).
+   * @api
+   */
+  getPendingChanges() {
+    return this.getImpl().getPendingChanges();
+  }
+
+  /**
+   * Este método indica si hay cambios pendientes de confirmar en el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Boolean} Verdadero si hay cambios pendientes, falso si no.
+   * @api
+   */
+  hasPendingChanges() {
+    const changes = this.getPendingChanges();
+    return (changes.insert.length + changes.update.length + changes.delete.length) > 0;
+  }
+
+  /**
+   * Este método confirma los cambios pendientes en el servicio con una
+   * transacción WFS-T. Los objetos geográficos insertados reciben los
+   * identificadores asignados por el servidor.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Object>} Resumen de la transacción:
+   * - totalInserted: Número de objetos geográficos insertados.
+   * - totalUpdated: Número de objetos geográficos actualizados.
+   * - totalDeleted: Número de objetos geográficos borrados.
+   * - insertIds: Identificadores de los objetos geográficos insertados.
+   * @api
+   */
+  commit() {
+    return this.getImpl().commit();
+  }
+
+  /**
+   * Este método descarta los cambios pendientes y recupera los objetos
+   * geográficos del servicio.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  rollback() {
+    this.getImpl().rollback();
+  }
+
   /**
    * Este método establece el estilo en capa.
    *
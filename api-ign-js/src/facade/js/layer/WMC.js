@@ -0,0 +1,207 @@
+/**
+ * @module M/layer/WMC
+ */
+import WMCImpl from 'impl/layer/WMC';
+import LayerBase from './Layer';
+import * as LayerType from './Type';
+import { isNullOrEmpty, isUndefined } from '../util/Utils';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import * as parameter from '../parameter/parameter';
+
+/**
+ * @classdesc
+ * WMC (Web Map Context) es un documento XML que describe un conjunto de
+ * capas junto con el encuadre y la proyección en la que se deben visualizar.
+ * Al seleccionar el contexto se cargan en el mapa las capas que describe,
+ * sólo puede haber un contexto seleccionado a la vez.
+ *
+ * @property {string} url Url del documento WMC.
+ * @property {string} name Nombre del contexto, identificador.
+ * @property {object} options Opciones WMC.
+ *
+ * @api
+ * @extends {M.Layer}
+ */
+class WMC extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa WMC
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.WMC} userParameters Parámetros para
+   * la construcción de la capa,
+   * estos parámetros los proporciona el usuario.
+   * - url: Url del documento WMC.
+   * - name: Nombre del contexto.
+   * - type: Tipo de la capa.
+   * @param {Mx.parameters.LayerOptions} options Estas opciones se mandarán a la implementación.
+   * Están proporcionados por el usuario.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // checks if the implementation can create WMC layers
+    if (isUndefined(WMCImpl)) {
+      Exception(getValue('exception').wmclayer_method);
+    }
+
+    // checks if the param is null or empty
+    if (isNullOrEmpty(userParameters)) {
+      Exception(getValue('exception').no_param);
+    }
+
+    const parameters = parameter.layer(userParameters, LayerType.WMC);
+    const optionsVar = {
+      ...parameters.options,
+      ...options,
+    };
+
+    /**
+     * Implementación
+     * @public
+     * @implements {M.impl.layer.WMC}
+     * @type {M.impl.layer.WMC}
+     */
+    const impl = new WMCImpl(optionsVar, vendorOptions);
+
+    // calls the super constructor
+    super(parameters, impl);
+
+    /**
+     * WMC options: Opciones que se mandan a la implementación.
+     */
+    this.options = optionsVar;
+  }
+
+  /**
+   * Devuelve el tipo de capa, en este caso WMC.
+   *
+   * @function
+   * @getter
+   * @return {String} Tipo de capa, WMC.
+   * @api
+   */
+  get type() {
+    return LayerType.WMC;
+  }
+
+  /**
+   * Sobrescribe el tipo de capa.
+   *
+   * @function
+   * @setter
+   * @param {String} newType Nuevo tipo de capa.
+   * @api
+   */
+  set type(newType) {
+    if (!isUndefined(newType) &&
+      !isNullOrEmpty(newType) && (newType !== LayerType.WMC)) {
+      Exception('El tipo de capa debe ser \''.concat(LayerType.WMC).concat('\' pero se ha especificado \'').concat(newType).concat('\''));
+    }
+  }
+
+  /**
+   * Devuelve verdadero si el contexto está seleccionado.
+   *
+   * @function
+   * @getter
+   * @return {Boolean} Verdadero si está seleccionado.
+   * @api
+   */
+  get selected() {
+    return this.getImpl().selected;
+  }
+
+  /**
+   * Selecciona el contexto, deseleccionando el resto de contextos
+   * del mapa, y carga sus capas. Cuando las capas se han añadido
+   * se lanza el evento "load".
+   *
+   * @function
+   * @api
+   */
+  select() {
+    if (isNullOrEmpty(this.getImpl().map)) {
+      Exception(getValue('exception').no_map);
+    }
+    this.getImpl().select();
+  }
+
+  /**
+   * Deselecciona el contexto, eliminando sus capas del mapa.
+   *
+   * @function
+   * @api
+   */
+  unselect() {
+    this.getImpl().unselect();
+  }
+
+  /**
+   * Devuelve el contexto leído del documento WMC, asíncrono.
+   *
+   * @function
+   * @returns {Promise} Contexto con el título, la proyección, el encuadre y las capas.
+   * @api
+   */
+  getContext() {
+    return this.getImpl().loadContext();
+  }
+
+  /**
+   * Devuelve las capas del contexto cargadas en el mapa.
+   *
+   * @function
+   * @returns {Array<M.Layer>} Capas del contexto.
+   * @api
+   */
+  getLayers() {
+    return this.getImpl().getLayers();
+  }
+
+  /**
+   * Devuelve la extensión máxima del contexto, nula si no
+   * ha sido cargado.
+   *
+   * @function
+   * @returns {Array<Number>} Extensión máxima.
+   * @api
+   */
+  getMaxExtent() {
+    return this.getImpl().getMaxExtent();
+  }
+
+  /**
+   * Calcula la extensión máxima del contexto, asíncrono.
+   * Un contexto no seleccionado no interviene en la extensión del mapa.
+   *
+   * @function
+   * @returns {Promise} Extensión máxima.
+   * @api
+   */
+  calculateMaxExtent() {
+    return new Promise(resolve => resolve(this.selected === true ? this.getMaxExtent() : null));
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Valor verdadero es igual, falso no lo es.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof WMC) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default WMC;
@@ -56,7 +56,8 @@ class WMS extends LayerBase {
    * el valor predeterminado es falso.
    * - format: Formato de la capa, por defecto image/png.
    * - styles: Estilos de la capa.
-   * - sldBody: Parámetros "ol.source.ImageWMS"
+   * - sldBody: Parámetros "ol.source.ImageWMS". Admite un documento SLD
+   * o un estilo (M.Style), que se envía al servidor como SLD (ver M.style.toSLD).
    * - minZoom: Zoom mínimo aplicable a la capa.
    * - maxZoom: Zoom máximo aplicable a la capa.
    * - queryable: Indica si la capa es consultable.
@@ -69,6 +70,8 @@ class WMS extends LayerBase {
    * - ratio: determina el tamaño de las solicitudes de las imágenes. 1 significa que tienen el
    * tamaño de la ventana, 2 significa que tienen el doble del tamaño de la ventana,
    * y así sucesivamente. Debe ser 1 o superior. Por defecto es 1.
+   * - interceptors: Interceptor o lista de interceptores de las peticiones de la capa,
+   * se ejecutan después de los globales (M.remote.addInterceptor).
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
    * <pre><code>
    * import OLSourceTileWMS from 'ol/source/TileWMS';
@@ -100,6 +103,9 @@ class WMS extends LayerBase {
       displayInLayerSwitcher: parameters.displayInLayerSwitcher,
       useCapabilities: parameters.useCapabilities,
     };
+    if (!isNullOrEmpty(options.sldBody) && isFunction(options.sldBody.toSLD)) {
+      optionsVar.sldBody = options.sldBody.toSLD({ layerName: parameters.name });
+    }
     const impl = new WMSImpl(optionsVar, vendorOptions);
     // calls the super constructor
     super(parameters, impl);
@@ -333,6 +339,12 @@ class WMS extends LayerBase {
             if (isFunction(callbackFn)) {
               callbackFn(this.maxExtent_);
             }
+          }).catch(() => {
+            // without capabilities the extent of the projection is used
+            this.maxExtent_ = this.map_.getProjection().getExtent();
+            if (isFunction(callbackFn)) {
+              callbackFn(this.maxExtent_);
+            }
           });
         } else {
           this.maxExtent_ = this.map_.userMaxExtent;
@@ -411,6 +423,48 @@ class WMS extends LayerBase {
     return this.getCapabilitiesPromise_;
   }
 
+  /**
+   * Este método devuelve las dimensiones (TIME, ELEVATION...) que anuncia el
+   * servicio para la capa en su GetCapabilities, con la lista de valores
+   * admitidos de cada una.
+   *
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa:
+   * - name: Nombre de la dimensión.
+   * - default: Valor por defecto.
+   * - values: Lista de valores admitidos.
+   * @api
+   */
+  getDimensions() {
+    return this.getImpl().getDimensions();
+  }
+
+  /**
+   * Este método devuelve el valor seleccionado de una dimensión.
+   *
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time".
+   * @returns {String} Valor de la dimensión, indefinido si se usa
+   * el valor por defecto del servicio.
+   * @api
+   */
+  getDimension(name) {
+    return this.getImpl().getDimension(name);
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión, por ejemplo
+   * setDimension('time', '2020-01-01'), y vuelve a cargar la capa.
+   *
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time".
+   * @param {String} value Valor de la dimensión.
+   * @api
+   */
+  setDimension(name, value) {
+    this.getImpl().setDimension(name, value);
+  }
+
   /**
    * Devuelve las URL de "tileMappins" (url del contexto, de la configuración).
    *
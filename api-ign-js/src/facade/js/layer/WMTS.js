@@ -55,6 +55,8 @@ class WMTS extends LayerBase {
    * - visibility: Define si la capa es visible o no. Verdadero por defecto.
    * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
    * - opacity: Opacidad de capa, por defecto 1.
+   * - interceptors: Interceptor o lista de interceptores de las peticiones de la capa,
+   * se ejecutan después de los globales (M.remote.addInterceptor).
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
    * <pre><code>
    * import { default as OLSourceWMTS } from 'ol/source/WMTS';
@@ -268,6 +270,48 @@ class WMTS extends LayerBase {
     return this.getCapabilitiesPromise_;
   }
 
+  /**
+   * Este método devuelve las dimensiones (TIME, ELEVATION...) que anuncia el
+   * servicio para la capa en su GetCapabilities, con la lista de valores
+   * admitidos de cada una.
+   *
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa:
+   * - name: Nombre de la dimensión.
+   * - default: Valor por defecto.
+   * - values: Lista de valores admitidos.
+   * @api
+   */
+  getDimensions() {
+    return this.getImpl().getDimensions();
+  }
+
+  /**
+   * Este método devuelve el valor seleccionado de una dimensión.
+   *
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "Time".
+   * @returns {String} Valor de la dimensión, indefinido si se usa
+   * el valor por defecto del servicio.
+   * @api
+   */
+  getDimension(name) {
+    return this.getImpl().getDimension(name);
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión, por ejemplo
+   * setDimension('Time', '2020-01-01'), y vuelve a cargar la capa.
+   *
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "Time".
+   * @param {String} value Valor de la dimensión.
+   * @api
+   */
+  setDimension(name, value) {
+    this.getImpl().setDimension(name, value);
+  }
+
   /**
    * Este método comprueba si un objeto es igual
    * a esta capa.
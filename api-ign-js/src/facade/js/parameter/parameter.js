@@ -3963,6 +3963,1405 @@ export const ogcapifeatures = (userParameters) => {
   return layers;
 };
 
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa GeoPackage.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoPackage} parameter Parámetro para
+ * obtener la leyenda de la capa GeoPackage.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendGeoPackage = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <GeoPackage>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL del fichero de la capa GeoPackage.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoPackage} parameter Parámetro para obtener la
+ * URL del fichero de la capa GeoPackage.
+ * @returns {string} URL del fichero.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLGeoPackage = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <GeoPackage>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa GeoPackage.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoPackage} parameter Parámetro para obtener
+ * el nombre de la capa GeoPackage.
+ * @returns {string} Nombre de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameGeoPackage = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <GeoPackage>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener las tablas que se cargan
+ * de la capa GeoPackage.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoPackage} parameter Parámetro para obtener
+ * las tablas de la capa GeoPackage.
+ * @returns {Array<string>} Nombres de las tablas.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getTablesGeoPackage = (parameter) => {
+  let tables;
+  let params;
+  if (isString(parameter)) {
+    // <GeoPackage>*<legend>*<URL>*<NAME>*<TABLES>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4 && !isNullOrEmpty(params[4].trim())) {
+      tables = params[4].split(',').map(table => table.trim());
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.tables)) {
+    tables = isArray(parameter.tables) ? parameter.tables : [parameter.tables];
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return tables;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa GeoPackage.
+ *
+ * @param {string|Mx.parameters.GeoPackage} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.GeoPackage|Array<Mx.parameters.GeoPackage>} Parámetros de la
+ * capa GeoPackage.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const geopackage = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.GeoPackage;
+
+    layerObj.legend = getLegendGeoPackage(userParam);
+
+    layerObj.url = getURLGeoPackage(userParam);
+
+    layerObj.source = getSourceMBTiles(userParam);
+
+    layerObj.name = getNameGeoPackage(userParam);
+
+    layerObj.tables = getTablesGeoPackage(userParam);
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa GeoTIFF.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoTIFF} parameter Parámetro para obtener
+ * la leyenda de la capa GeoTIFF.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendGeoTIFF = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <GeoTIFF>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa GeoTIFF.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoTIFF} parameter Parámetro para obtener la
+ * URL de la capa GeoTIFF.
+ * @returns {string} URL del GeoTIFF.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLGeoTIFF = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <GeoTIFF>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa GeoTIFF.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoTIFF} parameter Parámetro para obtener
+ * el nombre de la capa GeoTIFF.
+ * @returns {string} Nombre de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameGeoTIFF = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <GeoTIFF>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener si la capa GeoTIFF es transparente.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoTIFF} parameter Parámetro para obtener
+ * si la capa GeoTIFF es transparente.
+ * @returns {boolean|string} Falso si es una capa base.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getTransparentGeoTIFF = (parameter) => {
+  let transparent;
+  let params;
+  if (isString(parameter)) {
+    // <GeoTIFF>*<legend>*<URL>*<NAME>*<transparent>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      const value = params[4].trim();
+      transparent = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.transparent)) {
+    transparent = parameter.transparent;
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return transparent;
+};
+
+/**
+ * Analiza el parámetro para obtener las bandas que se representan
+ * de la capa GeoTIFF.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GeoTIFF} parameter Parámetro para obtener
+ * las bandas de la capa GeoTIFF.
+ * @returns {Array<number>} Bandas, empezando en 1.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getBandsGeoTIFF = (parameter) => {
+  let bands;
+  let params;
+  if (isString(parameter)) {
+    // <GeoTIFF>*<legend>*<URL>*<NAME>*<transparent>*<bands>
+    params = parameter.split('*');
+    if (params.length - 1 >= 5 && !isNullOrEmpty(params[5].trim())) {
+      bands = params[5].split(',').map(band => parseInt(band, 10));
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.bands)) {
+    bands = isArray(parameter.bands) ? parameter.bands : [parameter.bands];
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return bands;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa GeoTIFF.
+ *
+ * @param {string|Mx.parameters.GeoTIFF} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.GeoTIFF|Array<Mx.parameters.GeoTIFF>} Parámetros de la
+ * capa GeoTIFF.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const geotiff = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.GeoTIFF;
+
+    layerObj.legend = getLegendGeoTIFF(userParam);
+
+    layerObj.url = getURLGeoTIFF(userParam);
+
+    layerObj.source = getSourceMBTiles(userParam);
+
+    layerObj.name = getNameGeoTIFF(userParam);
+
+    layerObj.transparent = getTransparentGeoTIFF(userParam);
+
+    layerObj.bands = getBandsGeoTIFF(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.nodata = userParam.nodata;
+      layerObj.colorRamp = userParam.colorRamp;
+      layerObj.projection = userParam.projection;
+      layerObj.visibility = userParam.visibility;
+      layerObj.opacity = userParam.opacity;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa CSV.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.CSV} parameter Parámetro para obtener
+ * la leyenda de la capa CSV.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendCSV = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <CSV>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa CSV.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.CSV} parameter Parámetro para obtener la
+ * URL de la capa CSV.
+ * @returns {string} URL del CSV.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLCSV = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <CSV>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa CSV.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.CSV} parameter Parámetro para obtener
+ * el nombre de la capa CSV.
+ * @returns {string} Nombre de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameCSV = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <CSV>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener el "extract" de la capa CSV.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.CSV} parameter Parámetro para obtener
+ * el "extract" de la capa CSV.
+ * @returns {boolean} Valor del parámetro "extract".
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getExtractCSV = (parameter) => {
+  let extract;
+  let params;
+  if (isString(parameter)) {
+    // <CSV>*<legend>*<URL>*<NAME>*<extract>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      extract = normalize(params[4]) === 'true';
+    }
+  } else if (isObject(parameter)) {
+    extract = (parameter.extract === true) || (normalize(parameter.extract) === 'true');
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return extract;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa CSV.
+ *
+ * @param {string|Mx.parameters.CSV} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.CSV|Array<Mx.parameters.CSV>} Parámetros de la
+ * capa CSV.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const csv = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.CSV;
+
+    layerObj.legend = getLegendCSV(userParam);
+
+    layerObj.url = getURLCSV(userParam);
+
+    layerObj.name = getNameCSV(userParam);
+
+    layerObj.extract = getExtractCSV(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.source = userParam.source;
+      layerObj.delimiter = userParam.delimiter;
+      layerObj.x = userParam.x;
+      layerObj.y = userParam.y;
+      layerObj.wkt = userParam.wkt;
+      layerObj.projection = userParam.projection;
+      layerObj.minZoom = userParam.minZoom;
+      layerObj.maxZoom = userParam.maxZoom;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa GPX.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GPX} parameter Parámetro para obtener
+ * la leyenda de la capa GPX.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendGPX = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <GPX>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa GPX.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GPX} parameter Parámetro para obtener la
+ * URL de la capa GPX.
+ * @returns {string} URL del GPX.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLGPX = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <GPX>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa GPX.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GPX} parameter Parámetro para obtener
+ * el nombre de la capa GPX.
+ * @returns {string} Nombre de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameGPX = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <GPX>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener el "extract" de la capa GPX.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.GPX} parameter Parámetro para obtener
+ * el "extract" de la capa GPX.
+ * @returns {boolean} Valor del parámetro "extract".
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getExtractGPX = (parameter) => {
+  let extract;
+  let params;
+  if (isString(parameter)) {
+    // <GPX>*<legend>*<URL>*<NAME>*<extract>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      extract = normalize(params[4]) === 'true';
+    }
+  } else if (isObject(parameter)) {
+    extract = (parameter.extract === true) || (normalize(parameter.extract) === 'true');
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return extract;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa GPX.
+ *
+ * @param {string|Mx.parameters.GPX} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.GPX|Array<Mx.parameters.GPX>} Parámetros de la
+ * capa GPX.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const gpx = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.GPX;
+
+    layerObj.legend = getLegendGPX(userParam);
+
+    layerObj.url = getURLGPX(userParam);
+
+    layerObj.name = getNameGPX(userParam);
+
+    layerObj.extract = getExtractGPX(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.source = userParam.source;
+      layerObj.minZoom = userParam.minZoom;
+      layerObj.maxZoom = userParam.maxZoom;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa TopoJSON.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.TopoJSON} parameter Parámetro para obtener
+ * la leyenda de la capa TopoJSON.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendTopoJSON = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <TopoJSON>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa TopoJSON.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.TopoJSON} parameter Parámetro para obtener la
+ * URL de la capa TopoJSON.
+ * @returns {string} URL del TopoJSON.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLTopoJSON = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <TopoJSON>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa TopoJSON.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.TopoJSON} parameter Parámetro para obtener
+ * el nombre de la capa TopoJSON.
+ * @returns {string} Nombre de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameTopoJSON = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <TopoJSON>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener el "extract" de la capa TopoJSON.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.TopoJSON} parameter Parámetro para obtener
+ * el "extract" de la capa TopoJSON.
+ * @returns {boolean} Valor del parámetro "extract".
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getExtractTopoJSON = (parameter) => {
+  let extract;
+  let params;
+  if (isString(parameter)) {
+    // <TopoJSON>*<legend>*<URL>*<NAME>*<extract>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      extract = normalize(params[4]) === 'true';
+    }
+  } else if (isObject(parameter)) {
+    extract = (parameter.extract === true) || (normalize(parameter.extract) === 'true');
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return extract;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa TopoJSON.
+ *
+ * @param {string|Mx.parameters.TopoJSON} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.TopoJSON|Array<Mx.parameters.TopoJSON>} Parámetros de la
+ * capa TopoJSON.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const topojson = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.TopoJSON;
+
+    layerObj.legend = getLegendTopoJSON(userParam);
+
+    layerObj.url = getURLTopoJSON(userParam);
+
+    layerObj.name = getNameTopoJSON(userParam);
+
+    layerObj.extract = getExtractTopoJSON(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.source = userParam.source;
+      layerObj.layers = userParam.layers;
+      layerObj.layerName = userParam.layerName;
+      layerObj.minZoom = userParam.minZoom;
+      layerObj.maxZoom = userParam.maxZoom;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa OGCAPITiles.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener
+ * la leyenda de la capa OGCAPITiles.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendOGCAPITiles = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa OGCAPITiles.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener la
+ * URL de la capa OGCAPITiles.
+ * @returns {string} URL del servicio.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLOGCAPITiles = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa OGCAPITiles.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener
+ * el nombre de la capa OGCAPITiles.
+ * @returns {string} Identificador de la colección.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameOGCAPITiles = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener si la capa OGCAPITiles es transparente.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener
+ * si es transparente la capa OGCAPITiles.
+ * @returns {boolean|string} Falso si es una capa base.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getTransparentOGCAPITiles = (parameter) => {
+  let transparent;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>*<URL>*<NAME>*<transparent>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      const value = params[4].trim();
+      transparent = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.transparent)) {
+    transparent = parameter.transparent;
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return transparent;
+};
+
+/**
+ * Analiza el parámetro para obtener el conjunto de matrices de teselas de la capa OGCAPITiles.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener
+ * el conjunto de matrices de teselas de la capa OGCAPITiles.
+ * @returns {string} Identificador del conjunto de matrices.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getTileMatrixSetOGCAPITiles = (parameter) => {
+  let tileMatrixSet;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>*<URL>*<NAME>*<transparent>*<tileMatrixSet>
+    params = parameter.split('*');
+    if (params.length - 1 >= 5) {
+      const value = params[5].trim();
+      tileMatrixSet = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.tileMatrixSet)) {
+    tileMatrixSet = parameter.tileMatrixSet.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return tileMatrixSet;
+};
+
+/**
+ * Analiza el parámetro para obtener el tipo de teselas de la capa OGCAPITiles.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPITiles} parameter Parámetro para obtener
+ * el tipo de teselas de la capa OGCAPITiles.
+ * @returns {string} Tipo de teselas, 'vector' o 'map'.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getDataTypeOGCAPITiles = (parameter) => {
+  let dataType;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPITiles>*<legend>*<URL>*<NAME>*<transparent>*<tileMatrixSet>*<dataType>
+    params = parameter.split('*');
+    if (params.length - 1 >= 6) {
+      const value = params[6].trim();
+      dataType = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.dataType)) {
+    dataType = parameter.dataType.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return dataType;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa OGCAPITiles.
+ *
+ * @param {string|Mx.parameters.OGCAPITiles} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.OGCAPITiles|Array<Mx.parameters.OGCAPITiles>} Parámetros de la
+ * capa OGCAPITiles.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const ogcapitiles = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.OGCAPITiles;
+
+    layerObj.legend = getLegendOGCAPITiles(userParam);
+
+    layerObj.url = getURLOGCAPITiles(userParam);
+
+    layerObj.name = getNameOGCAPITiles(userParam);
+
+    layerObj.transparent = getTransparentOGCAPITiles(userParam);
+
+    layerObj.tileMatrixSet = getTileMatrixSetOGCAPITiles(userParam);
+
+    layerObj.dataType = getDataTypeOGCAPITiles(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.visibility = userParam.visibility;
+      layerObj.maxExtent = userParam.maxExtent;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
+/**
+ * Analiza el parámetro para obtener la leyenda de la capa OGCAPIMaps.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener
+ * la leyenda de la capa OGCAPIMaps.
+ * @returns {string} Leyenda de la capa.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getLegendOGCAPIMaps = (parameter) => {
+  let legend;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>
+    params = parameter.split('*');
+    if (params.length - 1 >= 1) {
+      const value = params[1].trim();
+      legend = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.legend)) {
+    legend = parameter.legend.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return legend;
+};
+
+/**
+ * Analiza el parámetro para obtener la URL de la capa OGCAPIMaps.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener la
+ * URL de la capa OGCAPIMaps.
+ * @returns {string} URL del servicio.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getURLOGCAPIMaps = (parameter) => {
+  let url;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>*<URL>
+    const urlMatches = parameter.match(/^([^*]*\*)*(https?:\/\/[^*]+)([^*]*\*?)*$/i);
+    if (urlMatches && (urlMatches.length > 2)) {
+      url = urlMatches[2];
+    }
+  } else if (isObject(parameter)) {
+    url = parameter.url;
+  } else {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+  return url;
+};
+
+/**
+ * Analiza el parámetro para obtener el nombre de la capa OGCAPIMaps.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener
+ * el nombre de la capa OGCAPIMaps.
+ * @returns {string} Identificador de la colección.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getNameOGCAPIMaps = (parameter) => {
+  let name;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>*<URL>*<NAME>
+    params = parameter.split('*');
+    if (params.length - 1 >= 3) {
+      const value = params[3].trim();
+      name = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.name)) {
+    name = parameter.name.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return name;
+};
+
+/**
+ * Analiza el parámetro para obtener si la capa OGCAPIMaps es transparente.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener
+ * si es transparente la capa OGCAPIMaps.
+ * @returns {boolean|string} Falso si es una capa base.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getTransparentOGCAPIMaps = (parameter) => {
+  let transparent;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>*<URL>*<NAME>*<transparent>
+    params = parameter.split('*');
+    if (params.length - 1 >= 4) {
+      const value = params[4].trim();
+      transparent = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.transparent)) {
+    transparent = parameter.transparent;
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return transparent;
+};
+
+/**
+ * Analiza el parámetro para obtener el formato de la imagen de la capa OGCAPIMaps.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener
+ * el formato de la imagen de la capa OGCAPIMaps.
+ * @returns {string} Formato de la imagen.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getFormatOGCAPIMaps = (parameter) => {
+  let format;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>*<URL>*<NAME>*<transparent>*<format>
+    params = parameter.split('*');
+    if (params.length - 1 >= 5) {
+      const value = params[5].trim();
+      format = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.format)) {
+    format = parameter.format.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return format;
+};
+
+/**
+ * Analiza el parámetro para obtener el estilo de la capa OGCAPIMaps.
+ *  - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+ *
+ * @public
+ * @function
+ * @param {string|Mx.parameters.OGCAPIMaps} parameter Parámetro para obtener
+ * el estilo de la capa OGCAPIMaps.
+ * @returns {string} Identificador del estilo.
+ * @throws {M.exception} Si el parámetro no es de un tipo soportado.
+ * @api
+ */
+export const getStyleIdOGCAPIMaps = (parameter) => {
+  let styleId;
+  let params;
+  if (isString(parameter)) {
+    // <OGCAPIMaps>*<legend>*<URL>*<NAME>*<transparent>*<format>*<styleId>
+    params = parameter.split('*');
+    if (params.length - 1 >= 6) {
+      const value = params[6].trim();
+      styleId = isNullOrEmpty(value) ? undefined : value;
+    }
+  } else if (isObject(parameter) && !isNullOrEmpty(parameter.styleId)) {
+    styleId = parameter.styleId.trim();
+  } else if (!isObject(parameter)) {
+    Exception(`El parámetro no es de un tipo soportado: ${typeof parameter}`);
+  }
+
+  return styleId;
+};
+
+/**
+ * Analiza los parámetros especificados por el usuario para la capa OGCAPIMaps.
+ *
+ * @param {string|Mx.parameters.OGCAPIMaps} userParameters Parámetros para la capa
+ * especificados por el usuario.
+ * @returns {Mx.parameters.OGCAPIMaps|Array<Mx.parameters.OGCAPIMaps>} Parámetros de la
+ * capa OGCAPIMaps.
+ * @public
+ * @function
+ * @api
+ * @throws {M.exception} Si el parámetro no es especificado.
+ */
+export const ogcapimaps = (userParameters) => {
+  let layers = [];
+
+  // checks if the param is null or empty
+  if (isNullOrEmpty(userParameters)) {
+    Exception(getValue('exception').no_param);
+  }
+
+  // checks if the parameter is an array
+  let userParametersArray = userParameters;
+  if (!isArray(userParametersArray)) {
+    userParametersArray = [userParametersArray];
+  }
+
+  layers = userParametersArray.map((userParam) => {
+    const layerObj = {};
+
+    layerObj.type = LayerType.OGCAPIMaps;
+
+    layerObj.legend = getLegendOGCAPIMaps(userParam);
+
+    layerObj.url = getURLOGCAPIMaps(userParam);
+
+    layerObj.name = getNameOGCAPIMaps(userParam);
+
+    layerObj.transparent = getTransparentOGCAPIMaps(userParam);
+
+    layerObj.format = getFormatOGCAPIMaps(userParam);
+
+    layerObj.styleId = getStyleIdOGCAPIMaps(userParam);
+
+    if (isObject(userParam)) {
+      layerObj.visibility = userParam.visibility;
+      layerObj.maxExtent = userParam.maxExtent;
+    }
+
+    return layerObj;
+  });
+
+  if (!isArray(userParameters)) {
+    layers = layers[0];
+  }
+
+  return layers;
+};
+
 /**
  * Parámetros con los tipos de capa soportados.
  * @const
@@ -3984,6 +5383,13 @@ const parameterFunction = {
   mbtiles,
   mbtilesvector,
   ogcapifeatures,
+  geopackage,
+  geotiff,
+  ogcapitiles,
+  ogcapimaps,
+  csv,
+  gpx,
+  topojson,
 };
 
 
@@ -0,0 +1,432 @@
+/**
+ * @module M/provider/GeoPackage
+ */
+import sqljs from 'sql.js';
+import { isNullOrEmpty, bytesToBase64, getUint8ArrayFromData } from '../util/Utils';
+
+/**
+ * Tipos de geometría WKB.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const WKB_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection',
+};
+
+/**
+ * Tamaño en bytes de la envolvente de la cabecera de cada geometría
+ * según el indicador de envolvente.
+ * @private
+ * @const
+ * @type {Array<Number>}
+ */
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+/**
+ * Lector secuencial de geometrías WKB (ISO o EWKB) como geometrías
+ * GeoJSON. La coordenada M se descarta.
+ *
+ * @private
+ */
+class WKBReader {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {DataView} view Datos.
+   * @param {Number} offset Posición inicial de lectura.
+   */
+  constructor(view, offset) {
+    /**
+     * Datos.
+     * @private
+     * @type {DataView}
+     */
+    this.view_ = view;
+
+    /**
+     * Posición de lectura.
+     * @private
+     * @type {Number}
+     */
+    this.offset_ = offset;
+  }
+
+  /**
+   * Lee un entero sin signo de 32 bits.
+   *
+   * @function
+   * @param {Boolean} littleEndian Orden de los bytes.
+   * @return {Number} Valor.
+   */
+  readUint32(littleEndian) {
+    const value = this.view_.getUint32(this.offset_, littleEndian);
+    this.offset_ += 4;
+    return value;
+  }
+
+  /**
+   * Lee un número en coma flotante de 64 bits.
+   *
+   * @function
+   * @param {Boolean} littleEndian Orden de los bytes.
+   * @return {Number} Valor.
+   */
+  readFloat64(littleEndian) {
+    const value = this.view_.getFloat64(this.offset_, littleEndian);
+    this.offset_ += 8;
+    return value;
+  }
+
+  /**
+   * Lee la siguiente geometría.
+   *
+   * @function
+   * @return {Object} Geometría GeoJSON, de tipo nulo si no está soportado.
+   */
+  readGeometry() {
+    const littleEndian = this.view_.getUint8(this.offset_) === 1;
+    this.offset_ += 1;
+    let type = this.readUint32(littleEndian);
+
+    // EWKB flags or ISO dimension codes
+    let hasZ = (type & 0x80000000) !== 0;
+    let hasM = (type & 0x40000000) !== 0;
+    if ((type & 0x20000000) !== 0) {
+      // skips the EWKB SRID
+      this.offset_ += 4;
+    }
+    type &= 0x0FFFFFFF;
+    const dimension = Math.floor(type / 1000);
+    hasZ = hasZ || dimension === 1 || dimension === 3;
+    hasM = hasM || dimension === 2 || dimension === 3;
+    type %= 1000;
+
+    const readPoint = () => {
+      const point = [this.readFloat64(littleEndian), this.readFloat64(littleEndian)];
+      if (hasZ) {
+        point.push(this.readFloat64(littleEndian));
+      }
+      if (hasM) {
+        this.readFloat64(littleEndian);
+      }
+      return point;
+    };
+    const readList = (readItem) => {
+      const length = this.readUint32(littleEndian);
+      const list = [];
+      for (let i = 0; i < length; i += 1) {
+        list.push(readItem());
+      }
+      return list;
+    };
+    const readPoints = () => readList(readPoint);
+
+    const geometry = { type: WKB_TYPES[type] };
+    if (type === 1) {
+      geometry.coordinates = readPoint();
+    } else if (type === 2) {
+      geometry.coordinates = readPoints();
+    } else if (type === 3) {
+      geometry.coordinates = readList(readPoints);
+    } else if (type >= 4 && type <= 6) {
+      geometry.coordinates = readList(() => this.readGeometry().coordinates);
+    } else if (type === 7) {
+      geometry.geometries = readList(() => this.readGeometry());
+    } else {
+      geometry.type = null;
+    }
+    return geometry;
+  }
+}
+
+/**
+ * Lee una geometría de GeoPackage (cabecera GP + WKB) como
+ * geometría GeoJSON.
+ *
+ * @function
+ * @param {Uint8Array} bytes Geometría de GeoPackage.
+ * @return {Object} Geometría GeoJSON, nula si está vacía.
+ * @api
+ */
+export const readGeometry = (bytes) => {
+  let geometry = null;
+  // magic number "GP"
+  if (!isNullOrEmpty(bytes) && bytes[0] === 0x47 && bytes[1] === 0x50) {
+    const flags = bytes[3];
+    const empty = (flags & 0x10) !== 0;
+    const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0x07] || 0;
+    if (!empty) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      geometry = new WKBReader(view, 8 + envelopeSize).readGeometry();
+      if (geometry.type === null) {
+        geometry = null;
+      }
+    }
+  }
+  return geometry;
+};
+
+/**
+ * Obtiene el tipo MIME de una imagen a partir de su firma.
+ *
+ * @private
+ * @function
+ * @param {Uint8Array} bytes Imagen.
+ * @return {String} Tipo MIME.
+ */
+const getImageFormat = (bytes) => {
+  let format = 'image/png';
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    format = 'image/jpeg';
+  } else if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[8] === 0x57 && bytes[9] === 0x45) {
+    format = 'image/webp';
+  }
+  return format;
+};
+
+/**
+ * Escapa el nombre de una tabla o columna para las consultas SQL.
+ *
+ * @private
+ * @function
+ * @param {String} name Nombre.
+ * @return {String} Nombre escapado.
+ */
+const quoteName = name => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * @classdesc
+ * Esta clase lee un GeoPackage (OGC 12-128r17), un contenedor
+ * SQLite de tablas de objetos geográficos y de teselas.
+ *
+ * @property {Object} db_ Base de datos.
+ *
+ * @api
+ */
+class GeoPackage {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {ArrayBuffer|Uint8Array|Response|File} data Archivo GeoPackage.
+   * @api
+   */
+  constructor(data) {
+    /**
+     * Base de datos
+     */
+    this.db_ = null;
+
+    /**
+     * Lectura de la base de datos, promesa.
+     */
+    this.initPromise_ = sqljs({
+      locateFile: file => `${M.config.SQL_WASM_URL}${file}`,
+    }).then((SQL) => {
+      return getUint8ArrayFromData(data).then((uint8Array) => {
+        this.db_ = new SQL.Database(uint8Array);
+        return this.db_;
+      });
+    });
+  }
+
+  /**
+   * Este método ejecuta una consulta SQL con parámetros.
+   *
+   * @function
+   * @public
+   * @param {String} query Consulta SQL.
+   * @param {Array} params Parámetros de la consulta.
+   * @returns {Promise<Array<Object>>} Filas de la consulta.
+   * @api
+   */
+  select(query, params = []) {
+    return this.initPromise_.then((db) => {
+      const rows = [];
+      const statement = db.prepare(query);
+      try {
+        statement.bind(params);
+        while (statement.step()) {
+          rows.push(statement.getAsObject());
+        }
+      } finally {
+        statement.free();
+      }
+      return rows;
+    });
+  }
+
+  /**
+   * Este método obtiene las tablas del GeoPackage (gpkg_contents).
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Tablas { name, type ("features" o
+   * "tiles"), title, description, srsId, extent }.
+   * @api
+   */
+  getTables() {
+    const query = 'SELECT table_name, data_type, identifier, description, srs_id, min_x, min_y, max_x, max_y FROM gpkg_contents WHERE data_type IN (\'features\', \'tiles\')';
+    return this.select(query).then((rows) => {
+      return rows.map((row) => {
+        const table = {
+          name: row.table_name,
+          type: row.data_type,
+          title: row.identifier || row.table_name,
+          description: row.description,
+          srsId: row.srs_id,
+          extent: null,
+        };
+        if (![row.min_x, row.min_y, row.max_x, row.max_y].some(isNullOrEmpty)) {
+          table.extent = [row.min_x, row.min_y, row.max_x, row.max_y];
+        }
+        return table;
+      });
+    });
+  }
+
+  /**
+   * Este método obtiene el sistema de referencia indicado.
+   *
+   * @function
+   * @public
+   * @param {Number} srsId Identificador del sistema de referencia.
+   * @returns {Promise<Object>} Sistema de referencia { code, definition },
+   * nulo si no está definido.
+   * @api
+   */
+  getSRS(srsId) {
+    const query = 'SELECT organization, organization_coordsys_id, definition FROM gpkg_spatial_ref_sys WHERE srs_id = ?';
+    return this.select(query, [srsId]).then(([row]) => {
+      let srs = null;
+      if (row !== undefined && row.organization_coordsys_id > 0) {
+        srs = {
+          code: `${row.organization.toUpperCase()}:${row.organization_coordsys_id}`,
+          definition: row.definition,
+        };
+      }
+      return srs;
+    });
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos de una tabla como
+   * GeoJSON, con el sistema de referencia en el atributo "crs".
+   *
+   * @function
+   * @public
+   * @param {Object} table Tabla (getTables).
+   * @returns {Promise<Object>} GeoJSON "FeatureCollection".
+   * @api
+   */
+  getFeatures(table) {
+    const geometryQuery = 'SELECT column_name FROM gpkg_geometry_columns WHERE table_name = ?';
+    return Promise.all([
+      this.select(geometryQuery, [table.name]),
+      this.select(`PRAGMA table_info(${quoteName(table.name)})`),
+      this.getSRS(table.srsId),
+    ]).then(([[geometryColumn], columns, srs]) => {
+      const geometryName = (geometryColumn || {}).column_name;
+      const pkColumn = columns.find(column => column.pk > 0);
+      const idName = (pkColumn || {}).name;
+      return this.select(`SELECT * FROM ${quoteName(table.name)}`).then((rows) => {
+        const featureCollection = {
+          type: 'FeatureCollection',
+          features: rows.map((row) => {
+            const properties = { ...row };
+            delete properties[geometryName];
+            return {
+              type: 'Feature',
+              id: isNullOrEmpty(idName) ? undefined : row[idName],
+              geometry: readGeometry(row[geometryName]),
+              properties,
+            };
+          }),
+        };
+        if (!isNullOrEmpty(srs)) {
+          featureCollection.crs = { type: 'name', properties: { name: srs.code } };
+        }
+        return featureCollection;
+      });
+    });
+  }
+
+  /**
+   * Este método obtiene la matriz de teselas de una tabla.
+   *
+   * @function
+   * @public
+   * @param {Object} table Tabla (getTables).
+   * @returns {Promise<Object>} Matriz de teselas { srsId, extent,
+   * matrices: [{ zoomLevel, matrixWidth, matrixHeight, tileWidth,
+   * tileHeight, pixelXSize, pixelYSize }] }.
+   * @api
+   */
+  getTileMatrixSet(table) {
+    const setQuery = 'SELECT srs_id, min_x, min_y, max_x, max_y FROM gpkg_tile_matrix_set WHERE table_name = ?';
+    const matrixQuery = 'SELECT zoom_level, matrix_width, matrix_height, tile_width, tile_height, pixel_x_size, pixel_y_size FROM gpkg_tile_matrix WHERE table_name = ? ORDER BY zoom_level';
+    return Promise.all([
+      this.select(setQuery, [table.name]),
+      this.select(matrixQuery, [table.name]),
+    ]).then(([[set], matrices]) => {
+      return {
+        srsId: set.srs_id,
+        extent: [set.min_x, set.min_y, set.max_x, set.max_y],
+        matrices: matrices.map(matrix => ({
+          zoomLevel: matrix.zoom_level,
+          matrixWidth: matrix.matrix_width,
+          matrixHeight: matrix.matrix_height,
+          tileWidth: matrix.tile_width,
+          tileHeight: matrix.tile_height,
+          pixelXSize: matrix.pixel_x_size,
+          pixelYSize: matrix.pixel_y_size,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Este método obtiene una tesela de una tabla. La fila 0 es la
+   * fila superior de la matriz.
+   *
+   * @function
+   * @public
+   * @param {String} tableName Nombre de la tabla.
+   * @param {Number} zoomLevel Nivel de la matriz.
+   * @param {Number} column Columna.
+   * @param {Number} row Fila.
+   * @returns {Promise<String>} Imagen en base64, nula si no existe.
+   * @api
+   */
+  getTile(tableName, zoomLevel, column, row) {
+    const query = `SELECT tile_data FROM ${quoteName(tableName)} WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?`;
+    return this.select(query, [zoomLevel, column, row]).then(([tile]) => {
+      let image = null;
+      if (tile !== undefined && !isNullOrEmpty(tile.tile_data)) {
+        image = bytesToBase64(tile.tile_data, getImageFormat(tile.tile_data));
+      }
+      return image;
+    });
+  }
+
+  /**
+   * Este método cierra la base de datos.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  close() {
+    this.initPromise_.then(db => db.close()).catch(() => {});
+  }
+}
+
+export default GeoPackage;
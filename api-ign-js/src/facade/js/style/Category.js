@@ -3,11 +3,12 @@
  */
 import StyleBase from './Style';
 import Composite from './Composite';
-import { isNullOrEmpty, getImageSize, isArray, extendsObj, stringifyFunctions, defineFunctionFromString } from '../util/Utils';
+import { isNullOrEmpty, getImageSize, isArray } from '../util/Utils';
 import Exception from '../exception/exception';
 import StyleProportional from './Proportional';
 import StyleCluster from './Cluster';
 import Utils from './utils';
+import { parseValue } from './Expression';
 import { getValue } from '../i18n/language';
 
 /**
@@ -265,6 +266,22 @@ class Category extends Composite {
     callbackFn();
   }
 
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo,
+   * uno por categoría con el nombre de la categoría como etiqueta.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    const categories = this.getCategories() || {};
+    return Promise.all(Object.keys(categories).map((category) => {
+      return categories[category].getLegendImage().then(image => ({ label: category, image }));
+    }));
+  }
+
   /**
    * Este método actualiza el estilo.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
@@ -341,54 +358,45 @@ class Category extends Composite {
    * generar el JSON de esta instancia.
    *
    * @public
-   * @return {object} Devuelve los parámetros de la clase y
-   * la deserialización.
+   * @return {object} Devuelve el JSON del estilo (atributo,
+   * estilos por categoría, opciones y estilos compuestos).
    * @function
    * @api
    */
   toJSON() {
-    const attributeName = this.getAttributeName();
-    const categoryStyles = this.getCategories();
+    const categoryStyles = this.getCategories() || {};
     const serializedCategoryStyles = {};
     Object.keys(categoryStyles).forEach((category) => {
-      serializedCategoryStyles[category] = categoryStyles[category].serialize();
+      serializedCategoryStyles[category] = categoryStyles[category].toJSON();
+    });
+    return Object.assign(super.toJSON(), {
+      attributeName: this.getAttributeName(),
+      categoryStyles: serializedCategoryStyles,
+      styles: this.getStyles().map(style => style.toJSON()),
     });
-    let options = extendsObj({}, this.getOptions());
-    options = stringifyFunctions(options);
-    const compStyles = this.getStyles().map(style => style.serialize());
-
-    const parameters = [attributeName, serializedCategoryStyles, options, compStyles];
-    const deserializedMethod = 'M.style.Category.deserialize';
-    return { parameters, deserializedMethod };
   }
 
   /**
-   * Este método de la clase devuelve la instancia de estilo de la serialización.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {Array} parametrers - parameters to deserialize and create
-   * the instance
-   * @return {M.style.Category} Devuelve la instancia deserializada.
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.Category} Devuelve el estilo.
+   * @api
    */
-  static deserialize([serializedAttributeName, serializedCategoryStyles,
-    serializedOptions, serializedCompStyles,
-  ]) {
-    const attributeName = serializedAttributeName;
-    const categoryStyles = serializedCategoryStyles;
-    Object.keys(serializedCategoryStyles).forEach((category) => {
-      categoryStyles[category] = StyleBase.deserialize(serializedCategoryStyles[category]);
-    });
-    const options = defineFunctionFromString(serializedOptions);
-    /* eslint-disable */
-    const styleFn = new Function(['attributeName', 'categoryStyles', 'options'], `return new M.style.Category(attributeName, categoryStyles, options)`);
-    /* eslint-enable */
-    const deserializedStyle = styleFn(attributeName, categoryStyles, options);
-
-    const compStyles = serializedCompStyles.map(serializedStyle =>
-      StyleBase.deserialize(serializedStyle));
-    deserializedStyle.add(compStyles);
-
-    return deserializedStyle;
+  static fromJSON(json) {
+    const categories = Object.keys(json.categoryStyles || {});
+    let categoryStyles;
+    if (categories.length > 0) {
+      categoryStyles = {};
+      categories.forEach((category) => {
+        categoryStyles[category] = StyleBase.fromJSON(json.categoryStyles[category]);
+      });
+    }
+    const style = new Category(json.attributeName, categoryStyles, parseValue(json.options));
+    style.add((json.styles || []).map(compStyle => StyleBase.fromJSON(compStyle)));
+    return style;
   }
 }
 
@@ -419,4 +427,6 @@ Category.RANDOM_STROKE_WIDTH_OPTION = 1;
  */
 Category.RANDOM_STROKE_COLOR_OPTION = 'black';
 
+StyleBase.registerType('Category', Category);
+
 export default Category;
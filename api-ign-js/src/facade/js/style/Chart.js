@@ -5,7 +5,9 @@ import ChartImpl from 'impl/style/Chart';
 import StyleFeature from './Feature';
 import ChartVariable from '../chart/Variable';
 import * as ChartTypes from '../chart/types';
-import { isNullOrEmpty, extendsObj, isArray, stringifyFunctions, defineFunctionFromString } from '../util/Utils';
+import StyleBase from './Style';
+import { isNullOrEmpty, isArray } from '../util/Utils';
+import { serializeValue, parseValue } from './Expression';
 
 /**
  * @classdesc
@@ -143,10 +145,11 @@ class Chart extends StyleFeature {
   }
 
   /**
-   * Este método crea un objeto con los parámetros y los valores desearializados.
+   * Este método genera el JSON del estilo. Las variables del gráfico
+   * se serializan como objetos (attribute, legend, fill y label).
    *
    * @public
-   * @return {Object} Parámetros y los valores desearializados.
+   * @return {Object} JSON del estilo.
    * @function
    * @api
    */
@@ -158,46 +161,36 @@ class Chart extends StyleFeature {
       donutRadio: options.donutRadio,
       offsetX: options.offsetX,
       offsetY: options.offsetY,
-      stroke: isNullOrEmpty(options.stroke) ? undefined : extendsObj({}, options.stroke),
+      stroke: isNullOrEmpty(options.stroke) ? undefined : serializeValue(options.stroke),
       fill3DColor: options.fill3DColor,
       scheme: isArray(options.scheme) ? [...options.scheme] : options.scheme,
-      label: isNullOrEmpty(options.label) ? undefined : extendsObj({}, options.label),
+      label: isNullOrEmpty(options.label) ? undefined : serializeValue(options.label),
       rotateWithView: options.rotateWithView,
       variables: options.variables.map((variable) => {
-        let label;
-        if (!isNullOrEmpty(variable.label)) {
-          label = extendsObj({}, variable.label);
-          label = stringifyFunctions(label);
-        }
         return {
           attribute: variable.attribute,
           legend: variable.legend,
           fill: variable.fillColor,
-          label,
+          label: isNullOrEmpty(variable.label) ? undefined : serializeValue(variable.label),
         };
       }),
     };
-
-    const parameters = [serializedOptions];
-    const deserializedMethod = 'M.style.Chart.deserialize';
-    return { parameters, deserializedMethod };
+    return Object.assign(super.toJSON(), { options: serializedOptions });
   }
 
   /**
-   * Este método de la clase deserializa el estilo.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {Array} serializedOptions Estilos.
-   * @return {M.style.Simple} "new M.style.Chart".
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.Chart} Estilo.
    */
-  static deserialize([serializedOptions]) {
-    const options = serializedOptions;
-    options.variables = serializedOptions.variables.map(variableOpt =>
-      new ChartVariable(defineFunctionFromString(variableOpt)));
-    /* eslint-disable */
-    const styleFn = new Function(['options'], `return new M.style.Chart(options)`);
-    /* eslint-enable */
-    return styleFn(options);
+  static fromJSON(json) {
+    const options = parseValue(json.options || {});
+    options.variables = (options.variables || []).map(variableOpt =>
+      new ChartVariable(variableOpt));
+    return new Chart(options);
   }
 }
 
@@ -220,4 +213,6 @@ Chart.DEFAULT = {
   animationStep: 1,
 };
 
+StyleBase.registerType('Chart', Chart);
+
 export default Chart;
@@ -4,13 +4,14 @@
 import StyleBase from './Style';
 import StyleComposite from './Composite';
 import * as StyleQuantification from './Quantification';
-import { extendsObj, isNullOrEmpty, generateColorScale, isArray, isString, stringifyFunctions, defineFunctionFromString, isUndefined } from '../util/Utils';
+import { isNullOrEmpty, generateColorScale, isArray, isString, isUndefined } from '../util/Utils';
 import Exception from '../exception/exception';
 import * as Filter from '../filter/Filter';
 import StyleCluster from './Cluster';
 import StyleProportional from './Proportional';
 import { getValue } from '../i18n/language';
 import Generic from './Generic';
+import { parseValue } from './Expression';
 
 
 /**
@@ -20,6 +21,21 @@ import Generic from './Generic';
  */
 const ACCURACY_NUMBER_CANVAS = 2;
 
+/**
+ * Cuantificaciones que pueden serializarse, por nombre.
+ * @const
+ * @type {Object}
+ */
+const QUANTIFICATIONS = {
+  jenks: ({ classes }) => StyleQuantification.JENKS(classes),
+  quantile: ({ classes }) => StyleQuantification.QUANTILE(classes),
+  equal_interval: ({ classes }) => StyleQuantification.EQUAL_INTERVAL(classes),
+  geometric_progression: ({ classes }) => StyleQuantification.GEOMETRIC_PROGRESSION(classes),
+  arithmetic_progression: ({ classes }) => StyleQuantification.ARITHMETIC_PROGRESSION(classes),
+  media_sigma: ({ classes }) => StyleQuantification.MEDIA_SIGMA(classes),
+  manual: ({ breaks }) => StyleQuantification.MANUAL(breaks),
+};
+
 /**
  * Devuelve el cálculo de los números del "canva".
  * con una precisión dada.
@@ -177,6 +193,18 @@ class Choropleth extends StyleComposite {
     return this.choroplethStyles_;
   }
 
+  /**
+   * Devuelve los puntos de ruptura calculados al aplicar el estilo
+   * (límite superior de cada clase).
+   * @function
+   * @public
+   * @return {Array<Number>} Puntos de ruptura.
+   * @api
+   */
+  getBreakPoints() {
+    return this.breakPoints_;
+  }
+
   /**
    * Modifica el estilo.
    * @function
@@ -309,6 +337,35 @@ class Choropleth extends StyleComposite {
     callbackFn();
   }
 
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo, uno
+   * por clase con su intervalo de valores (y unidades) como etiqueta.
+   * Sin puntos de ruptura (estilo sin aplicar) no hay elementos.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    const limit = index => calcCanvasNumber(Number(this.breakPoints_[index].toFixed(1)));
+    const styles = (this.choroplethStyles_ || [])
+      .filter((style, index) => style instanceof StyleBase && index < this.breakPoints_.length);
+    const maxValue = styles.length > 0 ? Number(Math.max(...this.getValues()).toFixed(1)) : null;
+    return Promise.all(styles.map((style, index) => {
+      const endLimit = limit(index);
+      let label;
+      if (index === 0) {
+        label = `x <= ${this.formatLegendValue(endLimit)}`;
+      } else if (this.quantification_.name === 'media_sigma' && endLimit === maxValue) {
+        label = `${this.formatLegendValue(limit(index - 1))} <= x`;
+      } else {
+        label = `${limit(index - 1)} < x <= ${this.formatLegendValue(endLimit)}`;
+      }
+      return style.getLegendImage().then(image => ({ label, image }));
+    }));
+  }
+
   /**
    * Este método obtiene los valores numéricos de los objetos geográficos de la capa cuyo atributo
    * es igual al atributo especificado por el usuario.
@@ -451,73 +508,65 @@ class Choropleth extends StyleComposite {
 
   /**
    * Este método implementa el mecanismo para
-   * generar el JSON de esta instancia.
+   * generar el JSON de esta instancia. La cuantificación se
+   * serializa por nombre y número de clases; las funciones de cuantificación
+   * propias no se serializan.
    *
    * @public
-   * @return {object} Devuelve parámetros y el método para deserializar.
+   * @return {object} Devuelve el JSON del estilo.
    * @function
    * @api
    */
   toJSON() {
-    const attributeName = this.getAttributeName();
-    const styles = this.getChoroplethStyles().map(style => style.serialize());
-    let quantification = this.getQuantification();
-    if (isNullOrEmpty(quantification.name)) {
-      quantification = stringifyFunctions(quantification);
-    } else {
-      quantification = quantification.name;
+    const choroplethStyles = this.getChoroplethStyles();
+    const quantification = this.getQuantification();
+    let serializedQuantification;
+    if (!isNullOrEmpty(quantification) && !isUndefined(QUANTIFICATIONS[quantification.name])) {
+      serializedQuantification = {
+        name: quantification.name,
+        classes: quantification.numberClasses,
+      };
+      if (isArray(quantification.breakPoints)) {
+        serializedQuantification.breaks = [...quantification.breakPoints];
+      }
     }
-    let options = extendsObj({}, this.getOptions());
-    options = stringifyFunctions(options);
-    const compStyles = this.getStyles().map(style => style.serialize());
-
-    const parameters = [attributeName, styles, quantification, options, compStyles];
-    const deserializedMethod = 'M.style.Choropleth.deserialize';
-    return { parameters, deserializedMethod };
+    return Object.assign(super.toJSON(), {
+      attributeName: this.getAttributeName(),
+      choroplethStyles: isArray(choroplethStyles) ?
+        choroplethStyles.map(style => (isString(style) ? style : style.toJSON())) : undefined,
+      quantification: serializedQuantification,
+      styles: this.getStyles().map(style => style.toJSON()),
+    });
   }
 
   /**
-   * Esta método de la clase devuelve la instancia de estilo de la serialización.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {Array} parametrers Parámetros para deserializar
-   * ("serializedAttributeName", "serializedStyles",
-   * "serializedQuantification", "serializedOptions", "serializedCompStyles").
-   * @return {M.style.Choropleth} Devuelve los estilos del objeto "Choropleth".
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.Choropleth} Devuelve el estilo.
    */
-  static deserialize([serializedAttributeName, serializedStyles,
-    serializedQuantification, serializedOptions, serializedCompStyles,
-  ]) {
-    const attributeName = serializedAttributeName;
-    const styles = serializedStyles.map(serializedStyle =>
-      StyleBase.deserialize(serializedStyle));
+  static fromJSON(json) {
+    const choroplethStyles = isArray(json.choroplethStyles) ?
+      json.choroplethStyles.map(style => (isString(style) ? style : StyleBase.fromJSON(style))) :
+      undefined;
     let quantification;
-    if (serializedQuantification === 'jenks') {
-      quantification = StyleQuantification.JENKS();
-    } else if (serializedQuantification === 'quantile') {
-      quantification = StyleQuantification.QUANTILE();
-    } else if (serializedQuantification === 'equal_interval') {
-      quantification = StyleQuantification.EQUAL_INTERVAL();
-    } else if (serializedQuantification === 'geometric_progression') {
-      quantification = StyleQuantification.GEOMETRIC_PROGRESSION();
-    } else if (serializedQuantification === 'arithmetic_progression') {
-      quantification = StyleQuantification.ARITHMETIC_PROGRESSION();
-    } else if (serializedQuantification === 'media_sigma') {
-      quantification = StyleQuantification.MEDIA_SIGMA();
-    } else {
-      quantification = defineFunctionFromString(serializedQuantification);
+    if (!isNullOrEmpty(json.quantification)) {
+      const { name } = json.quantification;
+      if (isUndefined(QUANTIFICATIONS[name])) {
+        Exception(`${getValue('exception').invalid_style_json}: ${name}`);
+      }
+      quantification = QUANTIFICATIONS[name](json.quantification);
     }
-    const options = defineFunctionFromString(serializedOptions);
-    /* eslint-disable */
-    const styleFn = new Function(['attributeName', 'styles', 'quantification', 'options'], `return new M.style.Choropleth(attributeName, styles, quantification, options)`);
-    /* eslint-enable */
-    const deserializedStyle = styleFn(attributeName, styles, quantification, options);
-
-    const compStyles = serializedCompStyles.map(serializedStyle =>
-      StyleBase.deserialize(serializedStyle));
-    deserializedStyle.add(compStyles);
-
-    return deserializedStyle;
+    const style = new Choropleth(
+      json.attributeName,
+      choroplethStyles,
+      quantification,
+      parseValue(json.options),
+    );
+    style.add((json.styles || []).map(compStyle => StyleBase.fromJSON(compStyle)));
+    return style;
   }
 }
 
@@ -534,4 +583,6 @@ Choropleth.START_COLOR_DEFAULT = 'red';
  */
 Choropleth.END_COLOR_DEFAULT = 'brown';
 
+StyleBase.registerType('Choropleth', Choropleth);
+
 export default Choropleth;
@@ -4,7 +4,8 @@
 import ClusterImpl from 'impl/style/Cluster';
 import Style from './Style';
 import Composite from './Composite';
-import { extendsObj, isNullOrEmpty, stringifyFunctions, defineFunctionFromString } from '../util/Utils';
+import { extendsObj, isNullOrEmpty, isArray } from '../util/Utils';
+import { serializeValue, parseValue } from './Expression';
 
 /**
  * @classdesc
@@ -238,6 +239,28 @@ class Cluster extends Composite {
     return base64Img;
   }
 
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo: uno por
+   * rango, con el número de elementos agrupados como etiqueta, seguidos
+   * de los del estilo de los objetos geográficos sin agrupar.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    const ranges = (this.getRanges() || []).filter(range => range.style instanceof Style);
+    const rangeItems = Promise.all(ranges.map((range) => {
+      const label = (isNullOrEmpty(range.max) || range.max === Infinity) ?
+        `>= ${range.min}` : `${range.min} - ${range.max}`;
+      return range.style.getLegendImage().then(image => ({ label, image }));
+    }));
+    const oldItems = (this.oldStyle_ instanceof Style && this.oldStyle_ !== this) ?
+      this.oldStyle_.getLegendItems() : Promise.resolve([]);
+    return Promise.all([rangeItems, oldItems]).then(([items, others]) => items.concat(others));
+  }
+
   /**
    * Este método actualiza los estilos de la capa.
    *
@@ -291,53 +314,37 @@ class Cluster extends Composite {
    * generar el JSON de esta instancia.
    *
    * @public
-   * @return {object} Devuelve parámetros y el método para deserializar.
+   * @return {object} Devuelve el JSON del estilo (opciones con los estilos
+   * de los rangos, opciones del "vendor" y estilos compuestos).
    * @function
    * @api
    */
   toJSON() {
-    let options = extendsObj({}, this.getOptions());
-    options.ranges = this.getRanges().map((r) => {
-      const range = extendsObj({}, r);
-      range.style = r.style.serialize();
-      return range;
+    return Object.assign(super.toJSON(), {
+      vendorOptions: serializeValue(this.optsVendor_),
+      styles: this.getStyles().map(style => style.toJSON()),
     });
-    options = stringifyFunctions(options);
-    let optsVendor = extendsObj({}, this.optsVendor_);
-    optsVendor = stringifyFunctions(optsVendor);
-    const compStyles = this.getStyles().map(style => style.serialize());
-
-    const parameters = [options, optsVendor, compStyles];
-    const deserializedMethod = 'M.style.Cluster.deserialize';
-    return { parameters, deserializedMethod };
   }
 
   /**
-   * Esta método de la clase devuelve la instancia de estilo de la serialización.
+   * Esta método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {Array} parametrers Parámetros para deserializar
-   * ("serializedOptions", "serializedVendor", "serializedCompStyles").
-   * @return {M.style.Cluster} Devuelve el estilo del "cluster" deserializado.
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.Cluster} Devuelve el estilo del "cluster".
    */
-  static deserialize([serializedOptions, serializedVendor, serializedCompStyles]) {
-    let options = serializedOptions;
-    options.ranges.forEach((r) => {
-      const range = r;
-      range.style = Style.deserialize(r.style);
-    });
-    options = defineFunctionFromString(serializedOptions);
-    const vendors = defineFunctionFromString(serializedVendor);
-    /* eslint-disable */
-    const styleFn = new Function(['options', 'optsVendor'], `return new M.style.Cluster(options, optsVendor)`);
-    /* eslint-enable */
-    const deserializedStyle = styleFn(options, vendors);
-
-    const compStyles = serializedCompStyles.map(serializedStyle =>
-      Style.deserialize(serializedStyle));
-    deserializedStyle.add(compStyles);
-
-    return deserializedStyle;
+  static fromJSON(json) {
+    const { ranges, ...serializedOptions } = json.options || {};
+    const options = parseValue(serializedOptions);
+    if (isArray(ranges)) {
+      options.ranges = ranges.map(range => Object.assign({}, range, {
+        style: isNullOrEmpty(range.style) ? undefined : Style.fromJSON(range.style),
+      }));
+    }
+    const style = new Cluster(options, parseValue(json.vendorOptions || {}));
+    style.add((json.styles || []).map(compStyle => Style.fromJSON(compStyle)));
+    return style;
   }
 }
 
@@ -449,4 +456,6 @@ Cluster.RANGE_3_DEFAULT = {
   radius: 25,
 };
 
+Style.registerType('Cluster', Cluster);
+
 export default Cluster;
@@ -0,0 +1,456 @@
+/**
+ * @module M/style/expression
+ * @example import { compile } from 'M/style/expression';
+ */
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import { isArray, isString, isNullOrEmpty, isUndefined, isFunction, isObject } from '../util/Utils';
+
+/**
+ * Esta función evalúa un argumento de una expresión. Si el argumento
+ * no es una expresión se devuelve tal cual.
+ * @function
+ * @param {*} arg Argumento.
+ * @param {Object} context Contexto de evaluación (feature, map y vars).
+ * @return {*} Valor del argumento.
+ */
+// eslint-disable-next-line no-use-before-define
+const evaluateArg = (arg, context) => evaluate(arg, context);
+
+/**
+ * Esta función convierte un valor a número.
+ * @function
+ * @param {*} value Valor.
+ * @return {number} Número o NaN.
+ */
+const toNumber = (value) => {
+  if (isNullOrEmpty(value)) {
+    return NaN;
+  }
+  return Number(value);
+};
+
+/**
+ * Esta función evalúa los argumentos y aplica la función numérica.
+ * @function
+ * @param {Function} fn Función numérica.
+ * @return {Function} Operador.
+ */
+const numeric = fn => (args, context) => {
+  return fn(...args.map(arg => toNumber(evaluateArg(arg, context))));
+};
+
+/**
+ * Esta función compara dos valores según el operador indicado.
+ * @function
+ * @param {Function} fn Función de comparación.
+ * @return {Function} Operador.
+ */
+const compare = fn => (args, context) => {
+  const [a, b] = args.map(arg => evaluateArg(arg, context));
+  return fn(a, b);
+};
+
+/**
+ * Esta función interpola entre dos paradas.
+ * @function
+ * @param {Array} interpolation Tipo de interpolación (['linear'] o ['exponential', base]).
+ * @param {number} input Valor de entrada.
+ * @param {number} lower Parada inferior.
+ * @param {number} upper Parada superior.
+ * @return {number} Factor de interpolación entre 0 y 1.
+ */
+const interpolationFactor = (interpolation, input, lower, upper) => {
+  const difference = upper - lower;
+  const progress = input - lower;
+  let factor = 0;
+  if (difference !== 0) {
+    const base = interpolation[0] === 'exponential' ? interpolation[1] : 1;
+    factor = base === 1 ? progress / difference :
+      ((base ** progress) - 1) / ((base ** difference) - 1);
+  }
+  return factor;
+};
+
+/**
+ * Operadores disponibles. Cada operador define el número mínimo y máximo
+ * de argumentos y la función que lo evalúa.
+ * @const
+ * @type {Object}
+ */
+const OPERATORS = {
+  // acceso a datos
+  get: {
+    min: 1,
+    max: 1,
+    evaluate: ([name], { feature }) => (isNullOrEmpty(feature) ?
+      undefined : feature.getAttribute(name)),
+  },
+  has: {
+    min: 1,
+    max: 1,
+    evaluate: ([name], { feature }) => !isNullOrEmpty(feature) &&
+      !isUndefined(feature.getAttribute(name)),
+  },
+  id: {
+    min: 0,
+    max: 0,
+    evaluate: (args, { feature }) => (isNullOrEmpty(feature) ? undefined : feature.getId()),
+  },
+  'geometry-type': {
+    min: 0,
+    max: 0,
+    evaluate: (args, { feature }) => {
+      const geometry = isNullOrEmpty(feature) ? undefined : feature.getGeometry();
+      return isNullOrEmpty(geometry) ? undefined : geometry.type;
+    },
+  },
+  zoom: {
+    min: 0,
+    max: 0,
+    evaluate: (args, { map }) => (isNullOrEmpty(map) ? undefined : map.getZoom()),
+  },
+  var: {
+    min: 1,
+    max: 1,
+    evaluate: ([name], { vars }) => (isNullOrEmpty(vars) ? undefined : vars[name]),
+  },
+  literal: {
+    min: 1,
+    max: 1,
+    evaluate: ([value]) => value,
+  },
+  // comparación y lógica
+  '==': { min: 2, max: 2, evaluate: compare((a, b) => a === b) },
+  '!=': { min: 2, max: 2, evaluate: compare((a, b) => a !== b) },
+  '<': { min: 2, max: 2, evaluate: compare((a, b) => a < b) },
+  '<=': { min: 2, max: 2, evaluate: compare((a, b) => a <= b) },
+  '>': { min: 2, max: 2, evaluate: compare((a, b) => a > b) },
+  '>=': { min: 2, max: 2, evaluate: compare((a, b) => a >= b) },
+  '!': {
+    min: 1,
+    max: 1,
+    evaluate: ([value], context) => !evaluateArg(value, context),
+  },
+  all: {
+    min: 0,
+    max: Infinity,
+    evaluate: (args, context) => args.every(arg => evaluateArg(arg, context)),
+  },
+  any: {
+    min: 0,
+    max: Infinity,
+    evaluate: (args, context) => args.some(arg => evaluateArg(arg, context)),
+  },
+  // aritmética
+  '+': { min: 1, max: Infinity, evaluate: numeric((...values) => values.reduce((a, b) => a + b)) },
+  '*': { min: 1, max: Infinity, evaluate: numeric((...values) => values.reduce((a, b) => a * b)) },
+  '-': { min: 1, max: 2, evaluate: numeric((a, b) => (isUndefined(b) ? -a : a - b)) },
+  '/': { min: 2, max: 2, evaluate: numeric((a, b) => a / b) },
+  '%': { min: 2, max: 2, evaluate: numeric((a, b) => a % b) },
+  '^': { min: 2, max: 2, evaluate: numeric((a, b) => a ** b) },
+  min: { min: 1, max: Infinity, evaluate: numeric(Math.min) },
+  max: { min: 1, max: Infinity, evaluate: numeric(Math.max) },
+  abs: { min: 1, max: 1, evaluate: numeric(Math.abs) },
+  round: { min: 1, max: 1, evaluate: numeric(Math.round) },
+  floor: { min: 1, max: 1, evaluate: numeric(Math.floor) },
+  ceil: { min: 1, max: 1, evaluate: numeric(Math.ceil) },
+  sqrt: { min: 1, max: 1, evaluate: numeric(Math.sqrt) },
+  ln: { min: 1, max: 1, evaluate: numeric(Math.log) },
+  log10: { min: 1, max: 1, evaluate: numeric(Math.log10) },
+  // cadenas y conversión
+  concat: {
+    min: 1,
+    max: Infinity,
+    evaluate: (args, context) => args.map((arg) => {
+      const value = evaluateArg(arg, context);
+      return isNullOrEmpty(value) ? '' : String(value);
+    }).join(''),
+  },
+  upcase: {
+    min: 1,
+    max: 1,
+    evaluate: ([value], context) => String(evaluateArg(value, context)).toUpperCase(),
+  },
+  downcase: {
+    min: 1,
+    max: 1,
+    evaluate: ([value], context) => String(evaluateArg(value, context)).toLowerCase(),
+  },
+  'to-number': {
+    min: 1,
+    max: 1,
+    evaluate: ([value], context) => toNumber(evaluateArg(value, context)),
+  },
+  'to-string': {
+    min: 1,
+    max: 1,
+    evaluate: ([value], context) => {
+      const evaluated = evaluateArg(value, context);
+      return isNullOrEmpty(evaluated) ? '' : String(evaluated);
+    },
+  },
+  // condicionales y escalas
+  case: {
+    min: 3,
+    max: Infinity,
+    validate: args => args.length % 2 === 1,
+    evaluate: (args, context) => {
+      const fallback = args[args.length - 1];
+      let result = fallback;
+      for (let i = 0; i < args.length - 1; i += 2) {
+        if (evaluateArg(args[i], context)) {
+          result = args[i + 1];
+          break;
+        }
+      }
+      return evaluateArg(result, context);
+    },
+  },
+  match: {
+    min: 4,
+    max: Infinity,
+    validate: args => args.length % 2 === 0,
+    evaluate: (args, context) => {
+      const input = evaluateArg(args[0], context);
+      let result = args[args.length - 1];
+      for (let i = 1; i < args.length - 1; i += 2) {
+        const labels = isArray(args[i]) ? args[i] : [args[i]];
+        if (labels.includes(input)) {
+          result = args[i + 1];
+          break;
+        }
+      }
+      return evaluateArg(result, context);
+    },
+  },
+  coalesce: {
+    min: 1,
+    max: Infinity,
+    evaluate: (args, context) => {
+      let result;
+      args.some((arg) => {
+        result = evaluateArg(arg, context);
+        return !isNullOrEmpty(result);
+      });
+      return result;
+    },
+  },
+  step: {
+    min: 2,
+    max: Infinity,
+    validate: args => args.length % 2 === 0 &&
+      args.filter((arg, i) => i > 1 && i % 2 === 0).every(stop => typeof stop === 'number'),
+    evaluate: (args, context) => {
+      const input = toNumber(evaluateArg(args[0], context));
+      let result = args[1];
+      for (let i = 2; i < args.length; i += 2) {
+        if (input >= args[i]) {
+          result = args[i + 1];
+        }
+      }
+      return evaluateArg(result, context);
+    },
+  },
+  interpolate: {
+    min: 4,
+    max: Infinity,
+    validate: ([interpolation, ...args]) => isArray(interpolation) &&
+      (interpolation[0] === 'linear' ||
+        (interpolation[0] === 'exponential' && typeof interpolation[1] === 'number')) &&
+      args.length % 2 === 1 &&
+      args.filter((arg, i) => i % 2 === 1).every(stop => typeof stop === 'number'),
+    evaluate: ([interpolation, inputArg, ...stops], context) => {
+      const input = toNumber(evaluateArg(inputArg, context));
+      const outputs = stops.filter((stop, i) => i % 2 === 1)
+        .map(output => toNumber(evaluateArg(output, context)));
+      const inputs = stops.filter((stop, i) => i % 2 === 0);
+      let result;
+      if (Number.isNaN(input)) {
+        result = undefined;
+      } else if (input <= inputs[0]) {
+        result = outputs[0];
+      } else if (input >= inputs[inputs.length - 1]) {
+        result = outputs[outputs.length - 1];
+      } else {
+        const upperIndex = inputs.findIndex(stop => stop > input);
+        const lowerIndex = upperIndex - 1;
+        const factor = interpolationFactor(
+          interpolation,
+          input,
+          inputs[lowerIndex],
+          inputs[upperIndex],
+        );
+        result = outputs[lowerIndex] + ((outputs[upperIndex] - outputs[lowerIndex]) * factor);
+      }
+      return result;
+    },
+  },
+};
+
+/**
+ * Esta función indica si el valor es una expresión, es decir, un array
+ * cuyo primer elemento es el nombre de un operador conocido.
+ *
+ * @function
+ * @param {*} value Valor a comprobar.
+ * @return {boolean} Verdadero si es una expresión.
+ * @api
+ */
+export const isExpression = (value) => {
+  return isArray(value) && isString(value[0]) &&
+    Object.prototype.hasOwnProperty.call(OPERATORS, value[0]);
+};
+
+/**
+ * Esta función valida una expresión y sus subexpresiones.
+ * Lanza una excepción si algún operador recibe un número
+ * de argumentos incorrecto o argumentos no válidos.
+ *
+ * @function
+ * @param {Array} expression Expresión.
+ * @api
+ */
+export const validate = (expression) => {
+  if (!isExpression(expression)) {
+    Exception(`${getValue('exception').invalid_expression}: ${JSON.stringify(expression)}`);
+  }
+  const [name, ...args] = expression;
+  const operator = OPERATORS[name];
+  const nameArgs = ['get', 'has', 'var'];
+  const valid = args.length >= operator.min && args.length <= operator.max &&
+    (!nameArgs.includes(name) || isString(args[0])) &&
+    (isUndefined(operator.validate) || operator.validate(args));
+  if (!valid) {
+    Exception(`${getValue('exception').invalid_expression}: ${JSON.stringify(expression)}`);
+  }
+  if (name !== 'literal') {
+    args.filter(isExpression).forEach(validate);
+  }
+};
+
+/**
+ * Esta función evalúa una expresión en el contexto indicado. Los valores
+ * que no son expresiones se devuelven sin modificar.
+ *
+ * @function
+ * @param {*} expression Expresión o valor.
+ * @param {Object} context Contexto de evaluación.
+ * - feature: Objeto geográfico (M.Feature).
+ * - map: Mapa (M.Map).
+ * - vars: Variables accesibles con el operador "var".
+ * @return {*} Resultado de la evaluación.
+ * @api
+ */
+export const evaluate = (expression, context = {}) => {
+  let result = expression;
+  if (isExpression(expression)) {
+    const [name, ...args] = expression;
+    result = OPERATORS[name].evaluate(args, context);
+  }
+  return result;
+};
+
+/**
+ * Esta función valida la expresión y devuelve una función equivalente que
+ * puede usarse en las opciones de los estilos en lugar de una función
+ * JavaScript. La función conserva la expresión en la propiedad "expression"
+ * para poder serializarla.
+ *
+ * Por defecto la función recibe (feature, map). Si se indican nombres de
+ * variables, los argumentos de la función se asignan a esas variables y se
+ * leen con el operador "var".
+ *
+ * @function
+ * @param {Array} expression Expresión.
+ * @param {Array<string>} varNames Nombres de los argumentos (opcional).
+ * @return {Function} Función que evalúa la expresión.
+ * @api
+ */
+export const compile = (expression, varNames) => {
+  validate(expression);
+  let compiled;
+  if (isArray(varNames)) {
+    compiled = (...values) => {
+      const vars = {};
+      varNames.forEach((varName, i) => {
+        vars[varName] = values[i];
+      });
+      return evaluate(expression, { vars });
+    };
+  } else {
+    compiled = (feature, map) => evaluate(expression, { feature, map });
+  }
+  Object.defineProperty(compiled, 'expression', {
+    value: expression,
+  });
+  return compiled;
+};
+
+/**
+ * Esta función devuelve la expresión asociada a una función compilada
+ * con "compile" o undefined si no es una función compilada.
+ *
+ * @function
+ * @param {*} value Valor.
+ * @return {Array} Expresión.
+ * @api
+ */
+export const getExpression = (value) => {
+  return isFunction(value) ? value.expression : undefined;
+};
+
+/**
+ * Esta función convierte un valor de las opciones de un estilo a JSON.
+ * Las funciones compiladas con "compile" se sustituyen por su expresión y
+ * el resto de funciones se descartan, ya que no pueden serializarse.
+ *
+ * @function
+ * @param {*} value Valor.
+ * @return {*} Valor serializable.
+ * @api
+ */
+export const serializeValue = (value) => {
+  let serialized = value;
+  if (isFunction(value)) {
+    serialized = getExpression(value);
+  } else if (isArray(value)) {
+    serialized = value.map(serializeValue);
+  } else if (isObject(value)) {
+    if (isFunction(value.toJSON)) {
+      serialized = value.toJSON();
+    } else {
+      serialized = {};
+      Object.keys(value).forEach((key) => {
+        serialized[key] = serializeValue(value[key]);
+      });
+    }
+  }
+  return serialized;
+};
+
+/**
+ * Esta función convierte un valor JSON de las opciones de un estilo,
+ * compilando las expresiones que contenga.
+ *
+ * @function
+ * @param {*} value Valor JSON.
+ * @return {*} Valor con las expresiones compiladas.
+ * @api
+ */
+export const parseValue = (value) => {
+  let parsed = value;
+  if (isExpression(value)) {
+    parsed = compile(value);
+  } else if (isArray(value)) {
+    parsed = value.map(parseValue);
+  } else if (isObject(value)) {
+    parsed = {};
+    Object.keys(value).forEach((key) => {
+      parsed[key] = parseValue(value[key]);
+    });
+  }
+  return parsed;
+};
+
+export default {};
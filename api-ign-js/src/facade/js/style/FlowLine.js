@@ -2,6 +2,7 @@
  * @module M/style/FlowLine
  */
 import StyleFlowLineImpl from 'impl/style/FlowLine';
+import StyleBase from './Style';
 import Simple from './Simple';
 import { isNullOrEmpty, extendsObj } from '../util/Utils';
 
@@ -47,18 +48,6 @@ class FlowLine extends Simple {
   unapply(layer) {
     this.getImpl().unapply(layer);
   }
-
-  /**
-   * Deserializa el método M.style.Simple.deserialize.
-   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
-   * @function
-   * @public
-   * @return {Function} Devuelve la función M.style.Simple.deserialize.
-   * @api
-   */
-  getDeserializedMethod_() {
-    return "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.FlowLine'))";
-  }
 }
 
 /**
@@ -78,4 +67,6 @@ FlowLine.DEFAULT_NULL = {
   lineCap: 'butt',
 };
 
+StyleBase.registerType('FlowLine', FlowLine);
+
 export default FlowLine;
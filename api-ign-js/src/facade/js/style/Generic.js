@@ -3,6 +3,7 @@
  */
 
 import GenericStyleImpl from 'impl/style/Generic';
+import StyleBase from './Style';
 import Simple from './Simple';
 import { isNullOrEmpty, extendsObj } from '../util/Utils';
 
@@ -46,19 +47,6 @@ class Generic extends Simple {
   toImage() {
     return this.getImpl().toImage(this.canvas_);
   }
-
-
-  /**
-   * Deserializa el método M.style.Simple.deserialize.
-   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
-   * @function
-   * @public
-   * @return {Function} Devuelve la función M.style.Simple.deserialize.
-   * @api
-   */
-  getDeserializedMethod_() {
-    return "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.Generic'))";
-  }
 }
 
 /**
@@ -112,4 +100,6 @@ Generic.DEFAULT_NULL = {
   },
 };
 
+StyleBase.registerType('Generic', Generic);
+
 export default Generic;
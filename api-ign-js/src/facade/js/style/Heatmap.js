@@ -3,9 +3,10 @@
  */
 import HeatmapImpl from 'impl/style/Heatmap';
 import Style from './Style';
-import { isString, isFunction, isArray, inverseColor, isNullOrEmpty, generateIntervals, defineFunctionFromString } from '../util/Utils';
+import { isString, isFunction, isArray, inverseColor, isNullOrEmpty, generateIntervals } from '../util/Utils';
 import Exception from '../exception/exception';
 import { getValue } from '../i18n/language';
+import { serializeValue, parseValue } from './Expression';
 
 /**
  * @classdesc
@@ -222,17 +223,20 @@ class Heatmap extends Style {
    * @api
    */
   drawGeometryToCanvas() {
-    const [minWeight, maxWeight] = [this.getImpl().getMinWeight(), this.getImpl().getMaxWeight()];
     const ctx = this.canvas_.getContext('2d');
     const gradient = ctx.createLinearGradient(0.000, 150.000, 200.000, 150.000);
     const intervals = generateIntervals([0, 1], this.options_.gradient.length);
     this.options_.gradient.forEach((color, i) => gradient.addColorStop(intervals[i], color));
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 20, 200.000, 30.000);
-    ctx.fillStyle = '#000';
-    ctx.font = '10px sans-serif';
-    ctx.fillText(minWeight, 0, 60);
-    ctx.fillText(maxWeight, 199, 60);
+    // the weights are known once the style is applied to a layer
+    if (!isNullOrEmpty(this.layer_)) {
+      const [minWeight, maxWeight] = [this.getImpl().getMinWeight(), this.getImpl().getMaxWeight()];
+      ctx.fillStyle = '#000';
+      ctx.font = '10px sans-serif';
+      ctx.fillText(minWeight, 0, 60);
+      ctx.fillText(maxWeight, 199, 60);
+    }
   }
 
   /**
@@ -246,6 +250,23 @@ class Heatmap extends Style {
     this.drawGeometryToCanvas();
   }
 
+  /**
+   * Este método devuelve el elemento de la leyenda del mapa de calor:
+   * el degradado con el atributo (y unidades) como etiqueta.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    let label = isString(this.attribute_) ? this.attribute_ : getValue('heatmap').name;
+    if (!isNullOrEmpty(this.options_.units)) {
+      label = `${label} (${this.options_.units})`;
+    }
+    return this.getLegendImage().then(image => [{ label, image }]);
+  }
+
   /**
    * Esta función implementa el mecanismo para
    * generar el JSON de esta instancia.
@@ -256,37 +277,33 @@ class Heatmap extends Style {
    * @api
    */
   toJSON() {
-    const attribute = this.getAttributeName();
     const options = this.getOptions();
-    const serializedOptions = {
-      gradient: [...options.gradient],
-      blur: options.blur,
-      radius: options.radius,
-      weight: options.weight,
-    };
-    const vendorOptions = this.vendorOptions_;
-    const parameters = [attribute, serializedOptions, vendorOptions];
-    const deserializedMethod = 'M.style.Heatmap.deserialize';
-    return { parameters, deserializedMethod };
+    return Object.assign(super.toJSON(), {
+      attribute: serializeValue(this.getAttributeName()),
+      options: {
+        gradient: [...options.gradient],
+        blur: options.blur,
+        radius: options.radius,
+      },
+      vendorOptions: serializeValue(this.vendorOptions_),
+    });
   }
 
   /**
-   * Este método de la clase deserializa el estilo.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON). El atributo puede ser el nombre del
+   * atributo o una expresión.
    * @function
    * @public
-   * @param {Array} parametrers Parámetros ("serializedAttribute",
-   * "serializedOptions" y "serializedVendorOptions").
-   * @return {M.style.Heatmap} Devuelve el estilo deserializado.
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.Heatmap} Devuelve el estilo.
    */
-  static deserialize([serializedAttribute, serializedOptions, serializedVendorOptions]) {
-    const attribute = serializedAttribute;
-    const options = defineFunctionFromString(serializedOptions);
-    const vendorOptions = defineFunctionFromString(serializedVendorOptions);
-
-    /* eslint-disable */
-    const styleFn = new Function(['attribute', 'options', 'vendorOptions'], `return new M.style.Heatmap(attribute, options, vendorOptions)`);
-    /* eslint-enable */
-    return styleFn(attribute, options, vendorOptions);
+  static fromJSON(json) {
+    return new Heatmap(
+      parseValue(json.attribute),
+      parseValue(json.options || {}),
+      parseValue(json.vendorOptions || {}),
+    );
   }
 }
 
@@ -303,4 +320,6 @@ Heatmap.DEFAULT_OPTIONS = {
   radius: 10,
 };
 
+Style.registerType('Heatmap', Heatmap);
+
 export default Heatmap;
@@ -2,6 +2,7 @@
  * @module M/style/Line
  */
 import StyleLineImpl from 'impl/style/Line';
+import StyleBase from './Style';
 import Simple from './Simple';
 import { isNullOrEmpty, extendsObj } from '../util/Utils';
 
@@ -56,18 +57,6 @@ class Line extends Simple {
   unapply(layer) {
     this.getImpl().unapply(layer);
   }
-
-  /**
-   * Deserializa el método M.style.Simple.deserialize.
-   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
-   * @function
-   * @public
-   * @return {Function} Devuelve la función M.style.Simple.deserialize.
-   * @api
-   */
-  getDeserializedMethod_() {
-    return "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.Line'))";
-  }
 }
 
 /**
@@ -88,4 +77,6 @@ Line.DEFAULT_NULL = {
   },
 };
 
+StyleBase.registerType('Line', Line);
+
 export default Line;
@@ -2,6 +2,7 @@
  * @module M/style/Point
  */
 import StylePointImpl from 'impl/style/Point';
+import StyleBase from './Style';
 import Simple from './Simple';
 import { isNullOrEmpty, extendsObj } from '../util/Utils';
 
@@ -45,18 +46,6 @@ class Point extends Simple {
   toImage() {
     return this.getImpl().toImage(this.canvas_);
   }
-
-  /**
-   * Deserializa el método M.style.Simple.deserialize.
-   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
-   * @function
-   * @public
-   * @return {Function} Devuelve la función M.style.Simple.deserialize.
-   * @api
-   */
-  getDeserializedMethod_() {
-    return "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.Point'))";
-  }
 }
 
 /**
@@ -112,4 +101,6 @@ Point.getFontsIcons = (name) => {
   return StylePointImpl.getFontsIcons(name);
 };
 
+StyleBase.registerType('Point', Point);
+
 export default Point;
@@ -2,6 +2,7 @@
  * @module M/style/Polygon
  */
 import PolygonImpl from 'impl/style/Polygon';
+import StyleBase from './Style';
 import Simple from './Simple';
 import { isNullOrEmpty, extendsObj } from '../util/Utils';
 
@@ -47,18 +48,6 @@ class Polygon extends Simple {
     }
     options = extendsObj({}, options);
   }
-
-  /**
-   * Deserializa el método M.style.Simple.deserialize.
-   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
-   * @function
-   * @public
-   * @return {Function} Devuelve la función M.style.Simple.deserialize.
-   * @api
-   */
-  getDeserializedMethod_() {
-    return "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.Polygon'))";
-  }
 }
 
 /**
@@ -79,4 +68,6 @@ Polygon.DEFAULT_NULL = {
   },
 };
 
+StyleBase.registerType('Polygon', Polygon);
+
 export default Polygon;
@@ -7,9 +7,10 @@ import StylePoint from './Point';
 import StyleSimple from './Simple';
 import StyleGeneric from './Generic';
 import StyleChoropleth from './Choropleth';
-import { isNullOrEmpty, stringifyFunctions, extendsObj, defineFunctionFromString } from '../util/Utils';
+import { isNullOrEmpty } from '../util/Utils';
 import Exception from '../exception/exception';
 import { getValue } from '../i18n/language';
+import { compile, getExpression, parseValue } from './Expression';
 
 /**
  * Este método devuelve el valos mínimo y máximo de un objeto geográfico.
@@ -398,25 +399,12 @@ class Proportional extends StyleComposite {
   updateCanvas() {
     this.updateCanvasPromise_ = new Promise((success, fail) => {
       if (!isNullOrEmpty(this.layer_)) {
-        const styleSimple = this.styles_.filter(style => style instanceof StyleSimple)[0];
-        let style = !isNullOrEmpty(styleSimple) ? styleSimple : this.layer_.getStyle();
-        style = !isNullOrEmpty(style) ? style : this.style_;
+        const style = this.getLegendStyle_();
 
         if (style instanceof StyleSimple) {
-          let featureStyle = style.clone();
-          if ((featureStyle instanceof StyleGeneric)) {
-            featureStyle = new StylePoint(featureStyle.getOptions().point);
-          } else if (!(featureStyle instanceof StylePoint)) {
-            featureStyle = new StylePoint(featureStyle.getOptions());
-          }
-          const sizeAttribute = Proportional.getSizeAttribute(featureStyle);
-
-          const styleMax = featureStyle.clone();
-          const styleMin = featureStyle.clone();
+          const { styleMax, styleMin } = this.getSizeStyles_(style);
           const maxRadius = this.getMaxRadius();
           const minRadius = this.getMinRadius();
-          styleMax.set(sizeAttribute, maxRadius);
-          styleMin.set(sizeAttribute, minRadius);
 
           this.loadCanvasImage(maxRadius, styleMax.toImage(), (canvasImageMax) => {
             this.loadCanvasImage(minRadius, styleMin.toImage(), (canvasImageMin) => {
@@ -431,6 +419,82 @@ class Proportional extends StyleComposite {
     });
   }
 
+  /**
+   * Devuelve el estilo del que se obtiene el símbolo de la leyenda: el estilo
+   * simple del estilo compuesto, el de la capa o el del usuario.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @returns {M.Style} Estilo.
+   * @api
+   */
+  getLegendStyle_() {
+    const styleSimple = this.styles_.filter(style => style instanceof StyleSimple)[0];
+    let style = styleSimple;
+    if (isNullOrEmpty(style) && !isNullOrEmpty(this.layer_)) {
+      style = this.layer_.getStyle();
+    }
+    return !isNullOrEmpty(style) ? style : this.style_;
+  }
+
+  /**
+   * Devuelve los estilos de punto con el tamaño máximo (styleMax) y
+   * mínimo (styleMin) a partir de un estilo simple.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @param {M.style.Simple} style Estilo simple.
+   * @returns {Object} Estilos máximo y mínimo.
+   * @api
+   */
+  getSizeStyles_(style) {
+    let featureStyle = style.clone();
+    if ((featureStyle instanceof StyleGeneric)) {
+      featureStyle = new StylePoint(featureStyle.getOptions().point);
+    } else if (!(featureStyle instanceof StylePoint)) {
+      featureStyle = new StylePoint(featureStyle.getOptions());
+    }
+    const sizeAttribute = Proportional.getSizeAttribute(featureStyle);
+
+    const styleMax = featureStyle.clone();
+    const styleMin = featureStyle.clone();
+    styleMax.set(sizeAttribute, this.getMaxRadius());
+    styleMin.set(sizeAttribute, this.getMinRadius());
+    return { styleMax, styleMin };
+  }
+
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo: el símbolo
+   * del valor máximo y el del mínimo, con el valor (y unidades) como etiqueta.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    let items;
+    const style = this.getLegendStyle_();
+    if (style instanceof StyleSimple) {
+      const { styleMax, styleMin } = this.getSizeStyles_(style);
+      items = Promise.all([
+        styleMax.getLegendImage().then(image => ({
+          label: `max: ${this.formatLegendValue(this.maxValue_)}`,
+          image,
+        })),
+        styleMin.getLegendImage().then(image => ({
+          label: `min: ${this.formatLegendValue(this.minValue_)}`,
+          image,
+        })),
+      ]);
+    } else if (style instanceof StyleBase && style !== this) {
+      items = style.getLegendItems();
+    } else {
+      items = Promise.resolve([]);
+    }
+    return items;
+  }
+
   /**
    * Crea el canvas por medio de una imagen.
    *
@@ -578,7 +642,9 @@ class Proportional extends StyleComposite {
 
   /**
    * Este método implementa los mecanismos para generar
-   * el estilo en forma de JSON.
+   * el estilo en forma de JSON. La función de proporcionalidad solo se
+   * serializa si se ha creado con M.style.expression.compile y las variables
+   * de Proportional.FUNCTION_VARIABLES.
    *
    * @public
    * @return {object} JSON.
@@ -586,52 +652,38 @@ class Proportional extends StyleComposite {
    * @api
    */
   toJSON() {
-    const attributeName = this.getAttributeName();
-    const minRadius = this.getMinRadius();
-    const maxRadius = this.getMaxRadius();
-    const styles = this.getStyles().map(style => style.serialize());
-    const proportionalFunction = stringifyFunctions(this.getProportionalFunction());
-    let options = extendsObj({}, this.getOptions());
-    options = stringifyFunctions(options);
-    const parameters = [attributeName, minRadius, maxRadius, styles, proportionalFunction, options];
-    const deserializedMethod = 'M.style.Proportional.deserialize';
-    return { parameters, deserializedMethod };
+    return Object.assign(super.toJSON(), {
+      attributeName: this.getAttributeName(),
+      minRadius: this.getMinRadius(),
+      maxRadius: this.getMaxRadius(),
+      proportionalFunction: getExpression(this.getProportionalFunction()),
+      styles: this.getStyles().map(style => style.toJSON()),
+    });
   }
 
   /**
-   * Este método de la clase devuelve la deserialización del estilo.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {Array} parametrers Parámetros para deserializar:
-   * - serializedAttributeName
-   * - serializedMinRadius
-   * - serializedMaxRadius
-   * - serializedStyles
-   * - serializedProportionalFunction
-   * - serializedOptions
+   * @param {Object} json JSON del estilo validado.
    * @return {M.style.Proportional}
    */
-  static deserialize([serializedAttributeName, serializedMinRadius, serializedMaxRadius,
-    serializedStyles, serializedProportionalFunction, serializedOptions,
-  ]) {
-    const attributeName = serializedAttributeName;
-    const minRadius = serializedMinRadius;
-    const maxRadius = serializedMaxRadius;
-    const proportionalFunction = defineFunctionFromString(serializedProportionalFunction);
-    const options = defineFunctionFromString(serializedOptions);
-
-    /* eslint-disable */
-    const styleFn = new Function(['attributeName', 'minRadius', 'maxRadius', 'style',
-      'proportionalFunction', 'options'
-    ], `return new M.style.Proportional(attributeName,
-    minRadius, maxRadius, style, proportionalFunction, options)`);
-    const deserializedStyle = styleFn(attributeName, minRadius, maxRadius, undefined, proportionalFunction, options);
-    /* eslint-enable */
-
-    const styles = serializedStyles.map(serializedStyle => StyleBase.deserialize(serializedStyle));
-    deserializedStyle.add(styles);
-
-    return deserializedStyle;
+  static fromJSON(json) {
+    let proportionalFunction;
+    if (!isNullOrEmpty(json.proportionalFunction)) {
+      proportionalFunction = compile(json.proportionalFunction, Proportional.FUNCTION_VARIABLES);
+    }
+    const style = new Proportional(
+      json.attributeName,
+      json.minRadius,
+      json.maxRadius,
+      undefined,
+      proportionalFunction,
+      parseValue(json.options),
+    );
+    style.add((json.styles || []).map(compStyle => StyleBase.fromJSON(compStyle)));
+    return style;
   }
 }
 
@@ -643,4 +695,15 @@ class Proportional extends StyleComposite {
  */
 Proportional.SCALE_PROPORTION = 20;
 
+/**
+ * Nombres de las variables con las que se evalúa una función de
+ * proporcionalidad definida como expresión (operador "var").
+ * @constant
+ * @public
+ * @api
+ */
+Proportional.FUNCTION_VARIABLES = ['value', 'minValue', 'maxValue', 'minRadius', 'maxRadius'];
+
+StyleBase.registerType('Proportional', Proportional);
+
 export default Proportional;
@@ -295,6 +295,9 @@ export const JENKS = (numberClassesParam) => {
   Object.defineProperty(jenksFn, 'name', {
     value: 'jenks',
   });
+  Object.defineProperty(jenksFn, 'numberClasses', {
+    value: numberClasses,
+  });
 
   return jenksFn;
 };
@@ -332,6 +335,9 @@ export const QUANTILE = (nclasses) => {
   Object.defineProperty(quantileFn, 'name', {
     value: 'quantile',
   });
+  Object.defineProperty(quantileFn, 'numberClasses', {
+    value: nClassesDefault,
+  });
   return quantileFn;
 };
 
@@ -366,6 +372,9 @@ export const EQUAL_INTERVAL = (nclasses) => {
   Object.defineProperty(equalFn, 'name', {
     value: 'equal_interval',
   });
+  Object.defineProperty(equalFn, 'numberClasses', {
+    value: nClassesDefault,
+  });
   return equalFn;
 };
 
@@ -426,6 +435,9 @@ export const MEDIA_SIGMA = (nclasses) => {
   Object.defineProperty(mediasigmaFn, 'name', {
     value: 'media_sigma',
   });
+  Object.defineProperty(mediasigmaFn, 'numberClasses', {
+    value: nClassesDefault,
+  });
   return mediasigmaFn;
 };
 
@@ -466,6 +478,9 @@ export const ARITHMETIC_PROGRESSION = (nclasses) => {
   Object.defineProperty(arithmeticFn, 'name', {
     value: 'arithmetic_progression',
   });
+  Object.defineProperty(arithmeticFn, 'numberClasses', {
+    value: nClassesDefault,
+  });
   return arithmeticFn;
 };
 
@@ -504,5 +519,33 @@ export const GEOMETRIC_PROGRESSION = (nclasses) => {
   Object.defineProperty(geometricFn, 'name', {
     value: 'geometric_progression',
   });
+  Object.defineProperty(geometricFn, 'numberClasses', {
+    value: nClassesDefault,
+  });
   return geometricFn;
 };
+
+/** Esta función devuelve una función de cuantificación con los puntos de
+ * ruptura indicados (límites superiores de cada clase, en orden ascendente).
+ * Un límite nulo equivale a Infinity (la última clase no tiene límite superior).
+ * @function
+ * @public
+ * @param {Array<number>} breakPoints Puntos de ruptura.
+ * @return {function}
+ * @api
+ */
+export const MANUAL = (breakPointsParam = []) => {
+  const breakPoints = breakPointsParam.map(value => (value === null ? Infinity : value));
+  const manualFn = () => [...breakPoints];
+
+  Object.defineProperty(manualFn, 'name', {
+    value: 'manual',
+  });
+  Object.defineProperty(manualFn, 'numberClasses', {
+    value: breakPoints.length,
+  });
+  Object.defineProperty(manualFn, 'breakPoints', {
+    value: [...breakPoints],
+  });
+  return manualFn;
+};
@@ -0,0 +1,442 @@
+/**
+ * @module M/style/RuleBased
+ */
+import RuleBasedImpl from 'impl/style/RuleBased';
+import StyleBase from './Style';
+import Composite from './Composite';
+import StyleFeature from './Feature';
+import StyleCluster from './Cluster';
+import { isNullOrEmpty, isArray, isString, isUndefined, getImageSize } from '../util/Utils';
+import Exception from '../exception/exception';
+import BaseFilter from '../filter/Base';
+import { parse as parseCQL } from '../filter/Filter';
+import { parseValue } from './Expression';
+import { getValue } from '../i18n/language';
+
+/**
+ * Propiedades de escala y zoom de las reglas.
+ * @const
+ * @type {Array<string>}
+ * @private
+ */
+const RANGE_PROPERTIES = ['minScale', 'maxScale', 'minZoom', 'maxZoom'];
+
+/**
+ * Esta función normaliza una regla: el filtro puede indicarse como
+ * M.filter o como sentencia CQL y el estilo debe ser un estilo simple.
+ *
+ * @function
+ * @private
+ * @param {Object} ruleParam Regla.
+ * @return {Object} Regla normalizada.
+ */
+const toRule = (ruleParam) => {
+  if (isNullOrEmpty(ruleParam) || !(ruleParam.style instanceof StyleFeature)) {
+    Exception(getValue('exception').invalid_rule);
+  }
+  let filter = ruleParam.filter;
+  if (isString(filter) && !isNullOrEmpty(filter)) {
+    filter = parseCQL(filter);
+  } else if (!(filter instanceof BaseFilter)) {
+    filter = undefined;
+  }
+  const rule = {
+    name: ruleParam.name,
+    filter,
+    elseFilter: ruleParam.elseFilter === true,
+    style: ruleParam.style,
+  };
+  RANGE_PROPERTIES.forEach((property) => {
+    if (!isNullOrEmpty(ruleParam[property])) {
+      rule[property] = Number(ruleParam[property]);
+    }
+  });
+  return rule;
+};
+
+/**
+ * @classdesc
+ * Crea un estilo basado en reglas. Cada regla tiene un filtro
+ * opcional, un rango de escalas o de niveles de zoom y el estilo
+ * con el que se dibujan los objetos geográficos que la cumplen.
+ * Se dibujan, en orden, todas las reglas que se cumplen.
+ * @api
+ * @extends {M.style.Composite}
+ */
+class RuleBased extends Composite {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Array<Object>} rules Reglas ordenadas:
+   * - name: Nombre de la regla, se muestra en la leyenda.
+   * - filter: Filtro (M.filter) o sentencia CQL. Sin filtro la regla
+   * se aplica a todos los objetos geográficos.
+   * - elseFilter: Verdadero si la regla se aplica a los objetos
+   * geográficos que no cumplen ninguna otra regla.
+   * - minScale: Denominador de escala mínimo (incluido), por ejemplo 5000.
+   * - maxScale: Denominador de escala máximo (excluido), por ejemplo 50000.
+   * - minZoom: Zoom mínimo (excluido), como en las capas.
+   * - maxZoom: Zoom máximo (incluido), como en las capas.
+   * - style: Estilo simple (M.style.Point, Line, Polygon, Generic...).
+   * @param {object} options Parámetros.
+   * @api
+   */
+  constructor(rules = [], options = {}) {
+    super(options, new RuleBasedImpl(options));
+
+    /**
+     * Reglas del estilo.
+     */
+    this.rules_ = [];
+    this.setRules(rules);
+  }
+
+  /**
+   * Este método devuelve el orden del estilo.
+   * @public
+   * @function
+   * @returns {Number} Devuelve el orden del estilo.
+   * @api
+   */
+  get ORDER() {
+    return 2;
+  }
+
+  /**
+   * Este método aplica el estilo a la capa especificada. Los estilos de los
+   * objetos geográficos se eliminan para que se dibujen con las reglas.
+   *
+   * @function
+   * @public
+   * @param {M.layer.Vector} layer Capa especificada.
+   * @api
+   */
+  applyInternal(layer) {
+    this.layer_ = layer;
+    layer.getFeatures().forEach((feature) => {
+      if (!isNullOrEmpty(feature.getStyle())) {
+        feature.setStyle(null);
+      }
+    });
+    this.getImpl().applyToLayer(layer);
+    this.updateCanvas();
+  }
+
+  /**
+   * Este método devuelve las reglas del estilo.
+   *
+   * @function
+   * @public
+   * @returns {Array<Object>} Reglas.
+   * @api
+   */
+  getRules() {
+    return this.rules_;
+  }
+
+  /**
+   * Este método establece las reglas del estilo.
+   *
+   * @function
+   * @public
+   * @param {Array<Object>} rules Reglas.
+   * @returns {M.style.RuleBased} Estilo ("this").
+   * @api
+   */
+  setRules(rules) {
+    this.rules_ = (isArray(rules) ? rules : [rules]).map(toRule);
+    this.update_();
+    return this;
+  }
+
+  /**
+   * Este método añade una regla al estilo.
+   *
+   * @function
+   * @public
+   * @param {Object} rule Regla.
+   * @param {Number} index Posición de la regla, por defecto la última.
+   * @returns {M.style.RuleBased} Estilo ("this").
+   * @api
+   */
+  addRule(rule, index = this.rules_.length) {
+    this.rules_.splice(index, 0, toRule(rule));
+    this.update_();
+    return this;
+  }
+
+  /**
+   * Este método elimina una regla del estilo.
+   *
+   * @function
+   * @public
+   * @param {Object|Number} rule Regla o posición de la regla.
+   * @returns {M.style.RuleBased} Estilo ("this").
+   * @api
+   */
+  removeRule(rule) {
+    const index = typeof rule === 'number' ? rule : this.rules_.indexOf(rule);
+    if (index >= 0 && index < this.rules_.length) {
+      this.rules_.splice(index, 1);
+      this.update_();
+    }
+    return this;
+  }
+
+  /**
+   * Este método devuelve el texto de la regla en la leyenda:
+   * su nombre o, si no tiene, su filtro CQL.
+   *
+   * @function
+   * @public
+   * @param {Object} rule Regla.
+   * @returns {String} Texto de la regla.
+   * @api
+   */
+  getRuleLabel(rule) {
+    let label = rule.name;
+    if (isNullOrEmpty(label) && !isUndefined(rule.filter)) {
+      label = rule.filter.toCQL();
+    }
+    return isNullOrEmpty(label) ? '' : String(label);
+  }
+
+  /**
+   * Este método actualiza el estilo.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @api
+   */
+  update_() {
+    this.getImpl().setRules(this.rules_);
+    if (!isNullOrEmpty(this.layer_)) {
+      this.refresh();
+    } else {
+      this.updateCanvas();
+    }
+  }
+
+  /**
+   * Este método actualiza el "canvas" de estilo con una entrada
+   * por regla.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  updateCanvas() {
+    const canvasImages = [];
+    this.updateCanvasPromise_ = new Promise((success, fail) =>
+      this.loadCanvasImages_(0, canvasImages, success));
+  }
+
+  /**
+   * Cargue el estilo de imagen del "canvas".
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @param {Number} currentIndex Número.
+   * @param {HTMLCanvasElement} canvasImages "Canvas".
+   * @param {Function} callbackFn "callbackFn".
+   * @api
+   */
+  loadCanvasImages_(currentIndex, canvasImages, callbackFn) {
+    const rules = this.getRules();
+
+    // base case
+    if (currentIndex === rules.length) {
+      this.drawGeometryToCanvas(canvasImages, callbackFn);
+    } else {
+      // recursive case
+      const rule = rules[currentIndex];
+      const style = rule.style;
+      const image = new Image();
+      image.crossOrigin = 'Anonymous';
+      image.onload = () => {
+        canvasImages.push({
+          image,
+          ruleName: this.getRuleLabel(rule),
+        });
+        this.loadCanvasImages_((currentIndex + 1), canvasImages, callbackFn);
+      };
+      image.onerror = () => {
+        canvasImages.push({
+          ruleName: this.getRuleLabel(rule),
+        });
+        this.loadCanvasImages_((currentIndex + 1), canvasImages, callbackFn);
+      };
+      style.updateCanvas();
+      if (style.get('icon.src')) {
+        getImageSize(style.get('icon.src')).then((img) => {
+          image.width = style.get('icon.scale') ? img.width * style.get('icon.scale') : img.width;
+          image.height = style.get('icon.scale') ? img.height * style.get('icon.scale') : img.height;
+          style.toImage().then((data) => {
+            image.src = data;
+          });
+        });
+      } else {
+        const src = style.toImage();
+        if (src instanceof Promise) {
+          src.then((data) => {
+            image.src = data;
+          });
+        } else {
+          image.src = src;
+        }
+      }
+    }
+  }
+
+  /**
+   * Dibuja las reglas en el "canvas" del estilo.
+   *
+   * @function
+   * @public
+   * @param {HTMLCanvasElement} canvasImages "Canvas".
+   * @param {Function} callbackFn "callbackFn".
+   * @api
+   */
+  drawGeometryToCanvas(canvasImages, callbackFn) {
+    const vectorContext = this.canvas_.getContext('2d');
+    if (canvasImages.length === 0) {
+      vectorContext.canvas.height = 0;
+    } else {
+      const heights = canvasImages.map(canvasImage => (isUndefined(canvasImage.image) ?
+        0 : canvasImage.image.height));
+      const widths = canvasImages.map(canvasImage => (isUndefined(canvasImage.image) ?
+        0 : canvasImage.image.width));
+      vectorContext.canvas.height = heights.reduce((acc, h) => acc + h + 5);
+      vectorContext.textBaseline = 'middle';
+
+      const maxWidth = Math.max.apply(widths, widths);
+      let coordinateY = 0;
+      canvasImages.forEach((canvasImage, index) => {
+        const image = canvasImage.image;
+        if (!isUndefined(image)) {
+          const calculateWidth = (maxWidth - image.width) / 2;
+          vectorContext.drawImage(image, calculateWidth, coordinateY, image.width, image.height);
+        }
+        const coordinateText = coordinateY + (heights[index] / 2);
+        vectorContext.fillText(canvasImage.ruleName, maxWidth + 5, coordinateText);
+        coordinateY += heights[index] + 5;
+      });
+    }
+
+    callbackFn();
+  }
+
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo, uno por
+   * regla con su nombre (o su filtro CQL) como etiqueta y el rango de
+   * escalas y de zoom de la regla.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    return Promise.all(this.rules_.map((rule) => {
+      return rule.style.getLegendImage().then((image) => {
+        const item = { label: this.getRuleLabel(rule), image };
+        RANGE_PROPERTIES.filter(property => !isUndefined(rule[property])).forEach((property) => {
+          item[property] = rule[property];
+        });
+        return item;
+      });
+    }));
+  }
+
+  /**
+   * Este método agrega estilos. Solo admite M.style.Cluster.
+   *
+   * @public
+   * @function
+   * @param {M.style|Array<M.Style>} styles Estilos.
+   * @returns {M.style.Composite} Estilo de la clase padre.
+   * @api
+   */
+  add(stylesParam) {
+    let styles = stylesParam;
+    if (!isArray(styles)) {
+      styles = [styles];
+    }
+    return super.add(styles.filter(style => style instanceof StyleCluster));
+  }
+
+  /**
+   * Este método clona el estilo y sus reglas.
+   *
+   * @public
+   * @return {M.style.RuleBased} Estilo clonado.
+   * @function
+   * @api
+   */
+  clone() {
+    const rules = this.rules_.map(rule => Object.assign({}, rule, { style: rule.style.clone() }));
+    return new RuleBased(rules, Object.assign({}, this.options_));
+  }
+
+  /**
+   * Este método implementa el mecanismo para
+   * generar el JSON de esta instancia. Los filtros se
+   * escriben como sentencias CQL.
+   *
+   * @public
+   * @return {object} Devuelve el JSON del estilo (reglas,
+   * opciones y estilos compuestos).
+   * @function
+   * @api
+   */
+  toJSON() {
+    const rules = this.getRules().map((rule) => {
+      const ruleJSON = {
+        name: rule.name,
+        style: rule.style.toJSON(),
+      };
+      if (!isUndefined(rule.filter)) {
+        const cql = rule.filter.toCQL();
+        if (isNullOrEmpty(cql)) {
+          Exception(`${getValue('exception').invalid_rule}: CQL`);
+        }
+        ruleJSON.filter = cql;
+      }
+      if (rule.elseFilter) {
+        ruleJSON.elseFilter = true;
+      }
+      RANGE_PROPERTIES.filter(property => !isUndefined(rule[property]))
+        .forEach((property) => {
+          ruleJSON[property] = rule[property];
+        });
+      return ruleJSON;
+    });
+    return Object.assign(super.toJSON(), {
+      rules,
+      styles: this.getStyles().map(style => style.toJSON()),
+    });
+  }
+
+  /**
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
+   * @function
+   * @public
+   * @param {Object} json JSON del estilo validado.
+   * @return {M.style.RuleBased} Devuelve el estilo.
+   * @api
+   */
+  static fromJSON(json) {
+    const rules = (json.rules || []).map((rule) => {
+      return Object.assign({}, rule, { style: StyleBase.fromJSON(rule.style) });
+    });
+    const style = new RuleBased(rules, parseValue(json.options));
+    style.add((json.styles || []).map(compStyle => StyleBase.fromJSON(compStyle)));
+    return style;
+  }
+}
+
+StyleBase.registerType('RuleBased', RuleBased);
+
+export default RuleBased;
@@ -0,0 +1,1049 @@
+/**
+ * Este módulo lee y escribe los estilos en OGC Styled Layer Descriptor
+ * (SLD 1.0.0 y Symbology Encoding 1.1.0).
+ * @module M/style
+ * @example import { fromSLD } from 'M/style';
+ */
+import Style from './Style';
+import { isExpression } from './Expression';
+import { element, property, literal, escapeXML, combine, toCQLName, toCQLValue } from '../filter/Encoding';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import { isArray, isNullOrEmpty, isObject, isString, isUndefined, extendsObj } from '../util/Utils';
+
+/**
+ * Espacios de nombres del SLD escrito.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const NAMESPACES = {
+  sld: 'http://www.opengis.net/sld',
+  ogc: 'http://www.opengis.net/ogc',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xsi: 'http://www.w3.org/2001/XMLSchema-instance',
+};
+
+/**
+ * Símbolos de SLD (WellKnownName) que tienen forma equivalente
+ * en M.style.form. El resto se representa como círculo.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const MARK_FORMS = {
+  square: 'SQUARE',
+  triangle: 'TRIANGLE',
+};
+
+/**
+ * Operadores aritméticos de OGC Filter Encoding y su equivalente
+ * en las expresiones de estilo.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const ARITHMETIC = {
+  Add: '+',
+  Sub: '-',
+  Mul: '*',
+  Div: '/',
+};
+
+/**
+ * Operadores de comparación de OGC Filter Encoding y su equivalente en CQL.
+ * @private
+ * @const
+ * @type {Object}
+ */
+const COMPARISON_OPERATORS = {
+  PropertyIsEqualTo: '=',
+  PropertyIsNotEqualTo: '<>',
+  PropertyIsLessThan: '<',
+  PropertyIsGreaterThan: '>',
+  PropertyIsLessThanOrEqualTo: '<=',
+  PropertyIsGreaterThanOrEqualTo: '>=',
+};
+
+/**
+ * Tamaño por defecto de los símbolos (Size) según SLD.
+ * @private
+ * @const
+ * @type {number}
+ */
+const DEFAULT_SIZE = 6;
+
+/**
+ * Esta función devuelve los elementos hijos con el nombre local indicado,
+ * sin tener en cuenta el espacio de nombres (SLD 1.0.0 o SE 1.1.0).
+ * @private
+ * @function
+ * @param {Element} node Elemento.
+ * @param {string} name Nombre local.
+ * @return {Array<Element>} Elementos hijos.
+ */
+const getChildren = (node, name) => {
+  if (isNullOrEmpty(node)) {
+    return [];
+  }
+  return Array.from(node.childNodes)
+    .filter(child => child.nodeType === 1 && (isUndefined(name) || child.localName === name));
+};
+
+/**
+ * Esta función devuelve el primer elemento hijo con el nombre local indicado.
+ * @private
+ * @function
+ * @param {Element} node Elemento.
+ * @param {string} name Nombre local.
+ * @return {Element} Elemento hijo.
+ */
+const getChild = (node, name) => getChildren(node, name)[0];
+
+/**
+ * Esta función convierte a número los valores numéricos.
+ * @private
+ * @function
+ * @param {*} value Valor.
+ * @return {*} Número o el valor sin modificar.
+ */
+const toNumber = (value) => {
+  let number = value;
+  if (isString(value) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    number = Number(value);
+  }
+  return number;
+};
+
+/**
+ * Esta función lee una expresión OGC (PropertyName, Literal u operadores
+ * aritméticos) como expresión de estilo.
+ * @private
+ * @function
+ * @param {Element} node Elemento de la expresión.
+ * @return {*} Expresión o valor.
+ */
+const readExpressionNode = (node) => {
+  let expression;
+  if (node.localName === 'PropertyName' || node.localName === 'ValueReference') {
+    expression = ['get', node.textContent.trim()];
+  } else if (node.localName === 'Literal') {
+    expression = node.textContent;
+  } else if (!isUndefined(ARITHMETIC[node.localName])) {
+    expression = [ARITHMETIC[node.localName], ...getChildren(node).map(readExpressionNode)];
+  }
+  return expression;
+};
+
+/**
+ * Esta función lee el contenido mixto de un parámetro (texto, atributos
+ * y operadores). Un único atributo se devuelve como plantilla "{{atributo}}"
+ * y varios fragmentos como expresión "concat".
+ * @private
+ * @function
+ * @param {Element} node Elemento.
+ * @return {*} Valor del parámetro.
+ */
+const readParameterValue = (node) => {
+  if (isNullOrEmpty(node)) {
+    return undefined;
+  }
+  const parts = Array.from(node.childNodes).map((child) => {
+    let part;
+    if (child.nodeType === 1) {
+      part = readExpressionNode(child);
+    } else if ((child.nodeType === 3 || child.nodeType === 4) && child.nodeValue.trim() !== '') {
+      part = child.nodeValue;
+    }
+    return part;
+  }).filter(part => !isUndefined(part));
+  let value;
+  if (parts.length === 1) {
+    [value] = parts;
+    if (isString(value)) {
+      value = value.trim();
+    } else if (isExpression(value) && value[0] === 'get') {
+      value = `{{${value[1]}}}`;
+    }
+  } else if (parts.length > 1) {
+    value = ['concat', ...parts];
+  }
+  return toNumber(value);
+};
+
+/**
+ * Esta función lee los parámetros CssParameter (SLD) o SvgParameter (SE).
+ * @private
+ * @function
+ * @param {Element} node Elemento que contiene los parámetros.
+ * @return {Object} Parámetros por nombre.
+ */
+const readParameters = (node) => {
+  const parameters = {};
+  getChildren(node).filter(child => ['CssParameter', 'SvgParameter'].includes(child.localName))
+    .forEach((child) => {
+      parameters[child.getAttribute('name')] = readParameterValue(child);
+    });
+  return parameters;
+};
+
+/**
+ * Esta función elimina las propiedades indefinidas de un objeto.
+ * @private
+ * @function
+ * @param {Object} obj Objeto.
+ * @return {Object} Objeto o indefinido si queda vacío.
+ */
+const compact = (obj) => {
+  const result = {};
+  Object.keys(obj).filter(key => !isUndefined(obj[key])).forEach((key) => {
+    result[key] = obj[key];
+  });
+  return Object.keys(result).length > 0 ? result : undefined;
+};
+
+/**
+ * Esta función lee un relleno (Fill).
+ * @private
+ * @function
+ * @param {Element} node Elemento Fill.
+ * @return {Object} Opciones del relleno.
+ */
+const readFill = (node) => {
+  if (isNullOrEmpty(node)) {
+    return undefined;
+  }
+  const parameters = readParameters(node);
+  return compact({
+    color: parameters.fill || '#808080',
+    opacity: parameters['fill-opacity'],
+  });
+};
+
+/**
+ * Esta función lee un trazo (Stroke).
+ * @private
+ * @function
+ * @param {Element} node Elemento Stroke.
+ * @return {Object} Opciones del trazo.
+ */
+const readStroke = (node) => {
+  if (isNullOrEmpty(node)) {
+    return undefined;
+  }
+  const parameters = readParameters(node);
+  const dashArray = parameters['stroke-dasharray'];
+  return compact({
+    color: parameters.stroke || '#000000',
+    width: isUndefined(parameters['stroke-width']) ? 1 : parameters['stroke-width'],
+    opacity: parameters['stroke-opacity'],
+    linedash: isUndefined(dashArray) ? undefined :
+      String(dashArray).trim().split(/[\s,]+/).map(Number),
+    linecap: parameters['stroke-linecap'],
+    linejoin: parameters['stroke-linejoin'],
+  });
+};
+
+/**
+ * Esta función convierte grados a radianes.
+ * @private
+ * @function
+ * @param {*} degrees Grados.
+ * @return {*} Radianes o el valor sin modificar si no es numérico.
+ */
+const toRadians = degrees => (typeof degrees === 'number' ? (degrees * Math.PI) / 180 : undefined);
+
+/**
+ * Esta función lee un gráfico (Graphic) como opciones de M.style.Point.
+ * @private
+ * @function
+ * @param {Element} node Elemento Graphic.
+ * @return {Object} Opciones del punto.
+ */
+const readGraphic = (node) => {
+  const size = readParameterValue(getChild(node, 'Size'));
+  const radius = (typeof size === 'number' ? size : DEFAULT_SIZE) / 2;
+  const rotation = toRadians(readParameterValue(getChild(node, 'Rotation')));
+  const opacity = readParameterValue(getChild(node, 'Opacity'));
+  const externalGraphic = getChild(node, 'ExternalGraphic');
+  const mark = getChild(node, 'Mark');
+  let options = { radius };
+  if (!isNullOrEmpty(externalGraphic)) {
+    const resource = getChild(externalGraphic, 'OnlineResource');
+    const src = resource.getAttributeNS(NAMESPACES.xlink, 'href') ||
+      resource.getAttribute('xlink:href');
+    options = { icon: compact({ src, opacity, rotation }) };
+  } else if (!isNullOrEmpty(mark)) {
+    const wellKnownName = (readParameterValue(getChild(mark, 'WellKnownName')) || 'square');
+    const fill = readFill(getChild(mark, 'Fill'));
+    const stroke = readStroke(getChild(mark, 'Stroke'));
+    const form = MARK_FORMS[String(wellKnownName).toLowerCase()];
+    if (isUndefined(form)) {
+      options = compact({ radius, fill, stroke });
+    } else {
+      options = {
+        icon: compact({
+          form,
+          radius,
+          rotation,
+          opacity,
+          fill: isUndefined(fill) ? undefined : fill.color,
+          color: isUndefined(stroke) ? undefined : stroke.color,
+        }),
+      };
+    }
+  }
+  return options;
+};
+
+/**
+ * Esta función lee una etiqueta (TextSymbolizer).
+ * @private
+ * @function
+ * @param {Element} node Elemento TextSymbolizer.
+ * @return {Object} Opciones de la etiqueta.
+ */
+const readLabel = (node) => {
+  const font = readParameters(getChild(node, 'Font'));
+  const fill = readFill(getChild(node, 'Fill'));
+  const halo = getChild(node, 'Halo');
+  const pointPlacement = getChild(getChild(node, 'LabelPlacement'), 'PointPlacement');
+  const label = {
+    text: readParameterValue(getChild(node, 'Label')),
+    font: `${font['font-style'] || 'normal'} ${font['font-weight'] || 'normal'} ${font['font-size'] || 10}px ${font['font-family'] || 'sans-serif'}`,
+    color: isUndefined(fill) ? '#000000' : fill.color,
+  };
+  if (!isNullOrEmpty(halo)) {
+    const haloRadius = readParameterValue(getChild(halo, 'Radius'));
+    const haloFill = readFill(getChild(halo, 'Fill'));
+    label.stroke = {
+      color: isUndefined(haloFill) ? '#FFFFFF' : haloFill.color,
+      width: (typeof haloRadius === 'number' ? haloRadius : 1) * 2,
+    };
+  }
+  if (!isNullOrEmpty(pointPlacement)) {
+    const anchor = getChild(pointPlacement, 'AnchorPoint');
+    const displacement = getChild(pointPlacement, 'Displacement');
+    if (!isNullOrEmpty(anchor)) {
+      const anchorX = readParameterValue(getChild(anchor, 'AnchorPointX'));
+      const anchorY = readParameterValue(getChild(anchor, 'AnchorPointY'));
+      label.align = ['left', 'center', 'right'][Math.round((anchorX || 0) * 2)] || 'center';
+      label.baseline = ['bottom', 'middle', 'top'][Math.round((anchorY || 0) * 2)] || 'middle';
+    }
+    if (!isNullOrEmpty(displacement)) {
+      label.offset = [
+        readParameterValue(getChild(displacement, 'DisplacementX')) || 0,
+        -(readParameterValue(getChild(displacement, 'DisplacementY')) || 0),
+      ];
+    }
+    const rotation = toRadians(readParameterValue(getChild(pointPlacement, 'Rotation')));
+    if (!isUndefined(rotation)) {
+      label.rotation = rotation;
+    }
+  }
+  return label;
+};
+
+/**
+ * Esta función lee los valores de una comparación (atributo y literal).
+ * @private
+ * @function
+ * @param {Element} node Elemento de la comparación.
+ * @return {Object} Atributo y valor.
+ */
+const readComparison = (node) => {
+  const propertyNode = getChild(node, 'PropertyName') || getChild(node, 'ValueReference');
+  const literalNode = getChild(node, 'Literal');
+  return {
+    property: isNullOrEmpty(propertyNode) ? undefined : propertyNode.textContent.trim(),
+    value: isNullOrEmpty(literalNode) ? undefined : literalNode.textContent,
+  };
+};
+
+/**
+ * Esta función lee el filtro de una regla. Se reconocen las comparaciones
+ * de igualdad (categorías) y los rangos numéricos (coropletas).
+ * @private
+ * @function
+ * @param {Element} node Operador del filtro.
+ * @return {Object} Filtro (type: "equal", "range" o "unsupported").
+ */
+const readFilter = (node) => {
+  let filter = { type: 'unsupported', name: node.localName };
+  const { property: propertyName, value } = readComparison(node);
+  if (node.localName === 'PropertyIsEqualTo' && !isUndefined(propertyName)) {
+    filter = { type: 'equal', property: propertyName, value };
+  } else if (['PropertyIsLessThan', 'PropertyIsLessThanOrEqualTo'].includes(node.localName)) {
+    filter = { type: 'range', property: propertyName, upper: toNumber(value) };
+  } else if (['PropertyIsGreaterThan', 'PropertyIsGreaterThanOrEqualTo'].includes(node.localName)) {
+    filter = { type: 'range', property: propertyName, lower: toNumber(value) };
+  } else if (node.localName === 'PropertyIsBetween') {
+    filter = {
+      type: 'range',
+      property: propertyName,
+      lower: toNumber(readParameterValue(getChild(node, 'LowerBoundary'))),
+      upper: toNumber(readParameterValue(getChild(node, 'UpperBoundary'))),
+    };
+  } else if (node.localName === 'And') {
+    const ranges = getChildren(node).map(readFilter);
+    const sameProperty = ranges.every(range => range.type === 'range' &&
+      range.property === ranges[0].property);
+    if (ranges.length > 0 && sameProperty) {
+      filter = ranges.reduce((range, next) => extendsObj(range, next), { type: 'range' });
+    }
+  }
+  if (filter.type === 'range' && (isUndefined(filter.property) ||
+      ['lower', 'upper'].some(bound => !isUndefined(filter[bound]) && typeof filter[bound] !== 'number'))) {
+    filter = { type: 'unsupported', name: node.localName };
+  }
+  return filter;
+};
+
+/**
+ * Esta función convierte el patrón de PropertyIsLike, con los comodines
+ * del documento, en un patrón LIKE de CQL ("%", "_" y "\\").
+ * @private
+ * @function
+ * @param {Element} node Elemento PropertyIsLike.
+ * @param {string} pattern Patrón del documento.
+ * @return {string} Patrón CQL.
+ */
+const readLikePattern = (node, pattern) => {
+  const wildCard = node.getAttribute('wildCard') || '*';
+  const singleChar = node.getAttribute('singleChar') || '.';
+  const escapeChar = node.getAttribute('escapeChar') || node.getAttribute('escape') || '!';
+  let cqlPattern = '';
+  let escaped = false;
+  Array.from(pattern).forEach((char) => {
+    if (escaped || !([wildCard, singleChar, escapeChar].includes(char))) {
+      cqlPattern += ['%', '_', '\\'].includes(char) ? `\\${char}` : char;
+      escaped = false;
+    } else if (char === escapeChar) {
+      escaped = true;
+    } else {
+      cqlPattern += char === wildCard ? '%' : '_';
+    }
+  });
+  return cqlPattern;
+};
+
+/**
+ * Esta función convierte el filtro de una regla en una sentencia CQL.
+ * Admite los operadores de comparación, PropertyIsBetween, PropertyIsLike,
+ * PropertyIsNull y los operadores lógicos.
+ * @private
+ * @function
+ * @param {Element} node Operador del filtro.
+ * @return {string} Sentencia CQL o indefinido si el filtro no se admite.
+ */
+const readCQL = (node) => {
+  let cql;
+  const name = node.localName;
+  const { property: propertyName, value } = readComparison(node);
+  if (!isUndefined(COMPARISON_OPERATORS[name]) && !isUndefined(propertyName) &&
+    !isUndefined(value)) {
+    cql = `${toCQLName(propertyName)} ${COMPARISON_OPERATORS[name]} ${toCQLValue(toNumber(value))}`;
+  } else if (name === 'PropertyIsBetween' && !isUndefined(propertyName)) {
+    const lower = readParameterValue(getChild(node, 'LowerBoundary'));
+    const upper = readParameterValue(getChild(node, 'UpperBoundary'));
+    if (!isUndefined(lower) && !isUndefined(upper)) {
+      cql = `${toCQLName(propertyName)} BETWEEN ${toCQLValue(lower)} AND ${toCQLValue(upper)}`;
+    }
+  } else if (name === 'PropertyIsLike' && !isUndefined(propertyName) && !isUndefined(value)) {
+    const operator = node.getAttribute('matchCase') === 'false' ? 'ILIKE' : 'LIKE';
+    cql = `${toCQLName(propertyName)} ${operator} ${toCQLValue(readLikePattern(node, value))}`;
+  } else if (name === 'PropertyIsNull' && !isUndefined(propertyName)) {
+    cql = `${toCQLName(propertyName)} IS NULL`;
+  } else if (['And', 'Or'].includes(name)) {
+    const operands = getChildren(node).map(readCQL);
+    if (operands.length > 0 && operands.every(operand => !isUndefined(operand))) {
+      cql = operands.map(operand => `(${operand})`).join(` ${name.toUpperCase()} `);
+    }
+  } else if (name === 'Not' && !isNullOrEmpty(getChild(node))) {
+    const operand = readCQL(getChild(node));
+    cql = isUndefined(operand) ? undefined : `NOT (${operand})`;
+  }
+  return cql;
+};
+
+/**
+ * Esta función lee una regla (Rule) con sus simbolizadores.
+ * @private
+ * @function
+ * @param {Element} node Elemento Rule.
+ * @return {Object} Regla (filtro, sentencia CQL, escalas y opciones de
+ * M.style.Generic).
+ */
+const readRule = (node) => {
+  const options = {};
+  let label;
+  getChildren(node).forEach((child) => {
+    if (child.localName === 'PointSymbolizer') {
+      options.point = readGraphic(getChild(child, 'Graphic'));
+    } else if (child.localName === 'LineSymbolizer') {
+      options.line = compact({ stroke: readStroke(getChild(child, 'Stroke')) }) || {};
+    } else if (child.localName === 'PolygonSymbolizer') {
+      options.polygon = compact({
+        fill: readFill(getChild(child, 'Fill')),
+        stroke: readStroke(getChild(child, 'Stroke')),
+      }) || {};
+    } else if (child.localName === 'TextSymbolizer') {
+      label = readLabel(child);
+    }
+  });
+  if (!isUndefined(label)) {
+    let parts = Object.keys(options);
+    if (parts.length === 0) {
+      parts = ['point', 'line', 'polygon'];
+    }
+    parts.forEach((part) => {
+      options[part] = extendsObj({ label }, options[part]);
+    });
+  }
+  const filterNode = getChild(node, 'Filter');
+  const operator = isNullOrEmpty(filterNode) ? undefined : getChild(filterNode);
+  return {
+    name: readParameterValue(getChild(node, 'Name')),
+    filter: isUndefined(operator) ? undefined : readFilter(operator),
+    cql: isUndefined(operator) ? undefined : readCQL(operator),
+    elseFilter: !isNullOrEmpty(getChild(node, 'ElseFilter')),
+    minScale: readParameterValue(getChild(node, 'MinScaleDenominator')),
+    maxScale: readParameterValue(getChild(node, 'MaxScaleDenominator')),
+    options,
+  };
+};
+
+/**
+ * Esta función combina las opciones de varias reglas. Las opciones
+ * de las últimas reglas prevalecen, como en el orden de dibujo de SLD.
+ * @private
+ * @function
+ * @param {Array<Object>} optionsList Opciones de cada regla.
+ * @return {Object} Opciones combinadas.
+ */
+const mergeOptions = optionsList => optionsList
+  .reduceRight((merged, options) => extendsObj(merged, options), {});
+
+/**
+ * Esta función crea el JSON de un M.style.Generic.
+ * @private
+ * @function
+ * @param {Object} options Opciones.
+ * @return {Object} JSON del estilo.
+ */
+const genericJSON = options => ({ version: Style.SCHEMA_VERSION, type: 'Generic', options });
+
+/**
+ * Esta función crea el JSON de un M.style.RuleBased con una regla por
+ * cada regla del documento.
+ * @private
+ * @function
+ * @param {Array<Object>} rules Reglas leídas.
+ * @return {Object} JSON del estilo.
+ */
+const ruleBasedJSON = (rules) => {
+  const unsupported = rules.filter(rule => !isUndefined(rule.filter) && isUndefined(rule.cql))
+    .map(rule => rule.filter.name);
+  if (unsupported.length > 0) {
+    Exception(`${getValue('exception').sld_unsupported}: ${unsupported.join(', ')}`);
+  }
+  return {
+    version: Style.SCHEMA_VERSION,
+    type: 'RuleBased',
+    rules: rules.map((rule) => {
+      return compact({
+        name: isNullOrEmpty(rule.name) ? undefined : String(rule.name),
+        filter: rule.cql,
+        elseFilter: rule.elseFilter || undefined,
+        minScale: rule.minScale,
+        maxScale: rule.maxScale,
+        style: genericJSON(rule.options),
+      });
+    }),
+  };
+};
+
+/**
+ * Esta función lee un documento SLD (1.0.0) o SE (1.1.0) y crea el estilo
+ * equivalente: M.style.Generic si las reglas no tienen filtro,
+ * M.style.Category si filtran por igualdad sobre un atributo (ElseFilter
+ * corresponde a la categoría "other") y M.style.Choropleth si filtran por
+ * rangos numéricos de un atributo. Las reglas sin filtro se combinan con
+ * el estilo de cada clase. El resto de documentos, con escalas
+ * (MinScaleDenominator y MaxScaleDenominator) o filtros de varios atributos,
+ * se leen como M.style.RuleBased.
+ *
+ * @function
+ * @param {string|Document} xml Documento SLD.
+ * @return {M.Style} Estilo.
+ * @api
+ */
+export const fromSLD = (xml) => {
+  const doc = isString(xml) ? new window.DOMParser().parseFromString(xml, 'text/xml') : xml;
+  if (isNullOrEmpty(doc) || isNullOrEmpty(doc.documentElement) ||
+    doc.getElementsByTagName('parsererror').length > 0) {
+    Exception(getValue('exception').invalid_sld);
+  }
+  const userStyle = doc.getElementsByTagNameNS('*', 'UserStyle')[0];
+  const rules = [];
+  getChildren(userStyle, 'FeatureTypeStyle').forEach((featureTypeStyle) => {
+    getChildren(featureTypeStyle, 'Rule').forEach(rule => rules.push(readRule(rule)));
+  });
+  if (rules.length === 0) {
+    Exception(getValue('exception').invalid_sld);
+  }
+  const hasScales = rules.some(rule => !isUndefined(rule.minScale) ||
+    !isUndefined(rule.maxScale));
+
+  const commonOptions = rules.filter(rule => isUndefined(rule.filter) && !rule.elseFilter)
+    .map(rule => rule.options);
+  const filteredRules = rules.filter(rule => !isUndefined(rule.filter) || rule.elseFilter);
+  const classOptions = rule => mergeOptions([...commonOptions, rule.options]);
+  const filters = filteredRules.filter(rule => !rule.elseFilter).map(rule => rule.filter);
+  const attributeName = filters.length > 0 ? filters[0].property : undefined;
+  const sameAttribute = type => filters.every(filter => filter.type === type &&
+    filter.property === attributeName);
+
+  let json;
+  if (hasScales) {
+    json = ruleBasedJSON(rules);
+  } else if (filteredRules.length === 0) {
+    json = genericJSON(mergeOptions(commonOptions));
+  } else if (filters.length > 0 && sameAttribute('equal')) {
+    const categoryStyles = {};
+    filteredRules.forEach((rule) => {
+      const category = rule.elseFilter ? 'other' : rule.filter.value;
+      categoryStyles[category] = genericJSON(classOptions(rule));
+    });
+    json = {
+      version: Style.SCHEMA_VERSION,
+      type: 'Category',
+      attributeName,
+      categoryStyles,
+    };
+  } else if (filters.length === filteredRules.length && sameAttribute('range')) {
+    const upperBound = rule => (isUndefined(rule.filter.upper) ? Infinity : rule.filter.upper);
+    const sortedRules = [...filteredRules].sort((a, b) => upperBound(a) - upperBound(b));
+    json = {
+      version: Style.SCHEMA_VERSION,
+      type: 'Choropleth',
+      attributeName,
+      choroplethStyles: sortedRules.map(rule => genericJSON(classOptions(rule))),
+      quantification: { name: 'manual', breaks: sortedRules.map(upperBound) },
+    };
+  } else {
+    json = ruleBasedJSON(rules);
+  }
+  return Style.fromJSON(json);
+};
+
+/**
+ * Esta función escribe un elemento SLD.
+ * @private
+ * @function
+ * @param {string} name Nombre del elemento.
+ * @param {string} content Contenido.
+ * @param {Object} attributes Atributos.
+ * @return {string} Elemento XML.
+ */
+const sldElement = (name, content, attributes = {}) => {
+  const attrs = Object.keys(attributes)
+    .map(attr => ` ${attr}="${escapeXML(attributes[attr])}"`).join('');
+  return `<${name}${attrs}>${content}</${name}>`;
+};
+
+/**
+ * Esta función escribe un valor de estilo como expresión OGC. Admite
+ * valores literales, plantillas "{{atributo}}" y las expresiones
+ * "get", "concat" y aritméticas; para el resto devuelve indefinido.
+ * @private
+ * @function
+ * @param {*} value Valor.
+ * @return {string} Contenido XML.
+ */
+const writeValue = (value) => {
+  const templateRegexp = /^\{\{([^}]+)\}\}$/;
+  let xml;
+  if (isString(value) && templateRegexp.test(value)) {
+    xml = property(value.replace(templateRegexp, '$1'));
+  } else if (isExpression(value)) {
+    const [operator, ...args] = value;
+    const arithmetic = Object.keys(ARITHMETIC).find(name => ARITHMETIC[name] === operator);
+    const writtenArgs = args.map(arg => writeValue(arg));
+    if (writtenArgs.some(isUndefined)) {
+      xml = undefined;
+    } else if (operator === 'get') {
+      xml = property(args[0]);
+    } else if (operator === 'literal') {
+      xml = literal(args[0]);
+    } else if (operator === 'concat') {
+      xml = writtenArgs.join('');
+    } else if (!isUndefined(arithmetic) && args.length === 2) {
+      xml = element(arithmetic, args.map(arg => (isExpression(arg) ?
+        writeValue(arg) : literal(arg))).join(''));
+    }
+  } else if (!isUndefined(value) && !isObject(value) && typeof value !== 'function') {
+    xml = escapeXML(value);
+  }
+  return xml;
+};
+
+/**
+ * Esta función escribe los parámetros CssParameter que tienen valor.
+ * @private
+ * @function
+ * @param {Object} parameters Parámetros por nombre.
+ * @return {string} Contenido XML.
+ */
+const writeParameters = (parameters) => {
+  return Object.keys(parameters).map((name) => {
+    const value = writeValue(parameters[name]);
+    return isUndefined(value) ? '' : sldElement('CssParameter', value, { name });
+  }).join('');
+};
+
+/**
+ * Esta función escribe un relleno.
+ * @private
+ * @function
+ * @param {Object} fill Opciones del relleno.
+ * @return {string} Elemento Fill.
+ */
+const writeFill = (fill) => {
+  if (isNullOrEmpty(fill)) {
+    return '';
+  }
+  return sldElement('Fill', writeParameters({
+    fill: fill.color,
+    'fill-opacity': fill.opacity,
+  }));
+};
+
+/**
+ * Esta función escribe un trazo.
+ * @private
+ * @function
+ * @param {Object} stroke Opciones del trazo.
+ * @return {string} Elemento Stroke.
+ */
+const writeStroke = (stroke) => {
+  if (isNullOrEmpty(stroke)) {
+    return '';
+  }
+  return sldElement('Stroke', writeParameters({
+    stroke: stroke.color,
+    'stroke-width': stroke.width,
+    'stroke-opacity': stroke.opacity,
+    'stroke-dasharray': isArray(stroke.linedash) ? stroke.linedash.join(' ') : undefined,
+    'stroke-linecap': stroke.linecap,
+    'stroke-linejoin': stroke.linejoin,
+  }));
+};
+
+/**
+ * Esta función escribe un elemento con un valor si está definido.
+ * @private
+ * @function
+ * @param {string} name Nombre del elemento.
+ * @param {*} value Valor.
+ * @return {string} Elemento XML.
+ */
+const writeOptional = (name, value) => {
+  const xml = writeValue(value);
+  return isUndefined(xml) ? '' : sldElement(name, xml);
+};
+
+/**
+ * Esta función convierte radianes a grados.
+ * @private
+ * @function
+ * @param {*} radians Radianes.
+ * @return {*} Grados o indefinido si no es numérico.
+ */
+const toDegrees = radians => (typeof radians === 'number' ? (radians * 180) / Math.PI : undefined);
+
+/**
+ * Esta función escribe un PointSymbolizer a partir de las opciones
+ * de M.style.Point.
+ * @private
+ * @function
+ * @param {Object} options Opciones del punto.
+ * @return {string} Elemento PointSymbolizer.
+ */
+const writePoint = (options) => {
+  const icon = options.icon || {};
+  let graphic;
+  if (!isNullOrEmpty(icon.src)) {
+    const format = /\.svg(\?.*)?$/i.test(icon.src) ? 'image/svg+xml' : 'image/png';
+    const resource = `<OnlineResource xlink:type="simple" xlink:href="${escapeXML(icon.src)}"/>`;
+    graphic = sldElement('ExternalGraphic', resource + sldElement('Format', format)) +
+      writeOptional('Opacity', icon.opacity) +
+      writeOptional('Rotation', toDegrees(icon.rotation));
+  } else if (!isNullOrEmpty(icon.form)) {
+    const form = String(icon.form).toUpperCase();
+    const wellKnownName = Object.keys(MARK_FORMS).find(name => MARK_FORMS[name] === form) || 'circle';
+    const mark = sldElement('WellKnownName', wellKnownName) +
+      writeFill(isUndefined(icon.fill) ? undefined : { color: icon.fill }) +
+      writeStroke(isUndefined(icon.color) ? undefined : { color: icon.color, width: 1 });
+    graphic = sldElement('Mark', mark) +
+      writeOptional('Opacity', icon.opacity) +
+      writeOptional('Size', typeof icon.radius === 'number' ? icon.radius * 2 : undefined) +
+      writeOptional('Rotation', toDegrees(icon.rotation));
+  } else {
+    const mark = sldElement('WellKnownName', 'circle') +
+      writeFill(options.fill) + writeStroke(options.stroke);
+    const radius = typeof options.radius === 'number' ? options.radius : DEFAULT_SIZE / 2;
+    graphic = sldElement('Mark', mark) + writeOptional('Size', radius * 2);
+  }
+  return sldElement('PointSymbolizer', sldElement('Graphic', graphic));
+};
+
+/**
+ * Esta función escribe un TextSymbolizer a partir de las opciones
+ * de la etiqueta.
+ * @private
+ * @function
+ * @param {Object} label Opciones de la etiqueta.
+ * @return {string} Elemento TextSymbolizer.
+ */
+const writeLabel = (label) => {
+  const text = writeValue(label.text);
+  if (isUndefined(text)) {
+    return '';
+  }
+  const fontRegexp = /^\s*(?:(normal|italic|oblique)\s+)?(?:(normal|bold|bolder|lighter|\d{3})\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/;
+  const fontMatch = isString(label.font) ? label.font.match(fontRegexp) : null;
+  const font = isNullOrEmpty(fontMatch) ? '' : sldElement('Font', writeParameters({
+    'font-family': fontMatch[4].trim(),
+    'font-style': fontMatch[1],
+    'font-weight': fontMatch[2],
+    'font-size': Number(fontMatch[3]),
+  }));
+  const alignIndex = ['left', 'center', 'right'].indexOf(label.align);
+  const baselineIndex = ['bottom', 'middle', 'top'].indexOf(label.baseline);
+  const anchor = sldElement('AnchorPoint', sldElement('AnchorPointX', alignIndex < 0 ? 0.5 : alignIndex / 2) +
+    sldElement('AnchorPointY', baselineIndex < 0 ? 0.5 : baselineIndex / 2));
+  const displacement = isArray(label.offset) ? sldElement(
+    'Displacement',
+    sldElement('DisplacementX', label.offset[0] || 0) +
+      sldElement('DisplacementY', -(label.offset[1] || 0)),
+  ) : '';
+  const placement = sldElement('LabelPlacement', sldElement(
+    'PointPlacement',
+    anchor + displacement + writeOptional('Rotation', toDegrees(label.rotation)),
+  ));
+  const halo = isNullOrEmpty(label.stroke) ? '' : sldElement(
+    'Halo',
+    writeOptional('Radius', typeof label.stroke.width === 'number' ? label.stroke.width / 2 : 1) +
+      writeFill({ color: label.stroke.color }),
+  );
+  return sldElement(
+    'TextSymbolizer',
+    sldElement('Label', text) + font + placement + halo + writeFill({ color: label.color || '#000000' }),
+  );
+};
+
+/**
+ * Esta función escribe los simbolizadores de una regla a partir de las
+ * opciones de M.style.Generic (point, line y polygon).
+ * @private
+ * @function
+ * @param {Object} options Opciones.
+ * @return {string} Simbolizadores.
+ */
+const writeSymbolizers = (options) => {
+  let label;
+  let xml = '';
+  if (!isNullOrEmpty(options.polygon)) {
+    xml += sldElement(
+      'PolygonSymbolizer',
+      writeFill(options.polygon.fill) + writeStroke(options.polygon.stroke),
+    );
+    label = label || options.polygon.label;
+  }
+  if (!isNullOrEmpty(options.line)) {
+    xml += sldElement('LineSymbolizer', writeStroke(options.line.stroke));
+    label = label || options.line.label;
+  }
+  if (!isNullOrEmpty(options.point)) {
+    xml += writePoint(options.point);
+    label = label || options.point.label;
+  }
+  if (!isNullOrEmpty(label)) {
+    xml += writeLabel(label);
+  }
+  return xml;
+};
+
+/**
+ * Esta función obtiene las opciones de M.style.Generic de un estilo simple.
+ * @private
+ * @function
+ * @param {Object} json JSON del estilo.
+ * @param {string} geometryType Tipo de geometría a la que se limita el estilo.
+ * @return {Object} Opciones (point, line y polygon).
+ */
+const toGenericOptions = (json, geometryType) => {
+  const options = json.options || {};
+  let genericOptions;
+  if (json.type === 'Point') {
+    genericOptions = { point: options };
+  } else if (json.type === 'Line') {
+    genericOptions = { line: options };
+  } else if (json.type === 'FlowLine') {
+    genericOptions = { line: { stroke: { color: options.color, width: options.width } } };
+  } else if (json.type === 'Polygon') {
+    genericOptions = { polygon: options };
+  } else if (json.type === 'Generic') {
+    genericOptions = extendsObj({}, options);
+  } else {
+    Exception(`${getValue('exception').sld_unsupported}: ${json.type}`);
+  }
+  const parts = {
+    Point: 'point',
+    MultiPoint: 'point',
+    LineString: 'line',
+    MultiLineString: 'line',
+    Polygon: 'polygon',
+    MultiPolygon: 'polygon',
+  };
+  if (!isUndefined(parts[geometryType])) {
+    genericOptions = { [parts[geometryType]]: genericOptions[parts[geometryType]] };
+  }
+  return genericOptions;
+};
+
+/**
+ * Esta función escribe una regla.
+ * @private
+ * @function
+ * @param {Object} rule Regla (name, filter, elseFilter, minScale, maxScale
+ * y options).
+ * @return {string} Elemento Rule.
+ */
+const writeRule = (rule) => {
+  const { name, filter, options } = rule;
+  let filterXML = '';
+  if (rule.elseFilter) {
+    filterXML = '<ElseFilter/>';
+  } else if (!isNullOrEmpty(filter)) {
+    filterXML = element('Filter', filter);
+  }
+  const title = isNullOrEmpty(name) ? '' : sldElement('Name', escapeXML(name)) +
+    sldElement('Title', escapeXML(name));
+  const scales = writeOptional('MinScaleDenominator', rule.minScale) +
+    writeOptional('MaxScaleDenominator', rule.maxScale);
+  return sldElement('Rule', title + filterXML + scales + writeSymbolizers(options));
+};
+
+/**
+ * Esta función escribe un operador de comparación OGC.
+ * @private
+ * @function
+ * @param {string} operator Operador.
+ * @param {string} attributeName Atributo.
+ * @param {*} value Valor.
+ * @return {string} Operador XML.
+ */
+const comparison = (operator, attributeName, value) => {
+  return element(operator, property(attributeName) + literal(value));
+};
+
+/**
+ * Esta función escribe un estilo como documento SLD 1.0.0. Admite
+ * M.style.Point, Line, Polygon, Generic y FlowLine (una regla),
+ * M.style.Category (una regla por categoría), M.style.Choropleth
+ * (una regla por clase; el estilo debe estar aplicado a una capa
+ * o usar la cuantificación M.style.quantification.MANUAL) y
+ * M.style.RuleBased (sus reglas con filtros y escalas; los rangos de
+ * zoom no tienen equivalente en SLD).
+ * Los estilos sin equivalente en SLD (Cluster, Proportional, Heatmap...)
+ * y los estilos con otros estilos añadidos ("add") lanzan una excepción.
+ *
+ * @function
+ * @param {M.Style} style Estilo.
+ * @param {Object} options Opciones.
+ * - layerName: Nombre de la capa (NamedLayer).
+ * - styleName: Nombre del estilo (UserStyle).
+ * - geometryType: Tipo de geometría al que se limitan los estilos genéricos.
+ * @return {string} Documento SLD.
+ * @api
+ */
+export const toSLD = (style, options = {}) => {
+  const json = style.toJSON();
+  if (!isNullOrEmpty(json.styles)) {
+    Exception(`${getValue('exception').sld_unsupported}: ${json.styles.map(child => child.type).join(', ')}`);
+  }
+  const geometryType = options.geometryType;
+  let rules;
+  if (json.type === 'Category') {
+    rules = Object.keys(json.categoryStyles || {}).map((category) => {
+      return {
+        name: category,
+        elseFilter: category === 'other',
+        filter: comparison('PropertyIsEqualTo', json.attributeName, category),
+        options: toGenericOptions(json.categoryStyles[category], geometryType),
+      };
+    });
+  } else if (json.type === 'Choropleth') {
+    const choroplethStyles = json.choroplethStyles || [];
+    const breaks = (json.quantification && json.quantification.breaks) ||
+      style.getBreakPoints();
+    if (isNullOrEmpty(breaks) || choroplethStyles.some(isString) ||
+      choroplethStyles.length !== breaks.length) {
+      Exception(`${getValue('exception').sld_unsupported}: Choropleth`);
+    }
+    rules = choroplethStyles.map((choroplethStyle, i) => {
+      const upper = breaks[i] === Infinity ? '' :
+        comparison('PropertyIsLessThanOrEqualTo', json.attributeName, breaks[i]);
+      const lower = i === 0 ? '' :
+        comparison('PropertyIsGreaterThan', json.attributeName, breaks[i - 1]);
+      const filter = combine('And', [lower, upper]);
+      return {
+        name: `${i === 0 ? '' : `${breaks[i - 1]} < `}${json.attributeName}${breaks[i] === Infinity ? '' : ` <= ${breaks[i]}`}`,
+        filter,
+        options: toGenericOptions(choroplethStyle, geometryType),
+      };
+    });
+  } else if (json.type === 'RuleBased') {
+    rules = style.getRules().map((rule) => {
+      const filter = isUndefined(rule.filter) ? '' : rule.filter.getXMLFilter();
+      if ((!isUndefined(rule.filter) && isNullOrEmpty(filter)) ||
+        !isUndefined(rule.minZoom) || !isUndefined(rule.maxZoom)) {
+        Exception(`${getValue('exception').sld_unsupported}: ${style.getRuleLabel(rule)}`);
+      }
+      return {
+        name: style.getRuleLabel(rule),
+        elseFilter: rule.elseFilter,
+        filter,
+        minScale: rule.minScale,
+        maxScale: rule.maxScale,
+        options: toGenericOptions(rule.style.toJSON(), geometryType),
+      };
+    });
+  } else {
+    rules = [{ options: toGenericOptions(json, geometryType) }];
+  }
+  const layerName = options.layerName || 'layer';
+  const userStyle = sldElement('Name', escapeXML(options.styleName || layerName)) +
+    sldElement('FeatureTypeStyle', rules.map(writeRule).join(''));
+  const namedLayer = sldElement('Name', escapeXML(layerName)) + sldElement('UserStyle', userStyle);
+  return `<?xml version="1.0" encoding="UTF-8"?>${sldElement('StyledLayerDescriptor', sldElement('NamedLayer', namedLayer), {
+    version: '1.0.0',
+    xmlns: NAMESPACES.sld,
+    'xmlns:ogc': NAMESPACES.ogc,
+    'xmlns:xlink': NAMESPACES.xlink,
+    'xmlns:xsi': NAMESPACES.xsi,
+    'xsi:schemaLocation': `${NAMESPACES.sld} http://schemas.opengis.net/sld/1.0.0/StyledLayerDescriptor.xsd`,
+  })}`;
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
@@ -1,8 +1,9 @@
 /**
  * @module M/style/Simple
  */
-import { defineFunctionFromString, isDynamic, drawDynamicStyle } from '../util/Utils';
+import { isDynamic, drawDynamicStyle } from '../util/Utils';
 import StyleFeature from './Feature';
+import { parseValue } from './Expression';
 
 /**
  * @classdesc
@@ -75,23 +76,17 @@ class Simple extends StyleFeature {
   }
 
   /**
-   * Este método devuelve la desesialización de una instancia serializada.
+   * Este método de la clase crea el estilo a partir de su JSON
+   * (ver M.Style.fromJSON).
    * @function
    * @public
-   * @param {string} serializedStyle Estilo serializado.
-   * @param {string} className Nombre de clase con estilo.
-   * @returns {M.style.Simple} Devuelve la desesialización.
+   * @param {Object} json JSON del estilo validado.
+   * @returns {M.style.Simple} Estilo.
    *
    * @api
    */
-  static deserialize(serializedParams, className) {
-    const parameters = defineFunctionFromString(serializedParams);
-    const parameterArgs = parameters.map((p, i) => `arg${i}`);
-    const parameterArgsString = parameterArgs.reduce((acc, param) => acc.concat(', ').concat(param));
-    /* eslint-disable */
-    const styleFn = new Function(parameterArgs, `return new ${className}(${parameterArgsString})`);
-    /* eslint-enable */
-    return styleFn(...parameters);
+  static fromJSON(json) {
+    return new this(parseValue(json.options));
   }
 }
 
@@ -2,8 +2,118 @@
  * @module M/Style
  */
 import Base from '../Base';
-import { isNullOrEmpty, isArray, isObject, extendsObj, stringifyFunctions } from '../util/Utils';
+import { isNullOrEmpty, isArray, isObject, isString, isUndefined, extendsObj } from '../util/Utils';
 import * as EventType from '../event/eventtype';
+import Exception from '../exception/exception';
+import { getValue } from '../i18n/language';
+import { serializeValue } from './Expression';
+import { toSLD as writeSLD } from './SLD';
+
+/**
+ * Clases de estilo registradas por su tipo en el esquema JSON.
+ * @const
+ * @type {Object}
+ */
+const STYLE_TYPES = {};
+
+/**
+ * Esta función decodifica un estilo serializado en base64.
+ * @function
+ * @param {string} encodedStyle Estilo serializado.
+ * @return {Object} JSON del estilo.
+ */
+const decodeStyle = (encodedStyle) => {
+  const serializedStyle = decodeURIComponent(escape(window.atob(encodedStyle.replace(/ /g, '+'))));
+  return JSON.parse(serializedStyle);
+};
+
+/**
+ * Esta función elimina las funciones serializadas ("{{f}}...")
+ * de los parámetros de un estilo en el formato anterior.
+ * @function
+ * @param {*} value Valor.
+ * @return {*} Valor sin funciones.
+ */
+const dropLegacyFunctions = (value) => {
+  let result = value;
+  if (isString(value) && /^\{\{f\}\}/.test(value)) {
+    result = undefined;
+  } else if (isArray(value)) {
+    result = value.map(dropLegacyFunctions);
+  } else if (isObject(value)) {
+    result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = dropLegacyFunctions(value[key]);
+    });
+  }
+  return result;
+};
+
+/**
+ * Esta función convierte un estilo serializado con el formato anterior
+ * ({ parameters, deserializedMethod }) al esquema JSON actual. Las funciones
+ * que contenga se descartan sin evaluarse.
+ * @function
+ * @param {Object} legacyJSON Estilo con el formato anterior.
+ * @return {Object} JSON del estilo.
+ */
+const legacyToJSON = ({ parameters, deserializedMethod }) => {
+  const classNames = String(deserializedMethod).match(/M\.style\.\w+/g) || [];
+  const type = classNames.length > 0 ? classNames.pop().replace('M.style.', '') : undefined;
+  const params = dropLegacyFunctions(isArray(parameters) ? parameters : []);
+  const toStyle = encoded => (isString(encoded) ? legacyToJSON(decodeStyle(encoded)) : undefined);
+  const toStyles = encodedStyles => (isArray(encodedStyles) ? encodedStyles.map(toStyle) : []);
+  const json = { version: 1, type };
+  if (type === 'Category') {
+    const categoryStyles = {};
+    Object.keys(params[1] || {}).forEach((category) => {
+      categoryStyles[category] = toStyle(params[1][category]);
+    });
+    Object.assign(json, {
+      attributeName: params[0],
+      categoryStyles,
+      options: params[2],
+      styles: toStyles(params[3]),
+    });
+  } else if (type === 'Choropleth') {
+    Object.assign(json, {
+      attributeName: params[0],
+      choroplethStyles: toStyles(params[1]),
+      quantification: isString(params[2]) ? { name: params[2] } : undefined,
+      options: params[3],
+      styles: toStyles(params[4]),
+    });
+  } else if (type === 'Proportional') {
+    Object.assign(json, {
+      attributeName: params[0],
+      minRadius: params[1],
+      maxRadius: params[2],
+      styles: toStyles(params[3]),
+      options: params[5],
+    });
+  } else if (type === 'Cluster') {
+    const options = params[0] || {};
+    if (isArray(options.ranges)) {
+      options.ranges = options.ranges.map(range => Object.assign({}, range, {
+        style: toStyle(range.style),
+      }));
+    }
+    Object.assign(json, {
+      options,
+      vendorOptions: params[1],
+      styles: toStyles(params[2]),
+    });
+  } else if (type === 'Heatmap') {
+    Object.assign(json, {
+      attribute: params[0],
+      options: params[1],
+      vendorOptions: params[2],
+    });
+  } else {
+    json.options = params[0];
+  }
+  return json;
+};
 
 /**
  * @classdesc
@@ -247,6 +357,53 @@ class Style extends Base {
     this.updateCanvasPromise_ = this.getImpl().updateCanvas(this.canvas_);
   }
 
+  /**
+   * Este método actualiza el "canvas" del estilo y devuelve
+   * su imagen en base64.
+   *
+   * @public
+   * @function
+   * @returns {Promise<String>} Imagen del estilo en base64.
+   * @api
+   */
+  getLegendImage() {
+    this.updateCanvas();
+    return Promise.resolve(this.toImage());
+  }
+
+  /**
+   * Este método devuelve los elementos de la leyenda del estilo. Cada elemento
+   * tiene la imagen del símbolo en base64 (image) y su etiqueta (label) y,
+   * opcionalmente, el rango de escalas (minScale y maxScale) y de zoom
+   * (minZoom y maxZoom) en el que se dibuja. Los estilos simples tienen un
+   * único elemento sin etiqueta; los estilos compuestos tienen un elemento
+   * por clase.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Elementos de la leyenda.
+   * @api
+   */
+  getLegendItems() {
+    return this.getLegendImage().then(image => [{ label: '', image }]);
+  }
+
+  /**
+   * Este método da formato a un valor de la leyenda añadiéndole
+   * las unidades de la opción "units" del estilo, si las tiene.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {*} value Valor.
+   * @returns {String} Valor con unidades.
+   * @api
+   */
+  formatLegendValue(value) {
+    const units = isNullOrEmpty(this.options_) ? null : this.options_.units;
+    return isNullOrEmpty(units) ? `${value}` : `${value} ${units}`;
+  }
+
   /**
    * Compara que esta clase sea igual a otro objeto.
    * @public
@@ -274,9 +431,25 @@ class Style extends Base {
     return new this.constructor(optsClone, implClone);
   }
 
+  /**
+   * Este método devuelve el tipo con el que está registrada la clase del estilo
+   * en el esquema JSON.
+   *
+   * @public
+   * @return {string} Tipo del estilo o undefined si no está registrado.
+   * @function
+   * @api
+   */
+  getSchemaType() {
+    return Object.keys(STYLE_TYPES).find(type => STYLE_TYPES[type] === this.constructor);
+  }
+
   /**
    * Este método implementa el mecanismo para
-   * generar el JSON de esta instancia.
+   * generar el JSON de esta instancia siguiendo el esquema
+   * de estilos (versión, tipo y opciones). Las funciones de las opciones
+   * se sustituyen por su expresión (ver M.style.expression.compile);
+   * las funciones JavaScript sin expresión no se serializan.
    *
    * @public
    * @return {object}
@@ -284,9 +457,31 @@ class Style extends Base {
    * @api
    */
   toJSON() {
-    const parameters = [stringifyFunctions(this.getOptions())];
-    const deserializedMethod = this.getDeserializedMethod_();
-    return { parameters, deserializedMethod };
+    const type = this.getSchemaType();
+    if (isUndefined(type)) {
+      Exception(getValue('exception').style_not_serializable);
+    }
+    return {
+      version: Style.SCHEMA_VERSION,
+      type,
+      options: serializeValue(this.getOptions()),
+    };
+  }
+
+  /**
+   * Este método devuelve el estilo como documento SLD 1.0.0
+   * (ver M.style.toSLD). Por defecto la capa (NamedLayer) toma
+   * el nombre de la capa a la que se aplica el estilo.
+   *
+   * @function
+   * @public
+   * @param {Object} options Opciones (layerName, styleName y geometryType).
+   * @return {String} Documento SLD.
+   * @api
+   */
+  toSLD(options = {}) {
+    const layerName = isNullOrEmpty(this.layer_) ? undefined : this.layer_.name;
+    return writeSLD(this, Object.assign({ layerName }, options));
   }
 
   /**
@@ -307,14 +502,82 @@ class Style extends Base {
    * @public
    * @param {string} serializedStyle Estilo serializado.
    * @return {M.Style}
+   * @api
    */
   static deserialize(encodedSerializedStyle) {
-    const serializedStyle = decodeURIComponent(escape(window.atob(encodedSerializedStyle.replace(' ', '+'))));
-    const { parameters, deserializedMethod } = JSON.parse(serializedStyle);
-    /* eslint-disable */
-    return (new Function("serializedParams", `return ${deserializedMethod}(serializedParams)`))(parameters);
-    /* eslint-enable */
+    let json;
+    try {
+      json = decodeStyle(encodedSerializedStyle);
+    } catch (err) {
+      Exception(getValue('exception').invalid_style_json);
+    }
+    return Style.fromJSON(json);
+  }
+
+  /**
+   * Este método de la clase crea un estilo a partir de su JSON.
+   * Valida la versión y el tipo del esquema y no evalúa código:
+   * los valores dependientes de atributos se expresan con expresiones
+   * (ver M.style.expression). También acepta el formato de serialización
+   * anterior, descartando las funciones que contenga.
+   *
+   * Las subclases sobrescriben este método para crear sus instancias
+   * a partir del JSON ya validado.
+   *
+   * @function
+   * @public
+   * @param {Object|string} jsonParam JSON del estilo.
+   * @return {M.Style} Estilo.
+   * @api
+   */
+  static fromJSON(jsonParam) {
+    let json = jsonParam;
+    if (isString(json)) {
+      try {
+        json = JSON.parse(json);
+      } catch (err) {
+        Exception(getValue('exception').invalid_style_json);
+      }
+    }
+    if (!isObject(json) || isArray(json)) {
+      Exception(getValue('exception').invalid_style_json);
+    }
+    if (isUndefined(json.version) && !isUndefined(json.deserializedMethod)) {
+      json = legacyToJSON(json);
+    }
+    if (json.version !== Style.SCHEMA_VERSION) {
+      Exception(`${getValue('exception').style_version}: ${json.version}`);
+    }
+    const StyleClass = STYLE_TYPES[json.type];
+    if (isUndefined(StyleClass) || StyleClass.fromJSON === Style.fromJSON) {
+      Exception(`${getValue('exception').style_type}: ${json.type}`);
+    }
+    return StyleClass.fromJSON(json);
+  }
+
+  /**
+   * Este método de la clase registra una clase de estilo con el tipo
+   * indicado en el esquema JSON.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {string} type Tipo del estilo.
+   * @param {Function} StyleClass Clase del estilo.
+   * @api
+   */
+  static registerType(type, StyleClass) {
+    STYLE_TYPES[type] = StyleClass;
   }
 }
 
+/**
+ * Versión del esquema JSON de los estilos.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Style.SCHEMA_VERSION = 1;
+
 export default Style;
@@ -4,7 +4,13 @@
 import 'assets/css/panel';
 import panelTemplate from 'templates/panel';
 import * as Position from './position';
-import { isNullOrEmpty, isArray, isString, includes } from '../util/Utils';
+import {
+  isNullOrEmpty,
+  isArray,
+  isString,
+  isFunction,
+  includes,
+} from '../util/Utils';
 import MObject from '../Object';
 import * as EventType from '../event/eventtype';
 import ControlBase from '../control/Control';
@@ -34,7 +40,8 @@ class Panel extends MObject {
    * - multiActivation: Si el panel puede estar activado o no.
    * - className: Clase CSS del panel.
    * - collapsedButtonClass: Clase CSS del botón del panel.
-   * - tooltip: Información sobre la herramienta.
+   * - tooltip: Información sobre la herramienta. Puede ser una función que
+   *   devuelva el texto en el idioma actual.
    * - order: Orden del panel respecto a los otros paneles y su posición.
    * @extends {M.Object}
    * @api
@@ -188,6 +195,8 @@ class Panel extends MObject {
     if (!isNullOrEmpty(options.order)) {
       this._order = options.order;
     }
+
+    this.on(EventType.CHANGE_LANG, this.translateView, this);
   }
 
   /**
@@ -237,9 +246,7 @@ class Panel extends MObject {
 
     this._tabAccessibility();
 
-    if (!isNullOrEmpty(this._tooltip)) {
-      this._element.setAttribute('title', this._tooltip);
-    }
+    this.setTooltip(this._tooltip);
     this._buttonPanel = html.querySelector('button.m-panel-btn');
     if (!isNullOrEmpty(this._className)) {
       this._className.split(/\s+/).forEach((className) => {
@@ -273,6 +280,41 @@ class Panel extends MObject {
     this.fire(EventType.ADDED_TO_MAP, html);
   }
 
+  /**
+   * Este método modifica la información sobre la herramienta del panel.
+   *
+   * @public
+   * @function
+   * @param {String|Function} tooltip Texto o función que lo devuelve
+   * en el idioma actual.
+   * @api
+   */
+  setTooltip(tooltip) {
+    this._tooltip = tooltip;
+    if (!isNullOrEmpty(this._element)) {
+      const title = isFunction(tooltip) ? tooltip() : tooltip;
+      if (!isNullOrEmpty(title)) {
+        this._element.setAttribute('title', title);
+      } else {
+        this._element.removeAttribute('title');
+      }
+    }
+  }
+
+  /**
+   * Este método actualiza la información sobre la herramienta del panel
+   * cuando el mapa cambia de idioma ("M.evt.CHANGE_LANG"), manteniendo
+   * su estado (abierto o colapsado) y sus controles.
+   *
+   * @public
+   * @function
+   * @param {String} lang Nuevo idioma.
+   * @api
+   */
+  translateView(lang) {
+    this.setTooltip(this._tooltip);
+  }
+
   /**
    * Este método proporciona tab al panel.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
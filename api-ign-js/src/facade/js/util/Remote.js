@@ -19,12 +19,18 @@
  * @api
  */
 
-import { addParameters, generateRandom, isNullOrEmpty, isObject } from './Utils';
+import {
+  addParameters,
+  generateRandom,
+  isFunction,
+  isNullOrEmpty,
+  isObject,
+} from './Utils';
 import { useproxy } from '../mapea';
 import Response from './Response';
 
 /**
- * Métodos HTTP POST y GET
+ * Métodos HTTP GET, POST, PUT, PATCH y DELETE
  * @const
  * @type {object}
  * @public
@@ -33,6 +39,23 @@ import Response from './Response';
 export const method = {
   GET: 'GET',
   POST: 'POST',
+  PUT: 'PUT',
+  PATCH: 'PATCH',
+  DELETE: 'DELETE',
+};
+
+/**
+ * Tipos de error con los que se rechazan las peticiones.
+ * @const
+ * @type {object}
+ * @public
+ * @api
+ */
+export const errorType = {
+  NETWORK: 'network',
+  HTTP: 'http',
+  TIMEOUT: 'timeout',
+  ABORT: 'abort',
 };
 
 /**
@@ -41,15 +64,19 @@ export const method = {
  * @function
  * @param {String} proxyUrl URL del proxy.
  * @param {String} jsonpHandlerName Nombre del identificador.
+ * @param {Function} onError Función que se ejecuta si el script no se puede cargar.
+ * @returns {HTMLScriptElement} Etiqueta "script" añadida al documento.
  * @api
  */
-const createScriptTag = (proxyUrl, jsonpHandlerName) => {
+const createScriptTag = (proxyUrl, jsonpHandlerName, onError) => {
   const scriptTag = document.createElement('script');
   scriptTag.type = 'text/javascript';
   scriptTag.id = jsonpHandlerName;
   scriptTag.src = proxyUrl;
   scriptTag.setAttribute('async', '');
+  scriptTag.onerror = onError;
   window.document.body.appendChild(scriptTag);
+  return scriptTag;
 };
 
 /**
@@ -61,7 +88,9 @@ const createScriptTag = (proxyUrl, jsonpHandlerName) => {
  */
 const removeScriptTag = (jsonpHandlerName) => {
   const scriptTag = document.getElementById(jsonpHandlerName);
-  scriptTag.parentNode.removeChild(scriptTag);
+  if (!isNullOrEmpty(scriptTag)) {
+    scriptTag.parentNode.removeChild(scriptTag);
+  }
 };
 
 /**
@@ -87,6 +116,39 @@ const manageProxy = (url, methodType) => {
   return proxyUrl;
 };
 
+/**
+ * Obtiene el tiempo máximo de espera de la petición, por defecto
+ * M.config.REMOTE_TIMEOUT.
+ *
+ * @function
+ * @param {Object} options Opciones de la petición.
+ * @returns {Number} Milisegundos de espera, 0 sin límite.
+ * @api
+ */
+const getTimeout = (options) => {
+  let timeout = options.timeout;
+  if (isNullOrEmpty(timeout)) {
+    timeout = M.config.REMOTE_TIMEOUT;
+  }
+  return (timeout > 0) ? timeout : 0;
+};
+
+/**
+ * Crea la respuesta con la que se rechaza una petición
+ * que no ha obtenido respuesta del servidor.
+ *
+ * @function
+ * @param {String} reason Tipo de error (M.remote.errorType).
+ * @returns {M.remote.Response} Respuesta con error.
+ * @api
+ */
+const createErrorResponse = (reason) => {
+  const response = new Response();
+  response.error = true;
+  response.reason = reason;
+  return response;
+};
+
 /**
  * Petición basada en JSONP.
  *
@@ -94,7 +156,9 @@ const manageProxy = (url, methodType) => {
  * @param {String} urlVar URL.
  * @param {String} data Parámetros.
  * @param {Object} options Opciones.
- * @returns {String} Devuelve la respuesta.
+ * - timeout: Milisegundos de espera de la respuesta.
+ * - signal: AbortSignal para cancelar la petición.
+ * @returns {Promise} Respuesta, se rechaza si la petición falla.
  * @api
  */
 const jsonp = (urlVar, data, options) => {
@@ -113,33 +177,67 @@ const jsonp = (urlVar, data, options) => {
     callback: jsonpHandlerName,
   });
 
-  const req = new Promise((success, fail) => {
-    const userCallback = success;
-    // get the promise of the script tag
-    const scriptTagPromise = new Promise((scriptTagSuccess) => {
-      window[jsonpHandlerName] = scriptTagSuccess;
-    });
-    /* when the script tag was executed remove
-     * the handler and execute the callback
-     */
-    scriptTagPromise.then((proxyResponse) => {
-      // remove the jsonp handler from global window
-      delete window[jsonpHandlerName];
+  return new Promise((success, fail) => {
+    const { signal } = options;
+    let scriptTag = null;
+    let timeoutId = null;
+    let finished = false;
 
-      // remove the script tag from the html
+    const cleanUp = () => {
+      delete window[jsonpHandlerName];
       removeScriptTag(jsonpHandlerName);
+    };
 
+    // removes the timeout, the script tag and its handler
+    const finish = (response) => {
+      if (finished === false) {
+        finished = true;
+        clearTimeout(timeoutId);
+        if (response.reason === errorType.TIMEOUT || response.reason === errorType.ABORT) {
+          // the script may still be executed, its handler is kept until it is loaded
+          window[jsonpHandlerName] = () => {};
+          scriptTag.onload = cleanUp;
+          scriptTag.onerror = cleanUp;
+        } else {
+          cleanUp();
+        }
+        if (response.error === true) {
+          fail(response);
+        } else {
+          success(response);
+        }
+      }
+    };
+
+    if (!isNullOrEmpty(signal) && signal.aborted === true) {
+      fail(createErrorResponse(errorType.ABORT));
+      return;
+    }
+
+    window[jsonpHandlerName] = (proxyResponse) => {
       const response = new Response();
       response.parseProxy(proxyResponse);
+      if (response.error === true) {
+        response.reason = (response.code > 0) ? errorType.HTTP : errorType.NETWORK;
+      }
+      finish(response);
+    };
 
-      userCallback(response);
+    // creates the script tag
+    scriptTag = createScriptTag(url, jsonpHandlerName, () => {
+      finish(createErrorResponse(errorType.NETWORK));
     });
-  });
 
-  // creates the script tag
-  createScriptTag(url, jsonpHandlerName);
-
-  return req;
+    const timeout = getTimeout(options);
+    if (timeout > 0) {
+      timeoutId = setTimeout(() => finish(createErrorResponse(errorType.TIMEOUT)), timeout);
+    }
+    if (!isNullOrEmpty(signal)) {
+      signal.addEventListener('abort', () => finish(createErrorResponse(errorType.ABORT)), {
+        once: true,
+      });
+    }
+  });
 };
 
 /**
@@ -150,10 +248,16 @@ const jsonp = (urlVar, data, options) => {
  * @param {String} dataVar Parámetros.
  * @param {Object} methodType Tipo de petición.
  * @param {Object} useProxy Verdadero para usar el proxy.
- * @returns {String} Devuelve la respuesta.
+ * @param {Object} options Opciones.
+ * - timeout: Milisegundos de espera de la respuesta.
+ * - signal: AbortSignal para cancelar la petición.
+ * - headers: Cabeceras de la petición.
+ * - credentials: Verdadero para enviar las credenciales (cookies, autorización).
+ * - responseType: Tipo de respuesta (text, json, arraybuffer, blob o document).
+ * @returns {Promise} Respuesta, se rechaza si la petición falla.
  * @api
  */
-const ajax = (urlVar, dataVar, methodType, useProxy) => {
+const ajax = (urlVar, dataVar, methodType, useProxy, options = {}) => {
   let url = urlVar;
   let data = dataVar;
   if ((useProxy !== false) && (useproxy === true)) {
@@ -166,65 +270,325 @@ const ajax = (urlVar, dataVar, methodType, useProxy) => {
   }
 
   return new Promise((success, fail) => {
+    const { signal } = options;
+    if (!isNullOrEmpty(signal) && signal.aborted === true) {
+      fail(createErrorResponse(errorType.ABORT));
+      return;
+    }
+
     let xhr;
     if (window.XMLHttpRequest) {
       xhr = new XMLHttpRequest();
     } else if (window.ActiveXObject) {
       xhr = new ActiveXObject('Microsoft.XMLHTTP');
     }
-    xhr.onreadystatechange = () => {
-      if (xhr.readyState === 4) {
+
+    let reason = null;
+    xhr.onerror = () => {
+      reason = errorType.NETWORK;
+    };
+    xhr.ontimeout = () => {
+      reason = errorType.TIMEOUT;
+    };
+    xhr.onabort = () => {
+      reason = errorType.ABORT;
+    };
+    // loadend is fired after error, timeout, abort and load
+    xhr.onloadend = () => {
+      if (!isNullOrEmpty(reason)) {
+        fail(createErrorResponse(reason));
+      } else {
         const response = new Response();
         response.parseXmlHttp(xhr);
-        success(response);
+        if (response.error === true) {
+          response.reason = errorType.HTTP;
+          fail(response);
+        } else {
+          success(response);
+        }
       }
     };
+
     xhr.open(methodType, url, true);
+    xhr.timeout = getTimeout(options);
+    if (!isNullOrEmpty(options.responseType)) {
+      xhr.responseType = options.responseType;
+    }
+    if (options.credentials === true || options.credentials === 'include') {
+      xhr.withCredentials = true;
+    }
+    Object.keys(options.headers || {}).forEach((name) => {
+      xhr.setRequestHeader(name, options.headers[name]);
+    });
+    if (!isNullOrEmpty(signal)) {
+      signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    }
     xhr.send(data);
   });
 };
 
 /**
- * Esta función obtiene un recurso lanza un
- * Método HTTP GET y comprueba si la solicitud
- * está basado en AJAX o JSONP.
+ * Tipos de petición que reciben los interceptores.
+ * @const
+ * @type {object}
+ * @public
+ * @api
+ */
+export const requestType = {
+  CAPABILITIES: 'capabilities',
+  IMAGE: 'image',
+  TILE: 'tile',
+  FEATURE: 'feature',
+  INFO: 'info',
+  TRANSACTION: 'transaction',
+  STYLE: 'style',
+};
+
+/**
+ * Obtiene los interceptores que se aplican a la petición, primero
+ * los globales (M.config.REQUEST_INTERCEPTORS) y después los de la capa.
+ *
+ * @function
+ * @param {Object} options Opciones de la petición.
+ * @returns {Array<Function>} Interceptores.
+ * @api
+ */
+const getInterceptors = (options) => {
+  let interceptors = options.interceptors || [];
+  if (isFunction(interceptors)) {
+    interceptors = [interceptors];
+  }
+  return [...(M.config.REQUEST_INTERCEPTORS || []), ...interceptors];
+};
+
+/**
+ * Añade un interceptor global que se ejecuta antes de cada petición
+ * de las capas (teselas, imágenes, capacidades y objetos geográficos)
+ * y de las peticiones de M.remote.
+ *
+ * El interceptor recibe la petición { url, headers, type, layer } y puede
+ * modificarla o devolver una nueva, también de forma asíncrona (Promise),
+ * por ejemplo para añadir un token o una clave a la URL o a las cabeceras.
+ * Las peticiones POST con cabeceras se envían a través del proxy, que
+ * las reenvía al servicio. Las peticiones GET con cabeceras no pueden usar
+ * JSONP y se hacen directamente al servicio con AJAX, por lo que este
+ * debe permitir CORS.
+ *
+ * @function
+ * @param {Function} interceptor Interceptor.
+ * @api
+ */
+export const addInterceptor = (interceptor) => {
+  if (isFunction(interceptor)) {
+    M.config('REQUEST_INTERCEPTORS', [...(M.config.REQUEST_INTERCEPTORS || []), interceptor]);
+  }
+};
+
+/**
+ * Elimina un interceptor global.
+ *
+ * @function
+ * @param {Function} interceptor Interceptor.
+ * @api
+ */
+export const removeInterceptor = (interceptor) => {
+  const interceptors = (M.config.REQUEST_INTERCEPTORS || []).filter(i => i !== interceptor);
+  M.config('REQUEST_INTERCEPTORS', interceptors);
+};
+
+/**
+ * Devuelve verdadero si hay interceptores que aplicar a la petición.
+ *
+ * @function
+ * @param {Object} options Opciones de la petición.
+ * - intercept: Falso si la petición ya ha sido interceptada.
+ * - interceptors: Interceptores de la capa.
+ * @returns {Boolean} Verdadero si hay interceptores.
+ * @api
+ */
+export const hasInterceptors = (options = {}) => {
+  return (options.intercept !== false) && (getInterceptors(options).length > 0);
+};
+
+/**
+ * Ejecuta en orden los interceptores globales y los de la capa
+ * sobre una petición.
+ *
+ * @function
+ * @param {String} url URL de la petición.
+ * @param {Object} options Opciones de la petición.
+ * - headers: Cabeceras de la petición.
+ * - interceptors: Interceptores de la capa.
+ * - requestType: Tipo de petición (M.remote.requestType).
+ * - layer: Capa que hace la petición.
+ * @returns {Promise} Petición resultante { url, headers, type, layer }.
+ * @api
+ */
+export const intercept = (url, options = {}) => {
+  const request = {
+    url,
+    headers: { ...options.headers },
+    type: options.requestType,
+    layer: options.layer,
+  };
+  return getInterceptors(options).reduce((promise, interceptor) => {
+    return promise.then(req => Promise.resolve(interceptor(req)).then(newReq => newReq || req));
+  }, Promise.resolve(request));
+};
+
+/**
+ * Esta función lanza la petición GET ya interceptada.
  *
  * @function
  * @param {string} url URL.
  * @param {string} data Parámetros.
  * @param {Object} options Opciones.
- * @returns {Promise}
+ * @returns {Promise} Respuesta.
  * @api
  */
-export const get = (url, data, options) => {
+const getRequest = (url, data, options) => {
   let req;
 
-  const useProxy = ((isNullOrEmpty(options) || (options.jsonp !== false)) &&
+  const onlyAjax = (Object.keys(options.headers || {}).length > 0) ||
+    (options.credentials === true || options.credentials === 'include') ||
+    (!isNullOrEmpty(options.responseType) && options.responseType !== 'text');
+  const useProxy = ((options.jsonp !== false) && (onlyAjax === false) &&
     useproxy !== false);
 
   if (useProxy === true) {
     req = jsonp(url, data, options);
   } else {
-    req = ajax(url, data, method.GET, false);
+    req = ajax(url, data, method.GET, false, options);
   }
 
   return req;
 };
 
+/**
+ * Esta función lanza la petición POST ya interceptada. El proxy de POST
+ * reenvía las cabeceras de la petición al servicio.
+ *
+ * @function
+ * @param {string} url URL.
+ * @param {Object} data Parámetros.
+ * @param {Object} options Opciones.
+ * @returns {Promise} Respuesta.
+ * @api
+ */
+const postRequest = (url, data, options) => {
+  return ajax(url, data, method.POST, true, options);
+};
+
+/**
+ * Esta función obtiene un recurso lanza un
+ * Método HTTP GET y comprueba si la solicitud
+ * está basado en AJAX o JSONP. Las peticiones con cabeceras, credenciales
+ * o un tipo de respuesta distinto de texto se hacen siempre con AJAX.
+ *
+ * La promesa se rechaza con una respuesta (M.remote.Response) cuyo
+ * atributo "reason" indica el tipo de error (M.remote.errorType):
+ * error de red, código HTTP de error, tiempo de espera agotado o cancelación.
+ *
+ * @function
+ * @param {string} url URL.
+ * @param {string} data Parámetros.
+ * @param {Object} options Opciones.
+ * - jsonp: Falso para no usar JSONP con el proxy.
+ * - timeout: Milisegundos de espera de la respuesta, por defecto
+ * M.config.REMOTE_TIMEOUT, 0 sin límite.
+ * - signal: AbortSignal para cancelar la petición.
+ * - headers: Cabeceras de la petición, por ejemplo { Authorization: 'Bearer ...' }.
+ * - credentials: Verdadero para enviar las credenciales (cookies, autorización).
+ * - responseType: Tipo de respuesta (text, json, arraybuffer, blob o document),
+ * el contenido se obtiene en el atributo "data" de la respuesta.
+ * - intercept: Falso para no aplicar los interceptores.
+ * - interceptors: Interceptores de la petición, además de los globales.
+ * - requestType: Tipo de petición que reciben los interceptores (M.remote.requestType).
+ * - layer: Capa que hace la petición, la reciben los interceptores.
+ * @returns {Promise} Respuesta.
+ * @api
+ */
+export const get = (url, data, optionsParam) => {
+  const options = optionsParam || {};
+  let req;
+  if (hasInterceptors(options)) {
+    req = intercept(url, options).then((request) => {
+      return getRequest(request.url, data, { ...options, headers: request.headers });
+    });
+  } else {
+    req = getRequest(url, data, options);
+  }
+  return req;
+};
+
 /**
  * Esta función obtiene un recurso lanznado una petición
  * HTTP POST usando AJAX.
  *
+ * La promesa se rechaza con una respuesta (M.remote.Response) cuyo
+ * atributo "reason" indica el tipo de error (M.remote.errorType).
+ *
  * @function
  * @param {string} url URL.
  * @param {Object} data Parámetros.
  * @param {Object} options Opciones.
+ * - timeout: Milisegundos de espera de la respuesta, por defecto
+ * M.config.REMOTE_TIMEOUT, 0 sin límite.
+ * - signal: AbortSignal para cancelar la petición.
+ * - headers: Cabeceras de la petición.
+ * - credentials: Verdadero para enviar las credenciales (cookies, autorización).
+ * - responseType: Tipo de respuesta (text, json, arraybuffer, blob o document).
+ * - intercept: Falso para no aplicar los interceptores.
+ * - interceptors: Interceptores de la petición, además de los globales.
+ * - requestType: Tipo de petición que reciben los interceptores (M.remote.requestType).
+ * - layer: Capa que hace la petición, la reciben los interceptores.
+ *
+ * @returns {Promise} Respuesta.
+ * @api
+ */
+export const post = (url, data, optionsParam) => {
+  const options = optionsParam || {};
+  let req;
+  if (hasInterceptors(options)) {
+    req = intercept(url, options).then((request) => {
+      return postRequest(request.url, data, { ...options, headers: request.headers });
+    });
+  } else {
+    req = postRequest(url, data, options);
+  }
+  return req;
+};
+
+/**
+ * Esta función lanza una petición HTTP con cualquier método
+ * (M.remote.method) usando AJAX, por ejemplo PUT, PATCH o DELETE para
+ * modificar recursos del servicio. Estas peticiones no se envían a través
+ * del proxy.
+ *
+ * La promesa se rechaza con una respuesta (M.remote.Response) cuyo
+ * atributo "reason" indica el tipo de error (M.remote.errorType) y cuyo
+ * atributo "code" tiene el código HTTP, por ejemplo 412 cuando no se cumple
+ * la cabecera "If-Match".
  *
+ * @function
+ * @param {string} methodType Método HTTP (M.remote.method).
+ * @param {string} url URL.
+ * @param {Object} data Contenido de la petición.
+ * @param {Object} options Opciones, las mismas que M.remote.post.
  * @returns {Promise} Respuesta.
  * @api
  */
-export const post = (url, data, options) => {
-  return ajax(url, data, method.POST);
+export const send = (methodType, url, data, optionsParam) => {
+  const options = optionsParam || {};
+  let req;
+  if (hasInterceptors(options)) {
+    req = intercept(url, options).then((request) => {
+      return ajax(request.url, data, methodType, false, { ...options, headers: request.headers });
+    });
+  } else {
+    req = ajax(url, data, methodType, false, options);
+  }
+  return req;
 };
 
 /**
@@ -10,6 +10,9 @@
  * @property {Object} headers Cabecera.
  * @property {boolean} error Respuesta error.
  * @property {Number} code Respuesta código.
+ * @property {*} data Contenido de la respuesta cuando se pide un tipo
+ * distinto de texto (json, arraybuffer, blob o document).
+ * @property {String} reason Tipo de error (M.remote.errorType).
  * @api
  */
 class Response {
@@ -50,6 +53,18 @@ class Response {
      * @api
      */
     this.code = 0;
+
+    /**
+     * @type {*}
+     * @api
+     */
+    this.data = null;
+
+    /**
+     * @type {String}
+     * @api
+     */
+    this.reason = null;
   }
 
   /**
@@ -61,10 +76,20 @@ class Response {
    * @api
    */
   parseXmlHttp(xmlHttpResponse) {
-    this.text = xmlHttpResponse.responseText;
-    this.xml = xmlHttpResponse.responseXML;
+    const responseType = xmlHttpResponse.responseType || '';
+    // responseText and responseXML are only available for some response types
+    if (responseType === '' || responseType === 'text') {
+      this.text = xmlHttpResponse.responseText;
+    }
+    if (responseType === '' || responseType === 'document') {
+      this.xml = xmlHttpResponse.responseXML;
+    }
+    if (responseType !== '' && responseType !== 'text') {
+      this.data = xmlHttpResponse.response;
+    }
     this.code = xmlHttpResponse.status;
-    this.error = (xmlHttpResponse.statusText !== 'OK');
+    // statusText is empty in HTTP/2 responses
+    this.error = (this.code < 200 || this.code >= 300);
 
     let headers = xmlHttpResponse.getAllResponseHeaders();
     headers = headers.split('\n');
@@ -89,7 +114,7 @@ class Response {
    */
   parseProxy(proxyResponse) {
     this.code = proxyResponse.code;
-    this.error = proxyResponse.error;
+    this.error = (proxyResponse.error === true) || (this.code < 200 || this.code >= 300);
 
     // adds content
     if ((this.code === 200) && (this.error !== true)) {
@@ -110,7 +135,7 @@ class Response {
     }
 
     // adds headers
-    Object.keys(proxyResponse.headers).forEach((head) => {
+    Object.keys(proxyResponse.headers || {}).forEach((head) => {
       this.headers[head] = proxyResponse.headers[head];
     });
   }
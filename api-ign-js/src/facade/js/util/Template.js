@@ -47,6 +47,62 @@ export const compileSync = (string, options) => {
   return template;
 };
 
+/**
+ * Atributos de los elementos que contienen textos traducibles.
+ * @const
+ * @type {Array<string>}
+ */
+const TEXT_ATTRIBUTES = ['title', 'aria-label', 'placeholder', 'alt'];
+
+/**
+ * Esta función copia los textos y atributos traducibles de un
+ * elemento en otro con la misma estructura. Los nodos que no coinciden,
+ * como el contenido añadido después de renderizar, no se modifican.
+ *
+ * @function
+ * @param {Node} target Nodo que se actualiza.
+ * @param {Node} source Nodo renderizado de nuevo.
+ */
+const copyTexts = (targetParam, source) => {
+  const target = targetParam;
+  // 3: TEXT_NODE, 1: ELEMENT_NODE
+  if (target.nodeType === 3 && source.nodeType === 3) {
+    if (target.nodeValue !== source.nodeValue) {
+      target.nodeValue = source.nodeValue;
+    }
+  } else if (target.nodeType === 1 && target.tagName === source.tagName) {
+    TEXT_ATTRIBUTES.filter(attr => source.hasAttribute(attr)).forEach((attr) => {
+      target.setAttribute(attr, source.getAttribute(attr));
+    });
+    const length = Math.min(target.childNodes.length, source.childNodes.length);
+    for (let i = 0; i < length; i += 1) {
+      copyTexts(target.childNodes[i], source.childNodes[i]);
+    }
+  }
+};
+
+/**
+ * Esta función actualiza los textos de una vista ya renderizada con los
+ * de la misma plantilla renderizada de nuevo, por ejemplo, al cambiar el
+ * idioma. El elemento no se reemplaza, por lo que mantiene sus eventos,
+ * clases y estado.
+ *
+ * @function
+ * @param {HTMLElement} element Vista renderizada.
+ * @param {HTMLElement|string} source Vista renderizada de nuevo o
+ * plantilla a compilar con las opciones indicadas.
+ * @param {Mx.parameters.TemplateOptions} options Opciones de la plantilla.
+ * @returns {HTMLElement} Vista actualizada.
+ * @api
+ */
+export const updateSync = (element, source, options) => {
+  if (!isNullOrEmpty(element) && !isNullOrEmpty(source)) {
+    const html = (typeof source === 'string') ? compileSync(source, options) : source;
+    copyTexts(element, html);
+  }
+  return element;
+};
+
 /**
  * Esta función obtiene la URL completa de una plantilla
  * por su nombre.
@@ -97,7 +153,7 @@ export const get = (templatePath, options) => {
         templateFn = insecureHandlebars.compile(response.text);
         templates[templatePath] = templateFn;
         success.call(scope, templateFn);
-      });
+      }).catch(fail);
     }
   }));
 };
@@ -1022,68 +1022,6 @@ export const getImageSize = (url) => {
   });
 };
 
-/**
- * Esta función remplaza funciones en cadenas de texto.
- * @function
- * @public
- * @param {object} objParam Objeto con cadenas de texto.
- * @return {obj} Devuelve las funciones.
- * @api
- */
-export const stringifyFunctions = (objParam) => {
-  let obj;
-  if (isArray(objParam)) {
-    obj = [...objParam];
-    obj = obj.map(stringifyFunctions);
-  } else if (isObject(objParam)) {
-    obj = extendsObj({}, objParam);
-    Object.keys(obj).forEach((key) => {
-      const val = obj[key];
-      if (isFunction(val)) {
-        obj[key] = `{{f}}${val.toString()}`;
-      } else if (isObject(val)) {
-        obj[key] = stringifyFunctions(val);
-      }
-    });
-  } else if (isFunction(objParam)) {
-    obj = `{{f}}${objParam.toString()}`;
-  } else {
-    obj = objParam;
-  }
-  return obj;
-};
-
-/**
- * Esta función crea funciones dentro de cadenas.
- * @function
- * @public
- * @param {String} objParam Cadena con la función.
- * @return {obj}
- * @api
- */
-export const defineFunctionFromString = (objParam) => {
-  let obj = objParam;
-  if (/^\{\{f\}\}/.test(objParam)) {
-    const functionStr = objParam.replace(/^\{\{f\}\}(.+)/, '$1');
-    /* eslint-disable */
-    obj = new Function('f', `return ${functionStr}`)();
-  } else {
-    Object.keys(obj).forEach((key) => {
-      const val = obj[key];
-      if (/^\{\{f\}\}/.test(val)) {
-        const functionStr = val.replace(/^\{\{f\}\}(.+)/, '$1');
-        /* eslint-disable */
-        obj[key] = new Function('f', `return ${functionStr}`)();
-        /* eslint-enable */
-      } else if (isObject(val)) {
-        defineFunctionFromString(val);
-      }
-    });
-  }
-  return obj;
-};
-
-
 /**
  * Esta función devuelve verdadero si algún valor de objeto es función o "{{*}}".
  * @function
@@ -1272,7 +1210,7 @@ export const generateColorScale = (colors, numberClasses) => {
  * @public
  * @param {String} url URL.
  * @param {Object} options Opciones.
- * @return {String} SVG base64.
+ * @return {Promise<String>} SVG base64, vacío si no se puede obtener el SVG.
  * @api
  */
 export const modifySVG = (url, options) => {
@@ -1327,7 +1265,7 @@ export const modifySVG = (url, options) => {
       /* eslint-disable no-empty */
     } catch (err) {}
     return result;
-  });
+  }).catch(() => '');
 };
 
 /**
@@ -1449,6 +1387,87 @@ export const returnPositionHtmlElement = (className, map) => {
   return map.getMapImpl().getCoordinateFromPixel(position);
 };
 
+/**
+ * Esta función suma una duración ISO 8601 (por ejemplo "P1M" o "PT6H")
+ * a una fecha.
+ *
+ * @function
+ * @param {Date} date Fecha.
+ * @param {Array<Number>} duration Años, meses, semanas, días, horas, minutos y segundos.
+ * @returns {Date} Nueva fecha.
+ */
+const addDuration = (date, duration) => {
+  const [years, months, weeks, days, hours, minutes, seconds] = duration;
+  const newDate = new Date(date.getTime());
+  newDate.setUTCFullYear(newDate.getUTCFullYear() + years);
+  newDate.setUTCMonth(newDate.getUTCMonth() + months);
+  newDate.setUTCDate(newDate.getUTCDate() + (weeks * 7) + days);
+  newDate.setUTCHours(newDate.getUTCHours() + hours);
+  newDate.setUTCMinutes(newDate.getUTCMinutes() + minutes);
+  newDate.setUTCMilliseconds(newDate.getUTCMilliseconds() + (seconds * 1000));
+  return newDate;
+};
+
+/**
+ * Número máximo de valores que se obtienen de un intervalo de una dimensión.
+ * @const
+ * @type {Number}
+ */
+const MAX_DIMENSION_VALUES = 1000;
+
+/**
+ * Esta función obtiene la lista de valores de una dimensión (TIME, ELEVATION...)
+ * de un servicio WMS o WMTS. Los valores pueden ser una lista separada por comas
+ * y cada elemento un valor o un intervalo "inicio/fin/periodo", con fechas ISO 8601
+ * y duraciones (por ejemplo "2000-01-01/2000-12-01/P1M") o con números
+ * (por ejemplo "0/100/10"). Los intervalos sin periodo se devuelven sin desglosar.
+ *
+ * @function
+ * @param {String|Array<String>} values Valores de la dimensión.
+ * @returns {Array<String>} Lista de valores.
+ * @api
+ */
+export const getDimensionValues = (values) => {
+  if (isNullOrEmpty(values)) {
+    return [];
+  }
+  const items = isArray(values) ? values : String(values).split(',');
+  const result = [];
+  items.map(item => String(item).trim()).filter(item => item !== '').forEach((item) => {
+    const [start, end, period] = item.split('/');
+    const duration = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(period || '');
+    const durationValues = duration === null ? [] :
+      duration.slice(1).map(value => Number(value || 0));
+    const step = Number(period);
+    if (durationValues.some(value => value > 0)) {
+      const endDate = new Date(end);
+      const format = (date) => {
+        let text = date.toISOString();
+        if (!start.includes('T')) {
+          text = text.substring(0, 10);
+        } else if (!start.includes('.')) {
+          text = text.replace('.000Z', 'Z');
+        }
+        return text;
+      };
+      let date = new Date(start);
+      while (date <= endDate && result.length < MAX_DIMENSION_VALUES) {
+        result.push(format(date));
+        date = addDuration(date, durationValues);
+      }
+    } else if (!isNullOrEmpty(period) && !Number.isNaN(step) && step > 0) {
+      const endValue = Number(end);
+      for (let value = Number(start); value <= endValue && result.length < MAX_DIMENSION_VALUES;
+        value += step) {
+        result.push(String(value));
+      }
+    } else {
+      result.push(item);
+    }
+  });
+  return result;
+};
+
 /**
  * Este comentario no se verá, es necesario incluir
  * una exportación por defecto para que el compilador
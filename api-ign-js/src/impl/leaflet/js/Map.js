@@ -0,0 +1,2167 @@
+/**
+ * @module M/impl/Map
+ */
+import * as L from 'leaflet';
+import MObject from 'M/Object';
+import FacadePanzoombar from 'M/control/Panzoombar';
+import * as LayerType from 'M/layer/Type';
+import 'impl-assets/css/leaflet';
+import 'impl-assets/css/custom';
+import Control from 'M/control/Control';
+import FacadeWMS from 'M/layer/WMS';
+import FacadeVector from 'M/layer/Vector';
+import * as EventType from 'M/event/eventtype';
+import LayerBase from 'M/layer/Layer';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import {
+  isNullOrEmpty,
+  isArray,
+  isString,
+  isObject,
+  includes,
+  getScaleFromResolution,
+} from 'M/util/Utils';
+import FormatGeoJSON from 'M/format/GeoJSON';
+import ImplUtils from './util/Utils';
+import { getProjection } from './projections';
+
+/**
+ * @classdesc
+ * Esta clase crea un mapa de Leaflet con un contenedor "div" específico.
+ * Leaflet siempre dibuja el mapa en EPSG:3857, por lo que la proyección del
+ * mapa se usa para transformar las coordenadas que recibe y devuelve la API.
+ *
+ * @property {M.Map} facadeMap_ Fachada del mapa a implementar.
+ * @property {Array<M.Layer>} layers_ Capas añadidas al mapa.
+ * @property {Array<M.Control>} controls_ Controles añadidos al mapa.
+ * @property {Array<Number>} userResolutions_ Resoluciones asociadas a cada nivel
+ * de zoom especificadas por el usuario.
+ * @property {Mx.Extent} userBbox_ Encuadre de visualización del mapa especificado por el usuario.
+ * @property {Mx.Extent} envolvedMaxExtent_ Extensión máxima envolvente calculada.
+ * @property {L.Map} map_ Implementación del mapa.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class Map extends MObject {
+  /**
+   * Constructor principal de la clase. Crea un mapa con un
+   * contenedor "div" específico.
+   *
+   * @constructor
+   * @param {Object} div Elemento "div" proporcionado por el usuario.
+   * @param {M.Map} facadeMap Fachada del mapa a implementar.
+   * @param {Mx.parameters.MapOptions} options Opciones del mapa.
+   * @api
+   */
+  constructor(div, facadeMap, options = {}) {
+    super();
+    /**
+     * Fachada del mapa a implementar.
+     * @private
+     * @type {M.Map}
+     */
+    this.facadeMap_ = facadeMap;
+
+    /**
+     * Capas añadidas al mapa.
+     * @private
+     * @type {Array<M.Layer>}
+     */
+    this.layers_ = [];
+
+    /**
+     * Controles añadidos al mapa.
+     * @private
+     * @type {Array<M.Control>}
+     */
+    this.controls_ = [];
+
+    /**
+     * Resoluciones asociadas a cada nivel de zoom especificadas por el usuario.
+     * @private
+     * @type {Array<Number>}
+     */
+    this.userResolutions_ = null;
+
+    /**
+     * Diferencia entre el nivel de zoom de Leaflet y el nivel de zoom
+     * de las resoluciones del usuario.
+     * @private
+     * @type {Number}
+     */
+    this.zoomOffset_ = 0;
+
+    /**
+     * Encuadre de visualización del mapa especificado por el usuario.
+     * @private
+     * @type {Mx.Extent}
+     */
+    this.userBbox_ = null;
+
+    /**
+     * Extensión máxima del mapa.
+     * @private
+     * @type {Array<Number>}
+     */
+    this.maxExtent_ = null;
+
+    /**
+     * Extensión máxima envolvente calculada.
+     * @private
+     * @type {Mx.Extent}
+     */
+    this.envolvedMaxExtent_ = null;
+
+    /**
+     * Proyección del mapa.
+     * @private
+     * @type {Object}
+     */
+    this.projection_ = getProjection('EPSG:3857');
+
+    /**
+     * Indica si el mapa tiene centro y zoom, es decir, si se ha dibujado.
+     * @private
+     * @type {Boolean}
+     */
+    this.loaded_ = false;
+
+    /**
+     * Almacena el zoom del mapa.
+     * @api
+     * @type {Number}
+     */
+    this.currentZoom = null;
+
+    /**
+     * Implementación del mapa.
+     * @private
+     * @type {L.Map}
+     */
+    this.map_ = L.map(div, Object.assign({
+      crs: L.CRS.EPSG3857,
+      zoomControl: false,
+      attributionControl: false,
+      minZoom: 0,
+      maxZoom: Map.MAX_ZOOM,
+    }, options.vendor));
+
+    /**
+     * Contenedor de los controles y paneles. Los eventos de sus
+     * elementos no se propagan al mapa.
+     * @private
+     * @type {HTMLElement}
+     */
+    this.overlayContainer_ = L.DomUtil.create('div', 'm-leaflet-overlaycontainer', this.map_.getContainer());
+    L.DomEvent.disableClickPropagation(this.overlayContainer_);
+    L.DomEvent.disableScrollPropagation(this.overlayContainer_);
+
+    this.registerEvents_();
+
+    this.facadeMap_.on(EventType.COMPLETED, () => {
+      this.map_.invalidateSize();
+    });
+  }
+
+  /**
+   * Este método obtiene las capas del mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.Layer>} Capas del mapa.
+   * @public
+   * @api
+   */
+  getLayers(filters) {
+    const kmlLayers = this.getKML(filters);
+    const wmsLayers = this.getWMS(filters);
+    const wmtsLayers = this.getWMTS(filters);
+    const xyzLayers = this.getXYZs(filters);
+    const tmsLayers = this.getTMS(filters);
+    const unknowLayers = this.getUnknowLayers_(filters);
+
+    return kmlLayers.concat(wmsLayers)
+      .concat(wmtsLayers)
+      .concat(xyzLayers)
+      .concat(tmsLayers)
+      .concat(unknowLayers);
+  }
+
+  /**
+   * Este método obtiene las capas base del mapa.
+   *
+   * @function
+   * @returns {Array<M.Layer>} Capas base del mapa.
+   * @public
+   * @api
+   */
+  getBaseLayers() {
+    return this.getLayers().filter((layer) => {
+      // the WMC contexts and GeoPackages are not drawn, their layers are
+      return (layer.transparent !== true) && (layer.type !== LayerType.WMC) &&
+        (layer.type !== LayerType.GeoPackage);
+    });
+  }
+
+  /**
+   * Este método añade las capas especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} layers Capas a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addLayers(layers) {
+    let layersRec = layers;
+
+    if (isNullOrEmpty(layersRec)) {
+      layersRec = [];
+    }
+
+    if (!isArray(layersRec)) {
+      layersRec = [layersRec];
+    }
+
+    if (layersRec.length === 0) {
+      return this;
+    }
+
+    layersRec.forEach((layer) => {
+      if (layer.type === LayerType.WMS) {
+        this.facadeMap_.addWMS(layer);
+      } else if (layer.type === LayerType.WMC) {
+        this.facadeMap_.addWMC(layer);
+      } else if (layer.type === LayerType.GeoPackage) {
+        this.facadeMap_.addGeoPackage(layer);
+      } else if (layer.type === LayerType.WMTS) {
+        this.facadeMap_.addWMTS(layer);
+      } else if (layer.type === LayerType.KML) {
+        this.facadeMap_.addKML(layer);
+      } else if (layer.type === LayerType.GPX) {
+        this.facadeMap_.addGPX(layer);
+      } else if (layer.type === LayerType.TopoJSON) {
+        this.facadeMap_.addTopoJSON(layer);
+      } else if (layer.type === LayerType.WFS) {
+        this.facadeMap_.addWFS(layer);
+      } else if (layer.type === LayerType.OGCAPIFeatures) {
+        this.facadeMap_.addOGCAPIFeatures(layer);
+      } else if (layer.type === LayerType.MVT) {
+        this.facadeMap_.addMVT(layer);
+      } else if (layer.type === 'MBTiles') {
+        this.facadeMap_.addMBTiles(layer);
+      } else if (layer.type === 'MBTilesVector') {
+        this.facadeMap_.addMBTilesVector(layer);
+      } else if (layer.type === LayerType.XYZ) {
+        this.facadeMap_.addXYZ(layer);
+      } else if (layer.type === LayerType.TMS) {
+        this.facadeMap_.addTMS(layer);
+      } else if (!LayerType.know(layer.type)) {
+        this.addUnknowLayers_([layer]);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas del mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} layers Capas a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeLayers(layers) {
+    // gets the layers with type defined and undefined
+    const unknowLayers = layers.filter((layer) => {
+      return !LayerType.know(layer.type);
+    });
+    const knowLayers = layers.filter((layer) => {
+      return LayerType.know(layer.type);
+    });
+
+    if (knowLayers.length > 0) {
+      this.removeKML(knowLayers);
+      this.removeWMS(knowLayers);
+      this.removeWMTS(knowLayers);
+      this.removeXYZ(knowLayers);
+      this.removeTMS(knowLayers);
+    }
+
+    if (unknowLayers.length > 0) {
+      this.removeUnknowLayers_(unknowLayers);
+    }
+
+    this.facadeMap_.fire(EventType.REMOVED_LAYER, [layers]);
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas KML añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.KML>} Capas KML del mapa.
+   * @public
+   * @api
+   */
+  getKML(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    // get all kmlLayers
+    const kmlLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.KML);
+    });
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = kmlLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredKMLLayers = kmlLayers.filter((kmlLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(kmlLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === kmlLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === kmlLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === kmlLayer.name));
+            }
+            // extract
+            if (!isNullOrEmpty(filterLayer.extract)) {
+              layerMatched = (layerMatched && (filterLayer.extract === kmlLayer.extract));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredKMLLayers);
+      }, this);
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas KML especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.KML>} layers Capas KML a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addKML(layers) {
+    const existsBaseLayer = this.getBaseLayers().length > 0;
+
+    layers.forEach((layer) => {
+      // checks if layer is WMC and was added to the map
+      if (layer.type === LayerType.KML) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          if (layer.getZIndex() == null) {
+            const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.KML];
+            layer.setZIndex(zIndex);
+          }
+          if (!existsBaseLayer) {
+            this.updateResolutionsFromBaseLayer();
+          }
+        }
+      }
+    }, this);
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas KML del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.KML>} layers Capas KML a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeKML(layers) {
+    const kmlMapLayers = this.getKML(layers);
+    kmlMapLayers.forEach((kmlLayer) => {
+      this.layers_ = this.layers_.filter(layer => !kmlLayer.equals(layer));
+      kmlLayer.getImpl().destroy();
+      kmlLayer.fire(EventType.REMOVED_FROM_MAP, [kmlLayer]);
+    }, this);
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas WMS añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<FacadeWMS>} Capas WMS del mapa.
+   * @public
+   * @api
+   */
+  getWMS(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    // get all wmsLayers
+    const wmsLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.WMS);
+    });
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = wmsLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredWMSLayers = wmsLayers.filter((wmsLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(wmsLayer)) {
+            // if instanceof FacadeWMS check if it is the same
+            if (filterLayer instanceof FacadeWMS) {
+              layerMatched = (filterLayer === wmsLayer);
+            } else {
+              // type
+              if (!isNullOrEmpty(filterLayer.type)) {
+                layerMatched = (layerMatched && (filterLayer.type === wmsLayer.type));
+              }
+              // URL
+              if (!isNullOrEmpty(filterLayer.url)) {
+                layerMatched = (layerMatched && (filterLayer.url === wmsLayer.url));
+              }
+              // name
+              if (!isNullOrEmpty(filterLayer.name)) {
+                layerMatched = (layerMatched && (filterLayer.name === wmsLayer.name));
+              }
+              // legend
+              if (!isNullOrEmpty(filterLayer.legend)) {
+                layerMatched = (layerMatched && (filterLayer.legend === wmsLayer.legend));
+              }
+              // transparent
+              if (!isNullOrEmpty(filterLayer.transparent)) {
+                layerMatched = (layerMatched && (filterLayer.transparent === wmsLayer.transparent));
+              }
+              // tiled
+              if (!isNullOrEmpty(filterLayer.tiled)) {
+                layerMatched = (layerMatched && (filterLayer.tiled === wmsLayer.tiled));
+              }
+              // cql
+              if (!isNullOrEmpty(filterLayer.cql)) {
+                layerMatched = (layerMatched && (filterLayer.cql === wmsLayer.cql));
+              }
+              // version
+              if (!isNullOrEmpty(filterLayer.version)) {
+                layerMatched = (layerMatched && (filterLayer.version === wmsLayer.version));
+              }
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredWMSLayers);
+      }, this);
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas WMS especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<FacadeWMS>} layers Capas WMS a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addWMS(layers) {
+    // cehcks if exists a base layer
+    const baseLayers = this.getBaseLayers();
+    let existsBaseLayer = (baseLayers.length > 0);
+
+    const addedLayers = [];
+    layers.forEach((layer) => {
+      // checks if layer is WMC and was added to the map
+      if (layer.type === LayerType.WMS) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          addedLayers.push(layer);
+
+          /* if the layer is a base layer then
+          sets its visibility */
+          if (layer.transparent !== true) {
+            layer.setVisible(!existsBaseLayer);
+            existsBaseLayer = true;
+            layer.setZIndex(Map.Z_INDEX_BASELAYER);
+          } else if (layer.getZIndex() == null) {
+            const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.WMS];
+            layer.setZIndex(zIndex);
+          }
+        }
+      }
+    });
+    // calculate resolutions if layers were added and there is not any base layer
+    // or if some base layer was added
+    const calculateResolutions = (addedLayers.length > 0 && !existsBaseLayer) ||
+      addedLayers.some(l => l.transparent !== true && l.isVisible());
+    if (calculateResolutions) {
+      this.updateResolutionsFromBaseLayer();
+    }
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas WMS del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<FacadeWMS>} layers Capas WMS a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeWMS(layers) {
+    const wmsMapLayers = this.getWMS(layers);
+    wmsMapLayers.forEach((wmsLayer) => {
+      wmsLayer.fire(EventType.REMOVED_FROM_MAP, [wmsLayer]);
+      this.layers_ = this.layers_.filter(layer => !wmsLayer.equals(layer));
+      wmsLayer.getImpl().destroy();
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas GeoJSON añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.GeoJSON>} Capas GeoJSON del mapa.
+   * @public
+   * @api
+   */
+  getGeoJSON(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    // get all geojsonLayers
+    const geojsonLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.GeoJSON);
+    });
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = geojsonLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredWFSLayers = geojsonLayers.filter((geojsonLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(geojsonLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === geojsonLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === geojsonLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === geojsonLayer.name));
+            }
+            // legend
+            if (!isNullOrEmpty(filterLayer.legend)) {
+              layerMatched = (layerMatched && (filterLayer.legend === geojsonLayer.legend));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredWFSLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método obtiene las capas WMTS añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.WMTS>} Capas WMTS del mapa.
+   * @public
+   * @api
+   */
+  getWMTS(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    // get all wmtsLayers
+    const wmtsLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.WMTS);
+    });
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = wmtsLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredWMTSLayers = wmtsLayers.filter((wmtsLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(wmtsLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === wmtsLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === wmtsLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === wmtsLayer.name));
+            }
+            // matrixSet
+            if (!isNullOrEmpty(filterLayer.matrixSet)) {
+              layerMatched = (layerMatched && (filterLayer.matrixSet === wmtsLayer.matrixSet));
+            }
+            // legend
+            if (!isNullOrEmpty(filterLayer.legend)) {
+              layerMatched = (layerMatched && (filterLayer.legend === wmtsLayer.legend));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredWMTSLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas WMTS especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.WMTS>} layers Capas WMTS a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addWMTS(layers) {
+    // cehcks if exists a base layer
+    const baseLayers = this.getBaseLayers();
+    let existsBaseLayer = (baseLayers.length > 0);
+
+    layers.forEach((layer) => {
+      // checks if layer is WMTS and was added to the map
+      if (layer.type === LayerType.WMTS) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          /* if the layer is a base layer then
+                 sets its visibility */
+          if (layer.transparent !== true) {
+            layer.setVisible(!existsBaseLayer);
+            existsBaseLayer = true;
+            if (layer.isVisible()) {
+              this.updateResolutionsFromBaseLayer();
+            }
+            layer.setZIndex(Map.Z_INDEX_BASELAYER);
+          } else {
+            if (layer.getZIndex() == null) {
+              const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.WMTS];
+              layer.setZIndex(zIndex);
+            }
+
+            // recalculates resolution if there are not
+            // any base layer
+            if (!existsBaseLayer) {
+              this.updateResolutionsFromBaseLayer();
+            }
+          }
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas WMTS del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.WMTS>} layers Capas WMTS a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeWMTS(layers) {
+    const wmtsMapLayers = this.getWMTS(layers);
+    wmtsMapLayers.forEach((wmtsLayer) => {
+      this.layers_ = this.layers_.filter(layer => !layer.equals(wmtsLayer));
+      wmtsLayer.getImpl().destroy();
+      wmtsLayer.fire(EventType.REMOVED_FROM_MAP, [wmtsLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas añadidas al mapa.
+   *- ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar en la búsqueda.
+   * @returns {Array<FacadeWMS>} Capas del mapa.
+   * @api
+   */
+  getUnknowLayers_(filters) {
+    let foundLayers = [];
+    let filtersVar = filters;
+
+    // get all wmsLayers
+    const unknowLayers = this.layers_.filter((layer) => {
+      return !LayerType.know(layer.type);
+    });
+
+    // parse to Array
+    if (isNullOrEmpty(filtersVar)) {
+      filtersVar = [];
+    }
+    if (!isArray(filtersVar)) {
+      filtersVar = [filtersVar];
+    }
+
+    if (filtersVar.length === 0) {
+      foundLayers = unknowLayers;
+    } else {
+      filtersVar.forEach((filterLayer) => {
+        const filteredUnknowLayers = unknowLayers.filter((unknowLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(unknowLayer)) {
+            // if instanceof FacadeWMS check if it is the same
+            if (filterLayer instanceof LayerBase) {
+              layerMatched = filterLayer.equals(unknowLayer);
+            } else {
+              // type
+              if (!isNullOrEmpty(filterLayer.type)) {
+                layerMatched = (layerMatched && (filterLayer.type === unknowLayer.type));
+              }
+              // name
+              if (!isNullOrEmpty(filterLayer.name)) {
+                layerMatched = (layerMatched && (filterLayer.name === unknowLayer.name));
+              }
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredUnknowLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas especificadas por el usuario.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Array<Object>} layers Capas a añadir.
+   * @returns {Map} Mapa.
+   * @api
+   */
+  addUnknowLayers_(layers) {
+    // cehcks if exists a base layer
+    let existsBaseLayer = this.getBaseLayers().length > 0;
+
+    // adds layers
+    layers.forEach((layer) => {
+      if (!includes(this.layers_, layer)) {
+        layer.getImpl().addTo(this.facadeMap_);
+        this.layers_.push(layer);
+
+        /* if the layer is a base layer then
+        sets its visibility */
+        if (layer.transparent !== true) {
+          layer.setVisible(!existsBaseLayer);
+          existsBaseLayer = true;
+          if (layer.isVisible()) {
+            this.updateResolutionsFromBaseLayer();
+          }
+          layer.setZIndex(Map.Z_INDEX_BASELAYER);
+        } else {
+          layer.setZIndex(layer.getZIndex());
+          if (layer.getZIndex() == null) {
+            const zIndex = this.layers_.length + Map.Z_INDEX[layer.type];
+            layer.setZIndex(zIndex);
+          }
+          // recalculates resolution if there are not
+          // any base layer
+          if (!existsBaseLayer) {
+            this.updateResolutionsFromBaseLayer();
+          }
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas del mapa especificadas por el usuario.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Array<Object>} layers Capas a eliminar.
+   * @returns {Map} Mapa.
+   * @api
+   */
+  removeUnknowLayers_(layers) {
+    // removes unknow layers
+    layers.forEach((layer) => {
+      if (includes(this.layers_, layer)) {
+        this.layers_ = this.layers_.filter(layer2 => !layer2.equals(layer));
+        layer.getImpl().destroy();
+        if (layer.transparent !== true) {
+          // it was base layer so sets the visibility of the first one
+          const baseLayers = this.facadeMap_.getBaseLayers();
+          if (baseLayers.length > 0) {
+            baseLayers[0].setVisible(true);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Este método obtiene las capas XYZ añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.XYZ>} Capas XYZ del mapa.
+   * @public
+   * @api
+   */
+  getXYZs(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+    const xyzLayers = this.layers_.filter(layer => layer.type === LayerType.XYZ);
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = xyzLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredXYZLayers = xyzLayers.filter((xyzLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(xyzLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === xyzLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === xyzLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === xyzLayer.name));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredXYZLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas XYZ especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.XYZ>} layers Capas XYZ a añadir.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  addXYZ(layers) {
+    layers.forEach((layer) => {
+      // checks if layer is XYZ and was added to the map
+      if (layer.type === LayerType.XYZ) {
+        if (!includes(this.layers_, layer) && layer.transparent === true) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.XYZ];
+          layer.setZIndex(zIndex);
+        } else {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          layer.setZIndex(0);
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas XYZ del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.XYZ>} layers Capas XYZ a eliminar.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  removeXYZ(layers) {
+    const xyzMapLayers = this.getXYZs(layers);
+    xyzMapLayers.forEach((xyzLayer) => {
+      xyzLayer.getImpl().destroy();
+      this.layers_ = this.layers_.filter(layer => !layer.equals(xyzLayer));
+      xyzLayer.fire(EventType.REMOVED_FROM_MAP, [xyzLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas TMS añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filters Filtros para aplicar en la búsqueda.
+   * @returns {Array<M.layer.TMS>} Capas TMS del mapa.
+   * @public
+   * @api
+   */
+  getTMS(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+    const tmsLayers = this.layers_.filter(layer => layer.type === LayerType.TMS);
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = tmsLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredTMSLayers = tmsLayers.filter((tmsLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(tmsLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === tmsLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === tmsLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === tmsLayer.name));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredTMSLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas TMS especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.TMS>} layers Capas TMS a añadir.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  addTMS(layers) {
+    layers.forEach((layer) => {
+      // checks if layer is TMS and was added to the map
+      if (layer.type === LayerType.TMS) {
+        if (!includes(this.layers_, layer) && layer.transparent === true) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.TMS];
+          layer.setZIndex(zIndex);
+        } else {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          layer.setZIndex(0);
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas TMS del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.TMS>} layers Capas TMS a eliminar.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  removeTMS(layers) {
+    const tmsMapLayers = this.getTMS(layers);
+    tmsMapLayers.forEach((tmsLayer) => {
+      tmsLayer.getImpl().destroy();
+      this.layers_ = this.layers_.filter(layer => !layer.equals(tmsLayer));
+      tmsLayer.fire(EventType.REMOVED_FROM_MAP, [tmsLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene los controles especificados por el usuario.
+   *
+   * @function
+   * @param {string|Array<String>} filters Filtros.
+   * @returns {Array<M.Control>} Controles.
+   * @public
+   * @api
+   */
+  getControls(filters) {
+    let filtersVar = filters;
+    let foundControls = [];
+
+    let panelControls = this.facadeMap_.getPanels().map(p => p.getControls());
+    if (panelControls.length > 0) {
+      panelControls = panelControls.reduce((acc, controls) => acc.concat(controls));
+    }
+    const controlsToSearch = this.controls_.concat(panelControls);
+    // parse to Array
+    if (isNullOrEmpty(filtersVar)) {
+      filtersVar = [];
+    }
+    if (!isArray(filtersVar)) {
+      filtersVar = [filtersVar];
+    }
+    if (filtersVar.length === 0) {
+      foundControls = controlsToSearch;
+    } else {
+      filtersVar.forEach((filterControl) => {
+        foundControls = foundControls.concat(controlsToSearch.filter((control) => {
+          let controlMatched = false;
+
+          if (!includes(foundControls, control)) {
+            if (isString(filterControl)) {
+              controlMatched = (filterControl === control.name);
+            } else if (filterControl instanceof Control) {
+              controlMatched = (filterControl === control);
+            } else if (isObject(filterControl)) {
+              controlMatched = (filterControl.name === control.name);
+            }
+          }
+          return controlMatched;
+        }));
+      });
+    }
+    const nonRepeatFoundControls = [];
+    foundControls.forEach((control) => {
+      const controlNames = nonRepeatFoundControls.map(c => c.name);
+      if (!controlNames.includes(control.name)) {
+        nonRepeatFoundControls.push(control);
+      }
+    });
+    return nonRepeatFoundControls;
+  }
+
+  /**
+   * Este método añade los controles del mapa especificados por el usuario.
+   *
+   * @function
+   * @param {M.Control} controls Controles a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addControls(controls) {
+    controls.forEach((control) => {
+      if (control instanceof FacadePanzoombar) {
+        this.facadeMap_.addControls(M.config.controls.default.split(','));
+      }
+      if (!includes(this.controls_, control)) {
+        this.controls_.push(control);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina los controles del mapa especificados por el usuario.
+   *
+   * @function
+   * @param {M.Control} controls Controles a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeControls(controls) {
+    const mapControls = this.getControls(controls);
+    mapControls.forEach((control) => {
+      control.destroy();
+      this.controls_ = this.controls_.filter((control2) => {
+        let equals = control2.constructor === control.constructor;
+        if (!isNullOrEmpty(control2.equals)) {
+          equals = !control2.equals(control);
+        }
+        return equals;
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Este método establece la extensión máxima para la
+   * instancia del mapa.
+   *
+   * @function
+   * @param {Mx.Extent} maxExtent Nueva extensión máxima.
+   * @param {Boolean} zoomToExtent Indica si se establece la extensión actual.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setMaxExtent(maxExtent, zoomToExtent) {
+    let extent = maxExtent;
+
+    if (!isNullOrEmpty(extent) && !isArray(extent) && isObject(extent)) {
+      extent = [maxExtent.x.min, maxExtent.y.min, maxExtent.x.max, maxExtent.y.max];
+    }
+
+    this.maxExtent_ = isNullOrEmpty(extent) ? null : extent;
+    this.map_.setMaxBounds(isNullOrEmpty(extent) ? null : this.extentToBounds(extent));
+    this.updateResolutionsFromBaseLayer();
+
+    if (!isNullOrEmpty(extent) && (zoomToExtent !== false)) {
+      this.setBbox(extent);
+    }
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene la extensión máxima para la
+   * instancia del mapa.
+   *
+   * @function
+   * @returns {Mx.Extent} Máxima extensión actual.
+   * @public
+   * @api
+   */
+  getMaxExtent() {
+    let extent;
+    if (!isNullOrEmpty(this.maxExtent_)) {
+      extent = {
+        x: {
+          min: this.maxExtent_[0],
+          max: this.maxExtent_[2],
+        },
+        y: {
+          min: this.maxExtent_[1],
+          max: this.maxExtent_[3],
+        },
+      };
+    } else {
+      extent = this.envolvedMaxExtent_;
+    }
+
+    return extent;
+  }
+
+  /**
+   * Este método establece el encuadre de visualización del mapa.
+   *
+   * @function
+   * @param {Mx.Extent} bbox Nuevo encuadre de visualización del mapa.
+   * @param {Object} vendorOpts Opciones para la biblioteca base.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setBbox(bbox, vendorOpts) {
+    // checks if the param is null or empty
+    if (isNullOrEmpty(bbox)) {
+      Exception(getValue('exception').no_bbox);
+    }
+
+    this.userBbox_ = bbox;
+
+    let extent;
+    if (isArray(bbox)) {
+      extent = bbox;
+    } else if (isObject(bbox)) {
+      extent = [bbox.x.min, bbox.y.min, bbox.x.max, bbox.y.max];
+    }
+    this.map_.fitBounds(this.extentToBounds(extent), Object.assign({
+      animate: false,
+    }, vendorOpts));
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene el encuadre de visualización del mapa.
+   *
+   * @function
+   * @returns {Mx.Extent} Encuadre de visualización del mapa.
+   * @public
+   * @api
+   */
+  getBbox() {
+    let bbox = null;
+    if (this.loaded_) {
+      const bounds = this.map_.getBounds();
+      const extent = ImplUtils.transformExtent([
+        bounds.getWest(),
+        bounds.getSouth(),
+        bounds.getEast(),
+        bounds.getNorth(),
+      ], 'EPSG:4326', this.projection_.code);
+      bbox = {
+        x: {
+          min: extent[0],
+          max: extent[2],
+        },
+        y: {
+          min: extent[1],
+          max: extent[3],
+        },
+      };
+    }
+    return bbox;
+  }
+
+  /**
+   * Este método establece el actual zoom de la
+   * instancia del mapa.
+   *
+   * @function
+   * @param {Number} zoom Nuevo zoom del mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setZoom(zoom) {
+    // checks if the param is null or empty
+    if (isNullOrEmpty(zoom)) {
+      Exception(getValue('exception').no_zoom);
+    }
+
+    const leafletZoom = zoom + this.zoomOffset_;
+    if (this.loaded_) {
+      this.map_.setZoom(leafletZoom, { animate: false });
+    } else {
+      // the map is not drawn until it has a center
+      this.map_.setView(this.toLatLng([0, 0]), leafletZoom, { animate: false });
+    }
+    return this;
+  }
+
+  /**
+   * Este método establece el mínimo zoom actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @param {Number} zoom Nuevo mínimo zoom del mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setMinZoom(zoom) {
+    if (isNullOrEmpty(zoom)) {
+      Exception(getValue('exception').no_zoom);
+    }
+
+    this.map_.setMinZoom(zoom + this.zoomOffset_);
+    return this;
+  }
+
+  /**
+   * Este método establece el máximo zoom actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @param {Number} zoom Nuevo máximo zoom del mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setMaxZoom(zoom) {
+    if (isNullOrEmpty(zoom)) {
+      Exception(getValue('exception').no_zoom);
+    }
+
+    this.map_.setMaxZoom(zoom + this.zoomOffset_);
+    return this;
+  }
+
+  /**
+   * Este método obtiene el zoom actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @returns {Number} Zoom del mapa.
+   * @public
+   * @api
+   */
+  getZoom() {
+    let zoom = null;
+    if (this.loaded_) {
+      zoom = this.map_.getZoom() - this.zoomOffset_;
+    }
+    return zoom;
+  }
+
+  /**
+   * Este método obtiene el mínimo zoom actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @returns {Number} Mínimo zoom del mapa.
+   * @public
+   * @api
+   */
+  getMinZoom() {
+    return this.map_.getMinZoom() - this.zoomOffset_;
+  }
+
+  /**
+   * Este método obtiene el máximo zoom actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @returns {Number} Máximo zoom del mapa.
+   * @public
+   * @api
+   */
+  getMaxZoom() {
+    return this.map_.getMaxZoom() - this.zoomOffset_;
+  }
+
+  /**
+   * Este método establece el centro actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @param {Object} center Nuevo centro del mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setCenter(center) {
+    // checks if the param is null or empty
+    if (isNullOrEmpty(center)) {
+      Exception(getValue('exception').no_center);
+    }
+
+    const zoom = this.loaded_ ? this.map_.getZoom() : this.zoomOffset_;
+    this.map_.setView(this.toLatLng([center.x, center.y]), zoom, { animate: false });
+    return this;
+  }
+
+  /**
+   * Este método obtiene el centro actual de la
+   * instancia del mapa.
+   *
+   * @function
+   * @returns {Object} Centro del mapa.
+   * @public
+   * @api
+   */
+  getCenter() {
+    let center = null;
+    if (this.loaded_) {
+      const coordinate = this.fromLatLng(this.map_.getCenter());
+      center = {
+        x: coordinate[0],
+        y: coordinate[1],
+      };
+    }
+    return center;
+  }
+
+  /**
+   * Este método obtiene las resoluciones actuales
+   * para la instancia del mapa. Si el usuario no las ha
+   * especificado, se calculan a partir de la resolución actual,
+   * ya que cada nivel de zoom de Leaflet duplica la escala.
+   *
+   * @function
+   * @returns {Array<Number>} Resoluciones del mapa.
+   * @public
+   * @api
+   */
+  getResolutions() {
+    let resolutions = this.userResolutions_;
+    if (isNullOrEmpty(resolutions)) {
+      const maxResolution = this.getMaxResolution_();
+      resolutions = [];
+      for (let zoom = 0; zoom <= this.map_.getMaxZoom(); zoom += 1) {
+        resolutions.push(maxResolution / (2 ** zoom));
+      }
+    }
+    return resolutions;
+  }
+
+  /**
+   * Este método establece las resoluciones actuales
+   * para la instancia del mapa. Leaflet no admite resoluciones
+   * arbitrarias, por lo que cada resolución se asocia al nivel
+   * de zoom de Leaflet más próximo a la primera de ellas.
+   *
+   * @function
+   * @param {Array<Number>} resolutions Resoluciones.
+   * @param {Boolean} optional Indica si las resoluciones no son del usuario.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setResolutions(resolutions, optional) {
+    // checks if the param is null or empty
+    if (isNullOrEmpty(resolutions)) {
+      Exception(getValue('exception').no_resolutions);
+    }
+
+    if (isNullOrEmpty(optional)) {
+      this.userResolutions_ = resolutions;
+    }
+
+    const zoom = this.getZoom();
+    this.zoomOffset_ = Math.max(0, Math.round(Math.log2(this.getMaxResolution_() /
+      resolutions[0])));
+    this.map_.setMinZoom(this.zoomOffset_);
+    this.map_.setMaxZoom(this.zoomOffset_ + (resolutions.length - 1));
+    if (!isNullOrEmpty(zoom)) {
+      this.setZoom(Math.min(zoom, resolutions.length - 1));
+    }
+
+    // sets the resolutions for each layer
+    const layers = this.getWMS();
+    layers.forEach((layer) => {
+      layer.getImpl().setResolutions(resolutions);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene la escala actual
+   * para la instancia del mapa.
+   *
+   * @function
+   * @returns {number} Escala actual.
+   * @public
+   * @api
+   */
+  getScale() {
+    const resolution = this.getResolution();
+    const units = this.getProjection().units;
+
+    let scale = getScaleFromResolution(resolution, units);
+
+    if (!isNullOrEmpty(scale)) {
+      if (scale >= 1000 && scale <= 950000) {
+        scale = Math.round(scale / 1000) * 1000;
+      } else if (scale >= 950000) {
+        scale = Math.round(scale / 1000000) * 1000000;
+      } else {
+        scale = Math.round(scale);
+      }
+    }
+
+    return scale;
+  }
+
+  /**
+   * Este método obtiene la escala actual exacta
+   * para la instancia del mapa.
+   *
+   * @function
+   * @returns {number} Escala actual.
+   * @public
+   * @api
+   */
+  getExactScale() {
+    const resolution = this.getResolution();
+    const units = this.getProjection().units;
+
+    const scale = getScaleFromResolution(resolution, units);
+
+    return Math.trunc(scale);
+  }
+
+  /**
+   * Este método obtiene la resolución actual del mapa en las
+   * unidades de su proyección, medida en el centro del mapa.
+   *
+   * @function
+   * @returns {number} Resolución actual.
+   * @public
+   * @api
+   */
+  getResolution() {
+    let resolution = null;
+    if (this.loaded_) {
+      const center = this.map_.getSize().divideBy(2);
+      const from = this.getCoordinateFromPixel([center.x - 50, center.y]);
+      const to = this.getCoordinateFromPixel([center.x + 50, center.y]);
+      resolution = Math.sqrt(((to[0] - from[0]) ** 2) + ((to[1] - from[1]) ** 2)) / 100;
+    }
+    return resolution;
+  }
+
+  /**
+   * Este método obtiene la resolución del nivel de zoom 0 de Leaflet
+   * en las unidades de la proyección del mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @returns {number} Resolución del nivel de zoom 0.
+   * @public
+   * @api
+   */
+  getMaxResolution_() {
+    let maxResolution = Map.MAX_RESOLUTION / this.projection_.metersPerUnit;
+    const resolution = this.getResolution();
+    if (!isNullOrEmpty(resolution)) {
+      maxResolution = resolution * (2 ** this.map_.getZoom());
+    }
+    return maxResolution;
+  }
+
+  /**
+   * Este método establece la proyección actual para la
+   * instancia del mapa. La vista de Leaflet no cambia, solo
+   * las coordenadas con las que trabaja la API.
+   *
+   * @function
+   * @param {Mx.Projection} projection Proyección.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  setProjection(projection) {
+    // checks if the param is null or empty
+    if (isNullOrEmpty(projection)) {
+      Exception(getValue('exception').no_projection);
+    }
+
+    const newProjection = getProjection(projection.code);
+    if (isNullOrEmpty(newProjection)) {
+      Exception(`${getValue('exception').no_projection}: ${projection.code}`);
+    }
+
+    // gets previous data
+    const prevProjection = this.projection_;
+    let prevMaxExtent = this.facadeMap_.getMaxExtent();
+
+    this.projection_ = newProjection;
+
+    // updates min, max resolutions of all WMS layers
+    this.facadeMap_.getWMS().forEach((layer) => {
+      layer.updateMinMaxResolution(projection);
+    });
+
+    // recalculates maxExtent
+    if (!isNullOrEmpty(prevMaxExtent)) {
+      if (!isArray(prevMaxExtent)) {
+        prevMaxExtent = [
+          prevMaxExtent.x.min, prevMaxExtent.y.min,
+          prevMaxExtent.x.max, prevMaxExtent.y.max,
+        ];
+      }
+      this.setMaxExtent(ImplUtils
+        .transformExtent(prevMaxExtent, prevProjection.code, newProjection.code), false);
+    }
+
+    // recalculates resolutions
+    this.updateResolutionsFromBaseLayer();
+
+    // reprojects popup
+    const popup = this.facadeMap_.getPopup();
+    if (!isNullOrEmpty(popup)) {
+      let coord = popup.getCoordinate();
+      if (!isNullOrEmpty(coord)) {
+        coord = ImplUtils.transform(coord, prevProjection.code, newProjection.code);
+        popup.setCoordinate(coord);
+      }
+    }
+
+    // reprojects label
+    const label = this.facadeMap_.getLabel();
+    if (!isNullOrEmpty(label)) {
+      let coord = label.getCoordinate();
+      if (!isNullOrEmpty(coord)) {
+        coord = ImplUtils.transform(coord, prevProjection.code, newProjection.code);
+        label.setCoordinate(coord);
+      }
+    }
+
+    this.fire(EventType.CHANGE);
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene la proyección actual de la instancia del mapa.
+   *
+   * @function
+   * @returns {Mx.Projection} Proyección actual de la instancia del mapa.
+   * @public
+   * @api
+   */
+  getProjection() {
+    const projection = this.projection_;
+    return {
+      code: projection.code,
+      units: projection.units,
+      getExtent: () => projection.extent,
+    };
+  }
+
+  /**
+   * Este método transforma una coordenada de la proyección del mapa
+   * a una coordenada geográfica de Leaflet.
+   *
+   * @function
+   * @param {Array<number>} coordinate Coordenada en la proyección del mapa.
+   * @returns {L.LatLng} Coordenada geográfica.
+   * @public
+   * @api
+   */
+  toLatLng(coordinate) {
+    const [lng, lat] = ImplUtils.transform(coordinate, this.projection_.code, 'EPSG:4326');
+    return L.latLng(lat, lng);
+  }
+
+  /**
+   * Este método transforma una coordenada geográfica de Leaflet
+   * a la proyección del mapa.
+   *
+   * @function
+   * @param {L.LatLng} latlng Coordenada geográfica.
+   * @returns {Array<number>} Coordenada en la proyección del mapa.
+   * @public
+   * @api
+   */
+  fromLatLng(latlng) {
+    return ImplUtils.transform([latlng.lng, latlng.lat], 'EPSG:4326', this.projection_.code);
+  }
+
+  /**
+   * Este método transforma una extensión de la proyección del mapa
+   * a los límites geográficos de Leaflet.
+   *
+   * @function
+   * @param {Array<number>} extent Extensión en la proyección del mapa.
+   * @returns {L.LatLngBounds} Límites geográficos.
+   * @public
+   * @api
+   */
+  extentToBounds(extent) {
+    const [minLng, minLat, maxLng, maxLat] = ImplUtils
+      .transformExtent(extent, this.projection_.code, 'EPSG:4326');
+    return L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+  }
+
+  /**
+   * Este método obtiene la coordenada de un píxel del mapa.
+   *
+   * @function
+   * @param {Array<number>} pixel Píxel.
+   * @returns {Array<number>} Coordenada en la proyección del mapa.
+   * @public
+   * @api
+   */
+  getCoordinateFromPixel(pixel) {
+    return this.fromLatLng(this.map_.containerPointToLatLng(L.point(pixel[0], pixel[1])));
+  }
+
+  /**
+   * Este método obtiene el píxel del mapa de una coordenada.
+   *
+   * @function
+   * @param {Array<number>} coordinate Coordenada en la proyección del mapa.
+   * @returns {Array<number>} Píxel.
+   * @public
+   * @api
+   */
+  getPixelFromCoordinate(coordinate) {
+    const point = this.map_.latLngToContainerPoint(this.toLatLng(coordinate));
+    return [point.x, point.y];
+  }
+
+  /**
+   * Este método obtiene la información de las capas en una coordenada.
+   * - WMS y WMTS: Consulta GetFeatureInfo, probando los formatos por orden.
+   * - Capas vectoriales: Objetos geográficos dibujados en el píxel.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} coordinate Coordenada.
+   * @param {Array<M.Layer>} layers Capas a consultar.
+   * @param {Object} options Opciones: tolerance, maxFeatures y formats.
+   * @returns {Promise<Array<Object>>} Resultados por capa.
+   * @api
+   */
+  identify(coordinate, layers, options) {
+    const { tolerance, maxFeatures } = options;
+    const pixel = this.getPixelFromCoordinate(coordinate);
+
+    return Promise.all(layers.map((layer) => {
+      const emptyResult = {
+        layer,
+        layerName: layer.legend || layer.name,
+        format: null,
+        features: [],
+        content: null,
+      };
+      let promise;
+      if (layer.type === LayerType.WMS || layer.type === LayerType.WMTS) {
+        promise = this.identifyInfo_(layer, coordinate, options, 0);
+      } else if (layer instanceof FacadeVector) {
+        promise = Promise.resolve(layer.getImpl().getFeaturesAtPixel(pixel, tolerance));
+      }
+
+      if (isNullOrEmpty(promise)) {
+        return null;
+      }
+      // failed queries are managed as results without information
+      return promise.then((info) => {
+        let result = info || emptyResult;
+        if (isArray(info)) {
+          result = Object.assign({}, emptyResult, { features: info.slice(0, maxFeatures) });
+        }
+        return result;
+      }).catch(() => emptyResult);
+    })).then(results => results.filter(result => !isNullOrEmpty(result)));
+  }
+
+  /**
+   * Este método consulta una capa WMS o WMTS con el formato indicado y,
+   * si la capa no lo admite, con el siguiente.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {M.layer.WMS|M.layer.WMTS} layer Capa.
+   * @param {Array<number>} coordinate Coordenada.
+   * @param {Object} options Opciones: tolerance, maxFeatures y formats.
+   * @param {number} formatIndex Posición del formato.
+   * @returns {Promise<Object>} Resultado de la capa.
+   * @api
+   */
+  identifyInfo_(layer, coordinate, options, formatIndex) {
+    const format = options.formats[formatIndex];
+    const url = (layer.type === LayerType.WMS) ?
+      layer.getImpl().getFeatureInfoUrl(coordinate, format, {
+        FEATURE_COUNT: options.maxFeatures,
+        BUFFER: options.tolerance,
+      }) :
+      layer.getFeatureInfoUrl(coordinate, this.facadeMap_.getZoom(), format);
+    if (isNullOrEmpty(url)) {
+      return Promise.resolve(null);
+    }
+    const requestOptions = layer.getImpl().getRequestOptions(requestType.INFO);
+    return getRemote(url, null, requestOptions).catch(response => response).then((response) => {
+      let result = {
+        layer,
+        layerName: layer.legend || layer.name,
+        format,
+        features: [],
+        content: null,
+      };
+      if (response.code === 200 && response.error === false) {
+        const info = response.text;
+        if (Map.UNSUPPORTED_FORMAT.test(info)) {
+          result = null;
+        } else if (format === 'application/json') {
+          result.features = new FormatGeoJSON().read(JSON.parse(info), this.getProjection());
+        } else if (!isNullOrEmpty(info.trim()) && !/WMS\s+server\s+error/i.test(info)) {
+          result.content = format === 'text/plain' ? `<pre>${info}</pre>` : info;
+        }
+      }
+      if (result === null && formatIndex < options.formats.length - 1) {
+        return this.identifyInfo_(layer, coordinate, options, formatIndex + 1);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Este método obtiene la implementación del mapa.
+   *
+   * @function
+   * @returns {L.Map} Implementación del mapa.
+   * @public
+   * @api
+   */
+  getMapImpl() {
+    return this.map_;
+  }
+
+  /**
+   * Este método elimina el "popup".
+   *
+   * @function
+   * @param {M.impl.Popup} popup "Popup" a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removePopup(popup) {
+    if (!isNullOrEmpty(popup)) {
+      popup.getImpl().remove();
+    }
+    return this;
+  }
+
+  /**
+   * Este método destruye el mapa, limpiando el HTML y
+   * anulando el registro de todos los eventos.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  destroy() {
+    this.layers_.length = 0;
+    this.controls_.length = 0;
+
+    this.map_.remove();
+    this.map_ = null;
+  }
+
+  /**
+   * Actualiza las resoluciones de este mapa calculadas
+   * a partir de las capas base.
+   *
+   * @function
+   * @returns {M.Map} Mapa
+   * @public
+   * @api
+   */
+  updateResolutionsFromBaseLayer() {
+    this.fire(EventType.COMPLETED);
+    this.refresh();
+  }
+
+  /**
+   * Este método añade un "popup" y elimina el anterior.
+   *
+   * @function
+   * @param {M.impl.Popup} label "Popup" a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addLabel(label) {
+    this.label = label;
+    label.show(this.facadeMap_);
+    return this;
+  }
+
+  /**
+   * Este método obtiene un "popup" con el texto indicado.
+   *
+   * @function
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  getLabel() {
+    return this.label;
+  }
+
+  /**
+   * Este método elimina un "popup" con el texto indicado.
+   *
+   * @function
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeLabel() {
+    if (!isNullOrEmpty(this.label)) {
+      const popup = this.label.getPopup();
+      this.removePopup(popup);
+      this.label = null;
+    }
+  }
+
+  /**
+   * Este método refresca el estado de esta instancia del mapa,
+   * es decir, todas sus capas.
+   *
+   * @function
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  refresh() {
+    this.map_.invalidateSize();
+    return this;
+  }
+
+  /**
+   * Este método proporciona el contenedor de los controles
+   * y paneles del mapa.
+   *
+   * @function
+   * @returns {HTMLElement} Contenedor.
+   * @public
+   * @api
+   */
+  getContainer() {
+    return this.overlayContainer_;
+  }
+
+  /**
+   * Este método establece la fachada del mapa a implementar.
+   *
+   * @function
+   * @param {M.Map} facadeMap Fachada del mapa a implementar.
+   * @public
+   * @api
+   */
+  setFacadeMap(facadeMap) {
+    this.facadeMap_ = facadeMap;
+  }
+
+  /**
+   * Este método registra los eventos del mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @api
+   */
+  registerEvents_() {
+    this.map_.on('load', () => {
+      this.loaded_ = true;
+    });
+    this.map_.on('moveend', this.zoomEvent_, this);
+    this.map_.on('click', this.onMapClick_, this);
+    this.map_.on('drag', this.onMapMove_, this);
+    this.map_.on('mousemove', this.onMapMoveMouse_, this);
+  }
+
+  /**
+   * Este método se ejecuta cuando el usuario realiza zoom.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @public
+   * @api
+   */
+  zoomEvent_() {
+    if (this.currentZoom !== this.getZoom()) {
+      this.facadeMap_.fire(EventType.CHANGE_ZOOM, this.facadeMap_);
+      this.currentZoom = this.getZoom();
+    }
+  }
+
+  /**
+   * Este método se ejecuta cuando el usuario hace click en el mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @param {L.LeafletMouseEvent} evt Evento.
+   * @public
+   * @api
+   */
+  onMapClick_(evt) {
+    const pixel = [evt.containerPoint.x, evt.containerPoint.y];
+    const coord = this.fromLatLng(evt.latlng);
+
+    // hides the label if it was added
+    const label = this.facadeMap_.getLabel();
+    if (!isNullOrEmpty(label)) {
+      label.hide();
+    }
+
+    this.facadeMap_.fire(EventType.CLICK, [{
+      pixel,
+      coord,
+      vendor: evt,
+    }]);
+  }
+
+  /**
+   * Este método se ejecuta cuando el usuario mueve el mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @param {Object} evt Evento.
+   * @public
+   * @api
+   */
+  onMapMove_(evt) {
+    let point = this.map_.getSize().divideBy(2);
+    if (!isNullOrEmpty(evt.originalEvent) && !isNullOrEmpty(evt.originalEvent.clientX)) {
+      point = this.map_.mouseEventToContainerPoint(evt.originalEvent);
+    }
+    const pixel = [point.x, point.y];
+    const coord = this.getCoordinateFromPixel(pixel);
+
+    this.facadeMap_.fire(EventType.MOVE, [{
+      pixel,
+      coord,
+      vendor: evt,
+    }]);
+  }
+
+  /**
+   * Este método se ejecuta cuando el usuario mueve el ratón.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @param {L.LeafletMouseEvent} evt Evento.
+   * @public
+   * @api
+   */
+  onMapMoveMouse_(evt) {
+    const pixel = [evt.containerPoint.x, evt.containerPoint.y];
+    const coord = this.fromLatLng(evt.latlng);
+
+    this.facadeMap_.fire(EventType.MOVE_MOUSE, [{
+      pixel,
+      coord,
+      vendor: evt,
+    }]);
+  }
+}
+
+/**
+ * Nivel de zoom máximo de Leaflet por defecto.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Map.MAX_ZOOM = 20;
+
+/**
+ * Resolución en metros del nivel de zoom 0 de Leaflet en el ecuador.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Map.MAX_RESOLUTION = 156543.03392804097;
+
+/**
+ * Expresión regular de las respuestas de error de los servidores
+ * cuando la capa no admite el formato de la consulta.
+ * @const
+ * @type {RegExp}
+ * @public
+ * @api
+ */
+Map.UNSUPPORTED_FORMAT = /error(.*)unsupported(.*)info_format|exception[\s\S]*(invalidformat|info_?format)/i;
+
+/**
+ * Z-INDEX para las capas.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+Map.Z_INDEX = {};
+Map.Z_INDEX_BASELAYER = 0;
+Map.Z_INDEX[LayerType.OSM] = 40;
+Map.Z_INDEX[LayerType.WMS] = 40;
+Map.Z_INDEX[LayerType.WMC] = 40;
+Map.Z_INDEX[LayerType.GeoPackage] = 40;
+Map.Z_INDEX[LayerType.GeoPackageTile] = 40;
+Map.Z_INDEX[LayerType.GeoTIFF] = 40;
+Map.Z_INDEX[LayerType.CSV] = 40;
+Map.Z_INDEX[LayerType.WMTS] = 40;
+Map.Z_INDEX[LayerType.KML] = 40;
+Map.Z_INDEX[LayerType.GPX] = 40;
+Map.Z_INDEX[LayerType.TopoJSON] = 40;
+Map.Z_INDEX[LayerType.WFS] = 40;
+Map.Z_INDEX[LayerType.MVT] = 40;
+Map.Z_INDEX[LayerType.Vector] = 40;
+Map.Z_INDEX[LayerType.GeoJSON] = 40;
+Map.Z_INDEX[LayerType.MBTiles] = 40;
+Map.Z_INDEX[LayerType.MBTilesVector] = 40;
+Map.Z_INDEX[LayerType.XYZ] = 40;
+Map.Z_INDEX[LayerType.TMS] = 40;
+Map.Z_INDEX[LayerType.OGCAPIFeatures] = 40;
+
+export default Map;
@@ -0,0 +1,319 @@
+/**
+ * @module M/impl/Popup
+ */
+import * as L from 'leaflet';
+import { enableTouchScroll, isFunction, isNullOrEmpty } from 'M/util/Utils';
+import FacadePopup from 'M/Popup';
+import FacadeWindow from 'M/util/Window';
+
+/**
+ * @classdesc
+ * Implementación de la clase "Popup". El "Popup" se dibuja en un panel
+ * propio del mapa de Leaflet y se recoloca al cambiar el zoom.
+ *
+ * @property {Boolean} panMapIfOutOfView Indica si el mapa se desplaza o no.
+ * @property {Object} ani_opts Opciones de animación.
+ * @property {M.Map} facadeMap_ Mapa.
+ *
+ * @api
+ */
+class Popup {
+  /**
+   * Constructor principal de la clase "Popup".
+   *
+   * @constructor
+   * @param {Object} options Opciones del "Popup".
+   * - panMapIfOutOfView: Indica si el mapa se desplaza o no.
+   * - ani_opts: Opciones de animación. Puede constar de la propiedad
+   * "duration", duración de la animación en milisegundos.
+   *
+   * @api
+   */
+  constructor(options = {}) {
+    /**
+     * Indica si el mapa se desplaza o no.
+     * @type {Boolean}
+     */
+    this.panMapIfOutOfView = options.panMapIfOutOfView;
+    if (this.panMapIfOutOfView === undefined) {
+      this.panMapIfOutOfView = false;
+    }
+
+    /**
+     * Opciones de animación.
+     * @type {Object}
+     */
+    this.ani_opts = options.ani_opts;
+    if (this.ani_opts === undefined) {
+      this.ani_opts = {
+        duration: 250,
+      };
+    }
+
+    /**
+     * Fachada del mapa a implementar.
+     * @private
+     * @type {M.Map}
+     */
+    this.facadeMap_ = null;
+
+    /**
+     * Elemento que posiciona el "Popup" en el mapa.
+     * @private
+     * @type {HTMLElement}
+     */
+    this.wrapper_ = L.DomUtil.create('div', 'm-leaflet-popup');
+    L.DomEvent.disableClickPropagation(this.wrapper_);
+    L.DomEvent.disableScrollPropagation(this.wrapper_);
+
+    /**
+     * Coordenada del "Popup".
+     * @private
+     * @type {Array<number>}
+     */
+    this.coord_ = null;
+  }
+
+  /**
+   * Este método añade el HTML del "Popup" al mapa.
+   *
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {String} html Cadena de HTML para mostrar dentro del "Popup".
+   * @public
+   * @api
+   */
+  addTo(map, html) {
+    this.facadeMap_ = map;
+    this.setContainer(html);
+
+    const lMap = map.getMapImpl();
+    let pane = lMap.getPane(Popup.PANE);
+    if (isNullOrEmpty(pane)) {
+      pane = lMap.createPane(Popup.PANE);
+      pane.style.zIndex = Popup.PANE_Z_INDEX;
+    }
+    pane.appendChild(this.wrapper_);
+    lMap.on('zoomend viewreset', this.updatePosition_, this);
+  }
+
+  /**
+   * Este método muestra el "Popup".
+   *
+   * @function
+   * @param {Array<number>} coord Coordenadas donde situar el "Popup".
+   * @param {function} callback Función 'callback' de llamada para ejecutar.
+   * @public
+   * @api
+   */
+  show(coord, callback) {
+    this.coord_ = coord;
+    this.updatePosition_();
+    if (this.panMapIfOutOfView) {
+      this.panIntoView(coord);
+    }
+    this.content.scrollTop = 0;
+    if (isFunction(callback)) {
+      callback();
+    }
+    return this;
+  }
+
+  /**
+   * Este método coloca el "Popup" en el píxel de su coordenada.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  updatePosition_() {
+    if (!isNullOrEmpty(this.coord_) && !isNullOrEmpty(this.facadeMap_)) {
+      const lMap = this.facadeMap_.getMapImpl();
+      const latlng = this.facadeMap_.getImpl().toLatLng(this.coord_);
+      L.DomUtil.setPosition(this.wrapper_, lMap.latLngToLayerPoint(latlng));
+    }
+  }
+
+  /**
+   * Este método centra el "Popup".
+   *
+   * @function
+   * @param {M.Popup.status} status Estado del "Popup".
+   * @param {Array<number>} coord Coordenadas donde situar el "Popup".
+   * @public
+   * @api
+   */
+  centerByStatus(status, coord) {
+    const resolution = this.facadeMap_.getImpl().getResolution();
+    const newCoord = [].concat(coord);
+    if (status === FacadePopup.status.COLLAPSED) {
+      newCoord[1] -= 0.1 * FacadeWindow.HEIGHT * resolution;
+    } else if (status === FacadePopup.status.DEFAULT) {
+      newCoord[1] -= 0.275 * FacadeWindow.HEIGHT * resolution;
+    } else { // FULL state no effects
+      return;
+    }
+
+    const featureCenter = this.facadeMap_.getFeatureCenter();
+    this.facadeMap_.setCenter({
+      x: newCoord[0],
+      y: newCoord[1],
+    });
+    // if the center was drawn then draw it again
+    if (!isNullOrEmpty(featureCenter)) {
+      this.facadeMap_.drawFeatures([featureCenter]);
+    }
+  }
+
+  /**
+   * Este método centra el mapa en la posición del "Popup".
+   *
+   * @function
+   * @public
+   * @api
+   */
+  moveMapToPopup() {
+    const lMap = this.facadeMap_.getMapImpl();
+    const element = this.wrapper_.querySelector('.m-popup') || this.wrapper_;
+    const bounding = element.getBoundingClientRect();
+    const mapBounding = lMap.getContainer().getBoundingClientRect();
+    const point = L.point(
+      (bounding.left - mapBounding.left) + (bounding.width / 2),
+      (bounding.top - mapBounding.top) + (bounding.height / 2),
+    );
+    lMap.panTo(lMap.containerPointToLatLng(point), { duration: 1 });
+  }
+
+  /**
+   * Este método obtiene el HTML del contenedor "m-body".
+   *
+   * @function
+   * @param {Object} html HTML.
+   * @returns {Object} Elemento HTML.
+   * @public
+   * @api
+   */
+  getContentFromContainer(html) {
+    return html.querySelector('div.m-body');
+  }
+
+  /**
+   * Este método mueve el mapa para que el "Popup" sea completamente
+   * visible en el actual 'viewport' (si es necesario).
+   *
+   * @function
+   * @param {Array<number>} coord Coordenadas del "Popup".
+   * @public
+   * @api
+   */
+  panIntoView(coord) {
+    const popupElement = this.wrapper_.querySelector('.m-popup');
+    if (!isNullOrEmpty(popupElement) && !isNullOrEmpty(coord)) {
+      const tabHeight = 30; // 30px for tabs
+      const tailHeight = 20;
+      const tailOffsetLeft = 60;
+      const popupWidth = popupElement.clientWidth + 20;
+      const popupHeight = popupElement.clientHeight + 20 + tabHeight;
+      const mapSize = this.facadeMap_.getMapImpl().getSize();
+      const popPx = this.facadeMap_.getImpl().getPixelFromCoordinate(coord);
+
+      const fromLeft = popPx[0] - tailOffsetLeft;
+      const fromRight = mapSize.x - (popPx[0] + (popupWidth - tailOffsetLeft));
+      const fromTop = popPx[1] - popupHeight;
+      const fromBottom = mapSize.y - (popPx[1] + tailHeight);
+
+      let offsetX = 0;
+      let offsetY = 0;
+      if (fromRight < 0) {
+        offsetX = -fromRight;
+      } else if (fromLeft < 0) {
+        offsetX = fromLeft;
+      }
+      if (fromTop < 0) {
+        offsetY = fromTop;
+      } else if (fromBottom < 0) {
+        offsetY = -fromBottom;
+      }
+
+      if (offsetX !== 0 || offsetY !== 0) {
+        this.facadeMap_.getMapImpl().panBy([offsetX, offsetY], {
+          duration: this.ani_opts.duration / 1000,
+        });
+      }
+    }
+  }
+
+  /**
+   * Este método elimina el "Popup" del mapa.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  hide() {
+    this.facadeMap_.removePopup();
+  }
+
+  /**
+   * Este método quita el elemento del "Popup" del mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  remove() {
+    if (!isNullOrEmpty(this.facadeMap_)) {
+      this.facadeMap_.getMapImpl().off('zoomend viewreset', this.updatePosition_, this);
+    }
+    L.DomUtil.remove(this.wrapper_);
+  }
+
+  /**
+   * Este método establece el texto del "Popup".
+   *
+   * @function
+   * @param {Object} html Nuevo contenido para el "Popup".
+   * @public
+   * @api
+   */
+  setContainer(html) {
+    this.wrapper_.innerHTML = '';
+    this.wrapper_.appendChild(html);
+    this.content = this.getContentFromContainer(html);
+    enableTouchScroll(this.content);
+  }
+
+  /**
+   * Este método obtiene el contenido del "Popup".
+   *
+   * @function
+   * @returns {String} Contenido del "Popup".
+   * @public
+   * @api
+   */
+  getContent() {
+    return this.content;
+  }
+}
+
+/**
+ * Nombre del panel de Leaflet de los "Popups".
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+Popup.PANE = 'mPopupPane';
+
+/**
+ * Índice z del panel de los "Popups", por encima de las capas.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Popup.PANE_Z_INDEX = 700;
+
+export default Popup;
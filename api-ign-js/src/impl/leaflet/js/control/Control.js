@@ -0,0 +1,81 @@
+/**
+ * @module M/impl/Control
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+
+/**
+ * @classdesc
+ * Implementación de la clase Control. Leaflet no necesita un control
+ * propio: el elemento HTML del control se añade al contenedor de
+ * controles del mapa, del que los paneles lo mueven a su área.
+ *
+ * @api
+ */
+class Control {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @api stable
+   */
+  constructor() {
+    /**
+     * Fachada del mapa.
+     * @private
+     * @type {M.Map}
+     */
+    this.facadeMap_ = null;
+
+    /**
+     * Elemento HTML del control.
+     * @public
+     * @type {HTMLElement}
+     */
+    this.element = null;
+  }
+
+  /**
+   * Este método añade el control al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {HTMLElement} element Plantilla del control.
+   * @api stable
+   */
+  addTo(map, element) {
+    this.facadeMap_ = map;
+    this.element = element;
+    if (!isNullOrEmpty(element)) {
+      map.getImpl().getContainer().appendChild(element);
+    }
+  }
+
+  /**
+   * Este método devuelve el elemento HTML del control.
+   *
+   * @public
+   * @function
+   * @returns {HTMLElement} Elemento del control.
+   * @api stable
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Este método destruye el control y elimina su elemento del mapa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    if (!isNullOrEmpty(this.element) && !isNullOrEmpty(this.element.parentNode)) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.facadeMap_ = null;
+  }
+}
+
+export default Control;
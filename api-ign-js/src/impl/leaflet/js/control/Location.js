@@ -0,0 +1,223 @@
+/**
+ * @module M/impl/control/Location
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty } from 'M/util/Utils';
+import Control from './Control';
+
+/**
+ * @classdesc
+ * Implementación del control de geolocalización. Usa la geolocalización
+ * de Leaflet y dibuja la posición y su precisión sobre el mapa.
+ *
+ * @api
+ * @extends {M.impl.Control}
+ */
+class Location extends Control {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Boolean} tracking Indica si se sigue la posición.
+   * @param {Boolean} highAccuracy Indica si se pide alta precisión.
+   * @param {Number} maximumAge Edad máxima de la posición en milisegundos.
+   * @param {Object} vendorOptions Opciones de "locate" de Leaflet.
+   * @api stable
+   */
+  constructor(tracking, highAccuracy, maximumAge, vendorOptions = {}) {
+    super();
+
+    /**
+     * Opciones de "locate" de Leaflet.
+     * @private
+     * @type {Object}
+     */
+    this.vendorOptions_ = vendorOptions;
+
+    /**
+     * Indica si se sigue la posición.
+     * @private
+     * @type {Boolean}
+     */
+    this.tracking_ = tracking;
+
+    /**
+     * Indica si se pide alta precisión.
+     * @private
+     * @type {Boolean}
+     */
+    this.highAccuracy_ = highAccuracy;
+
+    /**
+     * Edad máxima de la posición.
+     * @private
+     * @type {Number}
+     */
+    this.maximumAge_ = maximumAge;
+
+    /**
+     * Grupo con la posición y su precisión.
+     * @private
+     * @type {L.FeatureGroup}
+     */
+    this.positionLayer_ = null;
+  }
+
+  /**
+   * Este método activa la geolocalización.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  activate() {
+    this.element.classList.add('m-locating');
+    const lMap = this.facadeMap_.getMapImpl();
+    lMap.on('locationfound', this.onLocationFound_, this);
+    this.locate_();
+  }
+
+  /**
+   * Este método pide la posición a Leaflet.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  locate_() {
+    this.facadeMap_.getMapImpl().locate(Object.assign({
+      watch: this.tracking_,
+      setView: false,
+      enableHighAccuracy: this.highAccuracy_,
+      maximumAge: this.maximumAge_,
+    }, this.vendorOptions_));
+  }
+
+  /**
+   * Este método dibuja la posición encontrada y, la primera vez,
+   * centra el mapa en ella.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} evt Evento "locationfound" de Leaflet.
+   * @api stable
+   */
+  onLocationFound_(evt) {
+    const lMap = this.facadeMap_.getMapImpl();
+    if (!isNullOrEmpty(this.positionLayer_)) {
+      lMap.removeLayer(this.positionLayer_);
+    }
+    this.positionLayer_ = L.featureGroup([
+      L.circle(evt.latlng, Object.assign({ radius: evt.accuracy }, Location.ACCURACY_STYLE)),
+      L.circleMarker(evt.latlng, Location.POSITION_STYLE),
+    ]).addTo(lMap);
+
+    if (this.element.classList.contains('m-locating')) {
+      this.facadeMap_.setCenter(this.facadeMap_.getImpl().fromLatLng(evt.latlng));
+      this.facadeMap_.setZoom(Location.ZOOM);
+    }
+    this.element.classList.remove('m-locating');
+    this.element.classList.add('m-located');
+  }
+
+  /**
+   * Este método elimina la posición del mapa y detiene la geolocalización.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  removePositions_() {
+    const lMap = this.facadeMap_.getMapImpl();
+    lMap.stopLocate();
+    lMap.off('locationfound', this.onLocationFound_, this);
+    if (!isNullOrEmpty(this.positionLayer_)) {
+      lMap.removeLayer(this.positionLayer_);
+      this.positionLayer_ = null;
+    }
+  }
+
+  /**
+   * Este método desactiva la geolocalización.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  deactivate() {
+    this.removePositions_();
+    this.element.classList.remove('m-located');
+    this.element.classList.remove('m-locating');
+  }
+
+  /**
+   * Este método indica si se sigue la posición.
+   *
+   * @public
+   * @function
+   * @param {Boolean} tracking Verdadero para seguir la posición.
+   * @api stable
+   */
+  setTracking(tracking) {
+    this.tracking_ = tracking;
+    if (!isNullOrEmpty(this.positionLayer_)) {
+      this.facadeMap_.getMapImpl().stopLocate();
+      this.locate_();
+    }
+  }
+
+  /**
+   * Este método destruye el control.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.removePositions_();
+    super.destroy();
+  }
+}
+
+/**
+ * Estilo de la posición.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+Location.POSITION_STYLE = {
+  radius: 6,
+  fillColor: '#3399CC',
+  fillOpacity: 1,
+  color: '#fff',
+  weight: 2,
+};
+
+/**
+ * Estilo de la precisión de la posición.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+Location.ACCURACY_STYLE = {
+  fillColor: '#3399CC',
+  fillOpacity: 0.2,
+  color: '#3399CC',
+  weight: 1,
+};
+
+/**
+ * Zoom al que se centra el mapa en la primera posición.
+ * @const
+ * @type {Number}
+ * @public
+ * @api
+ */
+Location.ZOOM = 16;
+
+export default Location;
@@ -1,59 +1,94 @@
 /**
- * @namespace M.impl.control
+ * @module M/impl/control/Panzoom
  */
-export default class Panzoom {
+import * as L from 'leaflet';
+import Control from './Control';
+
+/**
+ * @classdesc
+ * Implementación del control de zoom. Crea los botones con las mismas
+ * clases CSS que el control de OpenLayers para que se les apliquen los
+ * estilos de la API.
+ *
+ * @api
+ * @extends {M.impl.Control}
+ */
+class Panzoom extends Control {
   /**
-   * @classdesc
-   * Main constructor of the class. Creates a WMC selector
-   * control
+   * Constructor principal de la clase.
    *
    * @constructor
-   * @extends {ol.control.Control}
+   * @param {Object} vendorOptions Opciones del control:
+   * - className: Nombre de la clase CSS.
+   * - zoomInLabel: Texto del botón de acercamiento.
+   * - zoomOutLabel: Texto del botón de alejamiento.
+   * - zoomInTipLabel: Sugerencia del botón de acercamiento.
+   * - zoomOutTipLabel: Sugerencia del botón de alejamiento.
+   * - delta: Delta de zoom aplicado en cada clic.
    * @api stable
    */
-  constructor() {
-    this.facadeMap_ = null;
-    this.leafletCtrl_ = L.control.zoom();
-  }
+  constructor(vendorOptions = {}) {
+    super();
 
-  /**
-   * This function adds the control to the specified map
-   *
-   * @public
-   * @function
-   * @param {M.Map} map to add the plugin
-   * @param {function} template template of this control
-   * @api stable
-   */
-  addTo(map, element) {
-    this.facadeMap_ = map;
-    map.getMapImpl().addControl(this.leafletCtrl_);
+    /**
+     * Opciones del control.
+     * @private
+     * @type {Object}
+     */
+    this.options_ = vendorOptions;
   }
 
   /**
-   * TODO
+   * Este método añade el control al mapa.
    *
    * @public
    * @function
+   * @param {M.Map} map Mapa.
+   * @param {HTMLElement} element Plantilla del control.
    * @api stable
-   * @export
    */
-  getElement() {
-    return this.leafletCtrl_.getContainer();
+  addTo(map, element) {
+    const {
+      className = 'ol-zoom',
+      delta = 1,
+      zoomInLabel = '+',
+      zoomOutLabel = '−',
+      zoomInTipLabel = 'Zoom in',
+      zoomOutTipLabel = 'Zoom out',
+    } = this.options_;
+    const container = L.DomUtil.create('div', `${className} ol-unselectable ol-control`);
+    const zoomIn = () => map.getMapImpl().zoomIn(delta);
+    const zoomOut = () => map.getMapImpl().zoomOut(delta);
+    this.createButton_(container, `${className}-in`, zoomInLabel, zoomInTipLabel, zoomIn);
+    this.createButton_(container, `${className}-out`, zoomOutLabel, zoomOutTipLabel, zoomOut);
+    super.addTo(map, container);
   }
 
   /**
-   * This function destroys this control, cleaning the HTML
-   * and unregistering all events
+   * Este método crea un botón del control.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
    *
    * @public
    * @function
+   * @param {HTMLElement} container Contenedor del botón.
+   * @param {String} className Clase CSS.
+   * @param {String} label Texto.
+   * @param {String} title Sugerencia.
+   * @param {Function} onClick Función del clic.
+   * @returns {HTMLElement} Botón.
    * @api stable
-   * @export
    */
-  destroy() {
-    this.facadeMap_.getMapImpl().removeControl(this.leafletCtrl_);
-    this.leafletCtrl_ = null;
-    this.facadeMap_ = null;
+  createButton_(container, className, label, title, onClick) {
+    const button = L.DomUtil.create('button', className, container);
+    button.type = 'button';
+    button.title = title;
+    button.innerHTML = label;
+    L.DomEvent.on(button, 'click', (evt) => {
+      L.DomEvent.preventDefault(evt);
+      onClick();
+    });
+    return button;
   }
 }
+
+export default Panzoom;
@@ -0,0 +1,114 @@
+/**
+ * @module M/impl/control/Scale
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+import Utils from '../util/Utils';
+import Control from './Control';
+
+/**
+ * Este método formatea un número con separadores de miles.
+ *
+ * @function
+ * @param {Number} num Número.
+ * @returns {String} Número formateado.
+ * @public
+ * @api
+ */
+export const formatLongNumber = (num) => {
+  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+};
+
+/**
+ * @classdesc
+ * Implementación del control de escala. La escala se actualiza
+ * al terminar cada movimiento del mapa.
+ *
+ * @api
+ * @extends {M.impl.Control}
+ */
+class Scale extends Control {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} options Opciones del control.
+   * - exactScale: Indica si se muestra la escala exacta.
+   * @api stable
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * Indica si se muestra la escala exacta.
+     * @public
+     * @type {Boolean}
+     */
+    this.exactScale = options.exactScale || false;
+
+    /**
+     * Contenedor del valor de la escala.
+     * @private
+     * @type {HTMLElement}
+     */
+    this.scaleContainer_ = null;
+  }
+
+  /**
+   * Este método añade el control al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {HTMLElement} element Plantilla del control.
+   * @api stable
+   */
+  addTo(map, element) {
+    this.scaleContainer_ = element.querySelector('#m-scale-span');
+    super.addTo(map, element);
+    map.getMapImpl().on('moveend', this.updateElement_, this);
+    this.updateElement_();
+  }
+
+  /**
+   * Este método actualiza la escala y el nivel de zoom del control.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateElement_() {
+    const map = this.facadeMap_;
+    if (isNullOrEmpty(map) || isNullOrEmpty(map.getZoom())) {
+      return;
+    }
+    let num;
+    if (map.getWMTS().length > 0 || this.exactScale === true) {
+      num = Utils.getWMTSScale(map, this.exactScale);
+    } else {
+      num = map.getScale();
+    }
+    if (!isNullOrEmpty(num)) {
+      this.scaleContainer_.innerHTML = formatLongNumber(num);
+    }
+    const elem = this.element.querySelector('#m-level-number');
+    if (elem !== null) {
+      elem.innerHTML = Math.round(map.getZoom());
+    }
+  }
+
+  /**
+   * Este método destruye el control.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.facadeMap_.getMapImpl().off('moveend', this.updateElement_, this);
+    super.destroy();
+    this.scaleContainer_ = null;
+  }
+}
+
+export default Scale;
@@ -0,0 +1,136 @@
+/**
+ * @module M/impl/control/ScaleLine
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty } from 'M/util/Utils';
+import Control from './Control';
+
+/**
+ * Primeros dígitos de las longitudes de la barra de escala.
+ * @const
+ * @type {Array<Number>}
+ */
+const LEADING_DIGITS = [1, 2, 5];
+
+/**
+ * @classdesc
+ * Implementación del control de barra de escala. Crea el elemento con
+ * las mismas clases CSS que el control de OpenLayers para que se le
+ * apliquen los estilos de la API.
+ *
+ * @api
+ * @extends {M.impl.Control}
+ */
+class ScaleLine extends Control {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} vendorOptions Opciones del control:
+   * - className: Nombre de la clase CSS, por defecto "ol-scale-line".
+   * - minWidth: Ancho mínimo de la barra en píxeles, por defecto 64.
+   * - units: Unidades, "metric" (por defecto) o "imperial".
+   * @api stable
+   */
+  constructor(vendorOptions = {}) {
+    super();
+
+    /**
+     * Opciones del control.
+     * @private
+     * @type {Object}
+     */
+    this.options_ = vendorOptions;
+
+    /**
+     * Elemento interior de la barra.
+     * @private
+     * @type {HTMLElement}
+     */
+    this.innerElement_ = null;
+  }
+
+  /**
+   * Este método añade el control al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {HTMLElement} element Plantilla del control.
+   * @api stable
+   */
+  addTo(map, element) {
+    const className = this.options_.className || 'ol-scale-line';
+    const container = L.DomUtil.create('div', `${className} ol-unselectable`);
+    this.innerElement_ = L.DomUtil.create('div', `${className}-inner`, container);
+    super.addTo(map, container);
+    map.getMapImpl().on('moveend', this.updateElement_, this);
+    this.updateElement_();
+  }
+
+  /**
+   * Este método actualiza la longitud y el texto de la barra de escala.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateElement_() {
+    const lMap = this.facadeMap_.getMapImpl();
+    const minWidth = this.options_.minWidth || 64;
+    const y = lMap.getSize().y / 2;
+    const meters = lMap.distance(
+      lMap.containerPointToLatLng([0, y]),
+      lMap.containerPointToLatLng([minWidth, y]),
+    );
+    if (isNullOrEmpty(meters) || meters === 0) {
+      return;
+    }
+
+    let pointResolution = meters / minWidth;
+    let suffix;
+    if (this.options_.units === 'imperial') {
+      const nominalCount = minWidth * pointResolution;
+      if (nominalCount < 1609.344) {
+        suffix = 'ft';
+        pointResolution /= 0.3048;
+      } else {
+        suffix = 'mi';
+        pointResolution /= 1609.344;
+      }
+    } else if (minWidth * pointResolution < 1000) {
+      suffix = 'm';
+    } else {
+      suffix = 'km';
+      pointResolution /= 1000;
+    }
+
+    let i = 3 * Math.floor(Math.log(minWidth * pointResolution) / Math.log(10));
+    let count = LEADING_DIGITS[((i % 3) + 3) % 3] * (10 ** (Math.floor(i / 3)));
+    let width = Math.round(count / pointResolution);
+    while (width < minWidth) {
+      i += 1;
+      count = LEADING_DIGITS[((i % 3) + 3) % 3] * (10 ** (Math.floor(i / 3)));
+      width = Math.round(count / pointResolution);
+    }
+
+    this.innerElement_.innerHTML = `${count} ${suffix}`;
+    this.innerElement_.style.width = `${width}px`;
+  }
+
+  /**
+   * Este método destruye el control.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.facadeMap_.getMapImpl().off('moveend', this.updateElement_, this);
+    super.destroy();
+    this.innerElement_ = null;
+  }
+}
+
+export default ScaleLine;
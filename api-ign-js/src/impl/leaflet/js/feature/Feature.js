@@ -0,0 +1,307 @@
+/**
+ * @module M/impl/Feature
+ */
+import FacadeFeature from 'M/feature/Feature';
+import { isNullOrEmpty, generateRandom, isFunction } from 'M/util/Utils';
+import ImplUtils from '../util/Utils';
+
+/**
+ * Nombres de los tipos de geometría GeoJSON indexados en minúsculas.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+const GEOMETRY_TYPES = [
+  'Point',
+  'MultiPoint',
+  'LineString',
+  'MultiLineString',
+  'Polygon',
+  'MultiPolygon',
+  'GeometryCollection',
+].reduce((types, type) => ({ ...types, [type.toLowerCase()]: type }), {});
+
+/**
+ * @classdesc
+ * Crea un objeto geográfico. La geometría se guarda como un objeto
+ * GeoJSON en la proyección del mapa.
+ */
+class Feature {
+  /**
+   * Contructor para generar un objeto geográfico de Leaflet.
+   * @constructor
+   * @implements {M.impl.Layer}
+   * @param {String} id Identificador del objeto geográfico.
+   * @param {Object} geojson GeoJSON con objetos geográficos.
+   * @param {Object} style Estilo de los objetos geográficos.
+   * @api stable
+   */
+  constructor(id, geojson, style) {
+    /**
+     * Objeto geográfico de la fachada.
+     * @private
+     * @type {M.Feature}
+     */
+    this.facadeFeature_ = null;
+
+    /**
+     * Geometría GeoJSON.
+     * @private
+     * @type {Object}
+     */
+    this.geometry_ = null;
+
+    /**
+     * Atributos.
+     * @private
+     * @type {Object}
+     */
+    this.properties_ = {};
+
+    /**
+     * Función de estilo de Leaflet del objeto geográfico.
+     * @private
+     * @type {Function}
+     */
+    this.styleFn_ = null;
+
+    /**
+     * Capa vectorial que dibuja el objeto geográfico.
+     * @private
+     * @type {M.impl.layer.Vector}
+     */
+    this.layer_ = null;
+
+    this.id_ = id;
+    if (!isNullOrEmpty(geojson)) {
+      if (!isNullOrEmpty(geojson.geometry)) {
+        this.setGeometry(geojson.geometry);
+      }
+      this.properties_ = { ...geojson.properties };
+      if (!isNullOrEmpty(geojson.click)) {
+        this.click = geojson.click;
+      }
+      if (isNullOrEmpty(this.id_)) {
+        this.id_ = geojson.id;
+      }
+    }
+    if (isNullOrEmpty(this.id_)) {
+      this.id_ = generateRandom('mapea_feature_');
+    }
+  }
+
+  /**
+   * Este método retorna los atributos de un objeto geográfico.
+   * @public
+   * @return {Object} Atributos.
+   * @function
+   * @api stable
+   */
+  getAttributes() {
+    return { ...this.properties_ };
+  }
+
+  /**
+   * Este método retorna el identificador del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @return {string} Identificador del objeto geográfico.
+   * @api stable
+   */
+  getId() {
+    return this.id_;
+  }
+
+  /**
+   * Este método modifica el identificador del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {string} id Identificador del objeto geográfico.
+   * @api stable
+   */
+  setId(id) {
+    this.id_ = id;
+  }
+
+  /**
+   * Este método sobrescribe los atributos del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {Object} attributes Nuevos atributos.
+   * @api stable
+   */
+  setAttributes(attributes) {
+    this.properties_ = { ...this.properties_, ...attributes };
+    this.changed_();
+  }
+
+  /**
+   * Este método retorna el valor del atributo.
+   *
+   * @public
+   * @function
+   * @param {string} attribute Nombre del atributo.
+   * @return  {string|number|object} Retorna el valor del atributo.
+   * @api stable
+   */
+  getAttribute(attribute) {
+    return this.properties_[attribute];
+  }
+
+  /**
+   * Este método sobrescribe el valor de un atributo del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {string} attribute Nombre del atributo.
+   * @param {string|number|object} value Valor del atributo.
+   * @api stable
+   */
+  setAttribute(attribute, value) {
+    this.properties_[attribute] = value;
+    this.changed_();
+  }
+
+  /**
+   * Este método retorna la geometría GeoJSON del objeto geográfico
+   * en la proyección del mapa.
+   *
+   * @public
+   * @function
+   * @return {Object} Geometría.
+   * @api stable
+   */
+  getGeometry() {
+    return this.geometry_;
+  }
+
+  /**
+   * Este método modifica la geometría del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {object} geometry Geometría del objeto geográfico.
+   * @api stable
+   */
+  setGeometry(geometry) {
+    if (isNullOrEmpty(geometry)) {
+      this.geometry_ = null;
+    } else {
+      const type = GEOMETRY_TYPES[geometry.type.toLowerCase()] || geometry.type;
+      this.geometry_ = type === 'GeometryCollection' ? {
+        type,
+        geometries: geometry.geometries,
+      } : {
+        type,
+        coordinates: geometry.coordinates,
+      };
+    }
+    this.changed_();
+  }
+
+  /**
+   * Este método establece el vector de la clase de la fachada.
+   *
+   * @function
+   * @param {object} obj Vector de la fachada.
+   * @api stable
+   */
+  setFacadeObj(obj) {
+    this.facadeFeature_ = obj;
+  }
+
+  /**
+   * Este método retorna el centroide del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @return {M.Feature} Centroide.
+   * @api stable
+   */
+  getCentroid() {
+    let centroid = null;
+    const center = ImplUtils.getCentroid(this.geometry_);
+    if (!isNullOrEmpty(center)) {
+      centroid = new FacadeFeature(null, {
+        geometry: {
+          type: 'Point',
+          coordinates: center,
+        },
+        properties: {
+          name: 'centroid',
+        },
+      });
+    }
+    return centroid;
+  }
+
+  /**
+   * Este método devuelve la función de estilo de Leaflet del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @return {Function} Función de estilo.
+   * @api stable
+   */
+  getStyleFn() {
+    return this.styleFn_;
+  }
+
+  /**
+   * Este método establece la función de estilo de Leaflet del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {Function} styleFn Función de estilo.
+   * @api stable
+   */
+  setStyleFn(styleFn) {
+    this.styleFn_ = isFunction(styleFn) ? styleFn : null;
+    this.changed_();
+  }
+
+  /**
+   * Este método elimina el estilo del objeto geográfico.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  clearStyle() {
+    this.setStyleFn(null);
+  }
+
+  /**
+   * Este método establece la capa que dibuja el objeto geográfico.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {M.impl.layer.Vector} layer Capa.
+   * @api stable
+   */
+  setLayer(layer) {
+    this.layer_ = layer;
+  }
+
+  /**
+   * Este método avisa a la capa de que el objeto geográfico ha cambiado
+   * para que lo vuelva a dibujar.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  changed_() {
+    if (!isNullOrEmpty(this.layer_) && !isNullOrEmpty(this.facadeFeature_)) {
+      this.layer_.drawFeature(this.facadeFeature_);
+    }
+  }
+}
+
+export default Feature;
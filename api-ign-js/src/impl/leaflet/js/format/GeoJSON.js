@@ -0,0 +1,122 @@
+/**
+ * @module M/impl/format/GeoJSON
+ */
+import { isNullOrEmpty, generateRandom } from 'M/util/Utils';
+import Feature from 'M/feature/Feature';
+import ImplUtils from '../util/Utils';
+
+/**
+ * @classdesc
+ * Implementación del formateador GeoJSON. Lee y escribe objetos
+ * geográficos GeoJSON transformando sus geometrías a la proyección del mapa.
+ *
+ * @api
+ */
+class GeoJSON {
+  /**
+   * Constructor principal de la clase. Crea un formateador GeoJSON.
+   *
+   * @constructor
+   * @param {Object} options Opciones del formateador.
+   * @api stable
+   */
+  constructor(options = {}) {
+    /**
+     * Opciones del formateador.
+     * @private
+     * @type {Object}
+     */
+    this.options_ = options;
+  }
+
+  /**
+   * Este método escribe los objetos geográficos como objetos GeoJSON.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @returns {Array<Object>} Objetos GeoJSON.
+   * @api stable
+   */
+  write(features) {
+    return features.map((feature) => {
+      const impl = feature.getImpl();
+      const object = {
+        type: 'Feature',
+        id: impl.getId(),
+        geometry: impl.getGeometry(),
+        properties: impl.getAttributes(),
+      };
+      if (isNullOrEmpty(object.properties)) {
+        object.properties = null;
+      }
+      if (!isNullOrEmpty(impl.click)) {
+        object.click = impl.click;
+      }
+      return object;
+    });
+  }
+
+  /**
+   * Este método lee los objetos geográficos de un GeoJSON.
+   *
+   * @public
+   * @function
+   * @param {Object} geojson GeoJSON completo, del que se lee su "crs".
+   * @param {Array<Object>} geojsonFeatures Objetos GeoJSON.
+   * @param {Mx.Projection} projection Proyección del mapa.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @api stable
+   */
+  read(geojson, geojsonFeatures, projection) {
+    const srcProj = GeoJSON.readProjectionFromObject(geojson);
+    const dstProj = projection.code;
+    return geojsonFeatures.map((geojsonFeature) => {
+      const id = isNullOrEmpty(geojsonFeature.id) ? generateRandom('geojson_') : geojsonFeature.id;
+      const feature = new Feature(id, {
+        ...geojsonFeature,
+        geometry: null,
+      });
+      if (!isNullOrEmpty(geojsonFeature.geometry)) {
+        feature.getImpl().setGeometry(ImplUtils
+          .transformGeometry(geojsonFeature.geometry, srcProj, dstProj));
+      }
+      return feature;
+    });
+  }
+
+  /**
+   * Este método devuelve el código de la proyección de un GeoJSON
+   * a partir de su propiedad "crs", EPSG:4326 por defecto.
+   *
+   * @public
+   * @function
+   * @param {Object} object GeoJSON.
+   * @returns {String} Código de la proyección.
+   * @api stable
+   */
+  static readProjectionFromObject(object) {
+    let projection = 'EPSG:4326';
+    const crs = object.crs;
+    if (crs) {
+      if (crs.type === 'name') {
+        const { name } = crs.properties;
+        const epsg = /EPSG:+(\d+)$/i.exec(name);
+        if (!isNullOrEmpty(epsg)) {
+          projection = `EPSG:${epsg[1]}`;
+        } else if (!/CRS:?84$/i.test(name)) {
+          projection = name;
+        }
+      } else if (crs.type === 'EPSG') {
+        // 'EPSG' is not part of the GeoJSON specification, but is generated by
+        // GeoServer.
+        projection = `EPSG:${crs.properties.code}`;
+      } else {
+        throw new Error(`Unknown crs.type: ${crs.type}`);
+      }
+    }
+    return projection;
+  }
+}
+
+export default GeoJSON;
@@ -0,0 +1,286 @@
+/**
+ * @module M/impl/format/KML
+ */
+import { isNullOrEmpty, generateRandom } from 'M/util/Utils';
+import FacadeFeature from 'M/feature/Feature';
+import ImplUtils from '../util/Utils';
+
+/**
+ * Este método devuelve los hijos directos de un nodo con un nombre.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre de los hijos.
+ * @returns {Array<Node>} Hijos.
+ * @public
+ * @api
+ */
+const getChildren = (node, name) => {
+  return Array.prototype.filter.call(node.children, child => child.localName === name);
+};
+
+/**
+ * Este método devuelve el texto del primer descendiente de un nodo con un nombre.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre del descendiente.
+ * @returns {String|undefined} Texto.
+ * @public
+ * @api
+ */
+const getText = (node, name) => {
+  const [element] = node.getElementsByTagName(name);
+  return element === undefined ? undefined : element.textContent.trim();
+};
+
+/**
+ * Este método lee un color KML (aabbggrr) como color CSS y opacidad.
+ *
+ * @function
+ * @param {String} kmlColor Color KML.
+ * @returns {Array} Color y opacidad.
+ * @public
+ * @api
+ */
+const readColor = (kmlColor) => {
+  const hex = kmlColor.replace(/^#/, '').padStart(8, 'f');
+  const [a, b, g, r] = [0, 2, 4, 6].map(i => hex.substr(i, 2));
+  return [`#${r}${g}${b}`, parseInt(a, 16) / 255];
+};
+
+/**
+ * Este método lee las coordenadas KML (lon,lat[,alt] separadas por espacios).
+ *
+ * @function
+ * @param {Node} node Nodo que contiene el elemento "coordinates".
+ * @returns {Array<Array<Number>>} Coordenadas.
+ * @public
+ * @api
+ */
+const readCoordinates = (node) => {
+  return (getText(node, 'coordinates') || '').split(/\s+/).filter(c => c.length > 0)
+    .map(c => c.split(',').slice(0, 2).map(Number));
+};
+
+/**
+ * Este método lee una geometría KML como geometría GeoJSON en EPSG:4326.
+ *
+ * @function
+ * @param {Node} node Nodo de la geometría.
+ * @returns {Object|null} Geometría GeoJSON.
+ * @public
+ * @api
+ */
+const readGeometry = (node) => {
+  let geometry = null;
+  switch (node.localName) {
+    case 'Point':
+      geometry = { type: 'Point', coordinates: readCoordinates(node)[0] };
+      break;
+    case 'LineString':
+    case 'LinearRing':
+      geometry = { type: 'LineString', coordinates: readCoordinates(node) };
+      break;
+    case 'Polygon':
+      geometry = {
+        type: 'Polygon',
+        coordinates: [
+          ...getChildren(node, 'outerBoundaryIs'),
+          ...getChildren(node, 'innerBoundaryIs'),
+        ].map(readCoordinates),
+      };
+      break;
+    case 'MultiGeometry':
+      geometry = {
+        type: 'GeometryCollection',
+        geometries: Array.prototype.map.call(node.children, readGeometry)
+          .filter(geom => geom !== null),
+      };
+      break;
+    default:
+      geometry = null;
+  }
+  return geometry;
+};
+
+/**
+ * @classdesc
+ * Implementación del formateador KML. Lee los "Placemark" de un KML con
+ * sus atributos y su estilo como opciones de dibujo de Leaflet.
+ *
+ * @api
+ */
+class KML {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} optOptions Opciones del formateador.
+   * - label: Falso para no mostrar los nombres de los objetos geográficos.
+   * @api stable
+   */
+  constructor(optOptions = {}) {
+    /**
+     * Indica si se muestran los nombres de los objetos geográficos.
+     * @private
+     * @type {Boolean}
+     */
+    this.label_ = optOptions.label !== false;
+  }
+
+  /**
+   * Este método lee los objetos geográficos de un KML.
+   *
+   * @public
+   * @function
+   * @param {String} textResponse Texto del KML.
+   * @param {Object} options Opciones de lectura.
+   * - featureProjection: Código de la proyección del mapa.
+   * - scaleLabel: Escala de las etiquetas.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @api stable
+   */
+  readCustomFeatures(textResponse, options = {}) {
+    const xmlDoc = new DOMParser().parseFromString(textResponse, 'text/xml');
+    const styles = this.readStyles_(xmlDoc);
+    const placemarks = Array.from(xmlDoc.getElementsByTagName('Placemark'));
+    return placemarks.map((placemark) => {
+      const geometryNode = Array.prototype.find.call(
+        placemark.children,
+        child => readGeometry(child) !== null,
+      );
+      const properties = {
+        name: getText(placemark, 'name'),
+        description: getText(placemark, 'description'),
+      };
+      Array.from(placemark.getElementsByTagName('Data')).forEach((data) => {
+        properties[data.getAttribute('name')] = getText(data, 'value');
+      });
+      Array.from(placemark.getElementsByTagName('SimpleData')).forEach((data) => {
+        properties[data.getAttribute('name')] = data.textContent.trim();
+      });
+      const geometry = isNullOrEmpty(geometryNode) ? null : ImplUtils
+        .transformGeometry(readGeometry(geometryNode), 'EPSG:4326', options.featureProjection);
+      const feature = new FacadeFeature(placemark.getAttribute('id') || generateRandom('kml_'), {
+        geometry,
+        properties,
+      });
+      const [inlineStyle] = getChildren(placemark, 'Style');
+      const styleUrl = (getText(placemark, 'styleUrl') || '').replace(/^.*#/, '');
+      const style = isNullOrEmpty(inlineStyle) ? styles[styleUrl] : this.readStyle_(inlineStyle);
+      feature.getImpl().setStyleFn(() => this.toLeafletOptions_(style, properties.name, options));
+      return feature;
+    });
+  }
+
+  /**
+   * Este método lee los estilos y mapas de estilos del documento.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Document} xmlDoc Documento KML.
+   * @returns {Object} Estilos por identificador.
+   * @api stable
+   */
+  readStyles_(xmlDoc) {
+    const styles = {};
+    Array.from(xmlDoc.getElementsByTagName('Style')).forEach((style) => {
+      const id = style.getAttribute('id');
+      if (!isNullOrEmpty(id)) {
+        styles[id] = this.readStyle_(style);
+      }
+    });
+    Array.from(xmlDoc.getElementsByTagName('StyleMap')).forEach((styleMap) => {
+      const normal = getChildren(styleMap, 'Pair')
+        .find(pair => getText(pair, 'key') === 'normal');
+      if (!isNullOrEmpty(normal)) {
+        styles[styleMap.getAttribute('id')] =
+          styles[(getText(normal, 'styleUrl') || '').replace(/^.*#/, '')];
+      }
+    });
+    return styles;
+  }
+
+  /**
+   * Este método lee un estilo KML.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Node} styleNode Nodo "Style".
+   * @returns {Object} Estilo.
+   * @api stable
+   */
+  readStyle_(styleNode) {
+    const style = {};
+    const [iconStyle] = styleNode.getElementsByTagName('IconStyle');
+    if (!isNullOrEmpty(iconStyle)) {
+      style.icon = getText(iconStyle, 'href');
+      style.iconScale = Number(getText(iconStyle, 'scale') || 1);
+    }
+    const [lineStyle] = styleNode.getElementsByTagName('LineStyle');
+    if (!isNullOrEmpty(lineStyle)) {
+      style.stroke = readColor(getText(lineStyle, 'color') || 'ffffffff');
+      style.width = Number(getText(lineStyle, 'width') || 1);
+    }
+    const [polyStyle] = styleNode.getElementsByTagName('PolyStyle');
+    if (!isNullOrEmpty(polyStyle)) {
+      style.fill = readColor(getText(polyStyle, 'color') || 'ffffffff');
+      style.polyFill = getText(polyStyle, 'fill') !== '0';
+      style.outline = getText(polyStyle, 'outline') !== '0';
+    }
+    const [labelStyle] = styleNode.getElementsByTagName('LabelStyle');
+    if (!isNullOrEmpty(labelStyle)) {
+      style.labelScale = Number(getText(labelStyle, 'scale') || 1);
+    }
+    return style;
+  }
+
+  /**
+   * Este método traduce un estilo KML a opciones de dibujo de Leaflet.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} style Estilo KML.
+   * @param {String} name Nombre del objeto geográfico.
+   * @param {Object} options Opciones de lectura.
+   * @returns {Object} Opciones de dibujo de Leaflet.
+   * @api stable
+   */
+  toLeafletOptions_(style = {}, name, options) {
+    const [color, opacity] = style.stroke || ['#ffffff', 1];
+    const [fillColor, fillOpacity] = style.fill || ['#ffffff', 1];
+    const leafletOptions = {
+      stroke: style.outline !== false,
+      color,
+      opacity,
+      weight: style.width || 1,
+      fill: style.polyFill !== false,
+      fillColor,
+      fillOpacity,
+      radius: 5,
+    };
+    if (!isNullOrEmpty(style.icon)) {
+      leafletOptions.icon = {
+        src: style.icon,
+        scale: style.iconScale,
+        rotation: 0,
+        anchor: [0.5, 0.5],
+      };
+    }
+    const labelScale = isNullOrEmpty(options.scaleLabel) ? style.labelScale : options.scaleLabel;
+    if (this.label_ && !isNullOrEmpty(name) && labelScale !== 0) {
+      leafletOptions.label = {
+        text: name,
+        font: `bold ${Math.round(13 * (labelScale || 1))}px sans-serif`,
+        color: '#000000',
+      };
+    }
+    return leafletOptions;
+  }
+}
+
+export default KML;
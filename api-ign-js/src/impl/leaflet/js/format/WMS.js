@@ -0,0 +1,186 @@
+/**
+ * @module M/impl/format/WMSCapabilities
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+
+/**
+ * Este método devuelve los hijos directos de un nodo con un nombre,
+ * sin tener en cuenta el espacio de nombres.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre de los hijos.
+ * @returns {Array<Node>} Hijos.
+ * @public
+ * @api
+ */
+const getChildren = (node, name) => {
+  return Array.prototype.filter.call(node.children, child => child.localName === name);
+};
+
+/**
+ * Este método devuelve el texto del primer hijo directo de un nodo con un nombre.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre del hijo.
+ * @returns {String|undefined} Texto del hijo.
+ * @public
+ * @api
+ */
+const getChildText = (node, name) => {
+  const [child] = getChildren(node, name);
+  return child === undefined ? undefined : child.textContent.trim();
+};
+
+/**
+ * Este método lee los rectángulos envolventes de una capa. En la versión 1.3.0
+ * el sistema de referencia es el atributo CRS y en las anteriores el atributo SRS.
+ *
+ * @function
+ * @param {Node} node Nodo de la capa.
+ * @returns {Array<Object>} Rectángulos envolventes con su sistema de referencia (crs)
+ * y extensión (extent).
+ * @public
+ * @api
+ */
+const readBoundingBoxes = (node) => {
+  return getChildren(node, 'BoundingBox').map(bbox => ({
+    crs: bbox.getAttribute('CRS') || bbox.getAttribute('SRS'),
+    extent: ['minx', 'miny', 'maxx', 'maxy'].map(attr => Number(bbox.getAttribute(attr))),
+  }));
+};
+
+/**
+ * Este método lee el rectángulo envolvente geográfico de una capa de las
+ * versiones 1.1.x (LatLonBoundingBox), siempre en EPSG:4326 con orden longitud, latitud.
+ *
+ * @function
+ * @param {Node} node Nodo de la capa.
+ * @returns {Array<Object>|undefined} Rectángulo envolvente en EPSG:4326.
+ * @public
+ * @api
+ */
+const readLatLonBoundingBox = (node) => {
+  let bbox;
+  const [latLon] = getChildren(node, 'LatLonBoundingBox');
+  if (latLon !== undefined) {
+    bbox = [{
+      extent: ['minx', 'miny', 'maxx', 'maxy'].map(attr => Number(latLon.getAttribute(attr))),
+    }];
+  }
+  return bbox;
+};
+
+/**
+ * Este método lee las dimensiones de una capa. En las versiones 1.1.x
+ * los valores están en el elemento "Extent" con el mismo nombre.
+ *
+ * @function
+ * @param {Node} node Nodo de la capa.
+ * @returns {Array<Object>} Dimensiones.
+ * @public
+ * @api
+ */
+const readDimensions = (node) => {
+  const extents = getChildren(node, 'Extent');
+  return getChildren(node, 'Dimension').map((dimension) => {
+    const name = dimension.getAttribute('name');
+    const extent = extents.find(e => e.getAttribute('name') === name) || dimension;
+    return {
+      name,
+      units: dimension.getAttribute('units'),
+      unitSymbol: dimension.getAttribute('unitSymbol'),
+      default: extent.getAttribute('default') || dimension.getAttribute('default'),
+      multipleValues: extent.getAttribute('multipleValues') === '1',
+      nearestValue: extent.getAttribute('nearestValue') === '1',
+      current: extent.getAttribute('current') === '1',
+      values: extent.textContent.trim(),
+    };
+  });
+};
+
+/**
+ * Este método lee una capa y sus capas hijas. Las capas hijas heredan los
+ * rectángulos envolventes de sus padres si no los definen.
+ *
+ * @function
+ * @param {Node} node Nodo de la capa.
+ * @param {Object} parent Capa padre leída.
+ * @returns {Object} Capa.
+ * @public
+ * @api
+ */
+const readLayer = (node, parent = null) => {
+  const layer = {
+    Name: getChildText(node, 'Name'),
+    Title: getChildText(node, 'Title'),
+    Abstract: getChildText(node, 'Abstract'),
+    queryable: node.getAttribute('queryable') === '1',
+    BoundingBox: readBoundingBoxes(node),
+    LatLonBoundingBox: readLatLonBoundingBox(node),
+    Dimension: readDimensions(node),
+    Style: getChildren(node, 'Style').map(style => ({
+      Name: getChildText(style, 'Name'),
+      Title: getChildText(style, 'Title'),
+    })),
+  };
+  if (parent !== null) {
+    if (layer.BoundingBox.length === 0) {
+      layer.BoundingBox = parent.BoundingBox;
+    }
+    if (isNullOrEmpty(layer.LatLonBoundingBox)) {
+      layer.LatLonBoundingBox = parent.LatLonBoundingBox;
+    }
+  }
+  const children = getChildren(node, 'Layer');
+  if (children.length > 0) {
+    layer.Layer = children.map(child => readLayer(child, layer));
+  }
+  return layer;
+};
+
+/**
+ * @classdesc
+ * Lector de documentos GetCapabilities de servicios WMS. Genera un objeto
+ * con la misma estructura que el lector de la implementación de OpenLayers
+ * para las propiedades que usa la API.
+ *
+ * @api
+ */
+class WMSCapabilities {
+  /**
+   * Este método lee un documento GetCapabilities.
+   *
+   * @function
+   * @param {Document} wmsDocument Documento XML.
+   * @returns {Object} Capacidades del servicio.
+   * @public
+   * @api
+   */
+  customRead(wmsDocument) {
+    const root = wmsDocument.documentElement;
+    const [capability] = getChildren(root, 'Capability');
+    const capabilities = {
+      version: root.getAttribute('version'),
+      Capability: {},
+    };
+    if (capability !== undefined) {
+      const [request] = getChildren(capability, 'Request');
+      const [getMap] = isNullOrEmpty(request) ? [] : getChildren(request, 'GetMap');
+      const [layer] = getChildren(capability, 'Layer');
+      capabilities.Capability.Request = {
+        GetMap: {
+          Format: isNullOrEmpty(getMap) ? [] : getChildren(getMap, 'Format')
+            .map(format => format.textContent.trim()),
+        },
+      };
+      if (layer !== undefined) {
+        capabilities.Capability.Layer = readLayer(layer);
+      }
+    }
+    return capabilities;
+  }
+}
+
+export default WMSCapabilities;
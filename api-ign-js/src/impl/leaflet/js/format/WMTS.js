@@ -0,0 +1,146 @@
+/**
+ * @module M/impl/format/WMTSCapabilities
+ */
+
+/**
+ * Este método devuelve los hijos directos de un nodo con un nombre,
+ * sin tener en cuenta el espacio de nombres.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre de los hijos.
+ * @returns {Array<Node>} Hijos.
+ * @public
+ * @api
+ */
+const getChildren = (node, name) => {
+  return Array.prototype.filter.call(node.children, child => child.localName === name);
+};
+
+/**
+ * Este método devuelve el texto del primer hijo directo de un nodo con un nombre.
+ *
+ * @function
+ * @param {Node} node Nodo.
+ * @param {String} name Nombre del hijo.
+ * @returns {String|undefined} Texto del hijo.
+ * @public
+ * @api
+ */
+const getChildText = (node, name) => {
+  const [child] = getChildren(node, name);
+  return child === undefined ? undefined : child.textContent.trim();
+};
+
+/**
+ * Este método lee una coordenada "x y" de un nodo.
+ *
+ * @function
+ * @param {String} text Texto de la coordenada.
+ * @returns {Array<Number>} Coordenada.
+ * @public
+ * @api
+ */
+const readCoordinate = (text = '') => text.split(/\s+/).filter(c => c !== '').map(Number);
+
+/**
+ * Este método lee una capa del documento.
+ *
+ * @function
+ * @param {Node} node Nodo de la capa.
+ * @returns {Object} Capa.
+ * @public
+ * @api
+ */
+const readLayer = (node) => {
+  const [wgs84] = getChildren(node, 'WGS84BoundingBox');
+  return {
+    Identifier: getChildText(node, 'Identifier'),
+    Title: getChildText(node, 'Title'),
+    Abstract: getChildText(node, 'Abstract'),
+    WGS84BoundingBox: wgs84 === undefined ? undefined : [
+      ...readCoordinate(getChildText(wgs84, 'LowerCorner')),
+      ...readCoordinate(getChildText(wgs84, 'UpperCorner')),
+    ],
+    Format: getChildren(node, 'Format').map(format => format.textContent.trim()),
+    Style: getChildren(node, 'Style').map((style) => {
+      const [legend] = getChildren(style, 'LegendURL');
+      return {
+        Identifier: getChildText(style, 'Identifier'),
+        isDefault: style.getAttribute('isDefault') === 'true',
+        LegendURL: legend === undefined ? undefined : legend.getAttribute('xlink:href'),
+      };
+    }),
+    TileMatrixSetLink: getChildren(node, 'TileMatrixSetLink').map(link => ({
+      TileMatrixSet: getChildText(link, 'TileMatrixSet'),
+    })),
+    Dimension: getChildren(node, 'Dimension').map(dimension => ({
+      Identifier: getChildText(dimension, 'Identifier'),
+      Default: getChildText(dimension, 'Default'),
+      Value: getChildren(dimension, 'Value').map(value => value.textContent.trim()),
+    })),
+  };
+};
+
+/**
+ * Este método lee una matriz de teselas del documento.
+ *
+ * @function
+ * @param {Node} node Nodo de la matriz de teselas.
+ * @returns {Object} Matriz de teselas.
+ * @public
+ * @api
+ */
+const readTileMatrixSet = (node) => {
+  return {
+    Identifier: getChildText(node, 'Identifier'),
+    SupportedCRS: getChildText(node, 'SupportedCRS'),
+    TileMatrix: getChildren(node, 'TileMatrix').map(matrix => ({
+      Identifier: getChildText(matrix, 'Identifier'),
+      ScaleDenominator: Number(getChildText(matrix, 'ScaleDenominator')),
+      TopLeftCorner: readCoordinate(getChildText(matrix, 'TopLeftCorner')),
+      TileWidth: Number(getChildText(matrix, 'TileWidth')),
+      TileHeight: Number(getChildText(matrix, 'TileHeight')),
+      MatrixWidth: Number(getChildText(matrix, 'MatrixWidth')),
+      MatrixHeight: Number(getChildText(matrix, 'MatrixHeight')),
+    })),
+  };
+};
+
+/**
+ * @classdesc
+ * Lector de documentos GetCapabilities de servicios WMTS. Genera un objeto
+ * con la misma estructura que el lector de OpenLayers para las propiedades
+ * que usa la API.
+ *
+ * @api
+ */
+class WMTSCapabilities {
+  /**
+   * Este método lee un documento GetCapabilities.
+   *
+   * @function
+   * @param {Document} wmtsDocument Documento XML.
+   * @returns {Object} Capacidades del servicio.
+   * @public
+   * @api
+   */
+  read(wmtsDocument) {
+    const root = wmtsDocument.documentElement;
+    const [contents] = getChildren(root, 'Contents');
+    const [provider] = getChildren(root, 'ServiceProvider');
+    return {
+      version: root.getAttribute('version'),
+      ServiceProvider: provider === undefined ? undefined : {
+        ProviderName: getChildText(provider, 'ProviderName'),
+      },
+      Contents: {
+        Layer: contents === undefined ? [] : getChildren(contents, 'Layer').map(readLayer),
+        TileMatrixSet: contents === undefined ? [] : getChildren(contents, 'TileMatrixSet')
+          .map(readTileMatrixSet),
+      },
+    };
+  }
+}
+
+export default WMTSCapabilities;
@@ -0,0 +1,127 @@
+/**
+ * @module M/impl/handler/Feature
+ */
+import { isNullOrEmpty, isFunction } from 'M/util/Utils';
+
+/**
+ * @classdesc
+ * Implementación del manejador de los objetos geográficos. En Leaflet
+ * los objetos geográficos de un píxel se calculan con la geometría
+ * de cada objeto, ya que la biblioteca no tiene "forEachFeatureAtPixel".
+ *
+ * @api
+ */
+class Feature {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} options Opciones del manejador.
+   * @api stable
+   */
+  constructor(options = {}) {
+    /**
+     * Mapa.
+     * @private
+     * @type {M.Map}
+     */
+    this.map_ = null;
+
+    /**
+     * Cursor por defecto.
+     * @private
+     * @type {String}
+     */
+    this.defaultCursor_ = undefined;
+
+    /**
+     * Tolerancia en píxeles.
+     * @private
+     * @type {Number}
+     */
+    this.tolerance_ = options.tolerance || Feature.TOLERANCE;
+  }
+
+  /**
+   * Este método añade el manejador al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    this.map_ = map;
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos de una capa en
+   * el píxel del evento.
+   *
+   * @public
+   * @function
+   * @param {Object} evt Evento del mapa con el píxel.
+   * @param {M.layer.Vector} layer Capa.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @api stable
+   */
+  getFeaturesByLayer(evt, layer) {
+    let features = [];
+    if (!isNullOrEmpty(layer) && layer.isVisible() &&
+      isFunction(layer.getImpl().getFeaturesAtPixel)) {
+      features = layer.getImpl().getFeaturesAtPixel(evt.pixel, this.tolerance_);
+    }
+    return features;
+  }
+
+  /**
+   * Este método cambia el cursor a puntero.
+   *
+   * @public
+   * @function
+   * @param {Object} evt Evento del mapa.
+   * @api stable
+   */
+  addCursorPointer(evt) {
+    const container = this.map_.getMapImpl().getContainer();
+    if (container.style.cursor !== 'pointer') {
+      this.defaultCursor_ = container.style.cursor;
+    }
+    container.style.cursor = 'pointer';
+  }
+
+  /**
+   * Este método restablece el cursor por defecto.
+   *
+   * @public
+   * @function
+   * @param {Object} evt Evento del mapa.
+   * @api stable
+   */
+  removeCursorPointer(evt) {
+    this.map_.getMapImpl().getContainer().style.cursor = this.defaultCursor_;
+  }
+
+  /**
+   * Este método destruye el manejador.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.map_ = null;
+  }
+}
+
+/**
+ * Tolerancia en píxeles por defecto para obtener los objetos geográficos.
+ *
+ * @const
+ * @type {Number}
+ * @public
+ * @api
+ */
+Feature.TOLERANCE = 2;
+
+export default Feature;
@@ -0,0 +1,280 @@
+/**
+ * @module M/impl/layer/GeoJSON
+ */
+import { isNullOrEmpty, isObject, isFunction } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import Popup from 'M/Popup';
+import { compileSync as compileTemplate } from 'M/util/Template';
+import geojsonPopupTemplate from 'templates/geojson_popup';
+import GeoJSONFormat from 'M/format/GeoJSON';
+import Vector from './Vector';
+import JSONPLoader from '../loader/JSONP';
+import ImplUtils from '../util/Utils';
+
+/**
+ * @classdesc
+ * La capa GeoJSON carga objetos geográficos de un GeoJSON, bien desde
+ * un servicio o bien desde el propio objeto.
+ *
+ * @property {Array<String>} hiddenAttributes_ Atributos ocultos.
+ * @property {Array<String>} showAttributes_ Atributos que se muestran.
+ *
+ * @api
+ * @extends {M.impl.layer.Vector}
+ */
+class GeoJSON extends Vector {
+  /**
+   * Constructor principal de la clase. Crea una capa GeoJSON
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.GeoJSON} parameters Parámetros para la construcción de la capa.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - hide: Atributos ocultos.
+   * - show: Atributos que se muestran.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(parameters, options, vendorOptions) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * GeoJSON formater_. Formateador.
+     */
+    this.formater_ = null;
+
+    /**
+     * GeoJSON loader_. Cargador.
+     */
+    this.loader_ = null;
+
+    /**
+     * GeoJSON loadFeaturesPromise_. Promesa de carga de los objetos geográficos.
+     */
+    this.loadFeaturesPromise_ = null;
+
+    /**
+     * GeoJSON hiddenAttributes_. Atributos ocultos.
+     */
+    this.hiddenAttributes_ = [];
+    if (!isNullOrEmpty(options.hide)) {
+      this.hiddenAttributes_ = options.hide;
+    }
+
+    /**
+     * GeoJSON showAttributes_. Atributos que se muestran.
+     */
+    this.showAttributes_ = [];
+    if (!isNullOrEmpty(options.show)) {
+      this.showAttributes_ = options.show;
+    }
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa de la implementación.
+   * @api stable
+   */
+  addTo(map) {
+    this.formater_ = new GeoJSONFormat();
+    if (!isNullOrEmpty(this.url)) {
+      this.loader_ = new JSONPLoader(map, this.url, this.formater_);
+      this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
+    }
+    super.addTo(map);
+  }
+
+  /**
+   * Este método vuelve a cargar la capa con los objetos geográficos actuales
+   * o con un nuevo GeoJSON.
+   *
+   * @public
+   * @function
+   * @param {Object} source GeoJSON nuevo.
+   * @api stable
+   */
+  refresh(source = null) {
+    const features = this.formater_.write(this.facadeVector_.getFeatures());
+    const codeProjection = this.map.getProjection().code.split(':')[1];
+    let newSource = {
+      type: 'FeatureCollection',
+      features,
+      crs: {
+        properties: {
+          code: codeProjection,
+        },
+        type: 'EPSG',
+      },
+    };
+    if (isObject(source)) {
+      newSource = source;
+    }
+    this.source = newSource;
+    this.loadFeaturesPromise_ = null;
+    this.updateSource_();
+  }
+
+  /**
+   * Este método establece el GeoJSON de la capa.
+   *
+   * @public
+   * @function
+   * @param {Object} source GeoJSON.
+   * @api stable
+   */
+  setSource(source) {
+    this.source = source;
+    this.loadFeaturesPromise_ = null;
+    if (!isNullOrEmpty(this.map)) {
+      this.updateSource_();
+    }
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<M.Feature>>} Objetos geográficos.
+   * @api stable
+   */
+  requestFeatures_() {
+    if (isNullOrEmpty(this.loadFeaturesPromise_)) {
+      this.loadFeaturesPromise_ = new Promise((resolve) => {
+        if (this.source) {
+          const features = this.formater_.read(this.source, this.map.getProjection());
+          resolve(features);
+        } else {
+          this.loader_.getLoaderFn((features) => {
+            resolve(features);
+          })(null, null, this.map.getProjection());
+        }
+      });
+    }
+    return this.loadFeaturesPromise_;
+  }
+
+  /**
+   * Este método carga los objetos geográficos en la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateSource_() {
+    this.requestFeatures_().then((features) => {
+      if (!isNullOrEmpty(this.map)) {
+        // removes previous features
+        this.facadeVector_.clear();
+        this.facadeVector_.addFeatures(features);
+        this.loaded_ = true;
+        this.fire(EventType.LOAD, [features]);
+      }
+    });
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Array<Number>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtent(skipFilter, filter) {
+    const codeProj = this.map.getProjection().code;
+    const features = this.getFeatures(skipFilter, filter);
+    return ImplUtils.getFeaturesExtent(features, codeProj);
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos, asíncrono.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Promise<Array<Number>>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtentPromise(skipFilter, filter) {
+    return new Promise((resolve) => {
+      const codeProj = this.map.getProjection().code;
+      if (this.isLoaded() === true) {
+        const features = this.getFeatures(skipFilter, filter);
+        resolve(ImplUtils.getFeaturesExtent(features, codeProj));
+      } else {
+        this.requestFeatures_().then((features) => {
+          resolve(ImplUtils.getFeaturesExtent(features, codeProj));
+        });
+      }
+    });
+  }
+
+  /**
+   * Este método muestra los atributos del objeto geográfico
+   * seleccionado en un "popup".
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array<Number>} coord Coordenadas.
+   * @param {Object} evt Evento.
+   * @api stable
+   */
+  selectFeatures(features, coord, evt) {
+    const feature = features[0];
+    if (this.extract === true && !isNullOrEmpty(feature)) {
+      const clickFn = feature.getAttribute('vendor.mapea.click');
+      if (isFunction(clickFn)) {
+        clickFn(evt, feature);
+      } else {
+        const htmlAsText = compileTemplate(geojsonPopupTemplate, {
+          vars: this.parseFeaturesForTemplate_(features),
+          parseToHtml: false,
+        });
+        const featureTabOpts = {
+          icon: 'g-cartografia-pin',
+          title: this.name,
+          content: htmlAsText,
+        };
+        let popup = this.map.getPopup();
+        if (isNullOrEmpty(popup)) {
+          popup = new Popup();
+          popup.addTab(featureTabOpts);
+          this.map.addPopup(popup, coord);
+        } else {
+          popup.addTab(featureTabOpts);
+        }
+      }
+    }
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoJSON) {
+      equals = (this.name === obj.name);
+      equals = equals && (this.extract === obj.extract);
+    }
+    return equals;
+  }
+}
+
+export default GeoJSON;
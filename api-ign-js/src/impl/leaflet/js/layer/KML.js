@@ -0,0 +1,284 @@
+/**
+ * @module M/impl/layer/KML
+ */
+import { compileSync as compileTemplate } from 'M/util/Template';
+import popupKMLTemplate from 'templates/kml_popup';
+import Popup from 'M/Popup';
+import { isNullOrEmpty } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import Vector from './Vector';
+import LoaderKML from '../loader/KML';
+import FormatKML from '../format/KML';
+import ImplUtils from '../util/Utils';
+
+/**
+ * @classdesc
+ * KML (Keyhole Markup Language) es un lenguaje de marcado basado en XML
+ * para representar datos geográficos.
+ *
+ * @property {Object} popup_ "Popup" de la capa.
+ * @property {Object} tabPopup_ Pestaña del "popup".
+ *
+ * @api
+ * @extends {M.impl.layer.Vector}
+ */
+class KML extends Vector {
+  /**
+   * Constructor principal de la clase. Crea una capa KML
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - label: Falso para no mostrar los nombres de los objetos geográficos.
+   * - visibility: Indica la visibilidad de la capa.
+   * - scaleLabel: Escala de las etiquetas.
+   * - layers: Nombres de las carpetas del KML que se cargan.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api stable
+   */
+  constructor(options, vendorOptions) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * KML popup_. "Popup" de la capa.
+     */
+    this.popup_ = null;
+
+    /**
+     * KML tabPopup_. Pestaña del "popup".
+     */
+    this.tabPopup_ = null;
+
+    /**
+     * KML loadFeaturesPromise_. Promesa de carga de los objetos geográficos.
+     */
+    this.loadFeaturesPromise_ = null;
+
+    /**
+     * KML label_. Indica si se muestran los nombres.
+     */
+    this.label_ = options.label;
+
+    /**
+     * KML visibility. Visibilidad de la capa.
+     */
+    this.visibility = options.visibility == null ? true : options.visibility;
+
+    /**
+     * KML scaleLabel. Escala de las etiquetas.
+     */
+    this.scaleLabel = options.scaleLabel;
+
+    /**
+     * KML layers. Nombres de las carpetas del KML que se cargan.
+     */
+    this.layers = options.layers;
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa de la implementación.
+   * @api stable
+   */
+  addTo(map) {
+    this.formater_ = new FormatKML({
+      label: this.label_,
+    });
+    this.loader_ = new LoaderKML(map, this.url, this.formater_);
+    this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
+    super.addTo(map);
+  }
+
+  /**
+   * Este método carga los objetos geográficos en la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateSource_() {
+    this.requestFeatures_().then((response) => {
+      if (!isNullOrEmpty(this.map)) {
+        // removes previous features
+        this.facadeVector_.clear();
+        this.facadeVector_.addFeatures(response.features);
+        this.loaded_ = true;
+        this.fire(EventType.LOAD, [response.features]);
+      }
+    });
+  }
+
+  /**
+   * Este método muestra en un "popup" el nombre y la descripción
+   * del primer objeto geográfico seleccionado.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array<Number>} coord Coordenadas.
+   * @param {Object} evt Evento.
+   * @api stable
+   */
+  selectFeatures(features, coord, evt) {
+    const feature = features[0];
+    if (this.extract === true && !isNullOrEmpty(feature)) {
+      const featureName = feature.getAttribute('name');
+      const featureDesc = feature.getAttribute('description');
+      const [featureCoord] = ImplUtils
+        .getGeometryCoordinates(feature.getImpl().getGeometry());
+      const htmlAsText = compileTemplate(popupKMLTemplate, {
+        vars: {
+          name: featureName,
+          desc: featureDesc,
+        },
+        parseToHtml: false,
+      });
+      this.tabPopup_ = {
+        icon: 'g-cartografia-comentarios',
+        title: featureName,
+        content: htmlAsText,
+      };
+
+      const popup = this.map.getPopup();
+      if (isNullOrEmpty(popup)) {
+        this.popup_ = new Popup();
+        this.popup_.addTab(this.tabPopup_);
+        this.map.addPopup(this.popup_, featureCoord);
+      } else {
+        popup.addTab(this.tabPopup_);
+      }
+    }
+  }
+
+  /**
+   * Este método cierra el "popup" de la capa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  unselectFeatures() {
+    if (!isNullOrEmpty(this.popup_)) {
+      this.popup_.hide();
+      this.popup_ = null;
+    }
+  }
+
+  /**
+   * Este método elimina la pestaña de la capa del "popup" o el "popup".
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  removePopup() {
+    if (!isNullOrEmpty(this.popup_)) {
+      if (this.popup_.getTabs().length > 1) {
+        this.popup_.removeTab(this.tabPopup_);
+      } else {
+        this.map.removePopup();
+      }
+    }
+  }
+
+  /**
+   * Este método destruye esta capa, limpiando el HTML
+   * y anulando el registro de todos los eventos.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    if (!isNullOrEmpty(this.map)) {
+      this.removePopup();
+    }
+    super.destroy();
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Array<Number>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtent(skipFilter, filter) {
+    const codeProj = this.map.getProjection().code;
+    const features = this.getFeatures(skipFilter, filter);
+    return ImplUtils.getFeaturesExtent(features, codeProj);
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos, asíncrono.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Promise<Array<Number>>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtentPromise(skipFilter, filter) {
+    return new Promise((resolve) => {
+      const codeProj = this.map.getProjection().code;
+      if (this.isLoaded() === true) {
+        const features = this.getFeatures(skipFilter, filter);
+        resolve(ImplUtils.getFeaturesExtent(features, codeProj));
+      } else {
+        this.requestFeatures_().then((response) => {
+          resolve(ImplUtils.getFeaturesExtent(response.features, codeProj));
+        });
+      }
+    });
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos del KML.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Objetos geográficos.
+   * @api stable
+   */
+  requestFeatures_() {
+    if (isNullOrEmpty(this.loadFeaturesPromise_)) {
+      this.loadFeaturesPromise_ = new Promise((resolve) => {
+        this.loader_.getLoaderFn((features) => {
+          resolve(features);
+        })(null, null, this.map.getProjection(), this.scaleLabel, this.layers);
+      });
+    }
+    return this.loadFeaturesPromise_;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof KML) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.extract === obj.extract);
+    }
+    return equals;
+  }
+}
+
+export default KML;
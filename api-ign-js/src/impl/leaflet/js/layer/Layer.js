@@ -1,207 +1,395 @@
+/**
+ * @module M/impl/Layer
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty, concatUrlPaths, isString } from 'M/util/Utils';
 import MObject from 'M/Object';
-import { isNullOrEmpty, concatUrlPaths } from 'M/util/Utils';
-import MConfig from 'M/configuration';
 import FacadeLayer from 'M/layer/Layer';
 
-export default class Layer extends MObject {
+/**
+ * @classdesc
+ * De esta clase heredadan todas las capas base. Cada capa se dibuja en
+ * un panel propio del mapa de Leaflet, de forma que el índice z y la
+ * opacidad se aplican igual a las capas ráster y a las vectoriales.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class LayerBase extends MObject {
   /**
    * @classdesc
-   * Main constructor of the class. Creates a layer
-   * with parameters specified by the user
+   * Constructor principal de la clase. Crea una capa
+   * con parámetros especificados por el usuario.
+   *
+   * @param {Object} options Parámetros opcionales para la capa.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
    *
-   * @interface
-   * @extends {M.facade.Base}
-   * @param {string | Mx.parameters.Layer} userParameters parameters
-   * provided by the user
    * @api stable
    */
-  constructor(options = {}) {
+  constructor(options = {}, vendorOptions = {}) {
     // calls the super constructor
-    super();
+    super(options);
 
     /**
-     * The map instance
-     * @private
-     * @type {M.Map}
-     * @expose
+     * Layer vendorOptions_. Opciones de proveedor para la biblioteca base.
+     */
+    this.vendorOptions_ = vendorOptions;
+
+    /**
+     * Layer map. La instancia del mapa.
      */
     this.map = null;
 
     /**
-     * The ol3 layer instance
-     * @private
-     * @type {L.Layer}
-     * @expose
+     * Layer leafletLayer. La instancia de la capa de Leaflet.
      */
     this.leafletLayer = null;
 
     /**
-     * Custom options for this layer
-     * @private
-     * @type {Mx.parameters.LayerOptions}
-     * @expose
+     * Layer pane_. Panel de Leaflet de la capa.
+     */
+    this.pane_ = null;
+
+    /**
+     * Layer facadeLayer_. Fachada de la capa.
+     */
+    this.facadeLayer_ = null;
+
+    /**
+     * Layer options. Opciones personalizadas para esta capa.
      */
     this.options = options;
 
     /**
-     * Indicates the visibility of the layer
-     * @private
-     * @type {Boolean}
-     * @expose
+     * Layer visibility. Indica la visibilidad de la capa.
+     */
+    this.visibility = this.options.visibility !== false;
+
+    /**
+     * Layer displayInLayerSwitcher. Indica si la capa se muestra en el selector de capas.
+     */
+    this.displayInLayerSwitcher = this.options.displayInLayerSwitcher !== false;
+
+    /**
+     * Layer zIndex. Índice z de la capa.
+     */
+    this.zIndex_ = null;
+
+    /**
+     * Layer opacity_. Opacidad de capa, por defecto 1.
      */
-    this.visibility = (this.options.visibility !== false);
+    this.opacity_ = this.options.opacity || 1;
 
     /**
-     * Indicates if the layer is displayed in
-     * layerswitcher control
-     * @private
-     * @type {Boolean}
-     * @expose
+     * Layer legendUrl_. Leyenda URL de esta capa.
      */
-    this.displayInLayerSwitcher = (this.options.displayInLayerSwitcher !== false);
+    this.legendUrl_ = concatUrlPaths([M.config.THEME_URL, FacadeLayer.LEGEND_DEFAULT]);
 
     /**
-     * Layer opacity
-     * @private
-     * @type {Number}
-     * @expose
+     * Layer minZoom. Zoom mínimo aplicable a la capa.
      */
-    this.opacity_ = (this.options.opacity || 1);
+    this.minZoom = this.options.minZoom || Number.NEGATIVE_INFINITY;
+
+    /**
+     * Layer maxZoom. Zoom máximo aplicable a la capa.
+     */
+    this.maxZoom = this.options.maxZoom || Number.POSITIVE_INFINITY;
+  }
+
+  /**
+   * Este método establece la fachada de la capa.
+   *
+   * @function
+   * @param {M.Layer} obj Fachada de la capa.
+   * @api stable
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método crea el panel de Leaflet de la capa y registra la
+   * actualización de su visibilidad al cambiar el zoom. Lo llaman
+   * las capas al añadirse al mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @param {M.Map} map Mapa.
+   * @returns {string} Nombre del panel.
+   * @api stable
+   */
+  addToMap_(map) {
+    this.map = map;
+    const lMap = map.getMapImpl();
+    const paneName = `m-layer-${L.Util.stamp(this)}`;
+    this.pane_ = lMap.createPane(paneName);
+    this.pane_.style.opacity = this.opacity_;
+    if (!isNullOrEmpty(this.zIndex_)) {
+      this.pane_.style.zIndex = LayerBase.PANE_Z_INDEX + this.zIndex_;
+    }
+    lMap.on('zoomend', this.updateVisibility_, this);
+    return paneName;
   }
 
   /**
-   * This function indicates if the layer is visible
+   * Este método añade o quita la capa de Leaflet del mapa según
+   * su visibilidad y el rango de zoom.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
    *
    * @function
    * @api stable
+   */
+  updateVisibility_() {
+    if (!isNullOrEmpty(this.map) && !isNullOrEmpty(this.leafletLayer)) {
+      const lMap = this.map.getMapImpl();
+      if (this.visibility && this.inRange()) {
+        if (!lMap.hasLayer(this.leafletLayer)) {
+          lMap.addLayer(this.leafletLayer);
+        }
+      } else if (lMap.hasLayer(this.leafletLayer)) {
+        lMap.removeLayer(this.leafletLayer);
+      }
+    }
+  }
+
+  /**
+   * Este método indica si la capa es visible.
+   *
+   * @function
+   * @returns {Boolean} Verdadero es visible, falso si no.
+   * @api stable
    * @expose
    */
   isVisible() {
-    return this.map.getMapImpl().hasLayer(this.leafletLayer);
+    return this.visibility;
   }
 
   /**
-   * This function indicates if the layer is queryable
+   * Este método indica si la capa es consultable.
    *
    * @function
+   * @returns {Boolean} Devuelve falso.
    * @api stable
    * @expose
+   *
    */
   isQueryable() {
     return false;
   }
 
   /**
-   * This function indicates if the layer is in range
+   * Este método indica si la capa está dentro del rango.
    *
    * @function
+   * @returns {Boolean} Verdadero está dentro del rango, falso si no.
    * @api stable
    * @expose
    */
   inRange() {
-    // TODO
-    return true;
+    let inRange = false;
+    if (!isNullOrEmpty(this.leafletLayer)) {
+      const zoom = this.map.getZoom();
+      inRange = isNullOrEmpty(zoom) || ((zoom >= this.minZoom) && (zoom <= this.maxZoom));
+    }
+    return inRange;
   }
 
   /**
-   * This function sets the visibility of this layer
+   * Este método establece la visibilidad de esta capa.
    *
    * @function
+   * @param {Boolean} visibility Verdadero es visibilidad, falso si no.
    * @api stable
    * @expose
    */
   setVisible(visibility) {
-    if (!isNullOrEmpty(this.leafletLayer)) {
-      const lMap = this.map.getMapImpl();
-      if ((visibility === true) && !lMap.hasLayer(this.leafletLayer)) {
-        lMap.addLayer(this.leafletLayer);
-      } else if ((visibility !== true) && lMap.hasLayer(this.leafletLayer)) {
-        lMap.removeLayer(this.leafletLayer);
-      }
-    }
+    this.visibility = visibility;
+    this.updateVisibility_();
+  }
+
+  /**
+   * Este método devuelve el zoom mínimo de esta capa.
+   *
+   * @function
+   * @returns {Number} Devuelve el zoom mínimo aplicable a la capa.
+   * @api stable
+   * @expose
+   */
+  getMinZoom() {
+    return this.minZoom;
   }
 
   /**
-   * This function sets the visibility of this layer
+   * Este método establece el zoom mínimo de esta capa.
    *
    * @function
+   * @param {Number} zoom Zoom mínimo aplicable a la capa.
+   * @api stable
+   * @expose
+   */
+  setMinZoom(zoom) {
+    this.minZoom = zoom;
+    this.updateVisibility_();
+  }
+
+  /**
+   * Este método devuelve el zoom máximo de esta capa.
+   *
+   * @function
+   * @returns {Number} Zoom máximo aplicable a la capa.
+   * @api stable
+   * @expose
+   */
+  getMaxZoom() {
+    return this.maxZoom;
+  }
+
+  /**
+   * Este método establece el zoom máximo de esta capa.
+   *
+   * @function
+   * @param {Number} zoom Zoom máximo aplicable a la capa.
+   * @api stable
+   * @expose
+   */
+  setMaxZoom(zoom) {
+    this.maxZoom = zoom;
+    this.updateVisibility_();
+  }
+
+  /**
+   * Este método devuelve el índice z de esta capa.
+   *
+   * @function
+   * @return {Number} Índice de la capa.
    * @api stable
    * @expose
    */
   getZIndex() {
-    if (!isNullOrEmpty(this.leafletLayer)) {
-      this.zIndex_ = this.leafletLayer.zIndex;
-    }
     return this.zIndex_;
   }
 
   /**
-   * This function sets the visibility of this layer
+   * Este método establece el índice z de esta capa.
    *
    * @function
+   * @param {Number} zIndex Índice de la capa.
    * @api stable
    * @expose
    */
   setZIndex(zIndex) {
     this.zIndex_ = zIndex;
-    if (!isNullOrEmpty(this.leafletLayer)) {
-      this.leafletLayer.setZIndex(this.zIndex_);
+    if (!isNullOrEmpty(this.pane_) && !isNullOrEmpty(zIndex)) {
+      this.pane_.style.zIndex = LayerBase.PANE_Z_INDEX + zIndex;
     }
   }
 
   /**
-   * This function sets the visibility of this layer
+   * Este método devuelve la opacidad de esta capa.
    *
    * @function
+   * @returns {Number} Opacidad (0, 1). Predeterminado 1.
    * @api stable
    * @expose
    */
   getOpacity() {
-    if (!isNullOrEmpty(this.leafletLayer)) {
-      this.opacity_ = this.leafletLayer.opacity;
-    }
     return this.opacity_;
   }
 
   /**
-   * This function sets the visibility of this layer
+   * Este método establece la opacidad de esta capa.
    *
    * @function
+   * @param {Number} opacity Opacidad (0, 1). Predeterminado 1.
    * @api stable
    * @expose
    */
   setOpacity(opacity) {
-    this.opacity_ = opacity;
-    if (!isNullOrEmpty(this.leafletLayer)) {
-      this.leafletLayer.setOpacity(opacity);
+    let opacityParsed = opacity;
+    if (!isNullOrEmpty(opacity) && isString(opacity)) {
+      opacityParsed = Number(opacity);
+    }
+    this.opacity_ = opacityParsed;
+    if (!isNullOrEmpty(this.pane_)) {
+      this.pane_.style.opacity = opacityParsed;
+    }
+  }
+
+  /**
+   * Este método obtiene la capa de Leaflet creada.
+   *
+   * @function
+   * @return {L.Layer} Devuelve la capa de Leaflet.
+   * @api stable
+   * @expose
+   */
+  getLeafletLayer() {
+    return this.leafletLayer;
+  }
+
+  /**
+   * Este método establece la capa de Leaflet.
+   *
+   * @function
+   * @param {L.Layer} layer Capa de Leaflet.
+   * @api stable
+   * @expose
+   */
+  setLeafletLayer(layer) {
+    if (!isNullOrEmpty(this.map) && !isNullOrEmpty(this.leafletLayer)) {
+      this.map.getMapImpl().removeLayer(this.leafletLayer);
     }
+    this.leafletLayer = layer;
+    this.updateVisibility_();
+    return this;
+  }
+
+  /**
+   * Este método obtiene la implementación del mapa.
+   *
+   * @function
+   * @returns {M.Map} Mapa.
+   * @api stable
+   * @expose
+   */
+  getMap() {
+    return this.map;
   }
 
   /**
-   * This function gets the created OL layer
+   * Este método obtiene la URL de la leyenda.
    *
    * @function
+   * @returns {String} URL de la leyenda.
    * @api stable
    * @expose
    */
   getLegendURL() {
-    return concatUrlPaths([MConfig.THEME_URL, FacadeLayer.LEGEND_DEFAULT]);
+    return this.legendUrl_;
   }
 
   /**
-   * This function gets the created OL layer
+   * Este método establece la url de la leyenda.
    *
    * @function
+   * @param {String} legendUrl URL de la leyenda.
    * @api stable
    * @expose
    */
-  setLegendURL(legendUrl) {}
+  setLegendURL(legendUrl) {
+    this.legendUrl_ = legendUrl;
+  }
 
   /**
-   * This function gets the max resolution for
-   * this WMS
+   * Este método obtiene los niveles de zoom numéricos.
    *
    * @public
+   * @returns {Number} Devuelve la resolución máxima (20).
    * @function
    * @api stable
    */
@@ -210,21 +398,79 @@ export default class Layer extends MObject {
   }
 
   /**
-   * This function exectues an unselect feature
+   * Este método obtiene las opciones de las peticiones de la capa
+   * (M.remote) con sus interceptores (opción "interceptors").
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} requestType Tipo de petición (M.remote.requestType).
+   * @returns {Object} Opciones de las peticiones.
+   * @api stable
+   */
+  getRequestOptions(requestType) {
+    return {
+      interceptors: this.options.interceptors,
+      requestType,
+      layer: this.facadeLayer_,
+    };
+  }
+
+  /**
+   * Este método ejecuta una deselección del objetos geográficos.
    *
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array} coord Coordenadas.
+   * @param {Object} evt Eventos.
    * @public
    * @function
    * @api stable
    * @expose
    */
-  unselectFeatures(features, coord) {}
+  unselectFeatures(features, coord, evt) {}
 
   /**
-   * This function exectues a select feature
+   * Este método ejecuta la selección de un objetos geográficos.
    *
    * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array} coord Coordenadas.
+   * @param {Object} evt Eventos.
    * @api stable
    * @expose
    */
-  selectFeatures(features, coord) {}
+  selectFeatures(features, coord, evt) {}
+
+  /**
+   * Este método elimina la capa del mapa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    if (!isNullOrEmpty(this.map)) {
+      const lMap = this.map.getMapImpl();
+      lMap.off('zoomend', this.updateVisibility_, this);
+      if (!isNullOrEmpty(this.leafletLayer)) {
+        lMap.removeLayer(this.leafletLayer);
+      }
+      L.DomUtil.remove(this.pane_);
+    }
+    this.leafletLayer = null;
+    this.pane_ = null;
+    this.map = null;
+  }
 }
+
+/**
+ * Índice z de los paneles de las capas sobre el que se suma el índice z
+ * de cada capa. Por encima del panel de teselas de Leaflet (200).
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+LayerBase.PANE_Z_INDEX = 200;
+
+export default LayerBase;
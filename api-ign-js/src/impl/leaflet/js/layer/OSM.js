@@ -0,0 +1,134 @@
+/**
+ * @module M/impl/layer/OSM
+ */
+import * as L from 'leaflet';
+import * as LayerType from 'M/layer/Type';
+import { isNullOrEmpty } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import ImplMap from '../Map';
+import Layer from './Layer';
+
+/**
+ * @classdesc
+ * Implementación de la capa OpenStreetMap.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class OSM extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa OSM
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {string|Mx.parameters.OSM} userParameters Parámetros para la construcción de la capa.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - visibility: Indica la visibilidad de la capa.
+   * @param {Object} vendorOptions Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(userParameters, options = {}, vendorOptions) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    if (options.visibility === false) {
+      this.visibility = false;
+    }
+
+    /**
+     * OSM zIndex_. Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.OSM];
+  }
+
+  /**
+   * Este método establece la visibilidad de esta capa.
+   *
+   * @function
+   * @param {Boolean} visibility Verdadero es visible, falso si no.
+   * @api stable
+   */
+  setVisible(visibility) {
+    // if this layer is base then it hides all base layers
+    if (!isNullOrEmpty(this.map) && (visibility === true) && (this.transparent !== true)) {
+      this.map.getBaseLayers().forEach((layer) => {
+        if (!layer.equals(this.facadeLayer_) && layer.isVisible()) {
+          layer.setVisible(false);
+        }
+      });
+    }
+    super.setVisible(visibility);
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    const pane = this.addToMap_(map);
+    this.fire(EventType.ADDED_TO_MAP);
+    this.setLeafletLayer(L.tileLayer(this.url || OSM.URL, Object.assign({
+      pane,
+      attribution: OSM.ATTRIBUTION,
+    }, this.vendorOptions_)));
+    this.setZIndex(this.zIndex_);
+  }
+
+  /**
+   * Este método establece la extensión máxima de la capa.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} maxExtent Extensión máxima.
+   * @api stable
+   */
+  setMaxExtent(maxExtent) {
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer) && !isNullOrEmpty(maxExtent)) {
+      leafletLayer.options.bounds = this.map.getImpl().extentToBounds(maxExtent);
+      leafletLayer.redraw();
+    }
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof OSM) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+/**
+ * Plantilla de URL de las teselas de OpenStreetMap.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+OSM.URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+/**
+ * Atribución de OpenStreetMap.
+ * @const
+ * @type {string}
+ * @public
+ * @api
+ */
+OSM.ATTRIBUTION = '&#169; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors.';
+
+export default OSM;
@@ -0,0 +1,59 @@
+/**
+ * @module M/impl/layer/TMS
+ */
+import * as LayerType from 'M/layer/Type';
+import MXYZ from './XYZ';
+import ImplMap from '../Map';
+
+/**
+ * @classdesc
+ * Implementación de la capa TMS. La fila de las teselas se invierte
+ * con la variable {-y} de la plantilla de URL.
+ *
+ * @api
+ * @extends {M.impl.layer.XYZ}
+ */
+class TMS extends MXYZ {
+  /**
+   * Constructor principal de la clase. Crea una capa TMS
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.TMS} userParameters Parámetros para la construcción de la capa.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * @param {Object} vendorOptions Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(userParameters, options = {}, vendorOptions) {
+    super(userParameters, options, vendorOptions);
+
+    /**
+     * TMS zIndex_. Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.TMS];
+
+    /**
+     * TMS displayInLayerSwitcher. Indica si se muestra en el selector de capas.
+     */
+    this.displayInLayerSwitcher = userParameters.displayInLayerSwitcher !== false;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof TMS) {
+      equals = (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default TMS;
@@ -0,0 +1,617 @@
+/**
+ * @module M/impl/layer/Vector
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty, isFunction, includes } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import Style from 'M/style/Style';
+import Layer from './Layer';
+import ImplUtils from '../util/Utils';
+import StyleSimple from '../style/Simple';
+
+/**
+ * @classdesc
+ * Esta función crea una capa vectorial. Cada objeto geográfico se dibuja
+ * como una capa de Leaflet dentro de un grupo en el panel de la capa.
+ *
+ * @property {Object} features_ Objetos geográficos.
+ * @property {Boolean} loaded_ Indica si la capa ha sido cargada.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class Vector extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa vectorial
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - visibility: Indica la visibilidad de la capa.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api stable
+   */
+  constructor(options, vendorOptions) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * Vector facadeVector_. Fachada de la capa.
+     */
+    this.facadeVector_ = null;
+
+    /**
+     * Vector features_. Objetos geográficos.
+     */
+    this.features_ = [];
+
+    /**
+     * Vector loaded_. Indica si la capa ha sido cargada.
+     */
+    this.loaded_ = false;
+
+    /**
+     * Vector styleFn_. Función de estilo de la capa.
+     */
+    this.styleFn_ = null;
+
+    /**
+     * Vector paneName_. Nombre del panel de Leaflet de la capa.
+     */
+    this.paneName_ = null;
+
+    /**
+     * Vector leafletFeatures_. Capas de Leaflet de cada objeto geográfico.
+     */
+    this.leafletFeatures_ = {};
+
+    this.visibility = options.visibility !== false;
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa de la implementación.
+   * @api stable
+   */
+  addTo(map) {
+    this.map = map;
+    this.fire(EventType.ADDED_TO_MAP);
+    map.on(EventType.CHANGE_PROJ, this.setProjection_.bind(this), this);
+    this.paneName_ = this.addToMap_(map);
+    this.setLeafletLayer(L.featureGroup([], { pane: this.paneName_ }));
+    this.setZIndex(this.zIndex_);
+    this.updateSource_();
+  }
+
+  /**
+   * Este método actualiza la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateSource_() {
+    this.redraw();
+    this.loaded_ = true;
+    this.fire(EventType.LOAD, [this.features_]);
+  }
+
+  /**
+   * Este método indica si la capa está dentro del rango.
+   *
+   * @public
+   * @function
+   * @returns {Boolean} Devuelve si está dentro del rango.
+   * @api stable
+   */
+  inRange() {
+    // vectors are always in range
+    return true;
+  }
+
+  /**
+   * Este método devuelve una copia de los objetos geográficos con los atributos
+   * que se muestran en la plantilla.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @returns {Object} Objetos geográficos para la plantilla.
+   * @api stable
+   */
+  parseFeaturesForTemplate_(features) {
+    return {
+      features: features.map(feature => ({
+        id: feature.getId(),
+        attributes: this.recursiveExtract_(feature.getAttributes()),
+      })),
+    };
+  }
+
+  /**
+   * Este método extrae los atributos de un objeto, incluidos los anidados.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} properties Atributos.
+   * @param {String} parentKey Nombre del atributo padre.
+   * @returns {Array<Object>} Atributos con su clave y valor.
+   * @api stable
+   */
+  recursiveExtract_(properties, parentKey = '') {
+    const attributes = [];
+    Object.keys(properties).forEach((key) => {
+      let addAttribute = true;
+      // adds the attribute just if it is not in
+      // hiddenAttributes_ or it is in showAttributes_
+      if (!isNullOrEmpty(this.showAttributes_)) {
+        addAttribute = includes(this.showAttributes_, key);
+      } else if (!isNullOrEmpty(this.hiddenAttributes_)) {
+        addAttribute = !includes(this.hiddenAttributes_, key);
+      }
+
+      const fullKey = parentKey ? `${parentKey} | ${key}` : key;
+      if (typeof properties[key] === 'object' && !Array.isArray(properties[key]) &&
+        !isNullOrEmpty(properties[key])) {
+        attributes.push(...this.recursiveExtract_(properties[key], fullKey));
+      } else if (addAttribute) {
+        const filter = fullKey.split(' | ');
+        attributes.push({
+          key: (parentKey) ? `${filter[filter.length - 2]} | ${filter[filter.length - 1]}` : key,
+          value: properties[key],
+        });
+      }
+    });
+    return attributes;
+  }
+
+  /**
+   * Este método añade objetos geográficos a la capa.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Boolean} update Verdadero para actualizar el estilo de la capa.
+   * @api stable
+   */
+  addFeatures(features, update) {
+    features.forEach((newFeature) => {
+      const feature = this.features_.find(feature2 => feature2.equals(newFeature));
+      if (isNullOrEmpty(feature)) {
+        this.features_.push(newFeature);
+      }
+    });
+    if (update) {
+      this.updateLayer_();
+    }
+    this.redraw();
+  }
+
+  /**
+   * Este método vuelve a aplicar el estilo de la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  updateLayer_() {
+    const style = this.facadeVector_.getStyle();
+    if (!isNullOrEmpty(style)) {
+      if (style instanceof Style) {
+        this.facadeVector_.setStyle(style);
+      } else {
+        style.apply(this.facadeVector_);
+      }
+    }
+  }
+
+  /**
+   * Este método devuelve todos los objetos geográficos o discrimina
+   * por el filtro.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Array<M.Feature>} Objetos geográficos.
+   * @api stable
+   */
+  getFeatures(skipFilter, filter) {
+    let features = this.features_;
+    if (!skipFilter) features = filter.execute(features);
+    return features;
+  }
+
+  /**
+   * Este método devuelve el objeto geográfico con el identificador dado.
+   *
+   * @public
+   * @function
+   * @param {String|Number} id Identificador.
+   * @return {M.Feature} Objeto geográfico.
+   * @api stable
+   */
+  getFeatureById(id) {
+    return this.features_.filter(feature => feature.getId() === id)[0];
+  }
+
+  /**
+   * Este método elimina los objetos geográficos de la capa.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @api stable
+   */
+  removeFeatures(features) {
+    this.features_ = this.features_.filter(f => !(features.includes(f)));
+    features.forEach(feature => feature.getImpl().setLayer(null));
+    this.redraw();
+  }
+
+  /**
+   * Este método vuelve a dibujar todos los objetos geográficos de la capa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  redraw() {
+    const group = this.getLeafletLayer();
+    if (!isNullOrEmpty(group)) {
+      group.clearLayers();
+      this.leafletFeatures_ = {};
+      this.facadeVector_.getFeatures().forEach(this.drawFeature, this);
+    }
+  }
+
+  /**
+   * Este método dibuja o vuelve a dibujar un objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @api stable
+   */
+  drawFeature(feature) {
+    const group = this.getLeafletLayer();
+    if (!isNullOrEmpty(group)) {
+      const id = feature.getId();
+      if (!isNullOrEmpty(this.leafletFeatures_[id])) {
+        group.removeLayer(this.leafletFeatures_[id]);
+        delete this.leafletFeatures_[id];
+      }
+      feature.getImpl().setLayer(this);
+      const styleFn = feature.getImpl().getStyleFn() || this.styleFn_;
+      const options = isFunction(styleFn) ? styleFn(feature) : Vector.DEFAULT_OPTIONS;
+      const leafletFeature = this.createLeafletLayer_(feature.getImpl().getGeometry(), options);
+      if (!isNullOrEmpty(leafletFeature)) {
+        if (!isNullOrEmpty(options.label)) {
+          const label = L.DomUtil.create('span');
+          label.textContent = options.label.text;
+          label.style.color = options.label.color;
+          if (!isNullOrEmpty(options.label.font)) {
+            label.style.font = options.label.font;
+          }
+          leafletFeature.bindTooltip(label, {
+            permanent: true,
+            direction: 'center',
+            className: 'm-leaflet-label',
+            pane: this.paneName_,
+          });
+        }
+        this.leafletFeatures_[id] = leafletFeature;
+        group.addLayer(leafletFeature);
+      }
+    }
+  }
+
+  /**
+   * Este método crea la capa de Leaflet de una geometría GeoJSON.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} geometry Geometría GeoJSON en la proyección del mapa.
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @returns {L.Layer} Capa de Leaflet.
+   * @api stable
+   */
+  createLeafletLayer_(geometry, options) {
+    let leafletLayer = null;
+    if (!isNullOrEmpty(geometry)) {
+      const mapImpl = this.map.getImpl();
+      const toLatLngs = coordinates => (Array.isArray(coordinates[0]) ?
+        coordinates.map(toLatLngs) : mapImpl.toLatLng(coordinates));
+      const pathOptions = { ...options, pane: this.paneName_ };
+      delete pathOptions.icon;
+      delete pathOptions.label;
+      const { coordinates } = geometry;
+      switch (geometry.type) {
+        case 'Point':
+          leafletLayer = this.createPoint_(toLatLngs(coordinates), options, pathOptions);
+          break;
+        case 'MultiPoint':
+          leafletLayer = L.featureGroup(coordinates
+            .map(c => this.createPoint_(toLatLngs(c), options, pathOptions)));
+          break;
+        case 'LineString':
+        case 'MultiLineString':
+          leafletLayer = L.polyline(toLatLngs(coordinates), pathOptions);
+          break;
+        case 'Polygon':
+        case 'MultiPolygon':
+          leafletLayer = L.polygon(toLatLngs(coordinates), pathOptions);
+          break;
+        case 'GeometryCollection':
+          leafletLayer = L.featureGroup(geometry.geometries
+            .map(geom => this.createLeafletLayer_(geom, options))
+            .filter(layer => !isNullOrEmpty(layer)));
+          break;
+        default:
+          leafletLayer = null;
+      }
+    }
+    return leafletLayer;
+  }
+
+  /**
+   * Este método crea la capa de Leaflet de un punto: un icono
+   * si el estilo lo define o un círculo.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {L.LatLng} latlng Coordenada del punto.
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @param {Object} pathOptions Opciones de los trazados de Leaflet.
+   * @returns {L.Layer} Capa de Leaflet.
+   * @api stable
+   */
+  createPoint_(latlng, options, pathOptions) {
+    let point;
+    if (!isNullOrEmpty(options.icon)) {
+      const {
+        src,
+        scale,
+        rotation,
+        opacity,
+        anchor,
+      } = options.icon;
+      const img = L.DomUtil.create('img', 'm-leaflet-icon');
+      img.src = src;
+      img.style.transform = `translate(${-anchor[0] * 100}%, ${-anchor[1] * 100}%) ` +
+        `scale(${scale}) rotate(${rotation}rad)`;
+      img.style.transformOrigin = `${anchor[0] * 100}% ${anchor[1] * 100}%`;
+      point = L.marker(latlng, {
+        pane: this.paneName_,
+        opacity: isNullOrEmpty(opacity) ? 1 : opacity,
+        icon: L.divIcon({
+          html: img,
+          className: 'm-leaflet-icon-container',
+          iconSize: null,
+        }),
+      });
+    } else {
+      point = L.circleMarker(latlng, pathOptions);
+    }
+    return point;
+  }
+
+  /**
+   * Este método establece la función de estilo de la capa.
+   *
+   * @public
+   * @function
+   * @param {Function} styleFn Función de estilo.
+   * @api stable
+   */
+  setStyleFn(styleFn) {
+    this.styleFn_ = styleFn;
+    this.redraw();
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos de la capa
+   * dibujados en un píxel.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} pixel Píxel.
+   * @param {Number} tolerance Tolerancia en píxeles.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @api stable
+   */
+  getFeaturesAtPixel(pixel, tolerance = 0) {
+    let features = [];
+    if (!isNullOrEmpty(this.map) && this.isVisible()) {
+      const toPixel = coordinate => this.map.getImpl().getPixelFromCoordinate(coordinate);
+      features = this.facadeVector_.getFeatures().filter((feature) => {
+        const styleFn = feature.getImpl().getStyleFn() || this.styleFn_;
+        const options = isFunction(styleFn) ? styleFn(feature) : Vector.DEFAULT_OPTIONS;
+        const radius = isNullOrEmpty(options.icon) ? (options.radius || 0) + (options.weight || 0)
+          : Vector.ICON_RADIUS;
+        const geometry = ImplUtils.geometryToPixels(feature.getImpl().getGeometry(), toPixel);
+        return ImplUtils.intersectsPixel(geometry, pixel, tolerance, radius);
+      });
+    }
+    return features;
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Array<Number>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtent(skipFilter, filter) {
+    const features = this.getFeatures(skipFilter, filter);
+    let extent = ImplUtils.getFeaturesExtent(features, this.map.getProjection().code);
+    if (extent === null) {
+      extent = this.map.getProjection().getExtent();
+    }
+    return extent;
+  }
+
+  /**
+   * Este método devuelve la extensión de los objetos geográficos
+   * cuando la capa se ha cargado.
+   *
+   * @public
+   * @function
+   * @param {Boolean} skipFilter Indica si se filtra por el filtro.
+   * @param {M.Filter} filter Filtro.
+   * @return {Promise<Array<Number>>} Extensión.
+   * @api stable
+   */
+  getFeaturesExtentPromise(skipFilter, filter) {
+    return new Promise((resolve) => {
+      if (this.isLoaded() === true) {
+        resolve(this.getFeaturesExtent(skipFilter, filter));
+      } else {
+        this.once(EventType.LOAD, () => resolve(this.getFeaturesExtent(skipFilter, filter)));
+      }
+    });
+  }
+
+  /**
+   * Este método ejecuta la función "click" del primer objeto geográfico seleccionado.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array<Number>} coord Coordenadas.
+   * @param {Object} evt Evento.
+   * @api stable
+   */
+  selectFeatures(features, coord, evt) {
+    const feature = features[0];
+    if (!isNullOrEmpty(feature)) {
+      const clickFn = feature.getAttribute('vendor.mapea.click');
+      if (isFunction(clickFn)) {
+        clickFn(evt, feature);
+      }
+    }
+  }
+
+  /**
+   * Este método establece la clase de la fachada.
+   *
+   * @function
+   * @param {Object} obj Capa de la fachada.
+   * @api stable
+   */
+  setFacadeObj(obj) {
+    this.facadeVector_ = obj;
+    super.setFacadeObj(obj);
+  }
+
+  /**
+   * Este método transforma los objetos geográficos a la nueva proyección.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @param {Object} oldProj Proyección anterior.
+   * @param {Object} newProj Nueva proyección.
+   * @api stable
+   */
+  setProjection_(oldProj, newProj) {
+    if (oldProj.code !== newProj.code) {
+      this.features_.forEach((feature) => {
+        const impl = feature.getImpl();
+        impl.setGeometry(ImplUtils.transformGeometry(impl.getGeometry(), oldProj, newProj));
+      });
+    }
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    return obj instanceof Vector && this.constructor === obj.constructor;
+  }
+
+  /**
+   * Este método vuelve a dibujar la capa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  refresh() {
+    this.redraw();
+  }
+
+  /**
+   * Este método indica si la capa ha sido cargada.
+   *
+   * @public
+   * @function
+   * @returns {Boolean} Verdadero si se ha cargado.
+   * @api stable
+   */
+  isLoaded() {
+    return this.loaded_;
+  }
+
+  /**
+   * Este método destruye esta capa, limpiando el HTML
+   * y anulando el registro de todos los eventos.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.features_.forEach(feature => feature.getImpl().setLayer(null));
+    this.leafletFeatures_ = {};
+    super.destroy();
+  }
+}
+
+/**
+ * Opciones de dibujo de los objetos geográficos sin estilo.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+Vector.DEFAULT_OPTIONS = StyleSimple.toLeafletOptions({
+  fill: {
+    color: 'rgba(255, 255, 255, 0.4)',
+  },
+  stroke: {
+    color: '#3399CC',
+    width: 1.5,
+  },
+});
+Vector.DEFAULT_OPTIONS.radius = 5;
+
+/**
+ * Radio en píxeles con el que se seleccionan los iconos.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Vector.ICON_RADIUS = 12;
+
+export default Vector;
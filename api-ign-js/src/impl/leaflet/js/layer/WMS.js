@@ -0,0 +1,782 @@
+/**
+ * @module M/impl/layer/WMS
+ */
+import {
+  isNullOrEmpty,
+  isNull,
+  getWMSGetCapabilitiesUrl,
+  getResolutionFromScale,
+  addParameters,
+  concatUrlPaths,
+  isArray,
+} from 'M/util/Utils';
+import FacadeLayerBase from 'M/layer/Layer';
+import * as LayerType from 'M/layer/Type';
+import FacadeWMS from 'M/layer/WMS';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import * as EventType from 'M/event/eventtype';
+import { getValue } from 'M/i18n/language';
+import ImplMap from '../Map';
+import LayerBase from './Layer';
+import ImplUtils from '../util/Utils';
+import GetCapabilities from '../util/WMSCapabilities';
+import FormatWMS from '../format/WMS';
+import TileWMS from '../source/TileWMS';
+import ImageWMS from '../source/ImageWMS';
+
+/**
+ * @classdesc
+ * WMS devuelve un mapa en formato imagen de un conjunto capas ráster o vectoriales.
+ * En Leaflet las imágenes se piden siempre en EPSG:3857, el sistema de
+ * referencia en el que se dibuja el mapa.
+ *
+ * @property {Object} options Opciones de la capa WMS.
+ * @property {Array<M.layer.WMS>} layers Intancia de WMS con metadatos.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class WMS extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa WMS
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @implements {M.impl.Layer}
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - visibility: Indica la visibilidad de la capa.
+   * - singleTile: Indica si la tesela es única o no.
+   * - numZoomLevels: Número de niveles de zoom.
+   * - format: Formato de la capa, por defecto image/png.
+   * - styles: Estilos de la capa.
+   * - sldBody: Parámetro SLD_BODY de la petición GetMap.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - queryable: Indica si la capa es consultable.
+   * - minScale: Escala mínima.
+   * - maxScale: Escala máxima.
+   * - minResolution: Resolución mínima.
+   * - maxResolution: Resolución máxima.
+   * - ratio: Tamaño de la imagen única respecto al tamaño del mapa. Por defecto 1.
+   * @param {Object} vendorOptions Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * WMS options. Opciones de la capa.
+     */
+    this.options = options;
+
+    /**
+     * WMS layers. Capas.
+     */
+    this.layers = [];
+
+    /**
+     * WMS getCapabilitiesPromise. Metadatos, promesa.
+     */
+    this.getCapabilitiesPromise = null;
+
+    /**
+     * WMS extentPromise. Extensión de la capa, promesa.
+     */
+    this.extentPromise = null;
+
+    /**
+     * WMS extent_. Extensión de la capa que se obtuvo del servicio getCapabilities.
+     */
+    this.extent_ = null;
+
+    /**
+     * WMS resolutions_. Resoluciones de la capa.
+     */
+    this.resolutions_ = null;
+
+    /**
+     * WMS extentProj_. Proyección actual.
+     */
+    this.extentProj_ = null;
+
+    /**
+     * WMS visibility. Indica la visibilidad de la capa.
+     */
+    if (this.options.visibility === false) {
+      this.visibility = false;
+    }
+
+    /**
+     * WMS tiled. Indica si la tesela es única o no.
+     */
+    if (isNullOrEmpty(this.tiled)) {
+      this.tiled = (this.options.singleTile !== true);
+    }
+
+    /**
+     * WMS numZoomLevels. Número de niveles de zoom.
+     */
+    if (isNullOrEmpty(this.options.numZoomLevels)) {
+      this.options.numZoomLevels = 20; // by default
+    }
+
+    /**
+     * WMS format. Formato de la capa, por defecto image/png.
+     */
+    this.format = isNullOrEmpty(this.options.format) ? 'image/png' : this.options.format;
+
+    /**
+     * WMS styles. Estilos de la capa.
+     */
+    this.styles = this.options.styles || '';
+
+    /**
+     * WMS sldBody. Parámetro SLD_BODY de la petición GetMap.
+     */
+    this.sldBody = options.sldBody;
+
+    /**
+     * WMS zIndex_. Índice de la capa, (+40).
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.WMS];
+
+    /**
+     * WMS useCapabilities. Indica si se usa el getCapabilities.
+     */
+    this.useCapabilities = options.useCapabilities !== false;
+
+    /**
+     * WMS ratio. Tamaño de las solicitudes de las imágenes.
+     */
+    this.ratio = options.ratio || 1;
+  }
+
+  /**
+   * Este método establece la visibilidad de esta capa.
+   *
+   * @function
+   * @param {Boolean} visibility Verdadero es visible, falso si no.
+   * @api stable
+   */
+  setVisible(visibility) {
+    this.visibility = visibility;
+    // if this layer is base then it hides all base layers
+    if (!isNullOrEmpty(this.map) && (visibility === true) && (this.transparent !== true)) {
+      this.map.getBaseLayers()
+        .filter(layer => !layer.equals(this.facadeLayer_) && layer.isVisible())
+        .forEach(layer => layer.setVisible(false));
+    }
+    this.updateVisibility_();
+  }
+
+  /**
+   * Este método indica si la capa es consultable.
+   *
+   * @function
+   * @returns {Boolean} Verdadero es consultable, falso si no.
+   * @api stable
+   * @expose
+   */
+  isQueryable() {
+    return (this.options.queryable !== false);
+  }
+
+  /**
+   * Este método indica si la capa está dentro del rango de zoom y
+   * de resoluciones.
+   *
+   * @function
+   * @returns {Boolean} Verdadero está dentro del rango, falso si no.
+   * @api stable
+   * @expose
+   */
+  inRange() {
+    let inRange = super.inRange();
+    const resolution = isNullOrEmpty(this.map) ? null : this.map.getImpl().getResolution();
+    if (inRange && !isNullOrEmpty(resolution)) {
+      const { minResolution, maxResolution } = this.options;
+      inRange = (isNullOrEmpty(minResolution) || resolution >= minResolution) &&
+        (isNullOrEmpty(maxResolution) || resolution <= maxResolution);
+    }
+    return inRange;
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    this.map = map;
+    this.fire(EventType.ADDED_TO_MAP);
+
+    // calculates the resolutions from scales
+    if (!isNull(this.options) &&
+      !isNull(this.options.minScale) && !isNull(this.options.maxScale)) {
+      const units = this.map.getProjection().units;
+      this.options.minResolution = getResolutionFromScale(this.options.minScale, units);
+      this.options.maxResolution = getResolutionFromScale(this.options.maxScale, units);
+    }
+
+    // checks if it is a WMS_FULL
+    if (isNullOrEmpty(this.name)) { // WMS_FULL (add all wms layers)
+      this.addAllLayers_();
+    } else if (this.useCapabilities) {
+      // just one WMS layer and useCapabilities
+      // without capabilities the layer is added with the user parameters
+      this.getCapabilities().then((capabilities) => {
+        this.addSingleLayer_(capabilities);
+      }, () => this.addSingleLayer_(null));
+    } else {
+      // just one WMS layer
+      this.addSingleLayer_(null);
+    }
+
+    if (this.legendUrl_ === concatUrlPaths([M.config.THEME_URL, FacadeLayerBase.LEGEND_DEFAULT])) {
+      this.legendUrl_ = addParameters(this.url, {
+        SERVICE: 'WMS',
+        VERSION: this.version,
+        REQUEST: 'GetLegendGraphic',
+        LAYER: this.name,
+        FORMAT: 'image/png',
+      });
+    }
+  }
+
+  /**
+   * Este método establece las resoluciones para esta capa. Leaflet pide
+   * las imágenes con los niveles de zoom del mapa, por lo que solo se
+   * guardan.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} resolutions Nuevas resoluciones a aplicar.
+   * @api stable
+   */
+  setResolutions(resolutions) {
+    this.resolutions_ = resolutions;
+  }
+
+  /**
+   * Este método agrega esta capa como capa única.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} capabilities Metadatos del servicio.
+   * @api stable
+   */
+  addSingleLayer_(capabilities) {
+    if (isNullOrEmpty(this.map)) {
+      return;
+    }
+    if (capabilities) {
+      const capabilitiesLayer = capabilities.capabilities.Capability.Layer.Layer;
+      if (isArray(capabilitiesLayer)) {
+        const formatCapabilities = this.formatCapabilities_(capabilitiesLayer);
+        this.addCapabilitiesMetadata(formatCapabilities);
+      }
+      this.extent_ = this.facadeLayer_.calculateMaxExtentWithCapabilities(capabilities);
+    }
+
+    const pane = this.addToMap_(this.map);
+    const params = this.getParams_();
+    const leafletOptions = Object.assign({
+      pane,
+      bounds: isNullOrEmpty(this.extent_) ? undefined : this.map.getImpl()
+        .extentToBounds(this.extent_),
+    }, this.vendorOptions_);
+    let leafletLayer;
+    if (this.tiled === true) {
+      leafletLayer = new TileWMS(this.url, params, leafletOptions);
+    } else {
+      leafletLayer = new ImageWMS(this.url, params, Object.assign({
+        ratio: this.ratio,
+      }, leafletOptions));
+    }
+    this.setLeafletLayer(leafletLayer);
+    this.setZIndex(this.zIndex_);
+  }
+
+  /**
+   * Este método devuelve los metadatos de la capa cuando el GetCapabilities
+   * tiene varias capas y obtiene de ellos la URL de la leyenda.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Array<Object>} capabilitiesLayers Capas del GetCapabilities.
+   * @returns {Object} Metadatos de la capa.
+   * @api stable
+   */
+  formatCapabilities_(capabilitiesLayers) {
+    const find = (layers) => {
+      let found = layers.find(l => l.Name === this.facadeLayer_.name);
+      layers.filter(l => isNullOrEmpty(found) && !isNullOrEmpty(l.Layer)).forEach((l) => {
+        found = found || find(l.Layer);
+      });
+      return found;
+    };
+    const capabilitiesLayer = find(capabilitiesLayers) || {};
+    const [style] = capabilitiesLayer.Style || [];
+    if (!isNullOrEmpty(style) && !isNullOrEmpty(style.LegendURL)) {
+      this.legendUrl_ = style.LegendURL;
+    }
+    return capabilitiesLayer;
+  }
+
+  /**
+   * Este método agrega metadatos.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} capabilitiesLayer Metadatos de la capa.
+   * @api stable
+   */
+  addCapabilitiesMetadata(capabilitiesLayer) {
+    const abstract = !isNullOrEmpty(capabilitiesLayer.Abstract) ? capabilitiesLayer.Abstract : '';
+    const style = !isNullOrEmpty(capabilitiesLayer.Style) ? capabilitiesLayer.Style : '';
+
+    const capabilitiesMetadata = {
+      abstract,
+      attribution: '',
+      metadataURL: '',
+      style,
+    };
+    if (this.facadeLayer_.capabilitiesMetadata === undefined) {
+      this.facadeLayer_.capabilitiesMetadata = capabilitiesMetadata;
+    }
+  }
+
+  /**
+   * Este método devuelve los parámetros de la petición GetMap.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @return {Object} Parámetros de la petición.
+   * @api
+   */
+  getParams_() {
+    const layerParams = {
+      LAYERS: this.name,
+      VERSION: this.version,
+      TRANSPARENT: this.transparent,
+      FORMAT: this.format,
+      STYLES: this.styles,
+    };
+
+    if (this.version !== '1.3.0') {
+      layerParams.TILED = this.tiled;
+    }
+
+    if (!isNullOrEmpty(this.sldBody)) {
+      layerParams.SLD_BODY = this.sldBody;
+    }
+
+    if (!isNullOrEmpty(this.options.params)) {
+      Object.keys(this.options.params).forEach((key) => {
+        layerParams[key.toUpperCase()] = this.options.params[key];
+      });
+    }
+    return layerParams;
+  }
+
+  /**
+   * Este método agrega todas las capas definidas en el servidor.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @api stable
+   */
+  addAllLayers_() {
+    this.getCapabilities().then((getCapabilities) => {
+      getCapabilities.getLayers().forEach((layer) => {
+        const wmsLayer = new FacadeWMS({
+          url: this.url,
+          name: layer.name,
+          version: layer.version,
+          tiled: this.tiled,
+        }, this.vendorOptions_);
+        this.layers.push(wmsLayer);
+      });
+
+      this.map.addWMS(this.layers);
+
+      // updates the z-index of the layers
+      let baseLayersIdx = this.layers.length;
+      this.layers.forEach((layer) => {
+        layer.setZIndex(ImplMap.Z_INDEX[LayerType.WMS] + baseLayersIdx);
+        baseLayersIdx += 1;
+      });
+    }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
+  }
+
+  /**
+   * Este método obtiene la extensión.
+   *
+   * @public
+   * @function
+   * @returns {Array<Number>} Extensión, asincrono.
+   * @api stable
+   */
+  getExtent() {
+    const projection = this.map.getProjection().code;
+
+    // creates the promise
+    this.extentPromise = new Promise((success, fail) => {
+      if (!isNullOrEmpty(this.extent_) && !isNullOrEmpty(this.extentProj_)) {
+        this.extent_ = ImplUtils.transformExtent(this.extent_, this.extentProj_, projection);
+        this.extentProj_ = projection;
+        success(this.extent_);
+      } else {
+        this.getCapabilities().then((getCapabilities) => {
+          this.extent_ = getCapabilities.getLayerExtent(this.name);
+          this.extentProj_ = projection;
+          success(this.extent_);
+        }).catch(fail);
+      }
+    });
+    return this.extentPromise;
+  }
+
+  /**
+   * Este método obtiene la resolución mínima.
+   *
+   * @public
+   * @function
+   * @return {Number} Resolución mínima.
+   * @api stable
+   */
+  getMinResolution() {
+    return this.options.minResolution;
+  }
+
+  /**
+   * Este método obtiene la resolución máxima para
+   * este WMS.
+   *
+   * @public
+   * @function
+   * @return {Number} Resolución Máxima.
+   * @api stable
+   */
+  getMaxResolution() {
+    return this.options.maxResolution;
+  }
+
+  /**
+   * Actualiza la resolución mínima y máxima de la capa.
+   *
+   * @public
+   * @function
+   * @param {Mx.Projection} projection Proyección del mapa.
+   * @api stable
+   */
+  updateMinMaxResolution(projection) {
+    if (!isNullOrEmpty(this.options.minResolution)) {
+      this.options.minResolution = getResolutionFromScale(this.options.minScale, projection.units);
+    }
+
+    if (!isNullOrEmpty(this.options.maxResolution)) {
+      this.options.maxResolution = getResolutionFromScale(this.options.maxScale, projection.units);
+    }
+    this.updateVisibility_();
+  }
+
+  /**
+   * Sobrescribe la extensión máxima de la capa.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} maxExtent Extensión máxima.
+   * @api stable
+   */
+  setMaxExtent(maxExtent) {
+    this.extent_ = maxExtent;
+    this.extentProj_ = this.map.getProjection().code;
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer) && !isNullOrEmpty(maxExtent)) {
+      leafletLayer.options.bounds = this.map.getImpl().extentToBounds(maxExtent);
+      if (this.tiled === true) {
+        leafletLayer.redraw();
+      }
+    }
+  }
+
+  /**
+   * Este método obtiene el número de niveles de zoom
+   * disponibles para la capa WMS.
+   *
+   * @public
+   * @function
+   * @returns {Number} Número de niveles de zoom.
+   * @api stable
+   */
+  getNumZoomLevels() {
+    return this.options.numZoomLevels;
+  }
+
+  /**
+   * Devuelve las capas WMS.
+   *
+   * @public
+   * @function
+   * @return {M.layer.WMS.impl} Capa WMS.
+   * @api stable
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  /**
+   * Devuelve los metadatos, asincrono.
+   *
+   * @public
+   * @function
+   * @returns {capabilities} Metadatos.
+   * @api stable
+   */
+  getCapabilities() {
+    const capabilitiesInfo = this.map.collectionCapabilities.find((cap) => {
+      return cap.url === this.url;
+    });
+
+    if (capabilitiesInfo.capabilities) {
+      this.getCapabilitiesPromise = capabilitiesInfo.capabilities;
+    } else if (isNullOrEmpty(this.getCapabilitiesPromise)) {
+      const layerUrl = this.url;
+      const layerVersion = this.version;
+      const projection = this.map.getProjection();
+      this.getCapabilitiesPromise = new Promise((success, fail) => {
+        // gest the capabilities URL
+        const wmsGetCapabilitiesUrl = getWMSGetCapabilitiesUrl(layerUrl, layerVersion);
+        const requestOptions = this.getRequestOptions(requestType.CAPABILITIES);
+        // gets the getCapabilities response
+        getRemote(wmsGetCapabilitiesUrl, null, requestOptions).then((response) => {
+          const getCapabilitiesDocument = response.xml;
+          const getCapabilitiesParser = new FormatWMS();
+          const getCapabilities = getCapabilitiesParser.customRead(getCapabilitiesDocument);
+
+          const getCapabilitiesUtils = new GetCapabilities(getCapabilities, layerUrl, projection);
+          success(getCapabilitiesUtils);
+        }).catch(fail);
+      });
+      capabilitiesInfo.capabilities = this.getCapabilitiesPromise;
+    }
+
+    return this.getCapabilitiesPromise;
+  }
+
+  /**
+   * Devuelve las dimensiones (TIME, ELEVATION...) que anuncia el servicio
+   * para la capa en su GetCapabilities.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa.
+   * @api stable
+   */
+  getDimensions() {
+    if (isNullOrEmpty(this.map)) {
+      return Promise.reject(new Error(getValue('exception').no_map));
+    }
+    return this.getCapabilities().then(capabilities => capabilities.getLayerDimensions(this.name));
+  }
+
+  /**
+   * Devuelve el valor seleccionado de una dimensión.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time" o "elevation".
+   * @returns {String} Valor de la dimensión.
+   * @api stable
+   */
+  getDimension(name) {
+    const param = WMS.getDimensionParam(name);
+    const params = this.options.params || {};
+    const key = Object.keys(params).find(k => k.toUpperCase() === param);
+    return isNullOrEmpty(key) ? undefined : params[key];
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión y vuelve a cargar la capa.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time" o "elevation".
+   * @param {String} value Valor de la dimensión, nulo para usar el valor por defecto.
+   * @api stable
+   */
+  setDimension(name, value) {
+    const param = WMS.getDimensionParam(name);
+    const params = { ...this.options.params };
+    Object.keys(params).filter(k => k.toUpperCase() === param).forEach((k) => {
+      delete params[k];
+    });
+    if (!isNullOrEmpty(value)) {
+      params[param] = value;
+    }
+    this.options.params = params;
+
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer)) {
+      leafletLayer.updateParams({
+        [param]: isNullOrEmpty(value) ? undefined : value,
+      });
+    }
+  }
+
+  /**
+   * Este método devuelve la URL de la petición GetFeatureInfo de la
+   * capa en una coordenada o nulo si la capa no es visible o consultable.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} coordinate Coordenada en la proyección del mapa.
+   * @param {String} infoFormat Formato de la respuesta.
+   * @param {Object} params Parámetros adicionales (FEATURE_COUNT, BUFFER...).
+   * @returns {String} URL de la petición.
+   * @api stable
+   */
+  getFeatureInfoUrl(coordinate, infoFormat, params = {}) {
+    const leafletLayer = this.getLeafletLayer();
+    if (isNullOrEmpty(leafletLayer) || !this.isVisible() || !this.isQueryable()) {
+      return null;
+    }
+    const lMap = this.map.getMapImpl();
+    const crs = lMap.options.crs;
+    const zoom = lMap.getZoom();
+    const half = WMS.INFO_SIZE / 2;
+    const pixel = lMap.project(this.map.getImpl().toLatLng(coordinate), zoom);
+    const min = crs.project(lMap.unproject(pixel.subtract([half, -half]), zoom));
+    const max = crs.project(lMap.unproject(pixel.add([half, -half]), zoom));
+    const infoParams = Object.assign({}, leafletLayer.getParams(), {
+      REQUEST: 'GetFeatureInfo',
+      QUERY_LAYERS: this.name,
+      INFO_FORMAT: infoFormat,
+    }, params);
+    if (/buffer/i.test(this.url)) {
+      delete infoParams.BUFFER;
+    }
+    const pixelParams = this.version === '1.3.0' ? { I: half, J: half } : { X: half, Y: half };
+    const url = TileWMS.getMapUrl(this.url, infoParams, crs.code, {
+      min,
+      max,
+    }, { x: WMS.INFO_SIZE, y: WMS.INFO_SIZE });
+    return addParameters(url, pixelParams);
+  }
+
+  /**
+   * Este método actualiza el estado de este
+   * capa.
+   *
+   * @public
+   * @function
+   * @api stable
+   * @export
+   */
+  refresh() {
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer)) {
+      leafletLayer.updateParams({});
+    }
+  }
+
+  /**
+   * Devuelve la extensión de los metadatos.
+   *
+   * @public
+   * @function
+   * @param {capabilities} capabilities Metadatos WMS.
+   * @returns {Array<Number>} WMS Extensión.
+   * @api stable
+   */
+  getExtentFromCapabilities(capabilities) {
+    const name = this.facadeLayer_.name;
+    return capabilities.getLayerExtent(name);
+  }
+
+  /**
+   * Este método destruye esta capa, limpiando el HTML
+   * y anulando el registro de todos los eventos.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    if (!isNullOrEmpty(this.layers) && !isNullOrEmpty(this.map)) {
+      this.layers.map(this.map.removeLayers, this.map);
+      this.layers.length = 0;
+    }
+    super.destroy();
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof WMS) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.version === obj.version);
+    }
+
+    return equals;
+  }
+}
+
+/**
+ * WMS LEGEND_IMAGE.
+ *
+ * Imagen de la leyenda por defecto.
+ *
+ * @public
+ * @const
+ * @type {string | null}
+ * @api stable
+ */
+WMS.LEGEND_IMAGE = null;
+
+/**
+ * Tamaño en píxeles de la imagen de las peticiones GetFeatureInfo.
+ *
+ * @public
+ * @const
+ * @type {number}
+ * @api stable
+ */
+WMS.INFO_SIZE = 101;
+
+/**
+ * Este método devuelve el parámetro de la petición GetMap de una dimensión:
+ * TIME, ELEVATION o DIM_<NOMBRE> para el resto de dimensiones.
+ *
+ * @public
+ * @function
+ * @param {String} name Nombre de la dimensión.
+ * @returns {String} Parámetro de la petición.
+ * @api stable
+ */
+WMS.getDimensionParam = (name) => {
+  const upperName = String(name).toUpperCase();
+  if (['TIME', 'ELEVATION'].includes(upperName) || upperName.startsWith('DIM_')) {
+    return upperName;
+  }
+  return `DIM_${upperName}`;
+};
+
+export default WMS;
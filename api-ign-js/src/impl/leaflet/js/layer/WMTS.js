@@ -0,0 +1,535 @@
+/**
+ * @module M/impl/layer/WMTS
+ */
+import * as L from 'leaflet';
+import {
+  isNullOrEmpty,
+  isNull,
+  isArray,
+  getResolutionFromScale,
+  getWMTSGetCapabilitiesUrl,
+  addParameters,
+  getDimensionValues,
+} from 'M/util/Utils';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import * as EventType from 'M/event/eventtype';
+import { getValue } from 'M/i18n/language';
+import LayerBase from './Layer';
+import FormatWMTS from '../format/WMTS';
+
+/**
+ * @classdesc
+ * WMTS (Web Map Tile Service) es un estándar OGC para servir información geográfica
+ * en forma de teselas. En Leaflet las teselas se piden con la codificación KVP y
+ * la matriz de teselas tiene que estar en EPSG:3857 (por ejemplo, GoogleMapsCompatible).
+ *
+ * @property {Object} options Opciones de la capa WMTS.
+ * @property {Object} dimensions_ Valores seleccionados de las dimensiones.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class WMTS extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa WMTS
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - visibility: Indica la visibilidad de la capa.
+   * - format: Formato de las teselas, por defecto image/png.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - queryable: Indica si la capa es consultable.
+   * - minScale: Escala mínima.
+   * - maxScale: Escala máxima.
+   * - useCapabilities: Indica si se usa el GetCapabilities, por defecto verdadero.
+   * @param {Object} vendorOptions Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * WMTS getCapabilitiesPromise_. Metadatos, promesa.
+     */
+    this.getCapabilitiesPromise_ = null;
+
+    /**
+     * WMTS options. Opciones de la capa.
+     */
+    this.options = options;
+
+    /**
+     * WMTS useCapabilities. Indica si se usa el getCapabilities.
+     */
+    this.useCapabilities = options.useCapabilities !== false;
+
+    /**
+     * WMTS dimensions_. Valores seleccionados de las dimensiones.
+     */
+    this.dimensions_ = {};
+
+    /**
+     * WMTS matrixIds_. Identificadores de la matriz de teselas por nivel de zoom.
+     */
+    this.matrixIds_ = [];
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    this.map = map;
+    this.fire(EventType.ADDED_TO_MAP);
+
+    // calculates the resolutions from scales
+    if (!isNull(this.options) &&
+      !isNull(this.options.minScale) && !isNull(this.options.maxScale)) {
+      const units = this.map.getProjection().units;
+      this.options.minResolution = getResolutionFromScale(this.options.minScale, units);
+      this.options.maxResolution = getResolutionFromScale(this.options.maxScale, units);
+    }
+
+    if (this.useCapabilities) {
+      this.getCapabilities().then((capabilities) => {
+        this.addLayer_(capabilities);
+      }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
+    } else {
+      this.addLayer_(null);
+    }
+  }
+
+  /**
+   * Este método establece la visibilidad de esta capa.
+   *
+   * @function
+   * @param {Boolean} visibility Verdadero es visible, falso si no.
+   * @api stable
+   */
+  setVisible(visibility) {
+    this.visibility = visibility;
+    if (!isNullOrEmpty(this.map) && (visibility === true) && (this.transparent !== true)) {
+      // hides all base layers
+      this.map.getBaseLayers()
+        .filter(layer => !layer.equals(this.facadeLayer_) && layer.isVisible())
+        .forEach(layer => layer.setVisible(false));
+
+      // updates resolutions and keep the bbox
+      const oldBbox = this.map.getBbox();
+      this.map.getImpl().updateResolutionsFromBaseLayer();
+      if (!isNullOrEmpty(oldBbox)) {
+        this.map.setBbox(oldBbox);
+      }
+    }
+    this.updateVisibility_();
+  }
+
+  /**
+   * Este método establece las resoluciones para esta capa. Leaflet pide
+   * las teselas con los niveles de zoom del mapa, por lo que no se usan.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} resolutions Nuevas resoluciones a aplicar.
+   * @api stable
+   */
+  setResolutions(resolutions) {}
+
+  /**
+   * Este método agrega la capa de Leaflet al mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} capabilities Metadatos del servicio, nulo si no se usan.
+   * @api stable
+   */
+  addLayer_(capabilities) {
+    if (isNullOrEmpty(this.map)) {
+      return;
+    }
+    let format = this.options.format;
+    if (!isNullOrEmpty(capabilities)) {
+      const capabilitiesLayer = this.getCapabilitiesLayer_(capabilities);
+      if (!isNullOrEmpty(capabilitiesLayer)) {
+        format = format || capabilitiesLayer.Format[0];
+        this.addCapabilitiesMetadata_(capabilitiesLayer, capabilities);
+      }
+      const tileMatrixSet = capabilities.Contents.TileMatrixSet
+        .find(tms => tms.Identifier === this.matrixSet);
+      if (!isNullOrEmpty(tileMatrixSet)) {
+        this.matrixIds_ = tileMatrixSet.TileMatrix.map(matrix => matrix.Identifier);
+      }
+    }
+    format = format || 'image/png';
+    this.facadeLayer_.setFormat(format);
+
+    const pane = this.addToMap_(this.map);
+    const maxExtent = this.facadeLayer_.getMaxExtent();
+    this.setLeafletLayer(L.tileLayer(this.getTileUrlTemplate_(format), Object.assign({
+      pane,
+      bounds: isNullOrEmpty(maxExtent) ? undefined : this.map.getImpl()
+        .extentToBounds(maxExtent),
+      tileMatrix: data => this.getMatrixId_(data.z),
+      attribution: ' https://www.ign.es/',
+    }, this.vendorOptions_)));
+    this.setZIndex(this.zIndex_);
+    this.fire(EventType.ADDED_TO_MAP, this);
+  }
+
+  /**
+   * Este método devuelve la plantilla de URL de las peticiones GetTile
+   * con los valores de las dimensiones.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} format Formato de las teselas.
+   * @returns {String} Plantilla de URL.
+   * @api stable
+   */
+  getTileUrlTemplate_(format) {
+    const url = addParameters(this.url, Object.assign({
+      SERVICE: 'WMTS',
+      REQUEST: 'GetTile',
+      VERSION: '1.0.0',
+      LAYER: this.name,
+      STYLE: this.options.style || 'default',
+      TILEMATRIXSET: this.matrixSet,
+      FORMAT: format,
+    }, this.dimensions_));
+    return `${url}&TILEMATRIX={tileMatrix}&TILEROW={y}&TILECOL={x}`;
+  }
+
+  /**
+   * Este método devuelve el identificador de la matriz de teselas
+   * de un nivel de zoom de Leaflet.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Number} zoom Nivel de zoom de Leaflet.
+   * @returns {String} Identificador.
+   * @api stable
+   */
+  getMatrixId_(zoom) {
+    return isNullOrEmpty(this.matrixIds_[zoom]) ? zoom : this.matrixIds_[zoom];
+  }
+
+  /**
+   * Este método devuelve la capa del GetCapabilities.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} capabilities Metadatos del servicio.
+   * @returns {Object} Capa del GetCapabilities.
+   * @api stable
+   */
+  getCapabilitiesLayer_(capabilities) {
+    let capabilitiesLayer = capabilities.Contents.Layer;
+    if (isArray(capabilitiesLayer)) {
+      capabilitiesLayer = capabilitiesLayer.find(l => l.Identifier === this.name);
+    }
+    return capabilitiesLayer;
+  }
+
+  /**
+   * Este método agrega los metadatos y la leyenda de la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} capabilitiesLayer Capa del GetCapabilities.
+   * @param {Object} capabilities Metadatos del servicio.
+   * @api stable
+   */
+  addCapabilitiesMetadata_(capabilitiesLayer, capabilities) {
+    const [style] = capabilitiesLayer.Style;
+    if (!isNullOrEmpty(style) && !isNullOrEmpty(style.LegendURL)) {
+      this.legendUrl_ = style.LegendURL.replaceAll('&amp;', '&');
+    }
+    if (this.facadeLayer_.capabilitiesMetadata === undefined) {
+      this.facadeLayer_.capabilitiesMetadata = {
+        abstract: capabilitiesLayer.Abstract || '',
+        attribution: capabilities.ServiceProvider || '',
+        style: capabilitiesLayer.Style,
+      };
+    }
+  }
+
+  /**
+   * Sobrescribe la extensión máxima de la capa.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} maxExtent Extensión máxima.
+   * @api stable
+   */
+  setMaxExtent(maxExtent) {
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer) && !isNullOrEmpty(maxExtent)) {
+      leafletLayer.options.bounds = this.map.getImpl().extentToBounds(maxExtent);
+      leafletLayer.redraw();
+    }
+  }
+
+  /**
+   * Devuelve los metadatos, asincrono.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Metadatos.
+   * @api stable
+   */
+  getCapabilities() {
+    if (isNullOrEmpty(this.getCapabilitiesPromise_)) {
+      this.getCapabilitiesPromise_ = new Promise((success, fail) => {
+        const getCapabilitiesUrl = getWMTSGetCapabilitiesUrl(this.url);
+        const requestOptions = this.getRequestOptions(requestType.CAPABILITIES);
+        getRemote(getCapabilitiesUrl, null, requestOptions).then((response) => {
+          success(new FormatWMTS().read(response.xml));
+        }).catch(fail);
+      });
+    }
+    return this.getCapabilitiesPromise_;
+  }
+
+  /**
+   * Devuelve las dimensiones (TIME, ELEVATION...) que anuncia el servicio
+   * para la capa en su GetCapabilities.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa.
+   * @api stable
+   */
+  getDimensions() {
+    if (isNullOrEmpty(this.map)) {
+      return Promise.reject(new Error(getValue('exception').no_map));
+    }
+    return this.getCapabilities().then((capabilities) => {
+      const capabilitiesLayer = this.getCapabilitiesLayer_(capabilities);
+      const dimensions = isNullOrEmpty(capabilitiesLayer) ? [] : capabilitiesLayer.Dimension;
+      return dimensions.map(dimension => ({
+        name: dimension.Identifier,
+        default: dimension.Default,
+        values: getDimensionValues(dimension.Value),
+      }));
+    });
+  }
+
+  /**
+   * Devuelve el valor seleccionado de una dimensión.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión.
+   * @returns {String} Valor de la dimensión.
+   * @api stable
+   */
+  getDimension(name) {
+    const key = Object.keys(this.dimensions_)
+      .find(k => k.toLowerCase() === String(name).toLowerCase());
+    return isNullOrEmpty(key) ? undefined : this.dimensions_[key];
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión y vuelve a cargar la capa.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión.
+   * @param {String} value Valor de la dimensión.
+   * @api stable
+   */
+  setDimension(name, value) {
+    Object.keys(this.dimensions_)
+      .filter(k => k.toLowerCase() === String(name).toLowerCase())
+      .forEach((k) => {
+        delete this.dimensions_[k];
+      });
+    this.dimensions_[name] = value;
+
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer)) {
+      leafletLayer.setUrl(this.getTileUrlTemplate_(this.options.format));
+    }
+  }
+
+  /**
+   * Este método obtiene la resolución mínima.
+   *
+   * @public
+   * @function
+   * @return {Number} Resolución mínima.
+   * @api stable
+   */
+  getMinResolution() {
+    return this.options.minResolution;
+  }
+
+  /**
+   * Este método obtiene la resolución máxima.
+   *
+   * @public
+   * @function
+   * @return {Number} Resolución máxima.
+   * @api stable
+   */
+  getMaxResolution() {
+    return this.options.maxResolution;
+  }
+
+  /**
+   * Este método indica si la capa es consultable.
+   *
+   * @function
+   * @returns {Boolean} Verdadero es consultable, falso si no.
+   * @api stable
+   */
+  isQueryable() {
+    return this.options.queryable !== false;
+  }
+
+  /**
+   * Este método devuelve la URL de la petición GetFeatureInfo
+   * de la capa en una coordenada.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} coordinate Coordenada en la proyección del mapa.
+   * @param {Number} zoom Zoom del mapa.
+   * @param {String} formatInfo Formato de la respuesta.
+   * @returns {String} URL de la petición.
+   * @api stable
+   */
+  getFeatureInfoUrl(coordinate, zoom, formatInfo) {
+    const [tilecol, tilerow] = this.getTileColTileRow(coordinate, zoom);
+    const [I, J] = this.getRelativeTileCoordInPixel_(coordinate, zoom);
+    let tilematrix = this.getMatrixId_(this.getLeafletZoom_(zoom));
+    if (this.matrixSet.indexOf(':4326') > -1) {
+      tilematrix = `${this.matrixSet}:${tilematrix}`;
+    }
+
+    return addParameters(this.url, {
+      service: 'WMTS',
+      request: 'GetFeatureInfo',
+      version: '1.0.0',
+      layer: this.name,
+      tilematrixset: this.matrixSet,
+      tilematrix,
+      tilerow,
+      tilecol,
+      J,
+      I,
+      infoFormat: formatInfo,
+    });
+  }
+
+  /**
+   * Este método devuelve la columna y la fila de la tesela
+   * que contiene una coordenada.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} coordinate Coordenada en la proyección del mapa.
+   * @param {Number} zoom Zoom del mapa.
+   * @returns {Array<Number>} Columna y fila de la tesela.
+   * @api stable
+   */
+  getTileColTileRow(coordinate, zoom) {
+    const pixel = this.getGlobalPixel_(coordinate, zoom);
+    const tileSize = this.getTileSize_();
+    return [Math.floor(pixel.x / tileSize), Math.floor(pixel.y / tileSize)];
+  }
+
+  /**
+   * Este método devuelve el píxel de una coordenada dentro de su tesela.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} coordinate Coordenada en la proyección del mapa.
+   * @param {Number} zoom Zoom del mapa.
+   * @returns {Array<Number>} Píxel dentro de la tesela.
+   * @api stable
+   */
+  getRelativeTileCoordInPixel_(coordinate, zoom) {
+    const pixel = this.getGlobalPixel_(coordinate, zoom);
+    const tileSize = this.getTileSize_();
+    return [Math.floor(pixel.x % tileSize), Math.floor(pixel.y % tileSize)];
+  }
+
+  /**
+   * Este método devuelve el píxel de una coordenada en el mundo de Leaflet.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Array<Number>} coordinate Coordenada en la proyección del mapa.
+   * @param {Number} zoom Zoom del mapa.
+   * @returns {L.Point} Píxel.
+   * @api stable
+   */
+  getGlobalPixel_(coordinate, zoom) {
+    const lMap = this.map.getMapImpl();
+    return lMap.project(this.map.getImpl().toLatLng(coordinate), this.getLeafletZoom_(zoom));
+  }
+
+  /**
+   * Este método convierte el zoom del mapa en el zoom de Leaflet.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Number} zoom Zoom del mapa.
+   * @returns {Number} Zoom de Leaflet.
+   * @api stable
+   */
+  getLeafletZoom_(zoom) {
+    return zoom + (this.map.getMapImpl().getZoom() - this.map.getZoom());
+  }
+
+  /**
+   * Este método devuelve el tamaño de las teselas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {Number} Tamaño.
+   * @api stable
+   */
+  getTileSize_() {
+    const leafletLayer = this.getLeafletLayer();
+    return isNullOrEmpty(leafletLayer) ? 256 : leafletLayer.getTileSize().x;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof WMTS) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+      equals = equals && (this.matrixSet === obj.matrixSet);
+    }
+    return equals;
+  }
+}
+
+export default WMTS;
@@ -0,0 +1,194 @@
+/**
+ * @module M/impl/layer/XYZ
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty } from 'M/util/Utils';
+import * as LayerType from 'M/layer/Type';
+import * as EventType from 'M/event/eventtype';
+import Layer from './Layer';
+import ImplMap from '../Map';
+
+/**
+ * @classdesc
+ * Implementación de la capa XYZ. Las teselas se piden con la
+ * plantilla de URL {z}/{x}/{y} en EPSG:3857.
+ *
+ * @property {String} url URL del servicio.
+ * @property {Number} tileSize_ Tamaño de las teselas.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class XYZ extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa XYZ
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.XYZ} userParameters Parámetros para la construcción de la capa.
+   * - url: URL del servicio.
+   * - tileSize: Tamaño de las teselas, por defecto 256.
+   * - visibility: Indica la visibilidad de la capa.
+   * - minZoom: Zoom mínimo aplicable a la capa.
+   * - maxZoom: Zoom máximo aplicable a la capa.
+   * - tileGridMaxZoom: Zoom máximo de las teselas del servicio.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * @param {Object} vendorOptions Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(userParameters, options = {}, vendorOptions) {
+    super(options, vendorOptions);
+
+    /**
+     * XYZ url. URL del servicio.
+     */
+    this.url = userParameters.url;
+
+    /**
+     * XYZ tileSize_. Tamaño de las teselas.
+     */
+    this.tileSize_ = typeof userParameters.tileSize === 'number' ? userParameters.tileSize : 256;
+
+    /**
+     * XYZ opacity_. Opacidad de la capa.
+     */
+    this.opacity_ = typeof options.opacity === 'number' ? options.opacity : 1;
+
+    /**
+     * XYZ zIndex_. Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.XYZ];
+
+    /**
+     * XYZ visibility. Visibilidad de la capa.
+     */
+    this.visibility = userParameters.visibility === false ? userParameters.visibility : true;
+
+    /**
+     * XYZ minZoom. Zoom mínimo.
+     */
+    this.minZoom = userParameters.minZoom || Number.NEGATIVE_INFINITY;
+
+    /**
+     * XYZ maxZoom. Zoom máximo.
+     */
+    this.maxZoom = userParameters.maxZoom || Number.POSITIVE_INFINITY;
+
+    /**
+     * XYZ tileGridMaxZoom. Zoom máximo de las teselas del servicio.
+     */
+    this.tileGridMaxZoom = userParameters.tileGridMaxZoom;
+
+    /**
+     * XYZ displayInLayerSwitcher. Indica si se muestra en el selector de capas.
+     */
+    this.displayInLayerSwitcher = userParameters.displayInLayerSwitcher !== false;
+
+    /**
+     * XYZ tileUrlFunction_. Función que genera la URL de las teselas.
+     */
+    this.tileUrlFunction_ = null;
+  }
+
+  /**
+   * Este método establece la visibilidad de esta capa.
+   *
+   * @function
+   * @param {Boolean} visibility Verdadero es visible, falso si no.
+   * @api stable
+   */
+  setVisible(visibility) {
+    super.setVisible(visibility);
+    // if this layer is base then it updates the resolutions and keeps the zoom
+    if (!isNullOrEmpty(this.map) && (visibility === true) && (this.transparent !== true)) {
+      const oldZoom = this.map.getZoom();
+      this.map.getImpl().updateResolutionsFromBaseLayer();
+      if (!isNullOrEmpty(oldZoom)) {
+        this.map.setZoom(oldZoom);
+      }
+    }
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    const pane = this.addToMap_(map);
+    this.fire(EventType.ADDED_TO_MAP);
+    const leafletOptions = Object.assign({
+      pane,
+      tileSize: this.getTileSize(),
+    }, this.vendorOptions_);
+    if (this.tileGridMaxZoom !== undefined && this.tileGridMaxZoom > 0) {
+      leafletOptions.maxNativeZoom = this.tileGridMaxZoom;
+    }
+    this.setLeafletLayer(L.tileLayer(this.url, leafletOptions));
+    this.setZIndex(this.zIndex_);
+  }
+
+  /**
+   * Este método establece la función que genera la URL de las teselas
+   * a partir de la coordenada [z, x, y] de la tesela.
+   *
+   * @public
+   * @function
+   * @param {Function} tileUrlFunction Función.
+   * @api stable
+   */
+  setTileUrlFunction(tileUrlFunction) {
+    this.tileUrlFunction_ = tileUrlFunction;
+    const leafletLayer = this.getLeafletLayer();
+    if (!isNullOrEmpty(leafletLayer)) {
+      leafletLayer.getTileUrl = coords => tileUrlFunction([coords.z, coords.x, coords.y]);
+      leafletLayer.redraw();
+    }
+  }
+
+  /**
+   * Este método devuelve la función que genera la URL de las teselas.
+   *
+   * @public
+   * @function
+   * @returns {Function} Función.
+   * @api stable
+   */
+  getTileUrlFunction() {
+    return this.tileUrlFunction_;
+  }
+
+  /**
+   * Este método devuelve el tamaño de las teselas.
+   *
+   * @public
+   * @function
+   * @returns {Number} Tamaño.
+   * @api stable
+   */
+  getTileSize() {
+    return this.tileSize_;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof XYZ) {
+      equals = (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default XYZ;
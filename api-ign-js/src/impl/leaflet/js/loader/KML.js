@@ -0,0 +1,126 @@
+/**
+ * @module M/impl/loader/KML
+ */
+import MObject from 'M/Object';
+import * as EventType from 'M/event/eventtype';
+import { get as getRemote } from 'M/util/Remote';
+import { isNullOrEmpty, isUndefined } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+
+/**
+ * @classdesc
+ * Implementación de la clase del cargador de KML.
+ *
+ * @property {M.Map} map_ Mapa.
+ * @property {String} url_ URL del KML.
+ * @property {M.impl.format.KML} format_ Formato.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class KML extends MObject {
+  /**
+   * Constructor principal de la clase KML.
+   *
+   * @constructor
+   * @param {M.Map} map Mapa.
+   * @param {String} url URL del KML.
+   * @param {M.impl.format.KML} format Formato.
+   * @api
+   */
+  constructor(map, url, format) {
+    super();
+
+    /**
+     * Mapa.
+     * @private
+     * @type {M.Map}
+     */
+    this.map_ = map;
+
+    /**
+     * URL del KML.
+     * @private
+     * @type {String}
+     */
+    this.url_ = url;
+
+    /**
+     * Formato.
+     * @private
+     * @type {M.impl.format.KML}
+     */
+    this.format_ = format;
+  }
+
+  /**
+   * Este método ejecutará la función "callback" a los objetos geográficos.
+   *
+   * Si la petición falla se lanza el evento de error del "loader".
+   *
+   * @function
+   * @param {function} callback Función 'callback' de llamada para ejecutar.
+   * @returns {function} Método que ejecutará la función "callback" a los objetos geográficos.
+   * @public
+   * @api
+   */
+  getLoaderFn(callback) {
+    return ((extent, resolution, projection, scaleLabel, layers) => {
+      this.loadInternal_(scaleLabel, layers).then((response) => {
+        callback(response);
+      }).catch(error => this.fire(EventType.ERROR, [error]));
+    });
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos del KML. Si se indican
+   * capas, solo se leen las carpetas ("Folder") con esos nombres.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @param {Number} scaleLabel Escala de las etiquetas.
+   * @param {Array<String>} layers Nombres de las carpetas que se leen.
+   * @returns {Promise} Promesa con la obtención de los objetos geográficos.
+   * @public
+   * @api
+   */
+  loadInternal_(scaleLabel, layers) {
+    return new Promise((success, fail) => {
+      getRemote(this.url_).then((response) => {
+        let text = response.text;
+        if (!isNullOrEmpty(text) && !isUndefined(layers)) {
+          const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+          Array.from(xmlDoc.getElementsByTagName('Folder')).forEach((folder, count) => {
+            const nameNode = Array.from(folder.children).find(child => child.localName === 'name');
+            const name = isNullOrEmpty(nameNode) ? `Layer__${count}` : nameNode.textContent;
+            if (!layers.includes(name)) {
+              folder.parentNode.removeChild(folder);
+            }
+          });
+          text = new XMLSerializer().serializeToString(xmlDoc);
+        }
+
+        /*
+           Fix: While the KML URL was being resolved the map projection
+           might have been changed therefore the projection is readed again
+         */
+        const lastProjection = this.map_.getProjection().code;
+        if (!isNullOrEmpty(text)) {
+          const features = this.format_.readCustomFeatures(text, {
+            featureProjection: lastProjection,
+            scaleLabel,
+          });
+          success({
+            features,
+            screenOverlay: null,
+          });
+        } else {
+          Exception(getValue('exception').no_kml_response);
+        }
+      }).catch(fail);
+    });
+  }
+}
+
+export default KML;
@@ -0,0 +1,144 @@
+/**
+ * @module M/impl/source/ImageWMS
+ */
+import * as L from 'leaflet';
+import { isNullOrEmpty } from 'M/util/Utils';
+import TileWMS from './TileWMS';
+
+/**
+ * @classdesc
+ * Capa de Leaflet de imagen única de servidores WMS. La imagen se
+ * vuelve a pedir cada vez que termina un movimiento del mapa.
+ * @api
+ */
+class ImageWMS extends L.Layer {
+  /**
+   * @constructor
+   * @extends {L.Layer}
+   * @param {String} url URL del servicio WMS.
+   * @param {Object} params Parámetros de la petición GetMap, en mayúsculas.
+   * Se requiere al menos el parámetro LAYERS.
+   * @param {Object} options Opciones de la capa de Leaflet.
+   * - pane: Panel del mapa donde se dibuja la imagen.
+   * - ratio: Tamaño de la imagen respecto al tamaño del mapa. Por defecto 1.
+   * @api stable
+   */
+  constructor(url, params, options = {}) {
+    super();
+    L.setOptions(this, options);
+
+    /**
+     * URL del servicio WMS.
+     * @private
+     * @type {String}
+     */
+    this.url_ = url;
+
+    /**
+     * Parámetros de la petición GetMap.
+     * @private
+     * @type {Object}
+     */
+    this.params_ = params;
+
+    /**
+     * Imagen actual.
+     * @private
+     * @type {L.ImageOverlay}
+     */
+    this.image_ = null;
+  }
+
+  /**
+   * Este método se ejecuta al añadir la capa al mapa.
+   *
+   * @function
+   * @param {L.Map} map Mapa de Leaflet.
+   * @api stable
+   */
+  onAdd(map) {
+    map.on('moveend', this.update_, this);
+    this.update_();
+  }
+
+  /**
+   * Este método se ejecuta al quitar la capa del mapa.
+   *
+   * @function
+   * @param {L.Map} map Mapa de Leaflet.
+   * @api stable
+   */
+  onRemove(map) {
+    map.off('moveend', this.update_, this);
+    if (!isNullOrEmpty(this.image_)) {
+      this.image_.remove();
+      this.image_ = null;
+    }
+  }
+
+  /**
+   * Este método pide la imagen de la extensión actual del mapa y
+   * sustituye la anterior cuando se ha cargado.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @api stable
+   */
+  update_() {
+    const map = this._map;
+    const ratio = this.options.ratio || 1;
+    const size = map.getSize().multiplyBy(ratio);
+    const pixelBounds = map.getPixelBounds();
+    const padding = size.subtract(map.getSize()).divideBy(2);
+    const nw = map.unproject(pixelBounds.min.subtract(padding));
+    const se = map.unproject(pixelBounds.max.add(padding));
+    const crs = map.options.crs;
+    const bounds = L.bounds(crs.project(nw), crs.project(se));
+    const url = TileWMS.getMapUrl(this.url_, this.params_, crs.code, bounds, size);
+
+    const previous = this.image_;
+    const image = L.imageOverlay(url, L.latLngBounds(nw, se), {
+      pane: this.options.pane,
+    });
+    image.once('load error', () => {
+      if (!isNullOrEmpty(previous)) {
+        previous.remove();
+      }
+    });
+    image.addTo(map);
+    this.image_ = image;
+  }
+
+  /**
+   * Este método devuelve los parámetros de la petición GetMap.
+   *
+   * @function
+   * @returns {Object} Parámetros.
+   * @api stable
+   */
+  getParams() {
+    return this.params_;
+  }
+
+  /**
+   * Este método actualiza los parámetros de la petición GetMap
+   * y vuelve a pedir la imagen.
+   *
+   * @function
+   * @param {Object} params Parámetros a actualizar. Los valores
+   * indefinidos eliminan el parámetro.
+   * @api stable
+   */
+  updateParams(params) {
+    this.params_ = Object.assign({}, this.params_, params);
+    Object.keys(this.params_).filter(key => this.params_[key] === undefined)
+      .forEach((key) => {
+        delete this.params_[key];
+      });
+    if (!isNullOrEmpty(this._map)) {
+      this.update_();
+    }
+  }
+}
+
+export default ImageWMS;
@@ -0,0 +1,106 @@
+/**
+ * @module M/impl/source/TileWMS
+ */
+import * as L from 'leaflet';
+import { addParameters } from 'M/util/Utils';
+
+/**
+ * @classdesc
+ * Capa de Leaflet de teselas de servidores WMS. Las teselas se piden en
+ * el sistema de referencia del mapa de Leaflet (EPSG:3857).
+ * @api
+ */
+class TileWMS extends L.TileLayer {
+  /**
+   * @constructor
+   * @extends {L.TileLayer}
+   * @param {String} url URL del servicio WMS.
+   * @param {Object} params Parámetros de la petición GetMap, en mayúsculas.
+   * Se requiere al menos el parámetro LAYERS.
+   * @param {Object} options Opciones de la capa de Leaflet.
+   * @api stable
+   */
+  constructor(url, params, options) {
+    super(url, options);
+
+    /**
+     * Parámetros de la petición GetMap.
+     * @private
+     * @type {Object}
+     */
+    this.params_ = params;
+  }
+
+  /**
+   * Este método devuelve la URL de una tesela.
+   *
+   * @function
+   * @param {L.Point} coords Coordenadas de la tesela.
+   * @returns {String} URL de la tesela.
+   * @api stable
+   */
+  getTileUrl(coords) {
+    const [nw, se] = this._tileCoordsToNwSe(coords);
+    const crs = this._map.options.crs;
+    const bounds = L.bounds(crs.project(nw), crs.project(se));
+    const size = this.getTileSize();
+    return TileWMS.getMapUrl(this._url, this.params_, crs.code, bounds, size);
+  }
+
+  /**
+   * Este método devuelve los parámetros de la petición GetMap.
+   *
+   * @function
+   * @returns {Object} Parámetros.
+   * @api stable
+   */
+  getParams() {
+    return this.params_;
+  }
+
+  /**
+   * Este método actualiza los parámetros de la petición GetMap
+   * y vuelve a pedir las teselas.
+   *
+   * @function
+   * @param {Object} params Parámetros a actualizar. Los valores
+   * indefinidos eliminan el parámetro.
+   * @api stable
+   */
+  updateParams(params) {
+    this.params_ = Object.assign({}, this.params_, params);
+    Object.keys(this.params_).filter(key => this.params_[key] === undefined)
+      .forEach((key) => {
+        delete this.params_[key];
+      });
+    this.redraw();
+  }
+}
+
+/**
+ * Este método devuelve la URL de una petición GetMap.
+ *
+ * @public
+ * @function
+ * @param {String} url URL del servicio WMS.
+ * @param {Object} params Parámetros de la petición.
+ * @param {String} crs Código del sistema de referencia.
+ * @param {L.Bounds} bounds Extensión en el sistema de referencia.
+ * @param {L.Point} size Tamaño de la imagen en píxeles.
+ * @returns {String} URL de la petición.
+ * @api stable
+ */
+TileWMS.getMapUrl = (url, params, crs, bounds, size) => {
+  const crsParam = params.VERSION === '1.3.0' ? 'CRS' : 'SRS';
+  return addParameters(url, Object.assign({
+    SERVICE: 'WMS',
+    REQUEST: 'GetMap',
+  }, params, {
+    [crsParam]: crs,
+    BBOX: [bounds.min.x, bounds.min.y, bounds.max.x, bounds.max.y].join(','),
+    WIDTH: Math.round(size.x),
+    HEIGHT: Math.round(size.y),
+  }));
+};
+
+export default TileWMS;
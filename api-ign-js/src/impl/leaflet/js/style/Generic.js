@@ -0,0 +1,142 @@
+/**
+ * @module M/impl/style/Generic
+ */
+import { isNullOrEmpty, isDynamic, drawDynamicStyle } from 'M/util/Utils';
+import Simple from './Simple';
+import Point from './Point';
+import Line from './Line';
+import Polygon from './Polygon';
+
+/**
+ * Tipos de estilo de cada tipo de geometría GeoJSON.
+ * @const
+ * @type {Object}
+ * @public
+ * @api
+ */
+const GEOMETRY_STYLES = {
+  Point: 'point',
+  MultiPoint: 'point',
+  LineString: 'line',
+  MultiLineString: 'line',
+  Polygon: 'polygon',
+  MultiPolygon: 'polygon',
+};
+
+/**
+ * @classdesc
+ * Crea un estilo genérico con opciones para puntos, líneas y polígonos.
+ * @api
+ */
+class Generic extends Simple {
+  /**
+   * Constructor principal de la clase.
+   * @constructor
+   * @param {Object} options Opciones del estilo.
+   * - point: Opciones de los puntos.
+   * - line: Opciones de las líneas.
+   * - polygon: Opciones de los polígonos.
+   * @api stable
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  /**
+   * Este método aplica los estilos a la capa.
+   *
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  applyToLayer(layer) {
+    Object.values(this.styles_).forEach(style => style.setLayer(layer));
+    super.applyToLayer(layer);
+  }
+
+  /**
+   * Este método devuelve la imagen del estilo para la leyenda.
+   *
+   * @public
+   * @function
+   * @param {HTMLCanvasElement} canvas "canvas".
+   * @returns {String} Imagen en base64.
+   * @api stable
+   */
+  toImage(canvas) {
+    let image;
+    if (isDynamic(this.options_) === true) {
+      image = drawDynamicStyle(canvas);
+    } else {
+      const style = this.getLegendStyle_();
+      image = isNullOrEmpty(style) ? null : style.toImage(canvas);
+    }
+    return image;
+  }
+
+  /**
+   * Este método dibuja el estilo en un "canvas" para la leyenda.
+   *
+   * @public
+   * @function
+   * @param {HTMLCanvasElement} canvas "canvas".
+   * @api stable
+   */
+  updateCanvas(canvas) {
+    const style = this.getLegendStyle_();
+    if (!isNullOrEmpty(style)) {
+      style.updateCanvas(canvas);
+    }
+  }
+
+  /**
+   * Este método actualiza las opciones de la fachada.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones de estilo.
+   * @api stable
+   */
+  updateFacadeOptions(options) {
+    /**
+     * Estilos de puntos, líneas y polígonos.
+     * @private
+     * @type {Object}
+     */
+    this.styles_ = {};
+    if (!isNullOrEmpty(options.point)) {
+      this.styles_.point = new Point(options.point);
+    }
+    if (!isNullOrEmpty(options.line)) {
+      this.styles_.line = new Line(options.line);
+    }
+    if (!isNullOrEmpty(options.polygon)) {
+      this.styles_.polygon = new Polygon(options.polygon);
+    }
+    this.styleFn_ = (feature) => {
+      let style = this.getLegendStyle_();
+      if (!isNullOrEmpty(feature)) {
+        const geometry = feature.getImpl().getGeometry();
+        style = isNullOrEmpty(geometry) ? null : this.styles_[GEOMETRY_STYLES[geometry.type]];
+      }
+      return isNullOrEmpty(style) ? Simple.toLeafletOptions({}) : style.styleFn(feature);
+    };
+  }
+
+  /**
+   * Este método devuelve el estilo que se dibuja en la leyenda: el de
+   * los polígonos, el de las líneas o el de los puntos, por este orden.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {M.impl.style.Simple} Estilo.
+   * @api stable
+   */
+  getLegendStyle_() {
+    return this.styles_.polygon || this.styles_.line || this.styles_.point;
+  }
+}
+
+export default Generic;
@@ -0,0 +1,52 @@
+/**
+ * @module M/impl/style/Line
+ */
+import Simple from './Simple';
+import Style from './Style';
+
+/**
+ * @classdesc
+ * Crea un estilo de línea.
+ * @api
+ */
+class Line extends Simple {
+  /**
+   * Este método actualiza las opciones de la fachada.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones de estilo.
+   * @api stable
+   */
+  updateFacadeOptions(options) {
+    this.styleFn_ = (feature) => {
+      const leafletOptions = Simple.toLeafletOptions(options, feature, this.layer_);
+      // lines are never filled
+      leafletOptions.fill = false;
+      return leafletOptions;
+    };
+  }
+
+  /**
+   * Este método dibuja la geometría de la leyenda en el "canvas".
+   *
+   * @public
+   * @function
+   * @param {CanvasRenderingContext2D} context Contexto del "canvas".
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @param {Number} width Ancho del "canvas".
+   * @param {Number} height Alto del "canvas".
+   * @api stable
+   */
+  drawGeometryToCanvas(context, options, width, height) {
+    const margin = 10;
+    context.beginPath();
+    context.moveTo(margin, height - margin);
+    context.lineTo(width / 3, margin);
+    context.lineTo((2 * width) / 3, height - margin);
+    context.lineTo(width - margin, margin);
+    Style.paint(context, options);
+  }
+}
+
+export default Line;
@@ -0,0 +1,144 @@
+/**
+ * @module M/impl/style/Point
+ */
+import { isNullOrEmpty, isDynamic, drawDynamicStyle } from 'M/util/Utils';
+import Simple from './Simple';
+import Style from './Style';
+
+/**
+ * @classdesc
+ * Crea un estilo de punto. Los puntos se dibujan como círculos o, si
+ * se indica, con un icono.
+ * @api
+ */
+class Point extends Simple {
+  /**
+   * Este método devuelve la imagen del estilo para la leyenda.
+   *
+   * @public
+   * @function
+   * @param {HTMLCanvasElement} canvas "canvas".
+   * @returns {String} Imagen en base64 o URL del icono.
+   * @api stable
+   */
+  toImage(canvas) {
+    let image = null;
+    const options = {
+      fill: this.options_.fill,
+      stroke: this.options_.stroke,
+      icon: this.options_.icon,
+    };
+    if (isDynamic(options) === true) {
+      image = drawDynamicStyle(canvas);
+    } else if (!isNullOrEmpty(this.options_.icon) && !isNullOrEmpty(this.options_.icon.src)) {
+      image = this.options_.icon.src;
+    } else {
+      this.updateCanvas(canvas);
+      image = canvas.toDataURL('png');
+    }
+    return image;
+  }
+
+  /**
+   * Este método actualiza las opciones de la fachada.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones de estilo.
+   * @api stable
+   */
+  updateFacadeOptions(options) {
+    this.styleFn_ = (feature) => {
+      const getValue = attr => Simple.getValue(attr, feature, this.layer_);
+      const leafletOptions = Simple.toLeafletOptions(options, feature, this.layer_);
+      leafletOptions.radius = getValue(options.radius) || Point.DEFAULT_RADIUS;
+      if (!isNullOrEmpty(options.icon) && !isNullOrEmpty(getValue(options.icon.src))) {
+        leafletOptions.icon = {
+          src: getValue(options.icon.src),
+          scale: getValue(options.icon.scale) || 1,
+          rotation: getValue(options.icon.rotation) || 0,
+          opacity: getValue(options.icon.opacity),
+          anchor: getValue(options.icon.anchor) || [0.5, 0.5],
+        };
+      }
+      return leafletOptions;
+    };
+  }
+
+  /**
+   * Este método dibuja la geometría de la leyenda en el "canvas".
+   *
+   * @public
+   * @function
+   * @param {CanvasRenderingContext2D} context Contexto del "canvas".
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @param {Number} width Ancho del "canvas".
+   * @param {Number} height Alto del "canvas".
+   * @api stable
+   */
+  drawGeometryToCanvas(context, options, width, height) {
+    context.beginPath();
+    context.arc(width / 2, height / 2, options.radius, 0, 2 * Math.PI);
+    Style.paint(context, {
+      ...options,
+      weight: Math.min(options.weight, Point.DEFAULT_WIDTH_POINT),
+    });
+  }
+
+  /**
+   * Este método devuelve el tamaño del "canvas".
+   *
+   * @public
+   * @function
+   * @returns {Array} Tamaño.
+   * @api stable
+   */
+  getCanvasSize() {
+    const { radius } = this.styleFn_();
+    const size = Math.ceil((radius + Point.DEFAULT_WIDTH_POINT) * 2);
+    return [size, size];
+  }
+}
+
+/**
+ * Radio por defecto de los puntos.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Point.DEFAULT_RADIUS = 5;
+
+/**
+ * Ancho máximo del borde de los puntos en la leyenda.
+ * @const
+ * @type {number}
+ * @public
+ * @api
+ */
+Point.DEFAULT_WIDTH_POINT = 3;
+
+/**
+ * Este método devuelve las fuentes de símbolos disponibles. La
+ * implementación de Leaflet no dibuja símbolos de fuentes.
+ *
+ * @function
+ * @returns {Array<String>} Fuentes.
+ * @public
+ * @api
+ */
+Point.getFonts = () => [];
+
+/**
+ * Este método devuelve los símbolos de una fuente. La
+ * implementación de Leaflet no dibuja símbolos de fuentes.
+ *
+ * @function
+ * @param {String} name Nombre de la fuente.
+ * @returns {Array<String>} Símbolos.
+ * @public
+ * @api
+ */
+Point.getFontsIcons = name => [];
+
+export default Point;
@@ -0,0 +1,44 @@
+/**
+ * @module M/impl/style/Polygon
+ */
+import Simple from './Simple';
+import Style from './Style';
+
+/**
+ * @classdesc
+ * Crea un estilo de polígono.
+ * @api
+ */
+class Polygon extends Simple {
+  /**
+   * Este método actualiza las opciones de la fachada.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones de estilo.
+   * @api stable
+   */
+  updateFacadeOptions(options) {
+    this.styleFn_ = feature => Simple.toLeafletOptions(options, feature, this.layer_);
+  }
+
+  /**
+   * Este método dibuja la geometría de la leyenda en el "canvas".
+   *
+   * @public
+   * @function
+   * @param {CanvasRenderingContext2D} context Contexto del "canvas".
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @param {Number} width Ancho del "canvas".
+   * @param {Number} height Alto del "canvas".
+   * @api stable
+   */
+  drawGeometryToCanvas(context, options, width, height) {
+    const margin = 10;
+    context.beginPath();
+    context.rect(margin, margin, width - (2 * margin), height - (2 * margin));
+    Style.paint(context, options);
+  }
+}
+
+export default Polygon;
@@ -0,0 +1,186 @@
+/**
+ * @module M/impl/style/Simple
+ */
+import chroma from 'chroma-js';
+import { isFunction, isNullOrEmpty, isArray } from 'M/util/Utils';
+import FacadeFeature from 'M/feature/Feature';
+import Style from './Style';
+
+/**
+ * Este método separa un color en su valor sin transparencia y su opacidad.
+ *
+ * @function
+ * @param {String} color Color.
+ * @param {Number} opacity Opacidad indicada por el usuario.
+ * @returns {Array} Color y opacidad.
+ * @public
+ * @api
+ */
+const splitColor = (color, opacity) => {
+  let colorOpacity = [color, isNullOrEmpty(opacity) ? 1 : opacity];
+  if (chroma.valid(color)) {
+    const chromaColor = chroma(color);
+    colorOpacity = [
+      chromaColor.hex('rgb'),
+      isNullOrEmpty(opacity) ? chromaColor.alpha() : opacity,
+    ];
+  }
+  return colorOpacity;
+};
+
+/**
+ * @classdesc
+ * Clase de los estilos simples de la implementación de Leaflet.
+ * @api
+ */
+class Simple extends Style {
+  /**
+   * Constructor principal de la clase.
+   * @constructor
+   * @param {Object} options Opciones del estilo.
+   * @api stable
+   */
+  constructor(options = {}) {
+    super(options);
+    this.updateFacadeOptions(options);
+  }
+
+  /**
+   * Este método devuelve la función de estilo.
+   *
+   * @function
+   * @public
+   * @returns {Function} Función de estilo.
+   * @api
+   */
+  get styleFn() {
+    return this.styleFn_;
+  }
+
+  /**
+   * Este método aplica los estilos a la capa.
+   *
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  applyToLayer(layer) {
+    this.layer_ = layer;
+    layer.getImpl().setStyleFn(this.styleFn_);
+  }
+
+  /**
+   * Este método aplica los estilos al objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @api stable
+   */
+  applyToFeature(feature) {
+    feature.getImpl().setStyleFn(this.styleFn_);
+  }
+
+  /**
+   * Este método elimina los estilos de la capa.
+   *
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  unapply(layer) {}
+
+  /**
+   * Este método devuelve el valor de un atributo del estilo. Si es una
+   * plantilla "{{atributo}}" o una función se evalúa con el objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {*} attr Valor del atributo del estilo.
+   * @param {M.Feature} feature Objeto geográfico.
+   * @param {M.layer.Vector} layer Capa.
+   * @returns {*} Valor.
+   * @api stable
+   */
+  static getValue(attr, feature, layer) {
+    const templateRegexp = /^\{\{([^}]+)\}\}$/;
+    let attrFeature = attr;
+    if (templateRegexp.test(attr) || isFunction(attr)) {
+      if (!(feature instanceof FacadeFeature)) {
+        attrFeature = undefined;
+      } else if (templateRegexp.test(attr)) {
+        const keyFeature = attr.replace(templateRegexp, '$1');
+        attrFeature = feature.getAttribute(keyFeature);
+      } else {
+        let facadeMap;
+        if (!isNullOrEmpty(layer)) {
+          facadeMap = layer.getImpl().getMap();
+        }
+        attrFeature = attr(feature, facadeMap);
+      }
+    }
+    if (isNullOrEmpty(attrFeature)) {
+      attrFeature = undefined;
+    }
+    return attrFeature;
+  }
+
+  /**
+   * Este método traduce las opciones de relleno, borde y etiqueta de un
+   * estilo a las opciones de dibujo de Leaflet.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones del estilo.
+   * @param {M.Feature} feature Objeto geográfico.
+   * @param {M.layer.Vector} layer Capa.
+   * @returns {Object} Opciones de dibujo de Leaflet.
+   * @api stable
+   */
+  static toLeafletOptions(options, feature, layer) {
+    const getValue = attr => Simple.getValue(attr, feature, layer);
+    const leafletOptions = {
+      fill: false,
+      stroke: false,
+    };
+    if (!isNullOrEmpty(options.fill)) {
+      const fillColor = getValue(options.fill.color);
+      if (!isNullOrEmpty(fillColor)) {
+        const [color, opacity] = splitColor(fillColor, getValue(options.fill.opacity));
+        leafletOptions.fill = true;
+        leafletOptions.fillColor = color;
+        leafletOptions.fillOpacity = opacity;
+      }
+    }
+    if (!isNullOrEmpty(options.stroke)) {
+      const strokeColor = getValue(options.stroke.color);
+      if (!isNullOrEmpty(strokeColor)) {
+        const [color, opacity] = splitColor(strokeColor, getValue(options.stroke.opacity));
+        const linedash = getValue(options.stroke.linedash);
+        leafletOptions.stroke = true;
+        leafletOptions.color = color;
+        leafletOptions.opacity = opacity;
+        leafletOptions.weight = getValue(options.stroke.width) || 1;
+        leafletOptions.lineCap = getValue(options.stroke.linecap) || 'round';
+        leafletOptions.lineJoin = getValue(options.stroke.linejoin) || 'round';
+        leafletOptions.dashArray = isArray(linedash) ? linedash.join(' ') : linedash;
+      }
+    }
+    if (!isNullOrEmpty(options.label)) {
+      const text = getValue(options.label.text);
+      if (!isNullOrEmpty(text)) {
+        const [color] = splitColor(getValue(options.label.color) || '#000000');
+        leafletOptions.label = {
+          text: String(text),
+          font: getValue(options.label.font),
+          color,
+        };
+      }
+    }
+    return leafletOptions;
+  }
+}
+
+export default Simple;
@@ -0,0 +1,184 @@
+/**
+ * @module M/impl/style/Style
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+
+/**
+ * @classdesc
+ * Clase base de los estilos de la implementación de Leaflet. Cada estilo
+ * traduce sus opciones a una función que devuelve, para cada objeto
+ * geográfico, las opciones de dibujo de Leaflet.
+ * @api
+ */
+class Style {
+  /**
+   * Constructor principal de la clase.
+   * @constructor
+   * @param {Object} options Opciones del estilo.
+   * @api stable
+   */
+  constructor(options = {}) {
+    /**
+     * Opciones del estilo.
+     * @private
+     * @type {Object}
+     */
+    this.options_ = options;
+
+    /**
+     * Capa a la que se aplica el estilo.
+     * @private
+     * @type {M.layer.Vector}
+     */
+    this.layer_ = null;
+
+    /**
+     * Función que devuelve las opciones de dibujo de Leaflet de un objeto geográfico.
+     * @private
+     * @type {Function}
+     */
+    this.styleFn_ = null;
+
+    this.updateFacadeOptions(options);
+  }
+
+  /**
+   * Este método actualiza las opciones de la fachada.
+   *
+   * @public
+   * @function
+   * @param {Object} options Opciones de estilo.
+   * @api stable
+   */
+  updateFacadeOptions(options = {}) {}
+
+  /**
+   * Este método establece la capa del estilo, que se usa para
+   * calcular los valores de los atributos de los objetos geográficos.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  setLayer(layer) {
+    this.layer_ = layer;
+  }
+
+  /**
+   * Este método aplica los estilos a los objetos geográficos de la capa.
+   *
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  applyToLayer(layer) {
+    this.layer_ = layer;
+    layer.getFeatures().forEach(this.applyToFeature, this);
+  }
+
+  /**
+   * Este método aplica los estilos al objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @api stable
+   */
+  applyToFeature(feature) {
+    feature.getImpl().setStyleFn(this.styleFn_);
+  }
+
+  /**
+   * Este método dibuja el estilo en un "canvas" para la leyenda.
+   *
+   * @public
+   * @function
+   * @param {HTMLCanvasElement} canvas "canvas".
+   * @api stable
+   */
+  updateCanvas(canvas) {
+    if (!isNullOrEmpty(this.styleFn_)) {
+      const [width, height] = this.getCanvasSize();
+      const canvasVar = canvas;
+      canvasVar.width = width;
+      canvasVar.height = height;
+      const context = canvas.getContext('2d');
+      context.clearRect(0, 0, width, height);
+      this.drawGeometryToCanvas(context, this.styleFn_(), width, height);
+    }
+  }
+
+  /**
+   * Este método dibuja la geometría de la leyenda en el "canvas".
+   *
+   * @public
+   * @function
+   * @param {CanvasRenderingContext2D} context Contexto del "canvas".
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @param {Number} width Ancho del "canvas".
+   * @param {Number} height Alto del "canvas".
+   * @api stable
+   */
+  drawGeometryToCanvas(context, options, width, height) {}
+
+  /**
+   * Este método devuelve el tamaño del "canvas".
+   *
+   * @public
+   * @function
+   * @returns {Array<Number>} Tamaño.
+   * @api stable
+   */
+  getCanvasSize() {
+    return [100, 100];
+  }
+
+  /**
+   * Este método aplica al contexto del "canvas" el relleno y el
+   * borde de unas opciones de dibujo de Leaflet y dibuja el trazado actual.
+   *
+   * @public
+   * @function
+   * @param {CanvasRenderingContext2D} context Contexto del "canvas".
+   * @param {Object} options Opciones de dibujo de Leaflet.
+   * @api stable
+   */
+  static paint(context, options) {
+    const ctx = context;
+    if (options.fill !== false && !isNullOrEmpty(options.fillColor)) {
+      ctx.globalAlpha = options.fillOpacity;
+      ctx.fillStyle = options.fillColor;
+      ctx.fill();
+    }
+    if (options.stroke !== false && !isNullOrEmpty(options.color)) {
+      ctx.globalAlpha = options.opacity;
+      ctx.strokeStyle = options.color;
+      ctx.lineWidth = options.weight;
+      ctx.lineCap = options.lineCap || 'round';
+      ctx.lineJoin = options.lineJoin || 'round';
+      if (!isNullOrEmpty(options.dashArray)) {
+        ctx.setLineDash(options.dashArray.split(/[\s,]+/).map(Number));
+      }
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Este método clona el estilo.
+   *
+   * @public
+   * @function
+   * @returns {M.impl.style.Style} Devuelve un nuevo estilo.
+   * @api stable
+   */
+  clone() {
+    return new this.constructor(Object.assign({}, this.options_));
+  }
+}
+
+export default Style;
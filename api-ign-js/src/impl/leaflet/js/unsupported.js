@@ -0,0 +1,15 @@
+/**
+ * @module M/impl/unsupported
+ */
+
+/**
+ * Módulo que sustituye, en la compilación de Leaflet, a las clases de la
+ * implementación que Leaflet no tiene (WFS, MVT, estilos de cluster...).
+ * Las clases de la fachada que dependen de ellas no se pueden crear
+ * con esta implementación.
+ *
+ * @type {undefined}
+ * @public
+ * @api
+ */
+export default undefined;
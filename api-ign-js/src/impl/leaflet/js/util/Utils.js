@@ -0,0 +1,463 @@
+/**
+ * @module M/impl/utils
+ */
+import proj4 from 'proj4';
+import { isNullOrEmpty, isString } from 'M/util/Utils';
+import { getProjection } from '../projections';
+
+/**
+ * Este método devuelve el código de una proyección indicada
+ * como código o como objeto.
+ *
+ * @function
+ * @param {String|Object} projection Proyección o código de la proyección.
+ * @returns {String} Código de la proyección.
+ * @public
+ * @api
+ */
+const getCode = (projection) => {
+  return isString(projection) ? projection : projection.code;
+};
+
+/**
+ * Este método aplica una función a todas las coordenadas de una
+ * geometría GeoJSON, sea cual sea su tipo.
+ *
+ * @function
+ * @param {Array} coordinates Coordenadas de la geometría.
+ * @param {Function} fn Función que recibe y devuelve una coordenada.
+ * @returns {Array} Coordenadas transformadas.
+ * @public
+ * @api
+ */
+const mapCoordinates = (coordinates, fn) => {
+  if (!Array.isArray(coordinates[0])) {
+    return fn(coordinates);
+  }
+  return coordinates.map(coordinate => mapCoordinates(coordinate, fn));
+};
+
+/**
+ * Este método devuelve la lista plana de coordenadas de una geometría GeoJSON.
+ *
+ * @function
+ * @param {Array} coordinates Coordenadas de la geometría.
+ * @returns {Array<Array<Number>>} Coordenadas.
+ * @public
+ * @api
+ */
+const flatCoordinates = (coordinates) => {
+  if (!Array.isArray(coordinates[0])) {
+    return [coordinates];
+  }
+  return coordinates.reduce((acc, coordinate) => acc.concat(flatCoordinates(coordinate)), []);
+};
+
+/**
+ * Este método calcula la distancia de un punto a un segmento.
+ *
+ * @function
+ * @param {Array<Number>} p Punto.
+ * @param {Array<Number>} a Inicio del segmento.
+ * @param {Array<Number>} b Fin del segmento.
+ * @returns {Number} Distancia.
+ * @public
+ * @api
+ */
+const distanceToSegment = (p, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  let t = 0;
+  if (dx !== 0 || dy !== 0) {
+    t = (((p[0] - a[0]) * dx) + ((p[1] - a[1]) * dy)) / ((dx * dx) + (dy * dy));
+    t = Math.max(0, Math.min(1, t));
+  }
+  const x = a[0] + (t * dx);
+  const y = a[1] + (t * dy);
+  return Math.sqrt(((p[0] - x) ** 2) + ((p[1] - y) ** 2));
+};
+
+/**
+ * Este método calcula la distancia de un punto a una línea.
+ *
+ * @function
+ * @param {Array<Number>} p Punto.
+ * @param {Array<Array<Number>>} line Coordenadas de la línea.
+ * @returns {Number} Distancia.
+ * @public
+ * @api
+ */
+const distanceToLine = (p, line) => {
+  let distance = Number.POSITIVE_INFINITY;
+  for (let i = 0; i < line.length - 1; i += 1) {
+    distance = Math.min(distance, distanceToSegment(p, line[i], line[i + 1]));
+  }
+  return distance;
+};
+
+/**
+ * Este método indica si un punto está dentro de un anillo
+ * (algoritmo de trazado de rayos).
+ *
+ * @function
+ * @param {Array<Number>} p Punto.
+ * @param {Array<Array<Number>>} ring Coordenadas del anillo.
+ * @returns {Boolean} Verdadero si el punto está dentro.
+ * @public
+ * @api
+ */
+const inRing = (p, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > p[1]) !== (yj > p[1])) &&
+      (p[0] < ((((xj - xi) * (p[1] - yi)) / (yj - yi)) + xi))) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Este método indica si un punto está dentro de un polígono con huecos.
+ *
+ * @function
+ * @param {Array<Number>} p Punto.
+ * @param {Array<Array<Array<Number>>>} rings Anillos del polígono.
+ * @returns {Boolean} Verdadero si el punto está dentro.
+ * @public
+ * @api
+ */
+const inPolygon = (p, rings) => {
+  return inRing(p, rings[0]) && !rings.slice(1).some(hole => inRing(p, hole));
+};
+
+/**
+ * Este método transforma coordenadas de objetos geográficos como GeoJSON a EPSG:4326.
+ *
+ * @function
+ * @param {Object} featuresAsJSON Objetos geográficos definidos
+ * mediante la especificación GeoJSON.
+ * @param {String} codeProjection Código de proyección actual.
+ * @return {Array<Object>} Objetos geográficos.
+ * @public
+ * @api
+ */
+export const geojsonTo4326 = (featuresAsJSON, codeProjection) => {
+  return featuresAsJSON.map((featureAsJSON) => {
+    return {
+      ...featureAsJSON,
+      geometry: {
+        type: featureAsJSON.geometry.type,
+        coordinates: mapCoordinates(featureAsJSON.geometry.coordinates, (coordinate) => {
+          return proj4(codeProjection, 'EPSG:4326', coordinate);
+        }),
+      },
+    };
+  });
+};
+
+/**
+ * @classdesc
+ * Implementación de la clase estática Utils para Leaflet. Las coordenadas
+ * se transforman con proj4 y las geometrías son objetos GeoJSON.
+ *
+ * @api
+ */
+class Utils {
+  /**
+   * Este método transforma una coordenada entre dos proyecciones.
+   *
+   * @function
+   * @param {Array<Number>} coordinate Coordenada.
+   * @param {String|Object} srcProj Proyección de origen.
+   * @param {String|Object} dstProj Proyección de destino.
+   * @returns {Array<Number>} Coordenada transformada.
+   * @public
+   * @api
+   */
+  static transform(coordinate, srcProj, dstProj) {
+    const srcCode = getCode(srcProj);
+    const dstCode = getCode(dstProj);
+    if (srcCode === dstCode) {
+      return coordinate.slice(0, 2);
+    }
+    return proj4(srcCode, dstCode, coordinate.slice(0, 2));
+  }
+
+  /**
+   * Este método transforma una extensión entre dos proyecciones
+   * a partir de puntos de sus bordes.
+   *
+   * @function
+   * @param {Array<Number>} extent Extensión.
+   * @param {String|Object} srcProj Proyección de origen.
+   * @param {String|Object} dstProj Proyección de destino.
+   * @returns {Array<Number>} Extensión transformada.
+   * @public
+   * @api
+   */
+  static transformExtent(extent, srcProj, dstProj) {
+    if (getCode(srcProj) === getCode(dstProj)) {
+      return extent;
+    }
+    const [minX, minY, maxX, maxY] = extent;
+    const points = [];
+    const steps = 8;
+    for (let i = 0; i <= steps; i += 1) {
+      const x = minX + (((maxX - minX) * i) / steps);
+      const y = minY + (((maxY - minY) * i) / steps);
+      points.push([x, minY], [x, maxY], [minX, y], [maxX, y]);
+    }
+    const transformed = points.map(p => Utils.transform(p, srcProj, dstProj))
+      .filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]));
+    return Utils.getCoordinatesExtent(transformed);
+  }
+
+  /**
+   * Este método transforma una geometría GeoJSON entre dos proyecciones.
+   *
+   * @function
+   * @param {Object} geometry Geometría GeoJSON.
+   * @param {String|Object} srcProj Proyección de origen.
+   * @param {String|Object} dstProj Proyección de destino.
+   * @returns {Object} Geometría transformada.
+   * @public
+   * @api
+   */
+  static transformGeometry(geometry, srcProj, dstProj) {
+    if (isNullOrEmpty(geometry) || getCode(srcProj) === getCode(dstProj)) {
+      return geometry;
+    }
+    if (geometry.type === 'GeometryCollection') {
+      return {
+        type: geometry.type,
+        geometries: geometry.geometries
+          .map(geom => Utils.transformGeometry(geom, srcProj, dstProj)),
+      };
+    }
+    return {
+      type: geometry.type,
+      coordinates: mapCoordinates(geometry.coordinates, c => Utils.transform(c, srcProj, dstProj)),
+    };
+  }
+
+  /**
+   * Este método devuelve las coordenadas de una geometría GeoJSON.
+   *
+   * @function
+   * @param {Object} geometry Geometría GeoJSON.
+   * @returns {Array<Array<Number>>} Coordenadas.
+   * @public
+   * @api
+   */
+  static getGeometryCoordinates(geometry) {
+    let coordinates = [];
+    if (!isNullOrEmpty(geometry)) {
+      if (geometry.type === 'GeometryCollection') {
+        coordinates = geometry.geometries
+          .reduce((acc, geom) => acc.concat(Utils.getGeometryCoordinates(geom)), []);
+      } else if (!isNullOrEmpty(geometry.coordinates)) {
+        coordinates = flatCoordinates(geometry.coordinates);
+      }
+    }
+    return coordinates;
+  }
+
+  /**
+   * Este método calcula la extensión de un conjunto de coordenadas.
+   *
+   * @function
+   * @param {Array<Array<Number>>} coordinates Coordenadas.
+   * @returns {Array<Number>|null} Extensión, nulo si no hay coordenadas.
+   * @public
+   * @api
+   */
+  static getCoordinatesExtent(coordinates) {
+    if (isNullOrEmpty(coordinates)) {
+      return null;
+    }
+    return coordinates.reduce((extent, [x, y]) => [
+      Math.min(extent[0], x),
+      Math.min(extent[1], y),
+      Math.max(extent[2], x),
+      Math.max(extent[3], y),
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+  }
+
+  /**
+   * Este método calcula la extensión de los objetos geográficos. Si solo hay
+   * un punto, la extensión es un área de 1000 metros a su alrededor.
+   *
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {String} projectionCode Código de la proyección del mapa.
+   * @returns {Array<Number>|null} Extensión.
+   * @public
+   * @api
+   */
+  static getFeaturesExtent(features, projectionCode) {
+    const coordinates = features.reduce((acc, feature) => {
+      return acc.concat(Utils.getGeometryCoordinates(feature.getImpl().getGeometry()));
+    }, []);
+    let extent = Utils.getCoordinatesExtent(coordinates);
+    if (!isNullOrEmpty(extent) && extent[0] === extent[2] && extent[1] === extent[3]) {
+      const projection = getProjection(projectionCode);
+      const metersPerUnit = isNullOrEmpty(projection) ? 1 : projection.metersPerUnit;
+      const buffer = 1000 / metersPerUnit;
+      extent = [extent[0] - buffer, extent[1] - buffer, extent[2] + buffer, extent[3] + buffer];
+    }
+    return extent;
+  }
+
+  /**
+   * Este método calcula el centroide de una geometría GeoJSON.
+   *
+   * @function
+   * @param {Object} geometry Geometría GeoJSON.
+   * @returns {Array<Number>} Centroide.
+   * @public
+   * @api
+   */
+  static getCentroid(geometry) {
+    let centroid = null;
+    let medianIdx;
+    let extent;
+    if (!isNullOrEmpty(geometry)) {
+      const { coordinates } = geometry;
+      switch (geometry.type) {
+        case 'Point':
+          centroid = coordinates;
+          break;
+        case 'LineString':
+        case 'MultiPoint':
+          medianIdx = Math.floor(coordinates.length / 2);
+          centroid = coordinates[medianIdx];
+          break;
+        case 'MultiLineString':
+          medianIdx = Math.floor(coordinates.length / 2);
+          centroid = Utils.getCentroid({ type: 'LineString', coordinates: coordinates[medianIdx] });
+          break;
+        case 'Polygon':
+        case 'MultiPolygon':
+          extent = Utils.getCoordinatesExtent(Utils.getGeometryCoordinates(geometry));
+          centroid = [(extent[0] + extent[2]) / 2, (extent[1] + extent[3]) / 2];
+          break;
+        default:
+          centroid = null;
+      }
+    }
+    return centroid;
+  }
+
+  /**
+   * Este método indica si una geometría GeoJSON, expresada en píxeles,
+   * se dibuja en un píxel.
+   *
+   * @function
+   * @param {Object} geometry Geometría GeoJSON en píxeles.
+   * @param {Array<Number>} pixel Píxel.
+   * @param {Number} tolerance Tolerancia en píxeles.
+   * @param {Number} radius Radio de los puntos en píxeles.
+   * @returns {Boolean} Verdadero si la geometría se dibuja en el píxel.
+   * @public
+   * @api
+   */
+  static intersectsPixel(geometry, pixel, tolerance, radius) {
+    let intersects = false;
+    if (!isNullOrEmpty(geometry)) {
+      const { coordinates } = geometry;
+      switch (geometry.type) {
+        case 'Point':
+          intersects = distanceToSegment(pixel, coordinates, coordinates) <= radius + tolerance;
+          break;
+        case 'MultiPoint':
+          intersects = coordinates.some(c => distanceToSegment(pixel, c, c) <= radius + tolerance);
+          break;
+        case 'LineString':
+          intersects = distanceToLine(pixel, coordinates) <= tolerance;
+          break;
+        case 'MultiLineString':
+          intersects = coordinates.some(line => distanceToLine(pixel, line) <= tolerance);
+          break;
+        case 'Polygon':
+          intersects = inPolygon(pixel, coordinates) ||
+            coordinates.some(ring => distanceToLine(pixel, ring) <= tolerance);
+          break;
+        case 'MultiPolygon':
+          intersects = coordinates.some(polygon => inPolygon(pixel, polygon) ||
+            polygon.some(ring => distanceToLine(pixel, ring) <= tolerance));
+          break;
+        case 'GeometryCollection':
+          intersects = geometry.geometries
+            .some(geom => Utils.intersectsPixel(geom, pixel, tolerance, radius));
+          break;
+        default:
+          intersects = false;
+      }
+    }
+    return intersects;
+  }
+
+  /**
+   * Este método transforma una geometría GeoJSON a píxeles del mapa.
+   *
+   * @function
+   * @param {Object} geometry Geometría GeoJSON.
+   * @param {Function} toPixel Función que transforma una coordenada en un píxel.
+   * @returns {Object} Geometría en píxeles.
+   * @public
+   * @api
+   */
+  static geometryToPixels(geometry, toPixel) {
+    if (isNullOrEmpty(geometry)) {
+      return geometry;
+    }
+    if (geometry.type === 'GeometryCollection') {
+      return {
+        type: geometry.type,
+        geometries: geometry.geometries.map(geom => Utils.geometryToPixels(geom, toPixel)),
+      };
+    }
+    return {
+      type: geometry.type,
+      coordinates: mapCoordinates(geometry.coordinates, toPixel),
+    };
+  }
+
+  /**
+   * Este método calcula la escala del mapa a partir de la
+   * anchura de su extensión, como en las capas WMTS.
+   *
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {Boolean} exact Si es falso, la escala se redondea.
+   * @returns {Number} Escala.
+   * @public
+   * @api
+   */
+  static getWMTSScale(map, exact) {
+    const projection = getProjection(map.getProjection().code);
+    const mpu = isNullOrEmpty(projection) ? 1 : projection.metersPerUnit;
+    const bbox = map.getBbox();
+    const pix = map.getMapImpl().getSize().x;
+    if (isNullOrEmpty(bbox) || pix === 0) {
+      return null;
+    }
+    const ang = bbox.x.max - bbox.x.min;
+    let scale = (((mpu * ang) / pix) * 1000) / 0.28;
+    if (!exact === true) {
+      if (scale >= 1000 && scale <= 950000) {
+        scale = Math.round(scale / 1000) * 1000;
+      } else if (scale >= 950000) {
+        scale = Math.round(scale / 1000000) * 1000000;
+      } else {
+        scale = Math.round(scale);
+      }
+    }
+    return Math.trunc(scale);
+  }
+}
+
+export default Utils;
@@ -13,11 +13,13 @@ import 'impl-assets/css/ol';
 import 'impl-assets/css/custom';
 import Control from 'M/control/Control';
 import FacadeWMS from 'M/layer/WMS';
+import FacadeVector from 'M/layer/Vector';
 import * as EventType from 'M/event/eventtype';
 import LayerBase from 'M/layer/Layer';
 import Exception from 'M/exception/exception';
 import { getValue } from 'M/i18n/language';
-import { get as getRemote } from 'M/util/Remote';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import * as dialog from 'M/dialog';
 import {
   isNullOrEmpty,
   isArray,
@@ -35,6 +37,8 @@ import ImplUtils from './util/Utils';
 import GetCapabilities from './util/WMSCapabilities';
 import View from './View';
 import FormatWMS from './format/WMS';
+import GetFeatureInfo from './control/GetFeatureInfo';
+import { getFacadeFeature } from './handler/Feature';
 
 /**
  * @classdesc
@@ -233,9 +237,15 @@ class Map extends MObject {
    */
   getLayers(filters) {
     const kmlLayers = this.getKML(filters);
+    const gpxLayers = this.getGPX(filters);
+    const topojsonLayers = this.getTopoJSON(filters);
     const wmsLayers = this.getWMS(filters);
+    const wmcLayers = this.getWMC(filters);
+    const geopackageLayers = this.getGeoPackage(filters);
     const wfsLayers = this.getWFS(filters);
     const ogcapifLayers = this.getOGCAPIFeatures(filters);
+    const ogcapitLayers = this.getOGCAPITiles(filters);
+    const ogcapimLayers = this.getOGCAPIMaps(filters);
     const wmtsLayers = this.getWMTS(filters);
     const mvtLayers = this.getMVT(filters);
     const mbtilesLayers = this.getMBTiles(filters);
@@ -244,9 +254,15 @@ class Map extends MObject {
     const tmsLayers = this.getTMS(filters);
     const unknowLayers = this.getUnknowLayers_(filters);
 
-    return kmlLayers.concat(wmsLayers)
+    return kmlLayers.concat(gpxLayers)
+      .concat(topojsonLayers)
+      .concat(wmsLayers)
+      .concat(wmcLayers)
+      .concat(geopackageLayers)
       .concat(wfsLayers)
       .concat(ogcapifLayers)
+      .concat(ogcapitLayers)
+      .concat(ogcapimLayers)
       .concat(wmtsLayers)
       .concat(mvtLayers)
       .concat(mbtilesLayers)
@@ -265,7 +281,11 @@ class Map extends MObject {
    * @api
    */
   getBaseLayers() {
-    return this.getLayers().filter(layer => layer.transparent !== true);
+    return this.getLayers().filter((layer) => {
+      // the WMC contexts and GeoPackages are not drawn, their layers are
+      return (layer.transparent !== true) && (layer.type !== LayerType.WMC) &&
+        (layer.type !== LayerType.GeoPackage);
+    });
   }
 
   /**
@@ -295,14 +315,26 @@ class Map extends MObject {
     layersRec.forEach((layer) => {
       if (layer.type === LayerType.WMS) {
         this.facadeMap_.addWMS(layer);
+      } else if (layer.type === LayerType.WMC) {
+        this.facadeMap_.addWMC(layer);
+      } else if (layer.type === LayerType.GeoPackage) {
+        this.facadeMap_.addGeoPackage(layer);
       } else if (layer.type === LayerType.WMTS) {
         this.facadeMap_.addWMTS(layer);
       } else if (layer.type === LayerType.KML) {
         this.facadeMap_.addKML(layer);
+      } else if (layer.type === LayerType.GPX) {
+        this.facadeMap_.addGPX(layer);
+      } else if (layer.type === LayerType.TopoJSON) {
+        this.facadeMap_.addTopoJSON(layer);
       } else if (layer.type === LayerType.WFS) {
         this.facadeMap_.addWFS(layer);
       } else if (layer.type === LayerType.OGCAPIFeatures) {
         this.facadeMap_.addOGCAPIFeatures(layer);
+      } else if (layer.type === LayerType.OGCAPITiles) {
+        this.facadeMap_.addOGCAPITiles(layer);
+      } else if (layer.type === LayerType.OGCAPIMaps) {
+        this.facadeMap_.addOGCAPIMaps(layer);
       } else if (layer.type === LayerType.MVT) {
         this.facadeMap_.addMVT(layer);
       } else if (layer.type === 'MBTiles') {
@@ -342,9 +374,15 @@ class Map extends MObject {
 
     if (knowLayers.length > 0) {
       this.removeKML(knowLayers);
+      this.removeGPX(knowLayers);
+      this.removeTopoJSON(knowLayers);
       this.removeWMS(knowLayers);
+      this.removeWMC(knowLayers);
+      this.removeGeoPackage(knowLayers);
       this.removeWFS(knowLayers);
       this.removeOGCAPIFeatures(knowLayers);
+      this.removeOGCAPITiles(knowLayers);
+      this.removeOGCAPIMaps(knowLayers);
       this.removeWMTS(knowLayers);
       this.removeMVT(knowLayers);
       this.removeMBTiles(knowLayers);
@@ -475,6 +513,224 @@ class Map extends MObject {
     return this;
   }
 
+  /**
+   * Este método obtiene las capas GPX añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.GPX>} Capas GPX del mapa.
+   * @public
+   * @api
+   */
+  getGPX(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    const gpxLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.GPX);
+    });
+
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = gpxLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredGPXLayers = gpxLayers.filter((gpxLayer) => {
+          let layerMatched = true;
+          if (!foundLayers.includes(gpxLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === gpxLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === gpxLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === gpxLayer.name));
+            }
+            // extract
+            if (!isNullOrEmpty(filterLayer.extract)) {
+              layerMatched = (layerMatched && (filterLayer.extract === gpxLayer.extract));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredGPXLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas GPX especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.GPX>} layers Capas GPX a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addGPX(layers) {
+    const existsBaseLayer = this.getBaseLayers().length > 0;
+
+    layers.forEach((layer) => {
+      if (layer.type === LayerType.GPX) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          if (layer.getZIndex() == null) {
+            const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.GPX];
+            layer.setZIndex(zIndex);
+          }
+          if (!existsBaseLayer) {
+            this.updateResolutionsFromBaseLayer();
+          }
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas GPX del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.GPX>} layers Capas GPX a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeGPX(layers) {
+    const gpxMapLayers = this.getGPX(layers);
+    gpxMapLayers.forEach((gpxLayer) => {
+      this.layers_ = this.layers_.filter(layer => !gpxLayer.equals(layer));
+      gpxLayer.getImpl().destroy();
+      gpxLayer.fire(EventType.REMOVED_FROM_MAP, [gpxLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas TopoJSON añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.TopoJSON>} Capas TopoJSON del mapa.
+   * @public
+   * @api
+   */
+  getTopoJSON(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    const topojsonLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.TopoJSON);
+    });
+
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = topojsonLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredTopoJSONLayers = topojsonLayers.filter((topojsonLayer) => {
+          let layerMatched = true;
+          if (!foundLayers.includes(topojsonLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === topojsonLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === topojsonLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === topojsonLayer.name));
+            }
+            // extract
+            if (!isNullOrEmpty(filterLayer.extract)) {
+              layerMatched = (layerMatched && (filterLayer.extract === topojsonLayer.extract));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredTopoJSONLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas TopoJSON especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.TopoJSON>} layers Capas TopoJSON a añadir.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addTopoJSON(layers) {
+    const existsBaseLayer = this.getBaseLayers().length > 0;
+
+    layers.forEach((layer) => {
+      if (layer.type === LayerType.TopoJSON) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+          if (layer.getZIndex() == null) {
+            const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.TopoJSON];
+            layer.setZIndex(zIndex);
+          }
+          if (!existsBaseLayer) {
+            this.updateResolutionsFromBaseLayer();
+          }
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas TopoJSON del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.TopoJSON>} layers Capas TopoJSON a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeTopoJSON(layers) {
+    const topojsonMapLayers = this.getTopoJSON(layers);
+    topojsonMapLayers.forEach((topojsonLayer) => {
+      this.layers_ = this.layers_.filter(layer => !topojsonLayer.equals(layer));
+      topojsonLayer.getImpl().destroy();
+      topojsonLayer.fire(EventType.REMOVED_FROM_MAP, [topojsonLayer]);
+    });
+
+    return this;
+  }
+
   /**
    * Este método obtiene las capas WMS añadidas al mapa.
    *
@@ -949,6 +1205,212 @@ class Map extends MObject {
     return this;
   }
 
+  /**
+   * Este método obtiene las capas OGCAPITiles añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.OGCAPITiles>} Capas OGCAPITiles del mapa.
+   * @public
+   * @api
+   */
+  getOGCAPITiles(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+    const ogcapitLayers = this.layers_.filter(layer => layer.type === LayerType.OGCAPITiles);
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = ogcapitLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredOGCAPITilesLayers = ogcapitLayers.filter((ogcapitLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(ogcapitLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === ogcapitLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === ogcapitLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === ogcapitLayer.name));
+            }
+            // legend
+            if (!isNullOrEmpty(filterLayer.legend)) {
+              layerMatched = (layerMatched && (filterLayer.legend === ogcapitLayer.legend));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredOGCAPITilesLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas OGCAPITiles especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.OGCAPITiles>} layers Capas OGCAPITiles a añadir.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  addOGCAPITiles(layers) {
+    layers.forEach((layer) => {
+      // checks if layer is OGCAPITiles and was added to the map
+      if (layer.type === LayerType.OGCAPITiles && !includes(this.layers_, layer)) {
+        layer.getImpl().addTo(this.facadeMap_);
+        this.layers_.push(layer);
+        if (layer.transparent === true) {
+          const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.OGCAPITiles];
+          layer.setZIndex(zIndex);
+        } else {
+          layer.setZIndex(0);
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas OGCAPITiles del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.OGCAPITiles>} layers Capas OGCAPITiles a eliminar.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  removeOGCAPITiles(layers) {
+    const ogcapitMapLayers = this.getOGCAPITiles(layers);
+    ogcapitMapLayers.forEach((ogcapitLayer) => {
+      this.layers_ = this.layers_.filter(layer => !layer.equals(ogcapitLayer));
+      ogcapitLayer.getImpl().destroy();
+      ogcapitLayer.fire(EventType.REMOVED_FROM_MAP, [ogcapitLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas OGCAPIMaps añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.OGCAPIMaps>} Capas OGCAPIMaps del mapa.
+   * @public
+   * @api
+   */
+  getOGCAPIMaps(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+    const ogcapimLayers = this.layers_.filter(layer => layer.type === LayerType.OGCAPIMaps);
+
+    // parse to Array
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = ogcapimLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredOGCAPIMapsLayers = ogcapimLayers.filter((ogcapimLayer) => {
+          let layerMatched = true;
+          // checks if the layer is not in selected layers
+          if (!foundLayers.includes(ogcapimLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === ogcapimLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === ogcapimLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === ogcapimLayer.name));
+            }
+            // legend
+            if (!isNullOrEmpty(filterLayer.legend)) {
+              layerMatched = (layerMatched && (filterLayer.legend === ogcapimLayer.legend));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredOGCAPIMapsLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas OGCAPIMaps especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.OGCAPIMaps>} layers Capas OGCAPIMaps a añadir.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  addOGCAPIMaps(layers) {
+    layers.forEach((layer) => {
+      // checks if layer is OGCAPIMaps and was added to the map
+      if (layer.type === LayerType.OGCAPIMaps && !includes(this.layers_, layer)) {
+        layer.getImpl().addTo(this.facadeMap_);
+        this.layers_.push(layer);
+        if (layer.transparent === true) {
+          const zIndex = this.layers_.length + Map.Z_INDEX[LayerType.OGCAPIMaps];
+          layer.setZIndex(zIndex);
+        } else {
+          layer.setZIndex(0);
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas OGCAPIMaps del mapa especificadas por el usuario.
+   *
+   * @function
+   * @param {Array<M.layer.OGCAPIMaps>} layers Capas OGCAPIMaps a eliminar.
+   * @returns {M.impl.Map} Mapa.
+   * @public
+   * @api
+   */
+  removeOGCAPIMaps(layers) {
+    const ogcapimMapLayers = this.getOGCAPIMaps(layers);
+    ogcapimMapLayers.forEach((ogcapimLayer) => {
+      this.layers_ = this.layers_.filter(layer => !layer.equals(ogcapimLayer));
+      ogcapimLayer.getImpl().destroy();
+      ogcapimLayer.fire(EventType.REMOVED_FROM_MAP, [ogcapimLayer]);
+    });
+
+    return this;
+  }
+
   /**
    * Este método obtiene las capas WMTS añadidas al mapa.
    *
@@ -1082,6 +1544,204 @@ class Map extends MObject {
     return this;
   }
 
+  /**
+   * Este método obtiene las capas WMC añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.WMC>} Capas WMC del mapa.
+   * @public
+   * @api
+   */
+  getWMC(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    const wmcLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.WMC);
+    });
+
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = wmcLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredWMCLayers = wmcLayers.filter((wmcLayer) => {
+          let layerMatched = true;
+          if (!foundLayers.includes(wmcLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === wmcLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === wmcLayer.url));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === wmcLayer.name));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredWMCLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas WMC especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.WMC>} layers Capas WMC a añadir al mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addWMC(layers) {
+    layers.forEach((layer) => {
+      if (layer.type === LayerType.WMC) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas WMC del mapa especificadas por el usuario,
+   * junto con las capas WMS que hayan cargado.
+   *
+   * @function
+   * @param {Array<M.layer.WMC>} layers Capas WMC a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeWMC(layers) {
+    const wmcMapLayers = this.getWMC(layers);
+    wmcMapLayers.forEach((wmcLayer) => {
+      this.layers_ = this.layers_.filter(layer => !layer.equals(wmcLayer));
+      wmcLayer.getImpl().destroy();
+      wmcLayer.fire(EventType.REMOVED_FROM_MAP, [wmcLayer]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método obtiene las capas GeoPackage añadidas al mapa.
+   *
+   * @function
+   * @param {Array<M.Layer>} filtersParam Filtros a aplicar para la búsqueda.
+   * @returns {Array<M.layer.GeoPackage>} Capas GeoPackage del mapa.
+   * @public
+   * @api
+   */
+  getGeoPackage(filtersParam) {
+    let foundLayers = [];
+    let filters = filtersParam;
+
+    const geopackageLayers = this.layers_.filter((layer) => {
+      return (layer.type === LayerType.GeoPackage);
+    });
+
+    if (isNullOrEmpty(filters)) {
+      filters = [];
+    }
+    if (!isArray(filters)) {
+      filters = [filters];
+    }
+
+    if (filters.length === 0) {
+      foundLayers = geopackageLayers;
+    } else {
+      filters.forEach((filterLayer) => {
+        const filteredGeoPackageLayers = geopackageLayers.filter((geopackageLayer) => {
+          let layerMatched = true;
+          if (!foundLayers.includes(geopackageLayer)) {
+            // type
+            if (!isNullOrEmpty(filterLayer.type)) {
+              layerMatched = (layerMatched && (filterLayer.type === geopackageLayer.type));
+            }
+            // URL
+            if (!isNullOrEmpty(filterLayer.url)) {
+              layerMatched = (layerMatched && (filterLayer.url === geopackageLayer.url));
+            }
+            // source
+            if (!isNullOrEmpty(filterLayer.source)) {
+              layerMatched = (layerMatched && (filterLayer.source === geopackageLayer.source));
+            }
+            // name
+            if (!isNullOrEmpty(filterLayer.name)) {
+              layerMatched = (layerMatched && (filterLayer.name === geopackageLayer.name));
+            }
+          } else {
+            layerMatched = false;
+          }
+          return layerMatched;
+        });
+        foundLayers = foundLayers.concat(filteredGeoPackageLayers);
+      });
+    }
+    return foundLayers;
+  }
+
+  /**
+   * Este método añade las capas GeoPackage especificadas por el usuario al mapa.
+   *
+   * @function
+   * @param {Array<M.layer.GeoPackage>} layers Capas GeoPackage a añadir al mapa.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  addGeoPackage(layers) {
+    layers.forEach((layer) => {
+      if (layer.type === LayerType.GeoPackage) {
+        if (!includes(this.layers_, layer)) {
+          layer.getImpl().addTo(this.facadeMap_);
+          this.layers_.push(layer);
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Este método elimina las capas GeoPackage del mapa especificadas por el usuario,
+   * junto con las capas de sus tablas.
+   *
+   * @function
+   * @param {Array<M.layer.GeoPackage>} layers Capas GeoPackage a eliminar.
+   * @returns {Map} Mapa.
+   * @public
+   * @api
+   */
+  removeGeoPackage(layers) {
+    const geopackageMapLayers = this.getGeoPackage(layers);
+    geopackageMapLayers.forEach((geopackageLayer) => {
+      this.layers_ = this.layers_.filter(layer => !layer.equals(geopackageLayer));
+      geopackageLayer.getImpl().destroy();
+      geopackageLayer.fire(EventType.REMOVED_FROM_MAP, [geopackageLayer]);
+    });
+
+    return this;
+  }
+
   /**
    * Este método obtiene las capas MBTiles añadidas al mapa.
    *
@@ -1911,7 +2571,18 @@ class Map extends MObject {
     return extent;
   }
 
-  // TODO: JSDOC
+  /**
+   * Este método obtiene las capacidades de un servicio WMS o WMTS.
+   * Si no se pueden obtener se informa al usuario y se devuelve nulo.
+   *
+   * @public
+   * @function
+   * @param {String} url URL del servicio.
+   * @param {String} version Versión del servicio.
+   * @param {String} type Tipo de servicio, WMS o WMTS.
+   * @returns {Promise<Object>} Capacidades del servicio.
+   * @api stable
+   */
   async getCapabilities(url, version, type) {
     const layerUrl = url;
     const layerVersion = version;
@@ -1923,7 +2594,15 @@ class Map extends MObject {
 
 
     // gets the getCapabilities response
-    const response = await getRemote(getCapabilitiesUrl);
+    let response;
+    try {
+      response = await getRemote(getCapabilitiesUrl, null, {
+        requestType: requestType.CAPABILITIES,
+      });
+    } catch (err) {
+      dialog.error(`${getValue('exception').no_service_response}: ${layerUrl}`);
+      return null;
+    }
     const getCapabilitiesDocument = response.xml;
     const parser = (type === 'WMS') ? new FormatWMS() : new OLFormatWMTSCapabilities();
     const parsedCapabilities = (type === 'WMS') ? await parser.customRead(getCapabilitiesDocument) : await parser.read(getCapabilitiesDocument);
@@ -2438,6 +3117,134 @@ class Map extends MObject {
     return projection;
   }
 
+  /**
+   * Este método obtiene la información de las capas en una coordenada.
+   * - WMS y WMTS: Consulta GetFeatureInfo, probando los formatos por orden.
+   * - WFS y OGCAPIFeatures: Consulta al servicio por la extensión de la tolerancia.
+   * - MVT y MBTilesVector: Objetos geográficos de las teselas dibujados en el píxel.
+   * - Resto de capas vectoriales: Objetos geográficos dibujados en el píxel.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} coordinate Coordenada.
+   * @param {Array<M.Layer>} layers Capas a consultar.
+   * @param {Object} options Opciones: tolerance, maxFeatures y formats.
+   * @returns {Promise<Array<Object>>} Resultados por capa.
+   * @api
+   */
+  identify(coordinate, layers, options) {
+    const { tolerance, maxFeatures, formats } = options;
+    const pixel = this.map_.getPixelFromCoordinate(coordinate);
+    const buffer = tolerance * this.map_.getView().getResolution();
+    const extent = [
+      coordinate[0] - buffer,
+      coordinate[1] - buffer,
+      coordinate[0] + buffer,
+      coordinate[1] + buffer,
+    ];
+    const getFeatureInfo = new GetFeatureInfo(false, {
+      featureCount: maxFeatures,
+      buffer: tolerance,
+      formats,
+      presenter: null,
+    });
+    getFeatureInfo.prepareQuery(this.facadeMap_, coordinate);
+
+    return Promise.all(layers.map((layer) => {
+      const emptyResult = {
+        layer,
+        layerName: layer.legend || layer.name,
+        format: null,
+        features: [],
+        content: null,
+      };
+      let promise;
+      if (layer.type === LayerType.WMS || layer.type === LayerType.WMTS) {
+        promise = this.identifyInfo_(getFeatureInfo, layer, 0);
+      } else if (layer.type === LayerType.WFS || layer.type === LayerType.OGCAPIFeatures) {
+        promise = Promise.resolve().then(() => layer.getImpl().queryFeatures(extent, maxFeatures));
+      } else if (layer.type === LayerType.MVT || layer.type === LayerType.MBTilesVector) {
+        promise = layer.getFeaturesAtPixel(pixel);
+      } else if (layer instanceof FacadeVector) {
+        promise = Promise.resolve(this.getFeaturesAtPixel_(layer, pixel, tolerance));
+      }
+
+      if (isNullOrEmpty(promise)) {
+        return null;
+      }
+      // failed queries are managed as results without information
+      return promise.then((info) => {
+        let result = info || emptyResult;
+        if (isArray(info)) {
+          result = Object.assign({}, emptyResult, { features: info.slice(0, maxFeatures) });
+        }
+        return result;
+      }).catch(() => emptyResult);
+    })).then(results => results.filter(result => !isNullOrEmpty(result)));
+  }
+
+  /**
+   * Este método consulta una capa WMS o WMTS con el formato indicado y,
+   * si la capa no lo admite, con el siguiente.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {M.impl.control.GetFeatureInfo} getFeatureInfo Consulta GetFeatureInfo.
+   * @param {M.layer.WMS|M.layer.WMTS} layer Capa.
+   * @param {number} formatIndex Posición del formato.
+   * @returns {Promise<Object>} Resultado de la capa.
+   * @api
+   */
+  identifyInfo_(getFeatureInfo, layer, formatIndex) {
+    const format = getFeatureInfo.userFormats[formatIndex];
+    const [layerNameUrl] = (layer.type === LayerType.WMS) ?
+      getFeatureInfo.buildWMSInfoURL([layer], format) :
+      getFeatureInfo.buildWMTSInfoURL([layer], format);
+    let promise = Promise.resolve(null);
+    if (!isNullOrEmpty(layerNameUrl)) {
+      promise = getFeatureInfo.queryLayer(layerNameUrl, format).then((result) => {
+        let nextResult = result;
+        if (result === null && formatIndex < getFeatureInfo.userFormats.length - 1) {
+          nextResult = this.identifyInfo_(getFeatureInfo, layer, formatIndex + 1);
+        }
+        return nextResult;
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos de una capa vectorial
+   * dibujados en un píxel.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {M.layer.Vector} layer Capa vectorial.
+   * @param {Array<number>} pixel Píxel.
+   * @param {number} tolerance Tolerancia en píxeles.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @api
+   */
+  getFeaturesAtPixel_(layer, pixel, tolerance) {
+    const features = [];
+    const olLayer = layer.getImpl().getOL3Layer();
+    if (!isNullOrEmpty(olLayer)) {
+      this.map_.forEachFeatureAtPixel(pixel, (olFeature) => {
+        // clustered features
+        const olFeatures = olFeature.get('features') || [olFeature];
+        olFeatures.map(f => getFacadeFeature(f, layer))
+          .filter(feature => !isNullOrEmpty(feature))
+          .forEach(feature => features.push(feature));
+      }, {
+        layerFilter: l => l === olLayer,
+        hitTolerance: tolerance,
+      });
+    }
+    return features;
+  }
+
   /**
    * Este método obtiene la implementación del mapa.
    *
@@ -2743,8 +3550,15 @@ Map.Z_INDEX = {};
 Map.Z_INDEX_BASELAYER = 0;
 Map.Z_INDEX[LayerType.OSM] = 40;
 Map.Z_INDEX[LayerType.WMS] = 40;
+Map.Z_INDEX[LayerType.WMC] = 40;
+Map.Z_INDEX[LayerType.GeoPackage] = 40;
+Map.Z_INDEX[LayerType.GeoPackageTile] = 40;
+Map.Z_INDEX[LayerType.GeoTIFF] = 40;
+Map.Z_INDEX[LayerType.CSV] = 40;
 Map.Z_INDEX[LayerType.WMTS] = 40;
 Map.Z_INDEX[LayerType.KML] = 40;
+Map.Z_INDEX[LayerType.GPX] = 40;
+Map.Z_INDEX[LayerType.TopoJSON] = 40;
 Map.Z_INDEX[LayerType.WFS] = 40;
 Map.Z_INDEX[LayerType.MVT] = 40;
 Map.Z_INDEX[LayerType.Vector] = 40;
@@ -2754,5 +3568,7 @@ Map.Z_INDEX[LayerType.MBTilesVector] = 40;
 Map.Z_INDEX[LayerType.XYZ] = 40;
 Map.Z_INDEX[LayerType.TMS] = 40;
 Map.Z_INDEX[LayerType.OGCAPIFeatures] = 40;
+Map.Z_INDEX[LayerType.OGCAPITiles] = 40;
+Map.Z_INDEX[LayerType.OGCAPIMaps] = 40;
 
 export default Map;
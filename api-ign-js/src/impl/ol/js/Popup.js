@@ -2,7 +2,12 @@
  * @module M/impl/Popup
  */
 import OLOverlay from 'ol/Overlay';
-import { enableTouchScroll, isFunction, isNullOrEmpty } from 'M/util/Utils';
+import {
+  enableTouchScroll,
+  isFunction,
+  isNullOrEmpty,
+  returnPositionHtmlElement,
+} from 'M/util/Utils';
 import FacadePopup from 'M/Popup';
 import FacadeWindow from 'M/util/Window';
 
@@ -152,6 +157,21 @@ class Popup extends OLOverlay {
     }
   }
 
+  /**
+   * Este método centra el mapa en la posición del "Popup".
+   *
+   * @function
+   * @public
+   * @api
+   */
+  moveMapToPopup() {
+    this.getMap().getView().animate({
+      zoom: this.facadeMap_.getZoom(),
+      center: returnPositionHtmlElement('m-popup', this.facadeMap_),
+      duration: 1000,
+    });
+  }
+
   /**
    * Este método obtiene el HTML del contenedor "m-body".
    *
@@ -1,16 +1,16 @@
 /**
  * @module M/impl/control/GetFeatureInfo
  */
-import OLFormatWFS from 'ol/format/WFS';
+import OLFormatGeoJSON from 'ol/format/GeoJSON';
+import OLFormatWMSGetFeatureInfo from 'ol/format/WMSGetFeatureInfo';
 import { unByKey } from 'ol/Observable';
 import * as dialog from 'M/dialog';
-import getfeatureinfoPopupTemplate from 'templates/getfeatureinfo_popup';
-import getfeatureinfoLayers from 'templates/getfeatureinfo_layers';
-import Popup from 'M/Popup';
-import { get as getRemote } from 'M/util/Remote';
-import { compileSync as compileTemplate } from 'M/util/Template';
-import { isNullOrEmpty, beautifyAttribute } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import { get as getPresenter, HTML, featuresToHtml } from 'M/control/GetFeatureInfoPresenter';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import { isNullOrEmpty, isUndefined, beautifyAttribute } from 'M/util/Utils';
 import { getValue } from 'M/i18n/language';
+import FeatureImpl from '../feature/Feature';
 import Control from './Control';
 
 /**
@@ -29,6 +29,10 @@ class GetFeatureInfo extends Control {
    * @param {Object} options Opciones del control.
    * - featureCount. Número de objetos geográficos, por defecto 10.
    * - buffer. Configuración del área de influencia, por defecto 5.
+   * - formats. Formatos de respuesta por orden de preferencia. Si la capa no
+   * admite un formato se consulta con el siguiente.
+   * - presenter. Nombre del presentador de los resultados, el propio presentador
+   * o nulo para no mostrarlos. Por defecto, el presentador HTML.
    * @extends {M.impl.Control}
    * @api stable
    */
@@ -40,7 +44,19 @@ class GetFeatureInfo extends Control {
      * @type {array<string>}
      * @api
      */
-    this.userFormats = ['text/html', 'text/plain', 'application/vnd.ogc.gml'];
+    this.userFormats = options.formats || [
+      'text/html',
+      'text/plain',
+      'application/vnd.ogc.gml',
+      'application/json',
+    ];
+
+    /**
+     * Presentador de los resultados.
+     * @type {object}
+     */
+    this.presenter = isUndefined(options.presenter) ? getPresenter(HTML)
+      : getPresenter(options.presenter);
 
     this.featureCount = options.featureCount;
     if (isNullOrEmpty(this.featureCount)) {
@@ -54,6 +70,12 @@ class GetFeatureInfo extends Control {
     this.element = document.createElement('div');
     this.activated = activated;
     this.currentFormat = 0;
+
+    /**
+     * Control de la fachada.
+     * @type {M.control.GetFeatureInfo}
+     */
+    this.facadeControl = null;
   }
 
   /**
@@ -76,6 +98,21 @@ class GetFeatureInfo extends Control {
     }
   }
 
+  /**
+   * Este método prepara la consulta de una coordenada del mapa sin añadir
+   * el control, para consultar las capas con "queryLayer".
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {Array<number>} coordinate Coordenada consultada.
+   * @api
+   */
+  prepareQuery(map, coordinate) {
+    this.facadeMap_ = map;
+    this.evt = { coordinate };
+  }
+
   /**
    * Este método elimina el evento con un solo clic en el mapa especificado.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
@@ -130,10 +167,12 @@ class GetFeatureInfo extends Control {
    * Devuelve un objeto con la leyenda o el nombre de la capa y la url.
    * @function
    * @public
+   * @param {Array<M.layer.WMS>} wmsLayers Capas WMS.
+   * @param {string} infoFormat Formato de la respuesta, por defecto el formato actual.
    * @returns {Object} Objeto con la leyenda o el nombre de la capa y la url.
    * @api
    */
-  buildWMSInfoURL(wmsLayers) {
+  buildWMSInfoURL(wmsLayers, infoFormat = this.userFormats[this.currentFormat]) {
     const olMap = this.facadeMap_.getMapImpl();
     const viewResolution = olMap.getView().getResolution();
     const srs = this.facadeMap_.getProjection().code;
@@ -144,7 +183,7 @@ class GetFeatureInfo extends Control {
       if (layer.isVisible() && layer.isQueryable() && !isNullOrEmpty(olLayer)) {
         param = {};
         const getFeatureInfoParams = {
-          INFO_FORMAT: this.userFormats[this.currentFormat],
+          INFO_FORMAT: infoFormat,
           FEATURE_COUNT: this.featureCount,
         };
         const regexBuffer = /buffer/i;
@@ -155,7 +194,12 @@ class GetFeatureInfo extends Control {
         }
 
         const url = source.getFeatureInfoUrl(coord, viewResolution, srs, getFeatureInfoParams);
-        param = { layer: layer.legend || layer.name, url };
+        param = {
+          layer: layer.legend || layer.name,
+          facadeLayer: layer,
+          url,
+          requestOptions: layer.getImpl().getRequestOptions(requestType.INFO),
+        };
       }
       return param;
     });
@@ -165,18 +209,24 @@ class GetFeatureInfo extends Control {
    * Devuelve un objeto con la leyenda o el nombre de la capa y la url.
    * @function
    * @public
+   * @param {Array<M.layer.WMTS>} wmtsLayers Capas WMTS.
+   * @param {string} infoFormat Formato de la respuesta, por defecto el formato actual.
    * @returns {Object} Objeto con la leyenda o el nombre de la capa y la url.
    * @api
    */
-  buildWMTSInfoURL(wmtsLayers) {
+  buildWMTSInfoURL(wmtsLayers, infoFormat = this.userFormats[this.currentFormat]) {
     return wmtsLayers.map((layer) => {
       let param;
       if (layer.isVisible() && layer.isQueryable()) {
         param = {};
-        const infoFormat = this.userFormats[this.currentFormat];
         const coord = this.evt.coordinate;
         const url = layer.getFeatureInfoUrl(coord, this.facadeMap_.getZoom(), infoFormat);
-        param = { layer: layer.legend || layer.name, url };
+        param = {
+          layer: layer.legend || layer.name,
+          facadeLayer: layer,
+          url,
+          requestOptions: layer.getImpl().getRequestOptions(requestType.INFO),
+        };
       }
       return param;
     });
@@ -240,12 +290,21 @@ class GetFeatureInfo extends Control {
         }
         break;
 
-      case 'application/vnd.ogc.gml': // ol.format.GML (http://openlayers.org/en/v3.9.0/apidoc/ol.format.GML.html)
-        const formater = new OLFormatWFS();
+      case 'application/vnd.ogc.gml': // ol.format.WMSGetFeatureInfo (GML y msGMLOutput)
+        const formater = new OLFormatWMSGetFeatureInfo();
         const features = formater.readFeatures(info);
         res = (features.length > 0);
         break;
 
+      case 'application/json': // GeoJSON
+        try {
+          const geojson = JSON.parse(info);
+          res = !isNullOrEmpty(geojson.features) && geojson.features.length > 0;
+        } catch (err) {
+          res = false;
+        }
+        break;
+
       case 'text/plain': // exp reg
         if (!/returned\s+no\s+results/i.test(info) && !/features\s+were\s+found/i.test(info) && !/:$/i.test(info)) {
           res = true;
@@ -273,28 +332,9 @@ class GetFeatureInfo extends Control {
       case 'text/html': // ex
         formatedInfo = info;
         break;
-      case 'application/vnd.ogc.gml': // ol.format.GML (http://openlayers.org/en/v3.9.0/apidoc/ol.format.GML.html)
-        // let formater = new ol.format.GML();
-        // let feature = formater.readFeatures(info)[0];
-        const formater = new OLFormatWFS();
-        const features = formater.readFeatures(info);
-        formatedInfo = '';
-        features.forEach((feature) => {
-          const attr = feature.getKeys();
-          formatedInfo += '<div class=\'divinfo\'>';
-          formatedInfo += `<table class='mapea-table'><tbody><tr><td class='header' colspan='3'>' ${beautifyAttribute(layerName)} '</td></tr>'`;
-          for (let i = 0, ilen = attr.length; i < ilen; i += 1) {
-            const attrName = attr[i];
-            const attrValue = feature.get(attrName);
-
-            formatedInfo += '<tr><td class="key"><b>';
-            formatedInfo += beautifyAttribute(attrName);
-            formatedInfo += '</b></td><td class="value">';
-            formatedInfo += attrValue;
-            formatedInfo += '</td></tr>';
-          }
-          formatedInfo += '</tbody></table></div>';
-        });
+      case 'application/vnd.ogc.gml':
+      case 'application/json':
+        formatedInfo = featuresToHtml(this.readFeatures(info, formato), layerName);
         break;
       case 'text/plain': // exp reg
         if (GetFeatureInfo.regExs.gsResponse.test(info)) {
@@ -309,22 +349,47 @@ class GetFeatureInfo extends Control {
   }
 
   /**
-   * Este método indica si el formato es aceptado por la capa - Formato específico text/html.
+   * Este método devuelve los objetos geográficos de la respuesta en los
+   * formatos estructurados (GeoJSON y GML). En el resto de formatos
+   * devuelve un array vacío.
+   *
+   * @param {string} info Respuesta de la consulta.
+   * @param {string} formato Formato de la respuesta.
+   * @returns {Array<M.Feature>} Objetos geográficos.
+   * @public
+   * @function
+   * @api
+   */
+  readFeatures(info, formato) {
+    const projection = this.facadeMap_.getProjection().code;
+    const options = {
+      dataProjection: projection,
+      featureProjection: projection,
+    };
+    let olFeatures = [];
+    if (formato === 'application/json') {
+      olFeatures = new OLFormatGeoJSON().readFeatures(info, options);
+    } else if (formato === 'application/vnd.ogc.gml') {
+      olFeatures = new OLFormatWMSGetFeatureInfo().readFeatures(info, options);
+    }
+    return olFeatures.map(olFeature => FeatureImpl.olFeature2Facade(olFeature));
+  }
+
+  /**
+   * Este método indica si la respuesta es un error del servidor porque
+   * la capa no admite el formato.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
    *
    * @param {string} info Información para formatear.
    * @param {string} formato Formato específico.
-   * @returns {boolean} Indica si el formato es aceptado por la capa.
+   * @returns {boolean} Indica si la capa no admite el formato.
    * @public
    * @function
    * @api stable
    */
   static unsupportedFormat(info, formato) {
-    let unsupported = false;
-    if (formato === 'text/html') {
-      unsupported = GetFeatureInfo.regExs.msUnsupportedFormat.test(info);
-    }
-    return unsupported;
+    return GetFeatureInfo.regExs.msUnsupportedFormat.test(info) ||
+      GetFeatureInfo.regExs.ogcUnsupportedFormat.test(info);
   }
 
   /**
@@ -459,7 +524,55 @@ class GetFeatureInfo extends Control {
   }
 
   /**
-   * Este método muestra información en una ventana emergente.
+   * Este método consulta una capa y devuelve su resultado: la capa (layer),
+   * su leyenda o nombre (layerName), el formato (format), los objetos
+   * geográficos (features) y el contenido HTML en los formatos de texto (content).
+   * Las peticiones fallidas y las respuestas que no se pueden leer se
+   * devuelven como resultados sin información.
+   *
+   * @public
+   * @function
+   * @param {object} layerNameUrl Capa consultada, con su nombre, url y opciones.
+   * @param {string} formato Formato de la respuesta.
+   * @returns {Promise<object>} Resultado de la capa o nulo si la capa no
+   * admite el formato.
+   * @api
+   */
+  queryLayer(layerNameUrl, formato) {
+    const { url, requestOptions } = layerNameUrl;
+    const layerName = layerNameUrl.layer;
+    return getRemote(url, null, requestOptions).catch(response => response).then((response) => {
+      let result = {
+        layer: layerNameUrl.facadeLayer,
+        layerName,
+        format: formato,
+        features: [],
+        content: null,
+      };
+      if (response.code === 200 && response.error === false) {
+        const info = response.text;
+        if (GetFeatureInfo.insert(info, formato) === true) {
+          try {
+            result.features = this.readFeatures(info, formato);
+            if (result.features.length === 0) {
+              result.content = this.formatInfo(info, formato, layerName);
+            }
+          } catch (err) {
+            // malformed responses are results without information
+            result.features = [];
+            result.content = null;
+          }
+        } else if (GetFeatureInfo.unsupportedFormat(info, formato)) {
+          result = null;
+        }
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Este método consulta las capas, lanza el evento QUERY_FEATURES con los
+   * resultados por capa y los muestra con el presentador.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
    * @public
    * @function
@@ -469,144 +582,91 @@ class GetFeatureInfo extends Control {
    * @api
    */
   showInfoFromURL_(layerNamesUrls, coordinate, olMap) {
-    const htmlAsText = compileTemplate(getfeatureinfoPopupTemplate, {
-      vars: {
-        info: GetFeatureInfo.LOADING_MESSAGE,
-      },
-      parseToHtml: false,
-    });
-
-    const infos = [];
+    const query = {};
+    this.query_ = query;
+    const results = [];
     const formato = this.userFormats[this.currentFormat];
     let contFull = 0;
-    const loadingInfoTab = {
-      icon: 'g-cartografia-info',
-      title: GetFeatureInfo.POPUP_TITLE,
-      content: htmlAsText,
-    };
-    let popup = this.facadeMap_.getPopup();
-
-    if (isNullOrEmpty(popup)) {
-      popup = new Popup();
-      popup.addTab(loadingInfoTab);
-      this.facadeMap_.addPopup(popup, coordinate);
-    } else {
-      const hasExternalContent =
-        popup.getTabs().some(tab => tab.title !== GetFeatureInfo.POPUP_TITLE);
-      if (!hasExternalContent) {
-        this.facadeMap_.removePopup();
-        popup = new Popup();
-        popup.addTab(loadingInfoTab);
-        this.facadeMap_.addPopup(popup, coordinate);
-      } else {
-        popup.addTab(loadingInfoTab);
-      }
+    if (!isNullOrEmpty(this.presenter) && !isUndefined(this.presenter.loading)) {
+      this.presenter.loading(coordinate, this.facadeMap_);
     }
-    layerNamesUrls.forEach((layerNameUrl) => {
-      const url = layerNameUrl.url;
-      const layerName = layerNameUrl.layer;
-      getRemote(url).then((response) => {
-        popup = this.facadeMap_.getPopup();
-        if (response.code === 200 && response.error === false) {
-          const info = response.text;
-          if (GetFeatureInfo.insert(info, formato) === true) {
-            const formatedInfo = this.formatInfo(info, formato, layerName);
-            infos.push({ formatedInfo, layerName });
-          } else if (GetFeatureInfo.unsupportedFormat(info, formato)) {
-            if (this.currentFormat > 2) {
-              infos.push({
-                formatedInfo: getValue('getfeatureinfo').any_format,
-                layerName,
-              });
-            } else {
-              this.currentFormat += 1;
-              this.buildUrl_(dialog, this.evt);
-              return;
-            }
+    layerNamesUrls.forEach((layerNameUrl, index) => {
+      this.queryLayer(layerNameUrl, formato).catch(() => ({
+        layer: layerNameUrl.facadeLayer,
+        layerName: layerNameUrl.layer,
+        format: formato,
+        features: [],
+        content: null,
+      })).then((layerResult) => {
+        // the query has been repeated with another format or clicking again
+        if (this.query_ !== query) {
+          return;
+        }
+        let result = layerResult;
+        if (result === null) {
+          if (this.currentFormat < this.userFormats.length - 1) {
+            this.currentFormat += 1;
+            this.buildUrl_(dialog, this.evt);
+            return;
           }
+          result = {
+            layer: layerNameUrl.facadeLayer,
+            layerName: layerNameUrl.layer,
+            format: formato,
+            features: [],
+            content: getValue('dialog').any_format,
+          };
         }
+        results[index] = result;
         contFull += 1;
-        if (layerNamesUrls.length === contFull && !isNullOrEmpty(popup)) {
-          popup.removeTab(loadingInfoTab);
-          if (infos.length === 0) {
-            popup.addTab({
-              icon: 'g-cartografia-info',
-              title: GetFeatureInfo.POPUP_TITLE,
-              content: getValue('getfeatureinfo').no_info,
-            });
-          } else {
-            const popupContent = compileTemplate(getfeatureinfoLayers, {
-              vars: {
-                layers: infos,
-                info_of: getValue('getfeatureinfo').info_of,
-              },
-              parseToHtml: false,
-            });
-            const parsedContent = popupContent.replace(/(.*)(<a href=.*)(>.*<\/a.*)/g, '$1$2 target="_blank"$3');
-            popup.addTab({
-              icon: 'g-cartografia-info',
-              title: GetFeatureInfo.POPUP_TITLE,
-              content: parsedContent,
-              listeners: [{
-                selector: '.m-getfeatureinfo-content-info div.m-arrow-right',
-                all: true,
-                type: 'click',
-                callback: e => this.toogleSection(e),
-              }],
-            });
-          }
+        if (layerNamesUrls.length === contFull) {
+          this.showResults_(results, coordinate);
         }
       });
     });
-    this.popup_ = popup;
   }
 
   /**
-   * Este método manejan el comportamiento de cierre/apertura de las secciones.
-   *
+   * Este método lanza el evento QUERY_FEATURES con los resultados y
+   * los muestra con el presentador.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
    * @public
    * @function
-   * @param {Event} e Evento.
+   * @param {array<object>} results Resultados por capa.
+   * @param {array} coordinate Coordenadas consultadas.
    * @api
    */
-  toogleSection(e) {
-    const { target } = e;
-    const { parentElement } = target.parentElement;
-    const content = parentElement.querySelector('.m-getfeatureinfo-content-info-body');
-    if (content.classList.contains('m-content-collapsed')) {
-      content.classList.remove('m-content-collapsed');
-      target.classList.remove('m-arrow-right');
-      target.classList.add('m-arrow-down');
-      const coordinates = this.popup_.getCoordinate();
-      if (!isNullOrEmpty(this.popup_.getImpl().panIntoView)) {
-        this.popup_.getImpl().panIntoView(coordinates);
-      }
-    } else {
-      content.classList.add('m-content-collapsed');
-      target.classList.add('m-arrow-right');
-      target.classList.remove('m-arrow-down');
+  showResults_(results, coordinate) {
+    if (!isNullOrEmpty(this.facadeControl)) {
+      this.facadeControl.fire(EventType.QUERY_FEATURES, [results, coordinate]);
+    }
+    if (!isNullOrEmpty(this.presenter)) {
+      this.presenter.show(results, coordinate, this.facadeMap_);
     }
   }
-}
-
-/**
- * Cargando mensaje.
- * @const
- * @type {string}
- * @public
- * @api
- */
-GetFeatureInfo.LOADING_MESSAGE = 'Obteniendo información...';
 
+  /**
+   * Cargando mensaje, en el idioma actual.
+   * @const
+   * @type {string}
+   * @public
+   * @api
+   */
+  static get LOADING_MESSAGE() {
+    return getValue('getfeatureinfo').loading;
+  }
 
-/**
- * Título para la ventana emergente.
- * @const
- * @type {string}
- * @public
- * @api
- */
-GetFeatureInfo.POPUP_TITLE = getValue('getfeatureinfo').info;
+  /**
+   * Título para la ventana emergente, en el idioma actual.
+   * @const
+   * @type {string}
+   * @public
+   * @api
+   */
+  static get POPUP_TITLE() {
+    return getValue('getfeatureinfo').info;
+  }
+}
 
 /**
  * Expresiones regulares de GetFeatureInfo.
@@ -621,6 +681,7 @@ GetFeatureInfo.regExs = {
   gsGeometry: /geom$/i,
   msGeometry: /boundedby$/i,
   msUnsupportedFormat: /error(.*)unsupported(.*)info_format/i,
+  ogcUnsupportedFormat: /exception[\s\S]*(invalidformat|info_?format)/i,
 };
 
 export default GetFeatureInfo;
@@ -0,0 +1,110 @@
+/**
+ * @module M/impl/control/Legend
+ */
+import { unByKey } from 'ol/Observable';
+import { isNullOrEmpty } from 'M/util/Utils';
+import Control from './Control';
+
+/**
+ * @classdesc
+ * Implementación del control de leyenda: avisa a la fachada cuando
+ * cambian las capas del mapa (añadidas, eliminadas, visibilidad o estilo)
+ * o la escala para que actualice la leyenda.
+ * @api
+ */
+class Legend extends Control {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @extends {M.impl.Control}
+   * @api stable
+   */
+  constructor() {
+    super();
+
+    /**
+     * Control de la fachada.
+     * @type {M.control.Legend}
+     */
+    this.facadeControl = null;
+
+    /**
+     * Claves de los eventos del mapa.
+     * @private
+     * @type {Array<ol.EventsKey>}
+     */
+    this.eventKeys_ = [];
+
+    /**
+     * Temporizador de la actualización pendiente.
+     * @private
+     * @type {Number}
+     */
+    this.updateTimeout_ = null;
+  }
+
+  /**
+   * Este método añade el control al mapa y registra los eventos que
+   * actualizan la leyenda.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @param {HTMLElement} element HTML del control.
+   * @api stable
+   */
+  addTo(map, element) {
+    super.addTo(map, element);
+    const olMap = map.getMapImpl();
+    // the layer group changes when a layer is added or removed
+    // or any of its properties (visibility, style, ...) changes
+    this.eventKeys_ = [
+      olMap.getLayerGroup().on('change', () => this.scheduleUpdate_()),
+      olMap.on('moveend', () => this.scheduleUpdate_()),
+    ];
+  }
+
+  /**
+   * Este método programa la actualización de la leyenda, agrupando
+   * los cambios consecutivos en una única actualización.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  scheduleUpdate_() {
+    clearTimeout(this.updateTimeout_);
+    this.updateTimeout_ = setTimeout(() => {
+      if (!isNullOrEmpty(this.facadeControl)) {
+        this.facadeControl.update();
+      }
+    }, Legend.UPDATE_DELAY);
+  }
+
+  /**
+   * Esta función destruye este control, limpiando el HTML y anula el registro de todos los eventos.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    clearTimeout(this.updateTimeout_);
+    unByKey(this.eventKeys_);
+    this.eventKeys_ = [];
+    super.destroy();
+  }
+}
+
+/**
+ * Tiempo de espera (ms) para agrupar los cambios del mapa.
+ * @const
+ * @type {Number}
+ * @public
+ * @api
+ */
+Legend.UPDATE_DELAY = 200;
+
+export default Legend;
@@ -0,0 +1,452 @@
+/**
+ * @module M/impl/format/CSV
+ */
+import MObject from 'M/Object';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import { isNullOrEmpty } from 'M/util/Utils';
+import OLFormatWKT from 'ol/format/WKT';
+import OLFormatGeoJSON from 'ol/format/GeoJSON';
+import { getProjectionCodes } from '../projections';
+
+/**
+ * Separadores que se prueban al detectar el de un CSV.
+ * @const
+ * @type {Array<string>}
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Nombres de las columnas de coordenadas, por parejas [x, y]. Las
+ * columnas pueden tener un sufijo, como "x_25830".
+ * @const
+ * @type {Array<Array<string>>}
+ */
+const XY_COLUMNS = [
+  ['x', 'y'],
+  ['lon', 'lat'],
+  ['lng', 'lat'],
+  ['long', 'lat'],
+  ['longitude', 'latitude'],
+  ['longitud', 'latitud'],
+  ['coordx', 'coordy'],
+  ['coord_x', 'coord_y'],
+  ['utm_x', 'utm_y'],
+  ['utmx', 'utmy'],
+  ['easting', 'northing'],
+  ['este', 'norte'],
+];
+
+/**
+ * Nombres de las columnas de geometrías WKT.
+ * @const
+ * @type {Array<string>}
+ */
+const WKT_COLUMNS = ['wkt', 'geom', 'geometry', 'geometria', 'the_geom', 'wkt_geom'];
+
+/**
+ * Nombres de las columnas con el código del sistema de referencia.
+ * @const
+ * @type {Array<string>}
+ */
+const SRS_COLUMNS = ['srs', 'crs', 'epsg', 'srid'];
+
+/**
+ * Expresión de las geometrías WKT (o EWKT, con SRID).
+ * @const
+ * @type {RegExp}
+ */
+const WKT_REGEXP = /^\s*(SRID=(\d+);)?\s*(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i;
+
+/**
+ * Expresión de los valores numéricos, con punto o coma decimal.
+ * @const
+ * @type {RegExp}
+ */
+const NUMBER_REGEXP = /^[-+]?(\d+([.,]\d+)?|[.,]\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Este método normaliza el nombre de una columna para compararlo:
+ * minúsculas, sin tildes ni espacios.
+ *
+ * @function
+ * @param {string} name Nombre de la columna.
+ * @returns {string} Nombre normalizado.
+ */
+const normalizeColumn = (name) => {
+  return name.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+};
+
+/**
+ * Este método convierte un texto en número, con punto o coma decimal.
+ *
+ * @function
+ * @param {string} value Texto.
+ * @returns {number} Número, NaN si el texto no es un número.
+ */
+const parseNumber = (value) => {
+  const text = value.trim();
+  return NUMBER_REGEXP.test(text) ? Number(text.replace(',', '.')) : NaN;
+};
+
+/**
+ * @classdesc
+ * Formato de texto delimitado (CSV). Lee las filas como objetos geográficos
+ * GeoJSON: detecta el separador, las columnas de coordenadas (X/Y, lon/lat...)
+ * o de geometrías WKT y el sistema de referencia, y da tipo (número, booleano
+ * o texto) a los atributos.
+ *
+ * @property {string} delimiter_ Separador, por defecto se detecta.
+ * @property {string} x_ Columna de la coordenada X.
+ * @property {string} y_ Columna de la coordenada Y.
+ * @property {string} wkt_ Columna de las geometrías WKT.
+ * @property {string} projection_ Sistema de referencia de los datos.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class CSV extends MObject {
+  /**
+   * Constructor principal de la clase. Crea el formato CSV.
+   *
+   * @constructor
+   * @param {Object} options Opciones del formato, por defecto se detectan.
+   * - delimiter: Separador de las columnas.
+   * - x: Columna de la coordenada X.
+   * - y: Columna de la coordenada Y.
+   * - wkt: Columna de las geometrías WKT.
+   * - projection: Sistema de referencia de los datos, por ejemplo "EPSG:25830".
+   * @api
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Separador de las columnas.
+     * @private
+     * @type {string}
+     */
+    this.delimiter_ = options.delimiter;
+
+    /**
+     * Columna de la coordenada X.
+     * @private
+     * @type {string}
+     */
+    this.x_ = options.x;
+
+    /**
+     * Columna de la coordenada Y.
+     * @private
+     * @type {string}
+     */
+    this.y_ = options.y;
+
+    /**
+     * Columna de las geometrías WKT.
+     * @private
+     * @type {string}
+     */
+    this.wkt_ = options.wkt;
+
+    /**
+     * Sistema de referencia de los datos.
+     * @private
+     * @type {string}
+     */
+    this.projection_ = options.projection;
+
+    /**
+     * Formato WKT.
+     * @private
+     * @type {ol.format.WKT}
+     */
+    this.wktFormat_ = new OLFormatWKT();
+
+    /**
+     * Formato GeoJSON.
+     * @private
+     * @type {ol.format.GeoJSON}
+     */
+    this.geojsonFormat_ = new OLFormatGeoJSON();
+  }
+
+  /**
+   * Este método lee un CSV como una colección de objetos geográficos
+   * GeoJSON, con el sistema de referencia detectado en "crs". Las filas
+   * sin geometría se descartan.
+   *
+   * @function
+   * @param {string} text Texto del CSV.
+   * @returns {Object} "FeatureCollection" GeoJSON.
+   * @public
+   * @api
+   */
+  read(text) {
+    const delimiter = this.delimiter_ || CSV.detectDelimiter(text);
+    const [header = [], ...rows] = CSV.parse(text, delimiter)
+      .filter(row => row.some(value => value.trim().length > 0));
+    const columns = header.map(column => column.trim());
+    const geometryColumns = this.detectGeometryColumns_(columns, rows);
+    const types = columns.map((column, index) => CSV.detectType(rows.map(row => row[index])));
+
+    let srid;
+    const features = [];
+    rows.forEach((row) => {
+      const properties = {};
+      columns.forEach((column, index) => {
+        if (index !== geometryColumns.wkt) {
+          properties[column] = CSV.parseValue(row[index], types[index]);
+        }
+      });
+      let geometry = null;
+      if (!isNullOrEmpty(geometryColumns.wkt)) {
+        const wkt = row[geometryColumns.wkt] || '';
+        const wktMatches = wkt.match(WKT_REGEXP);
+        if (!isNullOrEmpty(wktMatches)) {
+          srid = srid || wktMatches[2];
+          const olGeometry = this.wktFormat_.readGeometry(wkt.replace(/^\s*SRID=\d+;/i, ''));
+          geometry = this.geojsonFormat_.writeGeometryObject(olGeometry);
+        }
+      } else {
+        const x = parseNumber(row[geometryColumns.x] || '');
+        const y = parseNumber(row[geometryColumns.y] || '');
+        if (!Number.isNaN(x) && !Number.isNaN(y)) {
+          geometry = { type: 'Point', coordinates: [x, y] };
+        }
+      }
+      if (!isNullOrEmpty(geometry)) {
+        features.push({ type: 'Feature', geometry, properties });
+      }
+    });
+
+    const projection = this.projection_ ||
+      (srid && `EPSG:${srid}`) || this.detectProjection_(columns, rows, features);
+    return {
+      type: 'FeatureCollection',
+      features,
+      crs: {
+        type: 'name',
+        properties: {
+          name: projection,
+        },
+      },
+    };
+  }
+
+  /**
+   * Este método obtiene las columnas de las geometrías: la de
+   * geometrías WKT o las de coordenadas X e Y.
+   *
+   * @private
+   * @function
+   * @param {Array<string>} columns Columnas.
+   * @param {Array<Array<string>>} rows Filas.
+   * @returns {Object} Índices de las columnas { wkt } o { x, y }.
+   */
+  detectGeometryColumns_(columns, rows) {
+    const names = columns.map(normalizeColumn);
+    const indexOf = name => (isNullOrEmpty(name) ? -1 : names.indexOf(normalizeColumn(name)));
+    let geometryColumns = null;
+
+    if (indexOf(this.wkt_) !== -1) {
+      geometryColumns = { wkt: indexOf(this.wkt_) };
+    } else if (indexOf(this.x_) !== -1 && indexOf(this.y_) !== -1) {
+      geometryColumns = { x: indexOf(this.x_), y: indexOf(this.y_) };
+    } else {
+      // the name may have a suffix, as in "x_25830" or "lat_wgs84"
+      const findColumn = candidate => names.findIndex(name => name === candidate ||
+        name.startsWith(`${candidate}_`));
+      const xy = XY_COLUMNS.map(([x, y]) => [findColumn(x), findColumn(y)])
+        .find(([x, y]) => x !== -1 && y !== -1);
+      const firstRow = rows[0] || [];
+      let wkt = names.findIndex(name => WKT_COLUMNS.includes(name));
+      if (wkt === -1) {
+        wkt = firstRow.findIndex(value => WKT_REGEXP.test(value));
+      }
+      if (!isNullOrEmpty(xy)) {
+        geometryColumns = { x: xy[0], y: xy[1] };
+      } else if (wkt !== -1) {
+        geometryColumns = { wkt };
+      }
+    }
+
+    if (isNullOrEmpty(geometryColumns)) {
+      Exception(getValue('exception').csv_geometry);
+    }
+    return geometryColumns;
+  }
+
+  /**
+   * Este método detecta el sistema de referencia de los datos entre
+   * las proyecciones conocidas: por una columna con el código (srs, epsg...),
+   * por el código en el nombre de las columnas de coordenadas o, si las
+   * coordenadas son longitudes y latitudes, EPSG:4326. Si no se detecta y
+   * las coordenadas no son geográficas, lanza una excepción para que el
+   * usuario indique la proyección con el parámetro "projection".
+   *
+   * @private
+   * @function
+   * @param {Array<string>} columns Columnas.
+   * @param {Array<Array<string>>} rows Filas.
+   * @param {Array<Object>} features Objetos geográficos GeoJSON.
+   * @returns {string} Código de la proyección.
+   */
+  detectProjection_(columns, rows, features) {
+    const codes = getProjectionCodes();
+    const findCode = (text) => {
+      const numbers = String(text).match(/\d{4,5}/g) || [];
+      return numbers.map(number => `EPSG:${number}`).find(code => codes.includes(code));
+    };
+
+    let projection;
+    const srsColumn = columns.map(normalizeColumn).findIndex(name => SRS_COLUMNS.includes(name));
+    if (srsColumn !== -1 && rows.length > 0) {
+      projection = findCode(rows[0][srsColumn]);
+    }
+    if (isNullOrEmpty(projection)) {
+      projection = columns.map(findCode).find(code => !isNullOrEmpty(code));
+    }
+    if (isNullOrEmpty(projection)) {
+      const firstPosition = coords => (Array.isArray(coords[0]) ?
+        firstPosition(coords[0]) : coords);
+      const isGeographic = features.filter(({ geometry }) => !isNullOrEmpty(geometry.coordinates))
+        .every(({ geometry }) => {
+          const [x, y] = firstPosition(geometry.coordinates);
+          return Math.abs(x) <= 180 && Math.abs(y) <= 90;
+        });
+      if (!isGeographic) {
+        Exception(getValue('exception').csv_projection);
+      }
+      projection = 'EPSG:4326';
+    }
+    return projection;
+  }
+
+  /**
+   * Este método detecta el separador de un CSV: el que divide la
+   * cabecera en más columnas.
+   *
+   * @function
+   * @param {string} text Texto del CSV.
+   * @returns {string} Separador.
+   * @public
+   * @api
+   */
+  static detectDelimiter(text) {
+    const header = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map(delimiter => header.split(delimiter).length);
+    return DELIMITERS[counts.indexOf(Math.max(...counts))];
+  }
+
+  /**
+   * Este método divide un CSV en filas y valores (RFC 4180): admite
+   * valores entre comillas con separadores, saltos de línea y
+   * comillas dobles escapadas.
+   *
+   * @function
+   * @param {string} text Texto del CSV.
+   * @param {string} delimiter Separador.
+   * @returns {Array<Array<string>>} Filas.
+   * @public
+   * @api
+   */
+  static parse(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    const content = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < content.length; i += 1) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i += 1;
+        }
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value.length > 0 || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Este método detecta el tipo de los valores de una columna: "number"
+   * si todos son números, "boolean" si todos son verdadero o falso y
+   * "string" en otro caso. Los valores vacíos no se tienen en cuenta y
+   * los números con ceros a la izquierda (códigos) son texto.
+   *
+   * @function
+   * @param {Array<string>} values Valores de la columna.
+   * @returns {string} Tipo de la columna.
+   * @public
+   * @api
+   */
+  static detectType(values) {
+    const filledValues = values.filter(value => !isNullOrEmpty(value))
+      .map(value => value.trim());
+    let type = 'string';
+    if (filledValues.length > 0) {
+      if (filledValues.every(value => !Number.isNaN(parseNumber(value)) &&
+          !/^[-+]?0\d/.test(value))) {
+        type = 'number';
+      } else if (filledValues.every(value => /^(true|false)$/i.test(value))) {
+        type = 'boolean';
+      }
+    }
+    return type;
+  }
+
+  /**
+   * Este método convierte un valor al tipo de su columna. Los
+   * valores vacíos son nulos.
+   *
+   * @function
+   * @param {string} value Valor.
+   * @param {string} type Tipo de la columna.
+   * @returns {number|boolean|string} Valor convertido.
+   * @public
+   * @api
+   */
+  static parseValue(value, type) {
+    let parsedValue = null;
+    if (!isNullOrEmpty(value)) {
+      if (type === 'number') {
+        parsedValue = parseNumber(value);
+      } else if (type === 'boolean') {
+        parsedValue = value.trim().toLowerCase() === 'true';
+      } else {
+        parsedValue = value;
+      }
+    }
+    return parsedValue;
+  }
+}
+
+export default CSV;
@@ -0,0 +1,123 @@
+/**
+ * @module M/impl/format/GPX
+ */
+import OLFormatGPX from 'ol/format/GPX';
+import GeometryLayout from 'ol/geom/GeometryLayout';
+
+/**
+ * Tipos de los elementos GPX según la geometría que leen.
+ * @const
+ * @type {Object}
+ */
+const GPX_TYPES = {
+  Point: 'wpt',
+  LineString: 'rte',
+  MultiLineString: 'trk',
+};
+
+/**
+ * Este método convierte un tiempo GPX (segundos) en una fecha ISO 8601.
+ *
+ * @function
+ * @param {number} seconds Segundos desde 1970.
+ * @returns {string} Fecha ISO 8601.
+ */
+const toISOTime = seconds => new Date(seconds * 1000).toISOString();
+
+/**
+ * @classdesc
+ * Implementación del formateador GPX. Las geometrías conservan la elevación
+ * (Z) y el tiempo (M) de cada punto, y los tracks mantienen sus segmentos como
+ * líneas de una "MultiLineString". Además, a cada objeto geográfico se le añade:
+ * - gpx_type: Elemento GPX del que procede ("wpt", "rte" o "trk").
+ * - ele, time: Elevación y fecha de los puntos de paso.
+ * - segments: Número de segmentos de los tracks.
+ * - ele_min, ele_max, time_start, time_end: Elevación mínima y máxima y
+ * fechas de inicio y fin de las rutas y tracks.
+ *
+ * @api
+ * @extends {ol.format.GPX}
+ */
+class GPX extends OLFormatGPX {
+  /**
+   * Este método devuelve los objetos geográficos obtenidos de una fuente
+   * con los atributos de elevación y tiempo.
+   *
+   * @function
+   * @param {Document|Element|string} source Fuente GPX.
+   * @param {Object} options Opciones.
+   * - dataProjection: Proyección de los datos leídos.
+   * - featureProjection: Proyección de las geometrías de los objetos geográficos.
+   * @returns {Array<ol.Feature>} Objetos geográficos.
+   * @public
+   * @api
+   */
+  readCustomFeatures(source, options) {
+    const features = this.readFeatures(source, options);
+    features.forEach((feature) => {
+      const geometry = feature.getGeometry();
+      feature.set('gpx_type', GPX_TYPES[geometry.getType()]);
+      const attributes = GPX.getElevationTime(geometry);
+      if (geometry.getType() === 'MultiLineString') {
+        attributes.segments = geometry.getLineStrings().length;
+      }
+      feature.setProperties(attributes);
+    });
+    return features;
+  }
+
+  /**
+   * Este método obtiene los atributos de elevación y tiempo
+   * de las coordenadas de una geometría. Los valores 0, que OpenLayers
+   * asigna a los puntos sin elevación o sin tiempo, no se tienen en cuenta.
+   *
+   * @function
+   * @param {ol.geom.SimpleGeometry} geometry Geometría.
+   * @returns {Object} Atributos de elevación y tiempo.
+   * @public
+   * @api
+   */
+  static getElevationTime(geometry) {
+    const attributes = {};
+    const layout = geometry.getLayout();
+    const stride = geometry.getStride();
+    const flatCoordinates = geometry.getFlatCoordinates();
+    const hasZ = (layout === GeometryLayout.XYZ) || (layout === GeometryLayout.XYZM);
+    const hasM = (layout === GeometryLayout.XYM) || (layout === GeometryLayout.XYZM);
+    let elevations = null;
+    let times = null;
+    for (let i = 0; i < flatCoordinates.length; i += stride) {
+      const ele = hasZ ? flatCoordinates[i + 2] : 0;
+      const time = hasM ? flatCoordinates[(i + stride) - 1] : 0;
+      if (ele !== 0) {
+        elevations = elevations === null ? [ele, ele] :
+          [Math.min(elevations[0], ele), Math.max(elevations[1], ele)];
+      }
+      if (time !== 0) {
+        times = times === null ? [time, time] :
+          [Math.min(times[0], time), Math.max(times[1], time)];
+      }
+    }
+
+    if (geometry.getType() === 'Point') {
+      if (elevations !== null) {
+        attributes.ele = elevations[0];
+      }
+      if (times !== null) {
+        attributes.time = toISOTime(times[0]);
+      }
+    } else {
+      if (elevations !== null) {
+        attributes.ele_min = elevations[0];
+        attributes.ele_max = elevations[1];
+      }
+      if (times !== null) {
+        attributes.time_start = toISOTime(times[0]);
+        attributes.time_end = toISOTime(times[1]);
+      }
+    }
+    return attributes;
+  }
+}
+
+export default GPX;
@@ -51,6 +51,7 @@ class XML {
       xsi: 'http://www.w3.org/2001/XMLSchema-instance',
       xsd: 'http://www.w3.org/2001/XMLSchema',
       ogc: 'http://www.opengis.net/ogc',
+      apicnig: 'https://componentes.cnig.es/api-core/context',
     };
 
     /**
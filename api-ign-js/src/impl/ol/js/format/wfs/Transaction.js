@@ -0,0 +1,429 @@
+/**
+ * @module M/impl/format/wfs/Transaction
+ */
+import { isNullOrEmpty, isObject } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import OLFormatGML2 from 'ol/format/GML2';
+import OLFormatGML3 from 'ol/format/GML3';
+import OLFormatGML32 from 'ol/format/GML32';
+import { createElementNS, parse as parseXML } from 'ol/xml';
+
+/**
+ * Espacios de nombres de cada versión de WFS: WFS y filtros.
+ * @const
+ * @type {Object}
+ */
+const NAMESPACES = {
+  '1.0.0': {
+    wfs: 'http://www.opengis.net/wfs',
+    filter: 'http://www.opengis.net/ogc',
+  },
+  '1.1.0': {
+    wfs: 'http://www.opengis.net/wfs',
+    filter: 'http://www.opengis.net/ogc',
+  },
+  '2.0.0': {
+    wfs: 'http://www.opengis.net/wfs/2.0',
+    filter: 'http://www.opengis.net/fes/2.0',
+  },
+};
+
+/**
+ * Espacio de nombres de las declaraciones de espacios de nombres.
+ * @const
+ * @type {String}
+ */
+const XMLNS = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Este método devuelve los atributos de un objeto geográfico que se
+ * escriben en la transacción, sin la geometría ni el "bbox".
+ *
+ * @function
+ * @param {M.Feature} feature Objeto geográfico.
+ * @returns {Object} Atributos.
+ */
+const getProperties = (feature) => {
+  const olFeature = feature.getImpl().getOLFeature();
+  const properties = { ...olFeature.getProperties() };
+  delete properties[olFeature.getGeometryName()];
+  delete properties.bbox;
+  Object.keys(properties).forEach((name) => {
+    if (properties[name] === undefined || /^vendor\./.test(name)) {
+      delete properties[name];
+    }
+  });
+  return properties;
+};
+
+/**
+ * Este método convierte el valor de un atributo en texto.
+ *
+ * @function
+ * @param {*} value Valor.
+ * @returns {String} Texto.
+ */
+const serializeValue = (value) => {
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (isObject(value)) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return text;
+};
+
+/**
+ * Este método obtiene los elementos descendientes con un nombre local,
+ * en cualquier espacio de nombres.
+ *
+ * @function
+ * @param {Element} node Nodo.
+ * @param {String} localName Nombre local.
+ * @returns {Array<Element>} Elementos.
+ */
+const getElements = (node, localName) => Array.from(node.getElementsByTagNameNS('*', localName));
+
+/**
+ * @classdesc
+ * Formato de las transacciones WFS-T (WFS 1.0.0, 1.1.0 y 2.0.0). Escribe
+ * la petición "Transaction" con las inserciones, actualizaciones y borrados
+ * de objetos geográficos y lee la respuesta "TransactionResponse".
+ *
+ * @property {String} version_ Versión de WFS.
+ * @property {String} featureNS_ Espacio de nombres del tipo de objetos geográficos.
+ * @property {String} featurePrefix_ Prefijo del espacio de nombres.
+ * @property {String} featureType_ Nombre del tipo de objetos geográficos.
+ * @property {String} geometryName_ Nombre del atributo de la geometría.
+ * @property {String} srsName_ Sistema de referencia de las geometrías.
+ *
+ * @api
+ */
+class Transaction {
+  /**
+   * Constructor principal de la clase. Crea el formato de las
+   * transacciones de un tipo de objetos geográficos.
+   *
+   * @constructor
+   * @param {Object} options Opciones del formato.
+   * - version: Versión de WFS (1.0.0, 1.1.0 o 2.0.0), por defecto 1.1.0.
+   * - featureNS: Espacio de nombres del tipo de objetos geográficos.
+   * - featurePrefix: Prefijo del espacio de nombres.
+   * - featureType: Nombre del tipo de objetos geográficos, sin prefijo.
+   * - geometryName: Nombre del atributo de la geometría, por defecto "the_geom".
+   * - srsName: Sistema de referencia de las geometrías.
+   * @api
+   */
+  constructor(options = {}) {
+    /**
+     * Versión de WFS.
+     * @private
+     * @type {String}
+     */
+    this.version_ = NAMESPACES[options.version] ? options.version : '1.1.0';
+
+    /**
+     * Espacio de nombres del tipo de objetos geográficos.
+     * @private
+     * @type {String}
+     */
+    this.featureNS_ = options.featureNS;
+
+    /**
+     * Prefijo del espacio de nombres.
+     * @private
+     * @type {String}
+     */
+    this.featurePrefix_ = options.featurePrefix || 'feature';
+
+    /**
+     * Nombre del tipo de objetos geográficos.
+     * @private
+     * @type {String}
+     */
+    this.featureType_ = options.featureType;
+
+    /**
+     * Nombre del atributo de la geometría.
+     * @private
+     * @type {String}
+     */
+    this.geometryName_ = options.geometryName || 'the_geom';
+
+    /**
+     * Sistema de referencia de las geometrías.
+     * @private
+     * @type {String}
+     */
+    this.srsName_ = options.srsName;
+
+    /**
+     * Formato GML de las geometrías.
+     * @private
+     * @type {ol.format.GMLBase}
+     */
+    this.gmlFormat_ = this.createGMLFormat_();
+  }
+
+  /**
+   * Este método escribe la petición "Transaction".
+   *
+   * @function
+   * @param {Array<M.Feature>} inserts Objetos geográficos que se insertan.
+   * @param {Array<M.Feature>} updates Objetos geográficos que se actualizan.
+   * @param {Array<M.Feature>} deletes Objetos geográficos que se borran.
+   * @returns {String} Petición "Transaction" en XML.
+   * @public
+   * @api
+   */
+  writeTransaction(inserts = [], updates = [], deletes = []) {
+    const ns = NAMESPACES[this.version_];
+    const node = createElementNS(ns.wfs, 'wfs:Transaction');
+    node.setAttribute('service', 'WFS');
+    node.setAttribute('version', this.version_);
+
+    if (inserts.length > 0) {
+      const insertNode = createElementNS(ns.wfs, 'wfs:Insert');
+      inserts.forEach(feature => insertNode.appendChild(this.writeFeature_(feature)));
+      node.appendChild(insertNode);
+    }
+    updates.forEach(feature => node.appendChild(this.writeUpdate_(feature)));
+    deletes.forEach((feature) => {
+      const deleteNode = createElementNS(ns.wfs, 'wfs:Delete');
+      deleteNode.setAttribute('typeName', this.getTypeName_());
+      this.declareFeatureNS_(deleteNode);
+      deleteNode.appendChild(this.writeFilter_(feature));
+      node.appendChild(deleteNode);
+    });
+
+    return new XMLSerializer().serializeToString(node);
+  }
+
+  /**
+   * Este método lee la respuesta "TransactionResponse".
+   *
+   * @function
+   * @param {String} text Respuesta del servicio.
+   * @returns {Object} Resumen de la transacción:
+   * - totalInserted, totalUpdated, totalDeleted: Objetos geográficos insertados,
+   * actualizados y borrados.
+   * - insertIds: Identificadores asignados por el servidor a los objetos insertados,
+   * en el orden de la petición.
+   * @throws {M.exception} Si el servicio rechaza la transacción.
+   * @public
+   * @api
+   */
+  readTransactionResponse(text) {
+    let doc;
+    try {
+      doc = parseXML(text);
+    } catch (err) {
+      doc = null;
+    }
+    if (isNullOrEmpty(doc) || isNullOrEmpty(doc.documentElement)) {
+      Exception(getValue('exception').wfst_response);
+    }
+
+    const root = doc.documentElement;
+    const errors = getElements(root, 'ExceptionText')
+      .concat(getElements(root, 'ServiceException'))
+      .concat(getElements(root, 'Message'));
+    const failed = getElements(root, 'FAILED').length > 0;
+    if (/Exception/.test(root.localName) || failed) {
+      const message = errors.map(error => error.textContent.trim()).join(' ');
+      Exception(`${getValue('exception').wfst_exception} ${message}`.trim());
+    }
+    if (!/TransactionResponse/.test(root.localName)) {
+      Exception(getValue('exception').wfst_response);
+    }
+
+    const insertIds = [];
+    getElements(root, 'InsertResults')
+      .concat(getElements(root, 'InsertResult'))
+      .forEach((insertNode) => {
+        getElements(insertNode, 'FeatureId')
+          .concat(getElements(insertNode, 'ResourceId'))
+          .forEach((idNode) => {
+            insertIds.push(idNode.getAttribute('fid') || idNode.getAttribute('rid'));
+          });
+      });
+
+    const readTotal = (name, defaultValue) => {
+      const totalNode = getElements(root, name)[0];
+      return totalNode ? parseInt(totalNode.textContent, 10) : defaultValue;
+    };
+    return {
+      totalInserted: readTotal('totalInserted', insertIds.length),
+      totalUpdated: readTotal('totalUpdated', null),
+      totalDeleted: readTotal('totalDeleted', null),
+      insertIds,
+    };
+  }
+
+  /**
+   * Este método escribe un objeto geográfico para insertarlo.
+   *
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @returns {Element} Nodo del objeto geográfico.
+   * @private
+   */
+  writeFeature_(feature) {
+    const featureNode = createElementNS(this.featureNS_, this.getTypeName_());
+    const geometry = feature.getImpl().getOLFeature().getGeometry();
+    if (!isNullOrEmpty(geometry)) {
+      const geometryNode = createElementNS(this.featureNS_, `${this.featurePrefix_}:${this.geometryName_}`);
+      this.writeGeometry_(geometryNode, geometry);
+      featureNode.appendChild(geometryNode);
+    }
+    Object.entries(getProperties(feature)).forEach(([name, value]) => {
+      if (value !== null) {
+        const propertyNode = createElementNS(this.featureNS_, `${this.featurePrefix_}:${name}`);
+        propertyNode.appendChild(document.createTextNode(serializeValue(value)));
+        featureNode.appendChild(propertyNode);
+      }
+    });
+    return featureNode;
+  }
+
+  /**
+   * Este método escribe la actualización de un objeto geográfico con
+   * todos sus atributos y su geometría.
+   *
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @returns {Element} Nodo "Update".
+   * @private
+   */
+  writeUpdate_(feature) {
+    const ns = NAMESPACES[this.version_];
+    const updateNode = createElementNS(ns.wfs, 'wfs:Update');
+    updateNode.setAttribute('typeName', this.getTypeName_());
+    this.declareFeatureNS_(updateNode);
+
+    const nameElement = (this.version_ === '2.0.0') ? 'wfs:ValueReference' : 'wfs:Name';
+    const appendProperty = (name, writeValue) => {
+      const propertyNode = createElementNS(ns.wfs, 'wfs:Property');
+      const nameNode = createElementNS(ns.wfs, nameElement);
+      nameNode.appendChild(document.createTextNode(name));
+      propertyNode.appendChild(nameNode);
+      if (writeValue) {
+        const valueNode = createElementNS(ns.wfs, 'wfs:Value');
+        writeValue(valueNode);
+        propertyNode.appendChild(valueNode);
+      }
+      updateNode.appendChild(propertyNode);
+    };
+
+    const geometry = feature.getImpl().getOLFeature().getGeometry();
+    if (!isNullOrEmpty(geometry)) {
+      appendProperty(this.geometryName_, valueNode => this.writeGeometry_(valueNode, geometry));
+    }
+    Object.entries(getProperties(feature)).forEach(([name, value]) => {
+      // a property without value sets it to null
+      appendProperty(name, (value === null) ? null : (valueNode) => {
+        valueNode.appendChild(document.createTextNode(serializeValue(value)));
+      });
+    });
+    updateNode.appendChild(this.writeFilter_(feature));
+    return updateNode;
+  }
+
+  /**
+   * Este método escribe el filtro por identificador de un objeto geográfico.
+   *
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @returns {Element} Nodo "Filter".
+   * @private
+   */
+  writeFilter_(feature) {
+    const ns = NAMESPACES[this.version_];
+    let filterNode;
+    let idNode;
+    if (this.version_ === '2.0.0') {
+      filterNode = createElementNS(ns.filter, 'fes:Filter');
+      idNode = createElementNS(ns.filter, 'fes:ResourceId');
+      idNode.setAttribute('rid', feature.getId());
+    } else {
+      filterNode = createElementNS(ns.filter, 'ogc:Filter');
+      idNode = createElementNS(ns.filter, 'ogc:FeatureId');
+      idNode.setAttribute('fid', feature.getId());
+    }
+    filterNode.appendChild(idNode);
+    return filterNode;
+  }
+
+  /**
+   * Este método escribe una geometría en GML dentro de un nodo.
+   *
+   * @function
+   * @param {Element} node Nodo.
+   * @param {ol.geom.Geometry} geometry Geometría.
+   * @private
+   */
+  writeGeometry_(node, geometry) {
+    const context = {
+      node,
+      srsName: this.srsName_,
+      hasZ: false,
+      curve: false,
+      surface: false,
+      multiCurve: true,
+      multiSurface: true,
+    };
+    this.gmlFormat_.writeGeometryElement(node, geometry, [context]);
+  }
+
+  /**
+   * Este método crea el formato GML de la versión de WFS.
+   *
+   * @function
+   * @returns {ol.format.GMLBase} Formato GML.
+   * @private
+   */
+  createGMLFormat_() {
+    const options = {
+      featureNS: this.featureNS_,
+      featureType: this.featureType_,
+      srsName: this.srsName_,
+    };
+    let gmlFormat;
+    if (this.version_ === '1.0.0') {
+      gmlFormat = new OLFormatGML2(options);
+    } else if (this.version_ === '2.0.0') {
+      gmlFormat = new OLFormatGML32(options);
+    } else {
+      gmlFormat = new OLFormatGML3(options);
+    }
+    return gmlFormat;
+  }
+
+  /**
+   * Este método declara el prefijo del espacio de nombres del tipo de objetos
+   * geográficos en un nodo que lo usa en el atributo "typeName".
+   *
+   * @function
+   * @param {Element} node Nodo.
+   * @private
+   */
+  declareFeatureNS_(node) {
+    node.setAttributeNS(XMLNS, `xmlns:${this.featurePrefix_}`, this.featureNS_);
+  }
+
+  /**
+   * Este método devuelve el nombre del tipo de objetos geográficos con prefijo.
+   *
+   * @function
+   * @returns {String} Nombre con prefijo.
+   * @private
+   */
+  getTypeName_() {
+    return `${this.featurePrefix_}:${this.featureType_}`;
+  }
+}
+
+export default Transaction;
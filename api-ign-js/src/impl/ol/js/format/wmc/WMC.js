@@ -0,0 +1,120 @@
+/**
+ * @module M/impl/format/WMC
+ */
+import { isString, isNullOrEmpty, isUndefined } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { parse as olXMLParse } from 'ol/xml';
+import { getValue } from 'M/i18n/language';
+import XML from '../XML';
+import WMC100 from './WMC100';
+import WMC110 from './WMC110';
+
+/**
+  * @classdesc
+  * Implementación de la clase WMC. Crea un formateador de documentos
+  * Web Map Context que delega la lectura en el formateador correspondiente
+  * a la versión del documento.
+  *
+  * @property {String} version Versión del último documento leído.
+  *
+  * @api
+  * @extends {M.impl.format.XML}
+  */
+class WMC extends XML {
+  /**
+    * Constructor principal de la clase. Crea un formateador WMC.
+    *
+    * @constructor
+    * @param {Mx.parameters.LayerOptions} options Opciones para este formateador.
+    * @api
+    */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+      * Versión del último documento leído.
+      * @public
+      * @type {String}
+      */
+    this.version = null;
+  }
+
+  /**
+    * Este método lee un documento WMC y devuelve el contexto que describe.
+    *
+    * @function
+    * @param {String | Document} data Documento WMC.
+    * @returns {Object} Contexto con el título, la proyección, el encuadre y las capas.
+    * @public
+    * @api
+    */
+  read(data) {
+    let dataVariable = data;
+    if (isString(data)) {
+      dataVariable = olXMLParse(data);
+    }
+
+    if (isNullOrEmpty(dataVariable) || dataVariable.nodeType !== 9) {
+      Exception(getValue('exception').must_be_document);
+    }
+
+    this.version = dataVariable.documentElement.getAttribute('version');
+    if (isNullOrEmpty(this.version)) {
+      this.version = WMC.DEFAULT_VERSION;
+    }
+
+    const Parser = WMC.PARSERS[this.version];
+    if (isUndefined(Parser)) {
+      Exception(`${getValue('exception').unsupported_wmc_version}: ${this.version}`);
+    }
+
+    const parser = new Parser(this.options);
+    return parser.read(dataVariable);
+  }
+
+  /**
+    * Este método escribe un contexto como documento WMC.
+    *
+    * @function
+    * @param {Object} context Contexto con el título, la proyección, el encuadre y las capas.
+    * @param {String} version Versión del documento, por defecto 1.1.0.
+    * @returns {String} Documento WMC.
+    * @public
+    * @api
+    */
+  write(context, version = WMC.DEFAULT_VERSION) {
+    const Parser = WMC.PARSERS[version];
+    if (isUndefined(Parser)) {
+      Exception(`${getValue('exception').unsupported_wmc_version}: ${version}`);
+    }
+    this.version = version;
+
+    const parser = new Parser(this.options);
+    const wmcDocument = parser.write(context);
+    return '<?xml version="1.0" encoding="UTF-8"?>'
+      .concat(new XMLSerializer().serializeToString(wmcDocument));
+  }
+}
+
+/**
+  * Versión por defecto de los documentos WMC.
+  * @const
+  * @type {string}
+  * @public
+  * @api
+  */
+WMC.DEFAULT_VERSION = WMC110.VERSION;
+
+/**
+  * Formateadores disponibles por versión.
+  * @const
+  * @type {Object}
+  * @public
+  * @api
+  */
+WMC.PARSERS = {
+  [WMC100.VERSION]: WMC100,
+  [WMC110.VERSION]: WMC110,
+};
+
+export default WMC;
@@ -0,0 +1,55 @@
+/**
+ * @module M/impl/format/WMC100
+ */
+import XML from '../XML';
+import WMCv1 from './WMCv1';
+
+/**
+  * @classdesc
+  * Implementación del formateador WMC 1.0.0. En esta versión las
+  * escalas de visualización de cada capa se definen en el espacio de
+  * nombres del propio contexto.
+  *
+  * @api
+  * @extends {M.impl.format.WMCv1}
+  */
+class WMC100 extends WMCv1 {
+  /**
+    * Este método lee la escala mínima de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcMinScaleDenominator(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.minScale = parseFloat(XML.getChildValue(node));
+  }
+
+  /**
+    * Este método lee la escala máxima de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcMaxScaleDenominator(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.maxScale = parseFloat(XML.getChildValue(node));
+  }
+}
+
+/**
+  * Versión del documento WMC.
+  * @const
+  * @type {string}
+  * @public
+  * @api
+  */
+WMC100.VERSION = '1.0.0';
+
+export default WMC100;
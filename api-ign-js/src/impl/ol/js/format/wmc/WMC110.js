@@ -0,0 +1,73 @@
+/**
+ * @module M/impl/format/WMC110
+ */
+import XML from '../XML';
+import WMCv1 from './WMCv1';
+
+/**
+  * @classdesc
+  * Implementación del formateador WMC 1.1.0. En esta versión las
+  * escalas de visualización de cada capa se definen en el espacio de
+  * nombres SLD.
+  *
+  * @api
+  * @extends {M.impl.format.WMCv1}
+  */
+class WMC110 extends WMCv1 {
+  /**
+    * Constructor principal de la clase. Crea un formateador WMC 1.1.0.
+    *
+    * @constructor
+    * @param {Mx.parameters.LayerOptions} options Opciones para este formateador.
+    * @api
+    */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+      * Prefijo del espacio de nombres de las escalas de las capas.
+      * @public
+      * @type {string}
+      */
+    this.scalePrefix = 'sld';
+  }
+
+  /**
+    * Este método lee la escala mínima de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readsldMinScaleDenominator(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.minScale = parseFloat(XML.getChildValue(node));
+  }
+
+  /**
+    * Este método lee la escala máxima de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readsldMaxScaleDenominator(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.maxScale = parseFloat(XML.getChildValue(node));
+  }
+}
+
+/**
+  * Versión del documento WMC.
+  * @const
+  * @type {string}
+  * @public
+  * @api
+  */
+WMC110.VERSION = '1.1.0';
+
+export default WMC110;
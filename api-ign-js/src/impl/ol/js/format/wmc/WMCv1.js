@@ -0,0 +1,745 @@
+/**
+ * @module M/impl/format/WMCv1
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+import XML from '../XML';
+
+/**
+  * @classdesc
+  * Implementación del formateador WMC común a las versiones 1.x.
+  * Lee un documento "ViewContext" y devuelve un objeto de contexto
+  * con el título, la proyección, el encuadre y la lista de capas.
+  *
+  * @api
+  * @extends {M.impl.format.XML}
+  */
+class WMCv1 extends XML {
+  /**
+    * Constructor principal de la clase. Crea un formateador WMC 1.x.
+    *
+    * @constructor
+    * @param {Mx.parameters.LayerOptions} options Opciones para este formateador.
+    * @api
+    */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+      * Prefijo utilizado para los nodos sin espacio de nombres.
+      * @public
+      * @type {string}
+      */
+    this.defaultPrefix = 'wmc';
+
+    /**
+      * Prefijo del espacio de nombres de las escalas de las capas.
+      * @public
+      * @type {string}
+      */
+    this.scalePrefix = 'wmc';
+  }
+
+  /**
+    * Este método lee el nodo "General" del contexto.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcGeneral(context, node) {
+    this.runChildNodes(context, node);
+  }
+
+  /**
+    * Este método lee el nodo "Window" con el tamaño del mapa.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcWindow(context, node) {
+    const contextVariable = context;
+    contextVariable.size = [
+      parseInt(node.getAttribute('width'), 10),
+      parseInt(node.getAttribute('height'), 10),
+    ];
+  }
+
+  /**
+    * Este método lee el nodo "BoundingBox" con el encuadre
+    * y la proyección del contexto.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcBoundingBox(context, node) {
+    const contextVariable = context;
+    contextVariable.projection = node.getAttribute('SRS');
+    contextVariable.bbox = WMCv1.readExtent(node);
+  }
+
+  /**
+    * Este método lee el nodo "Title".
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcTitle(obj, node) {
+    const objVariable = obj;
+    objVariable.title = XML.getChildValue(node).trim();
+  }
+
+  /**
+    * Este método lee el nodo "Abstract".
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcAbstract(obj, node) {
+    const objVariable = obj;
+    objVariable.abstract = XML.getChildValue(node).trim();
+  }
+
+  /**
+    * Este método lee el nodo "Name".
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcName(obj, node) {
+    const objVariable = obj;
+    const name = XML.getChildValue(node).trim();
+    if (!isNullOrEmpty(name)) {
+      objVariable.name = name;
+    }
+  }
+
+  /**
+    * Este método lee el nodo "Extension" que puede contener
+    * parámetros propios de OpenLayers.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcExtension(obj, node) {
+    this.runChildNodes(obj, node);
+  }
+
+  /**
+    * Este método lee la extensión máxima de la extensión OpenLayers.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolmaxExtent(obj, node) {
+    const objVariable = obj;
+    objVariable.maxExtent = WMCv1.readExtent(node);
+  }
+
+  /**
+    * Este método lee las unidades de la extensión OpenLayers.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolunits(obj, node) {
+    const objVariable = obj;
+    objVariable.units = XML.getChildValue(node).trim();
+  }
+
+  /**
+    * Este método lee la transparencia de la extensión OpenLayers.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readoltransparent(obj, node) {
+    const objVariable = obj;
+    objVariable.transparent = WMCv1.readBoolean(node);
+  }
+
+  /**
+    * Este método lee si la capa es base en la extensión OpenLayers.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolisBaseLayer(obj, node) {
+    const objVariable = obj;
+    objVariable.isBaseLayer = WMCv1.readBoolean(node);
+  }
+
+  /**
+    * Este método lee si la capa se muestra en el selector de capas.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readoldisplayInLayerSwitcher(obj, node) {
+    const objVariable = obj;
+    objVariable.displayInLayerSwitcher = WMCv1.readBoolean(node);
+  }
+
+  /**
+    * Este método lee si la capa es de tesela única.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolsingleTile(obj, node) {
+    const objVariable = obj;
+    objVariable.singleTile = WMCv1.readBoolean(node);
+  }
+
+  /**
+    * Este método lee el número de niveles de zoom.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolnumZoomLevels(obj, node) {
+    const objVariable = obj;
+    objVariable.numZoomLevels = parseInt(XML.getChildValue(node), 10);
+  }
+
+  /**
+    * Este método lee la opacidad de la capa.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readolopacity(obj, node) {
+    const objVariable = obj;
+    objVariable.opacity = parseFloat(XML.getChildValue(node));
+  }
+
+  /**
+    * Este método lee la lista de capas del contexto.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcLayerList(context, node) {
+    const contextVariable = context;
+    contextVariable.layers = [];
+    this.runChildNodes(contextVariable, node);
+  }
+
+  /**
+    * Este método lee una capa de la lista de capas.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcLayer(context, node) {
+    const layerContext = {
+      queryable: node.getAttribute('queryable') === '1',
+      hidden: node.getAttribute('hidden') === '1',
+      formats: [],
+      styles: [],
+      srs: [],
+    };
+    this.runChildNodes(layerContext, node);
+    context.layers.push(layerContext);
+  }
+
+  /**
+    * Este método lee el servidor de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcServer(layerContext, node) {
+    const layerContextVariable = layerContext;
+    const server = {};
+    this.runChildNodes(server, node);
+    layerContextVariable.service = node.getAttribute('service');
+    layerContextVariable.version = node.getAttribute('version');
+    layerContextVariable.url = server.href;
+  }
+
+  /**
+    * Este método lee un recurso en línea.
+    *
+    * @function
+    * @param {Object} obj Objeto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcOnlineResource(obj, node) {
+    const objVariable = obj;
+    objVariable.href = this.getAttributeNS(node, this.namespaces.xlink, 'href');
+  }
+
+  /**
+    * Este método lee el sistema de referencia de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcSRS(layerContext, node) {
+    XML.getChildValue(node).trim().split(/\s+/)
+      .filter(srs => !isNullOrEmpty(srs))
+      .forEach(srs => layerContext.srs.push(srs));
+  }
+
+  /**
+    * Este método lee la lista de formatos de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcFormatList(layerContext, node) {
+    this.runChildNodes(layerContext, node);
+  }
+
+  /**
+    * Este método lee un formato de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcFormat(layerContext, node) {
+    layerContext.formats.push({
+      value: XML.getChildValue(node).trim(),
+      current: node.getAttribute('current') === '1',
+    });
+  }
+
+  /**
+    * Este método lee la lista de estilos de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcStyleList(layerContext, node) {
+    this.runChildNodes(layerContext, node);
+  }
+
+  /**
+    * Este método lee un estilo de la capa.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcStyle(layerContext, node) {
+    const style = {
+      current: node.getAttribute('current') === '1',
+    };
+    this.runChildNodes(style, node);
+    layerContext.styles.push(style);
+  }
+
+  /**
+    * Este método lee la URL de la leyenda de un estilo.
+    *
+    * @function
+    * @param {Object} style Estilo.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readwmcLegendURL(style, node) {
+    const styleVariable = style;
+    const legend = {};
+    this.runChildNodes(legend, node);
+    styleVariable.legend = legend.href;
+  }
+
+  /**
+    * Este método lee el orden de la capa de la extensión API-CNIG.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readapicnigzIndex(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.zIndex = parseInt(XML.getChildValue(node), 10);
+  }
+
+  /**
+    * Este método lee las opciones propias del tipo de capa
+    * de la extensión API-CNIG.
+    *
+    * @function
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readapicnigoptions(layerContext, node) {
+    const layerContextVariable = layerContext;
+    layerContextVariable.options = JSON.parse(XML.getChildValue(node));
+  }
+
+  /**
+    * Este método lee los controles del mapa de la extensión API-CNIG.
+    *
+    * @function
+    * @param {Object} context Contexto.
+    * @param {Element} node Nodo.
+    * @public
+    * @api
+    */
+  readapicnigcontrols(context, node) {
+    const contextVariable = context;
+    contextVariable.controls = XML.getChildValue(node).trim().split(/\s*,\s*/)
+      .filter(control => !isNullOrEmpty(control));
+  }
+
+  /**
+    * Este método escribe un contexto en un documento WMC.
+    *
+    * @function
+    * @param {Object} context Contexto con el título, la proyección,
+    * el encuadre y las capas.
+    * @returns {Document} Documento WMC.
+    * @public
+    * @api
+    */
+  write(context) {
+    const doc = document.implementation.createDocument(this.namespaces.wmc, 'ViewContext', null);
+    const root = doc.documentElement;
+    root.setAttribute('version', this.constructor.VERSION);
+    root.setAttribute('id', context.id || 'api-cnig');
+    ['ol', 'sld', 'xlink', 'apicnig'].forEach((prefix) => {
+      root.setAttributeNS('http://www.w3.org/2000/xmlns/', `xmlns:${prefix}`, this.namespaces[prefix]);
+    });
+    root.appendChild(this.writeGeneral(doc, context));
+    root.appendChild(this.writeLayerList(doc, context));
+    return doc;
+  }
+
+  /**
+    * Este método crea un nodo del documento.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {String} prefix Prefijo del espacio de nombres.
+    * @param {String} name Nombre local del nodo.
+    * @param {*} value Valor del nodo, opcional.
+    * @param {Object} attributes Atributos del nodo, opcional.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  createNode(doc, prefix, name, value, attributes = {}) {
+    const qualifiedName = (prefix === this.defaultPrefix) ? name : `${prefix}:${name}`;
+    const node = doc.createElementNS(this.namespaces[prefix], qualifiedName);
+    Object.keys(attributes).forEach((attribute) => {
+      if (!isNullOrEmpty(attributes[attribute])) {
+        node.setAttribute(attribute, attributes[attribute]);
+      }
+    });
+    if (!isNullOrEmpty(value)) {
+      node.appendChild(doc.createTextNode(String(value)));
+    }
+    return node;
+  }
+
+  /**
+    * Este método crea un nodo con una extensión como atributos
+    * minx, miny, maxx y maxy.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {String} prefix Prefijo del espacio de nombres.
+    * @param {String} name Nombre local del nodo.
+    * @param {Array<Number>} extent Extensión.
+    * @param {Object} attributes Otros atributos del nodo, opcional.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  createExtentNode(doc, prefix, name, extent, attributes = {}) {
+    return this.createNode(doc, prefix, name, null, {
+      ...attributes,
+      minx: extent[0],
+      miny: extent[1],
+      maxx: extent[2],
+      maxy: extent[3],
+    });
+  }
+
+  /**
+    * Este método escribe el nodo "General" del contexto.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {Object} context Contexto.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  writeGeneral(doc, context) {
+    const node = this.createNode(doc, 'wmc', 'General');
+    if (!isNullOrEmpty(context.size)) {
+      node.appendChild(this.createNode(doc, 'wmc', 'Window', null, {
+        width: context.size[0],
+        height: context.size[1],
+      }));
+    }
+    node.appendChild(this.createExtentNode(doc, 'wmc', 'BoundingBox', context.bbox, {
+      SRS: context.projection,
+    }));
+    node.appendChild(this.createNode(doc, 'wmc', 'Title', context.title || ''));
+    if (!isNullOrEmpty(context.abstract)) {
+      node.appendChild(this.createNode(doc, 'wmc', 'Abstract', context.abstract));
+    }
+
+    const extension = this.createNode(doc, 'wmc', 'Extension');
+    if (!isNullOrEmpty(context.maxExtent)) {
+      extension.appendChild(this.createExtentNode(doc, 'ol', 'maxExtent', context.maxExtent));
+    }
+    if (!isNullOrEmpty(context.units)) {
+      extension.appendChild(this.createNode(doc, 'ol', 'units', context.units));
+    }
+    if (!isNullOrEmpty(context.controls)) {
+      extension.appendChild(this.createNode(doc, 'apicnig', 'controls', context.controls.join(',')));
+    }
+    if (extension.hasChildNodes()) {
+      node.appendChild(extension);
+    }
+    return node;
+  }
+
+  /**
+    * Este método escribe la lista de capas del contexto.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {Object} context Contexto.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  writeLayerList(doc, context) {
+    const node = this.createNode(doc, 'wmc', 'LayerList');
+    (context.layers || []).forEach((layerContext) => {
+      node.appendChild(this.writeLayer(doc, layerContext, context));
+    });
+    return node;
+  }
+
+  /**
+    * Este método escribe una capa de la lista de capas.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {Object} layerContext Contexto de la capa.
+    * @param {Object} context Contexto.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  writeLayer(doc, layerContext, context) {
+    const node = this.createNode(doc, 'wmc', 'Layer', null, {
+      queryable: layerContext.queryable === true ? '1' : '0',
+      hidden: layerContext.hidden === true ? '1' : '0',
+    });
+
+    const server = this.createNode(doc, 'wmc', 'Server', null, {
+      service: layerContext.service,
+      version: layerContext.version,
+    });
+    const onlineResource = this.createNode(doc, 'wmc', 'OnlineResource');
+    onlineResource.setAttributeNS(this.namespaces.xlink, 'xlink:type', 'simple');
+    onlineResource.setAttributeNS(this.namespaces.xlink, 'xlink:href', layerContext.url || '');
+    server.appendChild(onlineResource);
+    node.appendChild(server);
+
+    node.appendChild(this.createNode(doc, 'wmc', 'Name', layerContext.name || ''));
+    node.appendChild(this.createNode(doc, 'wmc', 'Title', layerContext.title || layerContext.name || ''));
+    this.writeScaleDenominators(doc, node, layerContext);
+    node.appendChild(this.createNode(doc, 'wmc', 'SRS', context.projection));
+
+    if (!isNullOrEmpty(layerContext.formats)) {
+      const formatList = this.createNode(doc, 'wmc', 'FormatList');
+      layerContext.formats.forEach((format) => {
+        formatList.appendChild(this.createNode(doc, 'wmc', 'Format', format.value, {
+          current: format.current === true ? '1' : null,
+        }));
+      });
+      node.appendChild(formatList);
+    }
+
+    if (!isNullOrEmpty(layerContext.styles)) {
+      const styleList = this.createNode(doc, 'wmc', 'StyleList');
+      layerContext.styles.forEach((style) => {
+        const styleNode = this.createNode(doc, 'wmc', 'Style', null, {
+          current: style.current === true ? '1' : null,
+        });
+        styleNode.appendChild(this.createNode(doc, 'wmc', 'Name', style.name || ''));
+        styleNode.appendChild(this.createNode(doc, 'wmc', 'Title', style.title || style.name || ''));
+        styleList.appendChild(styleNode);
+      });
+      node.appendChild(styleList);
+    }
+
+    node.appendChild(this.writeLayerExtension(doc, layerContext));
+    return node;
+  }
+
+  /**
+    * Este método escribe la extensión de una capa con los parámetros
+    * de OpenLayers y las opciones propias de API-CNIG.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {Object} layerContext Contexto de la capa.
+    * @returns {Element} Nodo.
+    * @public
+    * @api
+    */
+  writeLayerExtension(doc, layerContext) {
+    const node = this.createNode(doc, 'wmc', 'Extension');
+    if (!isNullOrEmpty(layerContext.maxExtent)) {
+      node.appendChild(this.createExtentNode(doc, 'ol', 'maxExtent', layerContext.maxExtent));
+    }
+    ['transparent', 'isBaseLayer', 'displayInLayerSwitcher', 'singleTile'].forEach((property) => {
+      if (!isNullOrEmpty(layerContext[property])) {
+        node.appendChild(this.createNode(doc, 'ol', property, String(layerContext[property] === true)));
+      }
+    });
+    if (!isNullOrEmpty(layerContext.opacity)) {
+      node.appendChild(this.createNode(doc, 'ol', 'opacity', layerContext.opacity));
+    }
+    if (!isNullOrEmpty(layerContext.zIndex)) {
+      node.appendChild(this.createNode(doc, 'apicnig', 'zIndex', layerContext.zIndex));
+    }
+    if (Object.keys(layerContext.options || {}).length > 0) {
+      node.appendChild(this.createNode(doc, 'apicnig', 'options', JSON.stringify(layerContext.options)));
+    }
+    return node;
+  }
+
+  /**
+    * Este método escribe las escalas mínima y máxima de la capa.
+    * Cada versión del documento las escribe en su espacio de nombres.
+    *
+    * @function
+    * @param {Document} doc Documento.
+    * @param {Element} node Nodo de la capa.
+    * @param {Object} layerContext Contexto de la capa.
+    * @public
+    * @api
+    */
+  writeScaleDenominators(doc, node, layerContext) {
+    const options = layerContext.options || {};
+    const minScale = isNullOrEmpty(layerContext.minScale) ?
+      options.minScale : layerContext.minScale;
+    const maxScale = isNullOrEmpty(layerContext.maxScale) ?
+      options.maxScale : layerContext.maxScale;
+    if (!isNullOrEmpty(minScale)) {
+      node.appendChild(this.createNode(doc, this.scalePrefix, 'MinScaleDenominator', minScale));
+    }
+    if (!isNullOrEmpty(maxScale)) {
+      node.appendChild(this.createNode(doc, this.scalePrefix, 'MaxScaleDenominator', maxScale));
+    }
+  }
+
+  /**
+    * Este método obtiene una extensión de los atributos
+    * minx, miny, maxx y maxy de un nodo.
+    *
+    * @function
+    * @param {Element} node Nodo.
+    * @returns {Array<Number>} Extensión.
+    * @public
+    * @api
+    */
+  static readExtent(node) {
+    return [
+      parseFloat(node.getAttribute('minx')),
+      parseFloat(node.getAttribute('miny')),
+      parseFloat(node.getAttribute('maxx')),
+      parseFloat(node.getAttribute('maxy')),
+    ];
+  }
+
+  /**
+    * Este método obtiene el valor booleano de un nodo.
+    *
+    * @function
+    * @param {Element} node Nodo.
+    * @returns {Boolean} Valor del nodo.
+    * @public
+    * @api
+    */
+  static readBoolean(node) {
+    return /^1|(true)$/i.test(XML.getChildValue(node).trim());
+  }
+}
+
+export default WMCv1;
@@ -0,0 +1,287 @@
+/**
+ * @module M/impl/layer/GPX
+ */
+import { isNullOrEmpty, isFunction } from 'M/util/Utils';
+import * as EventType from 'M/event/eventtype';
+import Popup from 'M/Popup';
+import { compileSync as compileTemplate } from 'M/util/Template';
+import geojsonPopupTemplate from 'templates/geojson_popup';
+import OLSourceVector from 'ol/source/Vector';
+import { get as getProj } from 'ol/proj';
+import Vector from './Vector';
+import GPXFormat from '../format/GPX';
+import GPXLoader from '../loader/GPX';
+import ImplUtils from '../util/Utils';
+
+/**
+ * @classdesc
+ * Capa GPX (GPS Exchange Format). Carga los puntos de paso, las rutas y los
+ * tracks, conservando los segmentos, la elevación y el tiempo.
+ *
+ * @property {string} url URL del GPX.
+ * @property {string|File} source Texto o fichero del GPX.
+ * @property {Boolean} extract Activa la consulta al hacer clic sobre un objeto geográfico.
+ *
+ * @api
+ * @extends {M.impl.layer.Vector}
+ */
+class GPX extends Vector {
+  /**
+   * Constructor principal de la clase. Crea una capa GPX
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @implements {M.impl.layer.Vector}
+   * @param {Mx.parameters.GPX} parameters Parámetros de la fachada.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - hide. Atributos ocultos.
+   * - show. Mostrar atributos.
+   * - minZoom. Zoom mínimo aplicable a la capa.
+   * - maxZoom. Zoom máximo aplicable a la capa.
+   * - visibility. Define si la capa es visible o no. Verdadero por defecto.
+   * - displayInLayerSwitcher. Indica si la capa se muestra en el selector de capas.
+   * - opacity. Opacidad de capa, por defecto 1.
+   * - style. Define el estilo de la capa.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(parameters = {}, options = {}, vendorOptions) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * GPX formater_. Formato GPX.
+     */
+    this.formater_ = new GPXFormat();
+
+    /**
+     * GPX popup_. Instancia del popup.
+     */
+    this.popup_ = null;
+
+    /**
+     * GPX loader_. Cargador de los objetos geográficos, "GPXLoader".
+     */
+    this.loader_ = null;
+
+    /**
+     * GPX loadFeaturesPromise_. Carga los objetos geográficos, asíncrono.
+     */
+    this.loadFeaturesPromise_ = null;
+
+    /**
+     * GPX loaded_. Define si la capa está cargada.
+     */
+    this.loaded_ = false;
+
+    /**
+     * GPX hiddenAttributes_. Atributos de la capa ocultos.
+     */
+    this.hiddenAttributes_ = [];
+    if (!isNullOrEmpty(options.hide)) {
+      this.hiddenAttributes_ = options.hide;
+    }
+
+    /**
+     * GPX showAttributes_. Atributos de la capa que serán representados.
+     */
+    this.showAttributes_ = [];
+    if (!isNullOrEmpty(options.show)) {
+      this.showAttributes_ = options.show;
+    }
+  }
+
+  /**
+   * Este método añade la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.impl.Map} map Mapa de la implementación.
+   * @api
+   */
+  addTo(map) {
+    this.loader_ = new GPXLoader(map, this.url, this.source, this.formater_);
+    this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
+    super.addTo(map);
+  }
+
+  /**
+   * Este método sobrescribe la fuente de la capa y vuelve a cargar
+   * los objetos geográficos.
+   *
+   * @public
+   * @function
+   * @param {string|File} source Texto o fichero del GPX.
+   * @api
+   */
+  setSource(source) {
+    this.source = source;
+    this.url = null;
+    this.loadFeaturesPromise_ = null;
+    if (!isNullOrEmpty(this.map)) {
+      this.loader_ = new GPXLoader(this.map, this.url, this.source, this.formater_);
+      this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
+      this.updateSource_();
+    }
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos de manera asíncrona.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @returns {Promise} Objetos geográficos, asíncrono.
+   * @api
+   */
+  requestFeatures_() {
+    if (isNullOrEmpty(this.loadFeaturesPromise_)) {
+      this.loadFeaturesPromise_ = new Promise((resolve) => {
+        this.loader_.getLoaderFn((features) => {
+          resolve(features);
+        })(null, null, getProj(this.map.getProjection().code));
+      });
+    }
+    return this.loadFeaturesPromise_;
+  }
+
+  /**
+   * Este método actualiza la fuente de la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @api
+   */
+  updateSource_() {
+    if (isNullOrEmpty(this.vendorOptions_.source)) {
+      this.requestFeatures_().then((features) => {
+        if (this.ol3Layer) {
+          this.ol3Layer.setSource(new OLSourceVector({
+            loader: () => {
+              this.loaded_ = true;
+              // removes previous features
+              this.facadeVector_.clear();
+              this.facadeVector_.addFeatures(features);
+              this.fire(EventType.LOAD, [features]);
+            },
+          }));
+        }
+        this.facadeVector_.addFeatures(features);
+      });
+    }
+  }
+
+  /**
+   * Este método devuelve la extensión de todos los objetos geográficos, se
+   * le puede pasar un filtro.
+   *
+   * @function
+   * @param {boolean} skipFilter Indica si se filtra por el filtro "skip".
+   * @param {M.Filter} filter Filtro.
+   * @return {Array<number>} Extensión de los objetos geográficos.
+   * @api
+   */
+  getFeaturesExtent(skipFilter, filter) {
+    const codeProj = this.map.getProjection().code;
+    const features = this.getFeatures(skipFilter, filter);
+    return ImplUtils.getFeaturesExtent(features, codeProj);
+  }
+
+  /**
+   * Este método devuelve la extensión de todos los objetos geográficos, se
+   * le puede pasar un filtro. Asíncrono.
+   *
+   * @function
+   * @param {boolean} skipFilter Indica si se filtra por el filtro "skip".
+   * @param {M.Filter} filter Filtro.
+   * @return {Promise<Array<number>>} Extensión de los objetos geográficos.
+   * @api
+   */
+  getFeaturesExtentPromise(skipFilter, filter) {
+    return new Promise((resolve) => {
+      const codeProj = this.map.getProjection().code;
+      if (this.isLoaded() === true) {
+        const features = this.getFeatures(skipFilter, filter);
+        resolve(ImplUtils.getFeaturesExtent(features, codeProj));
+      } else {
+        this.requestFeatures_().then((features) => {
+          resolve(ImplUtils.getFeaturesExtent(features, codeProj));
+        });
+      }
+    });
+  }
+
+  /**
+   * Evento que se ejecuta cuando se hace clic sobre un objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos.
+   * @param {Array} coord Coordenadas.
+   * @param {Object} evt Eventos.
+   * @api
+   */
+  selectFeatures(features, coord, evt) {
+    const feature = features[0];
+    if (this.extract === true) {
+      // unselects previous features
+      this.unselectFeatures();
+
+      if (!isNullOrEmpty(feature)) {
+        const clickFn = feature.getAttribute('vendor.mapea.click');
+        if (isFunction(clickFn)) {
+          clickFn(evt, feature);
+        } else {
+          const htmlAsText = compileTemplate(geojsonPopupTemplate, {
+            vars: this.parseFeaturesForTemplate_(features),
+            parseToHtml: false,
+          });
+          const featureTabOpts = {
+            icon: 'g-cartografia-pin',
+            title: this.name,
+            content: htmlAsText,
+          };
+          let popup = this.map.getPopup();
+          if (isNullOrEmpty(popup)) {
+            popup = new Popup();
+            popup.addTab(featureTabOpts);
+            this.map.addPopup(popup, coord);
+          } else {
+            popup.addTab(featureTabOpts);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Devuelve si la capa está cargada o no.
+   *
+   * @function
+   * @returns {Boolean} Verdadero si se cargó, falso si no.
+   * @api
+   */
+  isLoaded() {
+    return this.loaded_;
+  }
+
+  /**
+   * Esta función comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GPX) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.source === obj.source);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GPX;
@@ -114,6 +114,7 @@ class GeoJSON extends Vector {
     });
     if (!isNullOrEmpty(this.url)) {
       this.loader_ = new JSONPLoader(map, this.url, this.formater_);
+      this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
     }
     super.addTo(map);
   }
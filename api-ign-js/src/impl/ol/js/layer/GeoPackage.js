@@ -0,0 +1,267 @@
+/**
+ * @module M/impl/layer/GeoPackage
+ */
+import { isNullOrEmpty } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import * as LayerType from 'M/layer/Type';
+import * as EventType from 'M/event/eventtype';
+import GeoJSON from 'M/layer/GeoJSON';
+import GeoPackageTile from 'M/layer/GeoPackageTile';
+import GeoPackageProvider from 'M/provider/GeoPackage';
+import ImplMap from '../Map';
+import LayerBase from './Layer';
+import { registerProjection } from '../projections';
+
+/**
+ * @classdesc
+ * Implementación de la capa GeoPackage. Lee el fichero y añade al
+ * mapa una capa por cada tabla: capas GeoJSON para las tablas de
+ * objetos geográficos y capas GeoPackageTile para las de teselas.
+ *
+ * @property {Array<M.Layer>} layers Capas de las tablas.
+ * @property {M.provider.GeoPackage} provider Lector del GeoPackage.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class GeoPackage extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa GeoPackage
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @implements {M.impl.Layer}
+   * @param {Mx.parameters.GeoPackage} userParameters Parámetros para
+   * la construcción de la capa.
+   * - url: Url del fichero GeoPackage.
+   * - source: Fichero GeoPackage (ArrayBuffer, Uint8Array, Response o File).
+   * - tables: Nombres de las tablas que se cargan, por defecto todas.
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api stable
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * GeoPackage facadeLayer_. Instancia de la fachada.
+     */
+    this.facadeLayer_ = null;
+
+    /**
+     * GeoPackage source_. Fichero GeoPackage.
+     */
+    this.source_ = userParameters.source;
+
+    /**
+     * GeoPackage tables_. Nombres de las tablas que se cargan.
+     */
+    this.tables_ = userParameters.tables;
+
+    /**
+     * GeoPackage provider. Lector del GeoPackage.
+     */
+    this.provider = null;
+
+    /**
+     * GeoPackage layers. Capas de las tablas.
+     */
+    this.layers = [];
+
+    /**
+     * GeoPackage displayInLayerSwitcher. El GeoPackage no se muestra en el
+     * selector de capas, sí sus tablas.
+     */
+    this.displayInLayerSwitcher = options.displayInLayerSwitcher === true;
+
+    /**
+     * GeoPackage zIndex_. Índice de la capa, (+40).
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.GeoPackage];
+  }
+
+  /**
+   * Este método agrega la capa al mapa y carga las capas
+   * de sus tablas.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    this.map = map;
+    this.fire(EventType.ADDED_TO_MAP, [this]);
+    this.loadLayers();
+  }
+
+  /**
+   * Este método obtiene el lector del GeoPackage, leyendo el
+   * fichero de la URL si no se ha indicado la fuente.
+   *
+   * @public
+   * @function
+   * @returns {Promise<M.provider.GeoPackage>} Lector del GeoPackage.
+   * @api stable
+   */
+  fetchProvider() {
+    if (isNullOrEmpty(this.providerPromise_)) {
+      this.providerPromise_ = new Promise((resolve, reject) => {
+        if (!isNullOrEmpty(this.source_)) {
+          resolve(this.source_);
+        } else if (!isNullOrEmpty(this.url)) {
+          window.fetch(this.url).then(resolve, reject);
+        } else {
+          Exception(getValue('exception').no_source);
+        }
+      }).then((data) => {
+        this.provider = new GeoPackageProvider(data);
+        return this.provider;
+      });
+    }
+    return this.providerPromise_;
+  }
+
+  /**
+   * Este método obtiene las tablas del GeoPackage que se cargan.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Tablas (M.provider.GeoPackage#getTables).
+   * @api stable
+   */
+  getTables() {
+    return this.fetchProvider().then(provider => provider.getTables()).then((tables) => {
+      return isNullOrEmpty(this.tables_) ? tables
+        : tables.filter(table => this.tables_.includes(table.name));
+    });
+  }
+
+  /**
+   * Este método crea las capas de las tablas y las añade al mapa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<M.Layer>>} Capas de las tablas.
+   * @api stable
+   */
+  loadLayers() {
+    return this.getTables().then((tables) => {
+      return Promise.all(tables.map(table => this.createLayer(table)));
+    }).then((layers) => {
+      // the layer could be removed while the file was read
+      if (!isNullOrEmpty(this.map)) {
+        this.layers = layers;
+        this.map.addLayers(this.layers);
+        this.facadeLayer_.fire(EventType.LOAD, [this.facadeLayer_]);
+      }
+      return this.layers;
+    });
+  }
+
+  /**
+   * Este método crea la capa de una tabla, registrando su
+   * sistema de referencia si no es conocido.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} table Tabla (M.provider.GeoPackage#getTables).
+   * @returns {Promise<M.Layer>} Capa de la tabla.
+   * @api stable
+   */
+  createLayer(table) {
+    return this.provider.getSRS(table.srsId).then((srs) => {
+      if (!isNullOrEmpty(srs)) {
+        registerProjection(srs.code, srs.definition);
+      }
+      let layer;
+      if (table.type === 'tiles') {
+        layer = new GeoPackageTile({
+          name: table.name,
+          legend: table.title,
+          provider: this.provider,
+        });
+      } else {
+        layer = this.provider.getFeatures(table).then((featureCollection) => {
+          return new GeoJSON({
+            name: table.name,
+            legend: table.title,
+            source: featureCollection,
+          });
+        });
+      }
+      return layer;
+    });
+  }
+
+  /**
+   * Devuelve las capas de las tablas.
+   *
+   * @public
+   * @function
+   * @returns {Array<M.Layer>} Capas de las tablas.
+   * @api stable
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  /**
+   * Este método establece la clase de fachada GeoPackage.
+   *
+   * @function
+   * @param {object} obj GeoPackage de la fachada.
+   * @api stable
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método destruye esta capa, eliminando del mapa
+   * las capas de las tablas.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    if (this.layers.length > 0) {
+      this.map.removeLayers(this.layers);
+      this.layers = [];
+    }
+    if (!isNullOrEmpty(this.provider)) {
+      this.provider.close();
+    }
+    this.provider = null;
+    this.providerPromise_ = null;
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoPackage) {
+      equals = (this.url === obj.url);
+      // eslint-disable-next-line no-underscore-dangle
+      equals = equals && (this.source_ === obj.source_);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoPackage;
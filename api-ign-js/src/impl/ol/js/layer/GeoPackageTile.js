@@ -0,0 +1,180 @@
+/**
+ * @module M/impl/layer/GeoPackageTile
+ */
+import { isNullOrEmpty, extend } from 'M/util/Utils';
+import * as LayerType from 'M/layer/Type';
+import OLLayerTile from 'ol/layer/Tile';
+import TileImage from 'ol/source/TileImage';
+import TileGrid from 'ol/tilegrid/TileGrid';
+import { getTopLeft } from 'ol/extent';
+import ImplMap from '../Map';
+import Layer from './Layer';
+import { registerProjection } from '../projections';
+
+/**
+ * @classdesc
+ * Implementación de la capa de teselas de un GeoPackage. La rejilla
+ * de teselas se construye a partir de la matriz de teselas de la tabla
+ * (gpkg_tile_matrix_set y gpkg_tile_matrix), en su sistema de referencia.
+ *
+ * @property {M.provider.GeoPackage} provider_ Lector del GeoPackage.
+ * @property {Number} opacity_ Opacidad de la capa.
+ * @property {Boolean} visibility Define si la capa es visible o no.
+ *
+ * @api
+ * @extends {M.impl.Layer}
+ */
+class GeoPackageTile extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa de implementación
+   * de teselas de un GeoPackage.
+   *
+   * @constructor
+   * @param {Mx.parameters.GeoPackageTile} userParameters Parámetros para
+   * la construcción de la capa.
+   * - name: Nombre de la tabla de teselas.
+   * - provider: Lector del GeoPackage (M.provider.GeoPackage).
+   * @param {Mx.parameters.LayerOptions} options Opciones personalizadas para esta capa.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * GeoPackageTile provider_: Lector del GeoPackage.
+     */
+    this.provider_ = userParameters.provider;
+
+    /**
+     * GeoPackageTile zIndex_: Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.GeoPackageTile];
+  }
+
+  /**
+   * Este método agrega la capa al mapa. La capa de OpenLayers se crea
+   * cuando se ha leído la matriz de teselas.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api
+   */
+  addTo(map) {
+    this.map = map;
+    const table = { name: this.name };
+    this.provider_.getTileMatrixSet(table).then((matrixSet) => {
+      return this.provider_.getSRS(matrixSet.srsId).then((srs) => {
+        let projection = this.map.getProjection().code;
+        if (!isNullOrEmpty(srs) && registerProjection(srs.code, srs.definition)) {
+          projection = srs.code;
+        }
+        // the layer could be removed while the matrix was read
+        if (!isNullOrEmpty(this.map)) {
+          this.ol3Layer = this.createLayer(matrixSet, projection);
+          this.map.getMapImpl().addLayer(this.ol3Layer);
+        }
+      });
+    });
+  }
+
+  /**
+   * Este método crea la capa de OpenLayers con la rejilla de
+   * la matriz de teselas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} matrixSet Matriz de teselas (M.provider.GeoPackage).
+   * @param {String} projection Código de la proyección de la matriz.
+   * @returns {ol.layer.Tile} Capa de OpenLayers.
+   * @api
+   */
+  createLayer(matrixSet, projection) {
+    const { matrices, extent } = matrixSet;
+    // OpenLayers zoom levels are the indexes of the matrices
+    const zoomLevels = matrices.map(matrix => matrix.zoomLevel);
+    const tileGrid = new TileGrid({
+      extent,
+      origin: getTopLeft(extent),
+      resolutions: matrices.map(matrix => matrix.pixelXSize),
+      tileSizes: matrices.map(matrix => [matrix.tileWidth, matrix.tileHeight]),
+    });
+    const source = new TileImage({
+      projection,
+      tileGrid,
+      tileUrlFunction: tileCoord => tileCoord.join(','),
+      tileLoadFunction: (tile) => {
+        const [z, x, y] = tile.getTileCoord();
+        this.provider_.getTile(this.name, zoomLevels[z], x, y).then((tileSrc) => {
+          if (isNullOrEmpty(tileSrc)) {
+            tile.getImage().dispatchEvent(new window.Event('error'));
+          } else {
+            tile.getImage().src = tileSrc; // eslint-disable-line no-param-reassign
+          }
+        });
+      },
+    });
+    return new OLLayerTile(extend({
+      visible: this.visibility,
+      opacity: this.opacity_,
+      zIndex: this.zIndex_,
+      minZoom: this.minZoom,
+      maxZoom: this.maxZoom,
+      source,
+    }, this.vendorOptions_, true));
+  }
+
+  /**
+   * Este método establece la clase de fachada de la capa.
+   *
+   * @function
+   * @param {Object} obj Capa de la fachada.
+   * @public
+   * @api
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método destruye esta capa, eliminándola del mapa.
+   *
+   * @public
+   * @function
+   * @api
+   */
+  destroy() {
+    const olMap = this.map.getMapImpl();
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      olMap.removeLayer(this.ol3Layer);
+      this.ol3Layer = null;
+    }
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @public
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoPackageTile) {
+      // eslint-disable-next-line no-underscore-dangle
+      equals = (this.provider_ === obj.provider_) && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoPackageTile;
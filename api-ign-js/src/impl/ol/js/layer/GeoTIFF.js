@@ -0,0 +1,612 @@
+/**
+ * @module M/impl/layer/GeoTIFF
+ */
+import { fromUrl, fromBlob, fromArrayBuffer } from 'geotiff';
+import chroma from 'chroma-js';
+import { isNullOrEmpty, isArray, extend } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import * as LayerType from 'M/layer/Type';
+import * as EventType from 'M/event/eventtype';
+import OLLayerTile from 'ol/layer/Tile';
+import TileImage from 'ol/source/TileImage';
+import TileGrid from 'ol/tilegrid/TileGrid';
+import { get as getProj, transform, transformExtent } from 'ol/proj';
+import { getTopLeft, getWidth, getHeight, getIntersection } from 'ol/extent';
+import ImplMap from '../Map';
+import Layer from './Layer';
+
+/**
+ * Tamaño de la tesela del GeoTIFF.
+ *
+ * @const
+ * @type {number}
+ */
+const TILE_SIZE = 256;
+
+/**
+ * Colores de la rampa por defecto de las imágenes de una banda.
+ *
+ * @const
+ * @type {Array<string>}
+ */
+const DEFAULT_COLORS = ['#000000', '#ffffff'];
+
+/**
+ * Código de las claves GeoTIFF que indica un sistema de referencia
+ * definido por el usuario.
+ *
+ * @const
+ * @type {number}
+ */
+const USER_DEFINED = 32767;
+
+/**
+ * Este método indica si el valor de un píxel no tiene datos.
+ *
+ * @function
+ * @param {number} value Valor del píxel.
+ * @param {number} nodata Valor sin datos.
+ * @returns {boolean} Verdadero si el píxel no tiene datos.
+ */
+const isNoData = (value, nodata) => {
+  return Number.isNaN(value) || (!isNullOrEmpty(nodata) && value === nodata);
+};
+
+/**
+ * @classdesc
+ * Implementación de la capa GeoTIFF. Las teselas se generan leyendo
+ * la ventana de la imagen (o de la vista general más adecuada) con
+ * peticiones HTTP por rangos, por lo que los Cloud Optimized GeoTIFF
+ * no se descargan completos.
+ *
+ * @property {string} url_ URL del GeoTIFF.
+ * @property {File|Blob|ArrayBuffer} source_ Fichero GeoTIFF.
+ * @property {Array<number>} bands Bandas que se representan.
+ * @property {number} nodata Valor sin datos.
+ * @property {Object} colorRamp Rampa de color de las imágenes de una banda.
+ * @property {number} opacity_ Opacidad de la capa.
+ * @property {Boolean} visibility Define si la capa es visible o no.
+ *
+ * @api
+ * @extends {M.impl.Layer}
+ */
+class GeoTIFF extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa de implementación
+   * GeoTIFF con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.GeoTIFF} userParameters Parámetros para
+   * la construcción de la capa.
+   * - url: URL del GeoTIFF.
+   * - source: Fichero GeoTIFF (File, Blob o ArrayBuffer).
+   * - bands: Bandas que se representan, empezando en 1.
+   * - nodata: Valor sin datos, por defecto el del fichero.
+   * - colorRamp: Rampa de color de las imágenes de una banda { colors, min, max }.
+   * - projection: Código de la proyección, por defecto la del fichero.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * @param {Mx.parameters.LayerOptions} options Opciones personalizadas para esta capa.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * GeoTIFF url_: URL del GeoTIFF.
+     */
+    this.url_ = userParameters.url;
+
+    /**
+     * GeoTIFF source_: Fichero GeoTIFF.
+     */
+    this.source_ = userParameters.source;
+
+    /**
+     * GeoTIFF bands: Bandas que se representan.
+     */
+    this.bands = userParameters.bands;
+
+    /**
+     * GeoTIFF nodata: Valor sin datos.
+     */
+    this.nodata = userParameters.nodata;
+
+    /**
+     * GeoTIFF colorRamp: Rampa de color de las imágenes de una banda.
+     */
+    this.colorRamp = userParameters.colorRamp || {};
+
+    /**
+     * GeoTIFF projection_: Código de la proyección.
+     */
+    this.projection_ = userParameters.projection;
+
+    /**
+     * GeoTIFF opacity_: Opacidad de la capa.
+     */
+    this.opacity_ = typeof userParameters.opacity === 'number' ? userParameters.opacity : 1;
+
+    /**
+     * GeoTIFF visibility: Visibilidad de la capa.
+     */
+    this.visibility = userParameters.visibility !== false;
+
+    /**
+     * GeoTIFF zIndex_: Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.GeoTIFF];
+
+    /**
+     * GeoTIFF metadata_: Metadatos leídos del fichero.
+     */
+    this.metadata_ = null;
+  }
+
+  /**
+   * Este método agrega la capa al mapa. La capa de OpenLayers se
+   * crea cuando se han leído los metadatos del fichero. Si no se pueden
+   * leer, se lanza el evento "M.evt.ERROR" en la capa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api
+   */
+  addTo(map) {
+    this.map = map;
+    this.map.on(EventType.CLICK, this.onMapClick_, this);
+    this.fetchMetadata().then((metadata) => {
+      // the layer could be removed while the file was read
+      if (!isNullOrEmpty(this.map)) {
+        this.ol3Layer = this.createLayer(metadata);
+        this.map.getMapImpl().addLayer(this.ol3Layer);
+        this.facadeLayer_.fire(EventType.LOAD, [this.facadeLayer_]);
+      }
+    }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
+  }
+
+  /**
+   * Este método obtiene el GeoTIFF de la URL, con peticiones por
+   * rangos, o del fichero indicado.
+   *
+   * @public
+   * @function
+   * @returns {Promise<GeoTIFF>} GeoTIFF.
+   * @api
+   */
+  fetchSource() {
+    if (isNullOrEmpty(this.tiffPromise_)) {
+      if (this.source_ instanceof window.Blob) {
+        this.tiffPromise_ = fromBlob(this.source_);
+      } else if (this.source_ instanceof ArrayBuffer) {
+        this.tiffPromise_ = fromArrayBuffer(this.source_);
+      } else if (!isNullOrEmpty(this.url_)) {
+        this.tiffPromise_ = fromUrl(this.url_);
+      } else {
+        this.tiffPromise_ = Promise.reject(new Error(getValue('exception').no_source));
+      }
+    }
+    return this.tiffPromise_;
+  }
+
+  /**
+   * Este método lee los metadatos del GeoTIFF: extensión, proyección,
+   * resoluciones, bandas, valor sin datos y rango de valores.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Metadatos del GeoTIFF.
+   * @api
+   */
+  fetchMetadata() {
+    if (isNullOrEmpty(this.metadataPromise_)) {
+      this.metadataPromise_ = this.fetchSource().then((tiff) => {
+        return tiff.getImage().then((image) => {
+          const extent = image.getBoundingBox();
+          const projection = this.projection_ || this.getImageProjection_(image);
+          if (isNullOrEmpty(getProj(projection))) {
+            Exception(`${getValue('exception').geotiff_projection}: ${projection}`);
+          }
+
+          // from the full resolution to the one that fits the image in a tile
+          const resolutions = [image.getResolution()[0]];
+          const size = Math.max(getWidth(extent), getHeight(extent));
+          while (resolutions[0] * TILE_SIZE < size) {
+            resolutions.unshift(resolutions[0] * 2);
+          }
+
+          let bands = this.bands;
+          if (isNullOrEmpty(bands)) {
+            bands = image.getSamplesPerPixel() >= 3 ? [1, 2, 3] : [1];
+          }
+          let nodata = this.nodata;
+          if (isNullOrEmpty(nodata)) {
+            nodata = image.getGDALNoData();
+          }
+
+          this.metadata_ = {
+            tiff,
+            image,
+            extent,
+            projection,
+            resolutions,
+            bands,
+            nodata,
+          };
+          return this.fetchRange_(this.metadata_);
+        });
+      });
+    }
+    return this.metadataPromise_;
+  }
+
+  /**
+   * Este método obtiene el código de la proyección de las claves
+   * GeoTIFF de la imagen.
+   *
+   * @private
+   * @function
+   * @param {GeoTIFFImage} image Imagen.
+   * @returns {string} Código de la proyección.
+   */
+  getImageProjection_(image) {
+    const geoKeys = image.getGeoKeys() || {};
+    let code = geoKeys.ProjectedCSTypeGeoKey;
+    if (isNullOrEmpty(code) || code === USER_DEFINED) {
+      code = geoKeys.GeographicTypeGeoKey;
+    }
+    return `EPSG:${code}`;
+  }
+
+  /**
+   * Este método calcula el rango de valores de la banda de las imágenes
+   * de una banda: el de la rampa de color, el de las estadísticas GDAL
+   * o el leído de la vista general de menor resolución.
+   *
+   * @private
+   * @function
+   * @param {Object} metadata Metadatos del GeoTIFF.
+   * @returns {Promise<Object>} Metadatos con el rango (min, max).
+   */
+  fetchRange_(metadata) {
+    const { min, max } = this.colorRamp;
+    const sample = metadata.bands[0] - 1;
+    const gdalMetadata = metadata.image.getGDALMetadata(sample) || {};
+    let range;
+    if (metadata.bands.length >= 3) {
+      range = Promise.resolve([0, 255]);
+    } else if (!isNullOrEmpty(min) && !isNullOrEmpty(max)) {
+      range = Promise.resolve([min, max]);
+    } else if (!isNullOrEmpty(gdalMetadata.STATISTICS_MINIMUM)) {
+      range = Promise.resolve([
+        parseFloat(gdalMetadata.STATISTICS_MINIMUM),
+        parseFloat(gdalMetadata.STATISTICS_MAXIMUM),
+      ]);
+    } else {
+      range = metadata.tiff.readRasters({
+        samples: [sample],
+        width: TILE_SIZE,
+        height: TILE_SIZE,
+      }).then(([values]) => {
+        let rangeMin = Infinity;
+        let rangeMax = -Infinity;
+        values.forEach((value) => {
+          if (!isNoData(value, metadata.nodata)) {
+            rangeMin = Math.min(rangeMin, value);
+            rangeMax = Math.max(rangeMax, value);
+          }
+        });
+        return [rangeMin, rangeMax];
+      });
+    }
+    return range.then(([rangeMin, rangeMax]) => {
+      this.metadata_ = extend({ min: rangeMin, max: rangeMax }, metadata);
+      return this.metadata_;
+    });
+  }
+
+  /**
+   * Este método crea la capa de OpenLayers con una rejilla de teselas
+   * sobre la extensión del GeoTIFF, en su proyección.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} metadata Metadatos del GeoTIFF.
+   * @returns {ol.layer.Tile} Capa de OpenLayers.
+   * @api
+   */
+  createLayer(metadata) {
+    const tileGrid = new TileGrid({
+      extent: metadata.extent,
+      origin: getTopLeft(metadata.extent),
+      resolutions: metadata.resolutions,
+      tileSize: TILE_SIZE,
+    });
+    const source = new TileImage({
+      projection: metadata.projection,
+      tileGrid,
+      tileUrlFunction: tileCoord => tileCoord.join(','),
+      tileLoadFunction: (tile) => {
+        const tileExtent = tileGrid.getTileCoordExtent(tile.getTileCoord());
+        const resolution = tileGrid.getResolution(tile.getTileCoord()[0]);
+        this.renderTile(tileExtent, resolution).then((tileSrc) => {
+          tile.getImage().src = tileSrc; // eslint-disable-line no-param-reassign
+        }).catch(() => {
+          tile.getImage().dispatchEvent(new window.Event('error'));
+        });
+      },
+    });
+    return new OLLayerTile(extend({
+      visible: this.visibility,
+      opacity: this.opacity_,
+      zIndex: this.zIndex_,
+      extent: transformExtent(metadata.extent, metadata.projection, this.map.getProjection().code),
+      source,
+    }, this.vendorOptions_, true));
+  }
+
+  /**
+   * Este método dibuja una tesela leyendo la parte del GeoTIFF que
+   * cubre. Las imágenes de una banda se colorean con la rampa de
+   * color; las de tres o más, como RGB. Los píxeles sin datos son
+   * transparentes.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Mx.Extent} tileExtent Extensión de la tesela.
+   * @param {number} resolution Resolución de la tesela.
+   * @returns {Promise<string>} Imagen de la tesela en base64.
+   * @api
+   */
+  renderTile(tileExtent, resolution) {
+    const canvas = document.createElement('canvas');
+    canvas.width = TILE_SIZE;
+    canvas.height = TILE_SIZE;
+    const {
+      tiff,
+      extent,
+      bands,
+      nodata,
+    } = this.metadata_;
+
+    // only the part of the tile inside the image is read
+    const bbox = getIntersection(tileExtent, extent);
+    const x = Math.round((bbox[0] - tileExtent[0]) / resolution);
+    const y = Math.round((tileExtent[3] - bbox[3]) / resolution);
+    const width = Math.round(getWidth(bbox) / resolution);
+    const height = Math.round(getHeight(bbox) / resolution);
+    if (width <= 0 || height <= 0) {
+      return Promise.resolve(canvas.toDataURL());
+    }
+
+    return tiff.readRasters({
+      bbox,
+      width,
+      height,
+      samples: bands.map(band => band - 1),
+    }).then((rasters) => {
+      const context = canvas.getContext('2d');
+      const imageData = context.createImageData(width, height);
+      const colors = this.getColors_();
+      for (let i = 0; i < width * height; i += 1) {
+        const values = rasters.map(raster => raster[i]);
+        const pixel = i * 4;
+        if (!values.some(value => isNoData(value, nodata))) {
+          const rgb = values.length >= 3 ? values : colors[this.getColorIndex_(values[0])];
+          imageData.data[pixel] = rgb[0];
+          imageData.data[pixel + 1] = rgb[1];
+          imageData.data[pixel + 2] = rgb[2];
+          imageData.data[pixel + 3] = 255;
+        }
+      }
+      context.putImageData(imageData, x, y);
+      return canvas.toDataURL();
+    });
+  }
+
+  /**
+   * Este método obtiene los colores de la rampa de color.
+   *
+   * @private
+   * @function
+   * @returns {Array<Array<number>>} 256 colores RGB de la rampa.
+   */
+  getColors_() {
+    if (isNullOrEmpty(this.colors_)) {
+      const scale = chroma.scale(this.colorRamp.colors || DEFAULT_COLORS).domain([0, 255]);
+      this.colors_ = [...Array(256).keys()].map(index => scale(index).rgb());
+    }
+    return this.colors_;
+  }
+
+  /**
+   * Este método obtiene el índice del color de la rampa de un valor.
+   *
+   * @private
+   * @function
+   * @param {number} value Valor del píxel.
+   * @returns {number} Índice del color.
+   */
+  getColorIndex_(value) {
+    const { min, max } = this.metadata_;
+    const index = max > min ? Math.round(((value - min) / (max - min)) * 255) : 0;
+    return Math.min(255, Math.max(0, index));
+  }
+
+  /**
+   * Este método cambia las bandas que se representan.
+   *
+   * @public
+   * @function
+   * @param {Array<number>} bands Bandas, empezando en 1.
+   * @api
+   */
+  setBands(bands) {
+    this.bands = bands;
+    this.refresh_();
+  }
+
+  /**
+   * Este método cambia la rampa de color de las imágenes de una banda.
+   *
+   * @public
+   * @function
+   * @param {Object} colorRamp Rampa de color { colors, min, max }.
+   * @api
+   */
+  setColorRamp(colorRamp) {
+    this.colorRamp = colorRamp || {};
+    this.colors_ = null;
+    this.refresh_();
+  }
+
+  /**
+   * Este método vuelve a leer los metadatos y a dibujar las teselas.
+   *
+   * @private
+   * @function
+   */
+  refresh_() {
+    this.metadataPromise_ = null;
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.fetchMetadata().then(() => this.ol3Layer.getSource().refresh());
+    }
+  }
+
+  /**
+   * Este método obtiene los valores de las bandas del píxel
+   * de una coordenada.
+   *
+   * @public
+   * @function
+   * @param {Array<number>} coordinate Coordenada en la proyección del mapa.
+   * @returns {Promise<Array<number>>} Valores de las bandas, nulo
+   * si está fuera de la imagen o no tiene datos.
+   * @api
+   */
+  getPixelValue(coordinate) {
+    return this.fetchMetadata().then(({ image, projection, nodata }) => {
+      const [cx, cy] = transform(coordinate, this.map.getProjection().code, projection);
+      const [originX, originY] = image.getOrigin();
+      const [resolutionX, resolutionY] = image.getResolution();
+      const x = Math.floor((cx - originX) / resolutionX);
+      const y = Math.floor((cy - originY) / resolutionY);
+      let values = Promise.resolve(null);
+      if (x >= 0 && y >= 0 && x < image.getWidth() && y < image.getHeight()) {
+        values = image.readRasters({ window: [x, y, x + 1, y + 1] }).then((rasters) => {
+          const pixel = rasters.map(raster => raster[0]);
+          return pixel.every(value => isNoData(value, nodata)) ? null : pixel;
+        });
+      }
+      return values;
+    });
+  }
+
+  /**
+   * Este método se ejecuta al hacer clic en el mapa, lanzando el evento
+   * "click" de la capa con los valores del píxel.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @private
+   * @function
+   * @param {Object} evt Evento del clic del mapa.
+   */
+  onMapClick_(evt) {
+    if (this.isVisible() && isArray(evt.coord)) {
+      this.getPixelValue(evt.coord).then((values) => {
+        if (!isNullOrEmpty(values) && !isNullOrEmpty(this.facadeLayer_)) {
+          this.facadeLayer_.fire(EventType.CLICK, [{
+            coord: evt.coord,
+            values,
+          }]);
+        }
+      });
+    }
+  }
+
+  /**
+   * Este método devuelve la extensión del GeoTIFF en la
+   * proyección del mapa.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión de la capa.
+   * @api
+   */
+  getExtentFromProvider() {
+    return this.fetchMetadata().then(({ extent, projection }) => {
+      return transformExtent(extent, projection, this.map.getProjection().code);
+    });
+  }
+
+  /**
+   * Este método establece la clase de fachada de la capa.
+   *
+   * @function
+   * @param {Object} obj Capa de la fachada.
+   * @public
+   * @api
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método establece la máxima extensión de la capa.
+   *
+   * @function
+   * @param {Mx.Extent} maxExtent Máxima extensión.
+   * @public
+   * @api
+   */
+  setMaxExtent(maxExtent) {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.ol3Layer.setExtent(maxExtent);
+    }
+  }
+
+  /**
+   * Este método destruye esta capa, eliminándola del mapa.
+   *
+   * @public
+   * @function
+   * @api
+   */
+  destroy() {
+    const olMap = this.map.getMapImpl();
+    this.map.un(EventType.CLICK, this.onMapClick_, this);
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      olMap.removeLayer(this.ol3Layer);
+      this.ol3Layer = null;
+    }
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @public
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof GeoTIFF) {
+      equals = (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default GeoTIFF;
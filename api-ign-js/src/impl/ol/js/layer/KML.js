@@ -139,6 +139,7 @@ class KML extends Vector {
       label: this.label_,
     });
     this.loader_ = new LoaderKML(this.map, this.url, this.formater_);
+    this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
     this.ol3Layer = new OLLayerVector(extend({}, this.vendorOptions_, true));
     this.updateSource_();
     // sets its visibility if it is in range
@@ -357,6 +357,25 @@ class LayerBase extends MObject {
     return 20; // 20 zoom levels by default
   }
 
+  /**
+   * Este método obtiene las opciones de las peticiones de la capa
+   * (M.remote) con sus interceptores (opción "interceptors").
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} requestType Tipo de petición (M.remote.requestType).
+   * @returns {Object} Opciones de las peticiones.
+   * @api stable
+   */
+  getRequestOptions(requestType) {
+    return {
+      interceptors: this.options.interceptors,
+      requestType,
+      layer: this.facadeLayer_,
+    };
+  }
+
   /**
    * Este método ejecuta una deselección del objetos geográficos.
    *
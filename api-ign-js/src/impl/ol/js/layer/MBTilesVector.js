@@ -1,7 +1,7 @@
 /**
  * @module M/impl/layer/MBTilesVector
  */
-import { isNullOrEmpty, extend, isFunction } from 'M/util/Utils';
+import { isNullOrEmpty, extend, isFunction, isString, isUndefined } from 'M/util/Utils';
 import { compileSync as compileTemplate } from 'M/util/Template';
 import Popup from 'M/Popup';
 import geojsonPopupTemplate from 'templates/geojson_popup';
@@ -11,14 +11,19 @@ import OLLayerTile from 'ol/layer/Tile';
 import OLLayerVectorTile from 'ol/layer/VectorTile';
 import OLSourceVectorTile from 'ol/source/VectorTile';
 import TileGrid from 'ol/tilegrid/TileGrid';
-import { getBottomLeft, getWidth } from 'ol/extent';
+import { getBottomLeft, getWidth, intersects } from 'ol/extent';
 import TileProvider from 'M/provider/Tile';
 import * as EventType from 'M/event/eventtype';
+import * as dialog from 'M/dialog';
+import { requestType } from 'M/util/Remote';
 import MVT from 'ol/format/MVT';
 import { getValue } from 'M/i18n/language';
 // import Feature from 'ol/Feature';
 import ImplMap from '../Map';
 import Vector from './Vector';
+import RenderFeatureImpl from '../feature/RenderFeature';
+import ImplUtils from '../util/Utils';
+import { loadGLStyle, applyGLStyle } from '../util/glstyle';
 
 
 /**
@@ -67,6 +72,9 @@ const generateResolutions = (extent, tileSize, maxZoomLevel) => {
  * @property {number} opacity_ Opacidad de capa.
  * @property {number} zIndex_ zIndex de la capa.
  * @property {boolean} visibility Define si la capa es visible o no.
+ * @property {String|Object} glStyle_ Estilo GL aplicado a la capa.
+ * @property {Object} glStyles_ Estilos GL que ofrece el servicio, por nombre.
+ * @property {String} glSource_ Fuente del estilo GL que se dibuja en la capa.
  *
  * @api
  * @extends {M.impl.layer.Vector}
@@ -92,6 +100,9 @@ class MBTilesVector extends Vector {
    * - opacity: Opacidad de capa, por defecto 1.
    * - style: Define el estilo de la capa.
    * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * - glStyle: Estilo Mapbox/MapLibre GL (URL, documento o nombre de "glStyles").
+   * - glStyles: Estilos GL que ofrece el servicio, por nombre.
+   * - glSource: Fuente (source) del estilo GL que se dibuja en la capa.
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
    * <pre><code>
    * import OLSourceVectorTile from 'ol/source/VectorTile';
@@ -159,6 +170,21 @@ class MBTilesVector extends Vector {
      * MBTilesVector visibility: Visibilidad de la capa.
      */
     this.visibility = userParameters.visibility === false ? userParameters.visibility : true;
+
+    /**
+     * MBTilesVector glStyle: Estilo GL aplicado a la capa.
+     */
+    this.glStyle_ = options.glStyle || null;
+
+    /**
+     * MBTilesVector glStyles: Estilos GL que ofrece el servicio, por nombre.
+     */
+    this.glStyles_ = options.glStyles || {};
+
+    /**
+     * MBTilesVector glSource: Fuente del estilo GL que se dibuja en la capa.
+     */
+    this.glSource_ = options.glSource;
   }
 
   /**
@@ -227,6 +253,7 @@ class MBTilesVector extends Vector {
               });
 
               this.map.getMapImpl().addLayer(this.ol3Layer);
+              this.applyInitialGLStyle_();
             });
           });
         });
@@ -256,6 +283,7 @@ class MBTilesVector extends Vector {
       });
 
       this.map.getMapImpl().addLayer(this.ol3Layer);
+      this.applyInitialGLStyle_();
     }
   }
 
@@ -290,6 +318,7 @@ class MBTilesVector extends Vector {
         }),
       }),
     }, this.vendorOptions_, true));
+    ImplUtils.setStyleFunctionFilter(layer, olFeature => this.isVisibleFeature_(olFeature));
     return layer;
   }
 
@@ -390,6 +419,81 @@ class MBTilesVector extends Vector {
     });
   }
 
+  /**
+   * Este método aplica un estilo Mapbox/MapLibre GL a la capa. Si la capa
+   * aún no está en el mapa, el estilo se aplica al añadirla.
+   *
+   * @function
+   * @public
+   * @param {String|Object} glStyle URL o documento del estilo GL, o nombre
+   * de uno de los estilos que ofrece el servicio (opción "glStyles").
+   * @returns {Promise} Promesa que se resuelve al aplicar el estilo.
+   * @api
+   */
+  setGLStyle(glStyle) {
+    this.glStyle_ = glStyle;
+    if (isNullOrEmpty(this.ol3Layer)) {
+      return Promise.resolve();
+    }
+    const isName = isString(glStyle) && !isUndefined(this.glStyles_[glStyle]);
+    const value = isName ? this.glStyles_[glStyle] : glStyle;
+    return loadGLStyle(value, this.getRequestOptions(requestType.STYLE)).then((json) => {
+      // a later call replaces this style
+      return this.glStyle_ === glStyle ? applyGLStyle(this.ol3Layer, json, this.glSource_) : null;
+    });
+  }
+
+  /**
+   * Este método devuelve el estilo GL aplicado a la capa.
+   *
+   * @function
+   * @public
+   * @returns {String|Object} Estilo GL, nulo si no tiene.
+   * @api
+   */
+  getGLStyle() {
+    return this.glStyle_;
+  }
+
+  /**
+   * Este método devuelve los estilos GL que ofrece el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Object} Estilos GL por nombre.
+   * @api
+   */
+  getGLStyles() {
+    return this.glStyles_;
+  }
+
+  /**
+   * Este método quita el estilo GL de la capa, para aplicarle un estilo
+   * de la API (M.Style).
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  removeGLStyle() {
+    this.glStyle_ = null;
+  }
+
+  /**
+   * Este método aplica el estilo GL de las opciones al crear la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  applyInitialGLStyle_() {
+    if (!isNullOrEmpty(this.glStyle_)) {
+      this.setGLStyle(this.glStyle_).catch(err => dialog.error(err.message));
+    }
+  }
+
   /**
    * Este método ejecuta un objeto geográfico seleccionado.
    *
@@ -548,6 +652,104 @@ class MBTilesVector extends Vector {
     return features;
   }
 
+  /**
+   * Este método devuelve los objetos geográficos dibujados en un píxel.
+   * No incluye los que no cumplen el filtro de la capa.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} pixel Píxel del mapa.
+   * @returns {Promise<Array<RenderFeature>>} Objetos geográficos de OpenLayers.
+   * @api
+   */
+  getFeaturesAtPixel(pixel) {
+    if (isNullOrEmpty(this.ol3Layer)) {
+      return Promise.resolve([]);
+    }
+    return this.ol3Layer.getFeatures(pixel);
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos cargados que intersecan
+   * con una extensión.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} extent Extensión, por defecto la extensión visible del mapa.
+   * @returns {Array<RenderFeature>} Objetos geográficos de OpenLayers.
+   * @api
+   */
+  getFeaturesInExtent(extent) {
+    let features = [];
+    if (!isNullOrEmpty(this.map)) {
+      const olMap = this.map.getMapImpl();
+      const bbox = extent || olMap.getView().calculateExtent(olMap.getSize());
+      features = this.getFeatures()
+        .filter(olFeature => intersects(bbox, olFeature.getGeometry().getExtent()));
+    }
+    return features;
+  }
+
+  /**
+   * Este método obtiene la representación GeoJSON (EPSG:4326) de los
+   * objetos geográficos dibujados en la extensión visible del mapa.
+   *
+   * @function
+   * @public
+   * @returns {Object} GeoJSON, tipo 'FeatureCollection'.
+   * @api
+   */
+  toGeoJSON() {
+    const olFeatures = this.getFeaturesInExtent()
+      .filter(olFeature => this.isVisibleFeature_(olFeature));
+    return ImplUtils.olFeatures2GeoJSON(olFeatures, this.map.getProjection().code);
+  }
+
+  /**
+   * Este método vuelve a dibujar las teselas vectoriales ya cargadas,
+   * por ejemplo, al cambiar el filtro.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  redraw() {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.ol3Layer.changed();
+    }
+  }
+
+  /**
+   * Este método vuelve a cargar las teselas vectoriales de la capa.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  refresh() {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.features_.length = 0;
+      this.ol3Layer.getSource().refresh();
+    }
+  }
+
+  /**
+   * Este método indica si un objeto geográfico cumple el filtro de la capa.
+   *
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @param {RenderFeature} olFeature Objeto geográfico de OpenLayers.
+   * @returns {Boolean} Verdadero si se debe dibujar.
+   * @public
+   * @api
+   */
+  isVisibleFeature_(olFeature) {
+    const filter = this.facadeLayer_.getFilter();
+    return isNullOrEmpty(filter) ||
+      filter.execute([RenderFeatureImpl.olFeature2Facade(olFeature)]).length > 0;
+  }
+
   /**
    * Este método comprueba si están todas las teselas
    * vectoriales cargadas.
@@ -7,17 +7,23 @@ import OLLayerVectorTile from 'ol/layer/VectorTile';
 import { compileSync as compileTemplate } from 'M/util/Template';
 import geojsonPopupTemplate from 'templates/geojson_popup';
 import Popup from 'M/Popup';
-import { isNullOrEmpty, extend } from 'M/util/Utils';
+import { isNullOrEmpty, extend, isString, isUndefined } from 'M/util/Utils';
 import * as EventType from 'M/event/eventtype';
+import * as dialog from 'M/dialog';
+import { requestType } from 'M/util/Remote';
 import TileEventType from 'ol/source/TileEventType';
 import TileState from 'ol/TileState';
 import MVTFormatter from 'ol/format/MVT';
 import { get as getProj } from 'ol/proj';
 import { fromKey } from 'ol/tilecoord';
+import { intersects } from 'ol/extent';
 import Feature from 'ol/Feature';
 import RenderFeature from 'ol/render/Feature';
 import { mode } from 'M/layer/MVT';
 import Vector from './Vector';
+import RenderFeatureImpl from '../feature/RenderFeature';
+import ImplUtils from '../util/Utils';
+import { loadGLStyle, applyGLStyle } from '../util/glstyle';
 
 /**
  * @classdesc
@@ -46,6 +52,9 @@ class MVT extends Vector {
    * - visibility. Define si la capa es visible o no. Verdadero por defecto.
    * - displayInLayerSwitcher. Indica si la capa se muestra en el selector de capas.
    * - opacity. Opacidad de capa, por defecto 1.
+   * - glStyle. Estilo Mapbox/MapLibre GL (URL, documento o nombre de "glStyles").
+   * - glStyles. Estilos GL que ofrece el servicio, por nombre.
+   * - glSource. Fuente (source) del estilo GL que se dibuja en la capa.
    * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
    *  <pre><code>
    * import OLSourceVector from 'ol/source/Vector';
@@ -117,6 +126,21 @@ class MVT extends Vector {
      * por defecto falso.
      */
     this.extract = parameters.extract;
+
+    /**
+     * MVT glStyle_. Estilo GL aplicado a la capa.
+     */
+    this.glStyle_ = options.glStyle || null;
+
+    /**
+     * MVT glStyles_. Estilos GL que ofrece el servicio, por nombre.
+     */
+    this.glStyles_ = options.glStyles || {};
+
+    /**
+     * MVT glSource_. Fuente del estilo GL que se dibuja en la capa.
+     */
+    this.glSource_ = options.glSource;
   }
 
   /**
@@ -156,10 +180,14 @@ class MVT extends Vector {
       source,
       extent,
     }, this.vendorOptions_, true));
+    ImplUtils.setStyleFunctionFilter(this.ol3Layer, olFeature => this.isVisibleFeature_(olFeature));
 
     this.setOpacity(this.opacity_);
     this.setVisible(this.visibility_);
     this.map.getMapImpl().addLayer(this.ol3Layer);
+    if (!isNullOrEmpty(this.glStyle_)) {
+      this.setGLStyle(this.glStyle_).catch(err => dialog.error(err.message));
+    }
 
     // clear features when zoom changes
     this.map.on(EventType.CHANGE_ZOOM, () => {
@@ -304,6 +332,165 @@ class MVT extends Vector {
     return features;
   }
 
+  /**
+   * Este método devuelve los objetos geográficos dibujados en un píxel.
+   * No incluye los que no cumplen el filtro de la capa.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} pixel Píxel del mapa.
+   * @return {Promise<Array<RenderFeature>>} Objetos geográficos de OpenLayers.
+   * @api
+   */
+  getFeaturesAtPixel(pixel) {
+    if (isNullOrEmpty(this.ol3Layer)) {
+      return Promise.resolve([]);
+    }
+    return this.ol3Layer.getFeatures(pixel);
+  }
+
+  /**
+   * Este método devuelve los objetos geográficos cargados que intersecan
+   * con una extensión.
+   *
+   * @function
+   * @public
+   * @param {Array<number>} extent Extensión, por defecto la extensión visible del mapa.
+   * @return {Array<RenderFeature>} Objetos geográficos de OpenLayers.
+   * @api
+   */
+  getFeaturesInExtent(extent) {
+    let features = [];
+    if (!isNullOrEmpty(this.map)) {
+      const olMap = this.map.getMapImpl();
+      const bbox = extent || olMap.getView().calculateExtent(olMap.getSize());
+      features = this.getFeatures()
+        .filter(olFeature => intersects(bbox, olFeature.getGeometry().getExtent()));
+    }
+    return features;
+  }
+
+  /**
+   * Este método obtiene la representación GeoJSON (EPSG:4326) de los
+   * objetos geográficos dibujados en la extensión visible del mapa.
+   *
+   * @function
+   * @public
+   * @return {Object} GeoJSON, tipo 'FeatureCollection'.
+   * @api
+   */
+  toGeoJSON() {
+    const olFeatures = this.getFeaturesInExtent()
+      .filter(olFeature => this.isVisibleFeature_(olFeature));
+    return ImplUtils.olFeatures2GeoJSON(olFeatures, this.projection_);
+  }
+
+  /**
+   * Este método vuelve a dibujar las teselas ya cargadas,
+   * por ejemplo, al cambiar el filtro.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  redraw() {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.ol3Layer.changed();
+    }
+  }
+
+  /**
+   * Este método vuelve a cargar las teselas de la capa.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  refresh() {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.features_.length = 0;
+      this.ol3Layer.getSource().refresh();
+    }
+  }
+
+  /**
+   * Este método aplica un estilo Mapbox/MapLibre GL a la capa. Si la capa
+   * aún no está en el mapa, el estilo se aplica al añadirla.
+   *
+   * @function
+   * @public
+   * @param {String|Object} glStyle URL o documento del estilo GL, o nombre
+   * de uno de los estilos que ofrece el servicio (opción "glStyles").
+   * @returns {Promise} Promesa que se resuelve al aplicar el estilo.
+   * @api
+   */
+  setGLStyle(glStyle) {
+    this.glStyle_ = glStyle;
+    if (isNullOrEmpty(this.ol3Layer)) {
+      return Promise.resolve();
+    }
+    const isName = isString(glStyle) && !isUndefined(this.glStyles_[glStyle]);
+    const value = isName ? this.glStyles_[glStyle] : glStyle;
+    return loadGLStyle(value, this.getRequestOptions(requestType.STYLE)).then((json) => {
+      // a later call replaces this style
+      return this.glStyle_ === glStyle ? applyGLStyle(this.ol3Layer, json, this.glSource_) : null;
+    });
+  }
+
+  /**
+   * Este método devuelve el estilo GL aplicado a la capa.
+   *
+   * @function
+   * @public
+   * @returns {String|Object} Estilo GL, nulo si no tiene.
+   * @api
+   */
+  getGLStyle() {
+    return this.glStyle_;
+  }
+
+  /**
+   * Este método devuelve los estilos GL que ofrece el servicio.
+   *
+   * @function
+   * @public
+   * @returns {Object} Estilos GL por nombre.
+   * @api
+   */
+  getGLStyles() {
+    return this.glStyles_;
+  }
+
+  /**
+   * Este método quita el estilo GL de la capa, para aplicarle un estilo
+   * de la API (M.Style).
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @api
+   */
+  removeGLStyle() {
+    this.glStyle_ = null;
+  }
+
+  /**
+   * Este método indica si un objeto geográfico cumple el filtro de la capa.
+   *
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {RenderFeature|ol.Feature} olFeature Objeto geográfico de OpenLayers.
+   * @return {Boolean} Verdadero si se debe dibujar.
+   * @api
+   */
+  isVisibleFeature_(olFeature) {
+    const filter = this.facadeVector_.getFilter();
+    return isNullOrEmpty(filter) ||
+      filter.execute([RenderFeatureImpl.olFeature2Facade(olFeature)]).length > 0;
+  }
+
   /**
    * Este método comprueba si la tesela esta cargada.
    *
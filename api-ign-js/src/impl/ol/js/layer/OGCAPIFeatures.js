@@ -4,11 +4,14 @@
 import FormatGeoJSON from 'M/format/GeoJSON';
 import { compileSync as compileTemplate } from 'M/util/Template';
 import geojsonPopupTemplate from 'templates/geojson_popup';
-import { isNullOrEmpty, isFunction } from 'M/util/Utils';
+import { isNullOrEmpty, isFunction, isUndefined, normalize } from 'M/util/Utils';
 import * as EventType from 'M/event/eventtype';
+import { get as getRemote, requestType, method } from 'M/util/Remote';
+import { getValue } from 'M/i18n/language';
 import Popup from 'M/Popup';
 import OLSourceVector from 'ol/source/Vector';
-import { get as getProj } from 'ol/proj';
+import { get as getProj, transformExtent } from 'ol/proj';
+import { intersects } from 'ol/extent';
 import { all } from 'ol/loadingstrategy';
 import ServiceOGCAPIFeatures from '../service/OGCAPIFeatures';
 import FormatImplGeoJSON from '../format/GeoJSON';
@@ -93,6 +96,22 @@ class OGCAPIFeatures extends Vector {
     if (isNullOrEmpty(this.options.getFeatureOutputFormat)) {
       this.options.getFeatureOutputFormat = 'application/json'; // by default
     }
+
+    /**
+     * OGCAPIFeatures pendingChanges_. Cambios pendientes de confirmar:
+     * objetos geográficos insertados, actualizados y borrados.
+     */
+    this.pendingChanges_ = {
+      insert: [],
+      update: [],
+      delete: [],
+    };
+
+    /**
+     * OGCAPIFeatures etags_. Promesas con la versión (ETag) de los objetos
+     * geográficos pendientes de actualizar o borrar, por identificador.
+     */
+    this.etags_ = {};
   }
 
   /**
@@ -137,6 +156,238 @@ class OGCAPIFeatures extends Vector {
     this.refresh(true);
   }
 
+  /**
+   * Este método registra la inserción de objetos geográficos
+   * pendiente de confirmar.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos insertados.
+   * @api stable
+   */
+  insertFeatures(features) {
+    features.forEach((feature) => {
+      if (!this.pendingChanges_.insert.includes(feature)) {
+        this.pendingChanges_.insert.push(feature);
+      }
+    });
+  }
+
+  /**
+   * Este método registra la actualización de objetos geográficos
+   * pendiente de confirmar y pide al servicio su versión actual, con la
+   * que se comprueba al confirmar que nadie los ha modificado.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos actualizados.
+   * @api stable
+   */
+  updateFeatures(features) {
+    features.forEach((feature) => {
+      if (!this.pendingChanges_.insert.includes(feature) &&
+        !this.pendingChanges_.update.includes(feature)) {
+        this.pendingChanges_.update.push(feature);
+        this.requestETag_(feature);
+      }
+    });
+  }
+
+  /**
+   * Este método registra el borrado de objetos geográficos
+   * pendiente de confirmar. Los objetos geográficos insertados y no
+   * confirmados se descartan.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos borrados.
+   * @api stable
+   */
+  deleteFeatures(features) {
+    features.forEach((feature) => {
+      const { insert, update } = this.pendingChanges_;
+      if (insert.includes(feature)) {
+        this.pendingChanges_.insert = insert.filter(f => f !== feature);
+      } else {
+        this.pendingChanges_.update = update.filter(f => f !== feature);
+        if (!this.pendingChanges_.delete.includes(feature)) {
+          this.pendingChanges_.delete.push(feature);
+          this.requestETag_(feature);
+        }
+      }
+    });
+  }
+
+  /**
+   * Este método devuelve los cambios pendientes de confirmar.
+   *
+   * @public
+   * @function
+   * @returns {Object} Objetos geográficos insertados (insert),
+   * actualizados (update) y borrados (delete).
+   * @api stable
+   */
+  getPendingChanges() {
+    return {
+      insert: [...this.pendingChanges_.insert],
+      update: [...this.pendingChanges_.update],
+      delete: [...this.pendingChanges_.delete],
+    };
+  }
+
+  /**
+   * Este método confirma los cambios pendientes en el servicio con una
+   * petición por objeto geográfico (OGC API - Features - Part 4): POST para
+   * los insertados, PUT (o PATCH) para los actualizados y DELETE para los
+   * borrados. Las actualizaciones y borrados llevan la cabecera "If-Match" con
+   * la versión del objeto geográfico; si el servicio la rechaza (412) el cambio
+   * queda pendiente y se devuelve como conflicto.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Resumen de los cambios (totalInserted,
+   * totalUpdated, totalDeleted, insertIds, conflicts y failed).
+   * @api stable
+   */
+  commit() {
+    const changes = this.getPendingChanges();
+    const summary = {
+      totalInserted: 0,
+      totalUpdated: 0,
+      totalDeleted: 0,
+      insertIds: [],
+      conflicts: [],
+      failed: [],
+    };
+    if (changes.insert.length + changes.update.length + changes.delete.length === 0) {
+      return Promise.resolve(summary);
+    }
+    if (isNullOrEmpty(this.service_)) {
+      return Promise.reject(new Error(getValue('exception').ogcapif_not_added));
+    }
+
+    const requestOptions = this.getRequestOptions(requestType.TRANSACTION);
+    const updateMethod = (normalize(this.options.updateMethod) === 'patch') ?
+      method.PATCH : method.PUT;
+
+    // each request is independent, a failed one keeps its feature pending
+    const commitFeature = (type, feature, request) => request().then(() => {
+      this.pendingChanges_[type] = this.pendingChanges_[type].filter(f => f !== feature);
+    }).catch((response) => {
+      const failure = { feature, operation: type, response };
+      if (!isNullOrEmpty(response) && response.code === 412) {
+        summary.conflicts.push(failure);
+      } else {
+        summary.failed.push(failure);
+      }
+    });
+
+    const inserts = changes.insert.map((feature, i) => commitFeature('insert', feature, () => {
+      return this.service_.createItem(this.writeFeature_(feature, false), requestOptions)
+        .then(({ id, etag }) => {
+          if (!isNullOrEmpty(id)) {
+            feature.setId(id);
+            this.etags_[id] = Promise.resolve(etag);
+          }
+          summary.insertIds[i] = id;
+          summary.totalInserted += 1;
+        });
+    }));
+    const updates = changes.update.map(feature => commitFeature('update', feature, () => {
+      const id = feature.getId();
+      return Promise.resolve(this.etags_[id]).then((etag) => {
+        const body = this.writeFeature_(feature, true);
+        return this.service_.updateItem(id, body, etag, requestOptions, updateMethod);
+      }).then((etag) => {
+        // without a new version the next update asks for it again
+        if (isNullOrEmpty(etag)) {
+          delete this.etags_[id];
+        } else {
+          this.etags_[id] = Promise.resolve(etag);
+        }
+        summary.totalUpdated += 1;
+      });
+    }));
+    const deletes = changes.delete.map(feature => commitFeature('delete', feature, () => {
+      const id = feature.getId();
+      return Promise.resolve(this.etags_[id]).then((etag) => {
+        return this.service_.deleteItem(id, etag, requestOptions);
+      }).then(() => {
+        delete this.etags_[id];
+        summary.totalDeleted += 1;
+      });
+    }));
+
+    return Promise.all([...inserts, ...updates, ...deletes]).then(() => summary);
+  }
+
+  /**
+   * Este método descarta los cambios pendientes: elimina los objetos
+   * geográficos insertados y, si hay actualizaciones o borrados, vuelve
+   * a cargar los objetos geográficos del servicio.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  rollback() {
+    const changes = this.getPendingChanges();
+    this.pendingChanges_ = {
+      insert: [],
+      update: [],
+      delete: [],
+    };
+    this.etags_ = {};
+    this.facadeVector_.removeFeatures(changes.insert);
+    if ((changes.update.length + changes.delete.length > 0) && !isNullOrEmpty(this.map)) {
+      this.refresh(true);
+    }
+  }
+
+  /**
+   * Este método pide al servicio la versión de un objeto geográfico si
+   * aún no se conoce.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @api stable
+   */
+  requestETag_(feature) {
+    const id = feature.getId();
+    if (!isNullOrEmpty(this.service_) && !isNullOrEmpty(id) && isUndefined(this.etags_[id])) {
+      const requestOptions = this.getRequestOptions(requestType.FEATURE);
+      this.etags_[id] = this.service_.getItemETag(id, requestOptions).catch(() => null);
+    }
+  }
+
+  /**
+   * Este método escribe un objeto geográfico en GeoJSON (CRS84) para
+   * enviarlo al servicio.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {M.Feature} feature Objeto geográfico.
+   * @param {Boolean} withId Verdadero para incluir el identificador.
+   * @returns {Object} Objeto geográfico en GeoJSON.
+   * @api stable
+   */
+  writeFeature_(feature, withId) {
+    const geojson = new FormatImplGeoJSON().writeFeatureObject(feature.getImpl().getOLFeature(), {
+      dataProjection: 'EPSG:4326',
+      featureProjection: getProj(this.map.getProjection().code),
+    });
+    if (withId !== true) {
+      delete geojson.id;
+    }
+    if (isNullOrEmpty(geojson.properties)) {
+      geojson.properties = {};
+    }
+    return geojson;
+  }
+
   /**
    * Este método actualiza la capa de origen.
    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
@@ -168,7 +419,13 @@ class OGCAPIFeatures extends Vector {
       } else {
         this.formater_ = new FormatGML(this.name, this.version, this.map.getProjection());
       }
-      this.loader_ = new LoaderWFS(this.map, this.service_, this.formater_);
+      this.loader_ = new LoaderWFS(
+        this.map,
+        this.service_,
+        this.formater_,
+        this.getRequestOptions(requestType.FEATURE),
+      );
+      this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
 
 
       // const isCluster = (this.facadeVector_.getStyle() instanceof StyleCluster);
@@ -398,6 +655,44 @@ class OGCAPIFeatures extends Vector {
     });
   }
 
+  /**
+   * Este método consulta al servicio los objetos geográficos que intersecan
+   * con una extensión mediante el parámetro "bbox" (en CRS84).
+   * Devuelve los objetos ya cargados en la capa cuando coinciden sus identificadores.
+   *
+   * @public
+   * @function
+   * @param {Array<number>} extent Extensión en la proyección del mapa.
+   * @param {number} maxFeatures Número máximo de objetos geográficos.
+   * @returns {Promise<Array<M.Feature>>} Objetos geográficos.
+   * @api
+   */
+  queryFeatures(extent, maxFeatures) {
+    const projection = getProj(this.map.getProjection().code);
+    const service = new ServiceOGCAPIFeatures({
+      url: this.url,
+      name: this.name,
+      limit: maxFeatures,
+      format: this.format || 'json',
+      id: this.id,
+      bbox: transformExtent(extent, projection, 'EPSG:4326').join(','),
+      conditional: this.conditional,
+      projection: this.map.getProjection(),
+      getFeatureOutputFormat: this.options.getFeatureOutputFormat,
+    }, this.vendorOptions_);
+    const url = service.getFeatureUrl();
+    return getRemote(url, null, this.getRequestOptions(requestType.FEATURE)).then((response) => {
+      let features = [];
+      if (!isNullOrEmpty(response.text) && response.text.indexOf('ServiceExceptionReport') < 0) {
+        features = this.formater_.read(response.text, projection).filter((feature) => {
+          const geometry = feature.getImpl().getOLFeature().getGeometry();
+          return !isNullOrEmpty(geometry) && intersects(extent, geometry.getExtent());
+        }).map(feature => this.facadeVector_.getFeatureById(feature.getId()) || feature);
+      }
+      return isNullOrEmpty(maxFeatures) ? features : features.slice(0, maxFeatures);
+    });
+  }
+
   /**
    * Este método comprueba si un objeto es igual
    * a esta capa.
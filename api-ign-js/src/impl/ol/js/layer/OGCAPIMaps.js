@@ -0,0 +1,234 @@
+/**
+ * @module M/impl/layer/OGCAPIMaps
+ */
+import { isNullOrEmpty, extend } from 'M/util/Utils';
+import { requestType } from 'M/util/Remote';
+import * as dialog from 'M/dialog';
+import { getValue } from 'M/i18n/language';
+import * as LayerType from 'M/layer/Type';
+import * as EventType from 'M/event/eventtype';
+import OLLayerImage from 'ol/layer/Image';
+import { defaultImageLoadFunction } from 'ol/source/Image';
+import ImplMap from '../Map';
+import Layer from './Layer';
+import OGCAPI from '../service/OGCAPI';
+import ImageOGCAPIMaps from '../source/ImageOGCAPIMaps';
+import { interceptLoadFunction } from '../util/interceptor';
+
+/**
+ * @classdesc
+ * Implementación de la capa OGC API - Maps. La URL del mapa se descubre
+ * siguiendo los enlaces de la colección y se pide la imagen de la
+ * extensión visible.
+ *
+ * @property {String} url URL de la página de inicio del servicio.
+ * @property {String} format Formato de la imagen.
+ * @property {String} styleId Identificador del estilo.
+ * @property {Boolean} visibility Define si la capa es visible o no.
+ *
+ * @api
+ * @extends {M.impl.Layer}
+ */
+class OGCAPIMaps extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa de implementación
+   * OGC API - Maps con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.OGCAPIMaps} userParameters Parámetros para
+   * la construcción de la capa.
+   * - url: URL de la página de inicio del servicio o de sus colecciones.
+   * - name: Identificador de la colección. Si no se indica se pide el
+   * mapa del conjunto de datos.
+   * - format: Formato de la imagen, por defecto 'png'.
+   * - styleId: Identificador del estilo.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * @param {Mx.parameters.LayerOptions} options Opciones personalizadas para esta capa.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    super(options, vendorOptions);
+
+    /**
+     * OGCAPIMaps url: URL del servicio.
+     */
+    this.url = userParameters.url;
+
+    /**
+     * OGCAPIMaps format: Formato de la imagen.
+     */
+    this.format = userParameters.format || 'png';
+
+    /**
+     * OGCAPIMaps styleId: Identificador del estilo.
+     */
+    this.styleId = userParameters.styleId;
+
+    /**
+     * OGCAPIMaps opacity_: Opacidad de la capa.
+     */
+    this.opacity_ = typeof options.opacity === 'number' ? options.opacity : 1;
+
+    /**
+     * OGCAPIMaps visibility: Visibilidad de la capa.
+     */
+    this.visibility = userParameters.visibility !== false;
+
+    /**
+     * OGCAPIMaps zIndex_: Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.OGCAPIMaps];
+
+    /**
+     * OGCAPIMaps service_: Cliente del servicio.
+     */
+    this.service_ = null;
+  }
+
+  /**
+   * Este método agrega la capa al mapa. La capa de OpenLayers se
+   * crea cuando se ha descubierto la URL del mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api
+   */
+  addTo(map) {
+    this.map = map;
+    this.getService().getMapUrl(this.name, this.styleId).then((url) => {
+      // the layer could be removed while the service was read
+      if (!isNullOrEmpty(this.map)) {
+        this.ol3Layer = this.createLayer(url);
+        this.map.getMapImpl().addLayer(this.ol3Layer);
+        this.facadeLayer_.fire(EventType.LOAD, [this.facadeLayer_]);
+      }
+    }).catch(() => {
+      dialog.error(`${getValue('exception').ogcapi_maps}: ${this.name || this.url}`);
+    });
+  }
+
+  /**
+   * Este método devuelve el cliente del servicio.
+   *
+   * @public
+   * @function
+   * @returns {M.impl.service.OGCAPI} Cliente del servicio.
+   * @api
+   */
+  getService() {
+    if (isNullOrEmpty(this.service_)) {
+      this.service_ = new OGCAPI(this.url, this.getRequestOptions(requestType.CAPABILITIES));
+    }
+    return this.service_;
+  }
+
+  /**
+   * Este método crea la capa de OpenLayers.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {String} url URL del recurso "map".
+   * @returns {ol.layer.Image} Capa de OpenLayers.
+   * @api
+   */
+  createLayer(url) {
+    const source = new ImageOGCAPIMaps({
+      url,
+      params: {
+        f: this.format,
+        transparent: this.transparent !== false,
+      },
+      imageLoadFunction: interceptLoadFunction(
+        defaultImageLoadFunction,
+        this.getRequestOptions(requestType.IMAGE),
+      ),
+    });
+    return new OLLayerImage(extend({
+      visible: this.visibility,
+      opacity: this.opacity_,
+      zIndex: this.zIndex_,
+      source,
+    }, this.vendorOptions_, true));
+  }
+
+  /**
+   * Este método devuelve la extensión de la colección en la
+   * proyección del mapa.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión de la capa.
+   * @api
+   */
+  getExtentFromProvider() {
+    return this.getService().getExtent(this.name, this.map.getProjection().code);
+  }
+
+  /**
+   * Este método establece la clase de fachada de la capa.
+   *
+   * @function
+   * @param {Object} obj Capa de la fachada.
+   * @public
+   * @api
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método establece la máxima extensión de la capa.
+   *
+   * @function
+   * @param {Mx.Extent} maxExtent Máxima extensión.
+   * @public
+   * @api
+   */
+  setMaxExtent(maxExtent) {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.ol3Layer.setExtent(maxExtent);
+    }
+  }
+
+  /**
+   * Este método destruye esta capa, eliminándola del mapa.
+   *
+   * @public
+   * @function
+   * @api
+   */
+  destroy() {
+    const olMap = this.map.getMapImpl();
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      olMap.removeLayer(this.ol3Layer);
+      this.ol3Layer = null;
+    }
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @public
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof OGCAPIMaps) {
+      equals = (this.url === obj.url) && (this.name === obj.name)
+        && (this.styleId === obj.styleId);
+    }
+    return equals;
+  }
+}
+
+export default OGCAPIMaps;
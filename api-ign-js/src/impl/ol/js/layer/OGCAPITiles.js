@@ -0,0 +1,371 @@
+/**
+ * @module M/impl/layer/OGCAPITiles
+ */
+import { isNullOrEmpty, extend } from 'M/util/Utils';
+import { requestType } from 'M/util/Remote';
+import * as dialog from 'M/dialog';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import * as LayerType from 'M/layer/Type';
+import * as EventType from 'M/event/eventtype';
+import OLLayerTile from 'ol/layer/Tile';
+import OLLayerVectorTile from 'ol/layer/VectorTile';
+import TileImage from 'ol/source/TileImage';
+import OLSourceVectorTile from 'ol/source/VectorTile';
+import { defaultImageLoadFunction } from 'ol/source/Image';
+import MVTFormatter from 'ol/format/MVT';
+import WMTSTileGrid from 'ol/tilegrid/WMTS';
+import { get as getProj } from 'ol/proj';
+import ImplMap from '../Map';
+import Layer from './Layer';
+import OGCAPI from '../service/OGCAPI';
+import { interceptLoadFunction, interceptVectorTileLoadFunction } from '../util/interceptor';
+
+/**
+ * Tamaño del píxel, en metros, con el que se definen los
+ * denominadores de escala de los conjuntos de matrices de teselas.
+ *
+ * @const
+ * @type {number}
+ */
+const PIXEL_SIZE = 0.28E-3;
+
+/**
+ * @classdesc
+ * Implementación de la capa OGC API - Tiles. El conjunto de teselas, su
+ * plantilla de URL y su conjunto de matrices se descubren siguiendo los
+ * enlaces de la colección. Las teselas pueden ser vectoriales (MVT) o
+ * ráster.
+ *
+ * @property {String} url URL de la página de inicio del servicio.
+ * @property {String} tileMatrixSet Identificador del conjunto de matrices.
+ * @property {String} dataType Tipo de teselas, 'vector' o 'map'.
+ * @property {Boolean} visibility Define si la capa es visible o no.
+ *
+ * @api
+ * @extends {M.impl.Layer}
+ */
+class OGCAPITiles extends Layer {
+  /**
+   * Constructor principal de la clase. Crea una capa de implementación
+   * OGC API - Tiles con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @param {Mx.parameters.OGCAPITiles} userParameters Parámetros para
+   * la construcción de la capa.
+   * - url: URL de la página de inicio del servicio o de sus colecciones.
+   * - name: Identificador de la colección.
+   * - tileMatrixSet: Identificador del conjunto de matrices de teselas.
+   * - dataType: Tipo de teselas, 'vector' o 'map'. Por defecto las vectoriales
+   * y, si la colección no las tiene, las ráster.
+   * - visibility: Define si la capa es visible o no. Verdadero por defecto.
+   * @param {Mx.parameters.LayerOptions} options Opciones personalizadas para esta capa.
+   * - opacity: Opacidad de capa, por defecto 1.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base. Ejemplo vendorOptions:
+   * <pre><code>
+   * import { Style, Stroke } from 'ol/style';
+   * {
+   *  style: new Style({
+   *    stroke: new Stroke({ color: 'red' }),
+   *  }),
+   * }
+   * </code></pre>
+   * @api
+   */
+  constructor(userParameters, options = {}, vendorOptions = {}) {
+    super(options, vendorOptions);
+
+    /**
+     * OGCAPITiles url: URL del servicio.
+     */
+    this.url = userParameters.url;
+
+    /**
+     * OGCAPITiles tileMatrixSet: Identificador del conjunto de matrices.
+     */
+    this.tileMatrixSet = userParameters.tileMatrixSet;
+
+    /**
+     * OGCAPITiles dataType: Tipo de teselas.
+     */
+    this.dataType = userParameters.dataType;
+
+    /**
+     * OGCAPITiles opacity_: Opacidad de la capa.
+     */
+    this.opacity_ = typeof options.opacity === 'number' ? options.opacity : 1;
+
+    /**
+     * OGCAPITiles visibility: Visibilidad de la capa.
+     */
+    this.visibility = userParameters.visibility !== false;
+
+    /**
+     * OGCAPITiles zIndex_: Índice de la capa.
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.OGCAPITiles];
+
+    /**
+     * OGCAPITiles service_: Cliente del servicio.
+     */
+    this.service_ = null;
+  }
+
+  /**
+   * Este método agrega la capa al mapa. La capa de OpenLayers se
+   * crea cuando se ha descubierto el conjunto de teselas.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api
+   */
+  addTo(map) {
+    this.map = map;
+    this.getTileset().then((tileset) => {
+      // the layer could be removed while the service was read
+      if (!isNullOrEmpty(this.map)) {
+        this.ol3Layer = this.createLayer(tileset);
+        this.map.getMapImpl().addLayer(this.ol3Layer);
+        this.facadeLayer_.fire(EventType.LOAD, [this.facadeLayer_]);
+      }
+    }).catch(() => {
+      dialog.error(`${getValue('exception').ogcapi_tiles}: ${this.name}`);
+    });
+  }
+
+  /**
+   * Este método devuelve el cliente del servicio.
+   *
+   * @public
+   * @function
+   * @returns {M.impl.service.OGCAPI} Cliente del servicio.
+   * @api
+   */
+  getService() {
+    if (isNullOrEmpty(this.service_)) {
+      this.service_ = new OGCAPI(this.url, this.getRequestOptions(requestType.CAPABILITIES));
+    }
+    return this.service_;
+  }
+
+  /**
+   * Este método obtiene el conjunto de teselas de la colección.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Tipo de teselas (dataType), conjunto de
+   * teselas (tileset), plantilla de URL (template) y conjunto de matrices
+   * (tileMatrixSet).
+   * @api
+   */
+  getTileset() {
+    if (isNullOrEmpty(this.tilesetPromise_)) {
+      const code = this.map.getProjection().code;
+      this.tilesetPromise_ = this.getService()
+        .getTileset(this.name, this.dataType, this.tileMatrixSet, code)
+        .then((tileset) => {
+          this.dataType = tileset.dataType;
+          return tileset;
+        });
+      this.tilesetPromise_.catch(() => {
+        this.tilesetPromise_ = null;
+      });
+    }
+    return this.tilesetPromise_;
+  }
+
+  /**
+   * Este método crea la capa de OpenLayers, vectorial o ráster
+   * según el tipo de teselas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} tileset Conjunto de teselas descubierto.
+   * @returns {ol.layer.Tile|ol.layer.VectorTile} Capa de OpenLayers.
+   * @api
+   */
+  createLayer({ dataType, template, tileMatrixSet }) {
+    const { tileGrid, projection, bottomLeft } = OGCAPITiles.createTileGrid(tileMatrixSet);
+    const tileUrlFunction = (tileCoord) => {
+      const [z, x, y] = tileCoord;
+      const row = bottomLeft ? tileGrid.getFullTileRange(z).getHeight() - 1 - y : y;
+      return template.replace('{tileMatrixSetId}', tileMatrixSet.id || tileMatrixSet.identifier)
+        .replace('{tileMatrix}', tileGrid.getMatrixId(z))
+        .replace('{tileRow}', row)
+        .replace('{tileCol}', x);
+    };
+
+    let source;
+    let LayerClass;
+    if (dataType === 'vector') {
+      source = new OLSourceVectorTile({
+        projection,
+        tileGrid,
+        format: new MVTFormatter(),
+        tileUrlFunction,
+        tileLoadFunction: interceptVectorTileLoadFunction(this.getRequestOptions(requestType.TILE)),
+      });
+      LayerClass = OLLayerVectorTile;
+    } else {
+      source = new TileImage({
+        projection,
+        tileGrid,
+        tileUrlFunction,
+        tileLoadFunction: interceptLoadFunction(
+          defaultImageLoadFunction,
+          this.getRequestOptions(requestType.TILE),
+        ),
+      });
+      LayerClass = OLLayerTile;
+    }
+    return new LayerClass(extend({
+      visible: this.visibility,
+      opacity: this.opacity_,
+      zIndex: this.zIndex_,
+      source,
+    }, this.vendorOptions_, true));
+  }
+
+  /**
+   * Este método crea la rejilla de teselas de un conjunto de matrices de
+   * teselas en JSON, tanto de la versión 2.0 (tileMatrices) como de la
+   * 1.0 (tileMatrix).
+   *
+   * @public
+   * @function
+   * @param {Object} tileMatrixSet Conjunto de matrices de teselas.
+   * @returns {Object} Rejilla de teselas (tileGrid), código de su
+   * proyección (projection) y si el origen está abajo a la izquierda
+   * (bottomLeft).
+   * @api
+   */
+  static createTileGrid(tileMatrixSet) {
+    const crs = tileMatrixSet.crs || tileMatrixSet.supportedCRS;
+    const projection = OGCAPI.crsToCode(crs);
+    const olProjection = getProj(projection);
+    if (isNullOrEmpty(olProjection)) {
+      Exception(`${getValue('exception').ogcapi_crs}: ${projection || crs}`);
+    }
+
+    // the corners are in the order of the axes of the CRS
+    let switchXY;
+    if (!isNullOrEmpty(tileMatrixSet.orderedAxes)) {
+      switchXY = /^(lat|n|y)/i.test(tileMatrixSet.orderedAxes[0])
+        && !/^(x|e)/i.test(tileMatrixSet.orderedAxes[0]);
+    } else {
+      switchXY = !/CRS84$/i.test(crs) && olProjection.getAxisOrientation().substr(0, 2) === 'ne';
+    }
+
+    const matrices = (tileMatrixSet.tileMatrices || tileMatrixSet.tileMatrix || []).slice()
+      .sort((a, b) => b.scaleDenominator - a.scaleDenominator);
+    const bottomLeft = matrices.some(matrix => matrix.cornerOfOrigin === 'bottomLeft');
+    const matrixIds = [];
+    const resolutions = [];
+    const origins = [];
+    const tileSizes = [];
+    const sizes = [];
+    matrices.forEach((matrix) => {
+      const resolution = matrix.cellSize
+        || (matrix.scaleDenominator * PIXEL_SIZE) / olProjection.getMetersPerUnit();
+      const corner = matrix.pointOfOrigin || matrix.topLeftCorner;
+      const origin = switchXY ? [corner[1], corner[0]] : [corner[0], corner[1]];
+      if (bottomLeft) {
+        origin[1] += matrix.matrixHeight * matrix.tileHeight * resolution;
+      }
+      matrixIds.push(matrix.id || matrix.identifier);
+      resolutions.push(resolution);
+      origins.push(origin);
+      tileSizes.push([matrix.tileWidth, matrix.tileHeight]);
+      sizes.push([matrix.matrixWidth, matrix.matrixHeight]);
+    });
+    return {
+      tileGrid: new WMTSTileGrid({
+        matrixIds,
+        resolutions,
+        origins,
+        tileSizes,
+        sizes,
+      }),
+      projection,
+      bottomLeft,
+    };
+  }
+
+  /**
+   * Este método devuelve la extensión de la colección en la
+   * proyección del mapa.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Mx.Extent>} Extensión de la capa.
+   * @api
+   */
+  getExtentFromProvider() {
+    return this.getService().getExtent(this.name, this.map.getProjection().code);
+  }
+
+  /**
+   * Este método establece la clase de fachada de la capa.
+   *
+   * @function
+   * @param {Object} obj Capa de la fachada.
+   * @public
+   * @api
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método establece la máxima extensión de la capa.
+   *
+   * @function
+   * @param {Mx.Extent} maxExtent Máxima extensión.
+   * @public
+   * @api
+   */
+  setMaxExtent(maxExtent) {
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      this.ol3Layer.setExtent(maxExtent);
+    }
+  }
+
+  /**
+   * Este método destruye esta capa, eliminándola del mapa.
+   *
+   * @public
+   * @function
+   * @api
+   */
+  destroy() {
+    const olMap = this.map.getMapImpl();
+    if (!isNullOrEmpty(this.ol3Layer)) {
+      olMap.removeLayer(this.ol3Layer);
+      this.ol3Layer = null;
+    }
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @public
+   * @api
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof OGCAPITiles) {
+      equals = (this.url === obj.url) && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default OGCAPITiles;
@@ -7,13 +7,17 @@ import Popup from 'M/Popup';
 import { compileSync as compileTemplate } from 'M/util/Template';
 import geojsonPopupTemplate from 'templates/geojson_popup';
 import * as EventType from 'M/event/eventtype';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import { getValue } from 'M/i18n/language';
 import OLSourceVector from 'ol/source/Vector';
 import { get as getProj } from 'ol/proj';
+import { intersects } from 'ol/extent';
 import { all } from 'ol/loadingstrategy';
 import ServiceWFS from '../service/WFS';
 import FormatImplGeoJSON from '../format/GeoJSON';
 import FormatGML from '../format/GML';
 import LoaderWFS from '../loader/WFS';
+import FormatTransaction from '../format/wfs/Transaction';
 import Vector from './Vector';
 import ImplUtils from '../util/Utils';
 
@@ -88,6 +92,12 @@ class WFS extends Vector {
      */
     this.popup_ = null;
 
+    /**
+     * WFS ogcFilter. Filtro que se envía en OGC Filter Encoding
+     * con peticiones GetFeature POST.
+     */
+    this.ogcFilter = null;
+
     /**
      * WFS options.getFeatureOutputFormat. Formato de retorno de los features, por defecto
      * default application/json.
@@ -102,6 +112,16 @@ class WFS extends Vector {
      */
     this.GMLVersion_ = (this.options.getFeatureOutputFormat.toUpperCase().includes('GML')) ?
       this.options.getFeatureOutputFormat : null;
+
+    /**
+     * WFS pendingChanges_. Cambios pendientes de confirmar (WFS-T):
+     * objetos geográficos insertados, actualizados y borrados.
+     */
+    this.pendingChanges_ = {
+      insert: [],
+      update: [],
+      delete: [],
+    };
   }
 
   /**
@@ -195,9 +215,11 @@ class WFS extends Vector {
         version: this.version,
         ids: this.ids,
         cql: this.cql,
+        ogcFilter: this.ogcFilter,
         projection: this.map.getProjection(),
         getFeatureOutputFormat: this.options.getFeatureOutputFormat,
         describeFeatureTypeOutputFormat: this.options.describeFeatureTypeOutputFormat,
+        requestOptions: this.getRequestOptions(requestType.CAPABILITIES),
       }, this.options.vendor);
       if (/json/gi.test(this.options.getFeatureOutputFormat)) {
         this.formater_ = new FormatGeoJSON({
@@ -206,7 +228,13 @@ class WFS extends Vector {
       } else {
         this.formater_ = new FormatGML(this.map.getProjection(), this.GMLVersion_);
       }
-      this.loader_ = new LoaderWFS(this.map, this.service_, this.formater_);
+      this.loader_ = new LoaderWFS(
+        this.map,
+        this.service_,
+        this.formater_,
+        this.getRequestOptions(requestType.FEATURE),
+      );
+      this.loader_.on(EventType.ERROR, error => this.fire(EventType.ERROR, [error]));
 
 
       // const isCluster = (this.facadeVector_.getStyle() instanceof StyleCluster);
@@ -307,6 +335,172 @@ class WFS extends Vector {
     this.refresh(true);
   }
 
+  /**
+   * Este método cambia el filtro OGC y llama al método "refresh".
+   *
+   * @public
+   * @function
+   * @param {M.filter.Base} filter Nuevo filtro.
+   * @api stable
+   */
+  setOGCFilter(filter) {
+    this.ogcFilter = filter;
+    this.refresh(true);
+  }
+
+  /**
+   * Este método registra la inserción de objetos geográficos
+   * pendiente de confirmar.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos insertados.
+   * @api stable
+   */
+  insertFeatures(features) {
+    features.forEach((feature) => {
+      if (!this.pendingChanges_.insert.includes(feature)) {
+        this.pendingChanges_.insert.push(feature);
+      }
+    });
+  }
+
+  /**
+   * Este método registra la actualización de objetos geográficos
+   * pendiente de confirmar. Los objetos geográficos insertados y no
+   * confirmados se insertan con sus últimos cambios.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos actualizados.
+   * @api stable
+   */
+  updateFeatures(features) {
+    features.forEach((feature) => {
+      if (!this.pendingChanges_.insert.includes(feature) &&
+        !this.pendingChanges_.update.includes(feature)) {
+        this.pendingChanges_.update.push(feature);
+      }
+    });
+  }
+
+  /**
+   * Este método registra el borrado de objetos geográficos
+   * pendiente de confirmar. Los objetos geográficos insertados y no
+   * confirmados se descartan.
+   *
+   * @public
+   * @function
+   * @param {Array<M.Feature>} features Objetos geográficos borrados.
+   * @api stable
+   */
+  deleteFeatures(features) {
+    features.forEach((feature) => {
+      const { insert, update } = this.pendingChanges_;
+      if (insert.includes(feature)) {
+        this.pendingChanges_.insert = insert.filter(f => f !== feature);
+      } else {
+        this.pendingChanges_.update = update.filter(f => f !== feature);
+        if (!this.pendingChanges_.delete.includes(feature)) {
+          this.pendingChanges_.delete.push(feature);
+        }
+      }
+    });
+  }
+
+  /**
+   * Este método devuelve los cambios pendientes de confirmar.
+   *
+   * @public
+   * @function
+   * @returns {Object} Objetos geográficos insertados (insert),
+   * actualizados (update) y borrados (delete).
+   * @api stable
+   */
+  getPendingChanges() {
+    return {
+      insert: [...this.pendingChanges_.insert],
+      update: [...this.pendingChanges_.update],
+      delete: [...this.pendingChanges_.delete],
+    };
+  }
+
+  /**
+   * Este método confirma los cambios pendientes en el servicio con una
+   * petición "Transaction" (WFS-T) y asigna a los objetos geográficos
+   * insertados los identificadores del servidor.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Object>} Resumen de la transacción (totalInserted,
+   * totalUpdated, totalDeleted e insertIds).
+   * @api stable
+   */
+  commit() {
+    const changes = this.getPendingChanges();
+    if (changes.insert.length + changes.update.length + changes.delete.length === 0) {
+      return Promise.resolve({
+        totalInserted: 0,
+        totalUpdated: 0,
+        totalDeleted: 0,
+        insertIds: [],
+      });
+    }
+    if (isNullOrEmpty(this.service_)) {
+      return Promise.reject(new Error(getValue('exception').wfst_not_added));
+    }
+
+    let format;
+    return this.getDescribeFeatureType().then((describeFeatureType) => {
+      format = new FormatTransaction({
+        version: this.version,
+        featureNS: describeFeatureType.featureNS,
+        featurePrefix: describeFeatureType.featurePrefix || this.namespace,
+        featureType: this.name,
+        geometryName: describeFeatureType.geometryName,
+        srsName: this.map.getProjection().code,
+      });
+      const transaction = format.writeTransaction(changes.insert, changes.update, changes.delete);
+      const requestOptions = this.getRequestOptions(requestType.TRANSACTION);
+      return this.service_.transaction(transaction, requestOptions);
+    }).then((response) => {
+      const summary = format.readTransactionResponse(response);
+      changes.insert.forEach((feature, i) => {
+        if (!isNullOrEmpty(summary.insertIds[i])) {
+          feature.setId(summary.insertIds[i]);
+        }
+      });
+      // keeps the changes made while the transaction was running
+      Object.keys(changes).forEach((type) => {
+        this.pendingChanges_[type] =
+          this.pendingChanges_[type].filter(feature => !changes[type].includes(feature));
+      });
+      return summary;
+    });
+  }
+
+  /**
+   * Este método descarta los cambios pendientes: elimina los objetos
+   * geográficos insertados y, si hay actualizaciones o borrados, vuelve
+   * a cargar los objetos geográficos del servicio.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  rollback() {
+    const changes = this.getPendingChanges();
+    this.pendingChanges_ = {
+      insert: [],
+      update: [],
+      delete: [],
+    };
+    this.facadeVector_.removeFeatures(changes.insert);
+    if ((changes.update.length + changes.delete.length > 0) && !isNullOrEmpty(this.map)) {
+      this.refresh(true);
+    }
+  }
+
   /**
    * Devuelve el tipo de los objetos geográficos.
    *
@@ -407,6 +601,35 @@ class WFS extends Vector {
     });
   }
 
+  /**
+   * Este método consulta al servicio los objetos geográficos que intersecan
+   * con una extensión mediante una petición GetFeature con BBOX. Si la capa
+   * tiene filtro CQL, se consulta con el filtro y se descartan los que no
+   * intersecan.
+   * Devuelve los objetos ya cargados en la capa cuando coinciden sus identificadores.
+   *
+   * @public
+   * @function
+   * @param {Array<number>} extent Extensión en la proyección del mapa.
+   * @param {number} maxFeatures Número máximo de objetos geográficos.
+   * @returns {Promise<Array<M.Feature>>} Objetos geográficos.
+   * @api
+   */
+  queryFeatures(extent, maxFeatures) {
+    const projection = getProj(this.map.getProjection().code);
+    const url = this.service_.getFeatureUrl(extent, projection);
+    return getRemote(url, null, this.getRequestOptions(requestType.FEATURE)).then((response) => {
+      let features = [];
+      if (!isNullOrEmpty(response.text) && response.text.indexOf('ServiceExceptionReport') < 0) {
+        features = this.formater_.read(response.text, projection).filter((feature) => {
+          const geometry = feature.getImpl().getOLFeature().getGeometry();
+          return !isNullOrEmpty(geometry) && intersects(extent, geometry.getExtent());
+        }).map(feature => this.facadeVector_.getFeatureById(feature.getId()) || feature);
+      }
+      return isNullOrEmpty(maxFeatures) ? features : features.slice(0, maxFeatures);
+    });
+  }
+
   /**
    * Este método comprueba si un objeto es igual
    * a esta capa.
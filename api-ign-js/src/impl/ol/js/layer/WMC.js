@@ -0,0 +1,306 @@
+/**
+ * @module M/impl/layer/WMC
+ */
+import { isNull, isNullOrEmpty } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import * as LayerType from 'M/layer/Type';
+import { getLayers } from 'M/format/context';
+import { get as getRemote } from 'M/util/Remote';
+import * as EventType from 'M/event/eventtype';
+import * as dialog from 'M/dialog';
+import { get as getProj } from 'ol/proj';
+import ImplMap from '../Map';
+import LayerBase from './Layer';
+import FormatWMC from '../format/wmc/WMC';
+
+/**
+ * @classdesc
+ * WMC (Web Map Context) es un documento que describe un conjunto de capas
+ * junto con el encuadre y la proyección en la que se deben visualizar.
+ * Al seleccionar el contexto se cargan en el mapa las capas que describe.
+ *
+ * @property {Array<M.Layer>} layers Capas cargadas del contexto.
+ * @property {Object} context Contexto leído del documento WMC.
+ * @property {Boolean} selected Indica si el contexto está seleccionado.
+ *
+ * @api
+ * @extends {M.impl.layer.Layer}
+ */
+class WMC extends LayerBase {
+  /**
+   * Constructor principal de la clase. Crea una capa WMC
+   * con parámetros especificados por el usuario.
+   *
+   * @constructor
+   * @implements {M.impl.Layer}
+   * @param {Mx.parameters.LayerOptions} options Parámetros opcionales para la capa.
+   * - visibility: Indica la visibilidad de la capa.
+   * - displayInLayerSwitcher: Indica si la capa se muestra en el selector de capas.
+   * @param {Object} vendorOptions Opciones para la biblioteca base.
+   * @api stable
+   */
+  constructor(options = {}, vendorOptions = {}) {
+    // calls the super constructor
+    super(options, vendorOptions);
+
+    /**
+     * WMC facadeLayer_. Instancia de la fachada.
+     */
+    this.facadeLayer_ = null;
+
+    /**
+     * WMC layers. Capas cargadas del contexto.
+     */
+    this.layers = [];
+
+    /**
+     * WMC context. Contexto leído del documento WMC.
+     */
+    this.context = null;
+
+    /**
+     * WMC loadContextPromise. Lectura del documento, promesa.
+     */
+    this.loadContextPromise = null;
+
+    /**
+     * WMC selected. Indica si el contexto está seleccionado.
+     */
+    this.selected = false;
+
+    /**
+     * WMC displayInLayerSwitcher. El contexto no se muestra en el
+     * selector de capas, sí sus capas.
+     */
+    this.displayInLayerSwitcher = options.displayInLayerSwitcher === true;
+
+    /**
+     * WMC zIndex_. Índice de la capa, (+40).
+     */
+    this.zIndex_ = ImplMap.Z_INDEX[LayerType.WMC];
+  }
+
+  /**
+   * Este método agrega la capa al mapa.
+   *
+   * @public
+   * @function
+   * @param {M.Map} map Mapa.
+   * @api stable
+   */
+  addTo(map) {
+    this.map = map;
+    this.fire(EventType.ADDED_TO_MAP, [this]);
+  }
+
+  /**
+   * Este método selecciona el contexto, deseleccionando el resto de
+   * contextos del mapa, y carga sus capas.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  select() {
+    if (this.selected !== true) {
+      // only one context can be selected at the same time
+      this.map.getWMC()
+        .filter(wmcLayer => wmcLayer.getImpl() !== this)
+        .forEach(wmcLayer => wmcLayer.unselect());
+
+      this.selected = true;
+      this.loadContext().then((context) => {
+        // the context could be unselected while it was loading
+        if (this.selected === true) {
+          this.loadLayers(context);
+        }
+      }).catch((err) => {
+        // allows to select the context again to retry the request
+        this.selected = false;
+        this.loadContextPromise = null;
+        this.facadeLayer_.fire(EventType.ERROR, [err, this.facadeLayer_]);
+        dialog.error(`${getValue('exception').wmc_load}: ${this.name || this.url}`);
+      });
+    }
+  }
+
+  /**
+   * Este método deselecciona el contexto eliminando sus capas del mapa.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  unselect() {
+    if (this.selected === true) {
+      this.selected = false;
+      if (this.layers.length > 0) {
+        this.map.removeLayers(this.layers);
+        this.layers = [];
+      }
+    }
+  }
+
+  /**
+   * Este método obtiene y lee el documento WMC.
+   *
+   * @public
+   * @function
+   * @returns {Promise} Contexto leído del documento, asíncrono.
+   * @api stable
+   */
+  loadContext() {
+    if (isNullOrEmpty(this.loadContextPromise)) {
+      this.loadContextPromise = new Promise((success, fail) => {
+        getRemote(this.url).then((response) => {
+          const wmcDocument = isNullOrEmpty(response.xml) ? response.text : response.xml;
+          try {
+            if (isNullOrEmpty(wmcDocument)) {
+              Exception(getValue('exception').no_wmc_response);
+            }
+            const formatWMC = new FormatWMC(this.options);
+            this.context = formatWMC.read(wmcDocument);
+            success(this.context);
+          } catch (err) {
+            fail(err);
+          }
+        }).catch(fail);
+      });
+    }
+    return this.loadContextPromise;
+  }
+
+  /**
+   * Este método establece la proyección y el encuadre del contexto
+   * y añade al mapa sus capas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} context Contexto leído del documento WMC.
+   * @api stable
+   */
+  loadLayers(context) {
+    const projection = this.getContextProjection_(context);
+    if (!isNullOrEmpty(projection) &&
+      (projection.code !== this.map.getProjection().code)) {
+      this.map.setProjection(projection);
+    }
+
+    const contextMaxExtent = context.maxExtent || context.bbox;
+    this.layers = getLayers(context.layers || [], contextMaxExtent)
+      .filter(layer => !isNull(layer));
+    this.map.addLayers(this.layers);
+
+    if (!isNullOrEmpty(context.bbox)) {
+      this.map.setBbox(context.bbox);
+    }
+
+    this.facadeLayer_.fire(EventType.LOAD, [this.facadeLayer_]);
+  }
+
+  /**
+   * Este método obtiene la proyección del contexto.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {Object} context Contexto.
+   * @returns {Mx.Projection} Proyección del contexto.
+   * @api stable
+   */
+  getContextProjection_(context) {
+    let projection = null;
+    if (!isNullOrEmpty(context.projection)) {
+      let units = context.units;
+      const olProjection = getProj(context.projection);
+      if (!isNullOrEmpty(olProjection)) {
+        units = olProjection.getUnits();
+      }
+      if (isNullOrEmpty(units)) {
+        units = 'm';
+      }
+      projection = {
+        code: context.projection,
+        units,
+      };
+    }
+    return projection;
+  }
+
+  /**
+   * Este método devuelve la extensión máxima del contexto si ha
+   * sido cargado.
+   *
+   * @public
+   * @function
+   * @returns {Array<Number>} Extensión máxima.
+   * @api stable
+   */
+  getMaxExtent() {
+    let maxExtent = null;
+    if (!isNullOrEmpty(this.context)) {
+      maxExtent = this.context.maxExtent || this.context.bbox;
+    }
+    return maxExtent;
+  }
+
+  /**
+   * Devuelve las capas del contexto.
+   *
+   * @public
+   * @function
+   * @returns {Array<M.Layer>} Capas del contexto.
+   * @api stable
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  /**
+   * Este método establece la clase de fachada WMC.
+   * La fachada se refiere a
+   * un patrón estructural como una capa de abstracción con un patrón de diseño.
+   *
+   * @function
+   * @param {object} obj WMC de la fachada.
+   * @api stable
+   */
+  setFacadeObj(obj) {
+    this.facadeLayer_ = obj;
+  }
+
+  /**
+   * Este método destruye esta capa, eliminando del mapa
+   * las capas del contexto.
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  destroy() {
+    this.unselect();
+    this.map = null;
+  }
+
+  /**
+   * Este método comprueba si un objeto es igual
+   * a esta capa.
+   *
+   * @function
+   * @param {Object} obj Objeto a comparar.
+   * @returns {Boolean} Verdadero es igual, falso si no.
+   * @api stable
+   */
+  equals(obj) {
+    let equals = false;
+    if (obj instanceof WMC) {
+      equals = (this.url === obj.url);
+      equals = equals && (this.name === obj.name);
+    }
+    return equals;
+  }
+}
+
+export default WMC;
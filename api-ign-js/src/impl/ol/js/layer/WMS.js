@@ -17,8 +17,9 @@ import {
 import FacadeLayerBase from 'M/layer/Layer';
 import * as LayerType from 'M/layer/Type';
 import FacadeWMS from 'M/layer/WMS';
-import { get as getRemote } from 'M/util/Remote';
+import { get as getRemote, requestType } from 'M/util/Remote';
 import * as EventType from 'M/event/eventtype';
+import { getValue } from 'M/i18n/language';
 import OLLayerTile from 'ol/layer/Tile';
 import OLLayerImage from 'ol/layer/Image';
 import { get as getProj } from 'ol/proj';
@@ -32,6 +33,7 @@ import GetCapabilities from '../util/WMSCapabilities';
 import FormatWMS from '../format/WMS';
 import TileWMS from '../source/TileWMS';
 import ImageWMS from '../source/ImageWMS';
+import { interceptLoadFunction } from '../util/interceptor';
 
 /**
  * @classdesc
@@ -281,9 +283,10 @@ class WMS extends LayerBase {
       this.addAllLayers_();
     } else if (this.useCapabilities) {
       // just one WMS layer and useCapabilities
+      // without capabilities the layer is added with the user parameters
       this.getCapabilities().then((capabilities) => {
         this.addSingleLayer_(capabilities);
-      });
+      }, () => this.addSingleLayer_(null));
     } else {
       // just one WMS layer
       this.addSingleLayer_(null);
@@ -512,6 +515,10 @@ class WMS extends LayerBase {
           maxResolution,
           opacity,
           zIndex,
+          tileLoadFunction: interceptLoadFunction(
+            TileWMS.tileLoadFunction,
+            this.getRequestOptions(requestType.TILE),
+          ),
         });
       } else {
         olSource = new ImageWMS({
@@ -524,6 +531,10 @@ class WMS extends LayerBase {
           opacity,
           zIndex,
           ratio: this.ratio,
+          imageLoadFunction: interceptLoadFunction(
+            ImageWMS.prototype.imageLoadFunction,
+            this.getRequestOptions(requestType.IMAGE),
+          ),
         });
       }
     }
@@ -563,7 +574,7 @@ class WMS extends LayerBase {
         layer.setZIndex(ImplMap.Z_INDEX[LayerType.WMS] + baseLayersIdx);
         baseLayersIdx += 1;
       });
-    });
+    }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
   }
 
   /**
@@ -588,7 +599,7 @@ class WMS extends LayerBase {
           this.extent_ = getCapabilities.getLayerExtent(this.name);
           this.extentProj_ = olProjection;
           success(this.extent_);
-        });
+        }).catch(fail);
       }
     });
     return this.extentPromise;
@@ -714,15 +725,16 @@ class WMS extends LayerBase {
       this.getCapabilitiesPromise = new Promise((success, fail) => {
         // gest the capabilities URL
         const wmsGetCapabilitiesUrl = getWMSGetCapabilitiesUrl(layerUrl, layerVersion);
+        const requestOptions = this.getRequestOptions(requestType.CAPABILITIES);
         // gets the getCapabilities response
-        getRemote(wmsGetCapabilitiesUrl).then((response) => {
+        getRemote(wmsGetCapabilitiesUrl, null, requestOptions).then((response) => {
           const getCapabilitiesDocument = response.xml;
           const getCapabilitiesParser = new FormatWMS();
           const getCapabilities = getCapabilitiesParser.customRead(getCapabilitiesDocument);
 
           const getCapabilitiesUtils = new GetCapabilities(getCapabilities, layerUrl, projection);
           success(getCapabilitiesUtils);
-        });
+        }).catch(fail);
       });
       capabilitiesInfo.capabilities = this.getCapabilitiesPromise;
     }
@@ -730,6 +742,66 @@ class WMS extends LayerBase {
     return this.getCapabilitiesPromise;
   }
 
+  /**
+   * Devuelve las dimensiones (TIME, ELEVATION...) que anuncia el servicio
+   * para la capa en su GetCapabilities.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa.
+   * @api stable
+   */
+  getDimensions() {
+    if (isNullOrEmpty(this.map)) {
+      return Promise.reject(new Error(getValue('exception').no_map));
+    }
+    return this.getCapabilities().then(capabilities => capabilities.getLayerDimensions(this.name));
+  }
+
+  /**
+   * Devuelve el valor seleccionado de una dimensión.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time" o "elevation".
+   * @returns {String} Valor de la dimensión.
+   * @api stable
+   */
+  getDimension(name) {
+    const param = WMS.getDimensionParam(name);
+    const params = this.options.params || {};
+    const key = Object.keys(params).find(k => k.toUpperCase() === param);
+    return isNullOrEmpty(key) ? undefined : params[key];
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión y vuelve a cargar la capa.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "time" o "elevation".
+   * @param {String} value Valor de la dimensión, nulo para usar el valor por defecto.
+   * @api stable
+   */
+  setDimension(name, value) {
+    const param = WMS.getDimensionParam(name);
+    const params = { ...this.options.params };
+    Object.keys(params).filter(k => k.toUpperCase() === param).forEach((k) => {
+      delete params[k];
+    });
+    if (!isNullOrEmpty(value)) {
+      params[param] = value;
+    }
+    this.options.params = params;
+
+    const olLayer = this.getOL3Layer();
+    if (!isNullOrEmpty(olLayer) && isNullOrEmpty(this.vendorOptions_.source)) {
+      olLayer.getSource().updateParams({
+        [param]: isNullOrEmpty(value) ? undefined : value,
+      });
+    }
+  }
+
   /**
    * Devuelve la URL de la leyenda.
    *
@@ -851,4 +923,22 @@ class WMS extends LayerBase {
  */
 WMS.LEGEND_IMAGE = null;
 
+/**
+ * Este método devuelve el parámetro de la petición GetMap de una dimensión:
+ * TIME, ELEVATION o DIM_<NOMBRE> para el resto de dimensiones.
+ *
+ * @public
+ * @function
+ * @param {String} name Nombre de la dimensión.
+ * @returns {String} Parámetro de la petición.
+ * @api stable
+ */
+WMS.getDimensionParam = (name) => {
+  const upperName = String(name).toUpperCase();
+  if (['TIME', 'ELEVATION'].includes(upperName) || upperName.startsWith('DIM_')) {
+    return upperName;
+  }
+  return `DIM_${upperName}`;
+};
+
 export default WMS;
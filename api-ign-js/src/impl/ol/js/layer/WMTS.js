@@ -9,18 +9,22 @@ import {
   getWMTSGetCapabilitiesUrl,
   extend,
   addParameters,
+  getDimensionValues,
 } from 'M/util/Utils';
 import { default as OLSourceWMTS } from 'ol/source/WMTS';
 import OLFormatWMTSCapabilities from 'ol/format/WMTSCapabilities';
 import OLTileGridWMTS from 'ol/tilegrid/WMTS';
+import { defaultImageLoadFunction } from 'ol/source/Image';
 import { getBottomLeft, getTopLeft, getWidth } from 'ol/extent';
-import { get as getRemote } from 'M/util/Remote';
+import { get as getRemote, requestType } from 'M/util/Remote';
 import * as EventType from 'M/event/eventtype';
+import { getValue } from 'M/i18n/language';
 import { get as getProj } from 'ol/proj';
 import OLLayerTile from 'ol/layer/Tile';
 import { isArray } from 'M/util/Utils';
 import { optionsFromCapabilities } from 'patches';
 import LayerBase from './Layer';
+import { interceptLoadFunction } from '../util/interceptor';
 /**
  * @classdesc
  * WMTS (Web Map Tile Service) es un estándar OGC para servir información geográfica
@@ -103,6 +107,11 @@ class WMTS extends LayerBase {
      * WMS useCapabilities. Indica si se usa el getCapabilities.
      */
     this.useCapabilities = options.useCapabilities !== false;
+
+    /**
+     * WMTS dimensions_. Valores seleccionados de las dimensiones (Time...).
+     */
+    this.dimensions_ = {};
   }
 
   /**
@@ -135,7 +144,7 @@ class WMTS extends LayerBase {
           const capabilitiesOptions = this.getFilterCapabilities_(capabilities);
           // adds layer from capabilities
           this.addLayer_(capabilitiesOptions);
-        });
+        }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
     } else {
       this.addLayerNotCapabilities_();
     }
@@ -173,9 +182,14 @@ class WMTS extends LayerBase {
             matrixIds,
           }),
           extent,
+          dimensions: this.getSourceDimensions_(this.ol3Layer.getSource().getDimensions()),
+          tileLoadFunction: interceptLoadFunction(
+            defaultImageLoadFunction,
+            this.getRequestOptions(requestType.TILE),
+          ),
         });
         this.ol3Layer.setSource(newSource);
-      });
+      }).catch(error => this.facadeLayer_.fire(EventType.ERROR, [error, this.facadeLayer_]));
     }
   }
 
@@ -229,6 +243,8 @@ class WMTS extends LayerBase {
       const minResolution = this.options.minResolution;
       const maxResolution = this.options.maxResolution;
       capabilitiesOptionsVariable.format = this.options.format || capabilitiesOptions.format;
+      capabilitiesOptionsVariable.dimensions =
+        this.getSourceDimensions_(capabilitiesOptions.dimensions);
       const wmtsSource = new OLSourceWMTS(extend(capabilitiesOptionsVariable, {
         // tileGrid: new OLTileGridWMTS({
         //   origin: getBottomLeft(extent),
@@ -236,6 +252,10 @@ class WMTS extends LayerBase {
         //   matrixIds,
         // }),
         extent,
+        tileLoadFunction: interceptLoadFunction(
+          defaultImageLoadFunction,
+          this.getRequestOptions(requestType.TILE),
+        ),
       }, true));
 
       this.facadeLayer_.setFormat(capabilitiesOptionsVariable.format);
@@ -304,6 +324,11 @@ class WMTS extends LayerBase {
         format: this.options.format,
         projection: getProj(this.map.getProjection().code),
         tileGrid,
+        dimensions: this.getSourceDimensions_({}),
+        tileLoadFunction: interceptLoadFunction(
+          defaultImageLoadFunction,
+          this.getRequestOptions(requestType.TILE),
+        ),
       }, extent, true);
 
       this.facadeLayer_.setFormat(format);
@@ -423,6 +448,96 @@ class WMTS extends LayerBase {
     return this.capabilitiesOptionsPromise;
   }
 
+  /**
+   * Devuelve las dimensiones (Time, Elevation...) que anuncia el servicio
+   * para la capa en su GetCapabilities.
+   *
+   * @public
+   * @function
+   * @returns {Promise<Array<Object>>} Dimensiones de la capa: nombre (name),
+   * valor por defecto (default) y lista de valores (values).
+   * @api stable
+   */
+  getDimensions() {
+    if (isNullOrEmpty(this.map)) {
+      return Promise.reject(new Error(getValue('exception').no_map));
+    }
+    return this.getCapabilities().then((capabilities) => {
+      let capabilitiesLayer = capabilities.Contents.Layer;
+      if (isArray(capabilitiesLayer)) {
+        capabilitiesLayer = capabilitiesLayer.filter(l => l.Identifier === this.name)[0];
+      }
+      const dimensions = isNullOrEmpty(capabilitiesLayer) ? [] : capabilitiesLayer.Dimension || [];
+      return dimensions.map(dimension => ({
+        name: dimension.Identifier,
+        default: dimension.Default,
+        values: getDimensionValues(dimension.Value),
+      }));
+    });
+  }
+
+  /**
+   * Devuelve el valor seleccionado de una dimensión.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "Time".
+   * @returns {String} Valor de la dimensión.
+   * @api stable
+   */
+  getDimension(name) {
+    let dimensions = this.dimensions_;
+    const olLayer = this.getOL3Layer();
+    if (!isNullOrEmpty(olLayer) && olLayer.getSource() instanceof OLSourceWMTS) {
+      dimensions = olLayer.getSource().getDimensions();
+    }
+    const key = Object.keys(dimensions).find(k => k.toLowerCase() === String(name).toLowerCase());
+    return isNullOrEmpty(key) ? undefined : dimensions[key];
+  }
+
+  /**
+   * Este método selecciona el valor de una dimensión y vuelve a cargar la capa.
+   *
+   * @public
+   * @function
+   * @param {String} name Nombre de la dimensión, por ejemplo "Time".
+   * @param {String} value Valor de la dimensión.
+   * @api stable
+   */
+  setDimension(name, value) {
+    Object.keys(this.dimensions_)
+      .filter(k => k.toLowerCase() === String(name).toLowerCase())
+      .forEach((k) => {
+        delete this.dimensions_[k];
+      });
+    this.dimensions_[name] = value;
+
+    const olLayer = this.getOL3Layer();
+    if (!isNullOrEmpty(olLayer) && olLayer.getSource() instanceof OLSourceWMTS) {
+      const source = olLayer.getSource();
+      source.updateDimensions(this.getSourceDimensions_(source.getDimensions()));
+    }
+  }
+
+  /**
+   * Este método combina las dimensiones de la fuente (valores por defecto del
+   * servicio) con las seleccionadas en la capa, sin distinguir mayúsculas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Object} sourceDimensions Dimensiones de la fuente.
+   * @returns {Object} Dimensiones para la fuente.
+   * @api stable
+   */
+  getSourceDimensions_(sourceDimensions = {}) {
+    const dimensions = { ...sourceDimensions };
+    Object.keys(this.dimensions_).forEach((name) => {
+      const key = Object.keys(dimensions).find(k => k.toLowerCase() === name.toLowerCase());
+      dimensions[key || name] = this.dimensions_[name];
+    });
+    return dimensions;
+  }
+
   /**
    * Este método devuelve los metadatos
    * de un servicio WMTS.
@@ -437,7 +552,8 @@ class WMTS extends LayerBase {
       this.getCapabilitiesPromise_ = new Promise((success, fail) => {
         const getCapabilitiesUrl = getWMTSGetCapabilitiesUrl(this.url);
         const parser = new OLFormatWMTSCapabilities();
-        getRemote(getCapabilitiesUrl).then((response) => {
+        const requestOptions = this.getRequestOptions(requestType.CAPABILITIES);
+        getRemote(getCapabilitiesUrl, null, requestOptions).then((response) => {
           const getCapabilitiesDocument = response.xml;
           const parsedCapabilities = parser.read(getCapabilitiesDocument);
           try {
@@ -452,7 +568,7 @@ class WMTS extends LayerBase {
             /* eslint-disable no-empty */
           } catch (err) {}
           success.call(this, parsedCapabilities);
-        });
+        }).catch(fail);
       });
     }
     return this.getCapabilitiesPromise_;
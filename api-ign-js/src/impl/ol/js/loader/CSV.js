@@ -0,0 +1,143 @@
+/**
+ * @module M/impl/loader/CSV
+ */
+import MObject from 'M/Object';
+import * as EventType from 'M/event/eventtype';
+import { get as getRemote } from 'M/util/Remote';
+import { isNullOrEmpty, isString } from 'M/util/Utils';
+import GeoJSONFormat from 'M/format/GeoJSON';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+
+/**
+ * @classdesc
+ * Implementación de la clase del "loader" para los objetos geográficos CSV.
+ * Lee el texto de la URL, del fichero o del texto indicado.
+ *
+ * @property {M.Map} map_ Mapa.
+ * @property {string} url_ URL del CSV.
+ * @property {string|File} source_ Texto o fichero del CSV.
+ * @property {M.impl.format.CSV} format_ Formato.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class CSV extends MObject {
+  /**
+   * Constructor principal de la clase CSV.
+   *
+   * @constructor
+   * @param {M.Map} map Mapa
+   * @param {string} url URL del CSV.
+   * @param {string|File} source Texto o fichero del CSV, si no se indica la URL.
+   * @param {M.impl.format.CSV} format Formato.
+   * @api
+   */
+  constructor(map, url, source, format) {
+    super();
+
+    /**
+     * Mapa.
+     * @private
+     * @type {M.Map}
+     */
+    this.map_ = map;
+
+    /**
+     * URL del CSV.
+     * @private
+     * @type {string}
+     */
+    this.url_ = url;
+
+    /**
+     * Texto o fichero del CSV.
+     * @private
+     * @type {string|File}
+     */
+    this.source_ = source;
+
+    /**
+     * Formato.
+     * @private
+     * @type {M.impl.format.CSV}
+     */
+    this.format_ = format;
+
+    /**
+     * Formato GeoJSON.
+     * @private
+     * @type {M.format.GeoJSON}
+     */
+    this.geojsonFormat_ = new GeoJSONFormat();
+  }
+
+  /**
+   * Este método ejecutará la función "callback" a los objetos geográficos.
+   *
+   * Si la petición falla se lanza el evento de error del "loader".
+   *
+   * @function
+   * @param {function} callback Función "callback" de llamada para ejecutar.
+   * @returns {function} Método que ejecutará la función "callback" a los objetos geográficos.
+   * @public
+   * @api
+   */
+  getLoaderFn(callback) {
+    return ((extent, resolution, projection) => {
+      this.loadInternal_(projection).then((features) => {
+        callback(features);
+      }).catch(error => this.fire(EventType.ERROR, [error]));
+    });
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos del CSV, transformados
+   * a la proyección especificada.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @param {ol.proj.Projection} projection Proyección.
+   * @returns {Promise} Promesa con la obtención de los objetos geográficos.
+   * @public
+   * @api
+   */
+  loadInternal_(projection) {
+    return this.readText_().then((text) => {
+      const featureCollection = this.format_.read(text);
+      return this.geojsonFormat_.read(featureCollection, projection);
+    });
+  }
+
+  /**
+   * Este método obtiene el texto del CSV.
+   *
+   * @private
+   * @function
+   * @returns {Promise<string>} Texto del CSV.
+   */
+  readText_() {
+    let text;
+    if (!isNullOrEmpty(this.url_)) {
+      text = getRemote(this.url_).then((response) => {
+        if (isNullOrEmpty(response.text)) {
+          Exception(getValue('exception').no_service_response);
+        }
+        return response.text;
+      });
+    } else if (isString(this.source_)) {
+      text = Promise.resolve(this.source_);
+    } else if (this.source_ instanceof window.Blob) {
+      text = new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(this.source_);
+      });
+    } else {
+      text = Promise.reject(new Error(getValue('exception').no_source));
+    }
+    return text;
+  }
+}
+
+export default CSV;
@@ -2,6 +2,7 @@
  * @module M/impl/loader/JSONP
  */
 import MObject from 'M/Object';
+import * as EventType from 'M/event/eventtype';
 import { get as getRemote } from 'M/util/Remote';
 import Exception from 'M/exception/exception';
 import { isNullOrEmpty } from 'M/util/Utils';
@@ -57,6 +58,8 @@ class JSONP extends MObject {
   /**
     * Este método ejecutará la función "callback" a los objetos geográficos.
     *
+    * Si la petición falla se lanza el evento de error del "loader".
+    *
     * @function
     * @param {function} callback Función 'callback' de llamada para ejecutar.
     * @returns {function} Método que ejecutará la función "callback" a los objetos geográficos.
@@ -67,7 +70,7 @@ class JSONP extends MObject {
     return ((extent, resolution, projection) => {
       this.loadInternal_(projection).then((response) => {
         callback.apply(this, response);
-      });
+      }).catch(error => this.fire(EventType.ERROR, [error]));
     });
   }
 
@@ -82,7 +85,7 @@ class JSONP extends MObject {
     * @api
     */
   loadInternal_(projection) {
-    return new Promise((success) => {
+    return new Promise((success, fail) => {
       getRemote(this.url_).then((response) => {
         if (!isNullOrEmpty(response.text)) {
           const newText = response.text.replace('urn:ogc:def:crs:OGC:1.3:CRS84', 'urn:ogc:def:crs:EPSG::4326');
@@ -93,7 +96,7 @@ class JSONP extends MObject {
         } else {
           Exception(getValue('exception').no_service_response);
         }
-      });
+      }).catch(fail);
     });
   }
 }
@@ -2,6 +2,7 @@
  * @module M/impl/loader/KML
  */
 import MObject from 'M/Object';
+import * as EventType from 'M/event/eventtype';
 import { get as getRemote } from 'M/util/Remote';
 import { isNullOrEmpty, isUndefined } from 'M/util/Utils';
 import FacadeFeature from 'M/feature/Feature';
@@ -56,6 +57,8 @@ class KML extends MObject {
   /**
    * Este método ejecutará la función "callback" a los objetos geográficos.
    *
+   * Si la petición falla se lanza el evento de error del "loader".
+   *
    * @function
    * @param {function} callback Función "callback" de llamada para ejecutar
    * @returns {function} Método que ejecutará la función 'callback' a los objetos geográficos.
@@ -66,7 +69,7 @@ class KML extends MObject {
     return ((extent, resolution, projection, scaleLabel, segregacion) => {
       this.loadInternal_(projection, scaleLabel, segregacion).then((response) => {
         callback(response);
-      });
+      }).catch(error => this.fire(EventType.ERROR, [error]));
     });
   }
 
@@ -187,7 +190,7 @@ class KML extends MObject {
         } else {
           Exception(getValue('exception').no_kml_response);
         }
-      });
+      }).catch(fail);
     });
   }
 }
@@ -0,0 +1,139 @@
+/**
+ * @module M/impl/loader/TopoJSON
+ */
+import MObject from 'M/Object';
+import * as EventType from 'M/event/eventtype';
+import { get as getRemote } from 'M/util/Remote';
+import { isNullOrEmpty, isString, isObject } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import ImplFeature from '../feature/Feature';
+
+/**
+ * @classdesc
+ * Implementación de la clase del "loader" para los objetos geográficos TopoJSON.
+ * Lee la topología de la URL, del fichero o del objeto o texto indicado.
+ *
+ * @property {M.Map} map_ Mapa.
+ * @property {string} url_ URL del TopoJSON.
+ * @property {Object|string|File} source_ Topología, texto o fichero del TopoJSON.
+ * @property {ol.format.TopoJSON} format_ Formato.
+ *
+ * @api
+ * @extends {M.Object}
+ */
+class TopoJSON extends MObject {
+  /**
+   * Constructor principal de la clase TopoJSON.
+   *
+   * @constructor
+   * @param {M.Map} map Mapa
+   * @param {string} url URL del TopoJSON.
+   * @param {Object|string|File} source Topología, texto o fichero del TopoJSON,
+   * si no se indica la URL.
+   * @param {ol.format.TopoJSON} format Formato.
+   * @api
+   */
+  constructor(map, url, source, format) {
+    super();
+
+    /**
+     * Mapa.
+     * @private
+     * @type {M.Map}
+     */
+    this.map_ = map;
+
+    /**
+     * URL del TopoJSON.
+     * @private
+     * @type {string}
+     */
+    this.url_ = url;
+
+    /**
+     * Topología, texto o fichero del TopoJSON.
+     * @private
+     * @type {Object|string|File}
+     */
+    this.source_ = source;
+
+    /**
+     * Formato.
+     * @private
+     * @type {ol.format.TopoJSON}
+     */
+    this.format_ = format;
+  }
+
+  /**
+   * Este método ejecutará la función "callback" a los objetos geográficos.
+   *
+   * Si la petición falla se lanza el evento de error del "loader".
+   *
+   * @function
+   * @param {function} callback Función "callback" de llamada para ejecutar.
+   * @returns {function} Método que ejecutará la función "callback" a los objetos geográficos.
+   * @public
+   * @api
+   */
+  getLoaderFn(callback) {
+    return ((extent, resolution, projection) => {
+      this.loadInternal_(projection).then((features) => {
+        callback(features);
+      }).catch(error => this.fire(EventType.ERROR, [error]));
+    });
+  }
+
+  /**
+   * Este método obtiene los objetos geográficos del TopoJSON, transformados
+   * a la proyección especificada.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @function
+   * @param {ol.proj.Projection} projection Proyección.
+   * @returns {Promise} Promesa con la obtención de los objetos geográficos.
+   * @public
+   * @api
+   */
+  loadInternal_(projection) {
+    return this.readText_().then((topology) => {
+      const features = this.format_.readFeatures(topology, {
+        featureProjection: projection,
+      });
+      return features.map(olFeature => ImplFeature.olFeature2Facade(olFeature));
+    });
+  }
+
+  /**
+   * Este método obtiene la topología del TopoJSON.
+   *
+   * @private
+   * @function
+   * @returns {Promise<Object|string>} Topología o texto del TopoJSON.
+   */
+  readText_() {
+    let text;
+    if (!isNullOrEmpty(this.url_)) {
+      text = getRemote(this.url_).then((response) => {
+        if (isNullOrEmpty(response.text)) {
+          Exception(getValue('exception').no_service_response);
+        }
+        return response.text;
+      });
+    } else if (this.source_ instanceof window.Blob) {
+      text = new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(this.source_);
+      });
+    } else if (isString(this.source_) || isObject(this.source_)) {
+      text = Promise.resolve(this.source_);
+    } else {
+      text = Promise.reject(new Error(getValue('exception').no_source));
+    }
+    return text;
+  }
+}
+
+export default TopoJSON;
@@ -2,7 +2,8 @@
  * @module M/impl/loader/WFS
  */
 import MObject from 'M/Object';
-import { get as getRemote } from 'M/util/Remote';
+import * as EventType from 'M/event/eventtype';
+import { get as getRemote, post as postRemote } from 'M/util/Remote';
 import { isNullOrEmpty } from 'M/util/Utils';
 import Exception from 'M/exception/exception';
 import * as Dialog from 'M/dialog';
@@ -15,6 +16,7 @@ import { getValue } from 'M/i18n/language';
   * @property {M.Map} map_ Mapa.
   * @property {M.impl.service.WFS} service_ Servicio WFS.
   * @property {M.impl.format.GeoJSON | M.impl.format.GML} format_ Formato.
+  * @property {Object} requestOptions_ Opciones de las peticiones.
   *
   * @api
   * @extends {M.Object}
@@ -27,9 +29,11 @@ class WFS extends MObject {
     * @param {M.Map} map Mapa
     * @param {M.impl.service.WFS} service Servicio WFS.
     * @param {M.impl.format.GeoJSON | M.impl.format.GML} format Formato.
+    * @param {Object} requestOptions Opciones de las peticiones (M.remote) con
+    * los interceptores de la capa.
     * @api
     */
-  constructor(map, service, format) {
+  constructor(map, service, format, requestOptions) {
     super();
 
     /**
@@ -52,11 +56,21 @@ class WFS extends MObject {
       * @type {M.impl.format.GeoJSON | M.impl.format.GML}
       */
     this.format_ = format;
+
+    /**
+      * Opciones de las peticiones.
+      * @private
+      * @type {Object}
+      */
+    this.requestOptions_ = requestOptions;
   }
 
   /**
     * Este método ejecutará la función "callback" a los objetos geográficos.
     *
+    * Si la petición falla se lanza el evento de error del "loader".
+    * Si el servicio tiene filtro OGC se pide con una petición GetFeature POST.
+    *
     * @function
     * @param {function} callback Función "callback" de llamada para ejecutar.
     * @returns {function} Método que ejecutará la función 'callback' a los objetos geográficos.
@@ -65,8 +79,15 @@ class WFS extends MObject {
     */
   getLoaderFn(callback) {
     return ((extent, resolution, projection) => {
-      const requestUrl = this.getRequestUrl_(extent, projection);
-      this.loadInternal_(requestUrl, projection).then(callback.bind(this));
+      let request;
+      if (this.service_.hasOGCFilter()) {
+        request = this.service_.getFeatureBody(projection).then((body) => {
+          return this.loadInternal_(this.service_.getFeaturePostUrl(), projection, body);
+        });
+      } else {
+        request = this.loadInternal_(this.getRequestUrl_(extent, projection), projection);
+      }
+      request.then(callback.bind(this)).catch(error => this.fire(EventType.ERROR, [error]));
     });
   }
 
@@ -77,23 +98,39 @@ class WFS extends MObject {
     * @function
     * @param {String} url URL para "GetFeature".
     * @param {ol.proj.Projection} projection Proyección.
+    * @param {String} body Petición GetFeature POST en XML, si no se
+    * indica se hace una petición GET.
     * @returns {Promise} Promesa con la obtención de los objetos geográficos.
     * @public
     * @api
     */
-  loadInternal_(url, projection) {
+  loadInternal_(url, projection, body) {
+    let request;
+    if (isNullOrEmpty(body)) {
+      request = getRemote(url, null, this.requestOptions_);
+    } else {
+      request = postRemote(url, body, {
+        ...this.requestOptions_,
+        headers: { ...this.requestOptions_.headers, 'Content-Type': 'text/xml' },
+      });
+    }
     return new Promise((success, fail) => {
-      getRemote(url).then((response) => {
+      request.then((response) => {
         if (!isNullOrEmpty(response.text) && response.text.indexOf('ServiceExceptionReport') < 0) {
           const features = this.format_.read(response.text, projection);
           success(features);
-        } else if (response.code === 401) {
-          Dialog.error(getValue('dialog').unauthorized_user);
         } else if (response.text.indexOf('featureId and cql_filter') >= 0) {
           Dialog.error(getValue('dialog').only_one_filter);
         } else {
           Exception(getValue('exception').no_getfeature_response);
         }
+      }).catch((response) => {
+        if (response.code === 401) {
+          Dialog.error(getValue('dialog').unauthorized_user);
+        } else if (!isNullOrEmpty(response.text) && response.text.indexOf('featureId and cql_filter') >= 0) {
+          Dialog.error(getValue('dialog').only_one_filter);
+        }
+        fail(response);
       });
     });
   }
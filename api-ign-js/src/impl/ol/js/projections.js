@@ -5,7 +5,7 @@
 import proj4 from 'proj4';
 import OLProjection from 'ol/proj/Projection';
 import { register } from 'ol/proj/proj4';
-import { addEquivalentProjections } from 'ol/proj';
+import { addEquivalentProjections, get as getProj } from 'ol/proj';
 
 /**
  * EPSG:4258 ETRS89 es una proyección geodésica basada en el elipsoide
@@ -402,6 +402,42 @@ const addProjections = (projectionsParam) => {
 addProjections(projections);
 register(proj4);
 
+/**
+ * Este método registra una proyección no conocida a partir de su
+ * definición (proj4 o WKT). Las proyecciones ya registradas no se modifican.
+ *
+ * @function
+ * @param {String} code Código de la proyección, por ejemplo "EPSG:25830".
+ * @param {String} definition Definición de la proyección.
+ * @returns {Boolean} Verdadero si la proyección está registrada.
+ * @public
+ * @api
+ */
+export const registerProjection = (code, definition) => {
+  if (getProj(code) === null && typeof definition === 'string' && definition !== 'undefined') {
+    try {
+      proj4.defs(code, definition);
+      register(proj4);
+    } catch (err) {
+      // unsupported definition
+    }
+  }
+  return getProj(code) !== null;
+};
+
+/**
+ * Este método devuelve los códigos EPSG de las proyecciones
+ * conocidas: las registradas en este módulo y EPSG:3857.
+ *
+ * @function
+ * @returns {Array<String>} Códigos de las proyecciones, por ejemplo "EPSG:25830".
+ * @public
+ * @api
+ */
+export const getProjectionCodes = () => {
+  return ['EPSG:3857'].concat(projections.map(projection => projection.codes[0]));
+};
+
 /**
  * Este comentario no se verá, es necesario incluir
  * una exportación por defecto para que el compilador
@@ -0,0 +1,418 @@
+/**
+ * @module M/impl/service/OGCAPI
+ */
+import { get as getRemote } from 'M/util/Remote';
+import { addParameters, isNullOrEmpty, isUndefined } from 'M/util/Utils';
+import Exception from 'M/exception/exception';
+import { getValue } from 'M/i18n/language';
+import { transformExtent } from 'ol/proj';
+
+/**
+ * Prefijo de las relaciones OGC expresadas como URI.
+ * @const
+ * @type {String}
+ * @private
+ */
+const OGC_REL = 'http://www.opengis.net/def/rel/ogc/1.0/';
+
+/**
+ * Plantilla de las URI de los sistemas de referencia EPSG.
+ * @const
+ * @type {String}
+ * @private
+ */
+const EPSG_URI = 'http://www.opengis.net/def/crs/EPSG/0/';
+
+/**
+ * Identificador del conjunto de matrices de teselas de Web Mercator.
+ * @const
+ * @type {String}
+ * @public
+ * @api
+ */
+export const WEB_MERCATOR_QUAD = 'WebMercatorQuad';
+
+/**
+ * @classdesc
+ * Cliente de los servicios OGC API (Tiles y Maps). Descubre, a partir de la
+ * página de inicio (landing page) del servicio, las colecciones, los
+ * conjuntos de teselas (tilesets) y los mapas que ofrece siguiendo los
+ * enlaces de cada recurso.
+ *
+ * @api
+ */
+class OGCAPI {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {String} url URL de la página de inicio del servicio o de su
+   * recurso "collections".
+   * @param {Object} requestOptions Opciones de las peticiones (interceptores).
+   * @api
+   */
+  constructor(url, requestOptions = {}) {
+    /**
+     * URL de la página de inicio del servicio.
+     * @private
+     * @type {String}
+     */
+    this.url_ = OGCAPI.getLandingPageUrl(url);
+
+    /**
+     * Opciones de las peticiones.
+     * @private
+     * @type {Object}
+     */
+    this.requestOptions_ = requestOptions;
+
+    /**
+     * Peticiones JSON realizadas, por URL.
+     * @private
+     * @type {Object}
+     */
+    this.cache_ = {};
+  }
+
+  /**
+   * Este método devuelve la URL de la página de inicio del servicio.
+   *
+   * @function
+   * @public
+   * @returns {String} URL.
+   * @api
+   */
+  getUrl() {
+    return this.url_;
+  }
+
+  /**
+   * Este método obtiene un documento JSON del servicio. Las peticiones
+   * se guardan para no repetirlas.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @public
+   * @param {String} url URL del documento.
+   * @returns {Promise<Object>} Documento JSON.
+   * @api
+   */
+  getJSON(url) {
+    if (isUndefined(this.cache_[url])) {
+      this.cache_[url] = getRemote(addParameters(url, { f: 'json' }), null, {
+        jsonp: false,
+        ...this.requestOptions_,
+      }).then((response) => {
+        return JSON.parse(response.text);
+      });
+      // a failed request can be retried
+      this.cache_[url].catch(() => delete this.cache_[url]);
+    }
+    return this.cache_[url];
+  }
+
+  /**
+   * Este método obtiene la página de inicio del servicio.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Object>} Página de inicio.
+   * @api
+   */
+  getLandingPage() {
+    return this.getJSON(this.url_);
+  }
+
+  /**
+   * Este método obtiene las colecciones del servicio.
+   *
+   * @function
+   * @public
+   * @returns {Promise<Array<Object>>} Colecciones.
+   * @api
+   */
+  getCollections() {
+    return this.getLandingPage().then((landingPage) => {
+      const href = OGCAPI.findLink(landingPage.links, ['data', 'collections'], this.url_)
+        || this.resolve_('collections');
+      return this.getJSON(href);
+    }).then(response => response.collections || []);
+  }
+
+  /**
+   * Este método obtiene una colección del servicio.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @returns {Promise<Object>} Colección.
+   * @api
+   */
+  getCollection(name) {
+    return this.getJSON(this.getCollectionUrl(name));
+  }
+
+  /**
+   * Este método devuelve la URL de una colección.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @returns {String} URL.
+   * @api
+   */
+  getCollectionUrl(name) {
+    return this.resolve_(`collections/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Este método obtiene los conjuntos de teselas de una colección o, si no
+   * se indica la colección, del conjunto de datos.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @param {String} dataType Tipo de teselas, 'vector' o 'map'. Si no se
+   * indica se usan las vectoriales y, en su defecto, las ráster.
+   * @returns {Promise<Object>} Tipo de teselas (dataType) y conjuntos de
+   * teselas (tilesets).
+   * @api
+   */
+  getTilesets(name, dataType) {
+    const resource = isNullOrEmpty(name) ? this.getLandingPage() : this.getCollection(name);
+    const base = isNullOrEmpty(name) ? this.url_ : this.getCollectionUrl(name);
+    return resource.then((response) => {
+      const types = isNullOrEmpty(dataType) ? ['vector', 'map'] : [dataType];
+      const type = types.find(t => OGCAPI.findLink(response.links, [`tilesets-${t}`], base));
+      if (isUndefined(type)) {
+        Exception(`${getValue('exception').ogcapi_tilesets}: ${base}`);
+      }
+      const href = OGCAPI.findLink(response.links, [`tilesets-${type}`], base);
+      return this.getJSON(href).then(tilesets => ({
+        dataType: type,
+        tilesets: (tilesets.tilesets || []).map(tileset => ({
+          ...tileset,
+          href: OGCAPI.findLink(tileset.links, ['self'], href),
+        })),
+      }));
+    });
+  }
+
+  /**
+   * Este método obtiene el conjunto de teselas que se usará para una
+   * colección. Se elige el del conjunto de matrices indicado, el de la
+   * proyección del mapa, el de Web Mercator o el primero, en ese orden.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @param {String} dataType Tipo de teselas, 'vector' o 'map'.
+   * @param {String} tileMatrixSet Identificador del conjunto de matrices.
+   * @param {String} projectionCode Código de la proyección del mapa.
+   * @returns {Promise<Object>} Tipo de teselas (dataType), conjunto de
+   * teselas (tileset), plantilla de URL (template) y conjunto de matrices
+   * (tileMatrixSet).
+   * @api
+   */
+  getTileset(name, dataType, tileMatrixSet, projectionCode) {
+    let type;
+    let href = this.url_;
+    return this.getTilesets(name, dataType).then((response) => {
+      type = response.dataType;
+      const { tilesets } = response;
+      const matches = (id, tileset) => {
+        return tileset.tileMatrixSetId === id
+          || (tileset.tileMatrixSetURI || '').endsWith(`/${id}`);
+      };
+      const tileset = (!isNullOrEmpty(tileMatrixSet)
+          && tilesets.find(t => matches(tileMatrixSet, t)))
+        || tilesets.find(t => OGCAPI.crsToCode(t.crs) === projectionCode)
+        || tilesets.find(t => matches(WEB_MERCATOR_QUAD, t))
+        || tilesets[0];
+      if (isUndefined(tileset)) {
+        Exception(`${getValue('exception').ogcapi_tilesets}: ${name}`);
+      }
+      // the list may only have the links, the tileset has the template
+      if (!isNullOrEmpty(tileset.href)) {
+        href = tileset.href;
+      }
+      return isNullOrEmpty(tileset.href) ? tileset : this.getJSON(tileset.href);
+    }).then((tileset) => {
+      const template = OGCAPI.findLink(tileset.links, ['item'], href, true);
+      return this.getTileMatrixSet(tileset).then(matrixSet => ({
+        dataType: type,
+        tileset,
+        template,
+        tileMatrixSet: matrixSet,
+      }));
+    });
+  }
+
+  /**
+   * Este método obtiene la definición del conjunto de matrices de teselas
+   * de un conjunto de teselas.
+   *
+   * @function
+   * @public
+   * @param {Object} tileset Conjunto de teselas.
+   * @returns {Promise<Object>} Conjunto de matrices de teselas.
+   * @api
+   */
+  getTileMatrixSet(tileset) {
+    let definition;
+    if (!isUndefined(tileset.tileMatrixSet)) {
+      definition = Promise.resolve(tileset.tileMatrixSet);
+    } else {
+      const href = OGCAPI.findLink(tileset.links, ['tiling-scheme'], this.url_)
+        || this.resolve_(`tileMatrixSets/${tileset.tileMatrixSetId}`);
+      definition = this.getJSON(href);
+    }
+    return definition;
+  }
+
+  /**
+   * Este método obtiene la URL del mapa de una colección o, si no se
+   * indica la colección, del conjunto de datos.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @param {String} styleId Identificador del estilo.
+   * @returns {Promise<String>} URL del mapa.
+   * @api
+   */
+  getMapUrl(name, styleId) {
+    const resource = isNullOrEmpty(name) ? this.getLandingPage() : this.getCollection(name);
+    const base = isNullOrEmpty(name) ? this.url_ : this.getCollectionUrl(name);
+    return resource.then((response) => {
+      let url = OGCAPI.findLink(response.links, ['map'], base) || `${base}/map`;
+      if (!isNullOrEmpty(styleId)) {
+        url = url.replace(/\/map(\?|$)/, `/styles/${encodeURIComponent(styleId)}/map$1`);
+      }
+      return url;
+    });
+  }
+
+  /**
+   * Este método obtiene la extensión espacial de una colección o, si no se
+   * indica la colección, del conjunto de datos.
+   *
+   * @function
+   * @public
+   * @param {String} name Identificador de la colección.
+   * @param {String} projectionCode Código de la proyección de la extensión.
+   * @returns {Promise<Mx.Extent>} Extensión, nula si el servicio no la indica.
+   * @api
+   */
+  getExtent(name, projectionCode) {
+    const resource = isNullOrEmpty(name) ? this.getLandingPage() : this.getCollection(name);
+    return resource.then((response) => {
+      const { spatial = {} } = response.extent || {};
+      let extent = null;
+      if (!isNullOrEmpty(spatial.bbox)) {
+        const code = OGCAPI.crsToCode(spatial.crs) || 'EPSG:4326';
+        extent = transformExtent(spatial.bbox[0].slice(0, 4), code, projectionCode);
+      }
+      return extent;
+    });
+  }
+
+  /**
+   * Este método resuelve una ruta relativa a la página de inicio.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @function
+   * @private
+   * @param {String} path Ruta.
+   * @returns {String} URL.
+   * @api
+   */
+  resolve_(path) {
+    return new URL(path, `${this.url_.replace(/\/?$/, '/')}`).href;
+  }
+
+  /**
+   * Este método devuelve la URL de la página de inicio del servicio
+   * eliminando, si lo tiene, el recurso "collections" final.
+   *
+   * @function
+   * @public
+   * @param {String} url URL.
+   * @returns {String} URL de la página de inicio.
+   * @api
+   */
+  static getLandingPageUrl(url) {
+    return url.replace(/\?.*$/, '').replace(/\/collections\/?$/, '').replace(/\/$/, '');
+  }
+
+  /**
+   * Este método busca un enlace por su relación. Se admiten las
+   * relaciones como nombre, como URI OGC y con la forma "[ogc-rel:nombre]".
+   *
+   * @function
+   * @public
+   * @param {Array<Object>} links Enlaces.
+   * @param {Array<String>} rels Relaciones, por orden de preferencia.
+   * @param {String} base URL base de los enlaces relativos.
+   * @param {Boolean} templated Verdadero para buscar plantillas de URL.
+   * @returns {String} URL del enlace o undefined.
+   * @api
+   */
+  static findLink(links = [], rels, base, templated = false) {
+    const accepted = link => isNullOrEmpty(link.type) || /json|mvt|mapbox-vector-tile|png|jpe?g/i.test(link.type);
+    let href;
+    rels.some((rel) => {
+      const names = [rel, `${OGC_REL}${rel}`, `[ogc-rel:${rel}]`];
+      const candidates = links.filter(link => names.includes(link.rel)
+        && (templated || !link.templated) && accepted(link));
+      const link = candidates.find(l => /json/i.test(l.type || '')) || candidates[0];
+      if (!isUndefined(link)) {
+        // the braces of the templated URLs are escaped when resolved
+        href = /^https?:/i.test(link.href) ? link.href
+          : new URL(link.href, `${base}/`).href.replace(/%7B/gi, '{').replace(/%7D/gi, '}');
+      }
+      return !isUndefined(href);
+    });
+    return href;
+  }
+
+  /**
+   * Este método convierte la URI de un sistema de referencia en su
+   * código (EPSG:XXXX).
+   *
+   * @function
+   * @public
+   * @param {String|Object} crs URI del sistema de referencia.
+   * @returns {String} Código o undefined.
+   * @api
+   */
+  static crsToCode(crs) {
+    const uri = (crs !== null && typeof crs === 'object') ? crs.uri : crs;
+    let code;
+    if (!isNullOrEmpty(uri)) {
+      if (/CRS84$/i.test(uri)) {
+        code = 'EPSG:4326';
+      } else {
+        const match = uri.match(/EPSG(?:\/\d+(?:\.\d+)*\/|:(?:[\d.]*:)?)(\d+)$/i);
+        code = match !== null ? `EPSG:${match[1]}` : undefined;
+      }
+    }
+    return code;
+  }
+
+  /**
+   * Este método convierte el código de un sistema de referencia
+   * (EPSG:XXXX) en su URI.
+   *
+   * @function
+   * @public
+   * @param {String} code Código.
+   * @returns {String} URI.
+   * @api
+   */
+  static codeToCrs(code) {
+    return `${EPSG_URI}${code.replace(/^EPSG:/i, '')}`;
+  }
+}
+
+export default OGCAPI;
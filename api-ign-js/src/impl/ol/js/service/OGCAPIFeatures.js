@@ -1,7 +1,7 @@
 /**
  * @module M/impl/service/OGCAPIFeatures
  */
-import { get as getRemote } from 'M/util/Remote';
+import { get as getRemote, send as sendRemote, method } from 'M/util/Remote';
 import { addParameters, isNullOrEmpty } from 'M/util/Utils';
 import Featuretype from '../format/wfs/DescribeFeatureType';
 
@@ -57,6 +57,13 @@ class OGCAPIFeatures {
      */
     this.url_ = layerParameters.url;
 
+    /**
+     * URL de los objetos geográficos de la colección ("items").
+     * @private
+     * @type {String}
+     */
+    this.itemsUrl_ = `${layerParameters.url}${layerParameters.name}/items`;
+
     /**
      * Nombre del servicio.
      * @private
@@ -184,7 +191,7 @@ class OGCAPIFeatures {
     return new Promise((success, fail) => {
       getRemote(describeFeatureTypeUrl).then((response) => {
         success(descrFTypeFormat.read(response));
-      });
+      }).catch(fail);
     });
   }
 
@@ -249,6 +256,157 @@ class OGCAPIFeatures {
     fUrl = fUrl.replaceAll(' ', '%20');
     return fUrl;
   }
+
+  /**
+   * Este método devuelve la URL de un objeto geográfico de la colección.
+   *
+   * @public
+   * @function
+   * @param {String|Number} id Identificador del objeto geográfico.
+   * @returns {String} URL del objeto geográfico.
+   * @api stable
+   */
+  getItemUrl(id) {
+    return `${this.itemsUrl_}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Este método obtiene la versión (cabecera "ETag") con la que el servicio
+   * tiene un objeto geográfico.
+   *
+   * @public
+   * @function
+   * @param {String|Number} id Identificador del objeto geográfico.
+   * @param {Object} requestOptions Opciones de la petición (M.remote) con los
+   * interceptores de la capa.
+   * @returns {Promise<String>} Promesa con la versión, nula si el servicio no la indica.
+   * @api stable
+   */
+  getItemETag(id, requestOptions = {}) {
+    const url = addParameters(this.getItemUrl(id), { f: 'json' });
+    const options = {
+      ...requestOptions,
+      jsonp: false,
+    };
+    return getRemote(url, null, options).then(response => OGCAPIFeatures.getHeader(response, 'ETag'));
+  }
+
+  /**
+   * Este método crea un objeto geográfico en la colección (POST) y devuelve
+   * el identificador que le ha asignado el servicio.
+   *
+   * @public
+   * @function
+   * @param {Object} feature Objeto geográfico en GeoJSON.
+   * @param {Object} requestOptions Opciones de la petición (M.remote).
+   * @returns {Promise<Object>} Promesa con el identificador (id) y la versión (etag).
+   * @api stable
+   */
+  createItem(feature, requestOptions = {}) {
+    const options = {
+      ...requestOptions,
+      headers: { 'Content-Type': 'application/geo+json' },
+    };
+    return sendRemote(method.POST, this.itemsUrl_, feature, options).then((response) => {
+      let id = null;
+      const location = OGCAPIFeatures.getHeader(response, 'Location');
+      if (!isNullOrEmpty(location)) {
+        id = decodeURIComponent(location.split('?')[0].replace(/\/$/, '').split('/').pop());
+      } else if (!isNullOrEmpty(response.text)) {
+        try {
+          id = JSON.parse(response.text).id;
+        } catch (err) {
+          id = null;
+        }
+      }
+      return {
+        id,
+        etag: OGCAPIFeatures.getHeader(response, 'ETag'),
+      };
+    });
+  }
+
+  /**
+   * Este método reemplaza (PUT) o actualiza parcialmente (PATCH) un objeto
+   * geográfico de la colección. Si se indica la versión, la petición lleva la
+   * cabecera "If-Match" y el servicio la rechaza (412) si el objeto geográfico
+   * ha cambiado desde entonces.
+   *
+   * @public
+   * @function
+   * @param {String|Number} id Identificador del objeto geográfico.
+   * @param {Object} feature Objeto geográfico en GeoJSON.
+   * @param {String} etag Versión del objeto geográfico.
+   * @param {Object} requestOptions Opciones de la petición (M.remote).
+   * @param {String} methodType Método, M.remote.method.PUT (por defecto) o PATCH.
+   * @returns {Promise<String>} Promesa con la nueva versión.
+   * @api stable
+   */
+  updateItem(id, feature, etag, requestOptions = {}, methodType = method.PUT) {
+    const contentType = (methodType === method.PATCH) ?
+      'application/merge-patch+json' : 'application/geo+json';
+    const options = {
+      ...requestOptions,
+      headers: OGCAPIFeatures.getLockHeaders(etag, { 'Content-Type': contentType }),
+    };
+    return sendRemote(methodType, this.getItemUrl(id), feature, options)
+      .then(response => OGCAPIFeatures.getHeader(response, 'ETag'));
+  }
+
+  /**
+   * Este método borra (DELETE) un objeto geográfico de la colección. Si se
+   * indica la versión, la petición lleva la cabecera "If-Match".
+   *
+   * @public
+   * @function
+   * @param {String|Number} id Identificador del objeto geográfico.
+   * @param {String} etag Versión del objeto geográfico.
+   * @param {Object} requestOptions Opciones de la petición (M.remote).
+   * @returns {Promise} Promesa que se resuelve al borrarlo.
+   * @api stable
+   */
+  deleteItem(id, etag, requestOptions = {}) {
+    const options = {
+      ...requestOptions,
+      headers: OGCAPIFeatures.getLockHeaders(etag),
+    };
+    return sendRemote(method.DELETE, this.getItemUrl(id), null, options);
+  }
+
+  /**
+   * Este método añade la cabecera "If-Match" a las cabeceras de la petición.
+   *
+   * @public
+   * @function
+   * @param {String} etag Versión del objeto geográfico.
+   * @param {Object} headers Cabeceras de la petición.
+   * @returns {Object} Cabeceras de la petición.
+   * @api stable
+   */
+  static getLockHeaders(etag, headers = {}) {
+    const lockHeaders = { ...headers };
+    if (!isNullOrEmpty(etag)) {
+      lockHeaders['If-Match'] = etag;
+    }
+    return lockHeaders;
+  }
+
+  /**
+   * Este método devuelve el valor de una cabecera de la respuesta, sin
+   * distinguir mayúsculas y minúsculas en su nombre.
+   *
+   * @public
+   * @function
+   * @param {M.remote.Response} response Respuesta.
+   * @param {String} name Nombre de la cabecera.
+   * @returns {String} Valor de la cabecera, nulo si no la tiene.
+   * @api stable
+   */
+  static getHeader(response, name) {
+    const headers = response.headers || {};
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    return isNullOrEmpty(key) ? null : headers[key];
+  }
 }
 
 export default OGCAPIFeatures;
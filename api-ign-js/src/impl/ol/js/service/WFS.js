@@ -1,8 +1,9 @@
 /**
  * @module M/impl/service/WFS
  */
-import { get as getRemote } from 'M/util/Remote';
+import { get as getRemote, post as postRemote } from 'M/util/Remote';
 import { addParameters, isNullOrEmpty } from 'M/util/Utils';
+import { VERSION, GEOMETRY_NAME, escapeXML } from 'M/filter/Encoding';
 import Featuretype from '../format/wfs/DescribeFeatureType';
 
 /**
@@ -27,9 +28,12 @@ class WFS {
    * - version: Versión del servicio WFS.
    * - ids: Identificadores de los objetos geográficos.
    * - cql: Consulta CQL.
+   * - ogcFilter: Filtro (M.filter) que se envía en OGC Filter Encoding con
+   * peticiones GetFeature POST.
    * - projection: Proyección.
    * - getFeatureOutputFormat: Formato de salida de la petición "getFeature".
    * - describeFeatureTypeOutputFormat_: Formato de salida de la petición "describeFeatureType".
+   * - requestOptions: Opciones de las peticiones (M.remote) con los interceptores de la capa.
    * @param {Object} vendorOpts Opciones para la biblioteca base.
    * - getFeature: Devuelve los objetos geográficos de la capa.
    * - describeFeatureType: Devuelve la descripción de la capa.
@@ -88,6 +92,13 @@ class WFS {
      */
     this.cql_ = layerParameters.cql;
 
+    /**
+     * Filtro que se envía en OGC Filter Encoding.
+     * @private
+     * @type {M.filter.Base}
+     */
+    this.ogcFilter_ = layerParameters.ogcFilter;
+
     /**
      * Proyección.
      * @private
@@ -131,6 +142,13 @@ class WFS {
     if (!isNullOrEmpty(vendorOpts) && !isNullOrEmpty(vendorOpts.describeFeatureType)) {
       this.describeFeatureTypeVendor_ = vendorOpts.describeFeatureType;
     }
+
+    /**
+     * Opciones de las peticiones con los interceptores de la capa.
+     * @private
+     * @type {Object}
+     */
+    this.requestOptions_ = layerParameters.requestOptions;
   }
 
   /**
@@ -157,9 +175,9 @@ class WFS {
     const descFTypeOForm = this.describeFeatureTypeOutputFormat_;
     const descrFTypeFormat = new Featuretype(this.name_, descFTypeOForm, this.projection_);
     return new Promise((success, fail) => {
-      getRemote(describeFeatureTypeUrl).then((response) => {
+      getRemote(describeFeatureTypeUrl, null, this.requestOptions_).then((response) => {
         success(descrFTypeFormat.read(response));
-      });
+      }).catch(fail);
     });
   }
 
@@ -197,6 +215,83 @@ class WFS {
 
     return addParameters(addParameters(this.url_, getFeatureParams), this.getFeatureVendor_);
   }
+
+  /**
+   * Este método indica si los objetos geográficos se piden con una
+   * petición GetFeature POST con filtro OGC Filter Encoding.
+   *
+   * @public
+   * @function
+   * @returns {Boolean} Verdadero si la capa tiene filtro OGC.
+   * @api stable
+   */
+  hasOGCFilter() {
+    return !isNullOrEmpty(this.ogcFilter_);
+  }
+
+  /**
+   * Este método obtiene la URL de las peticiones GetFeature POST.
+   *
+   * @public
+   * @function
+   * @returns {String} URL del servicio con los parámetros del proveedor.
+   * @api stable
+   */
+  getFeaturePostUrl() {
+    return addParameters(this.url_, this.getFeatureVendor_);
+  }
+
+  /**
+   * Este método obtiene el cuerpo XML de la petición GetFeature POST con
+   * el filtro OGC de la capa. Si el filtro usa el nombre de la geometría
+   * ({{geometryName}}), se obtiene del "DescribeFeatureType" de la capa.
+   *
+   * @public
+   * @function
+   * @param {ol.proj.Projection} projection Proyección de la capa.
+   * @returns {Promise<String>} Promesa con la petición GetFeature.
+   * @api stable
+   */
+  getFeatureBody(projection) {
+    const isVersion2 = this.version_ === VERSION.V2_0_0;
+    const srsName = projection.getCode();
+    const filter = this.ogcFilter_.toXML({
+      version: isVersion2 ? VERSION.V2_0_0 : VERSION.V1_1_0,
+      srsName,
+    });
+    let filterPromise = Promise.resolve(filter);
+    if (filter.indexOf(GEOMETRY_NAME) >= 0) {
+      filterPromise = this.getDescribeFeatureType().then((describeFeatureType) => {
+        return filter.split(GEOMETRY_NAME).join(describeFeatureType.geometryName);
+      });
+    }
+    const wfsNamespace = isVersion2 ? 'http://www.opengis.net/wfs/2.0' : 'http://www.opengis.net/wfs';
+    const typeNameAttribute = isVersion2 ? 'typeNames' : 'typeName';
+    return filterPromise.then((xmlFilter) => {
+      return `<wfs:GetFeature xmlns:wfs="${wfsNamespace}" service="WFS" version="${escapeXML(this.version_)}" outputFormat="${escapeXML(this.getFeatureOutputFormat_)}">` +
+        `<wfs:Query ${typeNameAttribute}="${escapeXML(this.typeName_)}" srsName="${escapeXML(srsName)}">${xmlFilter}</wfs:Query>` +
+        '</wfs:GetFeature>';
+    });
+  }
+
+  /**
+   * Este método envía una petición "Transaction" (WFS-T) al servicio.
+   *
+   * @public
+   * @function
+   * @param {String} transaction Petición "Transaction" en XML.
+   * @param {Object} requestOptions Opciones de la petición (M.remote) con las
+   * cabeceras y los interceptores de la capa.
+   * @returns {Promise<String>} Promesa con la respuesta del servicio.
+   * @api stable
+   */
+  transaction(transaction, requestOptions = {}) {
+    const options = {
+      ...requestOptions,
+      headers: { ...requestOptions.headers, 'Content-Type': 'text/xml' },
+    };
+    return postRemote(this.url_, transaction, options).then(response => response.text);
+  }
 }
 
 export default WFS;
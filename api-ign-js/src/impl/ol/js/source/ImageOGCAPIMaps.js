@@ -0,0 +1,213 @@
+/**
+ * @module M/impl/source/ImageOGCAPIMaps
+ */
+import ImageWrapper from 'ol/Image';
+import EventType from 'ol/events/EventType';
+import ImageSource, { defaultImageLoadFunction } from 'ol/source/Image';
+import {
+  containsExtent,
+  getCenter,
+  getForViewAndSize,
+  getHeight,
+  getWidth,
+} from 'ol/extent';
+import { appendParams } from 'ol/uri';
+import OGCAPI from '../service/OGCAPI';
+
+/**
+ * URI del sistema de referencia CRS84 (longitud, latitud).
+ *
+ * @const
+ * @type {string}
+ */
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+/**
+ * @classdesc
+ * Fuente de imágenes de OGC API - Maps. Pide al recurso "map" la imagen
+ * de la extensión visible, de forma similar a GetMap de WMS.
+ *
+ * @api
+ * @extends {ol.source.Image}
+ */
+class ImageOGCAPIMaps extends ImageSource {
+  /**
+   * Constructor principal de la clase.
+   *
+   * @constructor
+   * @param {Object} options Opciones de la fuente.
+   * - url: URL del recurso "map".
+   * - params: Parámetros adicionales de la petición.
+   * - ratio: Relación entre el tamaño de la imagen y el de la vista, por defecto 1.5.
+   * - crossOrigin: Atributo crossOrigin de las imágenes.
+   * - imageLoadFunction: Función de carga de las imágenes.
+   * - projection: Proyección de la fuente.
+   * @api
+   */
+  constructor(options = {}) {
+    super({
+      attributions: options.attributions,
+      projection: options.projection,
+      resolutions: options.resolutions,
+    });
+
+    /**
+     * URL del recurso "map".
+     * @private
+     * @type {String}
+     */
+    this.url_ = options.url;
+
+    /**
+     * Parámetros adicionales de la petición.
+     * @private
+     * @type {Object}
+     */
+    this.params_ = options.params || {};
+
+    /**
+     * Relación entre el tamaño de la imagen y el de la vista.
+     * @private
+     * @type {Number}
+     */
+    this.ratio_ = options.ratio !== undefined ? options.ratio : 1.5;
+
+    /**
+     * Atributo crossOrigin de las imágenes.
+     * @private
+     * @type {String}
+     */
+    this.crossOrigin_ = options.crossOrigin !== undefined ? options.crossOrigin : null;
+
+    /**
+     * Función de carga de las imágenes.
+     * @private
+     * @type {Function}
+     */
+    this.imageLoadFunction_ = options.imageLoadFunction || defaultImageLoadFunction;
+
+    /**
+     * Última imagen pedida.
+     * @private
+     * @type {ol.Image}
+     */
+    this.image_ = null;
+
+    /**
+     * Revisión de la fuente de la última imagen.
+     * @private
+     * @type {Number}
+     */
+    this.renderedRevision_ = 0;
+  }
+
+  /**
+   * Este método devuelve la imagen de la extensión y resolución
+   * indicadas, pidiéndola si no la contiene la última imagen.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   *
+   * @public
+   * @function
+   * @param {ol.Extent} extent Extensión.
+   * @param {Number} resolutionParam Resolución.
+   * @param {Number} pixelRatio Relación de píxeles.
+   * @param {ol.proj.Projection} projection Proyección.
+   * @returns {ol.Image} Imagen.
+   * @api
+   */
+  getImageInternal(extent, resolutionParam, pixelRatio, projection) {
+    if (this.url_ === undefined) {
+      return null;
+    }
+    const resolution = this.findNearestResolution(resolutionParam);
+    const center = getCenter(extent);
+    const viewExtent = getForViewAndSize(center, resolution, 0, [
+      Math.ceil(getWidth(extent) / resolution),
+      Math.ceil(getHeight(extent) / resolution),
+    ]);
+    const size = [
+      Math.ceil((this.ratio_ * getWidth(extent)) / resolution),
+      Math.ceil((this.ratio_ * getHeight(extent)) / resolution),
+    ];
+    const requestExtent = getForViewAndSize(center, resolution, 0, size);
+
+    const image = this.image_;
+    if (image && this.renderedRevision_ === this.getRevision()
+      && image.getResolution() === resolution
+      && containsExtent(image.getExtent(), viewExtent)) {
+      return image;
+    }
+
+    const url = this.getRequestUrl(requestExtent, size, projection);
+    this.image_ = new ImageWrapper(
+      requestExtent,
+      resolution,
+      1,
+      url,
+      this.crossOrigin_,
+      this.imageLoadFunction_,
+    );
+    this.renderedRevision_ = this.getRevision();
+    this.image_.addEventListener(EventType.CHANGE, this.handleImageChange.bind(this));
+    return this.image_;
+  }
+
+  /**
+   * Este método construye la URL de la petición del mapa. La extensión se
+   * envía en el orden de los ejes del sistema de referencia.
+   *
+   * @public
+   * @function
+   * @param {ol.Extent} extent Extensión.
+   * @param {ol.Size} size Tamaño de la imagen.
+   * @param {ol.proj.Projection} projection Proyección.
+   * @returns {String} URL.
+   * @api
+   */
+  getRequestUrl(extent, size, projection) {
+    const code = projection.getCode();
+    let crs = OGCAPI.codeToCrs(code);
+    let bbox = extent;
+    if (code === 'EPSG:4326') {
+      crs = CRS84;
+    } else if (projection.getAxisOrientation().substr(0, 2) === 'ne') {
+      bbox = [extent[1], extent[0], extent[3], extent[2]];
+    }
+    return appendParams(this.url_, {
+      transparent: true,
+      ...this.params_,
+      bbox: bbox.join(','),
+      'bbox-crs': crs,
+      crs,
+      width: size[0],
+      height: size[1],
+    });
+  }
+
+  /**
+   * Este método devuelve los parámetros adicionales de la petición.
+   *
+   * @public
+   * @function
+   * @returns {Object} Parámetros.
+   * @api
+   */
+  getParams() {
+    return this.params_;
+  }
+
+  /**
+   * Este método actualiza los parámetros adicionales de la petición.
+   *
+   * @public
+   * @function
+   * @param {Object} params Parámetros.
+   * @api
+   */
+  updateParams(params) {
+    this.params_ = { ...this.params_, ...params };
+    this.changed();
+  }
+}
+
+export default ImageOGCAPIMaps;
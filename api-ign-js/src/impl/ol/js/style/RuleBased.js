@@ -0,0 +1,156 @@
+/**
+ * @module M/impl/style/RuleBased
+ */
+import OLFeature from 'ol/Feature';
+import RenderFeature from 'ol/render/Feature';
+import { isNullOrEmpty, isUndefined, getScaleFromResolution } from 'M/util/Utils';
+import Style from './Style';
+import Feature from '../feature/Feature';
+
+/**
+ * Esta función comprueba si una regla se aplica a la escala y el zoom indicados.
+ * Sin escala ni zoom (estilo sin mapa) se aplican todas las reglas.
+ *
+ * @function
+ * @private
+ * @param {Object} rule Regla.
+ * @param {Number} scale Denominador de escala.
+ * @param {Number} zoom Nivel de zoom.
+ * @returns {Boolean} Verdadero si la regla se aplica.
+ */
+const isInRange = (rule, scale, zoom) => {
+  let inRange = true;
+  if (!isUndefined(scale)) {
+    inRange = (isNullOrEmpty(rule.minScale) || scale >= rule.minScale) &&
+      (isNullOrEmpty(rule.maxScale) || scale < rule.maxScale);
+  }
+  if (inRange && !isUndefined(zoom)) {
+    inRange = (isNullOrEmpty(rule.minZoom) || zoom > rule.minZoom) &&
+      (isNullOrEmpty(rule.maxZoom) || zoom <= rule.maxZoom);
+  }
+  return inRange;
+};
+
+/**
+ * @classdesc
+ * Esta clase genera los estilos basados en reglas.
+ * @api
+ * @namespace M.impl.style.RuleBased
+ */
+class RuleBased extends Style {
+  /**
+   * Constructor principal de la clase.
+   * @constructor
+   * @param {Object} options Opciones de la clase.
+   * @api stable
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Reglas del estilo.
+     * @private
+     * @type {Array<Object>}
+     */
+    this.rules_ = [];
+  }
+
+  /**
+   * Este método obtiene la función de estilo de Openlayers
+   * de la Implementación.
+   * @public
+   * @function
+   * @returns {Function} Función de estilo de Openlayers.
+   * @api stable
+   */
+  get olStyleFn() {
+    return this.olStyleFn_;
+  }
+
+  /**
+   * Este método establece las reglas del estilo.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Array<Object>} rules Reglas de la fachada.
+   * @api stable
+   */
+  setRules(rules) {
+    this.rules_ = rules;
+  }
+
+  /**
+   * Este método aplica los estilos a la capa.
+   * @public
+   * @function
+   * @param {M.layer.Vector} layer Capa.
+   * @api stable
+   */
+  applyToLayer(layer) {
+    this.layer_ = layer;
+    const olLayer = layer.getImpl().getOL3Layer();
+    if (!isNullOrEmpty(olLayer)) {
+      olLayer.setStyle(this.olStyleFn_);
+    }
+  }
+
+  /**
+   * Este método obtiene la escala y el zoom de una resolución
+   * del mapa de la capa.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @function
+   * @param {Number} resolution Resolución.
+   * @returns {Object} Escala (scale) y zoom.
+   * @api stable
+   */
+  getScaleAndZoom(resolution) {
+    const scaleAndZoom = {};
+    const map = isNullOrEmpty(this.layer_) ? null : this.layer_.getImpl().getMap();
+    if (!isNullOrEmpty(map) && !isUndefined(resolution)) {
+      scaleAndZoom.scale = getScaleFromResolution(resolution, map.getProjection().units);
+      scaleAndZoom.zoom = map.getMapImpl().getView().getZoomForResolution(resolution);
+    }
+    return scaleAndZoom;
+  }
+
+  /**
+   * Este método actualiza las opciones de la fachada. La función de estilo
+   * dibuja los estilos de todas las reglas de la escala actual cuyo filtro
+   * cumple el objeto geográfico, en el orden de las reglas. Las reglas
+   * "elseFilter" se dibujan si no se cumple ninguna otra regla.
+   * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+   * @public
+   * @param {object} options Opciones.
+   * @function
+   * @api stable
+   */
+  updateFacadeOptions(options) {
+    this.olStyleFn_ = (olFeature, resolution) => {
+      let styles = [];
+      if (olFeature instanceof OLFeature || olFeature instanceof RenderFeature) {
+        const { scale, zoom } = this.getScaleAndZoom(resolution);
+        const rules = (this.rules_ || []).filter(rule => isInRange(rule, scale, zoom));
+        let feature;
+        const matches = (rule) => {
+          if (isNullOrEmpty(feature)) {
+            feature = Feature.olFeature2Facade(olFeature, false);
+          }
+          return rule.filter.getFunctionFilter()(feature);
+        };
+        let matched = rules.filter(rule => !rule.elseFilter &&
+          (isNullOrEmpty(rule.filter) || matches(rule)));
+        if (matched.length === 0) {
+          matched = rules.filter(rule => rule.elseFilter);
+        }
+        matched.forEach((rule) => {
+          const ruleStyles = rule.style.getImpl().olStyleFn(olFeature, resolution);
+          styles = styles.concat(isNullOrEmpty(ruleStyles) ? [] : ruleStyles);
+        });
+      }
+      return styles;
+    };
+  }
+}
+
+export default RuleBased;
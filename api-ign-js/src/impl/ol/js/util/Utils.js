@@ -7,8 +7,11 @@ import { isNullOrEmpty, isString, generateRandom } from 'M/util/Utils';
 import { getWidth, extend } from 'ol/extent';
 import { get as getProj, getTransform, transformExtent } from 'ol/proj';
 import OLFeature from 'ol/Feature';
+import OLFormatGeoJSON from 'ol/format/GeoJSON';
 import RenderFeature from 'ol/render/Feature';
 import GeometryType from 'ol/geom/GeometryType';
+import GeometryLayout from 'ol/geom/GeometryLayout';
+import { linearRingIsClockwise } from 'ol/geom/flat/orient';
 import Point from 'ol/geom/Point';
 import LineString from 'ol/geom/LineString';
 import LinearRing from 'ol/geom/LinearRing';
@@ -570,25 +573,25 @@ class Utils {
     const type = olRenderFeature.getType();
     switch (type) {
       case GeometryType.POINT:
-        geometry = new Point(coordinates);
+        geometry = new Point(coordinates, GeometryLayout.XY);
         break;
       case GeometryType.LINE_STRING:
-        geometry = new LineString(coordinates);
+        geometry = new LineString(coordinates, GeometryLayout.XY);
         break;
       case GeometryType.LINEAR_RING:
-        geometry = new LinearRing(coordinates);
+        geometry = new LinearRing(coordinates, GeometryLayout.XY);
         break;
       case GeometryType.POLYGON:
-        geometry = new Polygon(coordinates);
+        geometry = this.getPolygonFromFlatCoordinates(coordinates, ends);
         break;
       case GeometryType.MULTI_POINT:
-        geometry = new MultiPoint(coordinates);
+        geometry = new MultiPoint(coordinates, GeometryLayout.XY);
         break;
       case GeometryType.MULTI_LINE_STRING:
-        geometry = new MultiLineString(coordinates, undefined, ends);
+        geometry = new MultiLineString(coordinates, GeometryLayout.XY, ends);
         break;
       case GeometryType.MULTI_POLYGON:
-        geometry = new MultiPolygon(coordinates, undefined, endss);
+        geometry = new MultiPolygon(coordinates, GeometryLayout.XY, endss);
         break;
       case GeometryType.GEOMETRY_COLLECTION:
         const geometries = olRenderFeature.getGeometries();
@@ -604,6 +607,90 @@ class Utils {
     return geometry;
   }
 
+  /**
+    * Este método crea un polígono a partir de coordenadas planas y los finales
+    * de sus anillos. Las teselas vectoriales agrupan en un único polígono todos
+    * los anillos, por lo que si hay varios anillos exteriores (con la misma
+    * orientación que el primero) se crea un multipolígono.
+    *
+    * @function
+    * @param {Array<number>} flatCoordinates Coordenadas planas (XY).
+    * @param {Array<number>} ends Finales de los anillos.
+    * @return {ol.geom.Polygon|ol.geom.MultiPolygon} Geometría.
+    * @public
+    * @api
+    */
+  static getPolygonFromFlatCoordinates(flatCoordinates, ends) {
+    const endss = [];
+    let offset = 0;
+    let clockwise;
+    ends.forEach((end, i) => {
+      const ringClockwise = linearRingIsClockwise(flatCoordinates, offset, end, 2);
+      if (i === 0 || ringClockwise === clockwise) {
+        clockwise = ringClockwise;
+        endss.push([]);
+      }
+      endss[endss.length - 1].push(end);
+      offset = end;
+    });
+    let geometry;
+    if (endss.length > 1) {
+      geometry = new MultiPolygon(flatCoordinates, GeometryLayout.XY, endss);
+    } else {
+      geometry = new Polygon(flatCoordinates, GeometryLayout.XY, ends);
+    }
+    return geometry;
+  }
+
+  /**
+    * Este método sustituye la función de estilo de una capa de teselas vectoriales
+    * para que no se dibujen (ni se puedan consultar) los objetos geográficos que
+    * no cumplen la condición indicada. La condición se evalúa cada vez que se
+    * dibuja una tesela, por lo que se mantiene aunque cambie el estilo de la capa.
+    *
+    * @function
+    * @param {ol.layer.VectorTile} olLayer Capa de OpenLayers.
+    * @param {Function} visibleFn Función que recibe el objeto geográfico
+    * de OpenLayers y devuelve verdadero si se debe dibujar.
+    * @public
+    * @api
+    */
+  static setStyleFunctionFilter(olLayer, visibleFn) {
+    const getStyleFunction = olLayer.getStyleFunction.bind(olLayer);
+    // eslint-disable-next-line no-param-reassign
+    olLayer.getStyleFunction = () => {
+      const styleFunction = getStyleFunction();
+      if (isNullOrEmpty(styleFunction)) {
+        return styleFunction;
+      }
+      return (olFeature, resolution) => {
+        return visibleFn(olFeature) ? styleFunction(olFeature, resolution) : null;
+      };
+    };
+  }
+
+  /**
+    * Este método transforma objetos geográficos de teselas vectoriales
+    * ('RenderFeature' u objetos geográficos estándar) en un GeoJSON en EPSG:4326.
+    *
+    * @function
+    * @param {Array<RenderFeature|ol.Feature>} olFeatures Objetos geográficos.
+    * @param {String} projectionCode Proyección de los objetos geográficos.
+    * @return {Object} GeoJSON, tipo 'FeatureCollection'.
+    * @public
+    * @api
+    */
+  static olFeatures2GeoJSON(olFeatures, projectionCode) {
+    const features = olFeatures.map((olFeature) => {
+      return olFeature instanceof RenderFeature ?
+        this.olRenderFeature2olFeature(olFeature) : olFeature;
+    });
+    return new OLFormatGeoJSON().writeFeaturesObject(features, {
+      dataProjection: 'EPSG:4326',
+      featureProjection: projectionCode,
+    });
+  }
+
   /**
     * Este método obtiene la escala de las capas WMTS.
     *
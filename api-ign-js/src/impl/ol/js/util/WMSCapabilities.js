@@ -1,7 +1,14 @@
 /**
  * @module M/impl/GetCapabilities
  */
-import { isNullOrEmpty, isArray, isObject, isUndefined, isString } from 'M/util/Utils';
+import {
+  isNullOrEmpty,
+  isArray,
+  isObject,
+  isUndefined,
+  isString,
+  getDimensionValues,
+} from 'M/util/Utils';
 import WMS from 'M/layer/WMS';
 import { get as getProjection } from 'ol/proj';
 import ImplUtils from './Utils';
@@ -159,6 +166,67 @@ class GetCapabilities {
     return extent;
   }
 
+  /**
+    * Este método obtiene las dimensiones (TIME, ELEVATION...) de una capa
+    * específica a partir de su 'GetCapabilities'. Las capas heredan las
+    * dimensiones de sus capas padre.
+    *
+    * @function
+    * @param {String} layerName Nombre de la capa.
+    * @return {Array<Object>} Dimensiones: nombre (name), unidades (units, unitSymbol),
+    * valor por defecto (default), indicadores del servicio (multipleValues,
+    * nearestValue, current) y lista de valores (values).
+    * @public
+    * @api
+    */
+  getLayerDimensions(layerName) {
+    const layer = this.capabilities_.Capability.Layer;
+    const dimensions = this.getDimensionsRecursive_(layer, layerName, []) || [];
+    return dimensions.map(dimension => ({
+      name: dimension.name.toLowerCase(),
+      units: dimension.units,
+      unitSymbol: dimension.unitSymbol,
+      default: dimension.default,
+      multipleValues: dimension.multipleValues,
+      nearestValue: dimension.nearestValue,
+      current: dimension.current,
+      values: getDimensionValues(dimension.values),
+    }));
+  }
+
+  /**
+    * Este método obtiene recursivamente las dimensiones de
+    * una capa específica a partir de su 'GetCapabilities'.
+    * - ⚠️ Advertencia: Este método no debe ser llamado por el usuario.
+    * @function
+    * @param {Mx.GetCapabilities} layer Lista de capas disponibles en el servicio.
+    * @param {String} layerName Nombre de la capa.
+    * @param {Array<Object>} inherited Dimensiones de las capas padre.
+    * @return {Array<Object>|null} Dimensiones, nulo si no se encuentra la capa.
+    * @public
+    * @api
+    */
+  getDimensionsRecursive_(layer, layerName, inherited) {
+    let dimensions = null;
+    if (isArray(layer)) {
+      for (let i = 0; i < layer.length && dimensions === null; i += 1) {
+        dimensions = this.getDimensionsRecursive_(layer[i], layerName, inherited);
+      }
+    } else if (isObject(layer)) {
+      const ownDimensions = (layer.Dimension || []).filter(dim => !isNullOrEmpty(dim.name));
+      const layerDimensions = inherited
+        .filter(dim => !ownDimensions.some(own => own.name === dim.name))
+        .concat(ownDimensions);
+      if (layer.Name === layerName) {
+        dimensions = layerDimensions;
+      } else if (!isUndefined(layer.Layer)) {
+        // recursive case
+        dimensions = this.getDimensionsRecursive_(layer.Layer, layerName, layerDimensions);
+      }
+    }
+    return dimensions;
+  }
+
   /**
     * Este método obtiene las capas a partir de su 'GetCapabilities'.
     *
@@ -0,0 +1,139 @@
+/**
+ * Este módulo contiene funciones para aplicar estilos Mapbox/MapLibre GL
+ * (versión 8) a las capas de teselas vectoriales de OpenLayers.
+ * @module M/impl/util/glstyle
+ */
+import { applyStyle } from 'ol-mapbox-style';
+import { get as getRemote, requestType } from 'M/util/Remote';
+import { getValue } from 'M/i18n/language';
+import { isNullOrEmpty, isString, isUndefined } from 'M/util/Utils';
+
+/**
+ * Versión de la especificación de estilos GL admitida.
+ * @const
+ * @type {number}
+ * @private
+ */
+const GL_STYLE_VERSION = 8;
+
+/**
+ * Crea el error de un estilo GL no válido.
+ *
+ * @function
+ * @private
+ * @param {String} detail Detalle del error.
+ * @returns {Error} Error.
+ */
+const glStyleError = (detail) => {
+  return new Error(`${getValue('exception').invalid_gl_style}: ${detail}`);
+};
+
+/**
+ * Convierte en absolutas las URL relativas (sprite y glyphs) de un estilo
+ * GL descargado, tomando como base la URL del documento.
+ *
+ * @function
+ * @private
+ * @param {Object} glStyle Estilo GL.
+ * @param {String} url URL del estilo.
+ * @returns {Object} Estilo GL.
+ */
+const resolveUrls = (glStyle, url) => {
+  ['sprite', 'glyphs'].forEach((key) => {
+    if (isString(glStyle[key]) && !/^[a-z]+:\/\//i.test(glStyle[key])) {
+      // the glyphs template must keep its {fontstack} and {range} placeholders
+      /* eslint-disable no-param-reassign */
+      glStyle[key] = decodeURI(new URL(glStyle[key], new URL(url, window.location.href)).href);
+      /* eslint-enable no-param-reassign */
+    }
+  });
+  return glStyle;
+};
+
+/**
+ * Obtiene un estilo GL. Si se indica una URL el documento se descarga
+ * aplicando los interceptores de la capa.
+ *
+ * @function
+ * @param {String|Object} glStyle URL o documento del estilo GL.
+ * @param {Object} options Opciones de la petición.
+ * - interceptors: Interceptores de la capa.
+ * - requestType: Tipo de petición, por defecto M.remote.requestType.STYLE.
+ * - layer: Capa que hace la petición.
+ * @returns {Promise<Object>} Estilo GL.
+ * @api
+ */
+export const loadGLStyle = (glStyle, options = {}) => {
+  let promise;
+  if (isString(glStyle)) {
+    promise = getRemote(glStyle, null, {
+      requestType: requestType.STYLE,
+      ...options,
+      jsonp: false,
+    }).then((response) => {
+      return resolveUrls(JSON.parse(response.text), glStyle);
+    });
+  } else {
+    promise = Promise.resolve(glStyle);
+  }
+  return promise.then((json) => {
+    if (isNullOrEmpty(json) || json.version !== GL_STYLE_VERSION || !Array.isArray(json.layers)) {
+      throw glStyleError(`version ${GL_STYLE_VERSION}`);
+    }
+    return json;
+  });
+};
+
+/**
+ * Obtiene la fuente (source) del estilo GL que se dibuja en la capa: la
+ * indicada o, por defecto, la primera fuente de tipo "vector".
+ *
+ * @function
+ * @param {Object} glStyle Estilo GL.
+ * @param {String} sourceId Identificador de la fuente.
+ * @returns {String} Identificador de la fuente.
+ * @api
+ */
+export const getGLSourceId = (glStyle, sourceId) => {
+  const sources = glStyle.sources || {};
+  let id = sourceId;
+  if (isNullOrEmpty(id)) {
+    id = Object.keys(sources).find(key => sources[key].type === 'vector');
+  }
+  if (isUndefined(id) || isUndefined(sources[id])) {
+    throw glStyleError(`source ${id || 'vector'}`);
+  }
+  return id;
+};
+
+/**
+ * Aplica un estilo GL a una capa de teselas vectoriales. Se dibujan las
+ * capas del estilo de la fuente indicada, con sus reglas por capa de
+ * origen (source-layer), filtros y niveles de zoom. Los iconos se toman
+ * del sprite del estilo; las fuentes de los textos se cargan como fuentes
+ * CSS, ya que OpenLayers no dibuja los glifos (glyphs) del estilo.
+ *
+ * @function
+ * @param {ol.layer.VectorTile} olLayer Capa de OpenLayers.
+ * @param {Object} glStyle Estilo GL.
+ * @param {String} sourceId Identificador de la fuente, por defecto la
+ * primera de tipo "vector".
+ * @returns {Promise} Promesa que se resuelve al aplicar el estilo.
+ * @api
+ */
+export const applyGLStyle = (olLayer, glStyle, sourceId) => {
+  return new Promise((resolve) => {
+    const resolutions = olLayer.getSource().getTileGrid().getResolutions();
+    resolve(applyStyle(olLayer, glStyle, getGLSourceId(glStyle, sourceId), undefined, resolutions));
+  });
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
@@ -0,0 +1,115 @@
+/**
+ * Este módulo contiene funciones para aplicar los interceptores de
+ * peticiones (M.remote.addInterceptor) a la carga de imágenes y teselas.
+ * @module M/impl/util/interceptor
+ */
+import { defaultLoadFunction } from 'ol/source/VectorTile';
+import { get as getRemote, hasInterceptors, intercept } from 'M/util/Remote';
+
+/**
+ * Carga la imagen con cabeceras. La imagen se pide con AJAX y se
+ * asigna como URL de objeto, que se libera al cargarse.
+ *
+ * @function
+ * @param {HTMLImageElement} img Elemento imagen.
+ * @param {Object} request Petición interceptada { url, headers }.
+ * @param {Object} options Opciones de la petición.
+ * @api
+ */
+const loadWithHeaders = (img, request, options) => {
+  getRemote(request.url, null, {
+    ...options,
+    jsonp: false,
+    intercept: false,
+    headers: request.headers,
+    responseType: 'blob',
+  }).then((response) => {
+    const objectURL = URL.createObjectURL(response.data);
+    const revoke = () => URL.revokeObjectURL(objectURL);
+    img.addEventListener('load', revoke, { once: true });
+    img.addEventListener('error', revoke, { once: true });
+    /* eslint-disable no-param-reassign */
+    img.src = objectURL;
+    /* eslint-enable no-param-reassign */
+  }).catch(() => img.dispatchEvent(new window.Event('error')));
+};
+
+/**
+ * Envuelve una función de carga de imágenes o teselas de OpenLayers para
+ * aplicar los interceptores antes de cada petición. Sin interceptores se
+ * usa la función original. Si los interceptores añaden cabeceras
+ * la imagen se pide con AJAX.
+ *
+ * @function
+ * @param {Function} loadFunction Función de carga original (image, src).
+ * @param {Object} options Opciones de la petición.
+ * - interceptors: Interceptores de la capa.
+ * - requestType: Tipo de petición (M.remote.requestType).
+ * - layer: Capa que hace la petición.
+ * @returns {Function} Función de carga.
+ * @api
+ */
+export const interceptLoadFunction = (loadFunction, options) => {
+  return function interceptedLoadFunction(image, src) {
+    if (hasInterceptors(options)) {
+      intercept(src, options).then((request) => {
+        if (Object.keys(request.headers).length === 0) {
+          loadFunction.call(this, image, request.url);
+        } else {
+          loadWithHeaders(image.getImage(), request, options);
+        }
+      }).catch(() => image.getImage().dispatchEvent(new window.Event('error')));
+    } else {
+      loadFunction.call(this, image, src);
+    }
+  };
+};
+
+/**
+ * Crea la función de carga de las teselas vectoriales de OpenLayers que
+ * aplica los interceptores antes de cada petición. Sin interceptores se
+ * usa la función de carga por defecto de OpenLayers.
+ *
+ * @function
+ * @param {Object} options Opciones de la petición.
+ * - interceptors: Interceptores de la capa.
+ * - requestType: Tipo de petición (M.remote.requestType).
+ * - layer: Capa que hace la petición.
+ * @returns {Function} Función de carga (tile, url).
+ * @api
+ */
+export const interceptVectorTileLoadFunction = (options) => {
+  return (tile, url) => {
+    if (!hasInterceptors(options)) {
+      defaultLoadFunction(tile, url);
+    } else {
+      tile.setLoader((extent, resolution, projection) => {
+        intercept(url, options).then((request) => {
+          return getRemote(request.url, null, {
+            ...options,
+            jsonp: false,
+            intercept: false,
+            headers: request.headers,
+            responseType: 'arraybuffer',
+          });
+        }).then((response) => {
+          const features = tile.getFormat().readFeatures(response.data, {
+            extent,
+            featureProjection: projection,
+          });
+          tile.onLoad(features);
+        }).catch(() => tile.onError());
+      });
+    }
+  };
+};
+
+/**
+ * Este comentario no se verá, es necesario incluir
+ * una exportación por defecto para que el compilador
+ * muestre las funciones.
+ *
+ * Esto se produce por al archivo normaliza-exports.js
+ * @api stable
+ */
+export default {};
@@ -10,6 +10,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('attributions', 'es', es);
+M.language.addPluginTranslation('attributions', 'en', en);
+M.language.addPluginTranslation('attributions', 'ca', ca);
+M.language.addPluginTranslation('attributions', 'gl', gl);
+M.language.addPluginTranslation('attributions', 'eu', eu);
 
 const MODES = {
   mapAttributions: 1, // Map attributions from vector layer
@@ -183,6 +192,13 @@ export default class Attributions extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Name url, Additional Text
      * @private
@@ -240,7 +256,7 @@ export default class Attributions extends M.Plugin {
       position: M.ui.position[this.position_],
       className: 'm-panel-attributions',
       collapsedButtonClass: 'g-cartografia-info',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
 
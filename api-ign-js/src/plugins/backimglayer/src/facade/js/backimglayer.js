@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('backimglayer', 'es', es);
+M.language.addPluginTranslation('backimglayer', 'en', en);
+M.language.addPluginTranslation('backimglayer', 'ca', ca);
+M.language.addPluginTranslation('backimglayer', 'gl', gl);
+M.language.addPluginTranslation('backimglayer', 'eu', eu);
 
 export default class BackImgLayer extends M.Plugin {
   /**
@@ -156,6 +165,13 @@ export default class BackImgLayer extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
 
     /**
      *@private
@@ -208,7 +224,7 @@ export default class BackImgLayer extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position_],
       className: 'm-plugin-backimglayer',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'backimglyr-simbolo-cuadros',
       order: this.order,
     });
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('beautytoc', 'es', es);
+M.language.addPluginTranslation('beautytoc', 'en', en);
+M.language.addPluginTranslation('beautytoc', 'ca', ca);
+M.language.addPluginTranslation('beautytoc', 'gl', gl);
+M.language.addPluginTranslation('beautytoc', 'eu', eu);
 
 export default class BeautyTOC extends M.Plugin {
   /**
@@ -61,6 +70,13 @@ export default class BeautyTOC extends M.Plugin {
      * @type {string}
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
   /**
@@ -94,7 +110,7 @@ export default class BeautyTOC extends M.Plugin {
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-capas2',
       className: 'm-plugin-beautytoc',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsed: this.collapsed_,
     });
     this.panel_.addControls([this.control]);
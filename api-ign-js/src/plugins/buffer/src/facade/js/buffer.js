@@ -11,6 +11,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('buffer', 'es', es);
+M.language.addPluginTranslation('buffer', 'en', en);
+M.language.addPluginTranslation('buffer', 'ca', ca);
+M.language.addPluginTranslation('buffer', 'gl', gl);
+M.language.addPluginTranslation('buffer', 'eu', eu);
 
 export default class Buffer extends M.Plugin {
   /**
@@ -78,6 +87,13 @@ export default class Buffer extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -142,7 +158,7 @@ export default class Buffer extends M.Plugin {
       className: 'm-buffer',
       collapsedButtonClass: 'icon-buffer',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panelTools_.addControls(this.control_);
     this.map_.addPanels(this.panelTools_);
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('calendar', 'es', es);
+M.language.addPluginTranslation('calendar', 'en', en);
+M.language.addPluginTranslation('calendar', 'ca', ca);
+M.language.addPluginTranslation('calendar', 'gl', gl);
+M.language.addPluginTranslation('calendar', 'eu', eu);
 
 export default class Calendar extends M.Plugin {
   /**
@@ -72,6 +81,13 @@ export default class Calendar extends M.Plugin {
      * @type {string}
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
   /**
@@ -107,7 +123,7 @@ export default class Calendar extends M.Plugin {
       collapsedButtonClass: 'icon-help',
       collapsible: true,
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('comparepanel', 'es', es);
+M.language.addPluginTranslation('comparepanel', 'en', en);
+M.language.addPluginTranslation('comparepanel', 'ca', ca);
+M.language.addPluginTranslation('comparepanel', 'gl', gl);
+M.language.addPluginTranslation('comparepanel', 'eu', eu);
 
 export default class Comparepanel extends M.Plugin {
   /**
@@ -216,6 +225,13 @@ export default class Comparepanel extends M.Plugin {
      *@type { string }
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
   
   /**
@@ -279,7 +295,7 @@ export default class Comparepanel extends M.Plugin {
       collapsed: this.collapsed,
       className: this.className,
       collapsedButtonClass: 'cp-icon-comparepanel',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.panel_.addControls(this.controls_);
@@ -100,6 +100,13 @@ export default class Timeline extends M.Plugin {
      *@type { string }
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
   /**
@@ -124,7 +131,7 @@ export default class Timeline extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'timeline-gestion-reloj2',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.panel_.addControls(this.controls_);
@@ -115,6 +115,13 @@ export default class Transparency extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Collapsed attribute
      * @public
@@ -153,7 +160,7 @@ export default class Transparency extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'icon-gps4',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.panel_.addControls(this.controls_);
@@ -106,6 +106,13 @@ export default class Lyrdropdown extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Metadata from api.json
      * @private
@@ -140,7 +147,7 @@ export default class Lyrdropdown extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position], //M.ui.position.TR
       collapsedButtonClass: 'g-cartografia-flecha-izquierda',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.panel_.addControls(this.controls_);
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('contactlink', 'es', es);
+M.language.addPluginTranslation('contactlink', 'en', en);
+M.language.addPluginTranslation('contactlink', 'ca', ca);
+M.language.addPluginTranslation('contactlink', 'gl', gl);
+M.language.addPluginTranslation('contactlink', 'eu', eu);
 
 export default class ContactLink extends M.Plugin {
   /**
@@ -146,6 +155,13 @@ export default class ContactLink extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Collapsed attribute
      * @public
@@ -225,7 +241,7 @@ export default class ContactLink extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'g-contactlink-link',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.addControls(this.control_);
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('fulltoc', 'es', es);
+M.language.addPluginTranslation('fulltoc', 'en', en);
+M.language.addPluginTranslation('fulltoc', 'ca', ca);
+M.language.addPluginTranslation('fulltoc', 'gl', gl);
+M.language.addPluginTranslation('fulltoc', 'eu', eu);
 
 // Estas capas hacen referencia a la estructura de
 // https://centrodedescargas.cnig.es/CentroDescargas/index.jsp
@@ -511,7 +520,7 @@ export default class FullTOC extends M.Plugin {
       collapsible: true,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-capas',
-      tooltip: getValue('tooltip'),
+      tooltip: () => getValue('tooltip'),
       order: this.order,
     });
 
@@ -17,6 +17,13 @@ import ogcModalTemplate from '../../templates/ogcmodal';
 import customQueryFiltersTemplate from '../../templates/customqueryfilters';
 import { getValue } from './i18n/language';
 
+/**
+ * Types of the OGC API layers
+ * @const
+ * @type {Array<string>}
+ */
+const OGC_API_TYPES = ['OGCAPIFeatures', 'OGCAPITiles', 'OGCAPIMaps'];
+
 const CATASTRO = '//ovc.catastro.meh.es/Cartografia/WMS/ServidorWMS.aspx';
 const CODSI_CATALOG = 'http://www.idee.es/csw-codsi-idee/srv/spa/q?_content_type=json&bucket=s101&facet.q=type%2Fservice&fast=index&from=*1&serviceType=view&resultType=details&sortBy=title&sortOrder=asc&to=*2';
 const CODSI_PAGESIZE = 9;
@@ -200,6 +207,14 @@ export default class FullTOCControl extends M.Control {
           } else if (layer.type === 'OGCAPIFeatures') {
             const extent = layer.getFeaturesExtent();
             this.map_.setBbox(extent);
+          } else if (layer.type === 'OGCAPITiles' || layer.type === 'OGCAPIMaps') {
+            layer.calculateMaxExtent().then((extent) => {
+              if (!M.utils.isNullOrEmpty(extent)) {
+                this.map_.setBbox(extent);
+              } else {
+                M.dialog.info(getValue('exception.extent'), getValue('info'), this.order);
+              }
+            });
           } else {
             M.dialog.info(getValue('exception.extent'), getValue('info'), this.order);
           }
@@ -270,9 +285,10 @@ export default class FullTOCControl extends M.Control {
             this.accessibilityTab(document.querySelector('#m-fulltoc-change-config'));
           }, 10);
         } else if (evt.target.classList.contains('m-fulltoc-info')) {
-          if (layer.type === 'OGCAPIFeatures') {
-            const metadataURL = `${layer.url}${layer.name}?f=json`;
-            const htmlURL = `${layer.url}${layer.name}?f=html`;
+          if (OGC_API_TYPES.includes(layer.type)) {
+            const collectionsURL = this.getOGCCollectionsURL_(layer);
+            const metadataURL = `${collectionsURL}${layer.name}?f=json`;
+            const htmlURL = `${collectionsURL}${layer.name}?f=html`;
             let jsonResponseOgc;
             M.remote.get(metadataURL).then((response) => {
               jsonResponseOgc = JSON.parse(response.text);
@@ -301,6 +317,8 @@ export default class FullTOCControl extends M.Control {
                 },
               };
               this.renderInfo(vars);
+            }).catch(() => {
+              M.dialog.error(getValue('exception.metadata'));
             });
           } else {
             const vars = {
@@ -748,7 +766,8 @@ export default class FullTOCControl extends M.Control {
           const isRaster = ['wms', 'wmts'].indexOf(layer.type.toLowerCase()) > -1;
           const isNotWMSFull = !((layer.type === M.layer.type.WMS) &&
             M.utils.isNullOrEmpty(layer.name));
-          return ((isTransparent && displayInLayerSwitcher && isRaster && isNotWMSFull) || (layer.type === 'OGCAPIFeatures'));
+          return ((isTransparent && displayInLayerSwitcher && isRaster && isNotWMSFull) ||
+            OGC_API_TYPES.includes(layer.type));
         }).reverse();
 
         const overlayLayersPromise = Promise.all(overlayLayers.map(this.parseLayerForTemplate_));
@@ -921,7 +940,7 @@ export default class FullTOCControl extends M.Control {
         opacity: layer.getOpacity(),
         metadata: hasMetadata,
         type: layer.type,
-        tag: layer.type === 'OGCAPIFeatures' ? 'Features' : layer.type,
+        tag: OGC_API_TYPES.includes(layer.type) ? layer.type.replace('OGCAPI', '') : layer.type,
         hasStyles: hasMetadata && layer.capabilitiesMetadata.style.length > 1,
         hasOgcapiFeaturesStyles: ogcapiFeaturesStyles,
         url: layer.url,
@@ -992,7 +1011,7 @@ export default class FullTOCControl extends M.Control {
             M.remote.get(M.utils.getWMTSGetCapabilitiesUrl(url)).then((response) => {
               clearTimeout(id);
               success(response);
-            });
+            }).catch(reject);
           });
 
           promise.then((response) => {
@@ -1023,7 +1042,7 @@ export default class FullTOCControl extends M.Control {
                       M.remote.get(M.utils.getWMSGetCapabilitiesUrl(url, '1.3.0')).then((response2) => {
                         clearTimeout(id);
                         success(response2);
-                      });
+                      }).catch(reject);
                     });
                     promise2.then((response2) => {
                       try {
@@ -1624,9 +1643,23 @@ export default class FullTOCControl extends M.Control {
       if (selectValue === getValue('select_service')) {
         M.dialog.error(getValue('no_results'));
       } else {
-        properties = this.getProperties(selectValue, summary);
-
-        this.getImpl().loadOGCAPIFeaturesLayer(properties);
+        const ogcType = document.querySelector('#m-vectors-ogc-type').value;
+        if (ogcType === 'features') {
+          properties = this.getProperties(selectValue, summary);
+          this.getImpl().loadOGCAPIFeaturesLayer(properties);
+        } else {
+          const select = document.querySelector('#m-vectors-ogc-select');
+          properties = {
+            url: urlOGC,
+            name: select.value,
+            legend: select.selectedOptions[0].text,
+          };
+          if (ogcType === 'tiles') {
+            this.getImpl().loadOGCAPITilesLayer(properties);
+          } else {
+            this.getImpl().loadOGCAPIMapsLayer(properties);
+          }
+        }
 
         const buttonClose = document.querySelector('div.m-dialog.info div.m-button > button');
         buttonClose.click();
@@ -1649,6 +1682,8 @@ export default class FullTOCControl extends M.Control {
             results2 = getValue('results_2_plural');
           }
           document.querySelector('#check-results').innerHTML = `${results1}${numberFeatures}${results2}`;
+        }).catch(() => {
+          M.dialog.error(getValue('no_results'));
         });
       }
     });
@@ -1805,7 +1840,69 @@ export default class FullTOCControl extends M.Control {
         summary = undefined;
       }
       document.querySelector('#check-results').innerHTML = '';
+      this.updateOGCTypes_();
     });
+
+    document.querySelector('#m-vectors-ogc-type').addEventListener('change', () => {
+      this.updateOGCFilters_();
+    });
+    this.updateOGCTypes_();
+  }
+
+  /**
+   * Enables the OGC API types (features, tiles, maps) offered by the
+   * selected collection.
+   *
+   * @private
+   * @function
+   */
+  updateOGCTypes_() {
+    const select = document.querySelector('#m-vectors-ogc-select');
+    const typeSelect = document.querySelector('#m-vectors-ogc-type');
+    const option = select.selectedOptions[0];
+    if (!M.utils.isNullOrEmpty(option) && !M.utils.isNullOrEmpty(option.value)) {
+      Array.from(typeSelect.options).forEach((typeOption) => {
+        // eslint-disable-next-line no-param-reassign
+        typeOption.disabled = option.dataset[typeOption.value] !== 'true';
+      });
+      if (typeSelect.selectedOptions[0].disabled) {
+        const enabled = Array.from(typeSelect.options).find(typeOption => !typeOption.disabled);
+        if (!M.utils.isUndefined(enabled)) {
+          typeSelect.value = enabled.value;
+        }
+      }
+    }
+    this.updateOGCFilters_();
+  }
+
+  /**
+   * Shows the filters only for OGC API - Features collections.
+   *
+   * @private
+   * @function
+   */
+  updateOGCFilters_() {
+    const isFeatures = document.querySelector('#m-vectors-ogc-type').value === 'features';
+    const display = isFeatures ? '' : 'none';
+    document.querySelector('#fromOGCContainer .btn-container').style.display = display;
+    document.querySelector('#fromOGCContainer #check-button').style.display = display;
+    document.querySelector('#check-results').innerHTML = '';
+  }
+
+  /**
+   * Gets the URL of the collections of an OGC API layer.
+   *
+   * @private
+   * @function
+   * @param {M.Layer} layer OGC API layer
+   * @returns {string} URL ending in "collections/"
+   */
+  getOGCCollectionsURL_(layer) {
+    let url = layer.url;
+    if (layer.type !== 'OGCAPIFeatures') {
+      url = `${url.replace(/\/collections\/?$/, '').replace(/\/$/, '')}/collections/`;
+    }
+    return url;
   }
 
   setOnClickRadioBtn(radioBtnFilterByID, radioBtnFilterByOther) {
@@ -1851,7 +1948,16 @@ export default class FullTOCControl extends M.Control {
       const collections = `${(urlOGC.endsWith('/') ? urlOGC : `${urlOGC}/`)}collections?f=json`;
       M.remote.get(collections).then((response) => {
         const resJSON = JSON.parse(response.text);
-        const layers = resJSON.collections;
+        // the OGC API types offered by each collection
+        const layers = resJSON.collections.map((collection) => {
+          const rels = (collection.links || []).map(link => link.rel || '');
+          const hasRel = names => rels.some(rel => names.some(name => rel.endsWith(name)));
+          return Object.assign({}, collection, {
+            features: hasRel(['items']),
+            tiles: hasRel(['tilesets-vector', 'tilesets-map']),
+            maps: hasRel(['/map', 'ogc-rel:map]']) || rels.includes('map'),
+          });
+        });
         if (M.utils.isNullOrEmpty(summary)) {
           summary = undefined;
           filterByID = undefined;
@@ -1882,6 +1988,7 @@ export default class FullTOCControl extends M.Control {
               custom_query_btn: getValue('custom_query_btn'),
               filters: getValue('filters'),
               check_results: getValue('check_results'),
+              ogc_type: getValue('ogc_type'),
             },
           },
         });
@@ -1905,7 +2012,7 @@ export default class FullTOCControl extends M.Control {
         );
       }).catch((err) => {
         urlOGC = '';
-        M.dialog.error(getValue('exception.error_ogc'));
+        M.dialog.error(getValue('exception.metadata'));
       });
     }
   }
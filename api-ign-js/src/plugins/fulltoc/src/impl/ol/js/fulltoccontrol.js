@@ -137,6 +137,28 @@ export default class FullTOCControl extends M.impl.Control {
     layer.setZIndex(layer.getZIndex() + 8);
   }
 
+  /**
+   * Loads OGCAPITiles layer
+   * @public
+   * @function
+   * @param {*} layerParameters -
+   */
+  loadOGCAPITilesLayer(layerParameters) {
+    const layer = new M.layer.OGCAPITiles(layerParameters);
+    this.facadeMap_.addLayers(layer);
+  }
+
+  /**
+   * Loads OGCAPIMaps layer
+   * @public
+   * @function
+   * @param {*} layerParameters -
+   */
+  loadOGCAPIMapsLayer(layerParameters) {
+    const layer = new M.layer.OGCAPIMaps(layerParameters);
+    this.facadeMap_.addLayers(layer);
+  }
+
 
   /**
    * Loads OGCAPIFeatures layer
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('geometrydraw', 'es', es);
+M.language.addPluginTranslation('geometrydraw', 'en', en);
+M.language.addPluginTranslation('geometrydraw', 'ca', ca);
+M.language.addPluginTranslation('geometrydraw', 'gl', gl);
+M.language.addPluginTranslation('geometrydraw', 'eu', eu);
 
 export default class GeometryDraw extends M.Plugin {
   /**
@@ -80,6 +89,13 @@ export default class GeometryDraw extends M.Plugin {
      * @type {string}
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
   /**
@@ -113,7 +129,7 @@ export default class GeometryDraw extends M.Plugin {
       collapsible: this.collapsible_,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-geom',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.control_ = new GeometryDrawControl();
     this.controls_.push(this.control_);
@@ -400,6 +400,9 @@ export default class GeorefimageControl extends M.Control {
         // } else {
         //   M.dialog.error('Se ha producido un error en la impresión.');
         // }
+      }).catch(() => {
+        queueEl.remove();
+        M.dialog.error(getValue('exception.printError'), 'Error');
       });
 
       M.proxy(true);
@@ -436,6 +439,10 @@ export default class GeorefimageControl extends M.Control {
             M.exception(err);
           }
           success(capabilities);
+        }).catch(() => {
+          // the capabilities can be requested again
+          this.capabilitiesPromise_ = null;
+          M.dialog.error(getValue('exception.printError'), 'Error');
         });
 
         M.proxy(true);
@@ -7,6 +7,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('georefimage2', 'es', es);
+M.language.addPluginTranslation('georefimage2', 'en', en);
+M.language.addPluginTranslation('georefimage2', 'ca', ca);
+M.language.addPluginTranslation('georefimage2', 'gl', gl);
+M.language.addPluginTranslation('georefimage2', 'eu', eu);
 
 export default class Georefimage2 extends M.Plugin {
   /**
@@ -87,6 +96,13 @@ export default class Georefimage2 extends M.Plugin {
       */
     this.tooltip_ = parameters.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!parameters.tooltip;
+
     /**
      * Mapfish server url
      * @private
@@ -152,7 +168,7 @@ export default class Georefimage2 extends M.Plugin {
       className: 'm-georefimage2',
       collapsedButtonClass: 'icon-descargar',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.on(M.evt.ADDED_TO_MAP, (html) => {
@@ -223,6 +223,8 @@ export default class Georefimage2Control extends M.Control {
           } catch (err) {
             M.exception(err);
           }
+        }).catch(() => {
+          M.dialog.error(getValue('exception.printError'), 'Error');
         });
 
         M.proxy(true);
@@ -885,7 +885,7 @@ export default class Georefimage2Control extends M.impl.Control {
         /* eslint-disable no-empty */
         } catch (err) {}
         success.call(this, parsedCapabilities);
-      });
+      }).catch(fail);
     });
 
     return capabilitiesPromise;
@@ -100,6 +100,13 @@ export default class LyrCompare extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /** Show interface
      *@public
      *@type{boolean}
@@ -171,7 +178,7 @@ export default class LyrCompare extends M.Plugin {
         position: M.ui.position[this.position],
         className: 'm-plugin-lyrcompare',
         collapsedButtonClass: 'cp-icon',
-        tooltip: this.tooltip_,
+        tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       });
     } else {
       this.panel_ = new M.ui.Panel('panelLyrcompare', {
@@ -107,6 +107,13 @@ export default class Mirrorpanel extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Metadata from api.json
      * @private
@@ -150,7 +157,7 @@ export default class Mirrorpanel extends M.Plugin {
       showCursors: this.showCursors,
       className: this.interface ? 'm-plugin-panelMirrorpanel' : 'm-plugin-panelMirrorpanel hidden',
       collapsedButtonClass: 'mirrorpanel-icon',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.panel_.addControls(this.controls_);
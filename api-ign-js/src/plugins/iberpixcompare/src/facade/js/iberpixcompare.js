@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('iberpixcompare', 'es', es);
+M.language.addPluginTranslation('iberpixcompare', 'en', en);
+M.language.addPluginTranslation('iberpixcompare', 'ca', ca);
+M.language.addPluginTranslation('iberpixcompare', 'gl', gl);
+M.language.addPluginTranslation('iberpixcompare', 'eu', eu);
 
 export default class IberpixCompare extends M.Plugin {
   /**
@@ -139,6 +148,13 @@ export default class IberpixCompare extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
       /**
      *@private
      *@type { Number }
@@ -189,7 +205,7 @@ export default class IberpixCompare extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'cp-icon',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
 
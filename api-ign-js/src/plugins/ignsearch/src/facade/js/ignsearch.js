@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('ignsearch', 'es', es);
+M.language.addPluginTranslation('ignsearch', 'en', en);
+M.language.addPluginTranslation('ignsearch', 'ca', ca);
+M.language.addPluginTranslation('ignsearch', 'gl', gl);
+M.language.addPluginTranslation('ignsearch', 'eu', eu);
 
 /** IGNSearch List Control
 *
@@ -216,6 +225,13 @@ export default class IGNSearch extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * @private
      * @type {boolean}
@@ -332,7 +348,7 @@ export default class IGNSearch extends M.Plugin {
       collapsed: this.isCollapsed,
       className: 'ign-search-panel',
       collapsedButtonClass: 'icon-ignsearch',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -361,7 +361,7 @@ export default class IGNSearchControl extends M.Control {
       const dataCoordinates = [etrs89pointCoordinates[1], etrs89pointCoordinates[0]];
       let fullAddress = '';
       M.proxy(false);
-      M.remote.get(urlToGet).then((res) => {
+      M.remote.get(urlToGet).catch(response => response).then((res) => {
         if (res.text !== null) {
           const returnData = JSON.parse(res.text);
           fullAddress = this.createFullAddress(returnData);
@@ -633,7 +633,7 @@ export default class IGNSearchControl extends M.Control {
         const perfectResult = featureJSON.properties.state;
         this.showSearchPopUp(fullAddress, coordinates, perfectResult);
       }
-    });
+    }).catch(() => M.dialog.error(getValue('exception.results')));
 
     M.proxy(true);
   }
@@ -765,7 +765,7 @@ export default class IGNSearchControl extends M.Control {
       if (zoomIn === true) {
         this.zoomInLocation('n', 'Point', this.zoom);
       }
-    });
+    }).catch(() => M.dialog.error(getValue('exception.results')));
   }
   /**
    * This function gets user input, searches for coincidences and adds each one to the given array.
@@ -789,7 +789,7 @@ export default class IGNSearchControl extends M.Control {
             resultsArray.push(returnData[i]);
           }
           resolve();
-        });
+        }).catch(() => resolve());
 
         M.proxy(true);
       } else {
@@ -835,7 +835,7 @@ export default class IGNSearchControl extends M.Control {
           });
 
           resolve();
-        });
+        }).catch(() => resolve());
       } else {
         resolve();
       }
@@ -884,7 +884,7 @@ export default class IGNSearchControl extends M.Control {
       M.remote.get(urlToGet).then((res) => {
         const geoJsonData = res.text.substring(9, res.text.length - 1);
         resolve(geoJsonData);
-      });
+      }).catch(() => M.dialog.error(getValue('exception.results')));
 
       M.proxy(true);
     });
@@ -10,6 +10,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('ignsearchlocator', 'es', es);
+M.language.addPluginTranslation('ignsearchlocator', 'en', en);
+M.language.addPluginTranslation('ignsearchlocator', 'ca', ca);
+M.language.addPluginTranslation('ignsearchlocator', 'gl', gl);
+M.language.addPluginTranslation('ignsearchlocator', 'eu', eu);
 
 /** IGNSearch List Control
 *
@@ -255,6 +264,13 @@ export default class IGNSearchLocator extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * @private
      * @type {boolean}
@@ -422,7 +438,7 @@ export default class IGNSearchLocator extends M.Plugin {
       collapsed: this.isCollapsed,
       className: 'ign-searchlocator-panel',
       collapsedButtonClass: 'icon-ignsearch',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.addControls(this.controls_);
@@ -716,7 +716,7 @@ export default class IGNSearchLocatorControl extends M.Control {
       const dataCoordinates = [etrs89pointCoordinates[1], etrs89pointCoordinates[0]];
       let fullAddress = '';
       M.proxy(false);
-      M.remote.get(urlToGet).then((res) => {
+      M.remote.get(urlToGet).catch(response => response).then((res) => {
         if (res.text !== null) {
           const returnData = JSON.parse(res.text);
           fullAddress = this.createFullAddress(returnData);
@@ -1005,7 +1005,7 @@ export default class IGNSearchLocatorControl extends M.Control {
       if (zoomIn === true) {
         this.zoomInLocation('n', 'Point', this.zoom, [longitude, latitude]);
       }
-    });
+    }).catch(() => M.dialog.error(getValue('exception.noresults')));
   }
   /**
    * This function gets user input, searches for coincidences and adds each one to the given array.
@@ -1029,7 +1029,7 @@ export default class IGNSearchLocatorControl extends M.Control {
             resultsArray.push(returnData[i]);
           }
           resolve();
-        });
+        }).catch(() => resolve());
 
         M.proxy(true);
       } else {
@@ -1074,7 +1074,7 @@ export default class IGNSearchLocatorControl extends M.Control {
           });
 
           resolve();
-        });
+        }).catch(() => resolve());
       } else {
         resolve();
       }
@@ -1121,7 +1121,7 @@ export default class IGNSearchLocatorControl extends M.Control {
       M.remote.get(urlToGet).then((res) => {
         const geoJsonData = res.text.substring(9, res.text.length - 1);
         resolve(geoJsonData);
-      });
+      }).catch(() => M.dialog.error(getValue('exception.noresults')));
       M.proxy(true);
     });
   }
@@ -1355,11 +1355,12 @@ export default class IGNSearchLocatorControl extends M.Control {
     };
 
     const srs = this.map.getProjection().code;
+    // the response handlers also manage the failed requests
     M.remote.get(this.catastroWMS, {
       SRS: srs,
       Coordenada_X: evt.coord[0],
       Coordenada_Y: evt.coord[1],
-    }).then((res) => {
+    }).catch(response => response).then((res) => {
       this.showInfoFromURL_(res, evt.coord);
 
       // Se desactiva el evento del click una vez haya encontrado una catastro
@@ -1495,7 +1496,7 @@ export default class IGNSearchLocatorControl extends M.Control {
    * @function
    */
   search_(searchUrl, processor) {
-    M.remote.get(searchUrl).then((response) => {
+    M.remote.get(searchUrl).catch(response => response).then((response) => {
       const success = this.acceptOVCSW(response);
       if (success) {
         processor.call(this, response.xml);
@@ -1726,7 +1727,7 @@ export default class IGNSearchLocatorControl extends M.Control {
         Parcela: this.inputParcela.value,
       });
 
-      M.remote.get(searchUrl).then((response) => {
+      M.remote.get(searchUrl).catch(response => response).then((response) => {
         const success = this.acceptOVCSW(response);
         if (success) {
           this.parseParamsResultsForTemplate_(response.xml);
@@ -1762,7 +1763,7 @@ export default class IGNSearchLocatorControl extends M.Control {
       RC: pc1Value + pc2Value,
     });
 
-    return M.remote.get(searchUrl).then((res) => {
+    return M.remote.get(searchUrl).catch(error => error).then((res) => {
       const success = this.acceptOVCSW(res);
       if (success) {
         const docsRC = this.parseCPMRCResults(res.xml);
@@ -1876,7 +1877,7 @@ export default class IGNSearchLocatorControl extends M.Control {
         CodigoProvincia: provinceCode,
         CodigoMunicipio: '',
         CodigoMunicipioIne: '',
-      }).then((res) => {
+      }).catch(response => response).then((res) => {
         this.loadMunicipiosSelect(res, munici);
       });
     } else {
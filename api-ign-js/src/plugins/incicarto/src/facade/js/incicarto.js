@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('incicarto', 'es', es);
+M.language.addPluginTranslation('incicarto', 'en', en);
+M.language.addPluginTranslation('incicarto', 'ca', ca);
+M.language.addPluginTranslation('incicarto', 'gl', gl);
+M.language.addPluginTranslation('incicarto', 'eu', eu);
 
 export default class Incicarto extends M.Plugin {
   /**
@@ -118,6 +127,13 @@ export default class Incicarto extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Option to allow the plugin to be draggable or not
      * @private
@@ -164,7 +180,7 @@ export default class Incicarto extends M.Plugin {
       collapsible: this.collapsible_,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-incicarto',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     if (this.controllist_[0].id === 'themeList') {
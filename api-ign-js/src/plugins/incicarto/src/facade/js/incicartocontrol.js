@@ -834,7 +834,7 @@ export default class IncicartoControl extends M.Control {
       if (M.utils.isUrl(url)) {
         url += url.endsWith('?') ? '' : '?';
         url += 'service=WFS&request=GetCapabilities';
-        M.remote.get(url).then((response) => {
+        M.remote.get(url).catch(response => response).then((response) => {
           try {
             const services = [];
             const prenode = response.text.split('<FeatureTypeList>')[1].split('</FeatureTypeList>')[0];
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('infocatastro', 'es', es);
+M.language.addPluginTranslation('infocatastro', 'en', en);
+M.language.addPluginTranslation('infocatastro', 'ca', ca);
+M.language.addPluginTranslation('infocatastro', 'gl', gl);
+M.language.addPluginTranslation('infocatastro', 'eu', eu);
 
 export default class InfoCatastro extends M.Plugin {
   /**
@@ -53,6 +62,13 @@ export default class InfoCatastro extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * catastroWMS
      * @private
@@ -104,7 +120,7 @@ export default class InfoCatastro extends M.Plugin {
     this.panel_ = new M.ui.Panel('panelInfoCatastro', {
       className: 'm-plugin-catastro',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'icon-posicion4',
     });
     this.panel_.addControls(this.controls_);
@@ -137,7 +137,7 @@ export default class InfoCatastroControl extends M.Control {
       SRS: srs,
       Coordenada_X: evt.coord[0],
       Coordenada_Y: evt.coord[1],
-    }).then((res) => {
+    }).catch(response => response).then((res) => {
       this.showInfoFromURL_(res, evt.coord);
     }, options);
   }
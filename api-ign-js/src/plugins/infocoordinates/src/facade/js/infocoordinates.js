@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('infocoordinates', 'es', es);
+M.language.addPluginTranslation('infocoordinates', 'en', en);
+M.language.addPluginTranslation('infocoordinates', 'ca', ca);
+M.language.addPluginTranslation('infocoordinates', 'gl', gl);
+M.language.addPluginTranslation('infocoordinates', 'eu', eu);
 
 export default class Infocoordinates extends M.Plugin {
   /**
@@ -120,6 +129,13 @@ export default class Infocoordinates extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -163,7 +179,7 @@ export default class Infocoordinates extends M.Plugin {
       position: M.ui.position[this.position_],
       className: 'm-plugin-infocoordinates',
       collapsedButtonClass: 'icon-target',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.addControls(this.controls_);
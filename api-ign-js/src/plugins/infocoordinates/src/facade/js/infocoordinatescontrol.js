@@ -249,6 +249,10 @@ export default class InfocoordinatesControl extends M.Control {
       featurePoint.setAttribute('Altitude', altitudeFromWCSservice);
       altitudeBox.innerHTML = `${parseFloat(altitudeFromWCSservice).toFixed(2)}`.replace('.', ',');
       buttonTab.addEventListener('click', () => this.openTabFromTab(numPoint));
+    }).catch(() => {
+      featurePoint.setAttribute('Altitude', getValue('noDatafromWCS'));
+      altitudeBox.innerHTML = getValue('noDatafromWCS');
+      buttonTab.addEventListener('click', () => this.openTabFromTab(numPoint));
     })
 
     M.proxy(true);
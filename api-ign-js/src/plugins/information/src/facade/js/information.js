@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('information', 'es', es);
+M.language.addPluginTranslation('information', 'en', en);
+M.language.addPluginTranslation('information', 'ca', ca);
+M.language.addPluginTranslation('information', 'gl', gl);
+M.language.addPluginTranslation('information', 'eu', eu);
 
 export default class Information extends M.Plugin {
   /**
@@ -53,6 +62,13 @@ export default class Information extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Information format
      *
@@ -148,7 +164,7 @@ export default class Information extends M.Plugin {
     this.panel_ = new M.ui.Panel('Information', {
       className: 'm-plugin-information',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'g-cartografia-info',
       order: this.order,
     });
@@ -554,7 +554,7 @@ export default class InformationControl extends M.impl.Control {
       const url = layerNameUrl.url.replace('row=-', 'row=').replace('col=-', 'col=');
       const layerName = layerNameUrl.layer;
       // M.proxy(false);
-      M.remote.get(url).then((response) => {
+      M.remote.get(url).catch(response => response).then((response) => {
         popup = this.facadeMap_.getPopup();
         if (response.code === 200) {
           const info = this.parseCSSInfo(response.text);
@@ -309,7 +309,7 @@ export default class IGNSearchLocatorControl extends M.Control {
         const geoJsonData = res.text.substring(9, res.text.length - 1);
         this.createGeometryStyles();
         this.drawGeocoderResult(geoJsonData);
-      }).catch();
+      }).catch(() => M.dialog.error(getValue('exception.error_findjsonp')));
       M.proxy(this.statusProxy);
     }
     if (this.geocoderCoords && this.geocoderCoords.length === 2) {
@@ -485,6 +485,9 @@ export default class IGNSearchLocatorControl extends M.Control {
           fullAddress = '';
         }
         this.showPopUp(fullAddress, mapCoordinates, dataCoordinates, null, e, false);
+      }).catch(() => {
+        // the popup is shown without address
+        this.showPopUp('', mapCoordinates, dataCoordinates, null, e, false);
       });
       M.proxy(this.statusProxy);
     }
@@ -644,7 +647,7 @@ export default class IGNSearchLocatorControl extends M.Control {
           });
 
           resolve();
-        });
+        }).catch(() => resolve());
         M.proxy(this.statusProxy);
       } else {
         resolve();
@@ -670,15 +673,14 @@ export default class IGNSearchLocatorControl extends M.Control {
         const urlToGet = `${this.urlCandidates}?${params}`;
         M.proxy(this.useProxy);
         M.remote.get(urlToGet).then((res) => {
-          if (res.code === 404 || res.code === 500) {
-            M.dialog.error(getValue('exception.error_candidates'));
-          } else {
-            const returnData = JSON.parse(res.text.substring(9, res.text.length - 1));
-            for (let i = 0; i < returnData.length; i += 1) {
-              resultsArray.push(returnData[i]);
-            }
+          const returnData = JSON.parse(res.text.substring(9, res.text.length - 1));
+          for (let i = 0; i < returnData.length; i += 1) {
+            resultsArray.push(returnData[i]);
           }
           resolve();
+        }).catch(() => {
+          M.dialog.error(getValue('exception.error_candidates'));
+          resolve();
         });
         M.proxy(this.statusProxy);
       } else {
@@ -924,7 +926,7 @@ export default class IGNSearchLocatorControl extends M.Control {
       if (zoomIn === true) {
         this.zoomInLocation('n', 'Point', this.zoom);
       }
-    });
+    }).catch(() => M.dialog.error(getValue('exception.noresults')));
     M.proxy(this.statusProxy);
   }
 
@@ -991,13 +993,11 @@ export default class IGNSearchLocatorControl extends M.Control {
       this.locationID = '';
       M.proxy(this.useProxy);
       M.remote.get(urlToGet).then((res) => {
-        if (res.code === 404 || res.code === 500) {
-          M.dialog.error(getValue('exception.error_findjsonp'));
-          resolve();
-        } else {
-          const geoJsonData = res.text.substring(9, res.text.length - 1);
-          resolve(geoJsonData);
-        }
+        const geoJsonData = res.text.substring(9, res.text.length - 1);
+        resolve(geoJsonData);
+      }).catch(() => {
+        M.dialog.error(getValue('exception.error_findjsonp'));
+        resolve();
       });
       M.proxy(this.statusProxy);
     });
@@ -338,11 +338,12 @@ export default class InfoCatastroControl extends M.Control {
     }
     this.clearMunicipiosSelect();
     if (provinceCode !== '0') {
+      // the response handlers also manage the failed requests
       M.remote.get(this.CMC_url, {
         CodigoProvincia: provinceCode,
         CodigoMunicipio: '',
         CodigoMunicipioIne: '',
-      }).then((res) => {
+      }).catch(response => response).then((res) => {
         this.loadMunicipiosSelect(res, mun);
       });
     }
@@ -435,7 +436,7 @@ export default class InfoCatastroControl extends M.Control {
         Parcela: this.inputParcela.value,
       });
 
-      M.remote.get(searchUrl).then((response) => {
+      M.remote.get(searchUrl).catch(response => response).then((response) => {
         const success = this.acceptOVCSW(response);
         if (success) {
           this.parseParamsResultsForTemplate_(response.xml);
@@ -514,7 +515,7 @@ export default class InfoCatastroControl extends M.Control {
       RC: pc1Value + pc2Value,
     });
 
-    return M.remote.get(searchUrl).then((res) => {
+    return M.remote.get(searchUrl).catch(error => error).then((res) => {
       const success = this.acceptOVCSW(res);
       if (success) {
         const docsRC = this.parseCPMRCResults(res.xml);
@@ -695,7 +696,7 @@ export default class InfoCatastroControl extends M.Control {
           SRS: this.map.getProjection().code,
           RC: refcatastral,
         });
-        M.remote.get(searchUrl).then((response) => {
+        M.remote.get(searchUrl).catch(response => response).then((response) => {
           const success = this.acceptOVCSW(response);
           if (success) {
             const docs = this.parseCPMRCResults(response.xml);
@@ -831,7 +832,7 @@ export default class InfoCatastroControl extends M.Control {
       SRS: srs,
       Coordenada_X: evt.coord[0],
       Coordenada_Y: evt.coord[1],
-    }).then((res) => {
+    }).catch(response => response).then((res) => {
       this.showInfoFromURL_(res, evt.coord);
 
       // Se desactiva el evento del click una vez haya encontrado una catastro
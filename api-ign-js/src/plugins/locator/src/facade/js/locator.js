@@ -5,8 +5,17 @@ import '../assets/css/locator';
 import LocatorControl from './locatorcontrol';
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
 import { getValue } from './i18n/language';
 
+M.language.addPluginTranslation('locator', 'es', es);
+M.language.addPluginTranslation('locator', 'en', en);
+M.language.addPluginTranslation('locator', 'ca', ca);
+M.language.addPluginTranslation('locator', 'gl', gl);
+M.language.addPluginTranslation('locator', 'eu', eu);
+
 export default class Locator extends M.Plugin {
   /**
    * @classdesc
@@ -77,6 +86,13 @@ export default class Locator extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Option to allow the plugin to be draggable or not
      * @private
@@ -195,7 +211,7 @@ export default class Locator extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position_],
       className: 'm-plugin-locator',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'locator-icon-localizacion2',
       order: this.order,
     });
@@ -10,6 +10,15 @@ import {
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('lyrcompare', 'es', es);
+M.language.addPluginTranslation('lyrcompare', 'en', en);
+M.language.addPluginTranslation('lyrcompare', 'ca', ca);
+M.language.addPluginTranslation('lyrcompare', 'gl', gl);
+M.language.addPluginTranslation('lyrcompare', 'eu', eu);
 
 export default class LyrCompare extends M.Plugin {
   /**
@@ -151,6 +160,13 @@ export default class LyrCompare extends M.Plugin {
        */
       this.tooltip_ = options.tooltip || getValue('tooltip');
 
+      /**
+       * Whether the tooltip was set by the user
+       * @private
+       * @type {Boolean}
+       */
+      this.customTooltip_ = !!options.tooltip;
+
       /**
        * Default Layer A
        * @type {number}
@@ -258,7 +274,7 @@ export default class LyrCompare extends M.Plugin {
         position: M.ui.position[this.position],
         className: 'm-plugin-lyrcompare',
         collapsedButtonClass: 'lyrcompare-icon',
-        tooltip: this.tooltip_,
+        tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       });
       this.panel_.addControls(this.controls_);
       map.addPanels(this.panel_);
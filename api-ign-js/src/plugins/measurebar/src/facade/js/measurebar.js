@@ -9,6 +9,15 @@ import '../assets/css/measurebar';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('measurebar', 'es', es);
+M.language.addPluginTranslation('measurebar', 'en', en);
+M.language.addPluginTranslation('measurebar', 'ca', ca);
+M.language.addPluginTranslation('measurebar', 'gl', gl);
+M.language.addPluginTranslation('measurebar', 'eu', eu);
 
 export default class MeasureBar extends M.Plugin {
   /**
@@ -98,6 +107,13 @@ export default class MeasureBar extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -140,7 +156,7 @@ export default class MeasureBar extends M.Plugin {
     this.panel_ = new M.ui.Panel('MeasureBar', {
       collapsed: this.collapsed_,
       collapsible: this.collapsible_,
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       position: M.ui.position[this.position_],
       className: 'm-panel-measurebar',
       collapsedButtonClass: 'measurebar-regla',
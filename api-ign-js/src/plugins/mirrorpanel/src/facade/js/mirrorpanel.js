@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('mirrorpanel', 'es', es);
+M.language.addPluginTranslation('mirrorpanel', 'en', en);
+M.language.addPluginTranslation('mirrorpanel', 'ca', ca);
+M.language.addPluginTranslation('mirrorpanel', 'gl', gl);
+M.language.addPluginTranslation('mirrorpanel', 'eu', eu);
 
 export default class Mirrorpanel extends M.Plugin {
   /**
@@ -170,6 +179,13 @@ export default class Mirrorpanel extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
 
     /**
      * Metadata from api.json
@@ -230,7 +246,7 @@ export default class Mirrorpanel extends M.Plugin {
       showCursors: this.showCursors,
       className: this.interface ? 'm-plugin-panelMirrorpanel' : 'm-plugin-panelMirrorpanel hidden',
       collapsedButtonClass: 'mirrorpanel-icon',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('mousesrs', 'es', es);
+M.language.addPluginTranslation('mousesrs', 'en', en);
+M.language.addPluginTranslation('mousesrs', 'ca', ca);
+M.language.addPluginTranslation('mousesrs', 'gl', gl);
+M.language.addPluginTranslation('mousesrs', 'eu', eu);
 
 export default class MouseSRS extends M.Plugin {
   /**
@@ -45,6 +54,13 @@ export default class MouseSRS extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Shown coordinates SRS
      *
@@ -149,7 +165,7 @@ export default class MouseSRS extends M.Plugin {
     this.map_ = map;
     this.panel_ = new M.ui.Panel('panelMouseSRS', {
       collapsible: false,
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       className: 'm-plugin-mousesrs',
       order: this.order,
     });
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('overviewmap', 'es', es);
+M.language.addPluginTranslation('overviewmap', 'en', en);
+M.language.addPluginTranslation('overviewmap', 'ca', ca);
+M.language.addPluginTranslation('overviewmap', 'gl', gl);
+M.language.addPluginTranslation('overviewmap', 'eu', eu);
 
 export default class OverviewMap extends M.Plugin {
   /**
@@ -58,6 +67,13 @@ export default class OverviewMap extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Fixed zoom
      * @private
@@ -156,7 +172,7 @@ export default class OverviewMap extends M.Plugin {
       className: 'm-overviewmap-panel',
       position: M.ui.position[this.position_],
       order: this.order,
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('popup', 'es', es);
+M.language.addPluginTranslation('popup', 'en', en);
+M.language.addPluginTranslation('popup', 'ca', ca);
+M.language.addPluginTranslation('popup', 'gl', gl);
+M.language.addPluginTranslation('popup', 'eu', eu);
 
 export default class Popup extends M.Plugin {
   /**
@@ -94,6 +103,13 @@ export default class Popup extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      *@private
      *@type { Number }
@@ -141,7 +157,7 @@ export default class Popup extends M.Plugin {
       collapsed: this.collapsed_,
       collapsedButtonClass: 'icon-help',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.addControls(this.controls_);
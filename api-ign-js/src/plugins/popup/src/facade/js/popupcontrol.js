@@ -49,9 +49,22 @@ export default class PopupControl extends M.Control {
         htmlObject.classList.add('m-control', 'm-container', 'm-popup');
         htmlObject.innerHTML = html;
         return htmlObject;
-      });
+      }).catch(() => this.createDefaultView());
     }
 
+    return this.createDefaultView();
+  }
+
+  /**
+   * This function creates the view with the default template
+   * of the current language
+   *
+   * @public
+   * @function
+   * @returns {HTMLElement} view of the control
+   * @api
+   */
+  createDefaultView() {
     const htmlObject = document.createElement('div');
     htmlObject.classList.add('m-control', 'm-container', 'm-popup');
     htmlObject.innerHTML = M.language.getLang() === 'en' ? templateEN : templateES;
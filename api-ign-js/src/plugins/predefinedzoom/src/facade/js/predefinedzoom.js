@@ -7,6 +7,15 @@ import api from '../../api';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('predefinedzoom', 'es', es);
+M.language.addPluginTranslation('predefinedzoom', 'en', en);
+M.language.addPluginTranslation('predefinedzoom', 'ca', ca);
+M.language.addPluginTranslation('predefinedzoom', 'gl', gl);
+M.language.addPluginTranslation('predefinedzoom', 'eu', eu);
 
 export default class PredefinedZoom extends M.Plugin {
   /**
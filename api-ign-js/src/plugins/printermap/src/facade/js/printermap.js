@@ -7,6 +7,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('printermap', 'es', es);
+M.language.addPluginTranslation('printermap', 'en', en);
+M.language.addPluginTranslation('printermap', 'ca', ca);
+M.language.addPluginTranslation('printermap', 'gl', gl);
+M.language.addPluginTranslation('printermap', 'eu', eu);
 
 export default class PrinterMap extends M.Plugin {
   /**
@@ -162,6 +171,13 @@ export default class PrinterMap extends M.Plugin {
      */
     this.tooltip_ = parameters.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!parameters.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -215,7 +231,7 @@ export default class PrinterMap extends M.Plugin {
       className: 'm-printermap',
       collapsedButtonClass: 'icon-impresora',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.on(M.evt.ADDED_TO_MAP, (html) => {
@@ -261,6 +261,11 @@ export default class PrinterMapControl extends M.Control {
         M.proxy(true);
         setTimeout(() => this.getStatus(url, callback), 1000);
       }
+    }).catch(() => {
+      M.proxy(true);
+      callback();
+      M.dialog.error(getValue('exception.error'));
+      this.queueContainer_.lastChild.remove();
     });
   }
 
@@ -696,6 +701,9 @@ export default class PrinterMapControl extends M.Control {
         // } else {
         //   M.dialog.error('Se ha producido un error en la impresión.');
         // }
+      }).catch(() => {
+        queueEl.remove();
+        M.dialog.error(getValue('exception.error'));
       });
       M.proxy(true);
     });
@@ -726,6 +734,10 @@ export default class PrinterMapControl extends M.Control {
             M.exception(err);
           }
           success(capabilities);
+        }).catch(() => {
+          // the capabilities can be requested again
+          this.capabilitiesPromise_ = null;
+          M.dialog.error(getValue('exception.error'));
         });
 
         M.proxy(true);
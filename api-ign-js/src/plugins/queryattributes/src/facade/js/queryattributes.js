@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('queryattributes', 'es', es);
+M.language.addPluginTranslation('queryattributes', 'en', en);
+M.language.addPluginTranslation('queryattributes', 'ca', ca);
+M.language.addPluginTranslation('queryattributes', 'gl', gl);
+M.language.addPluginTranslation('queryattributes', 'eu', eu);
 
 export default class QueryAttributes extends M.Plugin {
   /**
@@ -88,6 +97,13 @@ export default class QueryAttributes extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -127,7 +143,7 @@ export default class QueryAttributes extends M.Plugin {
       collapsible: this.collapsible_,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-tabla',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       refreshBBOXFilterOnPanning: this.refreshBBOXFilterOnPanning_,
     });
 
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('rescale', 'es', es);
+M.language.addPluginTranslation('rescale', 'en', en);
+M.language.addPluginTranslation('rescale', 'ca', ca);
+M.language.addPluginTranslation('rescale', 'gl', gl);
+M.language.addPluginTranslation('rescale', 'eu', eu);
 
 export default class Rescale extends M.Plugin {
   /**
@@ -80,6 +89,13 @@ export default class Rescale extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -121,7 +137,7 @@ export default class Rescale extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-scale',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -6,8 +6,17 @@ import SelectionDrawControl from './selectiondrawcontrol';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
 import { getValue } from './i18n/language';
 
+M.language.addPluginTranslation('selectiondraw', 'es', es);
+M.language.addPluginTranslation('selectiondraw', 'en', en);
+M.language.addPluginTranslation('selectiondraw', 'ca', ca);
+M.language.addPluginTranslation('selectiondraw', 'gl', gl);
+M.language.addPluginTranslation('selectiondraw', 'eu', eu);
+
 export default class SelectionDraw extends M.Plugin {
   /**
    * @classdesc
@@ -113,7 +122,7 @@ export default class SelectionDraw extends M.Plugin {
       position: M.ui.position[this.position],
       collapsedButtonClass: 'g-plugin-selectordraw-editar',
       className: 'm-selectiondraw',
-      tooltip: getValue('tooltip'),
+      tooltip: () => getValue('tooltip'),
     });
     this.panel_.addControls(this.control_);
     map.addPanels(this.panel_);
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('selectionzoom', 'es', es);
+M.language.addPluginTranslation('selectionzoom', 'en', en);
+M.language.addPluginTranslation('selectionzoom', 'ca', ca);
+M.language.addPluginTranslation('selectionzoom', 'gl', gl);
+M.language.addPluginTranslation('selectionzoom', 'eu', eu);
 
 export default class SelectionZoom extends M.Plugin {
   /**
@@ -161,6 +170,13 @@ export default class SelectionZoom extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      *@private
      *@type { Number }
@@ -209,7 +225,7 @@ export default class SelectionZoom extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position_],
       className: 'm-plugin-selectionzoom',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'g-selectionzoom-selezoom',
       order: this.order,
     });
@@ -7,6 +7,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('sharemap', 'es', es);
+M.language.addPluginTranslation('sharemap', 'en', en);
+M.language.addPluginTranslation('sharemap', 'ca', ca);
+M.language.addPluginTranslation('sharemap', 'gl', gl);
+M.language.addPluginTranslation('sharemap', 'eu', eu);
 
 /**
  * @typedef {Object} ShareMapOptions
@@ -273,7 +282,7 @@ export default class ShareMap extends M.Plugin {
       collapsible: false,
       position: M.ui.position[this.position_],
       className: 'm-plugin-sharemap',
-      tooltip: getValue('tooltipPanel'),
+      tooltip: () => getValue('tooltipPanel'),
       order: this.order,
     });
 
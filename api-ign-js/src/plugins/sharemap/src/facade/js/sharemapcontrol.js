@@ -397,7 +397,10 @@ export default class ShareMapControl extends M.Control {
         input.value = shareURL;
       }
       shareURL = encodeURI(shareURL);
-      M.remote.get(`http://tinyurl.com/api-create.php?url=${shareURL}`).then((response) => {
+      M.remote.get(`http://tinyurl.com/api-create.php?url=${shareURL}`).catch(() => {
+        // the links share the long URL if it can not be shortened
+        return { text: shareURL };
+      }).then((response) => {
         facebook.href = `http://www.facebook.com/sharer.php?u=${response.text}`;
         twitter.href = `https://twitter.com/intent/tweet?url=${response.text}`;
         pinterest.href = `https://www.pinterest.es/pin/create/button/?url=${response.text}`;
@@ -514,7 +517,7 @@ export default class ShareMapControl extends M.Control {
         }
         resolvedControls.push(backgroundlayersAPI);
         resolve(resolvedControls);
-      });
+      }).catch(() => resolve([]));
     });
   }
 
@@ -611,7 +614,7 @@ export default class ShareMapControl extends M.Control {
   getGeoJSON(layer) {
     const source = !M.utils.isUndefined(layer.source) ?
       layer.serialize() : encodeURIComponent(layer.url);
-    const style = (layer.getStyle()) ? layer.getStyle().serialize() : '';
+    const style = this.serializeStyle(layer);
     return `GeoJSON*${layer.name}*${source}*${layer.extract}*${style}`;
   }
 
@@ -630,10 +633,29 @@ export default class ShareMapControl extends M.Control {
       type: 'name',
     };
     source = window.btoa(unescape(encodeURIComponent(JSON.stringify(source))));
-    const style = (layer.getStyle()) ? layer.getStyle().serialize() : '';
+    const style = this.serializeStyle(layer);
     return `GeoJSON*${layer.name}*${source}**${style}`;
   }
 
+  /**
+   * This method serializes the style of a vector layer. Styles
+   * that cannot be serialized are left out of the url
+   *
+   * @public
+   * @function
+   */
+  serializeStyle(layer) {
+    let style = '';
+    if (layer.getStyle()) {
+      try {
+        style = layer.getStyle().serialize();
+      } catch (err) {
+        style = '';
+      }
+    }
+    return style;
+  }
+
   /**
    * This method gets the wms url parameter
    *
@@ -651,7 +673,7 @@ export default class ShareMapControl extends M.Control {
    * @function
    */
   getWFS(layer) {
-    const style = layer.getStyle().serialize();
+    const style = this.serializeStyle(layer);
     return `WFS*${this.normalizeString(layer.legend || layer.name)}*${layer.url}*${layer.namespace}:${layer.name}:*${layer.geometry || ''}*${layer.ids || ''}*${layer.cql || ''}*${style || ''}`;
   }
 
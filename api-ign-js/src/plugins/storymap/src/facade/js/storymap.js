@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('storymap', 'es', es);
+M.language.addPluginTranslation('storymap', 'en', en);
+M.language.addPluginTranslation('storymap', 'ca', ca);
+M.language.addPluginTranslation('storymap', 'gl', gl);
+M.language.addPluginTranslation('storymap', 'eu', eu);
 
 export default class StoryMap extends M.Plugin {
   /**
@@ -62,6 +71,13 @@ export default class StoryMap extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
     * JSON HTML
     *
@@ -147,7 +163,7 @@ export default class StoryMap extends M.Plugin {
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-capas2',
       className: 'm-plugin-storymap',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsed: this.collapsed_,
     });
     this.panel_.addControls([this.control]);
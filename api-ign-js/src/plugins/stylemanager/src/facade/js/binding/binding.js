@@ -94,6 +94,13 @@ export class Binding {
       arrow: getValue('arrow'),
       arrowColor: getValue('arrowColor'),
       modifySVG: getValue('modifySVG'),
+      rules: getValue('rules'),
+      ruleName: getValue('ruleName'),
+      ruleFilter: getValue('ruleFilter'),
+      minScale: getValue('minScale'),
+      maxScale: getValue('maxScale'),
+      addRule: getValue('addRule'),
+      removeRule: getValue('removeRule'),
     };
     this.htmlParent_ = htmlParent;
     this.htmlTemplate_ = null;
@@ -0,0 +1,175 @@
+/* eslint-disable no-param-reassign */
+import rulestyles from 'templates/rulestyles';
+import { Binding } from './binding';
+import { getValue } from '../i18n/language';
+
+// eslint-disable-next-line
+export class RuleBinding extends Binding {
+  constructor(html, htmlParent, styleType, styleParams, layer, controller) {
+    super(html, htmlParent, styleType, styleParams, layer);
+    this.controller_ = controller;
+    this.compilePromise_.then(() => {
+      this.renderRules(this.getOptionsTemplate().rules);
+      this.querySelector('[data-add-rule]').addEventListener('click', () => {
+        this.addRule();
+      });
+    });
+  }
+
+  /**
+   * This function renders the rules list and adds its listeners.
+   * @function
+   * @param {Array<object>} rules Rules options.
+   */
+  renderRules(rules) {
+    const parent = this.querySelector('[data-rules]');
+    this.addTemplate(rulestyles, parent, { rules }, () => {
+      this.querySelectorAllForEach('[data-remove-rule]', (button) => {
+        button.addEventListener('click', () => {
+          this.removeRule(parseInt(button.dataset.removeRule, 10));
+        });
+      });
+      this.querySelectorAllForEach('[data-rule] input', (input) => {
+        input.addEventListener('change', () => this.refreshPreviews());
+      });
+      this.refreshPreviews();
+    });
+  }
+
+  /**
+   * This function adds a new rule at the end of the list.
+   * @function
+   */
+  addRule() {
+    const rules = this.readRules();
+    rules.push(Object.assign({}, RuleBinding.DEFAULT_RULE));
+    this.renderRules(rules);
+  }
+
+  /**
+   * This function removes the rule at the given position.
+   * @function
+   * @param {number} index Rule position.
+   */
+  removeRule(index) {
+    const rules = this.readRules();
+    rules.splice(index, 1);
+    this.renderRules(rules);
+  }
+
+  /**
+   * This function reads the rules options from the html form.
+   * @function
+   * @return {Array<object>} Rules options.
+   */
+  readRules() {
+    return this.querySelectorAllMap('[data-rule]', (ruleElement) => {
+      const rule = {};
+      ruleElement.querySelectorAll('[data-rule-options]').forEach((input) => {
+        rule[input.dataset.ruleOptions] = input.value;
+      });
+      return rule;
+    });
+  }
+
+  /**
+   * This function draws the legend image of each rule.
+   * @function
+   */
+  refreshPreviews() {
+    const rules = this.readRules();
+    this.querySelectorAllForEach('[data-rule-preview]', (image, index) => {
+      const style = this.createRuleStyle(rules[index]);
+      style.updateCanvas();
+      const src = style.toImage();
+      if (src instanceof Promise) {
+        src.then((data) => {
+          image.src = data;
+        });
+      } else {
+        image.src = src;
+      }
+    });
+  }
+
+  /**
+   * This function creates the style of a rule for the layer geometry.
+   * @function
+   * @param {object} rule Rule options.
+   * @return {M.style.Generic} Rule style.
+   */
+  createRuleStyle(rule) {
+    const fill = { color: rule.fill, opacity: RuleBinding.DEFAULT_FILL_OPACITY };
+    const stroke = { color: rule.stroke, width: RuleBinding.DEFAULT_STROKE_WIDTH };
+    const options = {
+      point: { radius: RuleBinding.DEFAULT_RADIUS, fill, stroke },
+      line: { stroke },
+      polygon: { fill, stroke },
+    };
+    const geometry = this.controller_.getGeometry();
+    return new M.style.Generic(options[geometry] ? { [geometry]: options[geometry] } : options);
+  }
+
+  /**
+   * This function generates the rule-based style from the html form.
+   * @function
+   * @return {M.style.RuleBased} Style.
+   */
+  generateStyle() {
+    let style = null;
+    const rules = this.readRules().map((rule) => {
+      return {
+        name: rule.name,
+        filter: rule.filter,
+        minScale: rule.minScale,
+        maxScale: rule.maxScale,
+        style: this.createRuleStyle(rule),
+      };
+    });
+    if (rules.length > 0) {
+      try {
+        style = new M.style.RuleBased(rules);
+      } catch (err) {
+        M.dialog.error(getValue('exception.invalidRule'), 'Error');
+      }
+    }
+    return style;
+  }
+
+  /**
+   * @function
+   */
+  getOptionsTemplate() {
+    let rules = [Object.assign({}, RuleBinding.DEFAULT_RULE)];
+    if (this.style_ != null) {
+      rules = this.style_.getRules().map((rule) => {
+        const fill = rule.style.get('fill.color') || rule.style.get('point.fill.color') ||
+          rule.style.get('polygon.fill.color');
+        const stroke = rule.style.get('stroke.color') || rule.style.get('point.stroke.color') ||
+          rule.style.get('line.stroke.color') || rule.style.get('polygon.stroke.color');
+        return {
+          name: rule.name,
+          filter: rule.filter ? rule.filter.toCQL() : '',
+          minScale: rule.minScale,
+          maxScale: rule.maxScale,
+          fill: fill || RuleBinding.DEFAULT_RULE.fill,
+          stroke: stroke || RuleBinding.DEFAULT_RULE.stroke,
+        };
+      });
+    }
+    return { rules };
+  }
+}
+
+RuleBinding.DEFAULT_RULE = {
+  name: '',
+  filter: '',
+  fill: '#71a7d3',
+  stroke: '#6c6c6c',
+};
+
+RuleBinding.DEFAULT_RADIUS = 6;
+
+RuleBinding.DEFAULT_STROKE_WIDTH = 2;
+
+RuleBinding.DEFAULT_FILL_OPACITY = 0.8;
@@ -9,6 +9,7 @@ import stylechoropleth from 'templates/stylechoropleth';
 import stylecategory from 'templates/stylecategory';
 import styleheatmap from 'templates/styleheatmap';
 import stylechart from 'templates/stylechart';
+import stylerule from 'templates/stylerule';
 import { SimpleBinding } from './binding/simplebinding';
 import { ProportionalBinding } from './binding/proportionalbinding';
 import { ClusterBinding } from './binding/clusterbinding';
@@ -16,6 +17,7 @@ import { HeatmapBinding } from './binding/heatmapbinding';
 import { ChoroplethBinding } from './binding/choroplethbinding';
 import { CategoryBinding } from './binding/categorybinding';
 import { ChartBinding } from './binding/chartbinding';
+import { RuleBinding } from './binding/rulebinding';
 import { getValue } from './i18n/language';
 import styleflowline from 'templates/styleflowline';
 import { FlowLineBinding } from './binding/flowlinebinding';
@@ -54,6 +56,7 @@ export default class BindingController {
     this.bindings_['stylechart'] = new ChartBinding(stylechart, this.html_, 'stylechart', this.getStyles(layer, M.style.Chart), layer);
     this.bindings_['stylecategory'] = new CategoryBinding(stylecategory, this.html_, 'stylecategory', this.getStyles(layer, M.style.Category), layer, this);
     this.bindings_['styleflowline'] = new FlowLineBinding(styleflowline, this.html_, 'styleflowline', this.getStyles(layer, M.style.FlowLine), layer);
+    this.bindings_['stylerule'] = new RuleBinding(stylerule, this.html_, 'stylerule', this.getStyles(layer, M.style.RuleBased), layer, this);
 
     this.bindings_['stylesimple'].getCompilePromise().then(() => {
       this.addSelectOnChangeListener();
@@ -437,7 +440,7 @@ export default class BindingController {
    * @function
    */
   getCompatibles() {
-    const compatibles = ['stylesimple', 'stylecluster', 'stylechart', 'styleproportional', 'stylecategory', 'stylechoropleth', 'styleheatmap', 'styleflowline'];
+    const compatibles = ['stylesimple', 'stylecluster', 'stylechart', 'styleproportional', 'stylecategory', 'stylechoropleth', 'styleheatmap', 'styleflowline', 'stylerule'];
     return compatibles.filter(style => this.isCompatibleAll(this.selectedPanels_, style));
   }
 
@@ -515,10 +518,11 @@ export default class BindingController {
       styleproportional: ['stylesimple', 'stylecluster', 'stylechart', 'styleproportional', 'stylecategory', 'stylechoropleth'],
       stylechoropleth: ['styleproportional', 'stylecluster', 'stylechoropleth'],
       stylecategory: ['styleproportional', 'stylecluster', 'stylecategory'],
-      stylecluster: ['stylesimple', 'stylechart', 'styleproportional', 'stylecategory', 'stylechoropleth', 'stylecluster'],
+      stylecluster: ['stylesimple', 'stylechart', 'styleproportional', 'stylecategory', 'stylechoropleth', 'stylecluster', 'stylerule'],
       styleheatmap: ['styleheatmap'],
       stylechart: ['stylecluster', 'styleproportional', 'stylechart'],
       styleflowline: ['styleflowline'],
+      stylerule: ['stylecluster', 'stylerule'],
     };
   }
 
@@ -528,12 +532,12 @@ export default class BindingController {
    */
   static get GEOMETRY_COMPATIBLE_OPTIONS() {
     return {
-      generic: ['stylesimple'],
+      generic: ['stylesimple', 'stylerule'],
       point: ['styleproportional', 'stylecluster', 'stylechoropleth', 'stylecategory',
-        'styleheatmap', 'stylechart', 'stylesimple',
+        'styleheatmap', 'stylechart', 'stylesimple', 'stylerule',
       ],
-      line: ['stylechoropleth', 'stylecategory', 'styleflowline', 'stylesimple'],
-      polygon: ['stylechoropleth', 'stylecategory', 'stylesimple', 'styleproportional'],
+      line: ['stylechoropleth', 'stylecategory', 'styleflowline', 'stylesimple', 'stylerule'],
+      polygon: ['stylechoropleth', 'stylecategory', 'stylesimple', 'styleproportional', 'stylerule'],
     };
   }
 
@@ -559,6 +563,8 @@ export default class BindingController {
       name = 'stylechart';
     } else if (style instanceof M.style.Proportional) {
       name = 'styleproportional';
+    } else if (style instanceof M.style.RuleBased) {
+      name = 'stylerule';
     }
     return name;
   }
@@ -9,6 +9,18 @@ import StyleManagerControl from './stylemanagerControl';
 import { ColorPickerPolyfill } from './utils/colorpicker';
 import { getValue } from './i18n/language';
 
+import es from './i18n/es';
+import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('stylemanager', 'es', es);
+M.language.addPluginTranslation('stylemanager', 'en', en);
+M.language.addPluginTranslation('stylemanager', 'ca', ca);
+M.language.addPluginTranslation('stylemanager', 'gl', gl);
+M.language.addPluginTranslation('stylemanager', 'eu', eu);
+
 export default class StyleManager extends M.Plugin {
   /**
    * @classdesc
@@ -77,6 +89,13 @@ export default class StyleManager extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Plugin parameters
      * @public
@@ -106,7 +125,7 @@ export default class StyleManager extends M.Plugin {
       className: 'm-stylemanager',
       collapsedButtonClass: 'stylemanager-palette',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
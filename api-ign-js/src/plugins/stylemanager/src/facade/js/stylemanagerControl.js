@@ -56,6 +56,7 @@ export default class StyleManagerControl extends M.Control {
             proportional: getValue('proportional'),
             statistic: getValue('statistic'),
             flowLine: getValue('flowLine'),
+            rules: getValue('rules'),
           },
         },
       });
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('timeline', 'es', es);
+M.language.addPluginTranslation('timeline', 'en', en);
+M.language.addPluginTranslation('timeline', 'ca', ca);
+M.language.addPluginTranslation('timeline', 'gl', gl);
+M.language.addPluginTranslation('timeline', 'eu', eu);
 
 export default class Timeline extends M.Plugin {
   /**
@@ -106,6 +115,12 @@ export default class Timeline extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     *@private
+     *@type { Boolean }
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      *@private
      *@type { Number }
@@ -148,6 +163,29 @@ export default class Timeline extends M.Plugin {
      */
      this.timelineType = options.timelineType || false;
 
+    /**
+     * Layer of the dimension timeline (WMS or WMTS)
+     * @public
+     * Value: M.layer.WMS, M.layer.WMTS or string in API-CNIG format
+     * @type {M.Layer|String}
+     */
+    this.layer = options.layer;
+
+    /**
+     * Dimension of the layer driven by the timeline
+     * @public
+     * Value: time, elevation...
+     * @type {String}
+     */
+    this.dimension = options.dimension || 'time';
+
+    /**
+     * Values of the dimension, by default the values advertised by the layer
+     * @public
+     * @type {Array<String>}
+     */
+    this.values = options.values;
+
   }
 
   /**
@@ -174,9 +212,9 @@ export default class Timeline extends M.Plugin {
    * @api stable
    */
   addTo(map) {
-    const typesTimeline = ['absoluteSimple', 'absolute', 'relative']
+    const typesTimeline = ['absoluteSimple', 'absolute', 'relative', 'dimension']
     if(!this.timelineType || !typesTimeline.includes(this.timelineType)) {
-       throw new Error ('Add correct typesTimeline, (absoluteSimple', 'absolute', 'relative)');
+       throw new Error ('Add correct typesTimeline, (absoluteSimple, absolute, relative, dimension)');
     }
 
     this.control_ = new TimelineControl({
@@ -189,7 +227,10 @@ export default class Timeline extends M.Plugin {
       sizeWidthDinamic: this.sizeWidthDinamic,
       formatMove: this.formatMove,
       formatValue: this.formatValue,
-      timelineType: this.timelineType
+      timelineType: this.timelineType,
+      layer: this.layer,
+      dimension: this.dimension,
+      values: this.values
     });
     this.controls_.push(this.control_);
     this.map_ = map;
@@ -198,7 +239,7 @@ export default class Timeline extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'timeline-gestion-reloj2',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
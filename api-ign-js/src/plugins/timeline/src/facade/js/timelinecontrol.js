@@ -44,6 +44,11 @@ export default class TimelineControl extends M.Control {
       }) : undefined;
     }
    
+    // Dimension TimeLine
+    this.layer = options.layer;
+    this.dimension = options.dimension || 'time';
+    this.values = options.values;
+
     this.paramsDate = options.paramsDate;
     this.speedDate = options.speedDate;
     this.stepValue = options.stepValue;
@@ -82,20 +87,17 @@ export default class TimelineControl extends M.Control {
     return new Promise((success, fail) => {
       const type = ['absolute', 'relative'].includes(this.timelineType);
       this.template = M.template.compileSync((type) ? templateDinamic : template, {
-        vars: {
-          translations: {
-            title: getValue('title'),
-            play: getValue('play'),
-            initValue: getValue('initValue'),
-            endValue: getValue('endValue')
-          },
-          sizeWidthDinamic: this.sizeWidthDinamic
-        }
+        vars: this.getTemplateVars(),
       });
 
       if (type) {
         this.createtimeLineDinamic();
         success(this.template);
+      } else if (this.timelineType === 'dimension') {
+        this.createDimensionIntervals().then(() => {
+          this.createSlider();
+          success(this.template);
+        }).catch(fail);
       } else {
         let intervals = [];
         this.intervals.forEach((interval, k) => {
@@ -114,34 +116,143 @@ export default class TimelineControl extends M.Control {
           intervals.push(iv);
         });
         this.intervals = intervals;
-
-        this.intervals.forEach((interval, k) => {
-          let tag = document.createElement('div');
-          if (k != 0 && k != this.intervals.length - 1 && k != parseInt(this.intervals.length / 2)) {
-            tag.dataset.tag = '';
-          } else {
-            tag.dataset.tag = interval.tag;
-          }
-          this.template.querySelector('.slider-tags').append(tag);
-        });
-        this.template.querySelector('.div-m-timeline-panel').style.setProperty('--num', this.intervals.length);
-        const slider = this.template.querySelector('#input-slider');
-        slider.setAttribute('max', intervals.length - 1);
-        slider.addEventListener('input', (e) => this.changeSlider(slider));
-        slider.addEventListener('change', (e) => {
-          document.querySelector('.m-timeline-button button').classList.add('timeline-control-siguiente');
-          document.querySelector('.m-timeline-button button').classList.remove('timeline-control-pausa');
-          document.querySelector('.div-m-timeline-slider').style.setProperty('--opacity', '0');
-          clearTimeout(this.running);
-          this.running = false;
-        });
-        const play = this.template.querySelector('#m-timeline-play');
-        play.addEventListener('click', (e) => this.playTimeline(false));
+        this.createSlider();
         success(this.template);
       }
     });
   }
 
+  /**
+   * This function returns the variables of the template
+   *
+   * @public
+   * @function
+   * @return {Object} variables of the template
+   * @api stable
+   */
+  getTemplateVars() {
+    return {
+      translations: {
+        title: getValue('title'),
+        play: getValue('play'),
+        initValue: getValue('initValue'),
+        endValue: getValue('endValue'),
+      },
+      sizeWidthDinamic: this.sizeWidthDinamic,
+    };
+  }
+
+  /**
+   * This function updates the texts of the view when the language changes,
+   * keeping the selected interval and the animation
+   *
+   * @public
+   * @function
+   * @param {string} lang new language
+   * @api stable
+   */
+  translateView(lang) {
+    const type = ['absolute', 'relative'].includes(this.timelineType);
+    M.template.updateSync(this.template, (type) ? templateDinamic : template, {
+      vars: this.getTemplateVars(),
+    });
+  }
+
+  /**
+   * This function creates the slider of the intervals
+   *
+   * @public
+   * @function
+   * @api stable
+   */
+  createSlider() {
+    this.intervals.forEach((interval, k) => {
+      let tag = document.createElement('div');
+      if (k != 0 && k != this.intervals.length - 1 && k != parseInt(this.intervals.length / 2)) {
+        tag.dataset.tag = '';
+      } else {
+        tag.dataset.tag = interval.tag;
+      }
+      this.template.querySelector('.slider-tags').append(tag);
+    });
+    this.template.querySelector('.div-m-timeline-panel').style.setProperty('--num', this.intervals.length);
+    const slider = this.template.querySelector('#input-slider');
+    slider.setAttribute('max', this.intervals.length - 1);
+    slider.addEventListener('input', (e) => this.changeSlider(slider));
+    slider.addEventListener('change', (e) => {
+      document.querySelector('.m-timeline-button button').classList.add('timeline-control-siguiente');
+      document.querySelector('.m-timeline-button button').classList.remove('timeline-control-pausa');
+      document.querySelector('.div-m-timeline-slider').style.setProperty('--opacity', '0');
+      clearTimeout(this.running);
+      this.running = false;
+    });
+    const play = this.template.querySelector('#m-timeline-play');
+    play.addEventListener('click', (e) => this.playTimeline(false));
+  }
+
+  /**
+   * This function creates the intervals of the dimension timeline
+   * from the values advertised by the layer (WMS or WMTS)
+   *
+   * @public
+   * @function
+   * @api stable
+   * @return {Promise}
+   */
+  createDimensionIntervals() {
+    const layer = M.utils.isString(this.layer) ? this.transformToLayers(this.layer) : this.layer;
+    if (this.getMapLayer(layer) === undefined) {
+      this.map.addLayers(layer);
+    }
+    const dimensionLayer = this.getMapLayer(layer);
+
+    let valuesPromise;
+    if (M.utils.isArray(this.values)) {
+      valuesPromise = Promise.resolve(this.values);
+    } else {
+      valuesPromise = dimensionLayer.getDimensions().then((dimensions) => {
+        const dimension = dimensions.find(d => d.name.toLowerCase() === this.dimension.toLowerCase());
+        return dimension !== undefined ? dimension.values : [];
+      });
+    }
+
+    return valuesPromise.then((values) => {
+      if (values.length === 0) {
+        M.dialog.error(getValue('dimension_error'));
+      }
+      this.intervals = values.map((value, k) => {
+        return {
+          number: k,
+          name: value,
+          tag: value,
+          service: dimensionLayer,
+          value,
+        };
+      });
+      if (this.intervals.length > 0) {
+        this.showInterval(this.intervals[0], true);
+      }
+    });
+  }
+
+  /**
+   * This function shows or hides the layer of an interval. In the dimension
+   * timeline it also selects the value of the dimension
+   *
+   * @public
+   * @function
+   * @api stable
+   * @param {Object} interval
+   * @param {Boolean} visible
+   */
+  showInterval(interval, visible) {
+    const layer = this.getMapLayer(interval.service);
+    if (visible && interval.value !== undefined) {
+      layer.setDimension(this.dimension, interval.value);
+    }
+    layer.setVisible(visible);
+  }
+
   /**
    * Transform StringLayers to Mapea M.Layer
    * 
@@ -205,13 +316,17 @@ export default class TimelineControl extends M.Control {
       document.querySelector('.m-timeline-button').style.display = 'block';
     }
     let step = parseFloat(elem.value);
+    if (this.timelineType === 'dimension') {
+      // a single layer shows one value of the dimension
+      step = Math.round(step);
+    }
     this.intervals.forEach((interval) => {
-      this.getMapLayer(interval.service).setVisible(false);
+      this.showInterval(interval, false);
       document.querySelector('.m-timeline-names').innerHTML = '';
     });
     if (step % 1 == 0) {
       document.querySelector('.div-m-timeline-slider').style.setProperty('--left', left + 20 + 'px');
-      this.getMapLayer(this.intervals[step].service).setVisible(true);
+      this.showInterval(this.intervals[step], true);
       document.querySelector('.m-timeline-names').innerHTML = this.intervals[step].name;
       document.querySelector('.div-m-timeline-panel').style.setProperty('--valor', '"' + this.intervals[step].tag + '"')
       if (this.intervals[step].tag !== '') {
@@ -220,8 +335,8 @@ export default class TimelineControl extends M.Control {
         document.querySelector('.div-m-timeline-slider').style.setProperty('--opacity', '0');
       }
     } else {
-      this.getMapLayer(this.intervals[parseInt(step)].service).setVisible(true);
-      this.getMapLayer(this.intervals[parseInt(step) + 1].service).setVisible(true);
+      this.showInterval(this.intervals[parseInt(step)], true);
+      this.showInterval(this.intervals[parseInt(step) + 1], true);
       if (this.intervals[parseInt(step)].tag !== '' && this.intervals[parseInt(step) + 1].tag !== '') {
         document.querySelector('.div-m-timeline-slider').style.setProperty('--left', left + 'px');
         document.querySelector('.div-m-timeline-slider').style.setProperty('--opacity', '1');
@@ -300,9 +415,11 @@ export default class TimelineControl extends M.Control {
    */
   removeTimelineLayers() {
     clearInterval(this.running);
-    this.intervals.forEach((interval) => {
-      this.map.removeLayers(this.getMapLayer(interval.service));
-    })
+    this.intervals.map(interval => this.getMapLayer(interval.service))
+      .filter((layer, i, layers) => layer !== undefined && layers.indexOf(layer) === i)
+      .forEach((layer) => {
+        this.map.removeLayers(layer);
+      });
   }
 
   /**
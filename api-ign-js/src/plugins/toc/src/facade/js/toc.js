@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('toc', 'es', es);
+M.language.addPluginTranslation('toc', 'en', en);
+M.language.addPluginTranslation('toc', 'ca', ca);
+M.language.addPluginTranslation('toc', 'gl', gl);
+M.language.addPluginTranslation('toc', 'eu', eu);
 
 export default class TOC extends M.Plugin {
   /**
@@ -60,6 +69,13 @@ export default class TOC extends M.Plugin {
      * @type {string}
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
 
@@ -94,7 +110,7 @@ export default class TOC extends M.Plugin {
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'g-plugin-toc-capas2',
       className: 'm-plugin-toc',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsed: this.collapsed_,
     });
     this.panel_.addControls([this.control]);
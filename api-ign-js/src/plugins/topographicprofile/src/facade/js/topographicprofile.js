@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('topographicprofile', 'es', es);
+M.language.addPluginTranslation('topographicprofile', 'en', en);
+M.language.addPluginTranslation('topographicprofile', 'ca', ca);
+M.language.addPluginTranslation('topographicprofile', 'gl', gl);
+M.language.addPluginTranslation('topographicprofile', 'eu', eu);
 
 export default class Topographicprofile extends M.Plugin {
   /**
@@ -108,7 +117,7 @@ export default class Topographicprofile extends M.Plugin {
       'className': 'm-topographicprofile',
       'collapsedButtonClass': 'icon-chart',
       'position': M.ui.position[this.position_],
-      'tooltip': getValue('tooltip')
+      'tooltip': () => getValue('tooltip')
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('transparency', 'es', es);
+M.language.addPluginTranslation('transparency', 'en', en);
+M.language.addPluginTranslation('transparency', 'ca', ca);
+M.language.addPluginTranslation('transparency', 'gl', gl);
+M.language.addPluginTranslation('transparency', 'eu', eu);
 
 export default class Transparency extends M.Plugin {
   /**
@@ -116,6 +125,13 @@ export default class Transparency extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Collapsed attribute
      * @public
@@ -169,7 +185,7 @@ export default class Transparency extends M.Plugin {
       position: M.ui.position[this.position],
       className: this.className,
       collapsedButtonClass: 'icon-gps4',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
     this.panel_.addControls(this.controls_);
     map.addPanels(this.panel_);
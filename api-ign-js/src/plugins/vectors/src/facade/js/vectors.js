@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('vectors', 'es', es);
+M.language.addPluginTranslation('vectors', 'en', en);
+M.language.addPluginTranslation('vectors', 'ca', ca);
+M.language.addPluginTranslation('vectors', 'gl', gl);
+M.language.addPluginTranslation('vectors', 'eu', eu);
 
 export default class Vectors extends M.Plugin {
   /**
@@ -124,7 +133,7 @@ export default class Vectors extends M.Plugin {
       collapsible: this.collapsible_,
       position: M.ui.position[this.position_],
       collapsedButtonClass: 'icon-vectors',
-      tooltip: getValue('tooltip'),
+      tooltip: () => getValue('tooltip'),
       order: this.order,
     });
     this.control_ = new VectorsControl({
@@ -211,7 +211,7 @@ export default class VectorsControl extends M.Control {
 
   renderLayers() {
     const filtered = this.map.getLayers().filter((layer) => {
-      return ['kml', 'geojson', 'wfs', 'vector'].indexOf(layer.type.toLowerCase()) > -1 &&
+      return ['kml', 'geojson', 'wfs', 'ogcapifeatures', 'vector'].indexOf(layer.type.toLowerCase()) > -1 &&
         layer.name !== undefined && layer.displayInLayerSwitcher === true;
     });
 
@@ -235,6 +235,7 @@ export default class VectorsControl extends M.Control {
           }
 
           newLayer.visible = layer.isVisible();
+          newLayer.editable = this.isEditableLayer(layer);
           layers.push(newLayer);
         }
       }
@@ -257,6 +258,7 @@ export default class VectorsControl extends M.Control {
           delete_layer: getValue('delete_layer'),
           change_name: getValue('change_name'),
           reload_from_view: getValue('reload_from_view'),
+          save_changes: getValue('save_changes'),
         },
       },
     });
@@ -619,7 +621,7 @@ export default class VectorsControl extends M.Control {
       if (M.utils.isUrl(url)) {
         url += url.endsWith('?') ? '' : '?';
         url += 'service=WFS&request=GetCapabilities';
-        M.remote.get(url).then((response) => {
+        M.remote.get(url).catch(response => response).then((response) => {
           try {
             const services = [];
             const prenode = response.text.split('<FeatureTypeList>')[1].split('</FeatureTypeList>')[0];
@@ -1333,6 +1335,9 @@ export default class VectorsControl extends M.Control {
    * @api
    */
   onModify() {
+    if (this.feature !== undefined && this.isEditableLayer(this.drawLayer)) {
+      this.drawLayer.updateFeatures(this.feature);
+    }
     this.emphasizeSelectedFeature();
     this.showFeatureInfo();
     if (document.querySelector('.ol-profil.ol-unselectable.ol-control') !== null) {
@@ -1386,7 +1391,7 @@ export default class VectorsControl extends M.Control {
       } else if (evt.target.classList.contains('m-vector-layer-zoom')) {
         this.isDownloadActive = false;
         this.resetInteractions();
-        if (layer.type === 'WFS' || (layer.type === 'Vector' && layer.getFeatures().length > 0)) {
+        if (layer.type === 'WFS' || layer.type === 'OGCAPIFeatures' || (layer.type === 'Vector' && layer.getFeatures().length > 0)) {
           const extent = layer.getMaxExtent();
           this.map.setBbox(extent);
         } else if (layer.type === 'KML') {
@@ -1398,6 +1403,8 @@ export default class VectorsControl extends M.Control {
         } else {
           M.dialog.info(getValue('exception.not_extent'), getValue('info'), this.order);
         }
+      } else if (evt.target.classList.contains('m-vector-layer-save')) {
+        this.saveLayerChanges(layer);
       } else if (evt.target.classList.contains('m-vector-layer-reload')) {
         this.getImpl().reloadFeaturesUpdatables(layer.name, layer.url);
       } else if (evt.target.classList.contains('m-vector-layer-toogle')) {
@@ -1422,6 +1429,41 @@ export default class VectorsControl extends M.Control {
     }
   }
 
+  /**
+   * Checks if the changes on the layer features can be saved
+   * to its service (WFS-T or OGC API - Features - Part 4).
+   * @public
+   * @function
+   * @api
+   * @param {M.layer.Vector} layer
+   */
+  isEditableLayer(layer) {
+    return layer !== undefined && M.utils.isFunction(layer.commit);
+  }
+
+  /**
+   * Saves the pending changes of the layer to its service
+   * and shows the result.
+   * @public
+   * @function
+   * @api
+   * @param {M.layer.Vector} layer
+   */
+  saveLayerChanges(layer) {
+    this.resetInteractions();
+    layer.commit().then((summary) => {
+      if ((summary.conflicts || []).length > 0) {
+        M.dialog.error(getValue('exception.edit_conflict'), getValue('warning'));
+      } else if ((summary.failed || []).length > 0) {
+        M.dialog.error(getValue('exception.save_error'), getValue('warning'));
+      } else {
+        M.dialog.info(getValue('saved_changes'), getValue('info'), this.order);
+      }
+    }).catch(() => {
+      M.dialog.error(getValue('exception.save_error'), getValue('warning'));
+    });
+  }
+
   resetInteractions() {
     this.deactivateDrawing();
     this.deactivateSelection();
@@ -1555,7 +1597,11 @@ export default class VectorsControl extends M.Control {
    * @api
    */
   deleteSingleFeature() {
-    this.drawLayer.removeFeatures([this.feature]);
+    if (this.isEditableLayer(this.drawLayer)) {
+      this.drawLayer.deleteFeatures([this.feature]);
+    } else {
+      this.drawLayer.removeFeatures([this.feature]);
+    }
     this.feature = undefined;
     this.geometry = undefined;
     this.selectionLayer.removeFeatures([this.emphasis]);
@@ -1591,7 +1637,11 @@ export default class VectorsControl extends M.Control {
     this.geometry = this.feature.getGeometry().type;
     this.setFeatureStyle(this.feature, this.geometry);
     document.querySelector('.m-vectors #drawingtools button').style.display = 'block';
-    this.drawLayer.addFeatures(this.feature);
+    if (this.isEditableLayer(this.drawLayer)) {
+      this.drawLayer.insertFeatures(this.feature);
+    } else {
+      this.drawLayer.addFeatures(this.feature);
+    }
     this.emphasizeSelectedFeature();
     this.showFeatureInfo();
     this.getImpl().calculateElevations(this.feature);
@@ -7,6 +7,15 @@ import api from '../../api';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('viewhistory', 'es', es);
+M.language.addPluginTranslation('viewhistory', 'en', en);
+M.language.addPluginTranslation('viewhistory', 'ca', ca);
+M.language.addPluginTranslation('viewhistory', 'gl', gl);
+M.language.addPluginTranslation('viewhistory', 'eu', eu);
 
 
 export default class ViewHistory extends M.Plugin {
@@ -5,8 +5,17 @@ import '../assets/css/viewmanagement';
 import ViewManagementControl from './viewmanagementcontrol';
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
 import { getValue } from './i18n/language';
 
+M.language.addPluginTranslation('viewmanagement', 'es', es);
+M.language.addPluginTranslation('viewmanagement', 'en', en);
+M.language.addPluginTranslation('viewmanagement', 'ca', ca);
+M.language.addPluginTranslation('viewmanagement', 'gl', gl);
+M.language.addPluginTranslation('viewmanagement', 'eu', eu);
+
 export default class ViewManagement extends M.Plugin {
   /**
    * @classdesc
@@ -77,6 +86,13 @@ export default class ViewManagement extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      * Option to allow the plugin to be draggable or not
      * @private
@@ -164,7 +180,7 @@ export default class ViewManagement extends M.Plugin {
       collapsed: this.collapsed,
       position: M.ui.position[this.position_],
       className: 'm-plugin-viewmanagement',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       collapsedButtonClass: 'viewmanagement-icon-zoom-mapa',
       order: this.order,
     });
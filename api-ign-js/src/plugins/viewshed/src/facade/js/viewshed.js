@@ -9,6 +9,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('viewshed', 'es', es);
+M.language.addPluginTranslation('viewshed', 'en', en);
+M.language.addPluginTranslation('viewshed', 'ca', ca);
+M.language.addPluginTranslation('viewshed', 'gl', gl);
+M.language.addPluginTranslation('viewshed', 'eu', eu);
 
 export default class ViewShed extends M.Plugin {
   /**
@@ -116,7 +125,7 @@ export default class ViewShed extends M.Plugin {
       collapsed: this.collapsed_,
       collapsible: this.collapsible_,
       position: M.ui.position[this.position_],
-      tooltip: getValue('tooltip'),
+      tooltip: () => getValue('tooltip'),
       collapsedButtonClass: 'icon-viewshed',
     });
     this.panel_.addControls(this.controls_);
@@ -7,6 +7,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('xylocator', 'es', es);
+M.language.addPluginTranslation('xylocator', 'en', en);
+M.language.addPluginTranslation('xylocator', 'ca', ca);
+M.language.addPluginTranslation('xylocator', 'gl', gl);
+M.language.addPluginTranslation('xylocator', 'eu', eu);
 
 /**
  * @classdesc
@@ -69,6 +78,13 @@ export default class XYLocator extends M.Plugin {
      * @type {string}
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
+
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
   }
 
   /**
@@ -102,7 +118,7 @@ export default class XYLocator extends M.Plugin {
       className: `m-xylocator ${this.positionClass_}`,
       collapsedButtonClass: 'g-cartografia-posicion3',
       position: M.ui.position[this.position_],
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
     });
 
     this.controls_.push(this.control_);
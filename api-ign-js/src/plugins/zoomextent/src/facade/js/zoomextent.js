@@ -6,6 +6,15 @@ import ZoomExtentControl from './zoomextentcontrol';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('zoomextent', 'es', es);
+M.language.addPluginTranslation('zoomextent', 'en', en);
+M.language.addPluginTranslation('zoomextent', 'ca', ca);
+M.language.addPluginTranslation('zoomextent', 'gl', gl);
+M.language.addPluginTranslation('zoomextent', 'eu', eu);
 
 export default class ZoomExtent extends M.Plugin {
   /**
@@ -8,6 +8,15 @@ import { getValue } from './i18n/language';
 
 import es from './i18n/es';
 import en from './i18n/en';
+import ca from './i18n/ca';
+import gl from './i18n/gl';
+import eu from './i18n/eu';
+
+M.language.addPluginTranslation('zoompanel', 'es', es);
+M.language.addPluginTranslation('zoompanel', 'en', en);
+M.language.addPluginTranslation('zoompanel', 'ca', ca);
+M.language.addPluginTranslation('zoompanel', 'gl', gl);
+M.language.addPluginTranslation('zoompanel', 'eu', eu);
 
 export default class ZoomPanel extends M.Plugin {
   /**
@@ -90,6 +99,13 @@ export default class ZoomPanel extends M.Plugin {
      */
     this.tooltip_ = options.tooltip || getValue('tooltip');
 
+    /**
+     * Whether the tooltip was set by the user
+     * @private
+     * @type {Boolean}
+     */
+    this.customTooltip_ = !!options.tooltip;
+
     /**
      *@private
      *@type { Number }
@@ -129,7 +145,7 @@ export default class ZoomPanel extends M.Plugin {
       position: M.ui.position[this.position],
       collapsedButtonClass: 'icon-zoompanel',
       className: 'm-zoompanel',
-      tooltip: this.tooltip_,
+      tooltip: this.customTooltip_ ? this.tooltip_ : () => getValue('tooltip'),
       order: this.order,
     });
     this.panel_.addControls(this.control_);
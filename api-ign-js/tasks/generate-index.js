@@ -6,6 +6,13 @@ const fse = require('fs-extra');
 const path = require('path');
 const generateInfo = require('./generate-info');
 const generateOLInfo = require('./generate-ol-info');
+const argv = require('yargs').argv;
+
+/**
+ * Implementation of the index: ol (by default) or leaflet.
+ * The leaflet index does not export the ol namespace.
+ */
+const IMPL = argv.impl || 'ol';
 
 const EXTERNS_LIBRARIES = require('./externs-libraries.js');
 const CUSTOM_NAMESPACES = require('./custom-namespaces');
@@ -141,7 +148,8 @@ function generateExports(symbols, namespaces, imports) {
       nsdefs.push(`${ns[i]} = {};`);
     }
   }
-  blocks = imports.concat(['const M = window[\'M\'] = {};\nconst ol = window[\'ol\'] = {}']
+  const globals = IMPL === 'ol' ? 'const M = window[\'M\'] = {};\nconst ol = window[\'ol\'] = {}' : 'const M = window[\'M\'] = {};';
+  blocks = imports.concat([globals]
     .concat(nsdefs.concat(blocks).sort()));
   blocks.push('');
   return blocks.join('\n');
@@ -183,8 +191,11 @@ async function includeCustomNamespaces(customNamespaces, outputFilePath) {
 async function main() {
   const symbols = await getSymbols();
   const imports = await getImports(symbols);
-  const olSymbols = await getOLSymbols();
   imports.push('\n/* eslint-disable */\n');
+  if (IMPL !== 'ol') {
+    return generateExports(symbols, {}, imports);
+  }
+  const olSymbols = await getOLSymbols();
   const olImports = await getOLImports(olSymbols);
   const totalSymbols = symbols.concat(olSymbols);
   const totalImports = imports.concat(olImports);
@@ -197,10 +208,11 @@ async function main() {
  */
 if (require.main === module) {
   main().then(async (code) => {
-    const filepath = path.join(__dirname, '..', 'src', 'index.js');
+    const indexName = IMPL === 'ol' ? 'index.js' : `index-${IMPL}.js`;
+    const filepath = path.join(__dirname, '..', 'src', indexName);
     fse.outputFileSync(filepath, code);
-    includeExterns(EXTERNS_LIBRARIES, '../src/index.js');
-    includeCustomNamespaces(CUSTOM_NAMESPACES, '../src/index.js');
+    includeExterns(EXTERNS_LIBRARIES, `../src/${indexName}`);
+    includeCustomNamespaces(CUSTOM_NAMESPACES, `../src/${indexName}`);
   }).then(async () => {}).catch((err) => {
     process.stderr.write(`${err.message}\n`, () => process.exit(1));
   });
@@ -6,6 +6,7 @@ const fse = require('fs-extra');
 const path = require('path');
 const spawn = require('child_process').spawn;
 const walk = require('walk').walk;
+const argv = require('yargs').argv;
 
 const isWindows = process.platform.indexOf('win') === 0;
 
@@ -13,8 +14,9 @@ const isWindows = process.platform.indexOf('win') === 0;
  * Patch. rootDir of facade classes
  */
 const sourceFacadePath = path.join(__dirname, '..', 'src/facade/js/');
-const sourceImplPath = path.join(__dirname, '..', 'src/impl/ol/js/');
-const infoPath = path.join(__dirname, '..', 'build', 'info.json');
+const impl = argv.impl || 'ol';
+const sourceImplPath = path.join(__dirname, '..', `src/impl/${impl}/js/`);
+const infoPath = path.join(__dirname, '..', 'build', impl === 'ol' ? 'info.json' : `info-${impl}.json`);
 
 /**
  * Get checked path of a binary.
@@ -0,0 +1,87 @@
+/**
+ * Conformance tests of raster layers. They are run against every
+ * implementation and do not depend on the services answering.
+ *
+ * @testsuite
+ */
+describe('Conformance raster layers', () => {
+  let map;
+
+  beforeEach(() => {
+    map = M.map({
+      container: 'map',
+      layers: [],
+      projection: 'EPSG:3857*m',
+      center: [-400000, 4900000],
+      zoom: 6,
+    });
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  it('Adds and removes WMS layers', () => {
+    const wms = new M.layer.WMS({
+      url: 'http://localhost/wms',
+      name: 'conformance',
+      legend: 'Conformance',
+      transparent: true,
+      tiled: false,
+      useCapabilities: false,
+    });
+    map.addLayers(wms);
+    expect(map.getWMS()).to.have.length(1);
+    expect(map.getWMS()[0]).to.be(wms);
+    wms.setVisible(false);
+    expect(wms.isVisible()).to.be(false);
+    map.removeLayers(wms);
+    expect(map.getWMS()).to.have.length(0);
+  });
+
+  it('Builds the WMS GetFeatureInfo URL', () => {
+    const wms = new M.layer.WMS({
+      url: 'http://localhost/wms',
+      name: 'conformance',
+      transparent: true,
+      useCapabilities: false,
+    });
+    map.addLayers(wms);
+    const url = wms.getImpl().getFeatureInfoUrl([-400000, 4900000], 'text/html', {});
+    expect(url).to.match(/REQUEST=GetFeatureInfo/);
+    expect(url).to.match(/QUERY_LAYERS=conformance/);
+  });
+
+  it('Adds WMTS layers', () => {
+    const wmts = new M.layer.WMTS({
+      url: 'http://localhost/wmts',
+      name: 'conformance',
+      matrixSet: 'GoogleMapsCompatible',
+      legend: 'Conformance',
+      transparent: true,
+      useCapabilities: false,
+    });
+    map.addLayers(wmts);
+    expect(map.getWMTS()).to.have.length(1);
+    expect(wmts.getTileColTileRow([1000, -1000], 1)).to.eql([1, 1]);
+  });
+
+  it('Adds XYZ, TMS and OSM layers', () => {
+    const xyz = new M.layer.XYZ({
+      url: 'http://localhost/{z}/{x}/{y}.png',
+      name: 'xyz',
+      transparent: true,
+    });
+    const tms = new M.layer.TMS({
+      url: 'http://localhost/{z}/{x}/{-y}.png',
+      name: 'tms',
+      transparent: true,
+    });
+    const osm = new M.layer.OSM();
+    map.addLayers([xyz, tms, osm]);
+    expect(map.getXYZs()).to.have.length(1);
+    expect(map.getTMS()).to.have.length(1);
+    expect(map.getLayers().includes(osm)).to.be(true);
+    expect(osm.isVisible()).to.be(true);
+  });
+});
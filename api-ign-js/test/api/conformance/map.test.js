@@ -0,0 +1,86 @@
+/**
+ * Conformance tests of M.Map. They are run against every implementation.
+ *
+ * @testsuite
+ */
+describe('Conformance M.map', () => {
+  let map;
+
+  beforeEach(() => {
+    map = M.map({
+      container: 'map',
+      layers: [],
+      projection: 'EPSG:3857*m',
+      center: [-400000, 4900000],
+      zoom: 6,
+    });
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  it('Creates a new map', () => {
+    expect(map).to.be.a(M.Map);
+    expect(map.getMapImpl()).not.to.be(null);
+  });
+
+  it('Gets the projection', () => {
+    expect(map.getProjection().code).to.be('EPSG:3857');
+  });
+
+  it('Sets the center and the zoom', () => {
+    map.setCenter([-300000, 4800000]);
+    map.setZoom(8);
+    const center = map.getCenter();
+    expect(Math.round(center.x)).to.be(-300000);
+    expect(Math.round(center.y)).to.be(4800000);
+    expect(map.getZoom()).to.be(8);
+  });
+
+  it('Sets the bbox', () => {
+    map.setBbox([-500000, 4700000, -300000, 4900000]);
+    const bbox = map.getBbox();
+    expect(bbox.x.min).to.be.lessThan(-300000);
+    expect(bbox.x.max).to.be.greaterThan(-500000);
+    expect(bbox.y.min).to.be.lessThan(4900000);
+    expect(bbox.y.max).to.be.greaterThan(4700000);
+  });
+
+  it('Transforms pixels and coordinates', () => {
+    const coord = map.getCenter();
+    const pixel = map.getImpl().getPixelFromCoordinate([coord.x, coord.y]);
+    const back = map.getImpl().getCoordinateFromPixel(pixel);
+    expect(Math.abs(back[0] - coord.x)).to.be.lessThan(1000);
+    expect(Math.abs(back[1] - coord.y)).to.be.lessThan(1000);
+  });
+
+  it('Adds and removes the core controls', () => {
+    map.addControls(['panzoom', 'scale', 'scaleline', 'location']);
+    expect(map.getControls('panzoom')[0]).to.be.a(M.control.Panzoom);
+    expect(map.getControls('scale')[0]).to.be.a(M.control.Scale);
+    expect(map.getControls('scaleline')[0]).to.be.a(M.control.ScaleLine);
+    expect(map.getControls('location')[0]).to.be.a(M.control.Location);
+    map.removeControls('scale');
+    expect(map.getControls('scale')).to.have.length(0);
+  });
+
+  it('Shows and removes a popup', () => {
+    const popup = new M.Popup();
+    popup.addTab({
+      icon: 'g-cartografia-comentarios',
+      title: 'Conformance',
+      content: '<p>popup</p>',
+    });
+    map.addPopup(popup, [-400000, 4900000]);
+    expect(map.getPopup()).to.be(popup);
+    map.removePopup();
+    expect(map.getPopup()).to.be(null);
+  });
+
+  it('Destroys the map', () => {
+    const other = M.map({ container: 'map', layers: [] });
+    other.destroy();
+    expect(other.getMapImpl()).to.be(null);
+  });
+});
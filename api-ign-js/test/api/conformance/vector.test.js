@@ -0,0 +1,162 @@
+/**
+ * Conformance tests of vector layers, features and simple styles.
+ * They are run against every implementation.
+ *
+ * @testsuite
+ */
+describe('Conformance vector layers', () => {
+  let map;
+
+  const createFeature = (id, coordinates, attributes = {}) => new M.Feature(id, {
+    type: 'Feature',
+    id,
+    geometry: {
+      type: 'Point',
+      coordinates,
+    },
+    properties: attributes,
+  });
+
+  beforeEach(() => {
+    map = M.map({
+      container: 'map',
+      layers: [],
+      projection: 'EPSG:3857*m',
+      center: [-400000, 4900000],
+      zoom: 6,
+    });
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  describe('M.layer.Vector', () => {
+    it('Adds, gets and removes features', () => {
+      const vector = new M.layer.Vector({ name: 'conformance' });
+      map.addLayers(vector);
+      const feature1 = createFeature('f1', [-400000, 4900000], { name: 'one' });
+      const feature2 = createFeature('f2', [-410000, 4910000], { name: 'two' });
+      vector.addFeatures([feature1, feature2]);
+      expect(vector.getFeatures()).to.have.length(2);
+      expect(vector.getFeatureById('f2')).to.be(feature2);
+      vector.removeFeatures([feature1]);
+      expect(vector.getFeatures()).to.have.length(1);
+      vector.clear();
+      expect(vector.getFeatures()).to.have.length(0);
+    });
+
+    it('Calculates the extent of the features', () => {
+      const vector = new M.layer.Vector({ name: 'conformance' });
+      map.addLayers(vector);
+      vector.addFeatures([
+        createFeature('f1', [-400000, 4900000]),
+        createFeature('f2', [-410000, 4910000]),
+      ]);
+      const extent = vector.getFeaturesExtent().map(Math.round);
+      expect(extent).to.eql([-410000, 4900000, -400000, 4910000]);
+    });
+
+    it('Sets the visibility, opacity and z-index', () => {
+      const vector = new M.layer.Vector({ name: 'conformance' });
+      map.addLayers(vector);
+      vector.setVisible(false);
+      expect(vector.isVisible()).to.be(false);
+      vector.setOpacity(0.5);
+      expect(vector.getOpacity()).to.be(0.5);
+      vector.setZIndex(1234);
+      expect(vector.getZIndex()).to.be(1234);
+    });
+
+    it('Is removed from the map', () => {
+      const vector = new M.layer.Vector({ name: 'conformance' });
+      map.addLayers(vector);
+      expect(map.getLayers().includes(vector)).to.be(true);
+      map.removeLayers(vector);
+      expect(map.getLayers().includes(vector)).to.be(false);
+    });
+  });
+
+  describe('M.Feature', () => {
+    it('Manages its attributes', () => {
+      const feature = createFeature('f1', [-400000, 4900000], { name: 'one' });
+      expect(feature.getId()).to.be('f1');
+      expect(feature.getAttribute('name')).to.be('one');
+      feature.setAttribute('name', 'uno');
+      expect(feature.getAttributes()).to.eql({ name: 'uno' });
+    });
+
+    it('Returns its GeoJSON', () => {
+      const feature = createFeature('f1', [-400000, 4900000], { name: 'one' });
+      const geojson = feature.getGeoJSON();
+      expect(geojson.type).to.be('Feature');
+      expect(geojson.geometry.type).to.be('Point');
+      expect(geojson.geometry.coordinates).to.eql([-400000, 4900000]);
+      expect(geojson.properties.name).to.be('one');
+    });
+
+    it('Calculates its centroid', () => {
+      const feature = new M.Feature('p1', {
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]],
+        },
+        properties: {},
+      });
+      const centroid = feature.getCentroid();
+      expect(centroid.getGeometry().coordinates.map(Math.round)).to.eql([5, 5]);
+    });
+  });
+
+  describe('Simple styles', () => {
+    it('Applies point, line and polygon styles', () => {
+      const vector = new M.layer.Vector({ name: 'conformance' });
+      map.addLayers(vector);
+      vector.addFeatures([createFeature('f1', [-400000, 4900000])]);
+      const point = new M.style.Point({
+        radius: 8,
+        fill: { color: 'red', opacity: 0.5 },
+        stroke: { color: 'black', width: 2 },
+      });
+      vector.setStyle(point);
+      expect(vector.getStyle()).to.be(point);
+      expect(new M.style.Line({ stroke: { color: 'blue', width: 3 } })).to.be.a(M.style.Line);
+      expect(new M.style.Polygon({ fill: { color: 'green' } })).to.be.a(M.style.Polygon);
+    });
+
+    it('Draws the style legend', () => {
+      const point = new M.style.Point({
+        radius: 8,
+        fill: { color: 'red' },
+      });
+      expect(point.toImage()).to.match(/^data:image\/png/);
+    });
+  });
+
+  describe('M.layer.GeoJSON', () => {
+    it('Loads the features of the source', (done) => {
+      const geojson = new M.layer.GeoJSON({
+        name: 'conformance',
+        source: {
+          type: 'FeatureCollection',
+          features: [{
+            type: 'Feature',
+            id: 'g1',
+            geometry: { type: 'Point', coordinates: [-3.7, 40.4] },
+            properties: { name: 'Madrid' },
+          }],
+        },
+      });
+      geojson.once(M.evt.LOAD, () => {
+        const [feature] = geojson.getFeatures();
+        expect(feature.getAttribute('name')).to.be('Madrid');
+        const [x, y] = feature.getGeometry().coordinates;
+        expect(Math.abs(x + 411882.1)).to.be.lessThan(1);
+        expect(Math.abs(y - 4924240.6)).to.be.lessThan(1);
+        done();
+      });
+      map.addLayers(geojson);
+    });
+  });
+});
@@ -0,0 +1,5 @@
+// require all the conformance tests, which are run against
+// every implementation (IMPL=ol|leaflet)
+const testsContext = require.context('./conformance', true, /\.test\.js$/);
+
+testsContext.keys().forEach(testsContext);
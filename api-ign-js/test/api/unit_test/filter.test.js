@@ -0,0 +1,123 @@
+describe('M.filter', () => {
+  const features = [
+    new M.Feature('f1', {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { name: 'uno', value: 1 },
+    }),
+    new M.Feature('f2', {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [10, 10] },
+      properties: { name: 'dos', value: 5, empty: 'x' },
+    }),
+  ];
+
+  describe('BETWEEN', () => {
+    it('Filters and writes CQL', () => {
+      const filter = M.filter.BETWEEN('value', 0, 2);
+      expect(filter.execute(features).map(f => f.getId())).to.eql(['f1']);
+      expect(filter.toCQL()).to.eql('value BETWEEN 0 AND 2');
+      expect(filter.toXML()).to.contain('<ogc:PropertyIsBetween>');
+    });
+  });
+
+  describe('IN', () => {
+    it('Filters and writes CQL', () => {
+      const filter = M.filter.IN('name', ['dos', 'tres']);
+      expect(filter.execute(features).map(f => f.getId())).to.eql(['f2']);
+      expect(filter.toCQL()).to.eql("name IN ('dos', 'tres')");
+    });
+  });
+
+  describe('ISNULL', () => {
+    it('Filters and writes CQL', () => {
+      const filter = M.filter.ISNULL('empty');
+      expect(filter.execute(features).map(f => f.getId())).to.eql(['f1']);
+      expect(filter.toCQL()).to.eql('empty IS NULL');
+      expect(filter.toXML({ version: '2.0.0' })).to.contain('<fes:ValueReference>empty</fes:ValueReference>');
+    });
+  });
+
+  describe('DWITHIN', () => {
+    it('Filters and writes CQL', () => {
+      const filter = M.filter.spatial.DWITHIN({ type: 'Point', coordinates: [1, 1] }, 2);
+      expect(filter.execute(features).map(f => f.getId())).to.eql(['f1']);
+      expect(filter.toCQL()).to.contain('DWITHIN({{geometryName}}, POINT(1 1), 2, meters)');
+      expect(filter.toXML()).to.contain('<ogc:Distance units="meters">2</ogc:Distance>');
+    });
+  });
+
+  describe('BBOX', () => {
+    it('Filters and writes CQL', () => {
+      const filter = M.filter.spatial.BBOX([5, 5, 15, 15], 'EPSG:4326');
+      expect(filter.execute(features).map(f => f.getId())).to.eql(['f2']);
+      expect(filter.toCQL()).to.eql("BBOX({{geometryName}}, 5, 5, 15, 15, 'EPSG:4326')");
+      expect(filter.toXML({ geometryName: 'the_geom' })).to.contain('<ogc:PropertyName>the_geom</ogc:PropertyName><gml:Envelope srsName="EPSG:4326">');
+    });
+  });
+});
+
+describe('M.filter.parse', () => {
+  const cqls = [
+    "(name='uno') AND (value < '5')",
+    '(value=1) OR (value > 2.5)',
+    '(value <= -3) AND (value >= 1)',
+    "(name LIKE '%un%') OR (NOT (empty IS NULL))",
+    'value BETWEEN 1 AND 5',
+    "name IN ('uno', 'it''s', 3)",
+    "name ILIKE 'U_o'",
+    'INTERSECTS({{geometryName}}, POINT(0 0)) OR INTERSECTS({{geometryName}}, POINT(10 10))',
+    'DWITHIN({{geometryName}}, POINT(1 1), 2, meters)',
+    "BBOX({{geometryName}}, 5, 5, 15, 15, 'EPSG:4326')",
+  ];
+  cqls.forEach((cql) => {
+    it(`Round-trips ${cql}`, () => {
+      expect(M.filter.parse(cql).toCQL()).to.eql(cql);
+    });
+  });
+
+  it('Writes the numbers without quotes', () => {
+    expect(M.filter.EQUAL('value', 1).toCQL()).to.eql('value=1');
+    expect(M.filter.GTE('value', 1).toCQL()).to.eql('value >= 1');
+    expect(M.filter.LT('value', '1').toCQL()).to.eql("value < '1'");
+    expect(M.filter.parse('value >= 1').toCQL()).to.eql('value >= 1');
+  });
+
+  it('Quotes the attribute names that are not simple identifiers', () => {
+    expect(M.filter.EQUAL('my field', 1).toCQL()).to.eql('"my field"=1');
+    expect(M.filter.ISNULL('código-postal').toCQL()).to.eql('"código-postal" IS NULL');
+    const cql = '("my field" >= 1) AND ("código-postal" IN (\'28001\', \'28002\'))';
+    expect(M.filter.parse(cql).toCQL()).to.eql(cql);
+    const feature = new M.Feature('f1', {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { 'my field': 1 },
+    });
+    expect(M.filter.parse('"my field" = 1').execute([feature])).to.have.length(1);
+  });
+
+  it('Keeps the type of the numbers', () => {
+    const feature = new M.Feature('f1', {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { value: 1 },
+    });
+    const filter = M.filter.parse(M.filter.EQUAL('value', 1).toCQL());
+    expect(filter.execute([feature])).to.have.length(1);
+    expect(M.filter.parse("value = '1'").execute([feature])).to.be.empty();
+  });
+
+  it('Filters features client-side', () => {
+    const feature = new M.Feature('f1', {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { name: 'Uno', value: 1 },
+    });
+    expect(M.filter.parse("name ILIKE 'u%' AND value >= 1").execute([feature])).to.have.length(1);
+    expect(M.filter.parse('name IS NOT NULL AND NOT value IN (1, 2)').execute([feature])).to.be.empty();
+  });
+
+  it('Throws on invalid CQL', () => {
+    expect(() => M.filter.parse("name = 'a' )")).to.throwException();
+  });
+});
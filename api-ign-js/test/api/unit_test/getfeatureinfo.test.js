@@ -0,0 +1,155 @@
+describe('M.getfeatureinfo.presenter', () => {
+  describe('get', () => {
+    it('Returns the HTML presenter by default', () => {
+      const presenter = M.getfeatureinfo.presenter.get(M.getfeatureinfo.presenter.HTML);
+      expect(presenter).to.be(M.getfeatureinfo.presenter.htmlPresenter);
+    });
+    it('Registers presenters by name and wraps functions', () => {
+      const show = () => {};
+      M.getfeatureinfo.presenter.add('console', show);
+      expect(M.getfeatureinfo.presenter.get('console').show).to.be(show);
+      expect(M.getfeatureinfo.presenter.get(show).show).to.be(show);
+      expect(() => M.getfeatureinfo.presenter.get('unknown')).to.throwError();
+    });
+  });
+
+  describe('featuresToHtml', () => {
+    it('Renders a table per feature', () => {
+      const feature = new M.Feature('f1', {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [0, 0] },
+        properties: { nombre: 'Madrid', poblacion: null },
+      });
+      const html = M.getfeatureinfo.presenter.featuresToHtml([feature], 'ign:municipios');
+      const container = document.createElement('div');
+      container.innerHTML = html;
+      expect(container.querySelectorAll('table').length).to.eql(1);
+      expect(container.querySelector('td.header').textContent).to.eql('municipios');
+      const values = Array.prototype.map.call(container.querySelectorAll('td.value'), td => td.textContent);
+      expect(values).to.eql(['Madrid', '-']);
+    });
+  });
+});
+
+describe('M.control.GetFeatureInfo', () => {
+  /**
+   * XMLHttpRequest that does not send anything, the test decides how it ends
+   */
+  class FakeXMLHttpRequest {
+    constructor() {
+      FakeXMLHttpRequest.requests.push(this);
+    }
+
+    open(method, url) {
+      this.url = url;
+    }
+
+    setRequestHeader() {}
+
+    send() {}
+
+    getAllResponseHeaders() {
+      return '';
+    }
+
+    respond(status, text) {
+      this.status = status;
+      this.responseText = text;
+      this.responseXML = null;
+      this.onloadend();
+    }
+  }
+
+  const OriginalXMLHttpRequest = window.XMLHttpRequest;
+  const infoRequests = () => FakeXMLHttpRequest.requests
+    .filter(request => /getfeatureinfo/i.test(request.url));
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      id: 'municipios.1',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { nombre: 'Madrid' },
+    }],
+  });
+  const wait = () => new Promise(resolve => setTimeout(resolve));
+  let map;
+  let calls;
+  const presenter = {
+    loading: coordinate => calls.loading.push(coordinate),
+    show: results => calls.show.push(results),
+  };
+
+  /**
+   * Adds the control and the queried WMS layers and clicks the map once
+   * the layers are created
+   */
+  const query = (layerNames, formats = ['application/json']) => {
+    const control = new M.control.GetFeatureInfo(true, { presenter, formats });
+    const layers = layerNames.map(name => new M.layer.WMS({
+      url: 'http://localhost/wms?',
+      name,
+      legend: name,
+      useCapabilities: false,
+    }, { queryable: true }));
+    map.addLayers(layers);
+    map.addControls(control);
+    const fired = [];
+    control.on(M.evt.QUERY_FEATURES, (results, coordinate) => fired.push({ results, coordinate }));
+    return wait().then(() => {
+      map.getMapImpl().dispatchEvent({ type: 'singleclick', coordinate: [0, 0] });
+      return fired;
+    });
+  };
+
+  beforeEach(() => {
+    FakeXMLHttpRequest.requests = [];
+    window.XMLHttpRequest = FakeXMLHttpRequest;
+    M.proxy(false);
+    calls = { loading: [], show: [] };
+    map = M.map({
+      container: 'map', center: [0, 0], zoom: 5, projection: 'EPSG:3857*m',
+    });
+  });
+
+  afterEach(() => {
+    map.destroy();
+    window.XMLHttpRequest = OriginalXMLHttpRequest;
+    M.proxy(true);
+  });
+
+  it('Fires QUERY_FEATURES with the features of each layer', () => {
+    return query(['municipios']).then((fired) => {
+      expect(calls.loading).to.eql([[0, 0]]);
+      expect(infoRequests()).to.have.length(1);
+      expect(infoRequests()[0].url).to.contain('INFO_FORMAT=application%2Fjson');
+      infoRequests()[0].respond(200, geojson);
+      return wait().then(() => fired);
+    }).then((fired) => {
+      expect(fired).to.have.length(1);
+      expect(fired[0].coordinate).to.eql([0, 0]);
+      const [result] = fired[0].results;
+      expect(result.layerName).to.eql('municipios');
+      expect(result.format).to.eql('application/json');
+      expect(result.features).to.have.length(1);
+      expect(result.features[0].getAttribute('nombre')).to.eql('Madrid');
+      expect(calls.show).to.eql([fired[0].results]);
+    });
+  });
+
+  it('Shows the results when a response can not be read', () => {
+    return query(['municipios', 'provincias']).then((fired) => {
+      const [first, second] = infoRequests();
+      first.respond(200, '{"type": "FeatureCollection", "features": [');
+      second.respond(200, geojson);
+      return wait().then(() => fired);
+    }).then((fired) => {
+      expect(fired).to.have.length(1);
+      const [malformed, valid] = fired[0].results;
+      expect(malformed.features).to.be.empty();
+      expect(malformed.content).to.be(null);
+      expect(valid.features).to.have.length(1);
+      expect(calls.show).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+describe('M.language', () => {
+  afterEach(() => {
+    M.language.setLang('es');
+  });
+
+  describe('getTranslation', () => {
+    it('Includes co-official languages', () => {
+      expect(M.language.getTranslation('ca').exception.no_map).to.eql('No heu especificat cap mapa');
+    });
+    it('Falls back to Valencian, Catalan and Spanish keys', () => {
+      const va = M.language.getTranslation('va');
+      const ca = M.language.getTranslation('ca');
+      expect(va.exception.no_map).to.eql(ca.exception.no_map);
+      M.language.addTranslation('xx', { toast: { close: 'X' } });
+      const xx = M.language.getTranslation('xx');
+      expect(xx.toast.close).to.eql('X');
+      expect(xx.exception.no_map).to.eql(M.language.getTranslation('es').exception.no_map);
+    });
+    it('Registers plugin translations', () => {
+      M.language.addPluginTranslation('testplugin', 'es', { title: 'Título', help: 'Ayuda' });
+      M.language.addPluginTranslation('testplugin', 'eu', { title: 'Izenburua' });
+      expect(M.language.getValue('testplugin', 'eu')).to.eql({ title: 'Izenburua', help: 'Ayuda' });
+    });
+  });
+
+  describe('translate', () => {
+    it('Interpolates values and selects plurals', () => {
+      M.language.addPluginTranslation('testplugin', 'es', {
+        greeting: 'Hola {{name}}',
+        results: { zero: 'Sin resultados', one: '{{count}} resultado', other: '{{count}} resultados' },
+      });
+      expect(M.language.translate('testplugin.greeting', { name: 'IGN' })).to.eql('Hola IGN');
+      expect(M.language.translate('testplugin.results', { count: 0 })).to.eql('Sin resultados');
+      expect(M.language.translate('testplugin.results', { count: 1 })).to.eql('1 resultado');
+      expect(M.language.translate('testplugin.results', { count: 3 })).to.eql('3 resultados');
+      expect(M.language.translate('testplugin.unknown')).to.eql('testplugin.unknown');
+    });
+  });
+
+  describe('setLang', () => {
+    it('Fires CHANGE_LANG only when the language changes', () => {
+      const langs = [];
+      const listener = (lang, oldLang) => langs.push([lang, oldLang]);
+      M.language.on(M.evt.CHANGE_LANG, listener);
+      M.language.setLang('gl');
+      M.language.setLang('gl');
+      M.language.un(M.evt.CHANGE_LANG, listener);
+      M.language.setLang('es');
+      expect(langs).to.eql([['gl', 'es']]);
+    });
+    it('Updates rendered texts in place', () => {
+      const template = '<div title="{{title}}"><button>{{text}}</button><span></span></div>';
+      const html = M.template.compileSync(template, { vars: { title: 'Capas', text: 'Abrir' } });
+      const button = html.querySelector('button');
+      html.querySelector('span').textContent = '1:5000';
+      M.template.updateSync(html, template, { vars: { title: 'Geruzak', text: 'Ireki' } });
+      expect(html.getAttribute('title')).to.eql('Geruzak');
+      expect(html.querySelector('button')).to.be(button);
+      expect(button.textContent).to.eql('Ireki');
+      expect(html.querySelector('span').textContent).to.eql('1:5000');
+    });
+    it('Translates the panel tooltips and the open popup of the map', () => {
+      const map = M.map({ container: 'map', controls: [] });
+      const panel = new M.ui.Panel('testpanel', {
+        tooltip: () => M.language.getValue('toast').close,
+      });
+      map.addPanels(panel);
+      const popup = new M.Popup();
+      popup.addTab({ title: () => M.language.getValue('toast').close, content: 'Madrid' });
+      map.addPopup(popup, [0, 0]);
+      M.language.setLang('eu');
+      const popupElement = document.querySelector('.m-popup');
+      expect(panel.getTemplatePanel().getAttribute('title')).to.eql('Itxi');
+      expect(popupElement.querySelector('.m-title').textContent).to.eql('Itxi');
+      expect(popupElement.querySelector('.m-popup-closer').getAttribute('title')).to.eql('Itxi leiho gainerakorra');
+      expect(popupElement.querySelector('.m-body').textContent).to.eql('Madrid');
+      // waits for the popup to be panned into view
+      return new Promise(resolve => setTimeout(resolve)).then(() => map.destroy());
+    });
+  });
+});
@@ -0,0 +1,119 @@
+describe('M.layer.CSV', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.CSV', () => {
+      const csv = new M.layer.CSV({ url: 'http://localhost/stations.csv', name: 'stations' });
+      expect(csv).to.be.a(M.layer.CSV);
+      expect(csv).to.be.a(M.layer.Vector);
+      expect(csv.type).to.eql('CSV');
+      expect(csv.extract).to.eql(false);
+    });
+    it('Parses the string parameter', () => {
+      const csv = new M.layer.CSV('CSV*Stations*http://localhost/stations.csv*stations*true');
+      expect(csv.url).to.eql('http://localhost/stations.csv');
+      expect(csv.name).to.eql('stations');
+      expect(csv.legend).to.eql('Stations');
+      expect(csv.extract).to.eql(true);
+    });
+    it('Keeps the text source', () => {
+      const source = 'name;x;y\nMadrid;-3.70;40.41';
+      const csv = new M.layer.CSV({ source, name: 'cities', delimiter: ';' });
+      expect(csv.source).to.eql(source);
+      expect(csv.url).to.be(undefined);
+    });
+  });
+
+  describe('M.impl.format.CSV', () => {
+    const read = (text, options) => new M.impl.format.CSV(options).read(text);
+
+    describe('delimiter', () => {
+      it('Detects the delimiter of the header', () => {
+        const { detectDelimiter } = M.impl.format.CSV;
+        expect(detectDelimiter('name,x,y\nMadrid,-3.70,40.41')).to.eql(',');
+        expect(detectDelimiter('name;x;y\nMadrid;-3,70;40,41')).to.eql(';');
+        expect(detectDelimiter('name\tx\ty')).to.eql('\t');
+        expect(detectDelimiter('name|x|y')).to.eql('|');
+      });
+      it('Ignores the delimiters between quotes', () => {
+        expect(M.impl.format.CSV.detectDelimiter('"a,b,c";x;y')).to.eql(';');
+      });
+      it('Reads the values with decimal comma of a CSV delimited by semicolons', () => {
+        const { features } = read('name;x;y\nMadrid;-3,70;40,41');
+        expect(features).to.have.length(1);
+        expect(features[0].geometry.coordinates).to.eql([-3.7, 40.41]);
+        expect(features[0].properties).to.eql({ name: 'Madrid', x: -3.7, y: 40.41 });
+      });
+      it('Uses the delimiter of the user', () => {
+        const { features } = read('name,alias|x|y\n"A|B"|1|2', { delimiter: '|' });
+        expect(features[0].properties['name,alias']).to.eql('A|B');
+        expect(features[0].geometry.coordinates).to.eql([1, 2]);
+      });
+    });
+
+    describe('geometry columns', () => {
+      it('Reads the points of the X/Y columns', () => {
+        const { features } = read('Nombre,Longitud,Latitud\nMadrid,-3.70,40.41\nSin coordenadas,,');
+        expect(features).to.have.length(1);
+        expect(features[0].geometry).to.eql({ type: 'Point', coordinates: [-3.7, 40.41] });
+      });
+      it('Reads the X/Y columns with suffix', () => {
+        const { features } = read('name,x_25830,y_25830\nA,440000,4474000');
+        expect(features[0].geometry.coordinates).to.eql([440000, 4474000]);
+      });
+      it('Reads the geometries of the WKT column', () => {
+        const { features } = read('name;wkt\nA;LINESTRING (0 0, 1 1)');
+        expect(features[0].geometry).to.eql({ type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+        expect(features[0].properties).to.eql({ name: 'A' });
+      });
+      it('Finds the WKT column by its values', () => {
+        const { features } = read('name;shape\nA;"POLYGON ((0 0, 1 0, 1 1, 0 0))"');
+        expect(features[0].geometry.type).to.eql('Polygon');
+        expect(features[0].properties).to.eql({ name: 'A' });
+      });
+      it('Uses the columns of the user', () => {
+        const wktFeatures = read('x,y,where\n1,2,POINT (5 6)', { wkt: 'where' }).features;
+        expect(wktFeatures[0].geometry.coordinates).to.eql([5, 6]);
+        const xyFeatures = read('a,b\n1,2', { x: 'b', y: 'a' }).features;
+        expect(xyFeatures[0].geometry.coordinates).to.eql([2, 1]);
+      });
+      it('Throws an exception without geometry columns', () => {
+        expect(() => read('name,value\nA,1')).to.throwException();
+      });
+      it('Gives a type to the values', () => {
+        const { features } = read('x,y,code,active,name\n1,2,007,true,A\n3,4,012,FALSE,');
+        expect(features[0].properties).to.eql({
+          x: 1, y: 2, code: '007', active: true, name: 'A',
+        });
+        expect(features[1].properties.active).to.be(false);
+        expect(features[1].properties.name).to.be(null);
+      });
+    });
+
+    describe('SRS', () => {
+      const projectionOf = (text, options) => read(text, options).crs.properties.name;
+
+      it('Uses EPSG:4326 for geographic coordinates', () => {
+        expect(projectionOf('lon,lat\n-3.70,40.41')).to.eql('EPSG:4326');
+      });
+      it('Uses the SRID of the EWKT geometries', () => {
+        expect(projectionOf('wkt\nSRID=25830;POINT (440000 4474000)')).to.eql('EPSG:25830');
+      });
+      it('Uses the code of the SRS column', () => {
+        expect(projectionOf('x,y,srs\n440000,4474000,EPSG:25830')).to.eql('EPSG:25830');
+      });
+      it('Uses the code in the name of the coordinate columns', () => {
+        expect(projectionOf('x_25830,y_25830\n440000,4474000')).to.eql('EPSG:25830');
+      });
+      it('Ignores the unknown codes', () => {
+        expect(projectionOf('x,y,epsg\n1,2,99999')).to.eql('EPSG:4326');
+      });
+      it('Throws an exception for projected coordinates without SRS', () => {
+        expect(() => projectionOf('x,y\n440000,4474000')).to.throwException(/projection/);
+        expect(() => projectionOf('wkt\n"LINESTRING (440000 4474000, 440100 4474100)"')).to.throwException(/projection/);
+        expect(projectionOf('x,y\n440000,4474000', { projection: 'EPSG:25830' })).to.eql('EPSG:25830');
+      });
+      it('Uses the projection of the user', () => {
+        expect(projectionOf('x_25830,y_25830\n1,2', { projection: 'EPSG:3857' })).to.eql('EPSG:3857');
+      });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+describe('M.layer.GeoPackage', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.GeoPackage', () => {
+      const geopackage = new M.layer.GeoPackage({ url: 'http://localhost/data.gpkg', name: 'data' });
+      expect(geopackage).to.be.a(M.layer.GeoPackage);
+      expect(geopackage).to.be.a(M.Layer);
+      expect(geopackage.type).to.eql('GeoPackage');
+    });
+    it('Parses the string parameter', () => {
+      const geopackage = new M.layer.GeoPackage('GeoPackage*Datos*http://localhost/data.gpkg*data*roads,ortho');
+      expect(geopackage.url).to.eql('http://localhost/data.gpkg');
+      expect(geopackage.name).to.eql('data');
+      expect(geopackage.legend).to.eql('Datos');
+      expect(geopackage.tables).to.eql(['roads', 'ortho']);
+    });
+    it('Compares by url and name', () => {
+      const geopackage = new M.layer.GeoPackage({ url: 'http://localhost/data.gpkg', name: 'data' });
+      const other = new M.layer.GeoPackage({ url: 'http://localhost/data.gpkg', name: 'data' });
+      expect(geopackage.equals(other)).to.eql(true);
+    });
+  });
+
+  /**
+   * Writes the values as bytes: ['u8', value], ['u32', value] or ['f64', value]
+   */
+  const toBytes = (values) => {
+    const sizes = { u8: 1, u32: 4, f64: 8 };
+    const size = values.reduce((acc, [kind]) => acc + sizes[kind], 0);
+    const view = new DataView(new ArrayBuffer(size));
+    let offset = 0;
+    values.forEach(([kind, value]) => {
+      if (kind === 'u8') {
+        view.setUint8(offset, value);
+      } else if (kind === 'u32') {
+        view.setUint32(offset, value, true);
+      } else {
+        view.setFloat64(offset, value, true);
+      }
+      offset += sizes[kind];
+    });
+    return new Uint8Array(view.buffer);
+  };
+  const gpkgGeometry = (flags, wkb, envelope = []) => {
+    const header = [['u8', 0x47], ['u8', 0x50], ['u8', 0], ['u8', flags], ['u32', 4326]];
+    return toBytes(header.concat(envelope.map(value => ['f64', value]), wkb));
+  };
+  const pointWKB = (type, ...coordinates) => {
+    return [['u8', 1], ['u32', type]].concat(coordinates.map(value => ['f64', value]));
+  };
+
+  describe('M.provider.GeoPackage.readGeometry', () => {
+    const { readGeometry } = M.provider.GeoPackage;
+
+    it('Reads a point', () => {
+      expect(readGeometry(gpkgGeometry(0x01, pointWKB(1, 1, 2)))).to.eql({
+        type: 'Point',
+        coordinates: [1, 2],
+      });
+    });
+
+    it('Skips the envelope and reads the Z coordinate', () => {
+      const wkb = [['u8', 1], ['u32', 1002], ['u32', 2],
+        ['f64', 0], ['f64', 0], ['f64', 5], ['f64', 1], ['f64', 1], ['f64', 6]];
+      expect(readGeometry(gpkgGeometry(0x03, wkb, [0, 1, 0, 1]))).to.eql({
+        type: 'LineString',
+        coordinates: [[0, 0, 5], [1, 1, 6]],
+      });
+    });
+
+    it('Discards the M coordinate of the multi geometries', () => {
+      const wkb = [['u8', 1], ['u32', 2004], ['u32', 2]]
+        .concat(pointWKB(2001, 1, 2, 100), pointWKB(2001, 3, 4, 200));
+      expect(readGeometry(gpkgGeometry(0x01, wkb))).to.eql({
+        type: 'MultiPoint',
+        coordinates: [[1, 2], [3, 4]],
+      });
+    });
+
+    it('Reads EWKB polygons with SRID', () => {
+      const ring = [[0, 0], [1, 0], [1, 1], [0, 0]];
+      const wkb = [['u8', 1], ['u32', 0x20000003], ['u32', 4326], ['u32', 1], ['u32', ring.length]]
+        .concat(...ring.map(([x, y]) => [['f64', x], ['f64', y]]));
+      expect(readGeometry(gpkgGeometry(0x01, wkb))).to.eql({
+        type: 'Polygon',
+        coordinates: [ring],
+      });
+    });
+
+    it('Returns null for empty or unknown geometries', () => {
+      expect(readGeometry(gpkgGeometry(0x11, pointWKB(1, 1, 2)))).to.be(null);
+      expect(readGeometry(gpkgGeometry(0x01, pointWKB(15, 1, 2)))).to.be(null);
+      expect(readGeometry(new Uint8Array([1, 2, 3]))).to.be(null);
+    });
+  });
+
+  describe('M.provider.GeoPackage', () => {
+    /**
+     * Provider whose queries are answered by the first result whose text
+     * is contained in the query
+     */
+    const createProvider = (results) => {
+      const provider = Object.create(M.provider.GeoPackage.prototype);
+      provider.select = (query, params) => {
+        const [, result] = results.find(([text]) => query.indexOf(text) >= 0);
+        return Promise.resolve(result(params));
+      };
+      return provider;
+    };
+    const srsResult = ['gpkg_spatial_ref_sys', ([srsId]) => {
+      const rows = {
+        4326: [{ organization: 'epsg', organization_coordsys_id: 4326, definition: 'GEOGCS' }],
+        0: [{ organization: 'NONE', organization_coordsys_id: 0, definition: 'undefined' }],
+      };
+      return rows[srsId] || [];
+    }];
+
+    it('Reads the feature and tile tables', () => {
+      const provider = createProvider([['gpkg_contents', () => [{
+        table_name: 'roads',
+        data_type: 'features',
+        identifier: 'Carreteras',
+        srs_id: 4326,
+        min_x: 0,
+        min_y: 1,
+        max_x: 2,
+        max_y: 3,
+      }, {
+        table_name: 'ortho',
+        data_type: 'tiles',
+        srs_id: 3857,
+      }]]]);
+      return provider.getTables().then((tables) => {
+        expect(tables).to.have.length(2);
+        expect(tables[0]).to.eql({
+          name: 'roads',
+          type: 'features',
+          title: 'Carreteras',
+          description: undefined,
+          srsId: 4326,
+          extent: [0, 1, 2, 3],
+        });
+        expect(tables[1].type).to.eql('tiles');
+        expect(tables[1].title).to.eql('ortho');
+        expect(tables[1].extent).to.be(null);
+      });
+    });
+
+    it('Reads the reference systems', () => {
+      const provider = createProvider([srsResult]);
+      return Promise.all([provider.getSRS(4326), provider.getSRS(0), provider.getSRS(1)])
+        .then(([srs, undefinedSRS, unknownSRS]) => {
+          expect(srs).to.eql({ code: 'EPSG:4326', definition: 'GEOGCS' });
+          expect(undefinedSRS).to.be(null);
+          expect(unknownSRS).to.be(null);
+        });
+    });
+
+    it('Reads the features of a table', () => {
+      const provider = createProvider([
+        ['gpkg_geometry_columns', () => [{ column_name: 'geom' }]],
+        ['PRAGMA table_info', () => [{ name: 'fid', pk: 1 }, { name: 'geom', pk: 0 }, { name: 'name', pk: 0 }]],
+        srsResult,
+        ['SELECT * FROM "roads"', () => [{ fid: 7, geom: gpkgGeometry(0x01, pointWKB(1, 1, 2)), name: 'A-4' }]],
+      ]);
+      return provider.getFeatures({ name: 'roads', srsId: 4326 }).then((featureCollection) => {
+        expect(featureCollection.crs.properties.name).to.eql('EPSG:4326');
+        expect(featureCollection.features).to.eql([{
+          type: 'Feature',
+          id: 7,
+          geometry: { type: 'Point', coordinates: [1, 2] },
+          properties: { fid: 7, name: 'A-4' },
+        }]);
+      });
+    });
+
+    it('Reads the tile matrix set and the tiles of a table', () => {
+      const provider = createProvider([
+        ['FROM gpkg_tile_matrix_set', () => [{
+          srs_id: 3857, min_x: 0, min_y: 0, max_x: 10, max_y: 10,
+        }]],
+        ['FROM gpkg_tile_matrix WHERE', () => [{
+          zoom_level: 0,
+          matrix_width: 1,
+          matrix_height: 1,
+          tile_width: 256,
+          tile_height: 256,
+          pixel_x_size: 0.5,
+          pixel_y_size: 0.5,
+        }]],
+        ['tile_data', ([zoomLevel]) => (zoomLevel === 0 ? [{ tile_data: new Uint8Array([0xFF, 0xD8, 0xFF]) }] : [])],
+      ]);
+      return Promise.all([
+        provider.getTileMatrixSet({ name: 'ortho' }),
+        provider.getTile('ortho', 0, 0, 0),
+        provider.getTile('ortho', 1, 0, 0),
+      ]).then(([matrixSet, tile, missingTile]) => {
+        expect(matrixSet.srsId).to.eql(3857);
+        expect(matrixSet.extent).to.eql([0, 0, 10, 10]);
+        expect(matrixSet.matrices).to.eql([{
+          zoomLevel: 0,
+          matrixWidth: 1,
+          matrixHeight: 1,
+          tileWidth: 256,
+          tileHeight: 256,
+          pixelXSize: 0.5,
+          pixelYSize: 0.5,
+        }]);
+        expect(tile).to.eql('data:image/jpeg;base64,/9j/');
+        expect(missingTile).to.be(null);
+      });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+describe('M.layer.GeoTIFF', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.GeoTIFF', () => {
+      const geotiff = new M.layer.GeoTIFF({ url: 'http://localhost/ortho.tif', name: 'ortho' });
+      expect(geotiff).to.be.a(M.layer.GeoTIFF);
+      expect(geotiff).to.be.a(M.Layer);
+      expect(geotiff.type).to.eql('GeoTIFF');
+      expect(geotiff.transparent).to.eql(true);
+    });
+    it('Parses the string parameter', () => {
+      const geotiff = new M.layer.GeoTIFF('GeoTIFF*MDT*http://localhost/mdt.tif*mdt*false*2');
+      expect(geotiff.url).to.eql('http://localhost/mdt.tif');
+      expect(geotiff.name).to.eql('mdt');
+      expect(geotiff.legend).to.eql('MDT');
+      expect(geotiff.transparent).to.eql(false);
+      expect(geotiff.bands).to.eql([2]);
+    });
+    it('Keeps the nodata value and the colour ramp', () => {
+      const colorRamp = { colors: ['#0000ff', '#ff0000'], min: 0, max: 3000 };
+      const geotiff = new M.layer.GeoTIFF({
+        url: 'http://localhost/mdt.tif',
+        name: 'mdt',
+        nodata: -9999,
+        colorRamp,
+      });
+      expect(geotiff.nodata).to.eql(-9999);
+      expect(geotiff.colorRamp).to.eql(colorRamp);
+    });
+  });
+
+  /**
+   * GeoTIFF of 4x4 pixels in EPSG:4326 whose pixel i of the band b
+   * has the value i + 100 * (b - 1), except the first one (-9999)
+   */
+  const createTIFF = (samplesPerPixel, fileNodata = null) => {
+    const bands = [...Array(samplesPerPixel).keys()]
+      .map(sample => [...Array(16).keys()].map(i => (i === 0 ? -9999 : i + (100 * sample))));
+    const image = {
+      getBoundingBox: () => [0, 0, 4, 4],
+      getResolution: () => [1, -1],
+      getOrigin: () => [0, 4],
+      getWidth: () => 4,
+      getHeight: () => 4,
+      getSamplesPerPixel: () => samplesPerPixel,
+      getGDALNoData: () => fileNodata,
+      getGDALMetadata: () => null,
+      getGeoKeys: () => ({ ProjectedCSTypeGeoKey: 32767, GeographicTypeGeoKey: 4326 }),
+      readRasters: ({ window: [x, y] }) => Promise.resolve(bands.map(band => [band[(y * 4) + x]])),
+    };
+    return {
+      getImage: () => Promise.resolve(image),
+      readRasters: ({ samples: [sample] }) => Promise.resolve([bands[sample]]),
+    };
+  };
+  const createLayer = (parameters, tiff) => {
+    const geotiff = new M.layer.GeoTIFF(Object.assign({ url: 'http://localhost/image.tif', name: 'image' }, parameters));
+    const impl = geotiff.getImpl();
+    impl.fetchSource = () => Promise.resolve(tiff);
+    impl.map = { getProjection: () => ({ code: 'EPSG:4326' }) };
+    return geotiff;
+  };
+
+  describe('bands', () => {
+    it('Represents the RGB bands of the images with three bands', () => {
+      const geotiff = createLayer({}, createTIFF(3));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.bands).to.eql([1, 2, 3]);
+        expect(metadata.projection).to.eql('EPSG:4326');
+        expect([metadata.min, metadata.max]).to.eql([0, 255]);
+      });
+    });
+    it('Represents the first band of the images with one band', () => {
+      const geotiff = createLayer({ nodata: -9999 }, createTIFF(1));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.bands).to.eql([1]);
+        expect([metadata.min, metadata.max]).to.eql([1, 15]);
+      });
+    });
+    it('Represents the selected band with its range of values', () => {
+      const geotiff = createLayer({ bands: [2], nodata: -9999 }, createTIFF(3));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.bands).to.eql([2]);
+        expect([metadata.min, metadata.max]).to.eql([101, 115]);
+      });
+    });
+    it('Uses the range of the colour ramp', () => {
+      const geotiff = createLayer({ colorRamp: { min: 5, max: 10 } }, createTIFF(1));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect([metadata.min, metadata.max]).to.eql([5, 10]);
+      });
+    });
+    it('Changes the bands', () => {
+      const geotiff = createLayer({ nodata: -9999 }, createTIFF(3));
+      return geotiff.getImpl().fetchMetadata().then(() => {
+        geotiff.bands = [3];
+        expect(geotiff.bands).to.eql([3]);
+        return geotiff.getImpl().fetchMetadata();
+      }).then((metadata) => {
+        expect(metadata.bands).to.eql([3]);
+        expect([metadata.min, metadata.max]).to.eql([201, 215]);
+      });
+    });
+  });
+
+  describe('nodata', () => {
+    it('Uses the nodata value of the file', () => {
+      const geotiff = createLayer({}, createTIFF(1, -9999));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.nodata).to.eql(-9999);
+        expect([metadata.min, metadata.max]).to.eql([1, 15]);
+      });
+    });
+    it('Prefers the nodata value of the user', () => {
+      const geotiff = createLayer({ nodata: 15 }, createTIFF(1, -9999));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.nodata).to.eql(15);
+        expect([metadata.min, metadata.max]).to.eql([-9999, 14]);
+      });
+    });
+    it('Reads every value without a nodata value', () => {
+      const geotiff = createLayer({}, createTIFF(1));
+      return geotiff.getImpl().fetchMetadata().then((metadata) => {
+        expect(metadata.nodata).to.be(null);
+        expect([metadata.min, metadata.max]).to.eql([-9999, 15]);
+      });
+    });
+  });
+
+  describe('getPixelValue', () => {
+    it('Returns the values of the bands of the pixel', () => {
+      const geotiff = createLayer({}, createTIFF(3, -9999));
+      return geotiff.getPixelValue([1.5, 2.5]).then((values) => {
+        expect(values).to.eql([5, 105, 205]);
+      });
+    });
+    it('Returns null outside the image', () => {
+      const geotiff = createLayer({}, createTIFF(1, -9999));
+      return Promise.all([
+        geotiff.getPixelValue([10, 10]),
+        geotiff.getPixelValue([-0.5, 2]),
+      ]).then((values) => {
+        expect(values).to.eql([null, null]);
+      });
+    });
+    it('Returns null for the pixels without data', () => {
+      const geotiff = createLayer({}, createTIFF(1, -9999));
+      return geotiff.getPixelValue([0.5, 3.5]).then((values) => {
+        expect(values).to.be(null);
+      });
+    });
+  });
+
+  describe('addTo', () => {
+    it('Fires ERROR when the file can not be read', () => {
+      const geotiff = createLayer({}, null);
+      const error = new Error('Not Found');
+      geotiff.getImpl().fetchSource = () => Promise.reject(error);
+      return new Promise((resolve) => {
+        geotiff.on(M.evt.ERROR, (err, layer) => {
+          expect(err).to.be(error);
+          expect(layer).to.be(geotiff);
+          resolve();
+        });
+        geotiff.getImpl().addTo({ on: () => {}, getProjection: () => ({ code: 'EPSG:4326' }) });
+      });
+    });
+  });
+});
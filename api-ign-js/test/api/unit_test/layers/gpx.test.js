@@ -0,0 +1,76 @@
+describe('M.layer.GPX', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.GPX', () => {
+      const gpx = new M.layer.GPX({ url: 'http://localhost/track.gpx', name: 'track' });
+      expect(gpx).to.be.a(M.layer.GPX);
+      expect(gpx).to.be.a(M.layer.Vector);
+      expect(gpx.type).to.eql('GPX');
+      expect(gpx.extract).to.eql(false);
+    });
+    it('Parses the string parameter', () => {
+      const gpx = new M.layer.GPX('GPX*Track*http://localhost/track.gpx*track*true');
+      expect(gpx.url).to.eql('http://localhost/track.gpx');
+      expect(gpx.name).to.eql('track');
+      expect(gpx.legend).to.eql('Track');
+      expect(gpx.extract).to.eql(true);
+    });
+  });
+
+  describe('M.impl.format.GPX', () => {
+    const gpx = `<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+      <wpt lat="40.4" lon="-3.7">
+        <ele>650</ele>
+        <time>2020-01-01T09:00:00Z</time>
+        <name>Madrid</name>
+      </wpt>
+      <trk>
+        <name>Track</name>
+        <trkseg>
+          <trkpt lat="40" lon="-3"><ele>600</ele><time>2020-01-01T10:00:00Z</time></trkpt>
+          <trkpt lat="40.1" lon="-3.1"><time>2020-01-01T10:30:00Z</time></trkpt>
+        </trkseg>
+        <trkseg>
+          <trkpt lat="40.2" lon="-3.2"><ele>700</ele></trkpt>
+        </trkseg>
+      </trk>
+      <rte>
+        <rtept lat="40" lon="-3"/>
+        <rtept lat="41" lon="-4"/>
+      </rte>
+    </gpx>`;
+    const [waypoint, track, route] = new M.impl.format.GPX().readCustomFeatures(gpx);
+
+    it('Keeps the GPX element of the features', () => {
+      expect(waypoint.get('gpx_type')).to.eql('wpt');
+      expect(track.get('gpx_type')).to.eql('trk');
+      expect(route.get('gpx_type')).to.eql('rte');
+      expect(waypoint.get('name')).to.eql('Madrid');
+    });
+
+    it('Keeps the segments of the tracks', () => {
+      expect(track.getGeometry().getType()).to.eql('MultiLineString');
+      expect(track.get('segments')).to.eql(2);
+      const segments = track.getGeometry().getLineStrings();
+      expect(segments[0].getCoordinates()).to.have.length(2);
+      expect(segments[1].getCoordinates()).to.have.length(1);
+    });
+
+    it('Adds the elevation and the time of the waypoints', () => {
+      expect(waypoint.get('ele')).to.eql(650);
+      expect(waypoint.get('time')).to.eql('2020-01-01T09:00:00.000Z');
+    });
+
+    it('Adds the elevation and time ranges without the missing values', () => {
+      expect(track.get('ele_min')).to.eql(600);
+      expect(track.get('ele_max')).to.eql(700);
+      expect(track.get('time_start')).to.eql('2020-01-01T10:00:00.000Z');
+      expect(track.get('time_end')).to.eql('2020-01-01T10:30:00.000Z');
+    });
+
+    it('Does not add elevation or time to the routes without them', () => {
+      expect(route.get('ele_min')).to.be(undefined);
+      expect(route.get('time_start')).to.be(undefined);
+      expect(route.getGeometry().getCoordinates()).to.eql([[-3, 40], [-4, 41]]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+describe('M.layer.MVT', () => {
+  let mvt;
+  beforeEach(() => {
+    mvt = new M.layer.MVT({ url: 'http://localhost/tiles/{z}/{x}/{y}.pbf', name: 'vectortile' });
+  });
+
+  describe('filter', () => {
+    it('Sets and removes the filter', () => {
+      const filter = M.filter.IN('name', ['uno', 'dos']);
+      mvt.setFilter(filter);
+      expect(mvt.getFilter()).to.be(filter);
+      mvt.removeFilter();
+      expect(mvt.getFilter()).to.be(null);
+    });
+  });
+
+  describe('queries', () => {
+    it('Returns no features before the tiles are loaded', () => {
+      expect(mvt.getFeatures()).to.be.empty();
+      expect(mvt.getFeaturesInExtent([0, 0, 10, 10])).to.be.empty();
+    });
+    it('Resolves no features at pixel before the layer is added', (done) => {
+      mvt.getFeaturesAtPixel([10, 10]).then((features) => {
+        expect(features).to.be.empty();
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('loaded features', () => {
+    const createFeature = (name, coordinates) => new ol.Feature({
+      name,
+      geometry: new ol.geom.Point(coordinates),
+    });
+    let olFeatures;
+
+    beforeEach(() => {
+      olFeatures = [
+        createFeature('uno', [0, 0]),
+        createFeature('dos', [10, 10]),
+        createFeature('tres', [20, 20]),
+      ];
+      const impl = mvt.getImpl();
+      // features of the loaded tiles and a map viewing [-5, -5, 15, 15]
+      impl.getFeatures = () => olFeatures;
+      impl.map = {
+        getMapImpl: () => ({
+          getView: () => ({ calculateExtent: () => [-5, -5, 15, 15] }),
+          getSize: () => [100, 100],
+        }),
+      };
+    });
+
+    const namesOf = features => features.map(feature => feature.getAttribute('name'));
+
+    it('Excludes the features that do not pass the filter', () => {
+      mvt.setFilter(M.filter.IN('name', ['uno', 'tres']));
+      expect(namesOf(mvt.getFeatures())).to.eql(['uno', 'tres']);
+      expect(namesOf(mvt.getFeatures(true))).to.eql(['uno', 'dos', 'tres']);
+    });
+
+    it('Filters the features in an extent', () => {
+      expect(namesOf(mvt.getFeaturesInExtent([-1, -1, 11, 11]))).to.eql(['uno', 'dos']);
+      mvt.setFilter(M.filter.EQUAL('name', 'dos'));
+      expect(namesOf(mvt.getFeaturesInExtent([-1, -1, 11, 11]))).to.eql(['dos']);
+      expect(namesOf(mvt.getFeaturesInExtent([-1, -1, 11, 11], true))).to.eql(['uno', 'dos']);
+    });
+
+    it('Writes only the visible features of the view as GeoJSON', () => {
+      mvt.setFilter(M.filter.NOT(M.filter.EQUAL('name', 'uno')));
+      const geojson = mvt.toGeoJSON();
+      expect(geojson.features.map(feature => feature.properties.name)).to.eql(['dos']);
+    });
+
+    it('Does not style the features that do not pass the filter', () => {
+      const style = new ol.style.Style();
+      const olLayer = new ol.layer.VectorTile({ style: () => style });
+      const filter = M.filter.EQUAL('name', 'uno');
+      M.impl.utils.setStyleFunctionFilter(olLayer, (olFeature) => {
+        const feature = M.impl.RenderFeature.olFeature2Facade(olFeature);
+        return filter.execute([feature]).length > 0;
+      });
+      const styleFunction = olLayer.getStyleFunction();
+      expect(styleFunction(olFeatures[0], 1)).to.be(style);
+      expect(styleFunction(olFeatures[1], 1)).to.be(null);
+    });
+
+    it('Shares the filter with the MBTilesVector layers', () => {
+      const mbtiles = new M.layer.MBTilesVector({ url: 'http://localhost/tiles.mbtiles', name: 'mbtiles' });
+      expect(mbtiles).to.be.a(M.layer.MVT);
+      expect(mbtiles.type).to.eql('MBTilesVector');
+      mbtiles.getImpl().getFeatures = () => olFeatures;
+      mbtiles.setFilter(M.filter.EQUAL('name', 'tres'));
+      expect(namesOf(mbtiles.getFeatures())).to.eql(['tres']);
+    });
+  });
+
+  describe('GL style', () => {
+    const glStyle = {
+      version: 8,
+      sources: { base: { type: 'vector', tiles: ['http://localhost/tiles/{z}/{x}/{y}.pbf'] } },
+      layers: [{
+        id: 'water',
+        type: 'fill',
+        source: 'base',
+        'source-layer': 'water',
+        minzoom: 5,
+        paint: { 'fill-color': '#0000FF' },
+      }],
+    };
+
+    it('Keeps the GL style instead of the default style', () => {
+      const layer = new M.layer.MVT({ url: 'http://localhost/tiles/{z}/{x}/{y}.pbf', name: 'gl' }, {
+        glStyle: 'claro',
+        glStyles: { claro: glStyle, oscuro: 'http://localhost/styles/oscuro.json' },
+      });
+      expect(layer.getGLStyle()).to.eql('claro');
+      expect(Object.keys(layer.getGLStyles())).to.eql(['claro', 'oscuro']);
+      expect(layer.getStyle()).to.be(null);
+    });
+
+    it('Switches between GL styles and API styles', (done) => {
+      mvt.setGLStyle(glStyle).then(() => {
+        expect(mvt.getGLStyle()).to.be(glStyle);
+        mvt.setStyle(new M.style.Polygon({ fill: { color: 'red' } }));
+        expect(mvt.getGLStyle()).to.be(null);
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+describe('M.layer.OGCAPIFeatures', () => {
+  const newFeature = id => new M.Feature(id, {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-3.7, 40.4] },
+    properties: { name: id },
+  });
+
+  describe('pending changes', () => {
+    let ogcapif;
+    beforeEach(() => {
+      ogcapif = new M.layer.OGCAPIFeatures({
+        url: 'http://localhost/pygeoapi/collections/',
+        name: 'points',
+      });
+    });
+
+    it('Tracks inserted, updated and deleted features', () => {
+      const inserted = newFeature('new');
+      const existing = newFeature('1');
+      const removed = newFeature('2');
+      ogcapif.insertFeatures(inserted);
+      ogcapif.updateFeatures([existing]);
+      ogcapif.deleteFeatures(removed);
+      const changes = ogcapif.getPendingChanges();
+      expect(changes.insert).to.eql([inserted]);
+      expect(changes.update).to.eql([existing]);
+      expect(changes.delete).to.eql([removed]);
+      expect(ogcapif.hasPendingChanges()).to.be(true);
+    });
+
+    it('Discards features inserted and deleted before the commit', () => {
+      const feature = newFeature('new');
+      ogcapif.insertFeatures(feature);
+      ogcapif.updateFeatures(feature);
+      ogcapif.deleteFeatures(feature);
+      expect(ogcapif.hasPendingChanges()).to.be(false);
+    });
+
+    it('Removes the inserted features on rollback', () => {
+      const feature = newFeature('new');
+      ogcapif.insertFeatures(feature);
+      expect(ogcapif.getFeatures(true)).to.contain(feature);
+      ogcapif.rollback();
+      expect(ogcapif.getFeatures(true)).not.to.contain(feature);
+      expect(ogcapif.hasPendingChanges()).to.be(false);
+    });
+
+    it('Resolves an empty summary when there are no changes', (done) => {
+      ogcapif.commit().then((summary) => {
+        expect(summary.totalInserted).to.eql(0);
+        expect(summary.conflicts).to.eql([]);
+        done();
+      });
+    });
+  });
+
+  describe('service', () => {
+    it('Sends the version of the feature in the If-Match header', () => {
+      const headers = M.impl.service.OGCAPIFeatures.getLockHeaders('"v1"', {
+        'Content-Type': 'application/geo+json',
+      });
+      expect(headers['If-Match']).to.eql('"v1"');
+      expect(M.impl.service.OGCAPIFeatures.getLockHeaders(null)).to.eql({});
+    });
+
+    it('Reads response headers ignoring their case', () => {
+      const response = new M.remote.Response();
+      response.headers = { etag: '"v2"' };
+      expect(M.impl.service.OGCAPIFeatures.getHeader(response, 'ETag')).to.eql('"v2"');
+      expect(M.impl.service.OGCAPIFeatures.getHeader(response, 'Location')).to.be(null);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+describe('M.layer.OGCAPIMaps', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.OGCAPIMaps', () => {
+      const maps = new M.layer.OGCAPIMaps({ url: 'http://localhost/ogcapi', name: 'lakes' });
+      expect(maps).to.be.a(M.layer.OGCAPIMaps);
+      expect(maps.type).to.eql('OGCAPIMaps');
+      expect(maps.format).to.eql('png');
+    });
+    it('Parses the string parameter', () => {
+      const maps = new M.layer.OGCAPIMaps('OGCAPIMaps*Lakes*http://localhost/ogcapi*lakes*true*jpeg*night');
+      expect(maps.url).to.eql('http://localhost/ogcapi');
+      expect(maps.name).to.eql('lakes');
+      expect(maps.legend).to.eql('Lakes');
+      expect(maps.format).to.eql('jpeg');
+      expect(maps.styleId).to.eql('night');
+    });
+  });
+
+  describe('discovery', () => {
+    const base = 'http://localhost/ogcapi';
+    const documents = {
+      [base]: { links: [{ rel: 'data', href: 'collections' }] },
+      [`${base}/collections/lakes`]: {
+        id: 'lakes',
+        links: [{ rel: 'http://www.opengis.net/def/rel/ogc/1.0/map', type: 'image/png', href: 'map' }],
+        extent: { spatial: { bbox: [[-10, 35, 5, 44]], crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84' } },
+      },
+      [`${base}/collections/rivers`]: { id: 'rivers', links: [] },
+    };
+    const createService = (name) => {
+      const maps = new M.layer.OGCAPIMaps({ url: `${base}/collections`, name });
+      const service = maps.getImpl().getService();
+      service.getJSON = href => (documents[href] ? Promise.resolve(documents[href])
+        : Promise.reject(new Error(href)));
+      return service;
+    };
+
+    it('Finds the map of the collection', () => {
+      return createService('lakes').getMapUrl('lakes').then((url) => {
+        expect(url).to.eql(`${base}/collections/lakes/map`);
+      });
+    });
+    it('Finds the map of the style', () => {
+      return createService('lakes').getMapUrl('lakes', 'night').then((url) => {
+        expect(url).to.eql(`${base}/collections/lakes/styles/night/map`);
+      });
+    });
+    it('Uses the map resource of the collections and the dataset without a link', () => {
+      const service = createService('rivers');
+      return Promise.all([service.getMapUrl('rivers'), service.getMapUrl()]).then((urls) => {
+        expect(urls).to.eql([`${base}/collections/rivers/map`, `${base}/map`]);
+      });
+    });
+    it('Reads the extent of the collection', () => {
+      return createService('lakes').getExtent('lakes', 'EPSG:4326').then((extent) => {
+        expect(extent).to.eql([-10, 35, 5, 44]);
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+describe('M.layer.OGCAPITiles', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.OGCAPITiles', () => {
+      const tiles = new M.layer.OGCAPITiles({ url: 'http://localhost/ogcapi', name: 'roads' });
+      expect(tiles).to.be.a(M.layer.OGCAPITiles);
+      expect(tiles.type).to.eql('OGCAPITiles');
+      expect(tiles.transparent).to.be(true);
+    });
+    it('Parses the string parameter', () => {
+      const tiles = new M.layer.OGCAPITiles('OGCAPITiles*Roads*http://localhost/ogcapi/collections/*roads*true*WebMercatorQuad*vector');
+      expect(tiles.url).to.eql('http://localhost/ogcapi/collections/');
+      expect(tiles.name).to.eql('roads');
+      expect(tiles.legend).to.eql('Roads');
+      expect(tiles.tileMatrixSet).to.eql('WebMercatorQuad');
+      expect(tiles.dataType).to.eql('vector');
+    });
+  });
+  describe('tile grid', () => {
+    it('Creates the tile grid of a 2.0 tile matrix set', () => {
+      const { tileGrid, projection } = M.impl.layer.OGCAPITiles.createTileGrid({
+        id: 'WebMercatorQuad',
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/3857',
+        orderedAxes: ['X', 'Y'],
+        tileMatrices: [{
+          id: '0',
+          scaleDenominator: 559082264.0287178,
+          cellSize: 156543.03392804097,
+          pointOfOrigin: [-20037508.3427892, 20037508.3427892],
+          tileWidth: 256,
+          tileHeight: 256,
+          matrixWidth: 1,
+          matrixHeight: 1,
+        }],
+      });
+      expect(projection).to.eql('EPSG:3857');
+      expect(tileGrid.getMatrixId(0)).to.eql('0');
+      expect(tileGrid.getOrigin(0)).to.eql([-20037508.3427892, 20037508.3427892]);
+    });
+    it('Swaps the corners of the latitude, longitude tile matrix sets', () => {
+      const matrix = {
+        id: '0',
+        cellSize: 0.703125,
+        pointOfOrigin: [90, -180],
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 2,
+        matrixHeight: 1,
+      };
+      const byAxes = M.impl.layer.OGCAPITiles.createTileGrid({
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/4326',
+        orderedAxes: ['Lat', 'Lon'],
+        tileMatrices: [matrix],
+      });
+      expect(byAxes.projection).to.eql('EPSG:4326');
+      expect(byAxes.tileGrid.getOrigin(0)).to.eql([-180, 90]);
+      const byCRS = M.impl.layer.OGCAPITiles.createTileGrid({
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/4326',
+        tileMatrices: [matrix],
+      });
+      expect(byCRS.tileGrid.getOrigin(0)).to.eql([-180, 90]);
+      const crs84 = M.impl.layer.OGCAPITiles.createTileGrid({
+        crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+        tileMatrices: [Object.assign({}, matrix, { pointOfOrigin: [-180, 90] })],
+      });
+      expect(crs84.tileGrid.getOrigin(0)).to.eql([-180, 90]);
+    });
+    it('Rejects the unknown reference systems', () => {
+      expect(() => M.impl.layer.OGCAPITiles.createTileGrid({
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/999999',
+        tileMatrices: [],
+      })).to.throwException(/EPSG:999999/);
+    });
+  });
+
+  describe('M.impl.service.OGCAPI', () => {
+    const base = 'http://localhost/ogcapi';
+    const rel = name => `http://www.opengis.net/def/rel/ogc/1.0/${name}`;
+    const documents = {
+      [base]: {
+        links: [
+          { rel: 'data', type: 'text/html', href: 'collections?f=html' },
+          { rel: 'data', type: 'application/json', href: 'collections' },
+        ],
+      },
+      [`${base}/collections`]: { collections: [{ id: 'roads' }, { id: 'lakes' }] },
+      [`${base}/collections/roads`]: {
+        id: 'roads',
+        links: [{ rel: rel('tilesets-vector'), type: 'application/json', href: 'tiles' }],
+      },
+      [`${base}/collections/lakes`]: { id: 'lakes', links: [] },
+      [`${base}/collections/roads/tiles`]: {
+        tilesets: [{
+          tileMatrixSetURI: 'http://www.opengis.net/def/tilematrixset/OGC/1.0/WorldCRS84Quad',
+          crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+          links: [{ rel: 'self', href: 'WorldCRS84Quad' }],
+        }, {
+          tileMatrixSetURI: 'http://www.opengis.net/def/tilematrixset/OGC/1.0/WebMercatorQuad',
+          crs: 'http://www.opengis.net/def/crs/EPSG/0/3857',
+          links: [{ rel: 'self', href: 'WebMercatorQuad' }],
+        }],
+      },
+      [`${base}/collections/roads/tiles/WebMercatorQuad`]: {
+        tileMatrixSetId: 'WebMercatorQuad',
+        links: [
+          {
+            rel: 'item',
+            templated: true,
+            type: 'application/vnd.mapbox-vector-tile',
+            href: '{tileMatrix}/{tileRow}/{tileCol}',
+          },
+          { rel: rel('tiling-scheme'), href: `${base}/tileMatrixSets/WebMercatorQuad` },
+        ],
+      },
+      [`${base}/collections/roads/tiles/WorldCRS84Quad`]: {
+        tileMatrixSet: { id: 'WorldCRS84Quad', tileMatrices: [] },
+        links: [{ rel: '[ogc-rel:item]', templated: true, href: 'tiles/{tileMatrix}/{tileRow}/{tileCol}' }],
+      },
+      [`${base}/tileMatrixSets/WebMercatorQuad`]: { id: 'WebMercatorQuad', tileMatrices: [] },
+    };
+    const createService = (url) => {
+      const service = new M.impl.service.OGCAPI(url);
+      service.requests = [];
+      service.getJSON = (href) => {
+        service.requests.push(href);
+        return documents[href] ? Promise.resolve(documents[href]) : Promise.reject(new Error(href));
+      };
+      return service;
+    };
+
+    it('Discovers the collections from the landing page', () => {
+      const service = createService(`${base}/collections/?f=json`);
+      expect(service.getUrl()).to.eql(base);
+      return service.getCollections().then((collections) => {
+        expect(collections.map(collection => collection.id)).to.eql(['roads', 'lakes']);
+        expect(service.requests).to.eql([base, `${base}/collections`]);
+      });
+    });
+    it('Selects the tileset of the map projection', () => {
+      return createService(base).getTileset('roads', undefined, undefined, 'EPSG:3857').then((tileset) => {
+        expect(tileset.dataType).to.eql('vector');
+        expect(tileset.template).to.eql(`${base}/collections/roads/tiles/WebMercatorQuad/{tileMatrix}/{tileRow}/{tileCol}`);
+        expect(tileset.tileMatrixSet.id).to.eql('WebMercatorQuad');
+      });
+    });
+    it('Prefers the tile matrix set of the user', () => {
+      return createService(base).getTileset('roads', 'vector', 'WorldCRS84Quad', 'EPSG:3857').then((tileset) => {
+        expect(tileset.template).to.eql(`${base}/collections/roads/tiles/WorldCRS84Quad/tiles/{tileMatrix}/{tileRow}/{tileCol}`);
+        expect(tileset.tileMatrixSet.id).to.eql('WorldCRS84Quad');
+      });
+    });
+    it('Rejects the collections without tilesets', () => {
+      return createService(base).getTileset('lakes').then(() => {
+        throw new Error('The tileset should not be found');
+      }, (error) => {
+        expect(error).to.contain(`${base}/collections/lakes`);
+      });
+    });
+    it('Finds the links by their relation', () => {
+      const links = [
+        { rel: 'tilesets-map', type: 'text/html', href: 'map/tiles?f=html' },
+        { rel: rel('tilesets-map'), type: 'application/json', href: 'map/tiles' },
+        { rel: '[ogc-rel:map]', href: 'http://localhost/other/map' },
+        { rel: 'item', templated: true, href: '{tileMatrix}' },
+      ];
+      expect(M.impl.service.OGCAPI.findLink(links, ['tilesets-vector', 'tilesets-map'], base)).to.eql(`${base}/map/tiles`);
+      expect(M.impl.service.OGCAPI.findLink(links, ['map'], base)).to.eql('http://localhost/other/map');
+      expect(M.impl.service.OGCAPI.findLink(links, ['item'], base)).to.be(undefined);
+      expect(M.impl.service.OGCAPI.findLink(links, ['item'], base, true)).to.eql(`${base}/{tileMatrix}`);
+    });
+    it('Converts the reference systems to codes', () => {
+      expect(M.impl.service.OGCAPI.crsToCode('http://www.opengis.net/def/crs/OGC/1.3/CRS84')).to.eql('EPSG:4326');
+      expect(M.impl.service.OGCAPI.crsToCode('http://www.opengis.net/def/crs/EPSG/0/25830')).to.eql('EPSG:25830');
+      expect(M.impl.service.OGCAPI.crsToCode('urn:ogc:def:crs:EPSG::4258')).to.eql('EPSG:4258');
+      expect(M.impl.service.OGCAPI.crsToCode({ uri: 'http://www.opengis.net/def/crs/EPSG/0/3857' })).to.eql('EPSG:3857');
+      expect(M.impl.service.OGCAPI.crsToCode('http://localhost/crs/local')).to.be(undefined);
+    });
+    it('Gets the landing page of the collections', () => {
+      expect(M.impl.service.OGCAPI.getLandingPageUrl(`${base}/collections/?f=json`)).to.eql(base);
+      expect(M.impl.service.OGCAPI.getLandingPageUrl(`${base}/`)).to.eql(base);
+    });
+  });
+});
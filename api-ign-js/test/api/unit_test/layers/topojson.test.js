@@ -0,0 +1,106 @@
+describe('M.layer.TopoJSON', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.TopoJSON', () => {
+      const topojson = new M.layer.TopoJSON({ url: 'http://localhost/provinces.json', name: 'provinces' });
+      expect(topojson).to.be.a(M.layer.TopoJSON);
+      expect(topojson).to.be.a(M.layer.Vector);
+      expect(topojson.type).to.eql('TopoJSON');
+    });
+    it('Parses the string parameter', () => {
+      const topojson = new M.layer.TopoJSON('TopoJSON*Provinces*http://localhost/provinces.json*provinces');
+      expect(topojson.url).to.eql('http://localhost/provinces.json');
+      expect(topojson.name).to.eql('provinces');
+      expect(topojson.legend).to.eql('Provinces');
+    });
+    it('Keeps the topology source', () => {
+      const source = { type: 'Topology', objects: {}, arcs: [] };
+      const topojson = new M.layer.TopoJSON({ source, name: 'empty' });
+      expect(topojson.source).to.eql(source);
+    });
+  });
+
+  describe('objects', () => {
+    // two provinces that share the arc 0 and a capital
+    const topology = {
+      type: 'Topology',
+      objects: {
+        provinces: {
+          type: 'GeometryCollection',
+          geometries: [
+            {
+              type: 'Polygon', id: 'a', arcs: [[0, 1]], properties: { name: 'A' },
+            },
+            {
+              type: 'Polygon', id: 'b', arcs: [[2, -1]], properties: { name: 'B' },
+            },
+          ],
+        },
+        capitals: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'Point', coordinates: [0.5, 0.5], properties: { name: 'Capital' } },
+          ],
+        },
+      },
+      arcs: [
+        [[1, 0], [1, 1]],
+        [[1, 1], [0, 1], [0, 0], [1, 0]],
+        [[1, 0], [2, 0], [2, 1], [1, 1]],
+      ],
+    };
+    const readFeatures = (options) => {
+      const format = new ol.format.TopoJSON(options);
+      const loader = new M.impl.loader.TopoJSON(null, null, topology, format);
+      return new Promise((resolve) => {
+        loader.getLoaderFn(resolve)(null, null, 'EPSG:4326');
+      });
+    };
+
+    it('Reads the features of every object', () => {
+      return readFeatures().then((features) => {
+        expect(features).to.have.length(3);
+        const names = features.map(feature => feature.getAttribute('name'));
+        expect(names).to.eql(['A', 'B', 'Capital']);
+        expect(features[2].getGeometry()).to.eql({ type: 'Point', coordinates: [0.5, 0.5] });
+      });
+    });
+
+    it('Builds the geometries from the shared arcs', () => {
+      return readFeatures().then(([provinceA, provinceB]) => {
+        expect(provinceA.getId()).to.eql('a');
+        expect(provinceA.getGeometry().coordinates)
+          .to.eql([[[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]]]);
+        expect(provinceB.getId()).to.eql('b');
+        expect(provinceB.getGeometry().coordinates)
+          .to.eql([[[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]]]);
+      });
+    });
+
+    it('Reads only the selected objects and keeps their name', () => {
+      return readFeatures({ layers: ['capitals'], layerName: 'object' }).then((features) => {
+        expect(features).to.have.length(1);
+        expect(features[0].getAttribute('name')).to.eql('Capital');
+        expect(features[0].getAttribute('object')).to.eql('capitals');
+      });
+    });
+
+    it('Reads the topology as text', () => {
+      const text = JSON.stringify(topology);
+      const loader = new M.impl.loader.TopoJSON(null, null, text, new ol.format.TopoJSON());
+      return new Promise((resolve) => {
+        loader.getLoaderFn(resolve)(null, null, 'EPSG:4326');
+      }).then((features) => {
+        expect(features).to.have.length(3);
+      });
+    });
+
+    it('Fires an error event without source', (done) => {
+      const loader = new M.impl.loader.TopoJSON(null, null, null, new ol.format.TopoJSON());
+      loader.on(M.evt.ERROR, (error) => {
+        expect(error).to.be.an(Error);
+        done();
+      });
+      loader.getLoaderFn(() => done(new Error('loaded')))(null, null, 'EPSG:4326');
+    });
+  });
+});
@@ -0,0 +1,275 @@
+describe('M.layer.WFS', () => {
+  const newFeature = id => new M.Feature(id, {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-3.7, 40.4] },
+    properties: { name: id },
+  });
+
+  describe('pending changes', () => {
+    let wfs;
+    beforeEach(() => {
+      wfs = new M.layer.WFS({
+        url: 'http://localhost/geoserver/wfs',
+        namespace: 'test',
+        name: 'points',
+        version: '1.1.0',
+      });
+    });
+
+    it('Tracks inserted, updated and deleted features', () => {
+      const inserted = newFeature('new');
+      const existing = newFeature('points.1');
+      const removed = newFeature('points.2');
+      wfs.insertFeatures(inserted);
+      wfs.updateFeatures([existing]);
+      wfs.deleteFeatures(removed);
+      const changes = wfs.getPendingChanges();
+      expect(changes.insert).to.eql([inserted]);
+      expect(changes.update).to.eql([existing]);
+      expect(changes.delete).to.eql([removed]);
+      expect(wfs.hasPendingChanges()).to.be(true);
+    });
+
+    it('Discards features inserted and deleted before the commit', () => {
+      const feature = newFeature('new');
+      wfs.insertFeatures(feature);
+      wfs.updateFeatures(feature);
+      wfs.deleteFeatures(feature);
+      expect(wfs.hasPendingChanges()).to.be(false);
+    });
+
+    it('Removes the inserted features on rollback', () => {
+      const feature = newFeature('new');
+      wfs.insertFeatures(feature);
+      expect(wfs.getFeatures(true)).to.contain(feature);
+      wfs.rollback();
+      expect(wfs.getFeatures(true)).not.to.contain(feature);
+      expect(wfs.hasPendingChanges()).to.be(false);
+    });
+
+    it('Resolves an empty summary when there are no changes', (done) => {
+      wfs.commit().then((summary) => {
+        expect(summary.totalInserted).to.eql(0);
+        expect(summary.insertIds).to.eql([]);
+        done();
+      });
+    });
+  });
+
+  describe('GetFeature POST with OGC filter', () => {
+    const projection = { getCode: () => 'EPSG:4326' };
+    const createService = (version, ogcFilter) => new M.impl.service.WFS({
+      url: 'http://localhost/geoserver/wfs?',
+      namespace: 'test',
+      name: 'points',
+      version,
+      ogcFilter,
+    }, { getFeature: { key: 'value' } });
+
+    it('Writes the filter in the GetFeature request', (done) => {
+      const service = createService('1.1.0', M.filter.EQUAL('name', 'a'));
+      expect(service.hasOGCFilter()).to.be(true);
+      expect(service.getFeaturePostUrl()).to.contain('key=value');
+      service.getFeatureBody(projection).then((body) => {
+        expect(body).to.contain('<wfs:GetFeature xmlns:wfs="http://www.opengis.net/wfs" service="WFS" version="1.1.0"');
+        expect(body).to.contain('<wfs:Query typeName="test:points" srsName="EPSG:4326"><ogc:Filter');
+        expect(body).to.contain('<ogc:PropertyIsEqualTo>');
+        done();
+      }).catch(done);
+    });
+
+    it('Uses Filter Encoding 2.0 with WFS 2.0.0', (done) => {
+      const service = createService('2.0.0', M.filter.EQUAL('name', 'a'));
+      service.getFeatureBody(projection).then((body) => {
+        expect(body).to.contain('xmlns:wfs="http://www.opengis.net/wfs/2.0"');
+        expect(body).to.contain('<wfs:Query typeNames="test:points"');
+        expect(body).to.contain('<fes:Filter');
+        done();
+      }).catch(done);
+    });
+
+    it('Replaces the geometry name of the spatial filters', (done) => {
+      const filter = M.filter.spatial.INTERSECT({ type: 'Point', coordinates: [-3.7, 40.4] });
+      const service = createService('1.1.0', filter);
+      service.getDescribeFeatureType = () => Promise.resolve({ geometryName: 'the_geom' });
+      service.getFeatureBody(projection).then((body) => {
+        expect(body).to.contain('<ogc:PropertyName>the_geom</ogc:PropertyName>');
+        expect(body).not.to.contain('{{geometryName}}');
+        done();
+      }).catch(done);
+    });
+
+    it('Uses GET requests without OGC filter', () => {
+      expect(createService('1.1.0').hasOGCFilter()).to.be(false);
+    });
+  });
+
+  describe('M.impl.format.wfs.Transaction', () => {
+    const WFS_NS = 'http://www.opengis.net/wfs';
+    const createFormat = version => new M.impl.format.wfs.Transaction({
+      version,
+      featureNS: 'http://localhost/test',
+      featurePrefix: 'test',
+      featureType: 'points',
+      geometryName: 'geom',
+      srsName: 'EPSG:4326',
+    });
+    const parse = text => new DOMParser().parseFromString(text, 'text/xml').documentElement;
+    const children = (node, ns, localName) => {
+      return Array.from(node.getElementsByTagNameNS(ns, localName));
+    };
+
+    it('Writes the inserted features', () => {
+      const transaction = parse(createFormat('1.1.0').writeTransaction([newFeature('new')]));
+      expect(transaction.localName).to.eql('Transaction');
+      expect(transaction.getAttribute('version')).to.eql('1.1.0');
+      const [insert] = children(transaction, WFS_NS, 'Insert');
+      const [feature] = children(insert, 'http://localhost/test', 'points');
+      expect(children(feature, 'http://localhost/test', 'geom')[0]
+        .getElementsByTagNameNS('http://www.opengis.net/gml', 'Point')).to.have.length(1);
+      expect(children(feature, 'http://localhost/test', 'name')[0].textContent).to.eql('new');
+    });
+
+    it('Writes the updated features with their filter', () => {
+      const feature = new M.Feature('points.1', {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-3.7, 40.4] },
+        properties: { name: 'A', description: null },
+      });
+      const transaction = parse(createFormat('1.1.0').writeTransaction([], [feature]));
+      const [update] = children(transaction, WFS_NS, 'Update');
+      expect(update.getAttribute('typeName')).to.eql('test:points');
+      const properties = children(update, WFS_NS, 'Property').map((property) => {
+        const value = children(property, WFS_NS, 'Value')[0];
+        return [
+          children(property, WFS_NS, 'Name')[0].textContent,
+          value === undefined ? null : value.textContent,
+        ];
+      });
+      expect(properties.map(([name]) => name)).to.eql(['geom', 'name', 'description']);
+      expect(properties[1][1]).to.eql('A');
+      expect(properties[2][1]).to.be(null);
+      const [featureId] = children(update, 'http://www.opengis.net/ogc', 'FeatureId');
+      expect(featureId.getAttribute('fid')).to.eql('points.1');
+    });
+
+    it('Writes the deleted features with Filter Encoding 2.0 in WFS 2.0.0', () => {
+      const text = createFormat('2.0.0').writeTransaction([], [], [newFeature('points.2')]);
+      const transaction = parse(text);
+      const [deleteNode] = children(transaction, 'http://www.opengis.net/wfs/2.0', 'Delete');
+      expect(deleteNode.getAttribute('typeName')).to.eql('test:points');
+      const [resourceId] = children(deleteNode, 'http://www.opengis.net/fes/2.0', 'ResourceId');
+      expect(resourceId.getAttribute('rid')).to.eql('points.2');
+      expect(children(transaction, 'http://www.opengis.net/wfs/2.0', 'Insert')).to.have.length(0);
+    });
+
+    it('Reads the summary and the ids of the TransactionResponse', () => {
+      const response = createFormat('1.1.0').readTransactionResponse(`
+        <wfs:TransactionResponse xmlns:wfs="http://www.opengis.net/wfs"
+          xmlns:ogc="http://www.opengis.net/ogc" version="1.1.0">
+          <wfs:TransactionSummary>
+            <wfs:totalInserted>1</wfs:totalInserted>
+            <wfs:totalUpdated>2</wfs:totalUpdated>
+            <wfs:totalDeleted>0</wfs:totalDeleted>
+          </wfs:TransactionSummary>
+          <wfs:InsertResults>
+            <wfs:Feature><ogc:FeatureId fid="points.3"/></wfs:Feature>
+          </wfs:InsertResults>
+        </wfs:TransactionResponse>`);
+      expect(response).to.eql({
+        totalInserted: 1,
+        totalUpdated: 2,
+        totalDeleted: 0,
+        insertIds: ['points.3'],
+      });
+    });
+
+    it('Throws the message of the exception reports', () => {
+      const format = createFormat('1.1.0');
+      expect(() => format.readTransactionResponse(`
+        <ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows" version="1.0.0">
+          <ows:Exception exceptionCode="InvalidParameterValue">
+            <ows:ExceptionText>Unknown feature type</ows:ExceptionText>
+          </ows:Exception>
+        </ows:ExceptionReport>`)).to.throwException((error) => {
+        expect(error).to.contain('Unknown feature type');
+      });
+    });
+
+    it('Throws the message of the failed WFS 1.0.0 transactions', () => {
+      const format = createFormat('1.0.0');
+      expect(() => format.readTransactionResponse(`
+        <wfs:WFS_TransactionResponse xmlns:wfs="http://www.opengis.net/wfs" version="1.0.0">
+          <wfs:TransactionResult>
+            <wfs:Status><wfs:FAILED/></wfs:Status>
+            <wfs:Message>Invalid geometry</wfs:Message>
+          </wfs:TransactionResult>
+        </wfs:WFS_TransactionResponse>`)).to.throwException((error) => {
+        expect(error).to.contain('Invalid geometry');
+      });
+    });
+
+    it('Throws an exception with an invalid response', () => {
+      expect(() => createFormat('1.1.0').readTransactionResponse('<html></html>')).to.throwException();
+    });
+  });
+
+  describe('Transaction request', () => {
+    const OriginalXMLHttpRequest = window.XMLHttpRequest;
+    let request;
+
+    beforeEach(() => {
+      window.XMLHttpRequest = class {
+        constructor() {
+          this.requestHeaders = {};
+          request = this;
+        }
+
+        open(method, url) {
+          this.method = method;
+          this.url = url;
+        }
+
+        setRequestHeader(name, value) {
+          this.requestHeaders[name] = value;
+        }
+
+        send(data) {
+          this.data = data;
+          this.status = 200;
+          this.responseText = '<wfs:TransactionResponse/>';
+          this.onloadend();
+        }
+
+        getAllResponseHeaders() {
+          return '';
+        }
+      };
+    });
+
+    afterEach(() => {
+      window.XMLHttpRequest = OriginalXMLHttpRequest;
+    });
+
+    it('Sends the XML with the headers of the layer', (done) => {
+      const service = new M.impl.service.WFS({
+        url: 'http://localhost/geoserver/wfs?',
+        namespace: 'test',
+        name: 'points',
+        version: '1.1.0',
+      });
+      service.transaction('<wfs:Transaction/>', {
+        headers: { Authorization: 'Bearer token' },
+      }).then((text) => {
+        expect(request.method).to.eql('POST');
+        expect(request.data).to.eql('<wfs:Transaction/>');
+        expect(request.requestHeaders).to.eql({
+          Authorization: 'Bearer token',
+          'Content-Type': 'text/xml',
+        });
+        expect(text).to.eql('<wfs:TransactionResponse/>');
+        done();
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+describe('M.layer.WMC', () => {
+  describe('constructor', () => {
+    it('Creates a new M.layer.WMC', () => {
+      const wmc = new M.layer.WMC({ url: 'http://localhost/context.xml', name: 'context' });
+      expect(wmc).to.be.a(M.layer.WMC);
+      expect(wmc).to.be.a(M.Layer);
+      expect(wmc.type).to.eql('WMC');
+    });
+    it('Parses the string parameter', () => {
+      const wmc = new M.layer.WMC('WMC*http://localhost/context.xml*context');
+      expect(wmc.url).to.eql('http://localhost/context.xml');
+      expect(wmc.name).to.eql('context');
+    });
+    it('Is not selected until it is added to a map', () => {
+      const wmc = new M.layer.WMC({ url: 'http://localhost/context.xml', name: 'context' });
+      expect(wmc.selected).to.eql(false);
+    });
+  });
+});
+
+describe('M.impl.format.WMC', () => {
+  const layerXML = scales => `
+    <LayerList>
+      <Layer queryable="1" hidden="0">
+        <Server service="OGC:WMS" version="1.1.1">
+          <OnlineResource xlink:type="simple" xlink:href="https://www.ign.es/wms-inspire/ign-base"/>
+        </Server>
+        <Name>IGNBaseTodo</Name>
+        <Title>Mapa base</Title>
+        <SRS>EPSG:25830 EPSG:4326</SRS>
+        ${scales}
+        <FormatList>
+          <Format current="1">image/png</Format>
+        </FormatList>
+        <StyleList>
+          <Style current="1"><Name>default</Name><Title>Por defecto</Title></Style>
+        </StyleList>
+        <Extension>
+          <ol:maxExtent minx="-1000" miny="3000000" maxx="1200000" maxy="4900000"/>
+          <ol:transparent>true</ol:transparent>
+          <ol:opacity>0.5</ol:opacity>
+        </Extension>
+      </Layer>
+    </LayerList>`;
+
+  const wmcXML = (version, scales) => `<?xml version="1.0" encoding="UTF-8"?>
+    <ViewContext xmlns="http://www.opengis.net/context" version="${version}" id="ctx"
+      xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:sld="http://www.opengis.net/sld"
+      xmlns:ol="http://openlayers.org/context">
+      <General>
+        <Window width="800" height="600"/>
+        <BoundingBox SRS="EPSG:25830" minx="100000" miny="3900000" maxx="1000000" maxy="4800000"/>
+        <Title>Contexto ${version}</Title>
+        <Extension>
+          <ol:maxExtent minx="-500000" miny="3500000" maxx="1500000" maxy="5000000"/>
+        </Extension>
+      </General>
+      ${layerXML(scales)}
+    </ViewContext>`;
+
+  const checkContext = (context) => {
+    expect(context.projection).to.eql('EPSG:25830');
+    expect(context.bbox).to.eql([100000, 3900000, 1000000, 4800000]);
+    expect(context.maxExtent).to.eql([-500000, 3500000, 1500000, 5000000]);
+    expect(context.size).to.eql([800, 600]);
+    expect(context.layers).to.have.length(1);
+    const [layer] = context.layers;
+    expect(layer.name).to.eql('IGNBaseTodo');
+    expect(layer.url).to.eql('https://www.ign.es/wms-inspire/ign-base');
+    expect(layer.service).to.eql('OGC:WMS');
+    expect(layer.queryable).to.be(true);
+    expect(layer.srs).to.eql(['EPSG:25830', 'EPSG:4326']);
+    expect(layer.maxExtent).to.eql([-1000, 3000000, 1200000, 4900000]);
+    expect(layer.transparent).to.be(true);
+    expect(layer.opacity).to.eql(0.5);
+    expect(layer.minScale).to.eql(5000);
+    expect(layer.maxScale).to.eql(250000);
+  };
+
+  it('Reads WMC 1.0.0 documents', () => {
+    const format = new M.impl.format.WMC();
+    const context = format.read(wmcXML('1.0.0', `
+      <MinScaleDenominator>5000</MinScaleDenominator>
+      <MaxScaleDenominator>250000</MaxScaleDenominator>`));
+    expect(format.version).to.eql('1.0.0');
+    checkContext(context);
+  });
+
+  it('Reads WMC 1.1.0 documents', () => {
+    const format = new M.impl.format.WMC();
+    const context = format.read(wmcXML('1.1.0', `
+      <sld:MinScaleDenominator>5000</sld:MinScaleDenominator>
+      <sld:MaxScaleDenominator>250000</sld:MaxScaleDenominator>`));
+    expect(format.version).to.eql('1.1.0');
+    checkContext(context);
+  });
+
+  it('Rejects unsupported versions', () => {
+    expect(() => new M.impl.format.WMC().read(wmcXML('2.0.0', ''))).to.throwException();
+  });
+});
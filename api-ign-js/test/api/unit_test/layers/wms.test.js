@@ -0,0 +1,23 @@
+describe('M.layer.WMS', () => {
+  describe('dimensions', () => {
+    it('Expands the values advertised by the service', () => {
+      expect(M.utils.getDimensionValues('2000-01-01/2000-03-01/P1M')).to.eql(['2000-01-01', '2000-02-01', '2000-03-01']);
+      expect(M.utils.getDimensionValues('0/20/10,50')).to.eql(['0', '10', '20', '50']);
+      expect(M.utils.getDimensionValues('2000-01-01/2010-01-01')).to.eql(['2000-01-01/2010-01-01']);
+    });
+
+    it('Sets the TIME and DIM_ parameters', () => {
+      const wms = new M.layer.WMS({
+        url: 'http://localhost/wms',
+        name: 'temperature',
+      });
+      wms.setDimension('time', '2020-01-01');
+      wms.setDimension('band', 'red');
+      expect(wms.getDimension('time')).to.eql('2020-01-01');
+      expect(wms.options.params.TIME).to.eql('2020-01-01');
+      expect(wms.options.params.DIM_BAND).to.eql('red');
+      wms.setDimension('time', null);
+      expect(wms.getDimension('time')).to.be(undefined);
+    });
+  });
+});
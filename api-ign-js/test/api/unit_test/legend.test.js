@@ -0,0 +1,87 @@
+describe('M.Style legend items', () => {
+  it('Returns a single unlabelled item for simple styles', () => {
+    const style = new M.style.Point({ radius: 5, fill: { color: 'red' } });
+    return style.getLegendItems().then((items) => {
+      expect(items).to.have.length(1);
+      expect(items[0].label).to.eql('');
+      expect(items[0].image).to.contain('data:image/png');
+    });
+  });
+
+  it('Returns an item per category', () => {
+    const style = new M.style.Category('tipo', {
+      a: new M.style.Point({ radius: 5, fill: { color: 'red' } }),
+      b: new M.style.Point({ radius: 5, fill: { color: 'blue' } }),
+    });
+    return style.getLegendItems().then((items) => {
+      expect(items.map(item => item.label)).to.eql(['a', 'b']);
+    });
+  });
+
+  it('Returns an item per rule with its scale range', () => {
+    const style = new M.style.RuleBased([{
+      name: 'Pequeños',
+      filter: 'value < 10',
+      maxScale: 50000,
+      style: new M.style.Point({ radius: 4 }),
+    }, {
+      elseFilter: true,
+      filter: 'value >= 10',
+      style: new M.style.Point({ radius: 8 }),
+    }]);
+    return style.getLegendItems().then((items) => {
+      expect(items[0].label).to.eql('Pequeños');
+      expect(items[0].maxScale).to.eql(50000);
+      expect(items[0].minScale).to.be(undefined);
+      expect(items[1].label).to.contain('value >=');
+    });
+  });
+
+  it('Adds the units to the heatmap label', () => {
+    const style = new M.style.Heatmap('densidad', { units: 'hab/km²' });
+    expect(style.formatLegendValue(10)).to.eql('10 hab/km²');
+    return style.getLegendItems().then((items) => {
+      expect(items[0].label).to.eql('densidad (hab/km²)');
+    });
+  });
+});
+
+describe('M.control.Legend', () => {
+  const createLayer = (name, style) => new M.layer.Vector({ name, legend: `Capa ${name}` }, {
+    style,
+  });
+
+  it('Lists the visible layers with the items of their style', () => {
+    const map = M.map({ container: 'map' });
+    const control = new M.control.Legend({ attribution: 'IGN' });
+    const visible = createLayer('visible', new M.style.Category('tipo', {
+      a: new M.style.Point({ radius: 5 }),
+    }));
+    const hidden = createLayer('hidden', new M.style.Point({ radius: 5 }));
+    map.addLayers([visible, hidden]);
+    hidden.setVisible(false);
+    map.addControls(control);
+    return control.getLegends().then((legends) => {
+      expect(legends).to.have.length(1);
+      expect(legends[0].layer).to.be(visible);
+      expect(legends[0].title).to.eql('Capa visible');
+      expect(legends[0].items[0].label).to.eql('a');
+      map.destroy();
+    });
+  });
+
+  it('Exports the legend as SVG', () => {
+    const map = M.map({ container: 'map' });
+    const control = new M.control.Legend({ title: 'Leyenda <test>', attribution: 'IGN' });
+    map.addLayers(createLayer('points', new M.style.Point({ radius: 5 })));
+    map.addControls(control);
+    return control.exportSVG().then((svg) => {
+      expect(svg).to.contain('<svg');
+      expect(svg).to.contain('Leyenda &lt;test&gt;');
+      expect(svg).to.contain('Capa points');
+      expect(svg).to.contain('IGN');
+      expect(svg).to.contain('<image');
+      map.destroy();
+    });
+  });
+});
@@ -126,4 +126,116 @@ describe('M.map', () => {
     });
 
   });
+
+  /**
+   * Context test
+   */
+  describe('Context', () => {
+    const wms = 'WMS*Unidades administrativas*https://www.ign.es/wms-inspire/unidades-administrativas?*AU.AdministrativeUnit*true*true';
+    it('Writes the map as OWS Context', () => {
+      const map = M.map({ container: 'map', layers: [wms] });
+      const owsContext = map.toOWSContext({ title: 'test' });
+      expect(owsContext.type).to.be('FeatureCollection');
+      expect(owsContext.properties.title).to.be('test');
+      expect(owsContext.features.length).to.be(map.getLayers().length);
+    });
+    it('Writes the map as WMC', () => {
+      const map = M.map({ container: 'map', layers: [wms] });
+      const wmc = map.toWMC();
+      expect(wmc).to.contain('ViewContext');
+      expect(wmc).to.contain('AU.AdministrativeUnit');
+    });
+    it('Restores the layers of an OWS Context', () => {
+      const map = M.map({ container: 'map', layers: [wms] });
+      const owsContext = map.toOWSContext();
+      const otherMap = M.map({ container: 'map' });
+      otherMap.loadContext(owsContext);
+      const names = otherMap.getWMS().map(layer => layer.name);
+      expect(names).to.contain('AU.AdministrativeUnit');
+    });
+    it('Restores the style of the vector layers', () => {
+      const geojson = new M.layer.GeoJSON({
+        name: 'puntos',
+        source: { type: 'FeatureCollection', features: [] },
+      }, { style: new M.style.Point({ radius: 7 }) });
+      const map = M.map({ container: 'map', layers: [geojson] });
+      const owsContext = map.toOWSContext();
+      const otherMap = M.map({ container: 'map' });
+      otherMap.loadContext(owsContext);
+      const style = otherMap.getGeoJSON()[0].getStyle();
+      expect(style).to.be.a(M.style.Point);
+      expect(style.get('radius')).to.be(7);
+    });
+    it('Skips the layers of an unsupported service', () => {
+      const map = M.map({ container: 'map', layers: [wms] });
+      const owsContext = map.toOWSContext();
+      owsContext.features.forEach((feature) => {
+        const layerContext = feature.properties[M.format.OWSContext.EXTENSION];
+        delete layerContext.type;
+        layerContext.service = 'OGC:UNKNOWN';
+      });
+      const otherMap = M.map({ container: 'map' });
+      otherMap.loadContext(owsContext);
+      expect(otherMap.getWMS()).to.have.length(0);
+      expect(M.format.context.getTypeFromService('OGC:UNKNOWN')).to.be(undefined);
+      expect(M.format.context.getTypeFromService('OGC:WMS')).to.be('WMS');
+      expect(M.format.context.getTypeFromService()).to.be('WMS');
+    });
+  });
+
+  /**
+   * Identify test
+   */
+  describe('Identify', () => {
+    it('Returns a promise of results by layer', (done) => {
+      const map = M.map({
+        container: 'map', center: [0, 0], zoom: 5, projection: 'EPSG:3857*m',
+      });
+      const point = (id, coordinates) => new M.Feature(id, {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { id },
+      });
+      const layer = new M.layer.Vector({ name: 'puntos' });
+      const hidden = new M.layer.Vector({ name: 'oculta' });
+      map.addLayers([layer, hidden]);
+      // the far feature is 200 pixels away from the coordinate at zoom 5
+      layer.addFeatures([point('center', [0, 0]), point('far', [1000000, 0])]);
+      hidden.addFeatures([point('hidden', [0, 0])]);
+      hidden.setVisible(false);
+      const olMap = map.getMapImpl();
+      olMap.setSize([500, 500]);
+      olMap.renderSync();
+      map.identify([0, 0], { layers: [layer, hidden] }).then((results) => {
+        expect(results).to.have.length(1);
+        expect(results[0].layer).to.be(layer);
+        expect(results[0].layerName).to.be('puntos');
+        expect(results[0].features.map(feature => feature.getId())).to.eql(['center']);
+        done();
+      }).catch(done);
+    });
+    it('Limits the results with maxFeatures', (done) => {
+      const map = M.map({
+        container: 'map', center: [0, 0], zoom: 5, projection: 'EPSG:3857*m',
+      });
+      const layer = new M.layer.Vector({ name: 'puntos' });
+      map.addLayers(layer);
+      layer.addFeatures(['a', 'b', 'c'].map(id => new M.Feature(id, {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [0, 0] },
+        properties: { id },
+      })));
+      const olMap = map.getMapImpl();
+      olMap.setSize([500, 500]);
+      olMap.renderSync();
+      map.identify([0, 0], { layers: [layer], maxFeatures: 2 }).then(([result]) => {
+        expect(result.features).to.have.length(2);
+        done();
+      }).catch(done);
+    });
+    it('Requires a coordinate', () => {
+      const map = M.map({ container: 'map' });
+      expect(() => map.identify()).to.throwError();
+    });
+  });
 });
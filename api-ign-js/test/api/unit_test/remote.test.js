@@ -0,0 +1,309 @@
+/**
+ * M.remote test
+ *
+ * @testsuite
+ */
+describe('M.remote', () => {
+  /**
+   * XMLHttpRequest that does not send anything, the test decides how it ends
+   */
+  class FakeXMLHttpRequest {
+    constructor() {
+      this.requestHeaders = {};
+      this.withCredentials = false;
+      this.responseType = '';
+      FakeXMLHttpRequest.requests.push(this);
+    }
+
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+      this.requestHeaders[name] = value;
+    }
+
+    send(data) {
+      this.data = data;
+    }
+
+    getAllResponseHeaders() {
+      return '';
+    }
+
+    abort() {
+      this.onabort();
+      this.onloadend();
+    }
+
+    respond(status, text) {
+      this.status = status;
+      this.responseText = text;
+      this.responseXML = null;
+      this.onloadend();
+    }
+
+    expire() {
+      this.ontimeout();
+      this.onloadend();
+    }
+
+    fail() {
+      this.onerror();
+      this.onloadend();
+    }
+  }
+
+  const OriginalXMLHttpRequest = window.XMLHttpRequest;
+  const lastRequest = () => FakeXMLHttpRequest.requests[FakeXMLHttpRequest.requests.length - 1];
+  const url = 'http://localhost/service';
+
+  beforeEach(() => {
+    FakeXMLHttpRequest.requests = [];
+    window.XMLHttpRequest = FakeXMLHttpRequest;
+    M.proxy(false);
+  });
+
+  afterEach(() => {
+    window.XMLHttpRequest = OriginalXMLHttpRequest;
+    M.proxy(true);
+  });
+
+  describe('get', () => {
+    it('Resolves the response of the server', (done) => {
+      M.remote.get(url, { a: 1 }).then((response) => {
+        expect(lastRequest().method).to.be('GET');
+        expect(lastRequest().data).to.be('{"a":1}');
+        expect(response.code).to.be(200);
+        expect(response.text).to.be('ok');
+        done();
+      }).catch(done);
+      lastRequest().respond(200, 'ok');
+    });
+
+    it('Sends the headers and the credentials', (done) => {
+      M.remote.get(url, null, {
+        headers: { Authorization: 'Bearer token' },
+        credentials: true,
+      }).then(() => {
+        expect(lastRequest().requestHeaders).to.eql({ Authorization: 'Bearer token' });
+        expect(lastRequest().withCredentials).to.be(true);
+        done();
+      }).catch(done);
+      lastRequest().respond(200, 'ok');
+    });
+
+    it('Sets the timeout of the request', (done) => {
+      M.remote.get(url, null, { timeout: 500 }).catch(() => {}).then(() => {
+        done();
+      });
+      expect(lastRequest().timeout).to.be(500);
+      lastRequest().respond(200, 'ok');
+    });
+
+    it('Rejects HTTP errors with the response', (done) => {
+      M.remote.get(url).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response).to.be.a(M.remote.Response);
+        expect(response.error).to.be(true);
+        expect(response.code).to.be(404);
+        expect(response.reason).to.be(M.remote.errorType.HTTP);
+        done();
+      }).catch(done);
+      lastRequest().respond(404, 'not found');
+    });
+
+    it('Rejects network errors', (done) => {
+      M.remote.get(url).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.error).to.be(true);
+        expect(response.code).to.be(0);
+        expect(response.text).to.be(null);
+        expect(response.reason).to.be(M.remote.errorType.NETWORK);
+        done();
+      }).catch(done);
+      lastRequest().fail();
+    });
+
+    it('Rejects expired requests', (done) => {
+      M.remote.get(url, null, { timeout: 1 }).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.reason).to.be(M.remote.errorType.TIMEOUT);
+        done();
+      }).catch(done);
+      lastRequest().expire();
+    });
+
+    it('Rejects the requests aborted by the signal', (done) => {
+      const controller = new window.AbortController();
+      M.remote.get(url, null, { signal: controller.signal }).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.reason).to.be(M.remote.errorType.ABORT);
+        done();
+      }).catch(done);
+      controller.abort();
+    });
+
+    it('Does not send the requests already aborted', (done) => {
+      const controller = new window.AbortController();
+      controller.abort();
+      M.remote.get(url, null, { signal: controller.signal }).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.reason).to.be(M.remote.errorType.ABORT);
+        expect(FakeXMLHttpRequest.requests).to.have.length(0);
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('post', () => {
+    it('Sends the data and rejects HTTP errors', (done) => {
+      M.remote.post(url, { a: 1 }).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(lastRequest().method).to.be('POST');
+        expect(lastRequest().data).to.be('{"a":1}');
+        expect(response.code).to.be(500);
+        expect(response.reason).to.be(M.remote.errorType.HTTP);
+        done();
+      }).catch(done);
+      lastRequest().respond(500, 'error');
+    });
+  });
+
+  describe('jsonp', () => {
+    const findScript = () => document.querySelector('script[id^="mapea_jsonphandler_"]');
+
+    it('Removes the handler when the expired script is loaded', (done) => {
+      M.proxy(true);
+      M.remote.get(url, null, { timeout: 1 }).then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.reason).to.be(M.remote.errorType.TIMEOUT);
+        const scriptTag = findScript();
+        const handlerName = scriptTag.id;
+        expect(window[handlerName]).to.be.a('function');
+        scriptTag.onerror();
+        expect(window[handlerName]).to.be(undefined);
+        expect(findScript()).to.be(null);
+        done();
+      }).catch(done);
+    });
+
+    it('Removes the handler when the script can not be loaded', (done) => {
+      M.proxy(true);
+      const request = M.remote.get(url, null, { timeout: 0 });
+      const handlerName = findScript().id;
+      request.then(() => done(new Error('resolved'))).catch((response) => {
+        expect(response.reason).to.be(M.remote.errorType.NETWORK);
+        expect(window[handlerName]).to.be(undefined);
+        expect(findScript()).to.be(null);
+        done();
+      }).catch(done);
+      findScript().onerror();
+    });
+  });
+
+  describe('interceptors', () => {
+    const calls = [];
+    const globalInterceptor = (request) => {
+      calls.push('global');
+      return Object.assign({}, request, { url: `${request.url}?token=global` });
+    };
+
+    beforeEach(() => {
+      calls.length = 0;
+      M.remote.addInterceptor(globalInterceptor);
+    });
+
+    afterEach(() => {
+      M.remote.removeInterceptor(globalInterceptor);
+    });
+
+    it('Runs the global interceptors before the ones of the layer', (done) => {
+      const layerInterceptor = (request) => {
+        calls.push('layer');
+        // the interceptors can modify the request or be asynchronous
+        request.headers.Authorization = 'Bearer token';
+        return Promise.resolve();
+      };
+      M.remote.intercept(url, {
+        interceptors: layerInterceptor,
+        requestType: M.remote.requestType.TILE,
+      }).then((request) => {
+        expect(calls).to.eql(['global', 'layer']);
+        expect(request.url).to.be(`${url}?token=global`);
+        expect(request.headers).to.eql({ Authorization: 'Bearer token' });
+        expect(request.type).to.be(M.remote.requestType.TILE);
+        done();
+      }).catch(done);
+    });
+
+    it('Sends the intercepted request', (done) => {
+      const layerInterceptor = request => Object.assign({}, request, {
+        url: `${request.url}&key=layer`,
+        headers: { 'X-Api-Key': 'key' },
+      });
+      M.remote.get(url, { a: 1 }, { interceptors: [layerInterceptor] }).then(() => {
+        expect(lastRequest().url).to.contain('token=global');
+        expect(lastRequest().url).to.contain('key=layer');
+        expect(lastRequest().data).to.be('{"a":1}');
+        expect(lastRequest().requestHeaders).to.eql({ 'X-Api-Key': 'key' });
+        done();
+      }).catch(done);
+      setTimeout(() => lastRequest().respond(200, 'ok'));
+    });
+
+    it('Does not intercept the requests already intercepted', (done) => {
+      M.remote.get(url, null, { intercept: false }).then(() => {
+        expect(calls).to.have.length(0);
+        expect(lastRequest().url).to.be(url);
+        done();
+      }).catch(done);
+      lastRequest().respond(200, 'ok');
+    });
+
+    it('Sends the POST requests with headers through the proxy', (done) => {
+      M.proxy(true);
+      const layerInterceptor = request => Object.assign({}, request, {
+        headers: { Authorization: 'Bearer token' },
+      });
+      M.remote.post(url, '<xml/>', { interceptors: layerInterceptor }).then(() => {
+        expect(lastRequest().url.indexOf(M.config.PROXY_POST_URL)).to.be(0);
+        expect(lastRequest().requestHeaders).to.eql({ Authorization: 'Bearer token' });
+        done();
+      }).catch(done);
+      setTimeout(() => lastRequest().respond(200, 'ok'));
+    });
+  });
+
+  describe('M.impl.util.interceptor.interceptLoadFunction', () => {
+    const { interceptLoadFunction } = M.impl.util.interceptor;
+    const createImage = () => {
+      const img = document.createElement('img');
+      return { getImage: () => img };
+    };
+
+    it('Uses the load function without interceptors', () => {
+      const sources = [];
+      const loadFunction = interceptLoadFunction((image, src) => sources.push(src), {});
+      loadFunction(createImage(), url);
+      expect(sources).to.eql([url]);
+    });
+
+    it('Loads the intercepted URL', (done) => {
+      const interceptor = request => Object.assign({}, request, { url: `${request.url}?token=a` });
+      const loadFunction = interceptLoadFunction((image, src) => {
+        expect(src).to.be(`${url}?token=a`);
+        done();
+      }, { interceptors: interceptor, requestType: M.remote.requestType.TILE });
+      loadFunction(createImage(), url);
+    });
+
+    it('Requests the image with the intercepted headers', (done) => {
+      const interceptor = request => Object.assign({}, request, { headers: { 'X-Api-Key': 'key' } });
+      const loadFunction = interceptLoadFunction(() => {
+        done(new Error('loaded without headers'));
+      }, { interceptors: interceptor, requestType: M.remote.requestType.IMAGE });
+      loadFunction(createImage(), url);
+      setTimeout(() => {
+        expect(lastRequest().url).to.be(url);
+        expect(lastRequest().responseType).to.be('blob');
+        expect(lastRequest().requestHeaders).to.eql({ 'X-Api-Key': 'key' });
+        done();
+      });
+    });
+  });
+});
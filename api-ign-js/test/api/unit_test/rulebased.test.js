@@ -0,0 +1,63 @@
+describe('M.style.RuleBased', () => {
+  const feature = new M.Feature('f1', {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [0, 0] },
+    properties: { name: 'uno', value: 8 },
+  });
+  const olFeature = feature.getImpl().getOLFeature();
+
+  const createStyle = () => new M.style.RuleBased([{
+    name: 'Pequeños',
+    filter: 'value < 10',
+    minScale: 5000,
+    maxScale: 50000,
+    style: new M.style.Point({ radius: 4, fill: { color: 'red' } }),
+  }, {
+    name: 'Resto',
+    elseFilter: true,
+    style: new M.style.Point({ radius: 8, fill: { color: 'blue' } }),
+  }]);
+
+  it('Normalizes the rules', () => {
+    const style = createStyle();
+    const [rule] = style.getRules();
+    expect(rule.filter.toCQL()).to.contain('value <');
+    expect(rule.minScale).to.eql(5000);
+    expect(style.getRuleLabel(rule)).to.eql('Pequeños');
+    expect(() => new M.style.RuleBased([{ name: 'sin estilo' }])).to.throwException();
+  });
+
+  it('Draws the rules whose filter matches the feature', () => {
+    const style = createStyle();
+    expect(style.getImpl().olStyleFn(olFeature)[0].getImage().getRadius()).to.eql(4);
+    style.setRules(style.getRules().map(rule => Object.assign({}, rule, { filter: 'value > 10' })));
+    expect(style.getImpl().olStyleFn(olFeature)[0].getImage().getRadius()).to.eql(8);
+  });
+
+  it('Adds and removes rules', () => {
+    const style = createStyle();
+    const rule = { filter: M.filter.EQUAL('name', 'uno'), style: new M.style.Point({ radius: 2 }) };
+    style.addRule(rule, 0);
+    expect(style.getRules()).to.have.length(3);
+    expect(style.getRuleLabel(style.getRules()[0])).to.eql("name='uno'");
+    style.removeRule(0);
+    expect(style.getRules()[0].name).to.eql('Pequeños');
+  });
+
+  it('Round-trips through JSON', () => {
+    const parsed = M.Style.fromJSON(JSON.stringify(createStyle().toJSON()));
+    expect(parsed).to.be.a(M.style.RuleBased);
+    expect(parsed.getRules()[0].filter.toCQL()).to.contain('value <');
+    expect(parsed.getRules()[0].maxScale).to.eql(50000);
+    expect(parsed.getRules()[1].elseFilter).to.be(true);
+    expect(parsed.getRules()[1].style.get('fill.color')).to.eql('blue');
+  });
+
+  it('Rejects filters that cannot be serialized', () => {
+    const style = new M.style.RuleBased([{
+      filter: new M.filter.Function(() => true),
+      style: new M.style.Point({ radius: 2 }),
+    }]);
+    expect(() => style.toJSON()).to.throwException();
+  });
+});
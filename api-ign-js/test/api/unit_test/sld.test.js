@@ -0,0 +1,145 @@
+describe('M.style SLD', () => {
+  const sld = rules => `<?xml version="1.0" encoding="UTF-8"?>
+    <StyledLayerDescriptor version="1.0.0" xmlns="http://www.opengis.net/sld"
+      xmlns:ogc="http://www.opengis.net/ogc" xmlns:xlink="http://www.w3.org/1999/xlink">
+      <NamedLayer><Name>capa</Name><UserStyle><FeatureTypeStyle>${rules}</FeatureTypeStyle></UserStyle></NamedLayer>
+    </StyledLayerDescriptor>`;
+
+  const polygon = color => `<PolygonSymbolizer><Fill><CssParameter name="fill">${color}</CssParameter></Fill>
+    <Stroke><CssParameter name="stroke">#000000</CssParameter><CssParameter name="stroke-width">2</CssParameter></Stroke>
+    </PolygonSymbolizer>`;
+
+  describe('M.style.fromSLD', () => {
+    it('Reads rules without filters as a generic style', () => {
+      const style = M.style.fromSLD(sld(`<Rule>
+        <PointSymbolizer><Graphic><Mark><WellKnownName>circle</WellKnownName>
+        <Fill><CssParameter name="fill">#FF0000</CssParameter></Fill></Mark><Size>10</Size></Graphic></PointSymbolizer>
+        <TextSymbolizer><Label>Nombre: <ogc:PropertyName>name</ogc:PropertyName></Label>
+        <Font><CssParameter name="font-family">Arial</CssParameter><CssParameter name="font-size">12</CssParameter></Font>
+        <Halo><Radius>2</Radius></Halo></TextSymbolizer>
+        </Rule>`));
+      expect(style).to.be.a(M.style.Generic);
+      expect(style.get('point.radius')).to.eql(5);
+      expect(style.get('point.fill.color')).to.eql('#FF0000');
+      expect(M.style.expression.getExpression(style.get('point.label.text'))).to.eql(['concat', 'Nombre: ', ['get', 'name']]);
+      expect(style.get('point.label.font')).to.eql('normal normal 12px Arial');
+      expect(style.get('point.label.stroke.width')).to.eql(4);
+    });
+
+    it('Reads equality filters as a category style', () => {
+      const style = M.style.fromSLD(sld(`
+        <Rule><ogc:Filter><ogc:PropertyIsEqualTo><ogc:PropertyName>tipo</ogc:PropertyName>
+        <ogc:Literal>a</ogc:Literal></ogc:PropertyIsEqualTo></ogc:Filter>${polygon('#0000FF')}</Rule>
+        <Rule><ElseFilter/>${polygon('#CCCCCC')}</Rule>`));
+      expect(style).to.be.a(M.style.Category);
+      expect(style.getAttributeName()).to.eql('tipo');
+      expect(style.getCategories().a.get('polygon.fill.color')).to.eql('#0000FF');
+      expect(style.getCategories().other.get('polygon.stroke.width')).to.eql(2);
+    });
+
+    it('Reads numeric ranges as a choropleth style', () => {
+      const style = M.style.fromSLD(sld(`
+        <Rule><ogc:Filter><ogc:And>
+        <ogc:PropertyIsGreaterThan><ogc:PropertyName>pob</ogc:PropertyName><ogc:Literal>100</ogc:Literal></ogc:PropertyIsGreaterThan>
+        <ogc:PropertyIsLessThanOrEqualTo><ogc:PropertyName>pob</ogc:PropertyName><ogc:Literal>500</ogc:Literal></ogc:PropertyIsLessThanOrEqualTo>
+        </ogc:And></ogc:Filter>${polygon('#00FF00')}</Rule>
+        <Rule><ogc:Filter><ogc:PropertyIsLessThanOrEqualTo><ogc:PropertyName>pob</ogc:PropertyName>
+        <ogc:Literal>100</ogc:Literal></ogc:PropertyIsLessThanOrEqualTo></ogc:Filter>${polygon('#FFFFFF')}</Rule>`));
+      expect(style).to.be.a(M.style.Choropleth);
+      expect(style.getAttributeName()).to.eql('pob');
+      expect(style.getQuantification().name).to.eql('manual');
+      expect(style.getQuantification()()).to.eql([100, 500]);
+      expect(style.getChoroplethStyles()[0].get('polygon.fill.color')).to.eql('#FFFFFF');
+    });
+
+    it('Reads scale denominators and other filters as a rule-based style', () => {
+      const style = M.style.fromSLD(sld(`
+        <Rule><Name>Detalle</Name><ogc:Filter><ogc:Or>
+        <ogc:PropertyIsLike wildCard="*" singleChar="." escapeChar="!"><ogc:PropertyName>nombre</ogc:PropertyName>
+        <ogc:Literal>Río*</ogc:Literal></ogc:PropertyIsLike>
+        <ogc:PropertyIsNull><ogc:PropertyName>tipo</ogc:PropertyName></ogc:PropertyIsNull>
+        </ogc:Or></ogc:Filter><MaxScaleDenominator>50000</MaxScaleDenominator>${polygon('#0000FF')}</Rule>
+        <Rule><MinScaleDenominator>50000</MinScaleDenominator>${polygon('#CCCCCC')}</Rule>`));
+      expect(style).to.be.a(M.style.RuleBased);
+      const [detail, overview] = style.getRules();
+      expect(detail.name).to.eql('Detalle');
+      expect(detail.filter.toCQL()).to.contain("nombre LIKE 'Río%'");
+      expect(detail.maxScale).to.eql(50000);
+      expect(detail.style.get('polygon.fill.color')).to.eql('#0000FF');
+      expect(overview.filter).to.be(undefined);
+      expect(overview.minScale).to.eql(50000);
+    });
+
+    it('Rejects invalid documents and unsupported rules', () => {
+      expect(() => M.style.fromSLD('<StyledLayerDescriptor')).to.throwException();
+      expect(() => M.style.fromSLD(sld(`<Rule><ogc:Filter><ogc:BBOX><ogc:PropertyName>geom</ogc:PropertyName>
+        </ogc:BBOX></ogc:Filter>${polygon('#000000')}</Rule>`))).to.throwException();
+    });
+  });
+
+  describe('M.style.toSLD', () => {
+    it('Writes a category style that can be read back', () => {
+      const style = new M.style.Category('tipo', {
+        a: new M.style.Polygon({ fill: { color: '#0000FF' } }),
+        other: new M.style.Polygon({ fill: { color: '#CCCCCC' } }),
+      });
+      const xml = style.toSLD({ layerName: 'capa' });
+      expect(xml).to.contain('<Name>capa</Name>');
+      expect(xml).to.contain('<ElseFilter/>');
+
+      const parsed = M.style.fromSLD(xml);
+      expect(parsed).to.be.a(M.style.Category);
+      expect(parsed.getCategories().a.get('polygon.fill.color')).to.eql('#0000FF');
+    });
+
+    it('Writes choropleth classes from manual break points', () => {
+      const style = new M.style.Choropleth('pob', [
+        new M.style.Polygon({ fill: { color: '#FFFFFF' } }),
+        new M.style.Polygon({ fill: { color: '#00FF00' } }),
+      ], M.style.quantification.MANUAL([100, 500]));
+      const parsed = M.style.fromSLD(M.style.toSLD(style));
+      expect(parsed.getQuantification()()).to.eql([100, 500]);
+    });
+
+    it('Writes rule-based styles with their filters and scales', () => {
+      const style = new M.style.RuleBased([{
+        name: 'Grandes',
+        filter: M.filter.GT('pob', 1000),
+        maxScale: 25000,
+        style: new M.style.Polygon({ fill: { color: '#FF0000' } }),
+      }]);
+      const xml = style.toSLD();
+      expect(xml).to.contain('<ogc:PropertyIsGreaterThan>');
+      expect(xml).to.contain('<MaxScaleDenominator>25000</MaxScaleDenominator>');
+      const parsed = M.style.fromSLD(xml);
+      expect(parsed).to.be.a(M.style.RuleBased);
+      expect(parsed.getRules()[0].maxScale).to.eql(25000);
+    });
+
+    it('Writes attribute labels as property names', () => {
+      const style = new M.style.Point({ radius: 4, label: { text: '{{name}}' } });
+      expect(style.toSLD()).to.contain('<Label><ogc:PropertyName>name</ogc:PropertyName></Label>');
+      expect(() => new M.style.Heatmap('value').toSLD()).to.throwException();
+    });
+
+    it('Rejects the styles added to a composite style', () => {
+      const style = new M.style.Category('tipo', {
+        a: new M.style.Polygon({ fill: { color: '#0000FF' } }),
+      });
+      style.add(new M.style.Cluster());
+      expect(() => style.toSLD()).to.throwException(/Cluster/);
+    });
+
+    it('Keeps the scale denominators of the rules read', () => {
+      const xml = sld(`<Rule><MaxScaleDenominator>50000</MaxScaleDenominator>${polygon('#0000FF')}</Rule>
+        <Rule><MinScaleDenominator>50000</MinScaleDenominator>${polygon('#CCCCCC')}</Rule>`);
+      const written = M.style.fromSLD(xml).toSLD();
+      expect(written).to.contain('<MaxScaleDenominator>50000</MaxScaleDenominator>');
+      expect(written).to.contain('<MinScaleDenominator>50000</MinScaleDenominator>');
+      const [detail, overview] = M.style.fromSLD(written).getRules();
+      expect(detail.maxScale).to.eql(50000);
+      expect(detail.style.get('polygon.fill.color')).to.eql('#0000FF');
+      expect(overview.minScale).to.eql(50000);
+    });
+  });
+});
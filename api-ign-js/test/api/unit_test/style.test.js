@@ -0,0 +1,94 @@
+describe('M.Style JSON schema', () => {
+  const feature = new M.Feature('f1', {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [0, 0] },
+    properties: { name: 'uno', value: 8, tipo: 'a' },
+  });
+
+  describe('M.style.expression', () => {
+    it('Evaluates attribute expressions', () => {
+      const { evaluate } = M.style.expression;
+      const context = { feature };
+      expect(evaluate(['get', 'value'], context)).to.eql(8);
+      expect(evaluate(['*', ['get', 'value'], 2], context)).to.eql(16);
+      expect(evaluate(['concat', ['upcase', ['get', 'name']], '-', ['id']], context)).to.eql('UNO-f1');
+      expect(evaluate(['match', ['get', 'tipo'], ['a', 'b'], 'red', 'blue'], context)).to.eql('red');
+      expect(evaluate(['case', ['>', ['get', 'value'], 10], 'big', 'small'], context)).to.eql('small');
+      expect(evaluate(['step', ['get', 'value'], 1, 5, 2, 10, 3], context)).to.eql(2);
+      expect(evaluate(['interpolate', ['linear'], ['get', 'value'], 0, 0, 10, 100], context)).to.eql(80);
+      expect(evaluate(['coalesce', ['get', 'missing'], 'default'], context)).to.eql('default');
+    });
+
+    it('Rejects invalid expressions', () => {
+      expect(() => M.style.expression.validate(['get'])).to.throwException();
+      expect(() => M.style.expression.validate(['case', true, 'a'])).to.throwException();
+      expect(() => M.style.expression.validate(['+', ['get']])).to.throwException();
+      expect(M.style.expression.isExpression(['red', 'blue'])).to.be(false);
+    });
+
+    it('Compiles expressions keeping them serializable', () => {
+      const fn = M.style.expression.compile(['get', 'value']);
+      expect(fn(feature)).to.eql(8);
+      expect(M.style.expression.serializeValue({ radius: fn, other: () => 1 }))
+        .to.eql({ radius: ['get', 'value'], other: undefined });
+    });
+  });
+
+  describe('toJSON / fromJSON', () => {
+    it('Round-trips simple styles with expressions', () => {
+      const style = new M.style.Point({
+        radius: M.style.expression.compile(['get', 'value']),
+        fill: { color: 'red' },
+      });
+      const json = style.toJSON();
+      expect(json.version).to.eql(M.Style.SCHEMA_VERSION);
+      expect(json.type).to.eql('Point');
+      expect(json.options.radius).to.eql(['get', 'value']);
+
+      const parsed = M.Style.fromJSON(JSON.stringify(json));
+      expect(parsed).to.be.a(M.style.Point);
+      expect(parsed.get('fill.color')).to.eql('red');
+      expect(parsed.get('radius')(feature)).to.eql(8);
+      expect(M.Style.deserialize(style.serialize())).to.be.a(M.style.Point);
+    });
+
+    it('Round-trips composite styles', () => {
+      const category = new M.style.Category('tipo', {
+        a: new M.style.Point({ radius: 3 }),
+        b: new M.style.Polygon({ fill: { color: 'blue' } }),
+      });
+      const parsed = M.Style.fromJSON(category.toJSON());
+      expect(parsed).to.be.a(M.style.Category);
+      expect(parsed.getAttributeName()).to.eql('tipo');
+      expect(parsed.getCategories().b).to.be.a(M.style.Polygon);
+
+      const choropleth = new M.style.Choropleth('value', ['red', 'blue'], M.style.quantification.QUANTILE(3));
+      const choroplethJSON = choropleth.toJSON();
+      expect(choroplethJSON.quantification).to.eql({ name: 'quantile', classes: 3 });
+      expect(M.Style.fromJSON(choroplethJSON).getQuantification().name).to.eql('quantile');
+
+      const heatmap = new M.style.Heatmap(M.style.expression.compile(['get', 'value']));
+      expect(M.Style.fromJSON(heatmap.toJSON()).getAttributeName()(feature)).to.eql(8);
+    });
+
+    it('Rejects unknown versions and types', () => {
+      expect(() => M.Style.fromJSON({ version: 99, type: 'Point' })).to.throwException();
+      expect(() => M.Style.fromJSON({ version: 1, type: 'Unknown' })).to.throwException();
+      expect(() => M.Style.fromJSON('not json')).to.throwException();
+    });
+
+    it('Reads the previous format without running its functions', () => {
+      window.styleLegacyExecuted = false;
+      const legacy = {
+        parameters: [{ radius: 4, label: { text: '{{f}}() => { window.styleLegacyExecuted = true; }' } }],
+        deserializedMethod: "((serializedParameters) => M.style.Simple.deserialize(serializedParameters, 'M.style.Point'))",
+      };
+      const encoded = window.btoa(JSON.stringify(legacy));
+      const parsed = M.Style.deserialize(encoded);
+      expect(parsed).to.be.a(M.style.Point);
+      expect(parsed.get('radius')).to.eql(4);
+      expect(parsed.get('label.text')).to.be(undefined);
+      expect(window.styleLegacyExecuted).to.be(false);
+    });
+  });
+});
@@ -58,6 +58,27 @@ function fun(M_) {
    */
   M_.config('PROXY_POST_URL', location.protocol + '//mapea-lite.desarrollo.guadaltel.es/api-core/proxyPost');
 
+  /**
+   * Default timeout in milliseconds of the remote
+   * requests (M.remote), 0 means no timeout
+   * @const
+   * @type {Number}
+   * @public
+   * @api stable
+   */
+  M_.config('REMOTE_TIMEOUT', 60000);
+
+  /**
+   * Global request interceptors, they receive each request
+   * { url, headers, type, layer } of the layers and M.remote
+   * and can modify it (M.remote.addInterceptor)
+   * @const
+   * @type {Array<Function>}
+   * @public
+   * @api stable
+   */
+  M_.config('REQUEST_INTERCEPTORS', []);
+
   /**
    * The path to the Mapea templates
    * @const
@@ -0,0 +1,46 @@
+import { map as Mmap } from 'M/mapea';
+import WMS from 'M/layer/WMS';
+import WMTS from 'M/layer/WMTS';
+import { addInterceptor } from 'M/util/Remote';
+
+// global interceptor, adds an api key to every request
+addInterceptor((request) => {
+  const url = new URL(request.url, window.location.href);
+  url.searchParams.set('apikey', 'test');
+  return { ...request, url: url.toString() };
+});
+
+const mapjs = Mmap({
+  container: 'map',
+});
+
+// layer interceptor, logs the requests of the layer
+const layerUA = new WMS({
+  url: 'https://www.ign.es/wms-inspire/unidades-administrativas?',
+  name: 'AU.AdministrativeUnit',
+  legend: 'Unidad administrativa',
+  tiled: true,
+}, {
+  interceptors: (request) => {
+    // eslint-disable-next-line no-console
+    console.log(request.type, request.url);
+  },
+});
+
+const layerMTN = new WMTS({
+  url: 'https://www.ign.es/wmts/mapa-raster',
+  name: 'MTN',
+  legend: 'Mapa MTN',
+  matrixSet: 'GoogleMapsCompatible',
+}, {
+  // asynchronous interceptor, gets a token before each request
+  interceptors: request => Promise.resolve('token').then((token) => {
+    const url = new URL(request.url, window.location.href);
+    url.searchParams.set('token', token);
+    return { ...request, url: url.toString() };
+  }),
+});
+
+window.mapjs = mapjs;
+mapjs.addWMTS(layerMTN);
+mapjs.addWMS(layerUA);
@@ -0,0 +1,115 @@
+/* eslint-disable import/no-extraneous-dependencies */
+const path = require('path');
+const fs = require('fs');
+const webpack = require('webpack');
+const OptimizeCssAssetsPlugin = require('optimize-css-assets-webpack-plugin');
+const TerserPlugin = require('terser-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const CopywebpackPlugin = require('copy-webpack-plugin');
+
+const PJSON_PATH = path.resolve(__dirname, '..', 'package.json');
+// eslint-disable-next-line import/no-dynamic-require
+const pjson = require(PJSON_PATH);
+
+const IMPL_PATH = path.resolve(__dirname, '..', 'src', 'impl', 'leaflet', 'js');
+const UNSUPPORTED_PATH = path.resolve(IMPL_PATH, 'unsupported.js');
+
+
+module.exports = {
+  mode: 'production',
+  node: {
+    fs: 'empty',
+  },
+  entry: {
+    [`${pjson.name}.leaflet.min`]: path.resolve(__dirname, '..', 'src', 'index-leaflet.js'),
+  },
+  output: {
+    path: path.resolve(__dirname, '..', 'dist'),
+    filename: 'js/[name].js',
+  },
+  resolve: {
+    alias: {
+      handlebars: 'handlebars/dist/handlebars.min.js',
+      proj4: 'proj4/dist/proj4.js',
+      templates: path.resolve(__dirname, '..', 'src', 'templates'),
+      assets: path.resolve(__dirname, '..', 'src', 'facade', 'assets'),
+      M: path.resolve(__dirname, '../src/facade/js'),
+      impl: IMPL_PATH,
+      'impl-assets': path.resolve(__dirname, '..', 'src', 'impl', 'leaflet', 'assets'),
+    },
+    extensions: ['.wasm', '.mjs', '.js', '.json', '.css', '.hbs', '.html', '.jpg'],
+  },
+  module: {
+    rules: [{
+      test: /\.js$/,
+      exclude: /(node_modules\/(?!ol)|bower_components)/,
+      use: {
+        loader: 'babel-loader',
+        options: {
+          presets: ['@babel/preset-env'],
+        },
+      },
+    },
+    {
+      test: /\.js$/,
+      loader: 'eslint-loader',
+      exclude: /node_modules/,
+    },
+    {
+      test: [/\.hbs$/, /\.html$/],
+      loader: 'html-loader',
+      exclude: /node_modules/,
+    },
+    {
+      test: /\.css$/,
+      loader: MiniCssExtractPlugin.loader,
+      exclude: /node_modules/,
+    }, {
+      test: /\.css$/,
+      loader: 'css-loader',
+      exclude: /node_modules/,
+
+    },
+    {
+      test: /\.(woff|woff2|eot|ttf|svg|jpg)$/,
+      exclude: /node_modules/,
+      loader: 'url-loader?name=fonts/[name].[ext]',
+    },
+    ],
+  },
+  optimization: {
+    noEmitOnErrors: true,
+    minimizer: [
+      new OptimizeCssAssetsPlugin(),
+      new TerserPlugin({
+        sourceMap: true,
+      }),
+    ],
+  },
+  plugins: [
+    // the facade classes whose implementation does not exist in Leaflet get undefined
+    new webpack.NormalModuleReplacementPlugin(/^impl\//, (resource) => {
+      const implFile = path.resolve(IMPL_PATH, `${resource.request.replace(/^impl\//, '')}.js`);
+      if (!fs.existsSync(implFile)) {
+        // eslint-disable-next-line no-param-reassign
+        resource.request = UNSUPPORTED_PATH;
+      }
+    }),
+    new MiniCssExtractPlugin({
+      filename: 'assets/css/[name].css',
+    }),
+    new CopywebpackPlugin([{
+      from: 'src/configuration.js',
+      to: 'filter/configuration.js',
+    }]),
+    new CopywebpackPlugin([{
+      from: 'src/facade/assets/img',
+      to: 'assets/img',
+    }]),
+    new CopywebpackPlugin([{
+      from: 'src/facade/assets/svg',
+      to: 'assets/svg',
+    }]),
+  ],
+  devtool: 'source-map',
+};